@@ -12,7 +12,7 @@ import bcrypt from 'bcrypt';
 async function debugLogin() {
   try {
     console.log('Connecting to database...');
-    await dbService.init(null, false);
+    await dbService.init();
     console.log('Database connected!');
     
     const username = config.defaultAdmin.username;
@@ -12,7 +12,7 @@ import bcrypt from 'bcrypt';
 async function resetAdminUser() {
   try {
     console.log('Connecting to database...');
-    await dbService.init(null, false);
+    await dbService.init();
     console.log('Database connected!');
     
     // Hash the admin password
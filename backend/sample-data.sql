@@ -0,0 +1,13 @@
+-- VRC Sample Data
+-- Vietnamese Refrigeration Company (VRC)
+-- Tài khoản mẫu cho môi trường phát triển. Cấu trúc bảng và dữ liệu mẫu của website (cài đặt, danh mục,
+-- thẻ, sản phẩm) được tạo bởi các migration trong src/migrations (014-seed-data):
+-- chạy `npm run migrate` trước rồi mới chạy script này trên database đã cấu hình
+
+-- Sample Data: Users
+INSERT INTO [dbo].[users] ([username], [email], [password], [full_name], [role])
+VALUES
+('admin', 'admin@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', N'Admin VRC', 'admin'),
+('bantochuc', 'btc@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', N'Ban Tổ Chức', 'editor'),
+('vrc-editor', 'editor@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'VRC', 'editor');
+GO
@@ -0,0 +1,126 @@
+/**
+ * Audit Log Controller
+ * RESTful API controller for browsing and exporting the authentication audit log
+ */
+
+import BaseController from './base.controller.js';
+import auditLogService from '../../core/services/audit-log.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+/**
+ * AuditLogController handles HTTP requests related to the audit log
+ */
+class AuditLogController extends BaseController {
+  constructor() {
+    super();
+    this.auditLogService = auditLogService;
+  }
+
+  /**
+   * Read the audit log filters from the query string
+   * @param {Object} query - Express request query
+   * @returns {Object} - Filter options
+   */
+  getFilterOptions(query) {
+    const userId = query.user_id || query.userId;
+    // Giá trị khác 'true'/'false' được giữ nguyên để service trả lỗi 400
+    const success = query.success === 'true' ? true : query.success === 'false' ? false : query.success || undefined;
+
+    return {
+      userId: userId ? Number(userId) : undefined,
+      username: query.username || '',
+      action: query.action || '',
+      success,
+      ip: query.ip || '',
+      from: query.from,
+      to: query.to,
+      filters: parseQuerySpec(query).filters
+    };
+  }
+
+  /**
+   * Get audit log entries with pagination and filtering
+   * @route GET /api/audit-logs
+   */
+  getLogs = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: Math.min(parseInt(req.query.pageSize) || 50, 200),
+        sort: parseQuerySpec(req.query).sort,
+        ...this.getFilterOptions(req.query)
+      };
+
+      const result = await this.auditLogService.getLogs(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleAuditLogError(res, error);
+    }
+  };
+
+  /**
+   * Get the actions recorded in the log, for the action filter
+   * @route GET /api/audit-logs/actions
+   */
+  getActions = async (req, res) => {
+    try {
+      const actions = await this.auditLogService.getActions();
+      return this.sendSuccess(res, actions);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Export the audit log entries matching the filters as a CSV or JSON download
+   * @route GET /api/audit-logs/export?format=csv|json
+   */
+  exportLogs = async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      const content = await this.auditLogService.exportLogs(this.getFilterOptions(req.query), format);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set('Content-Disposition', `attachment; filename="audit-log-${date}.${format}"`);
+      if (format === 'json') {
+        res.set('Content-Type', 'application/json; charset=utf-8');
+        return res.status(200).send(content);
+      }
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      // BOM giúp Excel đọc đúng tiếng Việt
+      return res.status(200).send('﻿' + content);
+    } catch (error) {
+      return this.handleAuditLogError(res, error);
+    }
+  };
+
+  /**
+   * Get the change history of an admin record
+   * @route GET /api/audit-trail/:resource/:id
+   */
+  getRecordHistory = async (req, res) => {
+    try {
+      const history = await this.auditLogService.getRecordHistory(req.params.resource, Number(req.params.id));
+      return this.sendSuccess(res, history);
+    } catch (error) {
+      return this.handleAuditLogError(res, error);
+    }
+  };
+
+  /**
+   * Map audit log service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleAuditLogError(res, error) {
+    if (error.message.includes('Invalid')) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const auditLogController = new AuditLogController();
+export default auditLogController;
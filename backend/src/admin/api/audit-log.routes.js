@@ -0,0 +1,18 @@
+/**
+ * Audit Log Routes
+ * RESTful API routes for the authentication audit log and the change history of records
+ */
+
+import express from 'express';
+import auditLogController from './audit-log.controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Protected routes (requires the audit.view permission)
+router.get('/audit-logs', authenticate, requirePermission('audit.view'), auditLogController.getLogs);
+router.get('/audit-logs/actions', authenticate, requirePermission('audit.view'), auditLogController.getActions);
+router.get('/audit-logs/export', authenticate, requirePermission('audit.view'), auditLogController.exportLogs);
+router.get('/audit-trail/:resource/:id', authenticate, requirePermission('audit.view'), auditLogController.getRecordHistory);
+
+export default router;
@@ -5,8 +5,26 @@
 
 import { Router } from 'express';
 import authService from '../../core/services/auth.service.js';
+import roleService from '../../core/services/role.service.js';
+import twoFactorService from '../../core/services/two-factor.service.js';
+import emailVerificationService from '../../core/services/email-verification.service.js';
 import BaseController from './base.controller.js';
 import { authenticate } from '../../middleware/auth.js';
+import { createRateLimiter } from '../../middleware/rate-limit.js';
+
+// Giới hạn số tài khoản tạo từ cùng một IP
+const registerLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many accounts created, please try again later'
+});
+
+// Giới hạn số lần yêu cầu gửi lại email xác thực từ cùng một IP
+const resendVerificationLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many verification emails requested, please try again later'
+});
 
 class AuthController extends BaseController {
   constructor() {
@@ -15,6 +33,11 @@ class AuthController extends BaseController {
     this._registerRoutes();
   }
   _registerRoutes() {
+    // Self-service registration and email verification
+    this.router.post('/register', registerLimiter, this.register);
+    this.router.post('/verify-email', this.verifyEmail);
+    this.router.post('/verify-email/resend', resendVerificationLimiter, this.resendVerification);
+    
     // Refresh token endpoint
     this.router.post('/refresh-token', this.refreshToken);
     
@@ -24,8 +47,100 @@ class AuthController extends BaseController {
     
     // Get current user info
     this.router.get('/me', authenticate, this.getCurrentUser);
+    
+    // Sign-in sessions and history of the current user
+    this.router.get('/sessions', authenticate, this.getSessions);
+    this.router.delete('/sessions/:id', authenticate, this.revokeSession);
+    this.router.get('/history', authenticate, this.getAuthHistory);
+    
+    // Two-factor authentication of the current user
+    this.router.get('/2fa', authenticate, this.getTwoFactorStatus);
+    this.router.post('/2fa/setup', authenticate, this.setupTwoFactor);
+    this.router.post('/2fa/enable', authenticate, this.enableTwoFactor);
+    this.router.post('/2fa/disable', authenticate, this.disableTwoFactor);
+    this.router.post('/2fa/recovery-codes', authenticate, this.regenerateRecoveryCodes);
   }
 
+  /**
+   * Register a customer account; the user can sign in after verifying their email
+   * @route POST /api/auth/register
+   */
+  register = async (req, res) => {
+    try {
+      const { username, email, password, full_name } = req.body || {};
+      
+      const result = await authService.register({ username, email, password, full_name }, {
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      });
+      
+      return this.sendSuccess(res, {
+        user: result.user,
+        verificationRequired: result.verificationRequired,
+        message: 'Account created. Please check your email to verify your address before signing in'
+      }, 201);
+    } catch (error) {
+      if (error.code === 'PASSWORD_POLICY') {
+        return this.sendBadRequest(res, error.message, error.errors);
+      }
+      if (error.message.includes('already exists')
+        || error.message.includes('required')
+        || error.message.includes('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Verify the email address of a self-registered user with the token from the email link
+   * @route POST /api/auth/verify-email
+   */
+  verifyEmail = async (req, res) => {
+    try {
+      const { token } = req.body || {};
+      
+      if (!token) {
+        return this.sendBadRequest(res, 'Verification token is required');
+      }
+      
+      try {
+        const result = await emailVerificationService.verifyEmail(token);
+        return this.sendSuccess(res, {
+          username: result.username,
+          message: 'Email verified. You can now sign in'
+        });
+      } catch (verifyError) {
+        return this.sendBadRequest(res, verifyError.message);
+      }
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Send a new verification email to an unverified account
+   * @route POST /api/auth/verify-email/resend
+   */
+  resendVerification = async (req, res) => {
+    try {
+      const { email } = req.body || {};
+      
+      if (!email) {
+        return this.sendBadRequest(res, 'Email is required');
+      }
+      
+      await emailVerificationService.resendVerification(email);
+      
+      // Luôn trả về cùng một thông báo để không lộ email nào đã đăng ký
+      return this.sendSuccess(res, {
+        message: 'If an unverified account with this email exists, a new verification link will be sent'
+      });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
   /**
    * Refresh access token using a refresh token
    * @route POST /api/auth/refresh-token
@@ -39,13 +154,21 @@ class AuthController extends BaseController {
       }
         try {
         // Sử dụng authService để refresh token
-        const result = await authService.refreshToken(refreshToken);
+        const result = await authService.refreshToken(refreshToken, {
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip
+        });
         
+        // Refresh token cũ không còn dùng được, client phải lưu token mới
         return this.sendSuccess(res, {
           accessToken: result.accessToken,
+          refreshToken: result.refreshToken,
           expiresIn: result.expiresIn
         });
       } catch (authError) {
+        if (authError.code === 'TOKEN_ROTATION_FAILED') {
+          return this.sendError(res, 'Could not refresh the token, please try again');
+        }
         return this.sendUnauthorized(res, authError.message || 'Invalid refresh token');
       }
     } catch (error) {
@@ -106,12 +229,151 @@ class AuthController extends BaseController {
         return this.sendUnauthorized(res, 'User not authenticated');
       }
 
-      // Return the user data that was attached by authenticate middleware
-      return this.sendSuccess(res, req.user);
+      // Return the user data that was attached by authenticate middleware,
+      // with the permissions of the user's role so the admin UI can hide actions
+      const permissions = await roleService.getPermissionNames(req.user.role);
+      return this.sendSuccess(res, { ...req.user, permissions });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * List the active sign-in sessions (devices) of the current user
+   * @route GET /api/auth/sessions
+   */
+  getSessions = async (req, res) => {
+    try {
+      const sessions = await authService.getUserActiveSessions(req.user.id);
+      return this.sendSuccess(res, sessions);
     } catch (error) {
       return this.sendError(res, error.message);
     }
   };
+
+  /**
+   * Sign out one device of the current user
+   * @route DELETE /api/auth/sessions/:id
+   */
+  revokeSession = async (req, res) => {
+    try {
+      const revoked = await authService.revokeSession(req.user.id, req.params.id);
+      
+      if (!revoked) {
+        return this.sendNotFound(res, 'Session not found');
+      }
+      
+      return this.sendSuccess(res, { message: 'Session revoked' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get the recent authentication activity of the current user
+   * @route GET /api/auth/history
+   */
+  getAuthHistory = async (req, res) => {
+    try {
+      const history = await authService.getUserAuthHistory(req.user.id, req.query.limit);
+      return this.sendSuccess(res, history);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get the two-factor status of the current user
+   * @route GET /api/auth/2fa
+   */
+  getTwoFactorStatus = async (req, res) => {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+      return this.sendSuccess(res, status);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Start two-factor enrollment: returns the secret, otpauth URI and QR code
+   * @route POST /api/auth/2fa/setup
+   */
+  setupTwoFactor = async (req, res) => {
+    try {
+      const enrollment = await twoFactorService.startEnrollment(req.user);
+      return this.sendSuccess(res, enrollment);
+    } catch (error) {
+      return this.handleTwoFactorError(res, error);
+    }
+  };
+
+  /**
+   * Confirm the first code and enable two-factor authentication
+   * @route POST /api/auth/2fa/enable
+   */
+  enableTwoFactor = async (req, res) => {
+    try {
+      if (!req.body.code) {
+        return this.sendBadRequest(res, 'Verification code is required');
+      }
+
+      const result = await twoFactorService.enable(req.user.id, req.body.code);
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      return this.handleTwoFactorError(res, error);
+    }
+  };
+
+  /**
+   * Disable two-factor authentication
+   * @route POST /api/auth/2fa/disable
+   */
+  disableTwoFactor = async (req, res) => {
+    try {
+      const { password, code } = req.body;
+      if (!password || !code) {
+        return this.sendBadRequest(res, 'Password and verification code are required');
+      }
+
+      await twoFactorService.disable(req.user.id, password, code);
+      return this.sendSuccess(res, { message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      return this.handleTwoFactorError(res, error);
+    }
+  };
+
+  /**
+   * Replace the recovery codes of the current user
+   * @route POST /api/auth/2fa/recovery-codes
+   */
+  regenerateRecoveryCodes = async (req, res) => {
+    try {
+      if (!req.body.code) {
+        return this.sendBadRequest(res, 'Verification code is required');
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      return this.handleTwoFactorError(res, error);
+    }
+  };
+
+  /**
+   * Map two-factor service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleTwoFactorError(res, error) {
+    if (error.message.startsWith('Two-factor')) {
+      return this.sendError(res, error.message, 409);
+    }
+    if (error.message === 'Invalid verification code' || error.message === 'Password is incorrect') {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
 }
 
 // Create and export a singleton instance
@@ -3,6 +3,14 @@
  * Base class for RESTful API controllers with common response methods
  */
 
+import { toETag, parseIfMatch } from '../../lib/etag-helper.js';
+
+// Error codes of a failed optimistic concurrency check, with their HTTP status
+const VERSION_CONFLICT_STATUS = {
+  PRECONDITION_FAILED: 412,
+  VERSION_CONFLICT: 409
+};
+
 /**
  * BaseController provides common response methods for API controllers
  */
@@ -91,6 +99,84 @@ class BaseController {
     return this.sendError(res, message, 403);
   }
 
+  /**
+   * Get the authenticated user making a change, recorded in the audit trail
+   * @param {Object} req - Express request object
+   * @returns {Object|null} - { id, username, ip } or null for anonymous requests
+   */
+  getActor(req) {
+    if (!req.user) {
+      return null;
+    }
+
+    return {
+      id: req.user.id,
+      username: req.user.username,
+      ip: req.ip
+    };
+  }
+
+  /**
+   * Set the ETag header from the row version of a record
+   * The ETag only identifies the editable version (counters such as views do not change it),
+   * so the response is not stored by the browser to avoid revalidating it against a stale copy
+   * @param {Object} res - Express response object
+   * @param {Object} record - Record with its row_version
+   */
+  setETag(res, record) {
+    if (record && record.row_version !== undefined && record.row_version !== null) {
+      res.set('ETag', toETag(record.row_version));
+      res.set('Cache-Control', 'no-store');
+    }
+  }
+
+  /**
+   * Get the versions a client edited from the If-Match header
+   * @param {Object} req - Express request object
+   * @returns {Array<number>|string|null} - Parsed If-Match header, null when it is not sent
+   */
+  getIfMatch(req) {
+    return parseIfMatch(req.get('If-Match'));
+  }
+
+  /**
+   * Send a 428 response for an update without If-Match, which could overwrite changes the client never saw
+   * @param {Object} res - Express response object
+   */
+  sendPreconditionRequired(res) {
+    return res.status(428).json({
+      success: false,
+      message: 'Send the ETag of the version you edited in the If-Match header, or "*" to overwrite any version',
+      code: 'PRECONDITION_REQUIRED'
+    });
+  }
+
+  /**
+   * Check whether an error is a failed optimistic concurrency check
+   * @param {Error} error - Error thrown by a service
+   * @returns {boolean} - True for 'PRECONDITION_FAILED' and 'VERSION_CONFLICT'
+   */
+  isVersionConflict(error) {
+    return Object.prototype.hasOwnProperty.call(VERSION_CONFLICT_STATUS, error.code);
+  }
+
+  /**
+   * Send a version conflict response with the current record, so the client can show what changed
+   * 412 when If-Match did not match, 409 when the record changed while it was being saved
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by a service
+   * @param {Object} current - Current record (default: the record attached to the error)
+   */
+  sendVersionConflict(res, error, current = error.current) {
+    this.setETag(res, current);
+    return res.status(VERSION_CONFLICT_STATUS[error.code]).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      data: current || null
+    });
+  }
+
   /**
    * Send a custom response
    * @param {Object} res - Express response object
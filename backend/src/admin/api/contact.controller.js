@@ -0,0 +1,179 @@
+/**
+ * Contact Controller
+ * RESTful API controller for the public contact form and the admin inbox
+ */
+
+import BaseController from './base.controller.js';
+import contactMessageService from '../../core/services/contact-message.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+/**
+ * ContactController handles HTTP requests related to contact messages
+ * Implements RESTful API endpoints for contact form submissions
+ */
+class ContactController extends BaseController {
+  constructor() {
+    super();
+    this.contactMessageService = contactMessageService;
+  }
+
+  /**
+   * Read the inbox filters from the query string
+   * @param {Object} query - Express request query
+   * @returns {Object} - Filter options
+   */
+  getFilterOptions(query) {
+    return {
+      search: query.search || '',
+      readStatus: query.read_status || query.readStatus,
+      serviceInterest: query.service_interest || query.serviceInterest,
+      from: query.from,
+      to: query.to,
+      filters: parseQuerySpec(query).filters
+    };
+  }
+
+  /**
+   * Submit the public contact form
+   * @route POST /api/contact
+   */
+  submitMessage = async (req, res) => {
+    try {
+      await this.contactMessageService.submitMessage(req.body);
+      // Spam bị loại bởi honeypot cũng nhận phản hồi giống hệt để bot không nhận ra
+      return this.sendSuccess(res, { message: 'Thank you, your message has been sent' }, 201);
+    } catch (error) {
+      return this.handleContactError(res, error);
+    }
+  };
+
+  /**
+   * Get all contact messages with pagination and filtering
+   * @route GET /api/contact-messages
+   */
+  getMessages = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 20,
+        sort: parseQuerySpec(req.query).sort,
+        ...this.getFilterOptions(req.query)
+      };
+
+      const result = await this.contactMessageService.getMessages(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleContactError(res, error);
+    }
+  };
+
+  /**
+   * Get total and unread message counts
+   * @route GET /api/contact-messages/stats
+   */
+  getStats = async (req, res) => {
+    try {
+      const stats = await this.contactMessageService.getStats();
+      return this.sendSuccess(res, stats);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Export the contact messages matching the filters as a CSV download
+   * @route GET /api/contact-messages/export
+   */
+  exportMessages = async (req, res) => {
+    try {
+      const csv = await this.contactMessageService.exportMessagesCsv(this.getFilterOptions(req.query));
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="contact-messages-${date}.csv"`);
+      // BOM giúp Excel đọc đúng tiếng Việt
+      return res.status(200).send('﻿' + csv);
+    } catch (error) {
+      return this.handleContactError(res, error);
+    }
+  };
+
+  /**
+   * Get a contact message by ID
+   * @route GET /api/contact-messages/:id
+   */
+  getMessageById = async (req, res) => {
+    try {
+      const messageId = parseInt(req.params.id);
+      const message = await this.contactMessageService.getMessageById(messageId);
+
+      if (!message) {
+        return this.sendNotFound(res, 'Message not found');
+      }
+
+      return this.sendSuccess(res, message);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Mark a contact message as read or unread
+   * @route PUT /api/contact-messages/:id/read
+   */
+  setReadStatus = async (req, res) => {
+    try {
+      const messageId = parseInt(req.params.id);
+
+      if (typeof req.body.read !== 'boolean') {
+        return this.sendBadRequest(res, 'Read flag is required');
+      }
+
+      const message = await this.contactMessageService.setReadStatus(messageId, req.body.read, this.getActor(req));
+      return this.sendSuccess(res, message);
+    } catch (error) {
+      return this.handleContactError(res, error);
+    }
+  };
+
+  /**
+   * Delete a contact message
+   * @route DELETE /api/contact-messages/:id
+   */
+  deleteMessage = async (req, res) => {
+    try {
+      const messageId = parseInt(req.params.id);
+      const deleted = await this.contactMessageService.deleteMessage(messageId, this.getActor(req));
+
+      if (!deleted) {
+        return this.sendNotFound(res, 'Message not found');
+      }
+
+      return this.sendSuccess(res, { message: 'Message deleted successfully' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Map contact message service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleContactError(res, error) {
+    if (error.message === 'Message not found') {
+      return this.sendNotFound(res, error.message);
+    }
+    if (error.errors) {
+      return this.sendBadRequest(res, error.message, error.errors);
+    }
+    if (error.message.includes('Invalid') || error.message.includes('required')) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const contactController = new ContactController();
+export default contactController;
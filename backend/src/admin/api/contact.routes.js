@@ -0,0 +1,31 @@
+/**
+ * Contact Routes
+ * RESTful API routes for the contact form and contact message inbox
+ */
+
+import express from 'express';
+import contactController from './contact.controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { createRateLimiter } from '../../middleware/rate-limit.js';
+
+const router = express.Router();
+
+// Giới hạn số lần gửi form liên hệ từ cùng một IP
+const contactLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many messages sent, please try again later'
+});
+
+// Public routes (contact form on the website)
+router.post('/contact', contactLimiter, contactController.submitMessage);
+
+// Protected routes (reading requires messages.view, marking as read messages.update, deleting messages.delete)
+router.get('/contact-messages', authenticate, requirePermission('messages.view'), contactController.getMessages);
+router.get('/contact-messages/stats', authenticate, requirePermission('messages.view'), contactController.getStats);
+router.get('/contact-messages/export', authenticate, requirePermission('messages.view'), contactController.exportMessages);
+router.get('/contact-messages/:id', authenticate, requirePermission('messages.view'), contactController.getMessageById);
+router.put('/contact-messages/:id/read', authenticate, requirePermission('messages.update'), contactController.setReadStatus);
+router.delete('/contact-messages/:id', authenticate, requirePermission('messages.delete'), contactController.deleteMessage);
+
+export default router;
@@ -0,0 +1,134 @@
+/**
+ * File Controller
+ * RESTful API controller for file uploads and the media library
+ */
+
+import BaseController from './base.controller.js';
+import fileService from '../../core/services/file.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+/**
+ * FileController handles HTTP requests related to uploaded files
+ * Implements RESTful API endpoints for media management
+ */
+class FileController extends BaseController {
+  constructor() {
+    super();
+    this.fileService = fileService;
+  }
+
+  /**
+   * Upload a single file (multipart field "file")
+   * @route POST /api/files/upload
+   */
+  uploadFile = async (req, res) => {
+    try {
+      if (!req.file) {
+        return this.sendBadRequest(res, 'File is required');
+      }
+
+      const file = await this.fileService.uploadFile(req.file, {
+        usageType: req.body?.usage_type,
+        userId: req.user.id,
+        actor: this.getActor(req)
+      });
+      return this.sendSuccess(res, file, 201);
+    } catch (error) {
+      return this.handleFileError(res, error);
+    }
+  };
+
+  /**
+   * Get uploaded files with pagination and filtering
+   * @route GET /api/files
+   */
+  getFiles = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 20,
+        search: req.query.search || '',
+        type: req.query.type,
+        usageType: req.query.usage_type || req.query.usageType,
+        uploadedBy: parseInt(req.query.uploadedBy) || undefined,
+        ...parseQuerySpec(req.query)
+      };
+
+      const result = await this.fileService.getFiles(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleFileError(res, error);
+    }
+  };
+
+  /**
+   * Get a file by ID including the records that reference it
+   * @route GET /api/files/:id
+   */
+  getFileById = async (req, res) => {
+    try {
+      const fileId = parseInt(req.params.id);
+      const file = await this.fileService.getFileById(fileId);
+
+      if (!file) {
+        return this.sendNotFound(res, 'File not found');
+      }
+
+      return this.sendSuccess(res, file);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Delete a file (use ?force=true to delete a file that is still referenced)
+   * @route DELETE /api/files/:id
+   */
+  deleteFile = async (req, res) => {
+    try {
+      const fileId = parseInt(req.params.id);
+      const deleted = await this.fileService.deleteFile(fileId, req.user, {
+        force: req.query.force === 'true',
+        actor: this.getActor(req)
+      });
+
+      if (!deleted) {
+        return this.sendNotFound(res, 'File not found');
+      }
+
+      return this.sendSuccess(res, { message: 'File deleted successfully' });
+    } catch (error) {
+      return this.handleFileError(res, error);
+    }
+  };
+
+  /**
+   * Map file service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleFileError(res, error) {
+    if (error.message.startsWith('You can only')) {
+      return this.sendForbidden(res, error.message);
+    }
+    if (error.message.startsWith('File is in use')) {
+      return this.sendError(res, error.message, 409);
+    }
+    if (error.message === 'File is too large') {
+      return this.sendError(res, error.message, 413);
+    }
+    if (
+      error.message.includes('Invalid') ||
+      error.message.includes('not allowed') ||
+      error.message.includes('does not match') ||
+      error.message.includes('required')
+    ) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const fileController = new FileController();
+export default fileController;
@@ -0,0 +1,19 @@
+/**
+ * File Routes
+ * RESTful API routes for file uploads and the media library
+ */
+
+import express from 'express';
+import fileController from './file.controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { uploadSingle } from '../../middleware/upload.js';
+
+const router = express.Router();
+
+// Protected routes (uploading requires files.upload, reading files.view, deleting files.delete)
+router.post('/files/upload', authenticate, requirePermission('files.upload'), uploadSingle('file'), fileController.uploadFile);
+router.get('/files', authenticate, requirePermission('files.view'), fileController.getFiles);
+router.get('/files/:id', authenticate, requirePermission('files.view'), fileController.getFileById);
+router.delete('/files/:id', authenticate, requirePermission('files.delete'), fileController.deleteFile);
+
+export default router;
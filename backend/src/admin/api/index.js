@@ -8,6 +8,13 @@ import userRoutes from './user.routes.js';
 import roleRoutes from './role.routes.js';
 import passwordResetRoutes from './password-reset.routes.js';
 import authRoutes from './auth.routes.js';
+import newsRoutes from './news.routes.js';
+import productRoutes from './product.routes.js';
+import projectRoutes from './project.routes.js';
+import fileRoutes from './file.routes.js';
+import contactRoutes from './contact.routes.js';
+import auditLogRoutes from './audit-log.routes.js';
+import trashRoutes from './trash.routes.js';
 // Import other route files here as needed
 
 const router = express.Router();
@@ -28,6 +35,13 @@ router.use('/', userRoutes);
 router.use('/', roleRoutes);
 router.use('/', passwordResetRoutes);
 router.use('/', authRoutes);
+router.use('/', newsRoutes);
+router.use('/', productRoutes);
+router.use('/', projectRoutes);
+router.use('/', fileRoutes);
+router.use('/', contactRoutes);
+router.use('/', auditLogRoutes);
+router.use('/', trashRoutes);
 // Add other routes here
 
 export default router;
\ No newline at end of file
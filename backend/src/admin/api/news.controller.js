@@ -0,0 +1,259 @@
+/**
+ * News Controller
+ * RESTful API controller for news management
+ */
+
+import BaseController from './base.controller.js';
+import newsService from '../../core/services/news.service.js';
+import authorizationService from '../../core/services/authorization.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+/**
+ * NewsController handles HTTP requests related to news articles
+ * Implements RESTful API endpoints for news management
+ */
+class NewsController extends BaseController {
+  constructor() {
+    super();
+    this.newsService = newsService;
+  }
+
+  /**
+   * Check if the current request may see unpublished articles (news.view permission)
+   * @param {Object} req - Express request object
+   * @returns {Promise<boolean>} - True if the user can see drafts and archived articles
+   */
+  async canViewUnpublished(req) {
+    return !!req.user && await authorizationService.hasPermission(req.user.id, 'news.view');
+  }
+
+  /**
+   * Get all news articles with pagination and filtering
+   * Anonymous users and customers only see published articles
+   * @route GET /api/news
+   */
+  getNews = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 10,
+        search: req.query.search || '',
+        status: req.query.status,
+        categoryId: parseInt(req.query.categoryId) || undefined,
+        category: req.query.category,
+        tag: req.query.tag,
+        ...parseQuerySpec(req.query)
+      };
+
+      if (req.query.featured !== undefined) {
+        options.featured = req.query.featured === 'true' || req.query.featured === '1';
+      }
+
+      if (!(await this.canViewUnpublished(req))) {
+        options.status = 'published';
+      }
+
+      const result = await this.newsService.getNews(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Get a news article by ID
+   * @route GET /api/news/:id
+   */
+  getNewsById = async (req, res) => {
+    try {
+      const newsId = parseInt(req.params.id);
+      const news = await this.newsService.getNewsById(newsId);
+
+      if (!news) {
+        return this.sendNotFound(res, 'News not found');
+      }
+
+      this.setETag(res, news);
+      return this.sendSuccess(res, news);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get a news article by slug
+   * Unpublished articles are hidden from the public
+   * @route GET /api/news/slug/:slug
+   */
+  getNewsBySlug = async (req, res) => {
+    try {
+      const news = await this.newsService.getNewsBySlug(req.params.slug);
+
+      if (!news || (news.status !== 'published' && !(await this.canViewUnpublished(req)))) {
+        return this.sendNotFound(res, 'News not found');
+      }
+
+      if (news.status === 'published') {
+        await this.newsService.recordView(news.id);
+      }
+
+      return this.sendSuccess(res, news);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get the categories with their news counts
+   * The public only sees categories with published articles
+   * @route GET /api/news/categories
+   */
+  getCategories = async (req, res) => {
+    try {
+      const status = await this.canViewUnpublished(req) ? undefined : 'published';
+      const categories = await this.newsService.getCategories(status);
+      return this.sendSuccess(res, categories);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get all tags available for news
+   * @route GET /api/news/tags
+   */
+  getTags = async (req, res) => {
+    try {
+      const tags = await this.newsService.getTags();
+      return this.sendSuccess(res, tags);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Create a new news article
+   * @route POST /api/news
+   */
+  createNews = async (req, res) => {
+    try {
+      const { title, content, category_id } = req.body;
+
+      if (!title || !content || !category_id) {
+        return this.sendBadRequest(res, 'Title, content and category are required');
+      }
+
+      const newNews = await this.newsService.createNews(req.body, req.user.id, this.getActor(req));
+      return this.sendSuccess(res, newNews, 201);
+    } catch (error) {
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Update a news article
+   * @route PUT /api/news/:id
+   */
+  updateNews = async (req, res) => {
+    const newsId = parseInt(req.params.id);
+    try {
+      const ifMatch = this.getIfMatch(req);
+      if (ifMatch === null) {
+        return this.sendPreconditionRequired(res);
+      }
+
+      const updatedNews = await this.newsService.updateNews(newsId, req.body, this.getActor(req), { ifMatch });
+      this.setETag(res, updatedNews);
+      return this.sendSuccess(res, updatedNews);
+    } catch (error) {
+      if (this.isVersionConflict(error)) {
+        return this.sendVersionConflict(res, error, await this.newsService.getNewsById(newsId));
+      }
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Delete a news article
+   * @route DELETE /api/news/:id
+   */
+  deleteNews = async (req, res) => {
+    try {
+      const newsId = parseInt(req.params.id);
+      const deleted = await this.newsService.deleteNews(newsId, this.getActor(req));
+
+      if (!deleted) {
+        return this.sendNotFound(res, 'News not found');
+      }
+
+      return this.sendSuccess(res, { message: 'News deleted successfully' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Publish a news article
+   * @route POST /api/news/:id/publish
+   */
+  publishNews = async (req, res) => {
+    try {
+      const news = await this.newsService.publish(parseInt(req.params.id), this.getActor(req));
+      return this.sendSuccess(res, news);
+    } catch (error) {
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Move a news article back to draft
+   * @route POST /api/news/:id/draft
+   */
+  draftNews = async (req, res) => {
+    try {
+      const news = await this.newsService.unpublish(parseInt(req.params.id), this.getActor(req));
+      return this.sendSuccess(res, news);
+    } catch (error) {
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Archive a news article
+   * @route POST /api/news/:id/archive
+   */
+  archiveNews = async (req, res) => {
+    try {
+      const news = await this.newsService.archive(parseInt(req.params.id), this.getActor(req));
+      return this.sendSuccess(res, news);
+    } catch (error) {
+      return this.handleNewsError(res, error);
+    }
+  };
+
+  /**
+   * Map news service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleNewsError(res, error) {
+    if (error.message === 'News not found' || error.message === 'Category not found') {
+      return this.sendNotFound(res, error.message);
+    }
+    if (
+      error.message.startsWith('Invalid query') ||
+      error.message.includes('already exists') ||
+      error.message.includes('Invalid status') ||
+      error.message.includes('required') ||
+      error.message.includes('cannot be empty') ||
+      error.message === 'No data provided for update'
+    ) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const newsController = new NewsController();
+export default newsController;
@@ -0,0 +1,29 @@
+/**
+ * News Routes
+ * RESTful API routes for news resource
+ */
+
+import express from 'express';
+import newsController from './news.controller.js';
+import { authenticate, requirePermission, optionalAuth } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes (managers also see drafts and archived articles)
+router.get('/news', optionalAuth, newsController.getNews);
+router.get('/news/slug/:slug', optionalAuth, newsController.getNewsBySlug);
+router.get('/news/categories', optionalAuth, newsController.getCategories);
+router.get('/news/tags', newsController.getTags);
+
+// Protected routes (each requires the permission of its action: news.view, news.create, news.update, news.delete)
+router.get('/news/:id', authenticate, requirePermission('news.view'), newsController.getNewsById);
+router.post('/news', authenticate, requirePermission('news.create'), newsController.createNews);
+router.put('/news/:id', authenticate, requirePermission('news.update'), newsController.updateNews);
+router.delete('/news/:id', authenticate, requirePermission('news.delete'), newsController.deleteNews);
+
+// Publishing workflow (requires the news.publish permission)
+router.post('/news/:id/publish', authenticate, requirePermission('news.publish'), newsController.publishNews);
+router.post('/news/:id/draft', authenticate, requirePermission('news.publish'), newsController.draftNews);
+router.post('/news/:id/archive', authenticate, requirePermission('news.publish'), newsController.archiveNews);
+
+export default router;
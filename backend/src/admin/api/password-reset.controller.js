@@ -5,7 +5,7 @@
 
 import { Router } from 'express';
 import passwordResetService from '../../core/services/password-reset.service.js';
-import { authenticate, authorize } from '../../middleware/auth.js';
+import { authenticate, authorize, hasRole } from '../../middleware/auth.js';
 import config from '../../config.js';
 
 const passwordResetController = Router();
@@ -34,7 +34,8 @@ passwordResetController.post('/request', async (req, res) => {
     // Always return success (even if email not found) to prevent email enumeration
     // The actual result is logged and can be used to send an email
     if (result.success) {
-      console.log('Password reset token created:', result.data);
+      // The token is only sent by email, never logged
+      console.log('Password reset email sent to user', result.data.userId);
       // TODO: Send email with reset link
       // The reset link should be something like: /reset-password?token=<token>
     } else {
@@ -98,30 +99,15 @@ passwordResetController.post('/reset', async (req, res) => {
         message: 'Token and password are required'
       });
     }
-      // Validate password strength with more comprehensive rules
-    if (password.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 8 characters long'
-      });
-    }
     
-    // Check for password complexity
-    const hasUpperCase = /[A-Z]/.test(password);
-    const hasLowerCase = /[a-z]/.test(password);
-    const hasNumbers = /[0-9]/.test(password);
-    const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
+    // Reset the password; the service enforces the password policy
+    const result = await passwordResetService.resetPassword(token, password);
     
-    if (!(hasUpperCase && hasLowerCase && hasNumbers && hasSpecialChar)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-      });
+    // Password rejected by the policy: field-level errors for the form
+    if (result.errors) {
+      return res.status(400).json(result);
     }
     
-    // Reset the password
-    const result = await passwordResetService.resetPassword(token, password);
-    
     return res.json(result);
     
   } catch (error) {
@@ -138,7 +124,7 @@ passwordResetController.post('/reset', async (req, res) => {
  * DELETE /api/auth/reset-password/cleanup
  * Requires admin privileges
  */
-passwordResetController.delete('/cleanup', authenticate, authorize(['admin']), async (req, res) => {
+passwordResetController.delete('/cleanup', authenticate, authorize(hasRole(config.roles.ADMIN)), async (req, res) => {
   try {
     const deletedCount = await passwordResetService.cleanupExpiredTokens();
     
@@ -161,7 +147,7 @@ passwordResetController.delete('/cleanup', authenticate, authorize(['admin']), a
  * POST /api/auth/reset-password/debug/get-token
  * Requires admin privileges
  */
-passwordResetController.post('/debug/get-token', authenticate, authorize(['admin']), async (req, res) => {
+passwordResetController.post('/debug/get-token', authenticate, authorize(hasRole(config.roles.ADMIN)), async (req, res) => {
   // Temporarily allow debug endpoint regardless of environment mode for our test
   // Original code:
   // if (process.env.NODE_ENV !== 'test' && process.env.NODE_ENV !== 'development') {
@@ -214,7 +200,7 @@ passwordResetController.post('/debug/get-token', authenticate, authorize(['admin
  * DELETE /api/auth/reset-password/user/:userId
  * Requires admin privileges
  */
-passwordResetController.delete('/user/:userId', authenticate, authorize(['admin']), async (req, res) => {
+passwordResetController.delete('/user/:userId', authenticate, authorize(hasRole(config.roles.ADMIN)), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
     if (!userId) {
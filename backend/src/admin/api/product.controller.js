@@ -0,0 +1,201 @@
+/**
+ * Product Controller
+ * RESTful API controller for product catalog management
+ */
+
+import BaseController from './base.controller.js';
+import productService from '../../core/services/product.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+// Roles allowed to see inactive products
+const PRODUCT_MANAGER_ROLES = ['admin', 'editor'];
+
+/**
+ * ProductController handles HTTP requests related to products
+ * Implements RESTful API endpoints for product management
+ */
+class ProductController extends BaseController {
+  constructor() {
+    super();
+    this.productService = productService;
+  }
+
+  /**
+   * Check if the current request comes from a product manager
+   * @param {Object} req - Express request object
+   * @returns {boolean} - True if the user can manage products
+   */
+  isProductManager(req) {
+    return !!req.user && PRODUCT_MANAGER_ROLES.includes(req.user.role);
+  }
+
+  /**
+   * Get all products with pagination and filtering
+   * Anonymous users and customers only see active products
+   * @route GET /api/products
+   */
+  getProducts = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 10,
+        search: req.query.search || '',
+        status: req.query.status,
+        categoryId: parseInt(req.query.categoryId) || undefined,
+        category: req.query.category,
+        ...parseQuerySpec(req.query)
+      };
+
+      if (!this.isProductManager(req)) {
+        options.status = 'active';
+      }
+
+      const result = await this.productService.getProducts(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleProductError(res, error);
+    }
+  };
+
+  /**
+   * Get a product by ID
+   * @route GET /api/products/:id
+   */
+  getProductById = async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+      const product = await this.productService.getProductById(productId);
+
+      if (!product) {
+        return this.sendNotFound(res, 'Product not found');
+      }
+
+      this.setETag(res, product);
+      return this.sendSuccess(res, product);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get a product by slug
+   * Inactive products are hidden from the public
+   * @route GET /api/products/slug/:slug
+   */
+  getProductBySlug = async (req, res) => {
+    try {
+      const product = await this.productService.getProductBySlug(req.params.slug);
+
+      if (!product || (product.status !== 'active' && !this.isProductManager(req))) {
+        return this.sendNotFound(res, 'Product not found');
+      }
+
+      return this.sendSuccess(res, product);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get categories with their product counts
+   * The public only sees categories that contain active products
+   * @route GET /api/products/categories
+   */
+  getCategories = async (req, res) => {
+    try {
+      const status = this.isProductManager(req) ? undefined : 'active';
+      const categories = await this.productService.getCategories(status);
+      return this.sendSuccess(res, categories);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Create a new product
+   * @route POST /api/products
+   */
+  createProduct = async (req, res) => {
+    try {
+      const { name, category_id } = req.body;
+
+      if (!name || !category_id) {
+        return this.sendBadRequest(res, 'Name and category are required');
+      }
+
+      const newProduct = await this.productService.createProduct(req.body, this.getActor(req));
+      return this.sendSuccess(res, newProduct, 201);
+    } catch (error) {
+      return this.handleProductError(res, error);
+    }
+  };
+
+  /**
+   * Update a product
+   * @route PUT /api/products/:id
+   */
+  updateProduct = async (req, res) => {
+    const productId = parseInt(req.params.id);
+    try {
+      const ifMatch = this.getIfMatch(req);
+      if (ifMatch === null) {
+        return this.sendPreconditionRequired(res);
+      }
+
+      const updatedProduct = await this.productService.updateProduct(productId, req.body, this.getActor(req), { ifMatch });
+      this.setETag(res, updatedProduct);
+      return this.sendSuccess(res, updatedProduct);
+    } catch (error) {
+      if (this.isVersionConflict(error)) {
+        return this.sendVersionConflict(res, error, await this.productService.getProductById(productId));
+      }
+      return this.handleProductError(res, error);
+    }
+  };
+
+  /**
+   * Delete a product
+   * @route DELETE /api/products/:id
+   */
+  deleteProduct = async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+      const deleted = await this.productService.deleteProduct(productId, this.getActor(req));
+
+      if (!deleted) {
+        return this.sendNotFound(res, 'Product not found');
+      }
+
+      return this.sendSuccess(res, { message: 'Product deleted successfully' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Map product service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleProductError(res, error) {
+    if (error.message === 'Product not found' || error.message === 'Category not found') {
+      return this.sendNotFound(res, error.message);
+    }
+    if (
+      error.message.startsWith('Invalid query') ||
+      error.message.includes('already exists') ||
+      error.message.includes('Invalid status') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('cannot be empty') ||
+      error.message === 'No data provided for update'
+    ) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const productController = new ProductController();
+export default productController;
@@ -0,0 +1,23 @@
+/**
+ * Product Routes
+ * RESTful API routes for product resource
+ */
+
+import express from 'express';
+import productController from './product.controller.js';
+import { authenticate, requirePermission, optionalAuth } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes (managers also see inactive products)
+router.get('/products', optionalAuth, productController.getProducts);
+router.get('/products/slug/:slug', optionalAuth, productController.getProductBySlug);
+router.get('/products/categories', optionalAuth, productController.getCategories);
+
+// Protected routes (each requires the permission of its action: products.view, products.create, products.update, products.delete)
+router.get('/products/:id', authenticate, requirePermission('products.view'), productController.getProductById);
+router.post('/products', authenticate, requirePermission('products.create'), productController.createProduct);
+router.put('/products/:id', authenticate, requirePermission('products.update'), productController.updateProduct);
+router.delete('/products/:id', authenticate, requirePermission('products.delete'), productController.deleteProduct);
+
+export default router;
@@ -0,0 +1,221 @@
+/**
+ * Project Controller
+ * RESTful API controller for project portfolio and project team management
+ */
+
+import BaseController from './base.controller.js';
+import projectService from '../../core/services/project.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+/**
+ * ProjectController handles HTTP requests related to projects
+ * Implements RESTful API endpoints for project management
+ */
+class ProjectController extends BaseController {
+  constructor() {
+    super();
+    this.projectService = projectService;
+  }
+
+  /**
+   * Get all projects with pagination and filtering
+   * @route GET /api/projects
+   */
+  getProjects = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: parseInt(req.query.pageSize) || 10,
+        search: req.query.search || '',
+        projectType: req.query.project_type || req.query.projectType,
+        status: req.query.status,
+        year: parseInt(req.query.year) || undefined,
+        ...parseQuerySpec(req.query)
+      };
+
+      const result = await this.projectService.getProjects(options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Get a project by ID including images and members
+   * @route GET /api/projects/:id
+   */
+  getProjectById = async (req, res) => {
+    try {
+      const projectId = parseInt(req.params.id);
+      const project = await this.projectService.getProjectById(projectId);
+
+      if (!project) {
+        return this.sendNotFound(res, 'Project not found');
+      }
+
+      this.setETag(res, project);
+      return this.sendSuccess(res, project);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get a project by slug
+   * @route GET /api/projects/slug/:slug
+   */
+  getProjectBySlug = async (req, res) => {
+    try {
+      const project = await this.projectService.getProjectBySlug(req.params.slug);
+
+      if (!project) {
+        return this.sendNotFound(res, 'Project not found');
+      }
+
+      return this.sendSuccess(res, project);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Create a new project
+   * @route POST /api/projects
+   */
+  createProject = async (req, res) => {
+    try {
+      const { title, project_type } = req.body;
+
+      if (!title || !project_type) {
+        return this.sendBadRequest(res, 'Title and project type are required');
+      }
+
+      const newProject = await this.projectService.createProject(req.body, this.getActor(req));
+      return this.sendSuccess(res, newProject, 201);
+    } catch (error) {
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Update a project
+   * @route PUT /api/projects/:id
+   */
+  updateProject = async (req, res) => {
+    const projectId = parseInt(req.params.id);
+    try {
+      const ifMatch = this.getIfMatch(req);
+      if (ifMatch === null) {
+        return this.sendPreconditionRequired(res);
+      }
+
+      const updatedProject = await this.projectService.updateProject(projectId, req.body, this.getActor(req), { ifMatch });
+      this.setETag(res, updatedProject);
+      return this.sendSuccess(res, updatedProject);
+    } catch (error) {
+      if (this.isVersionConflict(error)) {
+        return this.sendVersionConflict(res, error, await this.projectService.getProjectById(projectId));
+      }
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Delete a project
+   * @route DELETE /api/projects/:id
+   */
+  deleteProject = async (req, res) => {
+    try {
+      const projectId = parseInt(req.params.id);
+      const deleted = await this.projectService.deleteProject(projectId, this.getActor(req));
+
+      if (!deleted) {
+        return this.sendNotFound(res, 'Project not found');
+      }
+
+      return this.sendSuccess(res, { message: 'Project deleted successfully' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get the members of a project
+   * @route GET /api/projects/:id/members
+   */
+  getMembers = async (req, res) => {
+    try {
+      const projectId = parseInt(req.params.id);
+      const members = await this.projectService.getMembers(projectId);
+      return this.sendSuccess(res, members);
+    } catch (error) {
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Add a user to a project (or change their project role)
+   * @route POST /api/projects/:id/members
+   */
+  addMember = async (req, res) => {
+    try {
+      const projectId = parseInt(req.params.id);
+      const userId = parseInt(req.body.user_id);
+
+      if (!userId) {
+        return this.sendBadRequest(res, 'User ID is required');
+      }
+
+      const members = await this.projectService.addMember(projectId, userId, req.body.role);
+      return this.sendSuccess(res, members, 201);
+    } catch (error) {
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Remove a user from a project
+   * @route DELETE /api/projects/:id/members/:userId
+   */
+  removeMember = async (req, res) => {
+    try {
+      const projectId = parseInt(req.params.id);
+      const userId = parseInt(req.params.userId);
+      const removed = await this.projectService.removeMember(projectId, userId);
+
+      if (!removed) {
+        return this.sendNotFound(res, 'Project member not found');
+      }
+
+      return this.sendSuccess(res, { message: 'Project member removed successfully' });
+    } catch (error) {
+      return this.handleProjectError(res, error);
+    }
+  };
+
+  /**
+   * Map project service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleProjectError(res, error) {
+    if (error.message === 'Project not found' || error.message === 'User not found') {
+      return this.sendNotFound(res, error.message);
+    }
+    if (
+      error.message.includes('already exists') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('cannot be empty') ||
+      error.message === 'No data provided for update'
+    ) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const projectController = new ProjectController();
+export default projectController;
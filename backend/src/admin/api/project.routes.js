@@ -0,0 +1,27 @@
+/**
+ * Project Routes
+ * RESTful API routes for project resource and project members
+ */
+
+import express from 'express';
+import projectController from './project.controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes (project portfolio shown on the website)
+router.get('/projects', projectController.getProjects);
+router.get('/projects/slug/:slug', projectController.getProjectBySlug);
+
+// Protected routes (each requires the permission of its action: projects.view, projects.create, projects.update, projects.delete)
+router.get('/projects/:id', authenticate, requirePermission('projects.view'), projectController.getProjectById);
+router.post('/projects', authenticate, requirePermission('projects.create'), projectController.createProject);
+router.put('/projects/:id', authenticate, requirePermission('projects.update'), projectController.updateProject);
+router.delete('/projects/:id', authenticate, requirePermission('projects.delete'), projectController.deleteProject);
+
+// Project members (listing requires projects.view, adding and removing requires projects.update)
+router.get('/projects/:id/members', authenticate, requirePermission('projects.view'), projectController.getMembers);
+router.post('/projects/:id/members', authenticate, requirePermission('projects.update'), projectController.addMember);
+router.delete('/projects/:id/members/:userId', authenticate, requirePermission('projects.update'), projectController.removeMember);
+
+export default router;
@@ -1,11 +1,12 @@
 /**
  * Role Controller
- * RESTful API controller for role management
+ * RESTful API controller for role and permission management
  */
 
 import BaseController from './base.controller.js';
 import roleService from '../../core/services/role.service.js';
 import userService from '../../core/services/user.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
 
 /**
  * RoleController handles HTTP requests related to user roles
@@ -19,12 +20,15 @@ class RoleController extends BaseController {
   }
 
   /**
-   * Get all available roles
+   * Get all roles with their permission names
    * @route GET /api/roles
    */
   getAllRoles = async (req, res) => {
     try {
-      const roles = await this.roleService.getAllRoles();
+      const roles = await this.roleService.getAllRoles({
+        name: req.query.name,
+        search: req.query.search
+      });
       return this.sendSuccess(res, roles);
     } catch (error) {
       return this.sendError(res, error.message);
@@ -59,37 +63,183 @@ class RoleController extends BaseController {
     }
   };
 
+  /**
+   * Get a role by ID
+   * @route GET /api/roles/:id
+   */
+  getRoleById = async (req, res) => {
+    try {
+      const roleId = parseInt(req.params.id);
+      if (isNaN(roleId)) {
+        return this.sendBadRequest(res, 'Invalid role ID');
+      }
+
+      const role = await this.roleService.getRoleById(roleId);
+      if (!role) {
+        return this.sendNotFound(res, 'Role not found');
+      }
+
+      return this.sendSuccess(res, role);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Create a custom role
+   * @route POST /api/roles
+   */
+  createRole = async (req, res) => {
+    try {
+      const role = await this.roleService.createRole(req.body, this.getActor(req));
+      return this.sendSuccess(res, role, 201);
+    } catch (error) {
+      return this.handleRoleError(res, error);
+    }
+  };
+
+  /**
+   * Update a role
+   * @route PUT /api/roles/:id
+   */
+  updateRole = async (req, res) => {
+    try {
+      const roleId = parseInt(req.params.id);
+      if (isNaN(roleId)) {
+        return this.sendBadRequest(res, 'Invalid role ID');
+      }
+
+      const role = await this.roleService.updateRole(roleId, req.body, this.getActor(req));
+      return this.sendSuccess(res, role);
+    } catch (error) {
+      return this.handleRoleError(res, error);
+    }
+  };
+
+  /**
+   * Delete a custom role
+   * @route DELETE /api/roles/:id
+   */
+  deleteRole = async (req, res) => {
+    try {
+      const roleId = parseInt(req.params.id);
+      if (isNaN(roleId)) {
+        return this.sendBadRequest(res, 'Invalid role ID');
+      }
+
+      await this.roleService.deleteRole(roleId, this.getActor(req));
+      return this.sendSuccess(res, { message: 'Role deleted successfully' });
+    } catch (error) {
+      return this.handleRoleError(res, error);
+    }
+  };
+
+  /**
+   * Get the permissions granted to a role
+   * @route GET /api/roles/:id/permissions
+   */
+  getRolePermissions = async (req, res) => {
+    try {
+      const roleId = parseInt(req.params.id);
+      if (isNaN(roleId)) {
+        return this.sendBadRequest(res, 'Invalid role ID');
+      }
+
+      const permissions = await this.roleService.getRolePermissions(roleId);
+      return this.sendSuccess(res, permissions);
+    } catch (error) {
+      return this.handleRoleError(res, error);
+    }
+  };
+
+  /**
+   * Replace the permissions granted to a role
+   * @route PUT /api/roles/:id/permissions
+   */
+  setRolePermissions = async (req, res) => {
+    try {
+      const roleId = parseInt(req.params.id);
+      if (isNaN(roleId)) {
+        return this.sendBadRequest(res, 'Invalid role ID');
+      }
+
+      const permissions = await this.roleService.setRolePermissions(roleId, req.body.permission_ids);
+      return this.sendSuccess(res, permissions);
+    } catch (error) {
+      return this.handleRoleError(res, error);
+    }
+  };
+
+  /**
+   * Get all permissions that can be granted to roles
+   * @route GET /api/permissions
+   */
+  getAllPermissions = async (req, res) => {
+    try {
+      const permissions = await this.roleService.getAllPermissions({ module: req.query.module });
+      return this.sendSuccess(res, permissions);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
   /**
    * Get users by role
    * @route GET /api/roles/:role/users
+   * @param {string} role - Role ID or role name
    */
   getUsersByRole = async (req, res) => {
     try {
-      const { role } = req.params;
-      
-      // Check if role is valid
-      const isValid = await this.roleService.isValidRole(role);
-      if (!isValid) {
-        return this.sendBadRequest(res, `Invalid role: ${role}`);
+      const role = await this.roleService.findRole(req.params.role);
+      if (!role) {
+        return this.sendBadRequest(res, `Invalid role: ${req.params.role}`);
       }
-      
+
       // Use the user service to get users with pagination
       const options = {
         page: parseInt(req.query.page) || 1,
         pageSize: parseInt(req.query.pageSize) || 10,
-        sortBy: req.query.sortBy || 'created_at',
-        sortDir: req.query.sortDir || 'desc',
-        role: role
+        ...parseQuerySpec(req.query),
+        role: role.name
       };
-      
+
       const result = await this.userService.getUsers(options);
       return this.sendPaginated(res, result.data, result.pagination);
     } catch (error) {
+      if (error.message.startsWith('Invalid query')) {
+        return this.sendBadRequest(res, error.message);
+      }
       return this.sendError(res, error.message);
     }
   };
+
+  /**
+   * Map role service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleRoleError(res, error) {
+    if (error.message === 'Role not found') {
+      return this.sendNotFound(res, error.message);
+    }
+    if (error.message.includes('already exists') || error.message.startsWith('Role is still assigned')) {
+      return this.sendError(res, error.message, 409);
+    }
+    if (error.message.startsWith('System roles') || error.message.includes('cannot be changed')) {
+      return this.sendForbidden(res, error.message);
+    }
+    if (
+      error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message === 'No data provided for update'
+    ) {
+      return this.sendBadRequest(res, error.message);
+    }
+    return this.sendError(res, error.message);
+  }
 }
 
 // Create and export a singleton instance
 const roleController = new RoleController();
-export default roleController;
\ No newline at end of file
+export default roleController;
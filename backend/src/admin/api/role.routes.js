@@ -1,20 +1,30 @@
 /**
  * Role Routes
- * RESTful API routes for role resource
+ * RESTful API routes for role and permission resources
  */
 
 import express from 'express';
 import roleController from './role.controller.js';
-import { authenticate, authorize } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
 // Public routes for roles information
-router.get('/roles', roleController.getAllRoles);
 router.get('/roles/defaults', roleController.getDefaultRoles);
 
 // Protected routes (requires authentication)
+// The role list is also used to fill the role picker on the user forms
+router.get('/roles', authenticate, roleController.getAllRoles);
 router.get('/roles/validate/:role', authenticate, roleController.validateRole);
-router.get('/roles/:role/users', authenticate, authorize(['admin']), roleController.getUsersByRole);
+router.get('/permissions', authenticate, requirePermission('roles.view'), roleController.getAllPermissions);
+router.get('/roles/:id', authenticate, requirePermission('roles.view'), roleController.getRoleById);
+router.get('/roles/:id/permissions', authenticate, requirePermission('roles.view'), roleController.getRolePermissions);
+router.get('/roles/:role/users', authenticate, requirePermission(['roles.view', 'users.view']), roleController.getUsersByRole);
 
-export default router;
\ No newline at end of file
+// Role management
+router.post('/roles', authenticate, requirePermission('roles.manage'), roleController.createRole);
+router.put('/roles/:id', authenticate, requirePermission('roles.manage'), roleController.updateRole);
+router.delete('/roles/:id', authenticate, requirePermission('roles.manage'), roleController.deleteRole);
+router.put('/roles/:id/permissions', authenticate, requirePermission('roles.manage'), roleController.setRolePermissions);
+
+export default router;
@@ -0,0 +1,92 @@
+/**
+ * Trash Controller
+ * RESTful API controller for soft-deleted users, news, products and projects
+ */
+
+import BaseController from './base.controller.js';
+import trashService from '../../core/services/trash.service.js';
+
+/**
+ * TrashController handles HTTP requests related to the trash
+ */
+class TrashController extends BaseController {
+  constructor() {
+    super();
+    this.trashService = trashService;
+  }
+
+  /**
+   * Get the records of a resource in the trash
+   * @route GET /api/trash/:resource
+   */
+  getDeleted = async (req, res) => {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        pageSize: Math.min(parseInt(req.query.pageSize) || 20, 100)
+      };
+
+      const result = await this.trashService.getDeleted(req.params.resource, options);
+      return this.sendPaginated(res, result.data, result.pagination);
+    } catch (error) {
+      return this.handleTrashError(res, error);
+    }
+  };
+
+  /**
+   * Restore a record from the trash
+   * @route POST /api/trash/:resource/:id/restore
+   */
+  restore = async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const restored = await this.trashService.restore(req.params.resource, id, this.getActor(req));
+
+      if (!restored) {
+        return this.sendNotFound(res, 'Record not found in the trash');
+      }
+
+      return this.sendSuccess(res, restored);
+    } catch (error) {
+      return this.handleTrashError(res, error);
+    }
+  };
+
+  /**
+   * Permanently delete a record from the trash
+   * @route DELETE /api/trash/:resource/:id
+   */
+  purge = async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const purged = await this.trashService.purge(req.params.resource, id, this.getActor(req));
+
+      if (!purged) {
+        return this.sendNotFound(res, 'Record not found in the trash');
+      }
+
+      return this.sendSuccess(res, { message: 'Record permanently deleted' });
+    } catch (error) {
+      return this.handleTrashError(res, error);
+    }
+  };
+
+  /**
+   * Map trash service errors to HTTP responses
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   */
+  handleTrashError(res, error) {
+    if (error.message.includes('Invalid')) {
+      return this.sendBadRequest(res, error.message);
+    }
+    if (error.message.includes('related records')) {
+      return this.sendError(res, error.message, 409);
+    }
+    return this.sendError(res, error.message);
+  }
+}
+
+// Create and export a singleton instance
+const trashController = new TrashController();
+export default trashController;
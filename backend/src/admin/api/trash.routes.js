@@ -0,0 +1,17 @@
+/**
+ * Trash Routes
+ * RESTful API routes for listing, restoring and permanently deleting soft-deleted records
+ */
+
+import express from 'express';
+import trashController from './trash.controller.js';
+import { authenticate, authorize, hasResourcePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Protected routes (requires the delete permission of the resource, e.g. news.delete)
+router.get('/trash/:resource', authenticate, authorize(hasResourcePermission('delete')), trashController.getDeleted);
+router.post('/trash/:resource/:id/restore', authenticate, authorize(hasResourcePermission('delete')), trashController.restore);
+router.delete('/trash/:resource/:id', authenticate, authorize(hasResourcePermission('delete')), trashController.purge);
+
+export default router;
@@ -7,6 +7,16 @@ import BaseController from './base.controller.js';
 import userService from '../../core/services/user.service.js';
 import roleService from '../../core/services/role.service.js';
 import authService from '../../core/services/auth.service.js';
+import authorizationService from '../../core/services/authorization.service.js';
+import loginProtectionService from '../../core/services/login-protection.service.js';
+import { parseQuerySpec } from '../../lib/query-spec-helper.js';
+
+// Largest number of users accepted by one bulk action
+const MAX_BULK_IDS = 100;
+
+// Fields of PUT /api/users/:id that need the users.update permission, even on one's own account
+// (users change their own password through POST /api/users/:id/change-password)
+const PRIVILEGED_UPDATE_FIELDS = ['email', 'password', 'role', 'is_active'];
 
 /**
  * UserController handles HTTP requests related to users
@@ -21,6 +31,7 @@ class UserController extends BaseController {
 
   /**
    * Get all users with pagination and filtering
+   * Sorting and filters use the query spec syntax (sort=-created_at, filter[is_active]=true)
    * @route GET /api/users
    */
   getUsers = async (req, res) => {
@@ -28,15 +39,77 @@ class UserController extends BaseController {
       const options = {
         page: parseInt(req.query.page) || 1,
         pageSize: parseInt(req.query.pageSize) || 10,
-        sortBy: req.query.sortBy || 'created_at',
-        sortDir: req.query.sortDir || 'desc',
         search: req.query.search || '',
-        role: req.query.role
+        role: req.query.role,
+        ...parseQuerySpec(req.query)
       };
 
       const result = await this.userService.getUsers(options);
       return this.sendPaginated(res, result.data, result.pagination);
     } catch (error) {
+      if (error.message.startsWith('Invalid query')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Export the users matching the list filters as a CSV or XLSX download
+   * @route GET /api/users/export?format=csv|xlsx
+   */
+  exportUsers = async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      const content = await this.userService.exportUsers({
+        search: req.query.search || '',
+        role: req.query.role,
+        filters: parseQuerySpec(req.query).filters
+      }, format);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set('Content-Disposition', `attachment; filename="users-${date}.${format}"`);
+      if (format === 'xlsx') {
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return res.status(200).send(content);
+      }
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      // BOM giúp Excel đọc đúng tiếng Việt
+      return res.status(200).send('\uFEFF' + content);
+    } catch (error) {
+      if (error.message.includes('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Import users from an uploaded CSV or XLSX file (multipart field "file")
+   * With ?dryRun=true the rows are only validated and returned as a preview
+   * @route POST /api/users/import
+   */
+  importUsers = async (req, res) => {
+    try {
+      if (!req.file) {
+        return this.sendBadRequest(res, 'An import file is required');
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const result = await this.userService.importUsers(req.file, { dryRun }, this.getActor(req));
+      return this.sendSuccess(res, result, dryRun ? 200 : 201);
+    } catch (error) {
+      if (error.code === 'IMPORT_INVALID') {
+        return this.sendResponse(res, 400, {
+          success: false,
+          message: error.message,
+          data: error.result
+        });
+      }
+      if (error.message.includes('Invalid import file')) {
+        return this.sendBadRequest(res, error.message);
+      }
       return this.sendError(res, error.message);
     }
   };
@@ -54,7 +127,8 @@ class UserController extends BaseController {
         return this.sendNotFound(res, 'User not found');
       }
       
-      return this.sendSuccess(res, user);
+      this.setETag(res, user);
+      return this.sendSuccess(res, this.userService.toPublicUser(user));
     } catch (error) {
       return this.sendError(res, error.message);
     }
@@ -100,9 +174,12 @@ class UserController extends BaseController {
         userData.role = role;
       }
 
-      const newUser = await this.userService.createUser(userData);
+      const newUser = await this.userService.createUser(userData, this.getActor(req));
       return this.sendSuccess(res, newUser, 201);
     } catch (error) {
+      if (error.code === 'PASSWORD_POLICY') {
+        return this.sendBadRequest(res, error.message, error.errors);
+      }
       if (error.message.includes('already exists')) {
         return this.sendBadRequest(res, error.message);
       }
@@ -127,6 +204,12 @@ class UserController extends BaseController {
         return this.sendBadRequest(res, 'At least one field must be provided');
       }
 
+      // The route lets users edit their own account; only users.update may change these fields
+      const privileged = PRIVILEGED_UPDATE_FIELDS.filter(field => req.body[field] !== undefined);
+      if (privileged.length > 0 && !(await authorizationService.hasPermission(req.user.id, 'users.update'))) {
+        return this.sendForbidden(res, `Changing ${privileged.join(', ')} requires the users.update permission`);
+      }
+
       // If role is provided, check if it's valid
       if (role !== undefined) {
         const isValidRole = await this.roleService.isValidRole(role);
@@ -148,18 +231,30 @@ class UserController extends BaseController {
       if (role !== undefined) updateData.role = role;
       if (is_active !== undefined) updateData.is_active = is_active;
 
+      const ifMatch = this.getIfMatch(req);
+      if (ifMatch === null) {
+        return this.sendPreconditionRequired(res);
+      }
+
       // Update user
-      const updatedUser = await this.userService.updateUser(userId, updateData);
+      const updatedUser = await this.userService.updateUser(userId, updateData, this.getActor(req), { ifMatch });
       
       if (!updatedUser) {
         return this.sendNotFound(res, 'User not found');
       }
       
+      this.setETag(res, updatedUser);
       return this.sendSuccess(res, updatedUser);
     } catch (error) {
       if (error.message === 'User not found') {
         return this.sendNotFound(res, error.message);
       }
+      if (this.isVersionConflict(error)) {
+        return this.sendVersionConflict(res, error);
+      }
+      if (error.code === 'PASSWORD_POLICY') {
+        return this.sendBadRequest(res, error.message, error.errors);
+      }
       if (error.message.includes('already exists')) {
         return this.sendBadRequest(res, error.message);
       }
@@ -182,17 +277,66 @@ class UserController extends BaseController {
   deleteUser = async (req, res) => {
     try {
       const userId = parseInt(req.params.id);
-      const deleted = await this.userService.deleteUser(userId);
+      const deleted = await this.userService.deleteUser(userId, this.getActor(req));
       
       if (!deleted) {
         return this.sendNotFound(res, 'User not found');
       }
+
+      // The user is only moved to the trash, so its sessions are revoked here
+      await authService.logoutAllDevices(userId);
       
       return this.sendSuccess(res, { message: 'User deleted successfully' });
     } catch (error) {
       return this.sendError(res, error.message);
     }
   };
+
+  /**
+   * Apply one action to several users in a single transaction
+   * Body: { action: 'activate'|'deactivate'|'setRole'|'delete'|'logout', ids: number[], role? }
+   * @route POST /api/users/bulk
+   */
+  bulkAction = async (req, res) => {
+    try {
+      const { action, ids, role } = req.body;
+
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return this.sendBadRequest(res, 'At least one user ID is required');
+      }
+      if (ids.length > MAX_BULK_IDS) {
+        return this.sendBadRequest(res, `No more than ${MAX_BULK_IDS} users can be changed at once`);
+      }
+
+      const userIds = ids.map(id => parseInt(id));
+      if (userIds.some(id => isNaN(id))) {
+        return this.sendBadRequest(res, 'Invalid user ID');
+      }
+
+      const results = await this.userService.bulkAction(action, userIds, { role }, this.getActor(req));
+
+      // Sessions are revoked once the transaction has committed (deleted users are only moved to the trash)
+      if (action === 'logout' || action === 'delete') {
+        for (const result of results.filter(item => item.success)) {
+          await authService.logoutAllDevices(result.id);
+        }
+      }
+
+      const succeeded = results.filter(item => item.success).length;
+      return this.sendSuccess(res, {
+        action,
+        results,
+        succeeded,
+        failed: results.length - succeeded
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid bulk action') || error.message.includes('Invalid role')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      return this.sendError(res, error.message);
+    }
+  };
+
   /**
    * Authenticate a user (login)
    * @route POST /api/auth/login
@@ -214,15 +358,17 @@ class UserController extends BaseController {
       try {
         const authResult = await authService.login(username, password, options);
         
-        // Trả về token và thông tin người dùng
-        return this.sendSuccess(res, {
-          user: authResult.user,
-          token: authResult.tokens.accessToken,
-          refreshToken: authResult.tokens.refreshToken,
-          expiresIn: authResult.tokens.expiresIn
-        });
+        // Người dùng đã bật 2FA: client gửi mã kèm challenge token tới /auth/login/2fa
+        if (authResult.twoFactorRequired) {
+          return this.sendSuccess(res, {
+            twoFactorRequired: true,
+            challengeToken: authResult.challengeToken
+          });
+        }
+        
+        return this.sendLoginSuccess(res, authResult);
       } catch (authError) {
-        return this.sendUnauthorized(res, authError.message || 'Invalid username or password');
+        return this.sendLoginError(res, authError, 'Invalid username or password');
       }
     } catch (error) {
       return this.sendError(res, error.message);
@@ -230,7 +376,169 @@ class UserController extends BaseController {
   };
 
   /**
-   * Change password
+   * Complete a login with a TOTP or recovery code
+   * @route POST /api/auth/login/2fa
+   */
+  verifyTwoFactorLogin = async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+      
+      if (!challengeToken || !code) {
+        return this.sendBadRequest(res, 'Challenge token and code are required');
+      }
+
+      const options = {
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      };
+      
+      try {
+        const authResult = await authService.verifyTwoFactorLogin(challengeToken, code, options);
+        return this.sendLoginSuccess(res, authResult);
+      } catch (authError) {
+        return this.sendLoginError(res, authError, 'Invalid verification code');
+      }
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Send the tokens and user of a completed login
+   * @param {Object} res - Express response object
+   * @param {Object} authResult - Result of authService.login/verifyTwoFactorLogin
+   */
+  sendLoginSuccess(res, authResult) {
+    return this.sendSuccess(res, {
+      user: authResult.user,
+      token: authResult.tokens.accessToken,
+      refreshToken: authResult.tokens.refreshToken,
+      expiresIn: authResult.tokens.expiresIn
+    });
+  }
+
+  /**
+   * Map a rejected login to an HTTP response
+   * @param {Object} res - Express response object
+   * @param {Error} authError - Error thrown by authService
+   * @param {string} fallbackMessage - Message used when the error has none
+   */
+  sendLoginError(res, authError, fallbackMessage) {
+    // Mật khẩu đúng nhưng email chưa xác thực (client hiển thị nút gửi lại email xác thực)
+    // hoặc mật khẩu đã hết hạn (client chuyển tới trang quên mật khẩu)
+    if (authError.code === 'EMAIL_NOT_VERIFIED' || authError.code === 'PASSWORD_EXPIRED') {
+      return this.sendError(res, authError.message, 403, { code: authError.code });
+    }
+    // Bị chặn do đăng nhập sai nhiều lần: báo thời gian chờ để client hiển thị
+    if (authError.code === 'ACCOUNT_LOCKED' || authError.code === 'TOO_MANY_ATTEMPTS') {
+      res.set('Retry-After', String(authError.retryAfter));
+      return this.sendError(
+        res,
+        authError.message,
+        authError.code === 'ACCOUNT_LOCKED' ? 423 : 429,
+        { code: authError.code, retryAfter: authError.retryAfter }
+      );
+    }
+    return this.sendUnauthorized(res, authError.message || fallbackMessage);
+  }
+
+  /**
+   * Unlock an account locked after too many failed logins
+   * @route POST /api/users/:id/unlock
+   */
+  unlockUser = async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      if (isNaN(userId)) {
+        return this.sendBadRequest(res, 'Invalid user ID');
+      }
+
+      const status = await loginProtectionService.unlockAccount(userId);
+      return this.sendSuccess(res, status);
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return this.sendNotFound(res, error.message);
+      }
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * List the active sign-in sessions of a user
+   * @route GET /api/users/:id/sessions
+   */
+  getUserSessions = async (req, res) => {
+    try {
+      const user = await this.findUserFromParams(req, res);
+      if (!user) return;
+
+      const sessions = await authService.getUserActiveSessions(user.id);
+      return this.sendSuccess(res, sessions);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Sign a user out of one device
+   * @route DELETE /api/users/:id/sessions/:sessionId
+   */
+  revokeUserSession = async (req, res) => {
+    try {
+      const user = await this.findUserFromParams(req, res);
+      if (!user) return;
+
+      const revoked = await authService.revokeSession(user.id, req.params.sessionId);
+      if (!revoked) {
+        return this.sendNotFound(res, 'Session not found');
+      }
+
+      return this.sendSuccess(res, { message: 'Session revoked' });
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Get the recent authentication activity of a user
+   * @route GET /api/users/:id/auth-history
+   */
+  getUserAuthHistory = async (req, res) => {
+    try {
+      const user = await this.findUserFromParams(req, res);
+      if (!user) return;
+
+      const history = await authService.getUserAuthHistory(user.id, req.query.limit);
+      return this.sendSuccess(res, history);
+    } catch (error) {
+      return this.sendError(res, error.message);
+    }
+  };
+
+  /**
+   * Load the user from req.params.id, sending 400/404 when it cannot be found
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} - The user, or null when a response was already sent
+   */
+  async findUserFromParams(req, res) {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      this.sendBadRequest(res, 'Invalid user ID');
+      return null;
+    }
+
+    const user = await this.userService.getUserById(userId);
+    if (!user) {
+      this.sendNotFound(res, 'User not found');
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Change password; the route only lets users change their own password unless they are an admin
    * @route POST /api/users/:id/change-password
    */
   changePassword = async (req, res) => {
@@ -248,12 +556,6 @@ class UserController extends BaseController {
         return this.sendNotFound(res, 'User not found');
       }
 
-      // Check if the authenticated user is changing their own password or is an admin
-      const isAdmin = await this.userService.isAdmin(req.user.user_id);
-      if (req.user.user_id !== userId && !isAdmin) {
-        return this.sendForbidden(res, 'You are not authorized to change this user\'s password');
-      }
-
       // Change password
       const success = await this.userService.changePassword(userId, currentPassword, newPassword);
       
@@ -269,6 +571,9 @@ class UserController extends BaseController {
       if (error.message === 'Current password is incorrect') {
         return this.sendBadRequest(res, error.message);
       }
+      if (error.code === 'PASSWORD_POLICY') {
+        return this.sendBadRequest(res, error.message, error.errors);
+      }
       return this.sendError(res, error.message);
     }
   };
@@ -5,21 +5,83 @@
 
 import express from 'express';
 import userController from './user.controller.js';
-import { authenticate, authorize } from '../../middleware/auth.js';
+import config from '../../config.js';
+import { uploadImportFile } from '../../middleware/upload.js';
+import { authenticate, authorize, requirePermission, anyOf, isSelf, hasRole, hasPermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
+// Thao tác hàng loạt: quyền cần thiết phụ thuộc vào action trong body,
+// action không hợp lệ chỉ cần quyền admin rồi bị controller trả về 400
+const BULK_ACTION_POLICIES = {
+  activate: hasRole(config.roles.ADMIN),
+  deactivate: hasRole(config.roles.ADMIN),
+  setRole: hasRole(config.roles.ADMIN),
+  delete: hasPermission('users.delete'),
+  logout: hasPermission('users.sessions')
+};
+
+const canRunBulkAction = (req) => {
+  const action = req.body?.action;
+  const policy = Object.hasOwn(BULK_ACTION_POLICIES, action)
+    ? BULK_ACTION_POLICIES[action]
+    : hasRole(config.roles.ADMIN);
+  return policy(req);
+};
+canRunBulkAction.description = 'bulk action permission';
+
 // Public routes
 router.post('/auth/login', userController.login);
+router.post('/auth/login/2fa', userController.verifyTwoFactorLogin);
 
 // Protected routes (requires authentication)
-router.get('/users', authenticate, authorize(['admin']), userController.getUsers);
-router.get('/users/roles', authenticate, userController.getValidRoles);
-router.get('/users/:id', authenticate, userController.getUserById);
-router.get('/users/:id/has-role/:role', authenticate, userController.checkUserRole);
-router.post('/users', authenticate, authorize(['admin']), userController.createUser);
-router.put('/users/:id', authenticate, userController.updateUser);
-router.delete('/users/:id', authenticate, authorize(['admin']), userController.deleteUser);
-router.post('/users/:id/change-password', authenticate, userController.changePassword);
+router.get('/users', authenticate, requirePermission('users.view'), userController.getUsers);
+router.get('/users/roles', authenticate, requirePermission('users.view'), userController.getValidRoles);
+router.get('/users/export', authenticate, requirePermission('users.view'), userController.exportUsers);
+router.post(
+  '/users/import',
+  authenticate,
+  requirePermission('users.create'),
+  uploadImportFile('file'),
+  userController.importUsers
+);
+router.get(
+  '/users/:id',
+  authenticate,
+  authorize(anyOf(isSelf(), hasPermission('users.view'))),
+  userController.getUserById
+);
+router.get(
+  '/users/:id/has-role/:role',
+  authenticate,
+  authorize(anyOf(isSelf(), hasPermission('users.view'))),
+  userController.checkUserRole
+);
+router.post('/users', authenticate, requirePermission('users.create'), userController.createUser);
+router.post(
+  '/users/bulk',
+  authenticate,
+  authorize(hasPermission('users.view'), canRunBulkAction),
+  userController.bulkAction
+);
+// Người dùng sửa được tài khoản của chính mình; email, mật khẩu, vai trò và trạng thái cần users.update (xem controller)
+router.put(
+  '/users/:id',
+  authenticate,
+  authorize(anyOf(isSelf(), hasPermission('users.update'))),
+  userController.updateUser
+);
+router.delete('/users/:id', authenticate, requirePermission('users.delete'), userController.deleteUser);
+router.post('/users/:id/unlock', authenticate, requirePermission('users.unlock'), userController.unlockUser);
+router.get('/users/:id/sessions', authenticate, requirePermission('users.sessions'), userController.getUserSessions);
+router.delete('/users/:id/sessions/:sessionId', authenticate, requirePermission('users.sessions'), userController.revokeUserSession);
+router.get('/users/:id/auth-history', authenticate, requirePermission('users.sessions'), userController.getUserAuthHistory);
+// Người dùng đổi mật khẩu của chính mình, admin đổi được cho mọi người dùng
+router.post(
+  '/users/:id/change-password',
+  authenticate,
+  authorize(anyOf(isSelf(), hasRole(config.roles.ADMIN))),
+  userController.changePassword
+);
 
 export default router;
\ No newline at end of file
@@ -7,6 +7,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const config = {
+  // Database engine: 'mssql' dùng config.sql, 'sqlite' dùng file hoặc database trong bộ nhớ (dev, CI)
+  database: {
+    dialect: process.env.DB_DIALECT || 'mssql',
+    sqlite: {
+      // ':memory:' tạo database trống mỗi lần khởi động, các migration sẽ tạo lại bảng
+      filename: process.env.DB_FILE || ':memory:'
+    }
+  },
   sql: {
     server: process.env.DB_SERVER || (process.env.NODE_ENV === 'test' ? 'localhost' : 'vrcorp.vn'),
     database: process.env.DB_NAME || (process.env.NODE_ENV === 'test' ? 'vrc_test' : 'vie43864_vrc'),
@@ -28,9 +36,8 @@ const config = {
     rootDir: path.resolve(__dirname, '..'),
     srcDir: __dirname,
     
-    // SQL scripts paths
-    sqlDir: path.resolve(__dirname, 'sql'),
-    usersTableSql: path.resolve(__dirname, 'sql', 'create-users-table.sql'),
+    // Numbered SQL migrations (<version>-<name>.up.sql / .down.sql), one folder per dialect
+    migrationsDir: path.resolve(__dirname, 'migrations'),
     
     // Test paths
     testsDir: path.resolve(__dirname, 'tests'),
@@ -39,7 +46,105 @@ const config = {
     // API routes
     apiBasePath: '/api'
   },
+
+  // File upload configuration
+  uploads: {
+    // Thư mục lưu file trên đĩa và đường dẫn public tương ứng
+    dir: process.env.UPLOAD_DIR || path.resolve(__dirname, '..', 'uploads'),
+    publicPath: '/uploads',
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    allowedMimeTypes: {
+      'image/jpeg': '.jpg',
+      'image/png': '.png',
+      'image/webp': '.webp',
+      'image/gif': '.gif',
+      'application/pdf': '.pdf'
+    },
+    thumbnail: {
+      width: 400,
+      height: 300
+    },
+    // File CSV/XLSX dùng để nhập dữ liệu hàng loạt, chỉ đọc trong bộ nhớ và không lưu lại
+    import: {
+      maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 2 * 1024 * 1024, // 2MB
+      allowedExtensions: ['.csv', '.xlsx']
+    }
+  },
   
+  // Email delivery configuration
+  mail: {
+    // 'smtp' gửi thật qua SMTP, 'file' ghi email ra thư mục outbox (dùng khi dev và test)
+    transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file'),
+    from: process.env.MAIL_FROM || 'VRC <no-reply@vrc.com.vn>',
+    // Địa chỉ frontend dùng để tạo link trong email (đặt lại mật khẩu, đăng nhập)
+    appUrl: process.env.APP_URL || 'http://localhost:8081',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    },
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, '..', 'mail-outbox')
+  },
+  
+  // Brute-force protection for POST /api/auth/login
+  loginProtection: {
+    // Khóa tài khoản sau số lần đăng nhập sai liên tiếp
+    maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5,
+    accountLockMs: parseInt(process.env.LOGIN_ACCOUNT_LOCK_MS) || 15 * 60 * 1000, // 15 phút
+    // Giới hạn số lần sai từ một IP, tính trên mọi tài khoản kể cả tài khoản không tồn tại
+    maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+    ipWindowMs: parseInt(process.env.LOGIN_IP_WINDOW_MS) || 15 * 60 * 1000,
+    ipLockMs: parseInt(process.env.LOGIN_IP_LOCK_MS) || 15 * 60 * 1000,
+    // Trễ tăng dần: từ lần sai thứ delayAfter, lần thử kế tiếp phải chờ baseDelayMs, rồi gấp đôi mỗi lần sai
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+    baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 1000,
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 30 * 1000
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    // Tên hiển thị trong ứng dụng xác thực (Google Authenticator, Authy...)
+    issuer: process.env.TWO_FACTOR_ISSUER || 'VRC Admin',
+    // Khóa mã hóa secret TOTP lưu trong database; mặc định dẫn xuất từ jwtSecret
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || '',
+    // Thời hạn của challenge token giữa bước mật khẩu và bước nhập mã
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES || '5m',
+    recoveryCodeCount: 10
+  },
+
+  // Self-service registration through POST /api/auth/register
+  emailVerification: {
+    // Thời hạn của link xác thực gửi trong email
+    tokenExpiryHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS) || 24,
+    // Khoảng cách tối thiểu giữa hai lần gửi lại email xác thực cho cùng một tài khoản
+    resendCooldownMs: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000
+  },
+
+  // Password rules enforced when creating users, changing and resetting passwords
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSpecial: process.env.PASSWORD_REQUIRE_SPECIAL !== 'false',
+    // Từ chối mật khẩu nằm trong danh sách mật khẩu phổ biến (lib/common-passwords.js)
+    blockCommonPasswords: process.env.PASSWORD_BLOCK_COMMON !== 'false',
+    // Không cho dùng lại N mật khẩu gần nhất (lưu trong bảng password_history); 0 để tắt
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10),
+    // Số ngày trước khi mật khẩu hết hạn và phải đặt lại; 0 để tắt
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+  },
+
+  // Trash of soft-deleted records (users, news, products, projects)
+  trash: {
+    // Số ngày giữ bản ghi trong thùng rác trước khi xóa vĩnh viễn; 0 để tắt việc tự động xóa
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS ?? '30', 10),
+    // Chu kỳ chạy job xóa vĩnh viễn
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000
+  },
+
   // Default admin credentials for testing
   defaultAdmin: {
     username: 'admin',
@@ -48,7 +153,7 @@ const config = {
     fullName: 'System Administrator'
   },
   
-  // Default roles
+  // System roles, seeded into the roles table; custom roles are managed through /api/roles
   roles: {
     ADMIN: 'admin',
     EDITOR: 'editor',
@@ -0,0 +1,181 @@
+/**
+ * SQL Server Driver
+ * Connection handling and T-SQL fragments for DbService, using the mssql package
+ */
+
+import pkg from 'mssql';
+const { connect, Transaction } = pkg;
+
+/**
+ * T-SQL fragments used by the repositories where SQL Server and SQLite differ
+ */
+const dialect = {
+  name: 'mssql',
+
+  /** @returns {string} - Current date and time */
+  now: () => 'GETDATE()',
+
+  /**
+   * @param {string} expression - Date or string expression
+   * @returns {string} - Date part of the expression
+   */
+  date: (expression) => `CAST(${expression} AS DATE)`,
+
+  /**
+   * @param {string} unit - 'second', 'minute', 'hour' or 'day'
+   * @param {number|string} amount - Number or parameter (e.g. '@days')
+   * @param {string} expression - Date expression
+   * @returns {string} - Date expression shifted by the amount
+   */
+  dateAdd: (unit, amount, expression) => `DATEADD(${unit}, ${amount}, ${expression})`,
+
+  /**
+   * Row limit placed right after SELECT; use together with limit()
+   * @param {number|string} count - Number or parameter
+   * @returns {string}
+   */
+  top: (count) => `TOP (${count})`,
+
+  /**
+   * Row limit placed at the end of the query; use together with top()
+   * @returns {string}
+   */
+  limit: () => '',
+
+  /**
+   * Page of rows, placed after ORDER BY
+   * @param {number|string} offset - Rows to skip
+   * @param {number|string} count - Rows to return
+   * @returns {string}
+   */
+  paginate: (offset, count) => `OFFSET ${offset} ROWS FETCH NEXT ${count} ROWS ONLY`,
+
+  /**
+   * Columns returned by an UPDATE, placed after SET; use together with returning()
+   * @param {Array<string>} columns - Column names
+   * @returns {string}
+   */
+  output: (columns) => `OUTPUT ${columns.map(column => `inserted.${column}`).join(', ')}`,
+
+  /**
+   * Columns returned by an UPDATE, placed at the end; use together with output()
+   * @returns {string}
+   */
+  returning: () => '',
+
+  /** @returns {string} - ID generated by the last INSERT in the same query or transaction */
+  insertedId: () => 'SCOPE_IDENTITY()',
+
+  /** @returns {string} - Table hint keeping the selected rows locked until the transaction ends */
+  forUpdate: () => 'WITH (UPDLOCK, ROWLOCK)',
+
+  /**
+   * @param {string} name - Savepoint name
+   * @returns {string}
+   */
+  savepoint: (name) => `SAVE TRANSACTION ${name}`,
+
+  /**
+   * @param {string} name - Savepoint name
+   * @returns {string}
+   */
+  rollbackToSavepoint: (name) => `ROLLBACK TRANSACTION ${name}`,
+
+  /** @returns {string} - Query counting the tables named @name */
+  tableExists: () => 'SELECT COUNT(*) AS count FROM sys.tables WHERE name = @name',
+
+  /**
+   * Lock held until the transaction ends, serializing work across connections
+   * @param {string} resource - Lock name
+   * @returns {string|null}
+   */
+  appLock: (resource) =>
+    `EXEC sp_getapplock @Resource = '${resource}', @LockMode = 'Exclusive', @LockOwner = 'Transaction'`
+};
+
+const mssqlDriver = {
+  dialect,
+
+  /**
+   * Open a connection pool
+   * @param {Object} connectionConfig - mssql connection config (config.sql)
+   * @returns {Promise<Object>} - Connection pool
+   */
+  async connect(connectionConfig) {
+    return await connect(connectionConfig);
+  },
+
+  /**
+   * @param {Object} pool - Connection pool
+   */
+  async close(pool) {
+    await pool.close();
+  },
+
+  /**
+   * Run a query
+   * @param {Object} pool - Connection pool
+   * @param {string} query - SQL query, parameters written as @name
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} - { recordset, recordsets, rowsAffected }
+   */
+  async query(pool, query, params = {}) {
+    const request = pool.request();
+    Object.entries(params).forEach(([key, value]) => {
+      request.input(key, value);
+    });
+    return await request.query(query);
+  },
+
+  /**
+   * Run a stored procedure
+   * @param {Object} pool - Connection pool
+   * @param {string} procedureName - Stored procedure name
+   * @param {Object} params - Procedure parameters
+   * @returns {Promise<Object>} - Procedure result
+   */
+  async execute(pool, procedureName, params = {}) {
+    const request = pool.request();
+    Object.entries(params).forEach(([key, value]) => {
+      request.input(key, value);
+    });
+    return await request.execute(procedureName);
+  },
+
+  /**
+   * Run a callback in a transaction, committed when it resolves and rolled back when it throws
+   * @param {Object} pool - Connection pool
+   * @param {Function} callback - Receives the mssql Transaction
+   * @returns {Promise<any>} - Callback result
+   */
+  async transaction(pool, callback) {
+    const transaction = new Transaction(pool);
+    await transaction.begin();
+
+    try {
+      const result = await callback(transaction);
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  /**
+   * @param {Object} pool - Connection pool
+   * @returns {Promise<Object>} - Database name and server version
+   */
+  async describe(pool) {
+    const result = await pool.request().query(`
+      SELECT
+        DB_NAME() as DatabaseName,
+        SERVERPROPERTY('ProductVersion') as ServerVersion,
+        SERVERPROPERTY('Edition') as ServerEdition,
+        @@VERSION as FullVersion
+    `);
+    return result.recordset[0];
+  }
+};
+
+export default mssqlDriver;
@@ -0,0 +1,314 @@
+/**
+ * SQLite Driver
+ * Runs the repositories against a SQLite file or in-memory database (better-sqlite3),
+ * e.g. for local development and CI without a SQL Server instance
+ *
+ * Results have the same shape as mssql ({ recordset, recordsets, rowsAffected }); BIT and
+ * DATETIME columns are read back as booleans and Dates, dates are stored as ISO 8601 UTC text.
+ * better-sqlite3 is synchronous and uses one connection, so queries and transactions run one
+ * at a time: a query made outside a transaction waits until the transaction ends.
+ */
+
+// Loaded on first connect, so installs without the optional better-sqlite3 package still run on SQL Server
+let Database = null;
+
+// ISO 8601 UTC, the format of Date#toISOString(), so stored dates and parameters compare as text
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const BOOLEAN_TYPE = /^BIT$/i;
+const DATE_TYPE = /^(DATE|DATETIME2?|SMALLDATETIME)(\(\d+\))?$/i;
+
+// SQL Server error numbers for constraint violations, so services can check error.number on both drivers
+const ERROR_NUMBERS = {
+  SQLITE_CONSTRAINT_FOREIGNKEY: 547,
+  SQLITE_CONSTRAINT_UNIQUE: 2627,
+  SQLITE_CONSTRAINT_PRIMARYKEY: 2627
+};
+
+/**
+ * SQLite fragments used by the repositories where SQL Server and SQLite differ
+ * See mssql.driver.js for the description of each fragment
+ */
+const dialect = {
+  name: 'sqlite',
+  now: () => NOW,
+  date: (expression) => `date(${expression})`,
+  dateAdd: (unit, amount, expression) =>
+    `strftime('%Y-%m-%dT%H:%M:%fZ', ${expression}, (${amount}) || ' ${unit}s')`,
+  top: () => '',
+  limit: (count) => `LIMIT ${count}`,
+  paginate: (offset, count) => `LIMIT ${count} OFFSET ${offset}`,
+  output: () => '',
+  returning: (columns) => `RETURNING ${columns.join(', ')}`,
+  insertedId: () => 'last_insert_rowid()',
+  // Transactions take the write lock when they begin (BEGIN IMMEDIATE)
+  forUpdate: () => '',
+  savepoint: (name) => `SAVEPOINT ${name}`,
+  rollbackToSavepoint: (name) => `ROLLBACK TO ${name}`,
+  tableExists: () => "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = @name",
+  appLock: () => null
+};
+
+/**
+ * Split a query into statements on the semicolons outside strings, quoted identifiers and comments
+ * @param {string} sql - One or more statements
+ * @returns {Array<Object>} - { text, params } with the names of the @parameters used by each statement
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let params = new Set();
+  let hasCode = false;
+  let i = 0;
+
+  const push = (end) => {
+    if (hasCode) {
+      statements.push({ text: sql.slice(start, end).trim(), params: [...params] });
+    }
+    start = end + 1;
+    params = new Set();
+    hasCode = false;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"' || char === '[') {
+      // Quotes are escaped by doubling them, e.g. 'it''s'
+      const close = char === '[' ? ']' : char;
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === close && sql[i + 1] === close && close !== ']') {
+          i += 2;
+        } else if (sql[i] === close) {
+          i++;
+          break;
+        } else {
+          i++;
+        }
+      }
+      hasCode = true;
+    } else if (char === '@' && /[A-Za-z_]/.test(next || '')) {
+      const match = /^@([A-Za-z_][A-Za-z0-9_]*)/.exec(sql.slice(i));
+      params.add(match[1]);
+      i += match[0].length;
+      hasCode = true;
+    } else if (char === ';') {
+      push(i);
+      i++;
+    } else {
+      if (!/\s/.test(char)) {
+        hasCode = true;
+      }
+      i++;
+    }
+  }
+
+  push(sql.length);
+  return statements;
+}
+
+/**
+ * Convert a parameter to a value SQLite can bind
+ * @param {any} value - Parameter value
+ * @returns {any}
+ */
+function toSqliteValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+/**
+ * Read a stored date; text without a time zone is UTC, as written by the SQLite date functions
+ * @param {string|number} value - Stored value
+ * @returns {Date}
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') {
+    return new Date(value);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  if (/(Z|[+-]\d{2}:\d{2})$/i.test(value)) {
+    return new Date(value);
+  }
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Convert BIT and DATETIME columns of the result rows, using the declared column types
+ * @param {Object} statement - Prepared statement
+ * @param {Array<Object>} rows - Result rows
+ * @returns {Array<Object>}
+ */
+function convertRows(statement, rows) {
+  const converters = statement.columns()
+    .filter(column => column.type && (BOOLEAN_TYPE.test(column.type) || DATE_TYPE.test(column.type)))
+    .map(column => [column.name, BOOLEAN_TYPE.test(column.type) ? Boolean : parseDate]);
+
+  if (converters.length === 0) {
+    return rows;
+  }
+
+  for (const row of rows) {
+    for (const [name, convert] of converters) {
+      if (row[name] !== null && row[name] !== undefined) {
+        row[name] = convert(row[name]);
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Run the statements of a query in order
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} sql - SQL query
+ * @param {Object} params - Query parameters
+ * @returns {Object} - { recordset, recordsets, rowsAffected }
+ */
+function runQuery(db, sql, params = {}) {
+  const recordsets = [];
+  const rowsAffected = [];
+
+  try {
+    for (const { text, params: names } of splitStatements(sql)) {
+      const statement = db.prepare(text);
+      const bound = Object.fromEntries(names.map(name => [name, toSqliteValue(params[name])]));
+
+      if (statement.reader) {
+        const rows = convertRows(statement, statement.all(bound));
+        recordsets.push(rows);
+        rowsAffected.push(rows.length);
+      } else {
+        rowsAffected.push(statement.run(bound).changes);
+      }
+    }
+  } catch (error) {
+    if (ERROR_NUMBERS[error.code]) {
+      error.number = ERROR_NUMBERS[error.code];
+    }
+    throw error;
+  }
+
+  return { recordset: recordsets[0], recordsets, rowsAffected };
+}
+
+/**
+ * Request of an open transaction, with the parts of the mssql Request API the repositories use
+ */
+class SqliteRequest {
+  constructor(db) {
+    this.db = db;
+    this.params = {};
+  }
+
+  input(name, value) {
+    this.params[name] = value;
+    return this;
+  }
+
+  async query(sql) {
+    return runQuery(this.db, sql, this.params);
+  }
+
+  // Scripts without parameters, e.g. migrations with CREATE TRIGGER ... BEGIN ... END
+  async batch(sql) {
+    this.db.exec(sql);
+    return { recordset: undefined, recordsets: [], rowsAffected: [] };
+  }
+}
+
+/**
+ * Run a task after the previous queries and transactions on the connection have finished
+ * @param {Object} connection - Connection from connect()
+ * @param {Function} task - Function doing the work
+ * @returns {Promise<any>} - Task result
+ */
+function exclusive(connection, task) {
+  const run = connection.queue.then(task, task);
+  connection.queue = run.catch(() => {});
+  return run;
+}
+
+const sqliteDriver = {
+  dialect,
+
+  /**
+   * Open the database file, created if it does not exist
+   * @param {Object} connectionConfig - { filename }, ':memory:' for an in-memory database
+   * @returns {Promise<Object>} - Connection
+   */
+  async connect(connectionConfig) {
+    if (!Database) {
+      ({ default: Database } = await import('better-sqlite3'));
+    }
+
+    const db = new Database(connectionConfig.filename);
+    db.pragma('foreign_keys = ON');
+    if (connectionConfig.filename !== ':memory:') {
+      db.pragma('journal_mode = WAL');
+    }
+
+    return { db, filename: connectionConfig.filename, queue: Promise.resolve() };
+  },
+
+  async close(connection) {
+    await connection.queue;
+    connection.db.close();
+  },
+
+  async query(connection, sql, params = {}) {
+    return await exclusive(connection, () => runQuery(connection.db, sql, params));
+  },
+
+  async execute() {
+    throw new Error('Stored procedures are not supported by the SQLite driver');
+  },
+
+  async transaction(connection, callback) {
+    return await exclusive(connection, async () => {
+      const { db } = connection;
+      db.exec('BEGIN IMMEDIATE');
+
+      try {
+        const result = await callback({ request: () => new SqliteRequest(db) });
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (db.inTransaction) {
+          db.exec('ROLLBACK');
+        }
+        throw error;
+      }
+    });
+  },
+
+  async describe(connection) {
+    const version = connection.db.prepare('SELECT sqlite_version() AS version').get().version;
+    return {
+      DatabaseName: connection.filename,
+      ServerVersion: version,
+      ServerEdition: 'SQLite',
+      FullVersion: `SQLite ${version}`
+    };
+  }
+};
+
+export default sqliteDriver;
@@ -33,11 +33,19 @@ class AuthEventEmitter extends EventEmitter {
     this.on('user:register', ({ userId }) => {
       console.log(`[AuthEvent] New user registered: ${userId}`);
     });
-    
+
+    this.on('user:email_verified', ({ userId }) => {
+      console.log(`[AuthEvent] User verified email: ${userId}`);
+    });
+
     this.on('user:password_change', ({ userId }) => {
       console.log(`[AuthEvent] User changed password: ${userId}`);
     });
     
+    this.on('user:email_change', ({ userId }) => {
+      console.log(`[AuthEvent] User changed email: ${userId}`);
+    });
+    
     this.on('user:password_reset_request', ({ userId, email }) => {
       console.log(`[AuthEvent] Password reset requested for: ${email || userId}`);
     });
@@ -45,6 +53,30 @@ class AuthEventEmitter extends EventEmitter {
     this.on('user:password_reset_complete', ({ userId }) => {
       console.log(`[AuthEvent] Password reset completed for: ${userId}`);
     });
+    
+    this.on('user:account_locked', ({ userId, attempts, lockedUntil }) => {
+      console.log(`[AuthEvent] Account locked after ${attempts} failed logins: ${userId}, until ${lockedUntil.toISOString()}`);
+    });
+    
+    this.on('user:account_unlocked', ({ userId }) => {
+      console.log(`[AuthEvent] Account unlocked: ${userId}`);
+    });
+    
+    this.on('user:session_revoked', ({ userId, sessionId }) => {
+      console.log(`[AuthEvent] Session revoked: ${userId}, session ${sessionId}`);
+    });
+    
+    this.on('user:refresh_token_reuse', ({ userId, revokedCount }) => {
+      console.warn(`[AuthEvent] Refresh token reuse detected for user ${userId}, revoked ${revokedCount} token(s)`);
+    });
+    
+    this.on('user:2fa_enabled', ({ userId }) => {
+      console.log(`[AuthEvent] Two-factor authentication enabled: ${userId}`);
+    });
+    
+    this.on('user:2fa_disabled', ({ userId }) => {
+      console.log(`[AuthEvent] Two-factor authentication disabled: ${userId}`);
+    });
   }
 }
 
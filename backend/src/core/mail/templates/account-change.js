@@ -0,0 +1,49 @@
+/**
+ * Account Change Notice
+ * Sent after security-relevant changes so the owner notices changes they did not make
+ */
+
+import { escapeHtml, renderLayout } from './layout.js';
+
+// Mô tả cho từng loại thay đổi tài khoản
+const CHANGE_DESCRIPTIONS = {
+  password_change: 'The password for your account was changed.',
+  password_reset: 'The password for your account was reset using a password reset link.',
+  email_change: 'The email address for your account was changed.'
+};
+
+/**
+ * @param {Object} data - Template data
+ * @param {string} data.username - Recipient's username
+ * @param {string} data.change - Change type (password_change, password_reset, email_change)
+ * @param {Date} [data.changedAt] - When the change happened
+ * @param {string} [data.newEmail] - New email address (email_change only)
+ * @returns {Object} - { subject, html, text }
+ */
+export default function accountChangeTemplate({ username, change, changedAt = new Date(), newEmail }) {
+  const description = CHANGE_DESCRIPTIONS[change];
+  if (!description) {
+    throw new Error(`Unknown account change: ${change}`);
+  }
+
+  const subject = 'Your account was updated';
+  const when = changedAt.toUTCString();
+  const details = newEmail ? ` The new address is ${newEmail}.` : '';
+
+  const html = renderLayout({
+    title: subject,
+    body: `<p>Hello ${escapeHtml(username)},</p>
+<p>${escapeHtml(description + details)}</p>
+<p style="color:#6b7280;">Time: ${escapeHtml(when)}</p>
+<p>If you made this change, no further action is needed. If you did not, please contact an administrator immediately.</p>`
+  });
+
+  const text = `Hello ${username},
+
+${description}${details}
+Time: ${when}
+
+If you made this change, no further action is needed. If you did not, please contact an administrator immediately.`;
+
+  return { subject, html, text };
+}
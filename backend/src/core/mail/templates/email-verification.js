@@ -0,0 +1,34 @@
+/**
+ * Email Verification Email
+ */
+
+import { escapeHtml, renderButton, renderLayout } from './layout.js';
+
+/**
+ * @param {Object} data - Template data
+ * @param {string} data.username - Recipient's username
+ * @param {string} data.verifyLink - Link to the email verification page
+ * @param {number} data.expiryHours - Hours until the link expires
+ * @returns {Object} - { subject, html, text }
+ */
+export default function emailVerificationTemplate({ username, verifyLink, expiryHours }) {
+  const subject = 'Verify your email address';
+
+  const html = renderLayout({
+    title: subject,
+    body: `<p>Hello ${escapeHtml(username)},</p>
+<p>Thanks for signing up. Please confirm your email address to activate your account.</p>
+${renderButton(verifyLink, 'Verify email')}
+<p>This link expires in ${escapeHtml(expiryHours)} hour(s). If you did not create an account, you can ignore this email.</p>`
+  });
+
+  const text = `Hello ${username},
+
+Thanks for signing up. Open the link below to confirm your email address and activate your account:
+
+${verifyLink}
+
+This link expires in ${expiryHours} hour(s). If you did not create an account, you can ignore this email.`;
+
+  return { subject, html, text };
+}
@@ -0,0 +1,18 @@
+/**
+ * Email Templates
+ * Each template takes its data and returns { subject, html, text }
+ */
+
+import passwordResetTemplate from './password-reset.js';
+import welcomeTemplate from './welcome.js';
+import emailVerificationTemplate from './email-verification.js';
+import accountChangeTemplate from './account-change.js';
+
+const templates = {
+  'password-reset': passwordResetTemplate,
+  'welcome': welcomeTemplate,
+  'email-verification': emailVerificationTemplate,
+  'account-change': accountChangeTemplate
+};
+
+export default templates;
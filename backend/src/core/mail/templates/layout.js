@@ -0,0 +1,59 @@
+/**
+ * Email Layout
+ * Shared HTML wrapper and helpers for email templates
+ */
+
+/**
+ * Escape a value for use in HTML
+ * @param {any} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap the body of an email in the common layout
+ * Styles are inlined because most mail clients ignore <style> blocks
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Heading shown at the top of the email
+ * @param {string} options.body - Inner HTML (already escaped)
+ * @returns {string} - Complete HTML document
+ */
+export const renderLayout = ({ title, body }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;">
+<tr><td style="background:#0057b8;color:#ffffff;padding:20px 32px;border-radius:8px 8px 0 0;font-size:20px;font-weight:bold;">VRC</td></tr>
+<tr><td style="padding:32px;">
+<h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(title)}</h1>
+${body}
+</td></tr>
+<tr><td style="padding:16px 32px;color:#6b7280;font-size:12px;border-top:1px solid #e5e7eb;">
+This is an automated message, please do not reply.
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ * @returns {string} - HTML
+ */
+export const renderButton = (url, label) => `<p style="margin:24px 0;">
+<a href="${escapeHtml(url)}" style="display:inline-block;background:#0057b8;color:#ffffff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(label)}</a>
+</p>`;
@@ -0,0 +1,35 @@
+/**
+ * Password Reset Email
+ */
+
+import { escapeHtml, renderButton, renderLayout } from './layout.js';
+
+/**
+ * @param {Object} data - Template data
+ * @param {string} data.username - Recipient's username
+ * @param {string} data.resetLink - Link to the reset password page
+ * @param {number} data.expiryHours - Hours until the link expires
+ * @returns {Object} - { subject, html, text }
+ */
+export default function passwordResetTemplate({ username, resetLink, expiryHours }) {
+  const subject = 'Reset your password';
+
+  const html = renderLayout({
+    title: subject,
+    body: `<p>Hello ${escapeHtml(username)},</p>
+<p>We received a request to reset the password for your account. Click the button below to choose a new password.</p>
+${renderButton(resetLink, 'Reset password')}
+<p>This link expires in ${escapeHtml(expiryHours)} hour(s). If you did not request a password reset, you can ignore this email and your password will stay the same.</p>`
+  });
+
+  const text = `Hello ${username},
+
+We received a request to reset the password for your account.
+Open the link below to choose a new password:
+
+${resetLink}
+
+This link expires in ${expiryHours} hour(s). If you did not request a password reset, you can ignore this email and your password will stay the same.`;
+
+  return { subject, html, text };
+}
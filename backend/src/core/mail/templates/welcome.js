@@ -0,0 +1,30 @@
+/**
+ * Welcome Email
+ */
+
+import { escapeHtml, renderButton, renderLayout } from './layout.js';
+
+/**
+ * @param {Object} data - Template data
+ * @param {string} data.username - Recipient's username
+ * @param {string} data.loginLink - Link to the login page
+ * @returns {Object} - { subject, html, text }
+ */
+export default function welcomeTemplate({ username, loginLink }) {
+  const subject = 'Welcome to VRC';
+
+  const html = renderLayout({
+    title: subject,
+    body: `<p>Hello ${escapeHtml(username)},</p>
+<p>Your account has been created. You can sign in with your username <strong>${escapeHtml(username)}</strong>.</p>
+${renderButton(loginLink, 'Sign in')}`
+  });
+
+  const text = `Hello ${username},
+
+Your account has been created. You can sign in with your username "${username}":
+
+${loginLink}`;
+
+  return { subject, html, text };
+}
@@ -0,0 +1,44 @@
+/**
+ * File Mail Transport
+ * Writes each email as an .eml file to an outbox directory instead of sending it
+ * Used for local development and tests
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+/**
+ * FileTransport renders messages to RFC 822 (.eml) files that any mail client can open
+ */
+class FileTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.outboxDir - Directory the .eml files are written to
+   */
+  constructor(options) {
+    this.name = 'file';
+    this.outboxDir = options.outboxDir;
+    // streamTransport chỉ dựng nội dung email, không gửi đi đâu cả
+    this.renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {Object} message - Nodemailer message (from, to, subject, text, html)
+   * @returns {Promise<Object>} - { messageId, path }
+   */
+  async send(message) {
+    const info = await this.renderer.sendMail(message);
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const filePath = path.join(this.outboxDir, fileName);
+
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    await fs.writeFile(filePath, info.message);
+
+    return { messageId: info.messageId, path: filePath };
+  }
+}
+
+export default FileTransport;
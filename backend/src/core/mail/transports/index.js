@@ -0,0 +1,29 @@
+/**
+ * Mail Transports
+ * Creates the transport selected by config.mail.transport
+ */
+
+import FileTransport from './file.transport.js';
+import SmtpTransport from './smtp.transport.js';
+
+// Transports có thể chọn qua biến môi trường MAIL_TRANSPORT
+const transports = {
+  file: (mailConfig) => new FileTransport({ outboxDir: mailConfig.outboxDir }),
+  smtp: (mailConfig) => new SmtpTransport(mailConfig.smtp)
+};
+
+/**
+ * Create a mail transport
+ * @param {Object} mailConfig - The config.mail section
+ * @returns {Object} - Transport with a send(message) method
+ */
+export const createTransport = (mailConfig) => {
+  const factory = transports[mailConfig.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+  return factory(mailConfig);
+};
+
+export { FileTransport, SmtpTransport };
+export default createTransport;
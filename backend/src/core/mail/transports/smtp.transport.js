@@ -0,0 +1,45 @@
+/**
+ * SMTP Mail Transport
+ * Delivers emails through an SMTP server
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * SmtpTransport sends messages with nodemailer's SMTP transport
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - SMTP options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Use TLS from the start (port 465)
+   * @param {string} [options.user] - SMTP username
+   * @param {string} [options.password] - SMTP password
+   */
+  constructor(options) {
+    if (!options.host) {
+      throw new Error('SMTP host is required for the smtp mail transport');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Nodemailer message (from, to, subject, text, html)
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpTransport;
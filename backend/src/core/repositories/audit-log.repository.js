@@ -0,0 +1,176 @@
+/**
+ * Audit Log Repository
+ * Repository implementation for reading the authentication audit log (auth_logs)
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * AuditLogRepository handles the read side of the auth_logs table
+ * Entries are written by tokenRepository.saveAuthActivity
+ */
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('auth_logs', 'id');
+
+    // Columns that can be used for sorting and filtering the log
+    this.sortableColumns = ['created_at', 'username', 'action', 'ip_address', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      user_id: 'number',
+      username: 'string',
+      action: 'string',
+      success: 'boolean',
+      ip_address: 'string',
+      created_at: 'date'
+    };
+  }
+
+  /**
+   * Build the WHERE clause shared by the log list and the export, and the ORDER BY of the list
+   * @private
+   * @param {Object} options - Filter options
+   * @returns {Object} - { whereSql, params, orderBy }
+   */
+  _buildFilters(options = {}) {
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { defaultSort: '-created_at' });
+
+    if (options.userId) {
+      whereClauses.push('user_id = @userId');
+      params.userId = options.userId;
+    }
+
+    if (options.username) {
+      whereClauses.push('username LIKE @username');
+      params.username = `%${options.username}%`;
+    }
+
+    if (options.action) {
+      whereClauses.push('action = @action');
+      params.action = options.action;
+    }
+
+    if (options.success === true || options.success === false) {
+      whereClauses.push('success = @success');
+      params.success = options.success;
+    }
+
+    if (options.ip) {
+      // Tìm theo tiền tố để lọc được cả một dải địa chỉ, ví dụ "10.0."
+      whereClauses.push('ip_address LIKE @ip');
+      params.ip = `${options.ip}%`;
+    }
+
+    if (options.from) {
+      whereClauses.push('created_at >= @from');
+      params.from = options.from;
+    }
+
+    if (options.to) {
+      // Bao gồm cả ngày kết thúc
+      whereClauses.push(`created_at < ${this.dialect.dateAdd('day', 1, this.dialect.date('@to'))}`);
+      params.to = options.to;
+    }
+
+    return {
+      whereSql: whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '',
+      params,
+      orderBy
+    };
+  }
+
+  /**
+   * Get audit log entries with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), created_at descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {number} options.userId - Filter by user ID
+   * @param {string} options.username - Filter by part of the username
+   * @param {string} options.action - Filter by action, e.g. 'login'
+   * @param {boolean} options.success - Filter by outcome
+   * @param {string} options.ip - Filter by IP address prefix
+   * @param {string} options.from - Only entries on or after this date
+   * @param {string} options.to - Only entries on or before this date
+   * @returns {Promise<Object>} - Paginated entries with metadata
+   */
+  async getLogs(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 50;
+    const offset = (page - 1) * pageSize;
+    const { whereSql, params, orderBy } = this._buildFilters(options);
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM auth_logs
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT *
+      FROM auth_logs
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get the newest audit log entries matching the filters (used for export)
+   * @param {Object} options - Filter options (same as getLogs)
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} - Array of entries
+   */
+  async getAllLogs(options = {}, limit = 10000) {
+    const { whereSql, params } = this._buildFilters(options);
+
+    const query = `
+      SELECT ${this.dialect.top(limit)} *
+      FROM auth_logs
+      ${whereSql}
+      ORDER BY created_at DESC, id DESC
+      ${this.dialect.limit(limit)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset;
+  }
+
+  /**
+   * Get the distinct actions recorded in the log, for the action filter
+   * @returns {Promise<Array<string>>} - Action names in alphabetical order
+   */
+  async getActions() {
+    const query = `
+      SELECT DISTINCT action
+      FROM auth_logs
+      ORDER BY action
+    `;
+
+    const result = await this.db.executeQuery(query);
+    return result.recordset.map(row => row.action);
+  }
+}
+
+// Create and export a singleton instance
+const auditLogRepository = new AuditLogRepository();
+export default auditLogRepository;
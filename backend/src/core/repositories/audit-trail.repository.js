@@ -0,0 +1,45 @@
+/**
+ * Audit Trail Repository
+ * Repository implementation for reading the before/after history of admin data changes (audit_trail)
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * AuditTrailRepository handles the read side of the audit_trail table
+ * Entries are written by BaseRepository when a change is made with an actor
+ */
+class AuditTrailRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('audit_trail', 'id');
+  }
+
+  /**
+   * Get the change history of one record, newest first
+   * @param {string} tableName - Table of the record
+   * @param {number|string} recordId - Primary key of the record
+   * @param {number} [limit=100] - Maximum number of entries
+   * @returns {Promise<Array>} - Audit trail entries
+   */
+  async getRecordHistory(tableName, recordId, limit = 100) {
+    const result = await this.db.executeQuery(`
+      SELECT ${this.dialect.top('@limit')} id, table_name, record_id, action, changed_fields, before_data, after_data,
+        actor_id, actor_username, ip_address, created_at
+      FROM audit_trail
+      WHERE table_name = @tableName AND record_id = @recordId
+      ORDER BY created_at DESC, id DESC
+      ${this.dialect.limit('@limit')}
+    `, {
+      tableName,
+      recordId: String(recordId),
+      limit
+    });
+
+    return result.recordset;
+  }
+}
+
+// Create and export a singleton instance
+const auditTrailRepository = new AuditTrailRepository();
+export default auditTrailRepository;
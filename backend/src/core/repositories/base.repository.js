@@ -4,6 +4,22 @@
  */
 
 import dbService from '../services/db.service.js';
+import { parseSort } from '../../lib/query-spec-helper.js';
+
+// Filter operators allowed for each column type of filterableColumns
+const OPERATORS_BY_TYPE = {
+  string: ['eq', 'ne', 'in', 'like', 'gt', 'gte', 'lt', 'lte', 'between'],
+  number: ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte', 'between'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between'],
+  boolean: ['eq', 'ne']
+};
+
+const COMPARISONS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Largest number of values accepted by an 'in' filter
+const MAX_IN_VALUES = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * BaseRepository provides a generic implementation for common database operations
@@ -18,6 +34,34 @@ class BaseRepository {
     this.tableName = tableName;
     this.primaryKey = primaryKey;
     this.db = dbService;
+
+    // Columns left out of the audit_trail snapshots
+    this.auditExcludedColumns = ['password'];
+
+    // Columns list queries can be sorted by and filtered on (see buildQuerySpec); the primary key
+    // is always sortable. filterableColumns maps each column to its type: 'string', 'number', 'date' or 'boolean'
+    this.sortableColumns = [];
+    this.filterableColumns = {};
+
+    // Opt-in soft delete: delete() moves rows to the trash by setting deleted_at/deleted_by, queries skip
+    // them unless asked (withDeleted, onlyDeleted), restore() brings them back and purge() removes them
+    this.softDelete = false;
+
+    // Rows of other tables removed before a purge ([table, column]), for foreign keys without ON DELETE CASCADE
+    this.purgeDependents = [];
+
+    // Opt-in optimistic concurrency: column incremented by every update(), delete() and restore(); an update
+    // can then be made conditional on the version the client last read (options.expectedVersion)
+    this.versionColumn = null;
+  }
+
+  /**
+   * SQL fragments of the configured database, for the parts of queries that differ
+   * between SQL Server and SQLite (see core/database/mssql.driver.js)
+   * @returns {Object} - Dialect
+   */
+  get dialect() {
+    return this.db.dialect;
   }
 
   /**
@@ -25,38 +69,29 @@ class BaseRepository {
    * @param {Object} options - Query options
    * @param {number} options.limit - Maximum number of records to return
    * @param {number} options.offset - Number of records to skip
-   * @param {string} options.orderBy - Column to order by
-   * @param {string} options.orderDir - Order direction ('ASC' or 'DESC')
-   * @param {Object} options.where - Where conditions
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), primary key ascending by default
+   * @param {Array<Object>} options.filters - Filters ({ field, operator, value })
+   * @param {Object} options.where - Equality conditions (column -> value), same rules as filters
+   * @param {boolean} options.withDeleted - Include soft-deleted records
    * @returns {Promise<Array>} - Array of records
    */
   async findAll(options = {}) {
     const limit = options.limit || 100;
     const offset = options.offset || 0;
-    const orderBy = options.orderBy || this.primaryKey;
-    const orderDir = options.orderDir || 'ASC';
-    
-    let query = `SELECT * FROM ${this.tableName}`;
-    const params = {};
-    
-    // Add where conditions if provided
-    if (options.where && Object.keys(options.where).length > 0) {
-      const whereClauses = [];
-      Object.entries(options.where).forEach(([key, value], index) => {
-        const paramName = `where${index}`;
-        whereClauses.push(`${key} = @${paramName}`);
-        params[paramName] = value;
-      });
-      
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
-    }
-    
-    // Add order by
-    query += ` ORDER BY ${orderBy} ${orderDir}`;
-    
-    // Add pagination
-    query += ` OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`;
-    
+
+    const { whereClauses, params, orderBy } = this.buildQuerySpec({
+      filters: [...this._whereToFilters(options.where), ...(options.filters || [])],
+      sort: options.sort,
+      withDeleted: options.withDeleted
+    }, { defaultSort: this.primaryKey });
+
+    const query = `
+      SELECT * FROM ${this.tableName}
+      ${whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, limit)}
+    `;
+
     const result = await this.db.executeQuery(query, params);
     return result.recordset;
   }
@@ -64,10 +99,13 @@ class BaseRepository {
   /**
    * Find a record by its primary key
    * @param {number|string} id - The primary key value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.withDeleted] - Also find soft-deleted records
+   * @param {boolean} [options.onlyDeleted] - Only find soft-deleted records
    * @returns {Promise<Object|null>} - The found record or null
    */
-  async findById(id) {
-    const query = `SELECT * FROM ${this.tableName} WHERE ${this.primaryKey} = @id`;
+  async findById(id, options = {}) {
+    const query = `SELECT * FROM ${this.tableName} WHERE ${this.primaryKey} = @id ${this._deletedCondition(options, 'AND ')}`;
     const result = await this.db.executeQuery(query, { id });
     return result.recordset.length > 0 ? result.recordset[0] : null;
   }
@@ -76,10 +114,11 @@ class BaseRepository {
    * Find records by specific field value
    * @param {string} field - Field name
    * @param {any} value - Field value
+   * @param {Object} [options] - Options (withDeleted, onlyDeleted), as for findById
    * @returns {Promise<Array>} - Found records
    */
-  async findByField(field, value) {
-    const query = `SELECT * FROM ${this.tableName} WHERE ${field} = @value`;
+  async findByField(field, value, options = {}) {
+    const query = `SELECT * FROM ${this.tableName} WHERE ${field} = @value ${this._deletedCondition(options, 'AND ')}`;
     const result = await this.db.executeQuery(query, { value });
     return result.recordset;
   }
@@ -88,10 +127,15 @@ class BaseRepository {
    * Find one record by field value
    * @param {string} field - Field name
    * @param {any} value - Field value
+   * @param {Object} [options] - Options (withDeleted, onlyDeleted), as for findById
    * @returns {Promise<Object|null>} - The found record or null
    */
-  async findOneByField(field, value) {
-    const query = `SELECT TOP 1 * FROM ${this.tableName} WHERE ${field} = @value`;
+  async findOneByField(field, value, options = {}) {
+    const query = `
+      SELECT ${this.dialect.top(1)} * FROM ${this.tableName}
+      WHERE ${field} = @value ${this._deletedCondition(options, 'AND ')}
+      ${this.dialect.limit(1)}
+    `;
     const result = await this.db.executeQuery(query, { value });
     return result.recordset.length > 0 ? result.recordset[0] : null;
   }
@@ -99,9 +143,11 @@ class BaseRepository {
   /**
    * Create a new record
    * @param {Object} data - The data to insert
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
    * @returns {Promise<Object>} - The created record
    */
-  async create(data) {
+  async create(data, options = {}) {
     if (!data || Object.keys(data).length === 0) {
       throw new Error('No data provided for creation');
     }
@@ -115,51 +161,106 @@ class BaseRepository {
       VALUES (${paramNames});
       
       SELECT * FROM ${this.tableName} 
-      WHERE ${this.primaryKey} = SCOPE_IDENTITY();
+      WHERE ${this.primaryKey} = ${this.dialect.insertedId()};
     `;
 
     const result = await this.db.executeQuery(query, data);
-    return result.recordset[0];
+    const created = result.recordset[0];
+
+    if (options.actor && created) {
+      await this._recordAuditTrail('create', created[this.primaryKey], null, created, options.actor);
+    }
+
+    return created;
   }
 
   /**
    * Update a record by its primary key
    * @param {number|string} id - The primary key value
    * @param {Object} data - The data to update
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
+   * @param {number} [options.expectedVersion] - Only update the record if it is still at this version (versionColumn)
    * @returns {Promise<Object|null>} - The updated record or null
+   * @throws {Error} - Error with code 'VERSION_CONFLICT' and the current record when the version has changed
    */
-  async update(id, data) {
+  async update(id, data, options = {}) {
     if (!data || Object.keys(data).length === 0) {
       throw new Error('No data provided for update');
     }
 
-    const setClause = Object.keys(data)
-      .map(key => `${key} = @${key}`)
-      .join(', ');
+    // Snapshot before the change, only needed for the audit trail
+    const before = options.actor ? await this.findById(id) : null;
 
-    // Use a two-step approach to avoid trigger issues with OUTPUT
+    const assignments = Object.keys(data).map(key => `${key} = @${key}`);
+    const conditions = [`${this.primaryKey} = @id`];
+    const params = { ...data, id };
+
+    if (this.versionColumn) {
+      assignments.push(this._versionIncrement());
+      if (options.expectedVersion !== undefined && options.expectedVersion !== null) {
+        conditions.push(`${this.versionColumn} = @expectedVersion`);
+        params.expectedVersion = options.expectedVersion;
+      }
+    }
+
+    // Use a two-step approach to avoid trigger issues with OUTPUT (records in the trash are not updated)
     const query = `
       UPDATE ${this.tableName}
-      SET ${setClause}
-      WHERE ${this.primaryKey} = @id;
+      SET ${assignments.join(', ')}
+      WHERE ${conditions.join(' AND ')} ${this._deletedCondition({}, 'AND ')};
       
       SELECT * FROM ${this.tableName}
-      WHERE ${this.primaryKey} = @id;
+      WHERE ${this.primaryKey} = @id ${this._deletedCondition({}, 'AND ')};
     `;
 
-    const params = { ...data, id };
     const result = await this.db.executeQuery(query, params);
-    return result.recordset.length > 0 ? result.recordset[0] : null;
+    const updated = result.recordset.length > 0 ? result.recordset[0] : null;
+
+    // The record exists but was not updated: someone else saved a newer version in the meantime
+    if (updated && params.expectedVersion !== undefined && result.rowsAffected[0] === 0) {
+      const error = new Error('The record was changed by someone else. Reload it and try again.');
+      error.code = 'VERSION_CONFLICT';
+      error.current = updated;
+      throw error;
+    }
+
+    if (options.actor && before && updated) {
+      await this._recordAuditTrail('update', id, before, updated, options.actor);
+    }
+
+    return updated;
   }
 
   /**
    * Delete a record by its primary key
+   * With softDelete the record is moved to the trash instead (deleted_at, deleted_by)
    * @param {number|string} id - The primary key value
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
    * @returns {Promise<boolean>} - True if deleted, false otherwise
    */
-  async delete(id) {
-    // First check if the record exists
-    const checkQuery = `SELECT ${this.primaryKey} FROM ${this.tableName} WHERE ${this.primaryKey} = @id`;
+  async delete(id, options = {}) {
+    if (this.softDelete) {
+      const before = await this.findById(id);
+      if (!before) {
+        return false;
+      }
+
+      await this.db.executeQuery(`
+        UPDATE ${this.tableName}
+        SET deleted_at = ${this.dialect.now()}, deleted_by = @deletedBy${this._versionIncrement(', ')}
+        WHERE ${this.primaryKey} = @id AND deleted_at IS NULL
+      `, { id, deletedBy: options.actor?.id || null });
+
+      if (options.actor) {
+        await this._recordAuditTrail('delete', id, before, null, options.actor);
+      }
+      return true;
+    }
+
+    // First check if the record exists (the whole row is kept as the audit trail snapshot)
+    const checkQuery = `SELECT ${options.actor ? '*' : this.primaryKey} FROM ${this.tableName} WHERE ${this.primaryKey} = @id`;
     const checkResult = await this.db.executeQuery(checkQuery, { id });
     
     if (checkResult.recordset.length === 0) {
@@ -169,35 +270,329 @@ class BaseRepository {
     // Then delete the record
     const query = `DELETE FROM ${this.tableName} WHERE ${this.primaryKey} = @id`;
     const result = await this.db.executeQuery(query, { id });
+
+    if (options.actor) {
+      await this._recordAuditTrail('delete', id, checkResult.recordset[0], null, options.actor);
+    }
     
     return true;
   }
 
+  /**
+   * Restore a soft-deleted record from the trash
+   * @param {number|string} id - The primary key value
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
+   * @returns {Promise<Object|null>} - The restored record, or null if it is not in the trash
+   */
+  async restore(id, options = {}) {
+    this._assertSoftDelete();
+
+    const before = await this.findById(id, { onlyDeleted: true });
+    if (!before) {
+      return null;
+    }
+
+    await this.db.executeQuery(`
+      UPDATE ${this.tableName}
+      SET deleted_at = NULL, deleted_by = NULL${this._versionIncrement(', ')}
+      WHERE ${this.primaryKey} = @id
+    `, { id });
+    const restored = await this.findById(id);
+
+    if (options.actor && restored) {
+      await this._recordAuditTrail('restore', id, before, restored, options.actor);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Permanently delete a soft-deleted record, after the rows listed in purgeDependents
+   * @param {number|string} id - The primary key value
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
+   * @returns {Promise<boolean>} - True if purged, false if the record is not in the trash
+   * @throws {Error} - Database error, e.g. number 547 when other rows still reference the record
+   */
+  async purge(id, options = {}) {
+    this._assertSoftDelete();
+
+    const before = await this.findById(id, { onlyDeleted: true });
+    if (!before) {
+      return false;
+    }
+
+    await this.executeTransaction(async (transaction) => {
+      for (const [table, column] of this.purgeDependents) {
+        await this.executeInTransaction(transaction, `DELETE FROM ${table} WHERE ${column} = @id`, { id });
+      }
+      await this.executeInTransaction(transaction, `
+        DELETE FROM ${this.tableName}
+        WHERE ${this.primaryKey} = @id AND deleted_at IS NOT NULL
+      `, { id });
+    });
+
+    if (options.actor) {
+      await this._recordAuditTrail('purge', id, before, null, options.actor);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get soft-deleted records (the trash), most recently deleted first
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page] - Page number (1-based)
+   * @param {number} [options.pageSize] - Page size
+   * @param {Array<string>} [options.columns] - Columns returned besides the primary key, deleted_at and deleted_by
+   * @returns {Promise<Object>} - Paginated records with the username of who deleted them (deleted_by_username)
+   */
+  async findDeleted(options = {}) {
+    this._assertSoftDelete();
+
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 20;
+    const offset = (page - 1) * pageSize;
+    const columns = [this.primaryKey, ...(options.columns || []), 'deleted_at', 'deleted_by'];
+
+    const countResult = await this.db.executeQuery(
+      `SELECT COUNT(*) AS total FROM ${this.tableName} WHERE deleted_at IS NOT NULL`
+    );
+    const total = countResult.recordset[0].total;
+
+    const result = await this.db.executeQuery(`
+      SELECT ${columns.map(column => `t.${column}`).join(', ')}, u.username AS deleted_by_username
+      FROM ${this.tableName} t
+      LEFT JOIN users u ON t.deleted_by = u.id
+      WHERE t.deleted_at IS NOT NULL
+      ORDER BY t.deleted_at DESC, t.${this.primaryKey} DESC
+      ${this.dialect.paginate(offset, pageSize)}
+    `);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get the primary keys of records deleted before a date, oldest first
+   * @param {Date} before - Deletion date limit
+   * @param {number} [limit] - Maximum number of keys
+   * @returns {Promise<Array>} - Primary key values
+   */
+  async findDeletedBefore(before, limit = 100) {
+    this._assertSoftDelete();
+
+    const result = await this.db.executeQuery(`
+      SELECT ${this.dialect.top(limit)} ${this.primaryKey} AS id
+      FROM ${this.tableName}
+      WHERE deleted_at IS NOT NULL AND deleted_at < @before
+      ORDER BY deleted_at ASC
+      ${this.dialect.limit(limit)}
+    `, { before });
+    return result.recordset.map(row => row.id);
+  }
+
   /**
    * Count records in the table
-   * @param {Object} where - Where conditions
+   * @param {Object} where - Equality conditions (column -> value), only filterableColumns
+   * @param {Object} [options] - Options (withDeleted, onlyDeleted), as for findById
    * @returns {Promise<number>} - Number of records
    */
-  async count(where = {}) {
-    let query = `SELECT COUNT(*) AS total FROM ${this.tableName}`;
-    const params = {};
-    
-    // Add where conditions if provided
-    if (Object.keys(where).length > 0) {
-      const whereClauses = [];
-      Object.entries(where).forEach(([key, value], index) => {
-        const paramName = `where${index}`;
-        whereClauses.push(`${key} = @${paramName}`);
-        params[paramName] = value;
-      });
-      
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
-    }
-    
+  async count(where = {}, options = {}) {
+    const { whereClauses, params } = this.buildQuerySpec({
+      filters: this._whereToFilters(where),
+      withDeleted: options.withDeleted,
+      onlyDeleted: options.onlyDeleted
+    });
+    const query = `
+      SELECT COUNT(*) AS total FROM ${this.tableName}
+      ${whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''}
+    `;
+
     const result = await this.db.executeQuery(query, params);
     return result.recordset[0].total;
   }
 
+  /**
+   * Build the WHERE conditions and ORDER BY of a list query from a query spec
+   * Columns must be listed in filterableColumns / sortableColumns, values are always
+   * passed as parameters, so a spec parsed from the query string is safe to use
+   * @param {Object} spec - Query spec, e.g. from parseQuerySpec() in lib/query-spec-helper.js
+   * @param {Array<Object>} [spec.filters] - [{ field, operator, value }]
+   * @param {Array<Object>} [spec.sort] - [{ field, direction: 'ASC' | 'DESC' }]
+   * @param {boolean} [spec.withDeleted] - Include soft-deleted rows (excluded by default)
+   * @param {boolean} [spec.onlyDeleted] - Only soft-deleted rows
+   * @param {Object} [options] - Options
+   * @param {string} [options.alias] - Table alias used in the query (e.g. 'n' for 'FROM news n')
+   * @param {string} [options.defaultSort] - Sort used when the spec has none, e.g. '-created_at'
+   * @returns {Object} - { whereClauses, params, orderBy }; orderBy ends with the primary key so pages are stable
+   * @throws {Error} - 'Invalid query: ...' for columns, operators or values that are not allowed
+   */
+  buildQuerySpec(spec = {}, options = {}) {
+    const prefix = options.alias ? `${options.alias}.` : '';
+    const whereClauses = [];
+    const params = {};
+
+    (spec.filters || []).forEach((filter, index) => {
+      const type = Object.prototype.hasOwnProperty.call(this.filterableColumns, filter.field)
+        ? this.filterableColumns[filter.field]
+        : null;
+      if (!type) {
+        throw new Error(`Invalid query: cannot filter on '${filter.field}'`);
+      }
+      if (!OPERATORS_BY_TYPE[type].includes(filter.operator)) {
+        throw new Error(`Invalid query: operator '${filter.operator}' is not allowed for '${filter.field}'`);
+      }
+
+      const column = `${prefix}${filter.field}`;
+      const name = `filter${index}`;
+
+      if (filter.operator === 'in') {
+        if (filter.value.length > MAX_IN_VALUES) {
+          throw new Error(`Invalid query: filter[${filter.field}][in] accepts at most ${MAX_IN_VALUES} values`);
+        }
+        const names = filter.value.map((value, valueIndex) => {
+          params[`${name}_${valueIndex}`] = this._toFilterValue(filter.field, type, value);
+          return `@${name}_${valueIndex}`;
+        });
+        whereClauses.push(`${column} IN (${names.join(', ')})`);
+      } else if (filter.operator === 'between') {
+        const [from, to] = filter.value;
+        params[`${name}_from`] = this._toFilterValue(filter.field, type, from);
+        params[`${name}_to`] = this._toFilterValue(filter.field, type, to, true);
+        // A date without time includes the whole day: compare with the start of the next day
+        whereClauses.push(type === 'date' && DATE_ONLY.test(to)
+          ? `${column} >= @${name}_from AND ${column} < @${name}_to`
+          : `${column} BETWEEN @${name}_from AND @${name}_to`);
+      } else if (filter.operator === 'like') {
+        // % and _ typed by the user are matched literally
+        params[name] = `%${String(filter.value).replace(/[\\%_[]/g, '\\$&')}%`;
+        whereClauses.push(`${column} LIKE @${name} ESCAPE '\\'`);
+      } else if (filter.operator === 'lte' && type === 'date' && DATE_ONLY.test(filter.value)) {
+        params[name] = this._toFilterValue(filter.field, type, filter.value, true);
+        whereClauses.push(`${column} < @${name}`);
+      } else {
+        params[name] = this._toFilterValue(filter.field, type, filter.value);
+        whereClauses.push(`${column} ${COMPARISONS[filter.operator]} @${name}`);
+      }
+    });
+
+    const deleted = this._deletedCondition(spec, '', prefix);
+    if (deleted) {
+      whereClauses.push(deleted);
+    }
+
+    const sort = spec.sort && spec.sort.length > 0 ? spec.sort : parseSort(options.defaultSort);
+    const orderColumns = sort.map(({ field, direction }) => {
+      if (field !== this.primaryKey && !this.sortableColumns.includes(field)) {
+        throw new Error(`Invalid query: cannot sort by '${field}'`);
+      }
+      return `${prefix}${field} ${direction === 'DESC' ? 'DESC' : 'ASC'}`;
+    });
+    if (!sort.some(({ field }) => field === this.primaryKey)) {
+      orderColumns.push(`${prefix}${this.primaryKey} DESC`);
+    }
+
+    return { whereClauses, params, orderBy: orderColumns.join(', ') };
+  }
+
+  /**
+   * Convert a filter value to the type of its column
+   * @private
+   * @param {string} field - Column name
+   * @param {string} type - Column type from filterableColumns
+   * @param {any} value - Filter value
+   * @param {boolean} [endOfDay] - For a date without time, return the start of the next day
+   * @returns {any} - Parameter value
+   * @throws {Error} - If the value does not fit the type
+   */
+  _toFilterValue(field, type, value, endOfDay = false) {
+    if (type === 'number') {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) {
+        throw new Error(`Invalid query: '${value}' is not a number for '${field}'`);
+      }
+      return number;
+    }
+
+    if (type === 'boolean') {
+      if (value === true || value === 'true' || value === '1' || value === 1) {
+        return true;
+      }
+      if (value === false || value === 'false' || value === '0' || value === 0) {
+        return false;
+      }
+      throw new Error(`Invalid query: '${value}' is not true or false for '${field}'`);
+    }
+
+    if (type === 'date') {
+      const date = value instanceof Date ? new Date(value) : new Date(String(value));
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid query: '${value}' is not a date for '${field}'`);
+      }
+      if (endOfDay && DATE_ONLY.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      return date;
+    }
+
+    return value;
+  }
+
+  /**
+   * Assignment incrementing the row version, empty for tables without versionColumn
+   * @private
+   * @param {string} [keyword] - Text placed before the assignment, e.g. ', '
+   * @returns {string} - SQL assignment
+   */
+  _versionIncrement(keyword = '') {
+    return this.versionColumn ? `${keyword}${this.versionColumn} = ${this.versionColumn} + 1` : '';
+  }
+
+  /**
+   * Condition skipping soft-deleted rows, empty for tables without softDelete
+   * @private
+   * @param {Object} [options] - { withDeleted, onlyDeleted }
+   * @param {string} [keyword] - Text placed before the condition, e.g. 'AND '
+   * @param {string} [prefix] - Column prefix, e.g. 'n.'
+   * @returns {string} - SQL condition
+   */
+  _deletedCondition(options = {}, keyword = '', prefix = '') {
+    if (!this.softDelete || options.withDeleted) {
+      return '';
+    }
+    return `${keyword}${prefix}deleted_at ${options.onlyDeleted ? 'IS NOT NULL' : 'IS NULL'}`;
+  }
+
+  /**
+   * @private
+   * @throws {Error} - If the repository does not use soft delete
+   */
+  _assertSoftDelete() {
+    if (!this.softDelete) {
+      throw new Error(`Soft delete is not enabled for ${this.tableName}`);
+    }
+  }
+
+  /**
+   * Turn an equality map into query spec filters
+   * @private
+   * @param {Object} [where] - Column -> value
+   * @returns {Array<Object>} - [{ field, operator: 'eq', value }]
+   */
+  _whereToFilters(where) {
+    return Object.entries(where || {}).map(([field, value]) => ({ field, operator: 'eq', value }));
+  }
+
   /**
    * Execute custom SQL query
    * @param {string} query - SQL query
@@ -208,6 +603,62 @@ class BaseRepository {
     return await this.db.executeQuery(query, params);
   }
 
+  /**
+   * Record a change with before/after snapshots in the audit_trail table
+   * Failures are logged and do not undo the change itself
+   * @private
+   * @param {string} action - 'create', 'update', 'delete', 'restore' or 'purge'
+   * @param {number|string} recordId - Primary key of the changed record
+   * @param {Object|null} before - Record before the change
+   * @param {Object|null} after - Record after the change
+   * @param {Object} actor - User making the change ({ id, username, ip })
+   * @returns {Promise<void>}
+   */
+  async _recordAuditTrail(action, recordId, before, after, actor) {
+    // Excluded columns (e.g. password) are still listed as changed, only their values are left out
+    const changedFields = before && after
+      ? Object.keys(after).filter(key => key !== 'updated_at' && key !== this.versionColumn
+        && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      : [];
+
+    if (action === 'update' && changedFields.length === 0) {
+      return;
+    }
+
+    try {
+      await this.db.executeQuery(`
+        INSERT INTO audit_trail (table_name, record_id, action, changed_fields, before_data, after_data,
+          actor_id, actor_username, ip_address, created_at)
+        VALUES (@tableName, @recordId, @action, @changedFields, @beforeData, @afterData,
+          @actorId, @actorUsername, @ipAddress, ${this.dialect.now()})
+      `, {
+        tableName: this.tableName,
+        recordId: String(recordId),
+        action,
+        changedFields: changedFields.join(',').slice(0, 1000),
+        beforeData: before ? JSON.stringify(this._toAuditSnapshot(before)) : null,
+        afterData: after ? JSON.stringify(this._toAuditSnapshot(after)) : null,
+        actorId: actor.id || null,
+        actorUsername: actor.username || null,
+        ipAddress: actor.ip || null
+      });
+    } catch (error) {
+      console.error(`Error recording audit trail for ${this.tableName} #${recordId}:`, error);
+    }
+  }
+
+  /**
+   * Copy a record for an audit_trail snapshot without the excluded columns
+   * @private
+   * @param {Object} record - Database record
+   * @returns {Object} - Snapshot
+   */
+  _toAuditSnapshot(record) {
+    return Object.fromEntries(
+      Object.entries(record).filter(([key]) => !this.auditExcludedColumns.includes(key))
+    );
+  }
+
   /**
    * Execute query in a transaction
    * @param {Function} callback - Callback function that takes a transaction object
@@ -216,6 +667,39 @@ class BaseRepository {
   async executeTransaction(callback) {
     return await this.db.executeTransaction(callback);
   }
+
+  /**
+   * Execute custom SQL query on an open transaction
+   * @param {Object} transaction - Transaction passed to the executeTransaction callback
+   * @param {string} query - SQL query
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} - Query result
+   */
+  async executeInTransaction(transaction, query, params = {}) {
+    const request = transaction.request();
+    Object.entries(params).forEach(([key, value]) => {
+      request.input(key, value);
+    });
+    return await request.query(query);
+  }
+
+  /**
+   * Run part of a transaction behind a savepoint
+   * If the callback throws, only its own changes are rolled back and the error is rethrown,
+   * so the caller can report it and carry on with the rest of the transaction
+   * @param {Object} transaction - Transaction passed to the executeTransaction callback
+   * @param {Function} callback - Async function doing the work
+   * @returns {Promise<any>} - Callback result
+   */
+  async withSavepoint(transaction, callback) {
+    await this.executeInTransaction(transaction, this.dialect.savepoint('item_savepoint'));
+    try {
+      return await callback();
+    } catch (error) {
+      await this.executeInTransaction(transaction, this.dialect.rollbackToSavepoint('item_savepoint'));
+      throw error;
+    }
+  }
 }
 
 export default BaseRepository;
\ No newline at end of file
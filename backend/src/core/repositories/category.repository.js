@@ -0,0 +1,93 @@
+/**
+ * Category Repository
+ * Repository implementation for category database operations
+ * Categories are shared by news articles and products
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * CategoryRepository handles all database operations related to categories
+ * Extends the BaseRepository for common CRUD operations
+ */
+class CategoryRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('categories', 'id');
+  }
+
+  /**
+   * Get all categories
+   * @returns {Promise<Array>} - Array of categories
+   */
+  async getCategories() {
+    const result = await this.db.executeQuery(
+      'SELECT id, name, slug, description, parent_id, image FROM categories ORDER BY [order] ASC, name ASC'
+    );
+    return result.recordset;
+  }
+
+  /**
+   * Get categories with the number of products they contain
+   * @param {string} [status] - Only count products with this status and skip empty categories
+   * @returns {Promise<Array>} - Array of categories with product counts
+   */
+  async getProductCategories(status) {
+    const query = `
+      SELECT c.id, c.name, c.slug, c.description, c.parent_id, c.image, COUNT(p.id) AS product_count
+      FROM categories c
+      LEFT JOIN products p ON p.category_id = c.id ${status ? 'AND p.status = @status' : ''}
+      GROUP BY c.id, c.name, c.slug, c.description, c.parent_id, c.image, c.[order]
+      ${status ? 'HAVING COUNT(p.id) > 0' : ''}
+      ORDER BY c.[order] ASC, c.name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, status ? { status } : {});
+    return result.recordset;
+  }
+
+  /**
+   * Get categories with the number of news articles they contain
+   * @param {string} [status] - Only count articles with this status and skip empty categories
+   * @returns {Promise<Array>} - Array of categories with article counts
+   */
+  async getNewsCategories(status) {
+    const query = `
+      SELECT c.id, c.name, c.slug, c.description, c.parent_id, c.image, COUNT(n.id) AS news_count
+      FROM categories c
+      LEFT JOIN news n ON n.category_id = c.id AND n.deleted_at IS NULL ${status ? 'AND n.status = @status' : ''}
+      GROUP BY c.id, c.name, c.slug, c.description, c.parent_id, c.image, c.[order]
+      ${status ? 'HAVING COUNT(n.id) > 0' : ''}
+      ORDER BY c.[order] ASC, c.name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, status ? { status } : {});
+    return result.recordset;
+  }
+
+  /**
+   * Find a category by its slug
+   * @param {string} slug - Category slug
+   * @returns {Promise<Object|null>} - Category or null if not found
+   */
+  async findBySlug(slug) {
+    return await this.findOneByField('slug', slug);
+  }
+
+  /**
+   * Check if a category exists
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<boolean>} - True if the category exists
+   */
+  async exists(categoryId) {
+    const result = await this.db.executeQuery(
+      'SELECT COUNT(*) AS total FROM categories WHERE id = @categoryId',
+      { categoryId }
+    );
+    return result.recordset[0].total > 0;
+  }
+}
+
+// Create and export a singleton instance
+const categoryRepository = new CategoryRepository();
+export default categoryRepository;
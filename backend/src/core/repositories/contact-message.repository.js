@@ -0,0 +1,165 @@
+/**
+ * Contact Message Repository
+ * Repository implementation for contact form submission database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * ContactMessageRepository handles all database operations related to contact messages
+ * Extends the BaseRepository for common CRUD operations
+ */
+class ContactMessageRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('contact_messages', 'id');
+
+    // Columns that can be used for sorting and filtering the inbox
+    this.sortableColumns = ['name', 'email', 'subject', 'created_at', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      name: 'string',
+      email: 'string',
+      phone: 'string',
+      company: 'string',
+      subject: 'string',
+      service_interest: 'string',
+      read_status: 'boolean',
+      created_at: 'date',
+      updated_at: 'date'
+    };
+  }
+
+  /**
+   * Build the WHERE clause shared by the inbox list and the export, and the ORDER BY of the list
+   * @private
+   * @param {Object} options - Filter options
+   * @returns {Object} - { whereSql, params, orderBy }
+   */
+  _buildFilters(options = {}) {
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { defaultSort: '-created_at' });
+
+    if (options.search) {
+      whereClauses.push('(name LIKE @search OR email LIKE @search OR subject LIKE @search OR message LIKE @search)');
+      params.search = `%${options.search}%`;
+    }
+
+    if (options.readStatus === 'read' || options.readStatus === 'unread') {
+      whereClauses.push('read_status = @readStatus');
+      params.readStatus = options.readStatus === 'read';
+    }
+
+    if (options.serviceInterest) {
+      whereClauses.push('service_interest = @serviceInterest');
+      params.serviceInterest = options.serviceInterest;
+    }
+
+    if (options.from) {
+      whereClauses.push('created_at >= @from');
+      params.from = options.from;
+    }
+
+    if (options.to) {
+      // Bao gồm cả ngày kết thúc
+      whereClauses.push(`created_at < ${this.dialect.dateAdd('day', 1, this.dialect.date('@to'))}`);
+      params.to = options.to;
+    }
+
+    return {
+      whereSql: whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '',
+      params,
+      orderBy
+    };
+  }
+
+  /**
+   * Get contact messages with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), created_at descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {string} options.search - Search term for name, email, subject and message
+   * @param {string} options.readStatus - Filter by 'read' or 'unread'
+   * @param {string} options.serviceInterest - Filter by service interest
+   * @param {string} options.from - Only messages received on or after this date
+   * @param {string} options.to - Only messages received on or before this date
+   * @returns {Promise<Object>} - Paginated messages with metadata
+   */
+  async getMessages(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 20;
+    const offset = (page - 1) * pageSize;
+    const { whereSql, params, orderBy } = this._buildFilters(options);
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM contact_messages
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT *
+      FROM contact_messages
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get all contact messages matching the filters, newest first (used for export)
+   * @param {Object} options - Filter options (same as getMessages)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getAllMessages(options = {}) {
+    const { whereSql, params } = this._buildFilters(options);
+
+    const query = `
+      SELECT *
+      FROM contact_messages
+      ${whereSql}
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset;
+  }
+
+  /**
+   * Count all and unread contact messages
+   * @returns {Promise<Object>} - { total, unread }
+   */
+  async getStats() {
+    const query = `
+      SELECT
+        COUNT(*) AS total,
+        COALESCE(SUM(CASE WHEN read_status = 0 THEN 1 ELSE 0 END), 0) AS unread
+      FROM contact_messages
+    `;
+
+    const result = await this.db.executeQuery(query);
+    return result.recordset[0];
+  }
+}
+
+// Create and export a singleton instance
+const contactMessageRepository = new ContactMessageRepository();
+export default contactMessageRepository;
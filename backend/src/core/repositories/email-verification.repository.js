@@ -0,0 +1,141 @@
+/**
+ * Email Verification Repository
+ * Repository để lưu trữ và quản lý token xác thực email trong database
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * EmailVerificationRepository xử lý các thao tác cơ sở dữ liệu liên quan đến token xác thực email
+ * Kế thừa từ BaseRepository để sử dụng các thao tác CRUD cơ bản
+ */
+class EmailVerificationRepository extends BaseRepository {
+  constructor() {
+    // Chỉ định tên bảng và cột khóa chính
+    super('email_verification_tokens', 'id');
+  }
+
+  /**
+   * Tạo token xác thực mới, thay thế các token cũ của người dùng
+   * @param {number} userId - ID của người dùng
+   * @param {string} tokenHash - SHA-256 của token gửi trong email
+   * @param {Date} expiresAt - Thời gian hết hạn
+   * @returns {Promise<Object>} - Token được tạo
+   */
+  async createToken(userId, tokenHash, expiresAt) {
+    // Chỉ link trong email gần nhất còn dùng được
+    await this.deleteByUserId(userId);
+
+    return await this.create({
+      user_id: userId,
+      token_hash: tokenHash,
+      expires_at: expiresAt,
+      created_at: new Date(),
+      used: 0
+    });
+  }
+
+  /**
+   * Tìm token chưa sử dụng theo token hash
+   * @param {string} tokenHash - Hash của token cần tìm
+   * @returns {Promise<Object|null>} - Thông tin token và người dùng hoặc null nếu không tìm thấy
+   */
+  async findByTokenHash(tokenHash) {
+    const query = `
+      SELECT t.id, t.user_id, t.expires_at,
+             u.username, u.email, u.email_verified
+      FROM ${this.tableName} t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = @tokenHash AND t.used = 0
+    `;
+
+    const result = await this.db.executeQuery(query, { tokenHash });
+    return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Tìm token mới nhất của người dùng
+   * @param {number} userId - ID của người dùng
+   * @returns {Promise<Object|null>} - Thông tin token hoặc null nếu không tìm thấy
+   */
+  async findLatestByUserId(userId) {
+    const query = `
+      SELECT ${this.dialect.top(1)} id, user_id, expires_at, created_at, used
+      FROM ${this.tableName}
+      WHERE user_id = @userId
+      ORDER BY created_at DESC
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { userId });
+    return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Đánh dấu email của người dùng đã xác thực và đánh dấu token đã sử dụng
+   * @param {number} tokenId - ID của token
+   * @param {number} userId - ID của người dùng
+   * @returns {Promise<void>}
+   */
+  async markVerified(tokenId, userId) {
+    await this.executeTransaction(async (transaction) => {
+      await this.executeInTransaction(transaction, `
+        UPDATE users
+        SET email_verified = 1, email_verified_at = ${this.dialect.now()}, updated_at = ${this.dialect.now()},
+            row_version = row_version + 1
+        WHERE id = @userId
+      `, { userId });
+
+      await this.executeInTransaction(transaction, `UPDATE ${this.tableName} SET used = 1 WHERE id = @tokenId`, { tokenId });
+    });
+  }
+
+  /**
+   * Xóa tất cả token của một người dùng
+   * @param {number} userId - ID của người dùng
+   * @returns {Promise<number>} - Số lượng token đã xóa
+   */
+  async deleteByUserId(userId) {
+    const query = `
+      DELETE FROM ${this.tableName}
+      WHERE user_id = @userId
+    `;
+
+    const result = await this.db.executeQuery(query, { userId });
+    return result.rowsAffected[0] || 0;
+  }
+
+  /**
+   * Xóa các token đã hết hạn hoặc đã sử dụng
+   * @returns {Promise<number>} - Số lượng token đã xóa
+   */
+  async cleanupExpiredTokens() {
+    const query = `
+      DELETE FROM ${this.tableName}
+      WHERE expires_at < ${this.dialect.now()} OR used = 1
+    `;
+
+    const result = await this.db.executeQuery(query);
+    return result.rowsAffected[0] || 0;
+  }
+
+  /**
+   * Tìm người dùng đang hoạt động nhưng chưa xác thực email
+   * @param {string} email - Email của người dùng
+   * @returns {Promise<Object|null>} - Thông tin người dùng hoặc null nếu không tìm thấy
+   */
+  async findUnverifiedUserByEmail(email) {
+    const query = `
+      SELECT id, username, email
+      FROM users
+      WHERE email = @email AND is_active = 1 AND email_verified = 0 AND deleted_at IS NULL
+    `;
+
+    const result = await this.db.executeQuery(query, { email });
+    return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+}
+
+// Tạo và xuất instance singleton
+const emailVerificationRepository = new EmailVerificationRepository();
+export default emailVerificationRepository;
@@ -0,0 +1,154 @@
+/**
+ * File Repository
+ * Repository implementation for uploaded file (media library) database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * FileRepository handles all database operations related to uploaded files
+ * Extends the BaseRepository for common CRUD operations
+ */
+class FileRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('files', 'id');
+
+    // Columns that can be used for sorting and filtering the file list
+    this.sortableColumns = ['original_name', 'size', 'created_at', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      original_name: 'string',
+      mime_type: 'string',
+      size: 'number',
+      width: 'number',
+      height: 'number',
+      usage_type: 'string',
+      uploaded_by: 'number',
+      created_at: 'date'
+    };
+
+    // Columns of other tables that may store the public path of an uploaded file
+    this.referenceColumns = [
+      { table: 'news', column: 'image' },
+      { table: 'products', column: 'image' },
+      { table: 'product_images', column: 'image_path' },
+      { table: 'projects', column: 'featured_image' },
+      { table: 'project_images', column: 'image_path' }
+    ];
+  }
+
+  /**
+   * Get files with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), created_at descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {string} options.search - Search term for the original file name
+   * @param {string} options.type - Filter by MIME type prefix (e.g. 'image')
+   * @param {string} options.usageType - Filter by usage type
+   * @param {number} options.uploadedBy - Filter by uploader
+   * @returns {Promise<Object>} - Paginated files with metadata
+   */
+  async getFiles(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 20;
+    const offset = (page - 1) * pageSize;
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { alias: 'f', defaultSort: '-created_at' });
+
+    if (options.search) {
+      whereClauses.push('f.original_name LIKE @search');
+      params.search = `%${options.search}%`;
+    }
+
+    if (options.type) {
+      whereClauses.push('f.mime_type LIKE @type');
+      params.type = `${options.type}/%`;
+    }
+
+    if (options.usageType) {
+      whereClauses.push('f.usage_type = @usageType');
+      params.usageType = options.usageType;
+    }
+
+    if (options.uploadedBy) {
+      whereClauses.push('f.uploaded_by = @uploadedBy');
+      params.uploadedBy = options.uploadedBy;
+    }
+
+    const whereSql = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM files f
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT
+        f.*,
+        u.username AS uploaded_by_username
+      FROM files f
+      LEFT JOIN users u ON f.uploaded_by = u.id
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Find a file by ID including the uploader's username
+   * @param {number} id - File ID
+   * @returns {Promise<Object|null>} - File or null if not found
+   */
+  async findWithUploader(id) {
+    const query = `
+      SELECT ${this.dialect.top(1)}
+        f.*,
+        u.username AS uploaded_by_username
+      FROM files f
+      LEFT JOIN users u ON f.uploaded_by = u.id
+      WHERE f.id = @id
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { id });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Count how many records of news, products and projects reference a file
+   * @param {string} filePath - Public path of the file
+   * @returns {Promise<Array>} - Array of { table, total } for the tables that reference it
+   */
+  async getReferences(filePath) {
+    const query = this.referenceColumns
+      .map(({ table, column }) => `SELECT '${table}' AS [table], COUNT(*) AS total FROM ${table} WHERE ${column} = @filePath`)
+      .join(' UNION ALL ');
+
+    const result = await this.db.executeQuery(query, { filePath });
+    return result.recordset.filter(row => row.total > 0);
+  }
+}
+
+// Create and export a singleton instance
+const fileRepository = new FileRepository();
+export default fileRepository;
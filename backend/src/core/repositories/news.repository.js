@@ -0,0 +1,268 @@
+/**
+ * News Repository
+ * Repository implementation for news article database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * NewsRepository handles all database operations related to news articles
+ * Extends the BaseRepository for common CRUD operations
+ */
+class NewsRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('news', 'id');
+
+    // Columns that can be used for sorting and filtering the news list
+    this.sortableColumns = ['publish_date', 'created_at', 'updated_at', 'title', 'views', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      title: 'string',
+      slug: 'string',
+      publish_date: 'date',
+      author_id: 'number',
+      category_id: 'number',
+      location: 'string',
+      organizer: 'string',
+      views: 'number',
+      featured: 'boolean',
+      status: 'string',
+      created_at: 'date',
+      updated_at: 'date'
+    };
+
+    // Deleted articles go to the trash until they are restored or purged
+    this.softDelete = true;
+
+    // Two editors saving the same article: the second save fails instead of overwriting the first
+    this.versionColumn = 'row_version';
+  }
+
+  /**
+   * Get news articles with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), publish_date descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {string} options.search - Search term for title/excerpt
+   * @param {string} options.status - Filter by status
+   * @param {number} options.categoryId - Filter by category ID
+   * @param {string} options.category - Filter by category slug
+   * @param {string} options.tag - Filter by tag slug
+   * @param {boolean} options.featured - Filter by featured flag
+   * @returns {Promise<Object>} - Paginated news with metadata
+   */
+  async getNews(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 10;
+    const offset = (page - 1) * pageSize;
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { alias: 'n', defaultSort: '-publish_date' });
+
+    if (options.search) {
+      whereClauses.push('(n.title LIKE @search OR n.excerpt LIKE @search)');
+      params.search = `%${options.search}%`;
+    }
+
+    if (options.status) {
+      whereClauses.push('n.status = @status');
+      params.status = options.status;
+    }
+
+    if (options.categoryId) {
+      whereClauses.push('n.category_id = @categoryId');
+      params.categoryId = options.categoryId;
+    }
+
+    if (options.category) {
+      whereClauses.push('c.slug = @categorySlug');
+      params.categorySlug = options.category;
+    }
+
+    if (options.tag) {
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM news_tags nt
+        JOIN tags t ON nt.tag_id = t.id
+        WHERE nt.news_id = n.id AND t.slug = @tagSlug
+      )`);
+      params.tagSlug = options.tag;
+    }
+
+    if (options.featured !== undefined) {
+      whereClauses.push('n.featured = @featured');
+      params.featured = options.featured ? 1 : 0;
+    }
+
+    const whereSql = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM news n
+      LEFT JOIN categories c ON n.category_id = c.id
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT
+        n.id,
+        n.title,
+        n.slug,
+        n.excerpt,
+        n.image,
+        n.publish_date,
+        n.author_id,
+        n.category_id,
+        n.location,
+        n.organizer,
+        n.views,
+        n.featured,
+        n.status,
+        n.created_at,
+        n.updated_at,
+        n.row_version,
+        c.name AS category_name,
+        c.slug AS category_slug,
+        u.full_name AS author_name
+      FROM news n
+      LEFT JOIN categories c ON n.category_id = c.id
+      LEFT JOIN users u ON n.author_id = u.id
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Find a news article by its slug including category and author info
+   * @param {string} slug - Article slug
+   * @returns {Promise<Object|null>} - Article or null if not found
+   */
+  async findBySlug(slug) {
+    const query = `
+      SELECT ${this.dialect.top(1)}
+        n.*,
+        c.name AS category_name,
+        c.slug AS category_slug,
+        u.full_name AS author_name
+      FROM news n
+      LEFT JOIN categories c ON n.category_id = c.id
+      LEFT JOIN users u ON n.author_id = u.id
+      WHERE n.slug = @slug AND n.deleted_at IS NULL
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { slug });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Check if a slug is already used by another article
+   * @param {string} slug - Slug to check
+   * @param {number} [excludeId] - Article ID to ignore (when updating)
+   * @returns {Promise<boolean>} - True if slug exists
+   */
+  async slugExists(slug, excludeId = null) {
+    const query = `
+      SELECT COUNT(*) AS total FROM news
+      WHERE slug = @slug ${excludeId ? 'AND id <> @excludeId' : ''}
+    `;
+
+    const result = await this.db.executeQuery(query, { slug, excludeId });
+    return result.recordset[0].total > 0;
+  }
+
+  /**
+   * Get tags attached to an article
+   * @param {number} newsId - Article ID
+   * @returns {Promise<Array>} - Array of tags
+   */
+  async getTags(newsId) {
+    const query = `
+      SELECT t.id, t.name, t.slug
+      FROM news_tags nt
+      JOIN tags t ON nt.tag_id = t.id
+      WHERE nt.news_id = @newsId
+      ORDER BY t.name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, { newsId });
+    return result.recordset;
+  }
+
+  /**
+   * Replace the tags attached to an article
+   * @param {number} newsId - Article ID
+   * @param {Array<number>} tagIds - Tag IDs
+   * @returns {Promise<void>}
+   */
+  async setTags(newsId, tagIds = []) {
+    const params = { newsId };
+    let query = 'DELETE FROM news_tags WHERE news_id = @newsId;';
+
+    const uniqueIds = [...new Set(tagIds.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+
+    uniqueIds.forEach((tagId, index) => {
+      const paramName = `tag${index}`;
+      query += `
+        INSERT INTO news_tags (news_id, tag_id) VALUES (@newsId, @${paramName});`;
+      params[paramName] = tagId;
+    });
+
+    await this.db.executeQuery(query, params);
+  }
+
+  /**
+   * Remove all tag links of an article
+   * @param {number} newsId - Article ID
+   * @returns {Promise<void>}
+   */
+  async deleteTags(newsId) {
+    await this.db.executeQuery('DELETE FROM news_tags WHERE news_id = @newsId', { newsId });
+  }
+
+  /**
+   * Increase the view counter of an article
+   * Does not change row_version, so readers do not conflict with an editor saving the article
+   * @param {number} newsId - Article ID
+   * @returns {Promise<void>}
+   */
+  async incrementViews(newsId) {
+    await this.db.executeQuery(
+      'UPDATE news SET views = views + 1 WHERE id = @newsId',
+      { newsId }
+    );
+  }
+
+  /**
+   * Get all tags
+   * @returns {Promise<Array>} - Array of tags
+   */
+  async getAllTags() {
+    const result = await this.db.executeQuery(
+      'SELECT id, name, slug FROM tags ORDER BY name ASC'
+    );
+    return result.recordset;
+  }
+}
+
+// Create and export a singleton instance
+const newsRepository = new NewsRepository();
+export default newsRepository;
@@ -0,0 +1,63 @@
+/**
+ * Password History Repository
+ * Repository để lưu trữ hash của các mật khẩu đã dùng trong database
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * PasswordHistoryRepository xử lý các thao tác cơ sở dữ liệu liên quan đến lịch sử mật khẩu
+ * Kế thừa từ BaseRepository để sử dụng các thao tác CRUD cơ bản
+ */
+class PasswordHistoryRepository extends BaseRepository {
+  constructor() {
+    // Chỉ định tên bảng và cột khóa chính
+    super('password_history', 'id');
+  }
+
+  /**
+   * Lưu hash của mật khẩu mới và chỉ giữ lại số bản ghi gần nhất cần cho việc kiểm tra
+   * @param {number} userId - ID của người dùng
+   * @param {string} passwordHash - bcrypt hash của mật khẩu
+   * @param {number} keep - Số bản ghi gần nhất được giữ lại
+   * @returns {Promise<void>}
+   */
+  async addEntry(userId, passwordHash, keep) {
+    await this.db.executeQuery(`
+      INSERT INTO ${this.tableName} (user_id, password_hash, created_at)
+      VALUES (@userId, @passwordHash, ${this.dialect.now()});
+
+      DELETE FROM ${this.tableName}
+      WHERE user_id = @userId
+        AND id NOT IN (
+          SELECT ${this.dialect.top('@keep')} id FROM ${this.tableName}
+          WHERE user_id = @userId
+          ORDER BY created_at DESC, id DESC
+          ${this.dialect.limit('@keep')}
+        );
+    `, { userId, passwordHash, keep });
+  }
+
+  /**
+   * Lấy hash của các mật khẩu gần nhất của người dùng
+   * @param {number} userId - ID của người dùng
+   * @param {number} limit - Số mật khẩu gần nhất cần lấy
+   * @returns {Promise<Array<string>>} - Danh sách bcrypt hash, mới nhất trước
+   */
+  async getRecentHashes(userId, limit) {
+    const query = `
+      SELECT ${this.dialect.top('@limit')} password_hash
+      FROM ${this.tableName}
+      WHERE user_id = @userId
+      ORDER BY created_at DESC, id DESC
+      ${this.dialect.limit('@limit')}
+    `;
+
+    const result = await this.db.executeQuery(query, { userId, limit });
+    return (result.recordset || []).map(row => row.password_hash);
+  }
+}
+
+// Tạo và xuất instance singleton
+const passwordHistoryRepository = new PasswordHistoryRepository();
+export default passwordHistoryRepository;
@@ -66,7 +66,7 @@ class PasswordResetRepository extends BaseRepository {
       SELECT t.id, t.user_id, t.token_hash, t.expires_at, t.created_at, t.used
       FROM ${this.tableName} t
       JOIN users u ON t.user_id = u.id
-      WHERE u.email = @email AND t.used = 0 AND t.expires_at > GETDATE()
+      WHERE u.email = @email AND t.used = 0 AND t.expires_at > ${this.dialect.now()}
       ORDER BY t.created_at DESC
     `;
     
@@ -120,7 +120,7 @@ class PasswordResetRepository extends BaseRepository {
   async cleanupExpiredTokens() {
     const query = `
       DELETE FROM ${this.tableName}
-      WHERE expires_at < GETDATE() OR used = 1
+      WHERE expires_at < ${this.dialect.now()} OR used = 1
     `;
     
     const result = await this.db.executeQuery(query);
@@ -135,7 +135,7 @@ class PasswordResetRepository extends BaseRepository {
   async findUserIdByEmail(email) {
     const query = `
       SELECT id FROM users
-      WHERE email = @email AND is_active = 1
+      WHERE email = @email AND is_active = 1 AND deleted_at IS NULL
     `;
     
     const result = await this.db.executeQuery(query, { email });
@@ -151,7 +151,7 @@ class PasswordResetRepository extends BaseRepository {
     const query = `
       SELECT id, username, email 
       FROM users
-      WHERE email = @email AND is_active = 1
+      WHERE email = @email AND is_active = 1 AND deleted_at IS NULL
     `;
     
     const result = await this.db.executeQuery(query, { email });
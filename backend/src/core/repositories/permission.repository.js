@@ -0,0 +1,47 @@
+/**
+ * Permission Repository
+ * Repository implementation for permission database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * PermissionRepository handles all database operations related to permissions
+ * Extends the BaseRepository for common CRUD operations
+ */
+class PermissionRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('permissions', 'id');
+  }
+
+  /**
+   * Get all permissions
+   * @param {Object} options - Query options
+   * @param {string} options.module - Filter by module
+   * @returns {Promise<Array>} - Permissions ordered by module and name
+   */
+  async getPermissions(options = {}) {
+    const params = {};
+    let whereSql = '';
+
+    if (options.module) {
+      whereSql = 'WHERE module = @module';
+      params.module = options.module;
+    }
+
+    const query = `
+      SELECT id, name, module, description
+      FROM permissions
+      ${whereSql}
+      ORDER BY module ASC, name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset;
+  }
+}
+
+// Create and export a singleton instance
+const permissionRepository = new PermissionRepository();
+export default permissionRepository;
@@ -0,0 +1,224 @@
+/**
+ * Product Repository
+ * Repository implementation for product database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * ProductRepository handles all database operations related to products
+ * Extends the BaseRepository for common CRUD operations
+ */
+class ProductRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('products', 'id');
+
+    // Columns that can be used for sorting and filtering the product list
+    this.sortableColumns = ['name', 'created_at', 'updated_at', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      name: 'string',
+      slug: 'string',
+      category_id: 'number',
+      status: 'string',
+      created_at: 'date',
+      updated_at: 'date'
+    };
+
+    // Deleted products go to the trash until they are restored or purged
+    this.softDelete = true;
+
+    // Updates from the admin forms send the version they were loaded at (If-Match)
+    this.versionColumn = 'row_version';
+  }
+
+  /**
+   * Get products with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), created_at descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {string} options.search - Search term for name/description
+   * @param {string} options.status - Filter by status
+   * @param {number} options.categoryId - Filter by category ID
+   * @param {string} options.category - Filter by category slug
+   * @returns {Promise<Object>} - Paginated products with metadata
+   */
+  async getProducts(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 10;
+    const offset = (page - 1) * pageSize;
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { alias: 'p', defaultSort: '-created_at' });
+
+    if (options.search) {
+      whereClauses.push('(p.name LIKE @search OR p.description LIKE @search)');
+      params.search = `%${options.search}%`;
+    }
+
+    if (options.status) {
+      whereClauses.push('p.status = @status');
+      params.status = options.status;
+    }
+
+    if (options.categoryId) {
+      whereClauses.push('p.category_id = @categoryId');
+      params.categoryId = options.categoryId;
+    }
+
+    if (options.category) {
+      whereClauses.push('c.slug = @categorySlug');
+      params.categorySlug = options.category;
+    }
+
+    const whereSql = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT
+        p.id,
+        p.name,
+        p.slug,
+        p.description,
+        p.specifications,
+        p.features,
+        p.category_id,
+        p.image,
+        p.status,
+        p.created_at,
+        p.updated_at,
+        p.row_version,
+        c.name AS category_name,
+        c.slug AS category_slug
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Find a product by ID including category info
+   * @param {number} id - Product ID
+   * @returns {Promise<Object|null>} - Product or null if not found
+   */
+  async findWithCategory(id) {
+    const query = `
+      SELECT ${this.dialect.top(1)}
+        p.*,
+        c.name AS category_name,
+        c.slug AS category_slug
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      WHERE p.id = @id AND p.deleted_at IS NULL
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { id });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Find a product by its slug including category info
+   * @param {string} slug - Product slug
+   * @returns {Promise<Object|null>} - Product or null if not found
+   */
+  async findBySlug(slug) {
+    const query = `
+      SELECT ${this.dialect.top(1)}
+        p.*,
+        c.name AS category_name,
+        c.slug AS category_slug
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      WHERE p.slug = @slug AND p.deleted_at IS NULL
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { slug });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Check if a slug is already used by another product
+   * @param {string} slug - Slug to check
+   * @param {number} [excludeId] - Product ID to ignore (when updating)
+   * @returns {Promise<boolean>} - True if slug exists
+   */
+  async slugExists(slug, excludeId = null) {
+    const query = `
+      SELECT COUNT(*) AS total FROM products
+      WHERE slug = @slug ${excludeId ? 'AND id <> @excludeId' : ''}
+    `;
+
+    const result = await this.db.executeQuery(query, { slug, excludeId });
+    return result.recordset[0].total > 0;
+  }
+
+  /**
+   * Get the gallery images of a product
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} - Array of images ordered for display
+   */
+  async getImages(productId) {
+    const query = `
+      SELECT id, image_path, alt_text, [order]
+      FROM product_images
+      WHERE product_id = @productId
+      ORDER BY [order] ASC, id ASC
+    `;
+
+    const result = await this.db.executeQuery(query, { productId });
+    return result.recordset;
+  }
+
+  /**
+   * Replace the gallery images of a product
+   * @param {number} productId - Product ID
+   * @param {Array<Object>} images - Images with image_path and optional alt_text
+   * @returns {Promise<void>}
+   */
+  async setImages(productId, images = []) {
+    const params = { productId };
+    let query = 'DELETE FROM product_images WHERE product_id = @productId;';
+
+    images.forEach((image, index) => {
+      query += `
+        INSERT INTO product_images (product_id, image_path, alt_text, [order])
+        VALUES (@productId, @path${index}, @alt${index}, ${index});`;
+      params[`path${index}`] = image.image_path;
+      params[`alt${index}`] = image.alt_text || null;
+    });
+
+    await this.db.executeQuery(query, params);
+  }
+}
+
+// Create and export a singleton instance
+const productRepository = new ProductRepository();
+export default productRepository;
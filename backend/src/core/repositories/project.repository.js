@@ -0,0 +1,284 @@
+/**
+ * Project Repository
+ * Repository implementation for project database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * ProjectRepository handles all database operations related to projects
+ * Extends the BaseRepository for common CRUD operations
+ */
+class ProjectRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('projects', 'id');
+
+    // Columns that can be used for sorting and filtering the project list
+    this.sortableColumns = ['title', 'year', 'created_at', 'updated_at', 'id'];
+    this.filterableColumns = {
+      id: 'number',
+      title: 'string',
+      slug: 'string',
+      client: 'string',
+      location: 'string',
+      year: 'number',
+      project_type: 'string',
+      status: 'string',
+      created_at: 'date',
+      updated_at: 'date'
+    };
+
+    // Deleted projects go to the trash until they are restored or purged
+    this.softDelete = true;
+
+    // Each update increments row_version, returned to clients as the ETag
+    this.versionColumn = 'row_version';
+  }
+
+  /**
+   * Get projects with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.pageSize - Page size
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), created_at descending by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
+   * @param {string} options.search - Search term for title/description/client/location
+   * @param {string} options.projectType - Filter by project type
+   * @param {string} options.status - Filter by status
+   * @param {number} options.year - Filter by year
+   * @returns {Promise<Object>} - Paginated projects with metadata
+   */
+  async getProjects(options = {}) {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 10;
+    const offset = (page - 1) * pageSize;
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { alias: 'p', defaultSort: '-created_at' });
+
+    if (options.search) {
+      whereClauses.push(`(p.title LIKE @search OR p.description LIKE @search
+        OR p.client LIKE @search OR p.location LIKE @search)`);
+      params.search = `%${options.search}%`;
+    }
+
+    if (options.projectType) {
+      whereClauses.push('p.project_type = @projectType');
+      params.projectType = options.projectType;
+    }
+
+    if (options.status) {
+      whereClauses.push('p.status = @status');
+      params.status = options.status;
+    }
+
+    if (options.year) {
+      whereClauses.push('p.year = @year');
+      params.year = options.year;
+    }
+
+    const whereSql = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+    // Count total matching records for pagination metadata
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM projects p
+      ${whereSql}
+    `;
+
+    const countResult = await this.db.executeQuery(countQuery, params);
+    const total = countResult.recordset[0].total;
+
+    const query = `
+      SELECT
+        p.id,
+        p.title,
+        p.slug,
+        p.description,
+        p.client,
+        p.location,
+        p.year,
+        p.featured_image,
+        p.project_type,
+        p.status,
+        p.created_at,
+        p.updated_at,
+        p.row_version,
+        (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.id) AS member_count
+      FROM projects p
+      ${whereSql}
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+
+    return {
+      data: result.recordset,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: page < Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Find a project by its slug
+   * @param {string} slug - Project slug
+   * @returns {Promise<Object|null>} - Project or null if not found
+   */
+  async findBySlug(slug) {
+    return await this.findOneByField('slug', slug);
+  }
+
+  /**
+   * Check if a slug is already used by another project
+   * @param {string} slug - Slug to check
+   * @param {number} [excludeId] - Project ID to ignore (when updating)
+   * @returns {Promise<boolean>} - True if slug exists
+   */
+  async slugExists(slug, excludeId = null) {
+    const query = `
+      SELECT COUNT(*) AS total FROM projects
+      WHERE slug = @slug ${excludeId ? 'AND id <> @excludeId' : ''}
+    `;
+
+    const result = await this.db.executeQuery(query, { slug, excludeId });
+    return result.recordset[0].total > 0;
+  }
+
+  /**
+   * Get the gallery images of a project
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Array of images ordered for display
+   */
+  async getImages(projectId) {
+    const query = `
+      SELECT id, image_path, alt_text, [order]
+      FROM project_images
+      WHERE project_id = @projectId
+      ORDER BY [order] ASC, id ASC
+    `;
+
+    const result = await this.db.executeQuery(query, { projectId });
+    return result.recordset;
+  }
+
+  /**
+   * Replace the gallery images of a project
+   * @param {number} projectId - Project ID
+   * @param {Array<Object>} images - Images with image_path and optional alt_text
+   * @returns {Promise<void>}
+   */
+  async setImages(projectId, images = []) {
+    const params = { projectId };
+    let query = 'DELETE FROM project_images WHERE project_id = @projectId;';
+
+    images.forEach((image, index) => {
+      query += `
+        INSERT INTO project_images (project_id, image_path, alt_text, [order])
+        VALUES (@projectId, @path${index}, @alt${index}, ${index});`;
+      params[`path${index}`] = image.image_path;
+      params[`alt${index}`] = image.alt_text || null;
+    });
+
+    await this.db.executeQuery(query, params);
+  }
+
+  /**
+   * Get the members of a project with their user details
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Array of members, managers first
+   */
+  async getMembers(projectId) {
+    const query = `
+      SELECT
+        pm.user_id,
+        u.username,
+        u.full_name,
+        u.email,
+        pm.role,
+        pm.created_at AS joined_at
+      FROM project_members pm
+      INNER JOIN users u ON pm.user_id = u.id
+      WHERE pm.project_id = @projectId
+      ORDER BY CASE WHEN pm.role = 'manager' THEN 0 ELSE 1 END, u.username ASC
+    `;
+
+    const result = await this.db.executeQuery(query, { projectId });
+    return result.recordset;
+  }
+
+  /**
+   * Get a single membership of a project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} - Membership or null if the user is not a member
+   */
+  async findMember(projectId, userId) {
+    const query = `
+      SELECT ${this.dialect.top(1)} id, project_id, user_id, role, created_at
+      FROM project_members
+      WHERE project_id = @projectId AND user_id = @userId
+      ${this.dialect.limit(1)}
+    `;
+
+    const result = await this.db.executeQuery(query, { projectId, userId });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Add a user to a project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} role - Role of the user in the project
+   * @returns {Promise<void>}
+   */
+  async addMember(projectId, userId, role) {
+    const query = `
+      INSERT INTO project_members (project_id, user_id, role, created_at)
+      VALUES (@projectId, @userId, @role, ${this.dialect.now()})
+    `;
+
+    await this.db.executeQuery(query, { projectId, userId, role });
+  }
+
+  /**
+   * Change the role of a project member
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} role - New role
+   * @returns {Promise<boolean>} - True if the membership was updated
+   */
+  async updateMemberRole(projectId, userId, role) {
+    const query = `
+      UPDATE project_members SET role = @role
+      WHERE project_id = @projectId AND user_id = @userId
+    `;
+
+    const result = await this.db.executeQuery(query, { projectId, userId, role });
+    return result.rowsAffected[0] > 0;
+  }
+
+  /**
+   * Remove a user from a project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if the membership was removed
+   */
+  async removeMember(projectId, userId) {
+    const query = `
+      DELETE FROM project_members
+      WHERE project_id = @projectId AND user_id = @userId
+    `;
+
+    const result = await this.db.executeQuery(query, { projectId, userId });
+    return result.rowsAffected[0] > 0;
+  }
+}
+
+// Create and export a singleton instance
+const projectRepository = new ProjectRepository();
+export default projectRepository;
@@ -0,0 +1,209 @@
+/**
+ * Role Repository
+ * Repository implementation for role and role permission database operations
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * RoleRepository handles all database operations related to roles
+ * Extends the BaseRepository for common CRUD operations
+ */
+class RoleRepository extends BaseRepository {
+  constructor() {
+    // Specify table name and primary key column
+    super('roles', 'id');
+  }
+
+  /**
+   * Get all roles with the number of users assigned to each
+   * @param {Object} options - Query options
+   * @param {string} options.name - Filter by exact role name
+   * @param {string} options.search - Search term for name/description
+   * @returns {Promise<Array>} - Roles, highest level first
+   */
+  async getRoles(options = {}) {
+    const params = {};
+    const whereClauses = [];
+
+    if (options.name) {
+      whereClauses.push('r.name = @name');
+      params.name = options.name;
+    }
+
+    if (options.search) {
+      whereClauses.push('(r.name LIKE @search OR r.description LIKE @search)');
+      params.search = `%${options.search}%`;
+    }
+
+    const whereSql = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+    const query = `
+      SELECT
+        r.id,
+        r.name,
+        r.description,
+        r.level,
+        r.is_system,
+        r.created_at,
+        r.updated_at,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+      FROM roles r
+      ${whereSql}
+      ORDER BY r.level DESC, r.name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset;
+  }
+
+  /**
+   * Find a role by its name
+   * @param {string} name - Role name
+   * @returns {Promise<Object|null>} - Role or null if not found
+   */
+  async findByName(name) {
+    return await this.findOneByField('name', name);
+  }
+
+  /**
+   * Check if a role name is already used
+   * @param {string} name - Role name to check
+   * @param {number} [excludeId] - Role ID to ignore (when updating)
+   * @returns {Promise<boolean>} - True if the name exists
+   */
+  async nameExists(name, excludeId = null) {
+    let query = 'SELECT COUNT(*) AS total FROM roles WHERE name = @name';
+    const params = { name };
+
+    if (excludeId) {
+      query += ' AND id <> @excludeId';
+      params.excludeId = excludeId;
+    }
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset[0].total > 0;
+  }
+
+  /**
+   * Update a role. When the role is renamed, users holding the old name are moved
+   * to the new one in the same transaction, since users.role stores the role name
+   * @param {number} id - Role ID
+   * @param {Object} data - Columns to update
+   * @param {string} previousName - Current role name
+   * @param {Object} [options] - Options
+   * @param {Object} [options.actor] - User making the change ({ id, username, ip }); records the change in audit_trail
+   * @returns {Promise<Object|null>} - Updated role or null
+   */
+  async updateRole(id, data, previousName, options = {}) {
+    if (!data || Object.keys(data).length === 0) {
+      throw new Error('No data provided for update');
+    }
+
+    const before = options.actor ? await this.findById(id) : null;
+
+    const setClause = Object.keys(data)
+      .map(key => `${key} = @${key}`)
+      .join(', ');
+
+    const updated = await this.executeTransaction(async (transaction) => {
+      await this.executeInTransaction(transaction, `
+        UPDATE roles SET ${setClause}, updated_at = ${this.dialect.now()} WHERE id = @id
+      `, { ...data, id });
+
+      if (data.name && data.name !== previousName) {
+        await this.executeInTransaction(transaction, `
+          UPDATE users SET role = @name, row_version = row_version + 1 WHERE role = @previousName
+        `, { name: data.name, previousName });
+      }
+
+      const result = await this.executeInTransaction(transaction, 'SELECT * FROM roles WHERE id = @id', { id });
+      return result.recordset.length > 0 ? result.recordset[0] : null;
+    });
+
+    if (options.actor && before && updated) {
+      await this._recordAuditTrail('update', id, before, updated, options.actor);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Count the users assigned to a role, including users in the trash (they keep their role when restored)
+   * @param {string} name - Role name
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.onlyDeleted=false] - Count only the users in the trash
+   * @returns {Promise<number>} - Number of users
+   */
+  async countUsers(name, options = {}) {
+    const result = await this.db.executeQuery(
+      `SELECT COUNT(*) AS total FROM users WHERE role = @name${options.onlyDeleted ? ' AND deleted_at IS NOT NULL' : ''}`,
+      { name }
+    );
+    return result.recordset[0].total;
+  }
+
+  /**
+   * Get the permissions granted to a role
+   * @param {number} roleId - Role ID
+   * @returns {Promise<Array>} - Permissions ordered by module and name
+   */
+  async getPermissions(roleId) {
+    const query = `
+      SELECT p.id, p.name, p.module, p.description
+      FROM role_permissions rp
+      JOIN permissions p ON rp.permission_id = p.id
+      WHERE rp.role_id = @roleId
+      ORDER BY p.module ASC, p.name ASC
+    `;
+
+    const result = await this.db.executeQuery(query, { roleId });
+    return result.recordset;
+  }
+
+  /**
+   * Get the permission names granted to a role, looked up by role name
+   * @param {string} roleName - Role name (as stored in users.role)
+   * @returns {Promise<Array<string>>} - Permission names
+   */
+  async getPermissionNamesByRoleName(roleName) {
+    const query = `
+      SELECT p.name
+      FROM roles r
+      JOIN role_permissions rp ON rp.role_id = r.id
+      JOIN permissions p ON rp.permission_id = p.id
+      WHERE r.name = @roleName
+    `;
+
+    const result = await this.db.executeQuery(query, { roleName });
+    return result.recordset.map(row => row.name);
+  }
+
+  /**
+   * Replace the permissions granted to a role
+   * @param {number} roleId - Role ID
+   * @param {Array<number>} permissionIds - Permission IDs
+   * @returns {Promise<void>}
+   */
+  async setPermissions(roleId, permissionIds = []) {
+    const uniqueIds = [...new Set(permissionIds.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+
+    await this.executeTransaction(async (transaction) => {
+      await this.executeInTransaction(transaction, 'DELETE FROM role_permissions WHERE role_id = @roleId', { roleId });
+
+      for (const permissionId of uniqueIds) {
+        await this.executeInTransaction(transaction, `
+          INSERT INTO role_permissions (role_id, permission_id) VALUES (@roleId, @permissionId)
+        `, { roleId, permissionId });
+      }
+
+      await this.executeInTransaction(transaction, `
+        UPDATE roles SET updated_at = ${this.dialect.now()} WHERE id = @roleId
+      `, { roleId });
+    });
+  }
+}
+
+// Create and export a singleton instance
+const roleRepository = new RoleRepository();
+export default roleRepository;
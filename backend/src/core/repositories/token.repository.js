@@ -1,8 +1,10 @@
 /**
  * TokenRepository
  * Repository cho việc lưu trữ và quản lý tokens trong database
+ * Refresh token và JWT bị thu hồi chỉ được lưu dưới dạng SHA-256, các method nhận token gốc và tự băm
  */
 
+import crypto from 'crypto';
 import dbService from '../services/db.service.js';
 
 class TokenRepository {
@@ -12,20 +14,24 @@ class TokenRepository {
    * @param {number|string} userId - ID người dùng
    * @param {Date} expiryDate - Ngày hết hạn
    * @param {string} [userAgent] - Thông tin thiết bị người dùng
+   * @param {string} familyId - ID của chuỗi token sinh ra từ cùng một lần đăng nhập
+   * @param {string} [ipAddress] - Địa chỉ IP của người dùng
    * @returns {Promise<boolean>} - Kết quả lưu
    */
-  async saveRefreshToken(token, userId, expiryDate, userAgent = null) {
+  async saveRefreshToken(token, userId, expiryDate, userAgent = null, familyId, ipAddress = null) {
     try {
       const query = `
-        INSERT INTO refresh_tokens (token, user_id, expiry_date, created_at, user_agent)
-        VALUES (@token, @userId, @expiryDate, GETDATE(), @userAgent)
+        INSERT INTO refresh_tokens (token_hash, user_id, family_id, expiry_date, created_at, user_agent, ip_address)
+        VALUES (@tokenHash, @userId, @familyId, @expiryDate, ${dbService.dialect.now()}, @userAgent, @ipAddress)
       `;
 
       await dbService.executeQuery(query, {
-        token,
+        tokenHash: this._hashToken(token),
         userId,
+        familyId,
         expiryDate,
-        userAgent: userAgent || ''
+        userAgent: userAgent || '',
+        ipAddress: ipAddress || null
       });
 
       return true;
@@ -44,13 +50,13 @@ class TokenRepository {
     try {
       const query = `
         SELECT 
-          id, token, user_id, expiry_date, created_at, 
-          last_used_at, is_revoked, revoked_at, user_agent
+          id, user_id, family_id, replaced_by_id, expiry_date, created_at, 
+          last_used_at, is_revoked, revoked_at, user_agent, ip_address
         FROM refresh_tokens
-        WHERE token = @token
+        WHERE token_hash = @tokenHash
       `;
 
-      const result = await dbService.executeQuery(query, { token });
+      const result = await dbService.executeQuery(query, { tokenHash: this._hashToken(token) });
 
       if (result && result.recordset && result.recordset.length > 0) {
         return result.recordset[0];
@@ -72,11 +78,11 @@ class TokenRepository {
     try {
       const query = `
         UPDATE refresh_tokens
-        SET last_used_at = GETDATE()
-        WHERE token = @token
+        SET last_used_at = ${dbService.dialect.now()}
+        WHERE token_hash = @tokenHash
       `;
 
-      await dbService.executeQuery(query, { token });
+      await dbService.executeQuery(query, { tokenHash: this._hashToken(token) });
       return true;
     } catch (error) {
       console.error('Error updating refresh token last_used_at:', error);
@@ -93,11 +99,11 @@ class TokenRepository {
     try {
       const query = `
         UPDATE refresh_tokens
-        SET is_revoked = 1, revoked_at = GETDATE()
-        WHERE token = @token
+        SET is_revoked = 1, revoked_at = ${dbService.dialect.now()}
+        WHERE token_hash = @tokenHash
       `;
 
-      const result = await dbService.executeQuery(query, { token });
+      const result = await dbService.executeQuery(query, { tokenHash: this._hashToken(token) });
       
       if (result && result.rowsAffected && result.rowsAffected[0] > 0) {
         return true;
@@ -110,6 +116,114 @@ class TokenRepository {
     }
   }
 
+  /**
+   * Thay refresh token cũ bằng token mới trong cùng family (rotate)
+   * Token cũ chỉ rotate được một lần: nếu đã bị thu hồi (kể cả do request đồng thời) sẽ trả về false
+   * @param {Object} storedToken - Bản ghi token cũ (từ findRefreshToken)
+   * @param {string} newToken - Refresh token mới
+   * @param {Date} expiryDate - Ngày hết hạn của token mới
+   * @param {Object} [metadata] - Thiết bị của request làm mới (userAgent, ipAddress), mặc định giữ giá trị cũ
+   * @returns {Promise<boolean>} - true nếu rotate thành công, false nếu token đã được rotate hoặc thu hồi
+   * @throws {Error} - Lỗi database, để không bị nhầm với việc token bị dùng lại
+   */
+  async rotateRefreshToken(storedToken, newToken, expiryDate, metadata = {}) {
+    try {
+      const params = {
+        id: storedToken.id,
+        tokenHash: this._hashToken(newToken),
+        userId: storedToken.user_id,
+        familyId: storedToken.family_id,
+        expiryDate,
+        userAgent: metadata.userAgent || storedToken.user_agent || '',
+        ipAddress: metadata.ipAddress || storedToken.ip_address || null
+      };
+
+      return await dbService.executeTransaction(async (transaction) => {
+        const run = (query) => {
+          const request = transaction.request();
+          Object.entries(params).forEach(([key, value]) => request.input(key, value));
+          return request.query(query);
+        };
+
+        const revoked = await run(`
+          UPDATE refresh_tokens
+          SET is_revoked = 1, revoked_at = ${dbService.dialect.now()}, last_used_at = ${dbService.dialect.now()}
+          WHERE id = @id AND is_revoked = 0
+        `);
+
+        // Đã bị thu hồi hoặc đã được rotate bởi request khác
+        if (revoked.rowsAffected[0] === 0) {
+          return false;
+        }
+
+        await run(`
+          INSERT INTO refresh_tokens (token_hash, user_id, family_id, expiry_date, created_at, user_agent, ip_address)
+          VALUES (@tokenHash, @userId, @familyId, @expiryDate, ${dbService.dialect.now()}, @userAgent, @ipAddress);
+
+          UPDATE refresh_tokens SET replaced_by_id = ${dbService.dialect.insertedId()} WHERE id = @id;
+        `);
+
+        return true;
+      });
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Thu hồi toàn bộ refresh token trong một family
+   * @param {string} familyId - ID family
+   * @returns {Promise<number>} - Số lượng token đã thu hồi
+   */
+  async revokeRefreshTokenFamily(familyId) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET is_revoked = 1, revoked_at = ${dbService.dialect.now()}
+        WHERE family_id = @familyId AND is_revoked = 0
+      `;
+
+      const result = await dbService.executeQuery(query, { familyId });
+      
+      if (result && result.rowsAffected) {
+        return result.rowsAffected[0];
+      }
+
+      return 0;
+    } catch (error) {
+      console.error('Error revoking refresh token family:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Thu hồi một phiên đăng nhập (toàn bộ family) của người dùng
+   * @param {number|string} userId - ID người dùng sở hữu phiên
+   * @param {string} familyId - Session id
+   * @returns {Promise<number>} - Số lượng token đã thu hồi, 0 nếu không tìm thấy phiên còn hiệu lực
+   */
+  async revokeUserSession(userId, familyId) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET is_revoked = 1, revoked_at = ${dbService.dialect.now()}
+        WHERE user_id = @userId AND family_id = @familyId AND is_revoked = 0
+      `;
+
+      const result = await dbService.executeQuery(query, { userId, familyId });
+      
+      if (result && result.rowsAffected) {
+        return result.rowsAffected[0];
+      }
+
+      return 0;
+    } catch (error) {
+      console.error('Error revoking user session:', error);
+      return 0;
+    }
+  }
+
   /**
    * Thu hồi tất cả refresh token của một user
    * @param {number|string} userId - ID người dùng
@@ -119,7 +233,7 @@ class TokenRepository {
     try {
       const query = `
         UPDATE refresh_tokens
-        SET is_revoked = 1, revoked_at = GETDATE()
+        SET is_revoked = 1, revoked_at = ${dbService.dialect.now()}
         WHERE user_id = @userId AND is_revoked = 0
       `;
 
@@ -146,12 +260,12 @@ class TokenRepository {
   async saveRevokedToken(token, expiryDate, userId = null) {
     try {
       const query = `
-        INSERT INTO revoked_tokens (token, user_id, expiry_date, revoked_at)
-        VALUES (@token, @userId, @expiryDate, GETDATE())
+        INSERT INTO revoked_tokens (token_hash, user_id, expiry_date, revoked_at)
+        VALUES (@tokenHash, @userId, @expiryDate, ${dbService.dialect.now()})
       `;
 
       await dbService.executeQuery(query, {
-        token,
+        tokenHash: this._hashToken(token),
         userId,
         expiryDate
       });
@@ -172,10 +286,10 @@ class TokenRepository {
     try {
       const query = `
         SELECT 1 FROM revoked_tokens
-        WHERE token = @token
+        WHERE token_hash = @tokenHash
       `;
 
-      const result = await dbService.executeQuery(query, { token });
+      const result = await dbService.executeQuery(query, { tokenHash: this._hashToken(token) });
       
       return result && result.recordset && result.recordset.length > 0;
     } catch (error) {
@@ -184,6 +298,43 @@ class TokenRepository {
     }
   }
 
+  /**
+   * Lấy danh sách phiên đăng nhập còn hiệu lực của người dùng
+   * @param {number|string} userId - ID người dùng
+   * @returns {Promise<Array>} - Mỗi phiên là token mới nhất của một family
+   */
+  async getActiveSessions(userId) {
+    try {
+      // Token mới nhất được tạo lúc rotate nên thời điểm đăng nhập là token đầu tiên của family
+      const query = `
+        SELECT 
+          t.family_id, t.user_agent, t.ip_address, t.expiry_date,
+          f.session_created_at AS created_at,
+          COALESCE(t.last_used_at, t.created_at) AS last_used_at
+        FROM refresh_tokens t
+        JOIN (
+          SELECT family_id, MIN(created_at) AS session_created_at
+          FROM refresh_tokens
+          WHERE user_id = @userId
+          GROUP BY family_id
+        ) f ON f.family_id = t.family_id
+        WHERE t.user_id = @userId AND t.is_revoked = 0 AND t.expiry_date > ${dbService.dialect.now()}
+        ORDER BY last_used_at DESC
+      `;
+
+      const result = await dbService.executeQuery(query, { userId });
+      
+      if (result && result.recordset) {
+        return result.recordset;
+      }
+
+      return [];
+    } catch (error) {
+      console.error('Error getting active sessions:', error);
+      return [];
+    }
+  }
+
   /**
    * Dọn dẹp refresh tokens hết hạn
    * @returns {Promise<number>} - Số lượng record đã xóa
@@ -192,7 +343,7 @@ class TokenRepository {
     try {
       const query = `
         DELETE FROM refresh_tokens
-        WHERE expiry_date < GETDATE()
+        WHERE expiry_date < ${dbService.dialect.now()}
       `;
 
       const result = await dbService.executeQuery(query);
@@ -216,7 +367,7 @@ class TokenRepository {
     try {
       const query = `
         DELETE FROM revoked_tokens
-        WHERE expiry_date < GETDATE()
+        WHERE expiry_date < ${dbService.dialect.now()}
       `;
 
       const result = await dbService.executeQuery(query);
@@ -241,15 +392,20 @@ class TokenRepository {
     try {
       const query = `
         INSERT INTO auth_logs (user_id, username, action, success, details, ip_address, user_agent, created_at)
-        VALUES (@userId, @username, @action, @success, @details, @ipAddress, @userAgent, GETDATE())
+        VALUES (
+          @userId,
+          -- Sự kiện chỉ có userId thì lấy username hiện tại của người dùng
+          COALESCE(NULLIF(@username, ''), (SELECT username FROM users WHERE id = @userId), ''),
+          @action, @success, @details, @ipAddress, @userAgent, ${dbService.dialect.now()}
+        )
       `;
 
       await dbService.executeQuery(query, {
-        userId: logEntry.userId,
+        userId: logEntry.userId || null,
         username: logEntry.username || '',
         action: logEntry.action || '',
         success: logEntry.success ? 1 : 0,
-        details: logEntry.details || '',
+        details: String(logEntry.details || '').slice(0, 1000),
         ipAddress: logEntry.ip || '',
         userAgent: logEntry.userAgent || ''
       });
@@ -270,12 +426,13 @@ class TokenRepository {
   async getUserAuthActivity(userId, limit = 50) {
     try {
       const query = `
-        SELECT TOP ${limit}
+        SELECT ${dbService.dialect.top(limit)}
           id, user_id, username, action, success, 
           details, ip_address, user_agent, created_at
         FROM auth_logs
         WHERE user_id = @userId
         ORDER BY created_at DESC
+        ${dbService.dialect.limit(limit)}
       `;
 
       const result = await dbService.executeQuery(query, { userId });
@@ -290,6 +447,16 @@ class TokenRepository {
       return [];
     }
   }
+
+  /**
+   * Băm token trước khi lưu hoặc tìm kiếm trong database
+   * @private
+   * @param {string} token - Token gốc
+   * @returns {string} - SHA-256 dạng hex
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
 }
 
 // Export singleton instance
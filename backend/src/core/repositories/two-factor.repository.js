@@ -0,0 +1,148 @@
+/**
+ * Two-Factor Repository
+ * Repository for TOTP secrets and recovery codes
+ */
+
+import BaseRepository from './base.repository.js';
+
+/**
+ * TwoFactorRepository handles the user_two_factor and user_recovery_codes tables
+ * Extends the BaseRepository for common CRUD operations
+ */
+class TwoFactorRepository extends BaseRepository {
+  constructor() {
+    // One row per user, keyed by user_id
+    super('user_two_factor', 'user_id');
+  }
+
+  /**
+   * Store a new (not yet enabled) secret for a user, replacing any previous one
+   * @param {number} userId - User ID
+   * @param {string} secret - Encrypted TOTP secret
+   * @returns {Promise<void>}
+   */
+  async saveSecret(userId, secret) {
+    await this.executeTransaction(async (transaction) => {
+      const result = await this.executeInTransaction(transaction, `
+        UPDATE user_two_factor
+        SET secret = @secret, is_enabled = 0, last_used_step = NULL, enabled_at = NULL, updated_at = ${this.dialect.now()}
+        WHERE user_id = @userId
+      `, { userId, secret });
+
+      if (result.rowsAffected[0] === 0) {
+        await this.executeInTransaction(transaction,
+          'INSERT INTO user_two_factor (user_id, secret) VALUES (@userId, @secret)',
+          { userId, secret }
+        );
+      }
+    });
+  }
+
+  /**
+   * Enable two-factor authentication and store its recovery codes
+   * @param {number} userId - User ID
+   * @param {number} timeStep - Time step of the code used to confirm the enrollment
+   * @param {Array<string>} codeHashes - Hashes of the recovery codes
+   * @returns {Promise<void>}
+   */
+  async enable(userId, timeStep, codeHashes) {
+    await this.executeTransaction(async (transaction) => {
+      await this.executeInTransaction(transaction, `
+        UPDATE user_two_factor
+        SET is_enabled = 1, enabled_at = ${this.dialect.now()}, last_used_step = @timeStep, updated_at = ${this.dialect.now()}
+        WHERE user_id = @userId
+      `, { userId, timeStep });
+
+      await this._replaceRecoveryCodes(transaction, userId, codeHashes);
+    });
+  }
+
+  /**
+   * Remember the time step of an accepted code so the same code cannot be used twice
+   * @param {number} userId - User ID
+   * @param {number} timeStep - Time step of the accepted code
+   * @returns {Promise<boolean>} - False if this or a later time step was already used
+   */
+  async markStepUsed(userId, timeStep) {
+    const result = await this.db.executeQuery(`
+      UPDATE user_two_factor
+      SET last_used_step = @timeStep
+      WHERE user_id = @userId AND (last_used_step IS NULL OR last_used_step < @timeStep)
+    `, { userId, timeStep });
+    return result.rowsAffected[0] > 0;
+  }
+
+  /**
+   * Remove the secret and recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteByUserId(userId) {
+    await this.db.executeQuery(`
+      DELETE FROM user_recovery_codes WHERE user_id = @userId;
+      DELETE FROM user_two_factor WHERE user_id = @userId;
+    `, { userId });
+  }
+
+  /**
+   * Replace all recovery codes of a user
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashes of the new recovery codes
+   * @returns {Promise<void>}
+   */
+  async replaceRecoveryCodes(userId, codeHashes) {
+    await this.executeTransaction(async (transaction) => {
+      await this._replaceRecoveryCodes(transaction, userId, codeHashes);
+    });
+  }
+
+  /**
+   * Mark an unused recovery code as used
+   * @param {number} userId - User ID
+   * @param {string} codeHash - Hash of the recovery code
+   * @returns {Promise<boolean>} - True if the code existed and was unused
+   */
+  async useRecoveryCode(userId, codeHash) {
+    const result = await this.db.executeQuery(`
+      UPDATE user_recovery_codes
+      SET used_at = ${this.dialect.now()}
+      WHERE user_id = @userId AND code_hash = @codeHash AND used_at IS NULL
+    `, { userId, codeHash });
+    return result.rowsAffected[0] > 0;
+  }
+
+  /**
+   * Count the recovery codes a user has not used yet
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countUnusedRecoveryCodes(userId) {
+    const result = await this.db.executeQuery(
+      'SELECT COUNT(*) AS total FROM user_recovery_codes WHERE user_id = @userId AND used_at IS NULL',
+      { userId }
+    );
+    return result.recordset[0].total;
+  }
+
+  /**
+   * Replace the recovery codes of a user on an open transaction
+   * @param {Object} transaction - Transaction passed to the executeTransaction callback
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashes of the recovery codes
+   * @returns {Promise<void>}
+   */
+  async _replaceRecoveryCodes(transaction, userId, codeHashes) {
+    await this.executeInTransaction(transaction, 'DELETE FROM user_recovery_codes WHERE user_id = @userId', { userId });
+
+    for (const codeHash of codeHashes) {
+      await this.executeInTransaction(transaction,
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (@userId, @codeHash)',
+        { userId, codeHash }
+      );
+    }
+  }
+}
+
+// Create and export a singleton instance
+const twoFactorRepository = new TwoFactorRepository();
+export default twoFactorRepository;
@@ -13,6 +13,33 @@ class UserRepository extends BaseRepository {
   constructor() {
     // Specify table name and primary key column
     super('users', 'id');
+
+    // Columns that can be used for sorting and filtering the user list
+    this.sortableColumns = ['username', 'email', 'full_name', 'role', 'is_active', 'last_login', 'created_at', 'updated_at'];
+    this.filterableColumns = {
+      id: 'number',
+      username: 'string',
+      email: 'string',
+      full_name: 'string',
+      role: 'string',
+      is_active: 'boolean',
+      email_verified: 'boolean',
+      last_login: 'date',
+      locked_until: 'date',
+      created_at: 'date',
+      updated_at: 'date'
+    };
+
+    // Deleted users go to the trash; their tokens are removed when they are purged
+    this.softDelete = true;
+    this.purgeDependents = [
+      ['refresh_tokens', 'user_id'],
+      ['revoked_tokens', 'user_id'],
+      ['password_reset_tokens', 'user_id']
+    ];
+
+    // Admins editing the same user: the second save fails instead of overwriting the first (If-Match)
+    this.versionColumn = 'row_version';
   }
 
   /**
@@ -43,22 +70,22 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Check if email exists
+   * Check if email exists, including users in the trash
    * @param {string} email - Email to check
    * @returns {Promise<boolean>} - True if email exists
    */
   async emailExists(email) {
-    const count = await this.count({ email });
+    const count = await this.count({ email }, { withDeleted: true });
     return count > 0;
   }
 
   /**
-   * Check if username exists
+   * Check if username exists, including users in the trash
    * @param {string} username - Username to check
    * @returns {Promise<boolean>} - True if username exists
    */
   async usernameExists(username) {
-    const count = await this.count({ username });
+    const count = await this.count({ username }, { withDeleted: true });
     return count > 0;
   }
 
@@ -67,8 +94,8 @@ class UserRepository extends BaseRepository {
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-based)
    * @param {number} options.pageSize - Page size
-   * @param {string} options.sortBy - Sort by field
-   * @param {string} options.sortDir - Sort direction ('asc' or 'desc')
+   * @param {Array<Object>} options.sort - Sort fields ({ field, direction }), newest first by default
+   * @param {Array<Object>} options.filters - Filters on filterableColumns ({ field, operator, value })
    * @param {string} options.search - Search term for name/email/username
    * @param {string} options.role - Filter by role
    * @returns {Promise<Object>} - Paginated users with metadata
@@ -77,8 +104,6 @@ class UserRepository extends BaseRepository {
     const page = options.page || 1;
     const pageSize = options.pageSize || 10;
     const offset = (page - 1) * pageSize;
-    const sortBy = options.sortBy || 'created_at';
-    const sortDir = options.sortDir?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
     
     // Build the query
     let query = `
@@ -90,39 +115,20 @@ class UserRepository extends BaseRepository {
         role,
         is_active,
         last_login,
+        locked_until,
         created_at,
-        updated_at
+        updated_at,
+        row_version
       FROM users
     `;
     
-    const params = {};
-    const whereClauses = [];
-    
-    // Add search condition if provided
-    if (options.search) {
-      whereClauses.push(`(
-        username LIKE @search
-        OR email LIKE @search
-        OR full_name LIKE @search
-      )`);
-      params.search = `%${options.search}%`;
-    }
-    
-    // Add role filter if provided
-    if (options.role) {
-      whereClauses.push('role = @role');
-      params.role = options.role;
-    }
-    
-    // Add where clause if needed
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
-    }
+    const { whereSql, params, orderBy } = this._buildFilters(options);
+    query += whereSql;
     
     // Count total matching records for pagination metadata
     const countQuery = `
       SELECT COUNT(*) AS total FROM users
-      ${whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : ''}
+      ${whereSql}
     `;
     
     const countResult = await this.db.executeQuery(countQuery, params);
@@ -130,8 +136,8 @@ class UserRepository extends BaseRepository {
     
     // Add sorting and pagination
     query += `
-      ORDER BY ${sortBy} ${sortDir}
-      OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY
+      ORDER BY ${orderBy}
+      ${this.dialect.paginate(offset, pageSize)}
     `;
     
     // Execute the query
@@ -150,13 +156,196 @@ class UserRepository extends BaseRepository {
     };
   }
 
+  /**
+   * Get all users matching the filters, for exports
+   * @param {Object} options - Filter options (search, role, filters), same as getUsers
+   * @param {number} limit - Maximum number of users
+   * @returns {Promise<Array>} - Users without password columns, oldest first
+   */
+  async getAllUsers(options = {}, limit = 10000) {
+    const { whereSql, params } = this._buildFilters(options);
+
+    const query = `
+      SELECT ${this.dialect.top(limit)}
+        id, username, email, full_name, role, is_active, last_login, created_at
+      FROM users
+      ${whereSql}
+      ORDER BY created_at ASC, id ASC
+      ${this.dialect.limit(limit)}
+    `;
+
+    const result = await this.db.executeQuery(query, params);
+    return result.recordset;
+  }
+
+  /**
+   * Build the WHERE clause for the search, role and query spec filters, and the ORDER BY
+   * @private
+   * @param {Object} options - Filter options
+   * @returns {Object} - { whereSql, params, orderBy }
+   */
+  _buildFilters(options) {
+    const { whereClauses, params, orderBy } = this.buildQuerySpec(options, { defaultSort: '-created_at' });
+
+    // Add search condition if provided
+    if (options.search) {
+      whereClauses.push(`(
+        username LIKE @search
+        OR email LIKE @search
+        OR full_name LIKE @search
+      )`);
+      params.search = `%${options.search}%`;
+    }
+
+    // Add role filter if provided
+    if (options.role) {
+      whereClauses.push('role = @role');
+      params.role = options.role;
+    }
+
+    return {
+      whereSql: whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '',
+      params,
+      orderBy
+    };
+  }
+
   /**
    * Update user's last login time
+   * Does not change row_version, so signing in does not conflict with an admin editing the user
    * @param {number} userId - User ID
    * @returns {Promise<void>}
    */
   async updateLastLogin(userId) {
-    await this.update(userId, { last_login: new Date() });
+    await this.db.executeQuery(
+      'UPDATE users SET last_login = @lastLogin WHERE id = @userId',
+      { userId, lastLogin: new Date() }
+    );
+  }
+
+  /**
+   * Count a failed login attempt for a user
+   * Like the lockout below, sign-in bookkeeping does not change row_version
+   * @param {number} userId - User ID
+   * @param {Date} failedAt - Time of the failed attempt
+   * @returns {Promise<number>} - Number of consecutive failed attempts, including this one
+   */
+  async recordFailedLogin(userId, failedAt) {
+    const query = `
+      UPDATE users
+      SET failed_login_attempts = failed_login_attempts + 1, last_failed_login = @failedAt
+      ${this.dialect.output(['failed_login_attempts'])}
+      WHERE id = @userId
+      ${this.dialect.returning(['failed_login_attempts'])}
+    `;
+    const result = await this.db.executeQuery(query, { userId, failedAt });
+    return result.recordset.length > 0 ? result.recordset[0].failed_login_attempts : 0;
+  }
+
+  /**
+   * Lock a user account until the given time
+   * @param {number} userId - User ID
+   * @param {Date} lockedUntil - End of the lockout
+   * @returns {Promise<void>}
+   */
+  async lockAccount(userId, lockedUntil) {
+    await this.db.executeQuery(
+      'UPDATE users SET locked_until = @lockedUntil WHERE id = @userId',
+      { userId, lockedUntil }
+    );
+  }
+
+  /**
+   * Clear the failed login counter and any lockout of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if the user exists
+   */
+  async resetFailedLogins(userId) {
+    const result = await this.db.executeQuery(`
+      UPDATE users
+      SET failed_login_attempts = 0, last_failed_login = NULL, locked_until = NULL
+      WHERE id = @userId
+    `, { userId });
+    return result.rowsAffected[0] > 0;
+  }
+
+  /**
+   * Read users inside a transaction, locking the rows until it ends
+   * @param {Object} transaction - Open transaction
+   * @param {Array<number>} ids - User IDs
+   * @returns {Promise<Array>} - Users found, without users in the trash
+   */
+  async findByIdsForUpdate(transaction, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const params = Object.fromEntries(ids.map((id, index) => [`id${index}`, id]));
+    const result = await this.executeInTransaction(transaction, `
+      SELECT * FROM users ${this.dialect.forUpdate()}
+      WHERE id IN (${Object.keys(params).map(name => `@${name}`).join(', ')}) AND deleted_at IS NULL
+    `, params);
+    return result.recordset;
+  }
+
+  /**
+   * Create a user inside a transaction
+   * @param {Object} transaction - Open transaction
+   * @param {Object} data - Columns to insert
+   * @returns {Promise<Object>} - Created user
+   */
+  async createInTransaction(transaction, data) {
+    const columns = Object.keys(data);
+    const result = await this.executeInTransaction(transaction, `
+      INSERT INTO users (${columns.join(', ')})
+      VALUES (${columns.map(key => `@${key}`).join(', ')});
+      SELECT * FROM users WHERE id = ${this.dialect.insertedId()};
+    `, data);
+    return result.recordset[0];
+  }
+
+  /**
+   * Update a user inside a transaction
+   * @param {Object} transaction - Open transaction
+   * @param {number} id - User ID
+   * @param {Object} data - Columns to update
+   * @returns {Promise<Object|null>} - Updated user or null
+   */
+  async updateInTransaction(transaction, id, data) {
+    const setClause = [...Object.keys(data).map(key => `${key} = @${key}`), 'row_version = row_version + 1'].join(', ');
+    const result = await this.executeInTransaction(transaction, `
+      UPDATE users SET ${setClause} WHERE id = @id;
+      SELECT * FROM users WHERE id = @id;
+    `, { ...data, id });
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  }
+
+  /**
+   * Move a user to the trash inside a transaction
+   * @param {Object} transaction - Open transaction
+   * @param {number} id - User ID
+   * @param {number|null} deletedBy - ID of the user deleting
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteInTransaction(transaction, id, deletedBy = null) {
+    const result = await this.executeInTransaction(transaction, `
+      UPDATE users
+      SET deleted_at = ${this.dialect.now()}, deleted_by = @deletedBy, row_version = row_version + 1
+      WHERE id = @id AND deleted_at IS NULL
+    `, { id, deletedBy });
+    return result.rowsAffected[0] > 0;
+  }
+
+  /**
+   * Record changes made inside a committed transaction in the audit trail
+   * @param {Array<Object>} changes - Changes ({ action, id, before, after })
+   * @param {Object} actor - User making the changes ({ id, username, ip })
+   * @returns {Promise<void>}
+   */
+  async recordAuditTrail(changes, actor) {
+    for (const change of changes) {
+      await this._recordAuditTrail(change.action, change.id, change.before, change.after, actor);
+    }
   }
 }
 
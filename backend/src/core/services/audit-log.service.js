@@ -0,0 +1,145 @@
+/**
+ * Audit Log Service
+ * Handles business logic for browsing and exporting the authentication audit log
+ * and for reading the change history of admin records
+ */
+
+import auditLogRepository from '../repositories/audit-log.repository.js';
+import auditTrailRepository from '../repositories/audit-trail.repository.js';
+import { toCsv } from '../../lib/csv-helper.js';
+
+/**
+ * AuditLogService encapsulates all business logic related to the audit log
+ */
+class AuditLogService {
+  constructor() {
+    this.auditLogRepository = auditLogRepository;
+    this.auditTrailRepository = auditTrailRepository;
+
+    // Supported export formats
+    this.exportFormats = ['csv', 'json'];
+
+    // Maximum number of entries in one export, newest first
+    this.exportLimit = 10000;
+
+    // Columns written to the CSV export, in order
+    this.exportColumns = [
+      'id', 'created_at', 'user_id', 'username', 'action', 'success',
+      'ip_address', 'user_agent', 'details'
+    ];
+
+    // Admin API resources with a change history, mapped to their tables
+    this.trailResources = {
+      users: 'users',
+      news: 'news',
+      products: 'products',
+      projects: 'projects',
+      roles: 'roles',
+      'contact-messages': 'contact_messages',
+      files: 'files'
+    };
+
+    // Maximum number of history entries returned for one record
+    this.historyLimit = 100;
+  }
+
+  /**
+   * Get a list of audit log entries with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated entries with metadata
+   */
+  async getLogs(options = {}) {
+    this._validateFilters(options);
+    return await this.auditLogRepository.getLogs(options);
+  }
+
+  /**
+   * Get the actions recorded in the log
+   * @returns {Promise<Array<string>>} - Action names
+   */
+  async getActions() {
+    return await this.auditLogRepository.getActions();
+  }
+
+  /**
+   * Export the audit log entries matching the filters
+   * @param {Object} options - Filter options (same as getLogs)
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<string>} - File content
+   */
+  async exportLogs(options = {}, format = 'csv') {
+    if (!this.exportFormats.includes(format)) {
+      throw new Error(`Invalid export format: ${format}`);
+    }
+
+    this._validateFilters(options);
+    const logs = await this.auditLogRepository.getAllLogs(options, this.exportLimit);
+
+    if (format === 'json') {
+      return JSON.stringify(logs.map(log => ({ ...log, success: Boolean(log.success) })), null, 2);
+    }
+
+    const rows = logs.map(log => this.exportColumns.map(column => {
+      const value = log[column];
+      if (column === 'success') {
+        return value ? 'success' : 'failed';
+      }
+      return value;
+    }));
+
+    return toCsv(this.exportColumns, rows);
+  }
+
+  /**
+   * Get the change history of an admin record, newest first
+   * @param {string} resource - API resource name (e.g. 'users', 'contact-messages')
+   * @param {number} recordId - Record ID
+   * @returns {Promise<Array>} - Entries with parsed before/after snapshots and changed field names
+   */
+  async getRecordHistory(resource, recordId) {
+    const tableName = Object.prototype.hasOwnProperty.call(this.trailResources, resource)
+      ? this.trailResources[resource]
+      : null;
+    if (!tableName) {
+      throw new Error(`Invalid resource: ${resource}`);
+    }
+
+    if (!(Number.isInteger(recordId) && recordId > 0)) {
+      throw new Error(`Invalid record ID: ${recordId}`);
+    }
+
+    const entries = await this.auditTrailRepository.getRecordHistory(tableName, recordId, this.historyLimit);
+
+    return entries.map(entry => ({
+      ...entry,
+      changed_fields: entry.changed_fields ? entry.changed_fields.split(',') : [],
+      before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
+      after_data: entry.after_data ? JSON.parse(entry.after_data) : null
+    }));
+  }
+
+  /**
+   * Validate audit log filter options
+   * @private
+   * @param {Object} options - Filter options
+   */
+  _validateFilters(options) {
+    if (options.userId !== undefined && !(Number.isInteger(options.userId) && options.userId > 0)) {
+      throw new Error(`Invalid user ID: ${options.userId}`);
+    }
+
+    if (options.success !== undefined && typeof options.success !== 'boolean') {
+      throw new Error(`Invalid success filter: ${options.success}`);
+    }
+
+    ['from', 'to'].forEach(key => {
+      if (options[key] && isNaN(Date.parse(options[key]))) {
+        throw new Error(`Invalid date: ${options[key]}`);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const auditLogService = new AuditLogService();
+export default auditLogService;
@@ -4,21 +4,54 @@
  * Cung cấp API đơn giản để sử dụng trong ứng dụng
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../../config.js';
 import userService from './user.service.js';
 import tokenService from './token.service.js';
 import authenticationService from './authentication.service.js';
 import authorizationService from './authorization.service.js';
+import loginProtectionService from './login-protection.service.js';
+import emailVerificationService from './email-verification.service.js';
+import mailService from './mail.service.js';
 import tokenRepository from '../repositories/token.repository.js';
 import authEventEmitter from '../events/auth-events.js';
+import { parseUserAgent } from '../../lib/user-agent-helper.js';
 
 // Sử dụng scheduler để định kỳ dọn dẹp tokens
 let cleanupInterval = null;
 const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // Mỗi giờ
 
+// Các sự kiện được ghi vào auth_logs cho trang nhật ký, kèm action dùng khi sự kiện không tự khai báo
+const AUDITED_EVENTS = {
+  'user:login': 'login',
+  'user:login_failed': 'login',
+  'user:login_unverified': 'login',
+  'user:login_password_expired': 'login',
+  'user:logout': 'logout',
+  'user:logout_all': 'logout_all',
+  'user:register': 'register',
+  'user:register_failed': 'register',
+  'user:email_verified': 'verify_email',
+  'user:password_change': 'change_password',
+  'user:password_change_failed': 'change_password',
+  'user:password_reset_complete': 'password_reset',
+  'user:email_change': 'change_email',
+  'user:account_locked': 'account_locked',
+  'user:account_unlocked': 'account_unlocked',
+  'user:session_revoked': 'session_revoked',
+  'user:2fa_enabled': '2fa_enable',
+  'user:2fa_disabled': '2fa_disable'
+};
+
+// Các trường của sự kiện đã có cột riêng trong auth_logs, không đưa vào details
+const AUDIT_ENTRY_FIELDS = ['userId', 'username', 'action', 'success', 'details', 'ip', 'userAgent'];
+
 class AuthService {
   constructor() {
+    // Các email đang gửi nền, để có thể chờ chúng gửi xong trước khi dừng server
+    this.pendingMails = new Set();
+    
     // Thiết lập tham chiếu đến tokenRepository cho tokenService
     tokenService.setTokenRepository(tokenRepository);
     
@@ -46,63 +79,70 @@ class AuthService {
    * @param {Object} [options] - Tùy chọn
    * @param {string} [options.userAgent] - User Agent của người dùng
    * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng
-   * @returns {Promise<Object>} - Thông tin người dùng và token
+   * @returns {Promise<Object>} - Thông tin người dùng và token, hoặc
+   *   { twoFactorRequired, challengeToken } nếu người dùng đã bật 2FA
+   * @throws {Error} - Lỗi có code 'ACCOUNT_LOCKED'/'TOO_MANY_ATTEMPTS' khi bị chặn do đăng nhập sai nhiều lần
    */
   async login(usernameOrEmail, password, options = {}) {
+    // Từ chối trước khi kiểm tra mật khẩu nếu tài khoản hoặc IP đang bị khóa/phải chờ;
+    // lần thử được giữ chỗ đến khi lần sai (nếu có) đã được ghi nhận
+    const releaseAttempt = await loginProtectionService.beginAttempt(usernameOrEmail, options.ipAddress);
+
     try {
       // Sử dụng AuthenticationService để đăng nhập
-      const authResult = await authenticationService.login(usernameOrEmail, password);
-      
-      // Bổ sung thông tin metadata vào log
-      this._attachMetadataToLogs(authResult.user.id, options);
+      const authResult = await authenticationService.login(usernameOrEmail, password, options);
       
-      // Lưu refresh token vào database
-      const expiryDate = new Date(Date.now() + this._getRefreshTokenExpiryMs());
+      // Bước 2FA: token chỉ được cấp sau verifyTwoFactorLogin()
+      if (authResult.twoFactorRequired) {
+        return authResult;
+      }
       
-      await tokenRepository.saveRefreshToken(
-        authResult.tokens.refreshToken,
-        authResult.user.id,
-        expiryDate,
-        options.userAgent
-      );
+      await this._saveLoginSession(authResult, options);
       
       return authResult;
-    } catch (error) {
-      // Xử lý lỗi và chuyển tiếp
-      throw error;
+    } finally {
+      releaseAttempt();
     }
   }
 
   /**
-   * Đăng ký người dùng mới
-   * @param {Object} userData - Thông tin người dùng
-   * @param {Object} [options] - Tùy chọn
+   * Hoàn tất đăng nhập cho người dùng đã bật 2FA
+   * @param {string} challengeToken - Challenge token trả về từ login()
+   * @param {string} code - Mã TOTP 6 số hoặc mã khôi phục
+   * @param {Object} [options] - Tùy chọn (userAgent, ipAddress) như login()
    * @returns {Promise<Object>} - Thông tin người dùng và token
+   * @throws {Error} - Lỗi có code 'ACCOUNT_LOCKED'/'TOO_MANY_ATTEMPTS' khi bị chặn do nhập sai nhiều lần
    */
-  async register(userData, options = {}) {
+  async verifyTwoFactorLogin(challengeToken, code, options = {}) {
+    // Mã sai được tính vào bộ đếm đăng nhập sai nên cũng áp dụng trễ/khóa như bước mật khẩu
+    const challenge = tokenService.verifyTwoFactorChallengeToken(challengeToken);
+    const releaseAttempt = await loginProtectionService.beginAttempt(challenge.username, options.ipAddress);
+    
     try {
-      // Sử dụng AuthenticationService để đăng ký
-      const registrationResult = await authenticationService.register(userData);
-      
-      // Bổ sung thông tin metadata vào log
-      this._attachMetadataToLogs(registrationResult.user.id, options);
-      
-      // Lưu refresh token vào database
-      const expiryDate = new Date(Date.now() + this._getRefreshTokenExpiryMs());
+      const authResult = await authenticationService.verifyTwoFactorLogin(challengeToken, code, options);
       
-      await tokenRepository.saveRefreshToken(
-        registrationResult.tokens.refreshToken,
-        registrationResult.user.id,
-        expiryDate,
-        options.userAgent
-      );
+      await this._saveLoginSession(authResult, options);
       
-      return registrationResult;
-    } catch (error) {
-      throw error;
+      return authResult;
+    } finally {
+      releaseAttempt();
     }
   }
 
+  /**
+   * Đăng ký người dùng mới
+   * Không cấp token: người dùng phải xác thực email qua link trong hộp thư rồi mới đăng nhập
+   * @param {Object} userData - Thông tin người dùng
+   * @param {Object} [options] - Tùy chọn
+   * @param {string} [options.userAgent] - User Agent của người dùng
+   * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng
+   * @returns {Promise<Object>} - { user, verificationRequired }
+   */
+  async register(userData, options = {}) {
+    // Sử dụng AuthenticationService để đăng ký
+    return await authenticationService.register(userData, options);
+  }
+
   /**
    * Xác thực token và trả về thông tin người dùng
    * @param {string} token - JWT access token
@@ -135,12 +175,17 @@ class AuthService {
       throw error;
     }
   }
-    /**
+  /**
    * Làm mới access token bằng refresh token
+   * Mỗi lần làm mới, refresh token cũ bị thu hồi và được thay bằng token mới (rotation).
+   * Dùng lại một token đã rotate sẽ thu hồi toàn bộ family của token đó
    * @param {string} refreshToken - Refresh token
    * @param {Object} [options] - Tùy chọn
-   * @returns {Promise<Object>} - Access token mới
-   */    async refreshToken(refreshToken, options = {}) {
+   * @param {string} [options.userAgent] - User Agent của người dùng
+   * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng
+   * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn }
+   */
+  async refreshToken(refreshToken, options = {}) {
     try {
       // Handle case when the refresh token is sent as an object instead of string
       if (typeof refreshToken === 'object' && refreshToken !== null) {
@@ -154,57 +199,67 @@ class AuthService {
         }
       }
       
-      console.log('Refresh token request received:', refreshToken ? refreshToken.substring(0, 8) + '...' : 'undefined');
-      
       if (!refreshToken) {
         throw new Error('Refresh token is required');
       }
       
       // Kiểm tra refresh token trong database
       const storedToken = await tokenRepository.findRefreshToken(refreshToken);
-      console.log('Database lookup result:', storedToken ? 'Token found for user ' + storedToken.user_id : 'Token not found in DB');
       
-      let userId = null;
+      if (!storedToken) {
+        throw new Error('Invalid or expired refresh token');
+      }
       
-      // First check if token exists in database
-      if (storedToken) {
-        userId = storedToken.user_id;
-        
-        // Cập nhật thời gian sử dụng cuối cùng
-        await tokenRepository.updateRefreshTokenLastUsed(refreshToken);
-      } else {
-        // Fallback: try direct lookup from in-memory store
-        userId = tokenService.getUserIdFromRefreshToken(refreshToken);
-        console.log('In-memory lookup result:', userId ? 'Token found for user ' + userId : 'Token not found in memory');
+      if (storedToken.is_revoked) {
+        // Token đã được thay thế mà vẫn bị gửi lại: có thể đã bị đánh cắp
+        if (storedToken.replaced_by_id) {
+          await this._handleRefreshTokenReuse(storedToken, options);
+          throw new Error('Refresh token has already been used, please sign in again');
+        }
+        throw new Error('Invalid or expired refresh token');
       }
       
-      // If we couldn't find the token in either place, it's invalid
-      if (!userId) {
+      if (new Date(storedToken.expiry_date) <= new Date()) {
         throw new Error('Invalid or expired refresh token');
       }
       
       // Get user information to validate and generate new token
-      const user = await userService.getUserById(userId);
+      const user = await userService.getUserById(storedToken.user_id);
       
       if (!user || !user.is_active) {
         throw new Error('User not found or account disabled');
       }
       
-      // Generate new access token
-      const accessToken = tokenService.generateAccessToken(user);
+      // Thay refresh token cũ bằng token mới trong cùng family
+      const newRefreshToken = tokenService.generateRefreshToken(user);
+      const expiryDate = new Date(Date.now() + this._getRefreshTokenExpiryMs());
+      const rotated = await tokenRepository.rotateRefreshToken(storedToken, newRefreshToken, expiryDate, options)
+        .catch(error => {
+          // Lỗi database: token cũ vẫn dùng được, không coi là bị dùng lại
+          tokenService.removeRefreshToken(newRefreshToken);
+          error.code = 'TOKEN_ROTATION_FAILED';
+          throw error;
+        });
+      
+      if (!rotated) {
+        // Một request khác đã rotate token này trước
+        tokenService.removeRefreshToken(newRefreshToken);
+        await this._handleRefreshTokenReuse(storedToken, options);
+        throw new Error('Refresh token has already been used, please sign in again');
+      }
       
-      // Make sure the token is registered in memory too
-      tokenService.registerRefreshToken(refreshToken, userId);
+      tokenService.removeRefreshToken(refreshToken);
       
       // Bổ sung thông tin metadata vào log
-      this._attachMetadataToLogs(userId, options);
+      this._attachMetadataToLogs(storedToken.user_id, options);
       
       return {
-        accessToken,
+        accessToken: tokenService.generateAccessToken(user),
+        refreshToken: newRefreshToken,
         expiresIn: 7200 // Default 2 hours
       };
     } catch (error) {
-      console.error('Error refreshing token:', error);
+      console.error('Error refreshing token:', error.message);
       throw error;
     }
   }
@@ -320,8 +375,9 @@ class AuthService {
   
   /**
    * Yêu cầu đặt lại mật khẩu
+   * Token chỉ được gửi qua email (listener user:password_reset_request), không trả về cho client
    * @param {string} email - Email của người dùng
-   * @returns {Promise<Object>} - Thông tin token đặt lại mật khẩu
+   * @returns {Promise<Object>} - { success, message }, giống nhau dù email có tồn tại hay không
    */
   async requestPasswordReset(email) {
     // Tìm người dùng bằng email
@@ -341,31 +397,10 @@ class AuthService {
     
     const resetToken = jwt.sign(payload, config.jwtSecret, { expiresIn: '1h' });
     
-    // Phát sự kiện yêu cầu reset password
-    console.log(`[DEBUG] Emitting user:password_reset_request event for email ${email}`);
-    authEventEmitter.emit('user:password_reset_request', { userId: user.id, email, token: resetToken });
-    console.log(`[DEBUG] Event emitted with token ${resetToken.substring(0, 10)}...`);
-    
-    // Trực tiếp lưu token vào TestBotService để đảm bảo nó hoạt động
-    try {
-      const testBotService = require('./test-bot.service.js').default;
-      if (testBotService) {
-        console.log(`[DEBUG] Directly saving token to TestBotService for ${email}`);
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 1);
-        testBotService.savePasswordResetToken(email, resetToken, expiresAt);
-      }
-    } catch (err) {
-      console.error(`[DEBUG] Error directly saving to TestBotService:`, err);
-    }
+    // Phát sự kiện yêu cầu reset password, listener gửi email chứa token
+    authEventEmitter.emit('user:password_reset_request', { userId: user.id, email, username: user.username, token: resetToken });
     
-    // Trong môi trường thực tế, sẽ gửi email với đường dẫn reset password
-    // nhưng ở đây chỉ trả về token để testing
-    return { 
-      success: true,
-      message: 'Password reset link has been sent to your email',
-      resetToken // Trong thực tế KHÔNG nên trả về token này, chỉ gửi qua email
-    };
+    return { success: true, message: 'If the email exists, a password reset link has been sent' };
   }
   
   /**
@@ -456,41 +491,59 @@ class AuthService {
    * @returns {Promise<Array>} - Danh sách hoạt động
    */
   async getUserAuthHistory(userId, limit = 50) {
-    return tokenRepository.getUserAuthActivity(userId, limit);
+    // limit được chèn trực tiếp vào câu truy vấn (TOP) nên phải là số nguyên hợp lệ
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    return tokenRepository.getUserAuthActivity(userId, safeLimit);
   }
   
   /**
    * Lấy danh sách phiên đăng nhập hiện tại của người dùng
    * @param {number|string} userId - ID người dùng
-   * @returns {Promise<Array>} - Danh sách phiên đăng nhập
+   * @returns {Promise<Array>} - Danh sách phiên đăng nhập kèm thông tin thiết bị
    */
   async getUserActiveSessions(userId) {
-    try {
-      const query = `
-        SELECT 
-          token, created_at, last_used_at, user_agent
-        FROM refresh_tokens
-        WHERE user_id = @userId AND is_revoked = 0 AND expiry_date > GETDATE()
-        ORDER BY last_used_at DESC
-      `;
-      
-      const result = await dbService.executeQuery(query, { userId });
-      
-      if (result && result.recordset) {
-        // Xử lý kết quả để trả về thông tin hữu ích hơn
-        return result.recordset.map(session => ({
-          id: session.token.substring(0, 8), // Chỉ trả về 8 ký tự đầu làm ID
-          createdAt: session.created_at,
-          lastUsedAt: session.last_used_at,
-          userAgent: session.user_agent
-        }));
-      }
-      
-      return [];
-    } catch (error) {
-      console.error('Error getting user active sessions:', error);
-      return [];
+    const sessions = await tokenRepository.getActiveSessions(userId);
+    
+    // family_id là session id công khai, không liên quan tới giá trị của refresh token
+    return sessions.map(session => ({
+      id: session.family_id,
+      ...parseUserAgent(session.user_agent),
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expiry_date
+    }));
+  }
+  
+  /**
+   * Đăng xuất một thiết bị: thu hồi refresh token của phiên đăng nhập
+   * Access token đã cấp cho phiên đó vẫn dùng được tới khi hết hạn (tối đa 2 giờ)
+   * @param {number|string} userId - ID người dùng sở hữu phiên
+   * @param {string} sessionId - Session id (từ getUserActiveSessions)
+   * @returns {Promise<boolean>} - false nếu không tìm thấy phiên còn hiệu lực
+   */
+  async revokeSession(userId, sessionId) {
+    const revokedCount = await tokenRepository.revokeUserSession(userId, sessionId);
+    
+    if (revokedCount > 0) {
+      authEventEmitter.emit('user:session_revoked', { userId, sessionId });
     }
+    
+    return revokedCount > 0;
+  }
+  
+  /**
+   * Mô tả các thông tin còn lại của sự kiện xác thực cho cột details, ví dụ "sessionCount=2"
+   * @private
+   * @param {Object} data - Dữ liệu sự kiện
+   * @returns {string}
+   */
+  _describeAuthEvent(data) {
+    return Object.entries(data)
+      .filter(([key, value]) => !AUDIT_ENTRY_FIELDS.includes(key) && value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${value instanceof Date ? value.toISOString() : value}`)
+      .join(', ');
   }
   
   /**
@@ -511,31 +564,115 @@ class AuthService {
       });
     });
     
-    // Lắng nghe sự kiện yêu cầu đặt lại mật khẩu và lưu token vào TestBotService
-    authEventEmitter.on('user:password_reset_request', async (data) => {
-      try {
-        // Import TestBotService ở đây để tránh circular dependency
-        const testBotService = (await import('./test-bot.service.js')).default;
-        
-        if (testBotService) {
-          // Tính toán thời gian hết hạn (1 giờ)
-          const expiresAt = new Date();
-          expiresAt.setHours(expiresAt.getHours() + 1);
-          
-          // Lưu token vào TestBotService
-          testBotService.savePasswordResetToken(data.email, data.token, expiresAt);
-          console.log(`[AUTH] Saved reset token for ${data.email} to TestBotService`);
-          
-          // Giả lập gửi email
-          testBotService.sendPasswordResetEmail({
-            email: data.email,
-            username: data.email.split('@')[0],
-            token: data.token,
-            expiryHours: 1
-          });
-        }
-      } catch (error) {
-        console.error('Error saving reset token to TestBotService:', error);
+    // Lắng nghe sự kiện yêu cầu đặt lại mật khẩu: gửi email chứa token
+    authEventEmitter.on('user:password_reset_request', (data) => {
+      this._sendMail('password reset', () => mailService.sendPasswordResetEmail({
+        email: data.email,
+        username: data.username,
+        token: data.token,
+        expiryHours: 1
+      }));
+    });
+    
+    // Ghi sự kiện dùng lại refresh token vào auth_logs để quản trị viên theo dõi
+    authEventEmitter.on('user:refresh_token_reuse', async (data) => {
+      await tokenRepository.saveAuthActivity({
+        userId: data.userId,
+        action: 'refresh_token_reuse',
+        success: false,
+        details: `Rotated refresh token was reused, revoked ${data.revokedCount} token(s) of the session`,
+        ip: data.ip,
+        userAgent: data.userAgent
+      });
+    });
+    
+    // Ghi các sự kiện xác thực vào auth_logs để quản trị viên tra cứu trong nhật ký
+    Object.entries(AUDITED_EVENTS).forEach(([eventName, action]) => {
+      authEventEmitter.on(eventName, async (data = {}) => {
+        await tokenRepository.saveAuthActivity({
+          ...data,
+          action: data.action || action,
+          success: data.success !== false,
+          details: data.details || this._describeAuthEvent(data)
+        });
+      });
+    });
+    
+    // Chỉ lưu các lần bị từ chối truy cập; lần kiểm tra thành công quá nhiều và không cần tra cứu
+    authEventEmitter.on('auth:authorization_check', async (data) => {
+      if (data.action !== 'access_denied') {
+        return;
+      }
+      
+      await tokenRepository.saveAuthActivity({
+        userId: data.userId,
+        action: 'access_denied',
+        success: false,
+        details: data.details
+      });
+    });
+    
+    // Gửi email chào mừng khi người dùng tự đăng ký đã xác thực email
+    authEventEmitter.on('user:email_verified', (data) => {
+      this._sendMailToUser(data.userId, 'welcome', user => mailService.sendWelcomeEmail(user));
+    });
+    
+    // Thông báo cho chủ tài khoản khi mật khẩu hoặc email thay đổi
+    authEventEmitter.on('user:password_change', (data) => {
+      this._sendMailToUser(data.userId, 'password change notice', user =>
+        mailService.sendAccountChangeNotice(user, 'password_change'));
+    });
+    
+    authEventEmitter.on('user:password_reset_complete', (data) => {
+      this._sendMailToUser(data.userId, 'password reset notice', user =>
+        mailService.sendAccountChangeNotice(user, 'password_reset'));
+    });
+    
+    authEventEmitter.on('user:email_change', (data) => {
+      // Gửi tới địa chỉ cũ để chủ tài khoản biết nếu email bị đổi trái phép
+      this._sendMailToUser(data.userId, 'email change notice', user =>
+        mailService.sendAccountChangeNotice(user, 'email_change', { newEmail: data.newEmail }, data.oldEmail));
+    });
+  }
+  
+  /**
+   * Gửi email mà không làm gián đoạn luồng xử lý chính nếu gửi thất bại
+   * @private
+   * @param {string} description - Mô tả email dùng khi ghi log lỗi
+   * @param {Function} send - Hàm gửi email, trả về Promise
+   */
+  _sendMail(description, send) {
+    const pending = Promise.resolve()
+      .then(send)
+      .catch(error => {
+        console.error(`Error sending ${description} email:`, error.message);
+      })
+      .finally(() => {
+        this.pendingMails.delete(pending);
+      });
+    this.pendingMails.add(pending);
+  }
+  
+  /**
+   * Chờ các email đang gửi nền gửi xong (ví dụ trước khi dừng server)
+   * @returns {Promise<void>}
+   */
+  async waitForPendingMails() {
+    await Promise.all([...this.pendingMails]);
+  }
+  
+  /**
+   * Tìm người dùng theo ID rồi gửi email cho họ
+   * @private
+   * @param {number|string} userId - ID người dùng
+   * @param {string} description - Mô tả email dùng khi ghi log lỗi
+   * @param {Function} send - Hàm nhận user và gửi email
+   */
+  _sendMailToUser(userId, description, send) {
+    this._sendMail(description, async () => {
+      const user = await userService.getUserById(userId);
+      if (user && user.email) {
+        await send(user);
       }
     });
   }
@@ -572,7 +709,28 @@ class AuthService {
     // Dọn dẹp revoked tokens hết hạn
     const revokedTokensRemoved = await tokenRepository.cleanupExpiredRevokedTokens();
     
-    console.log(`Cleanup: Removed ${refreshTokensRemoved} expired refresh tokens and ${revokedTokensRemoved} expired revoked tokens`);
+    // Dọn dẹp token xác thực email đã dùng hoặc hết hạn
+    const verificationTokensRemoved = await emailVerificationService.cleanupExpiredTokens();
+    
+    console.log(`Cleanup: Removed ${refreshTokensRemoved} expired refresh tokens, ${revokedTokensRemoved} expired revoked tokens and ${verificationTokensRemoved} email verification tokens`);
+  }
+  
+  /**
+   * Xử lý khi một refresh token đã rotate bị dùng lại: thu hồi cả family và ghi sự kiện bảo mật
+   * @private
+   * @param {Object} storedToken - Bản ghi refresh token bị dùng lại
+   * @param {Object} options - Tùy chọn (userAgent, ipAddress)
+   */
+  async _handleRefreshTokenReuse(storedToken, options) {
+    const revokedCount = await tokenRepository.revokeRefreshTokenFamily(storedToken.family_id);
+    
+    authEventEmitter.emit('user:refresh_token_reuse', {
+      userId: storedToken.user_id,
+      familyId: storedToken.family_id,
+      revokedCount,
+      ip: options.ipAddress || null,
+      userAgent: options.userAgent || null
+    });
   }
   
   /**
@@ -597,6 +755,30 @@ class AuthService {
     authEventEmitter.on('auth:activity_log', handler);
   }
   
+  /**
+   * Lưu refresh token của phiên đăng nhập mới và gắn metadata vào log
+   * @private
+   * @param {Object} authResult - Kết quả đăng nhập từ AuthenticationService
+   * @param {Object} options - Tùy chọn (userAgent, ipAddress)
+   */
+  async _saveLoginSession(authResult, options) {
+    // Bổ sung thông tin metadata vào log
+    this._attachMetadataToLogs(authResult.user.id, options);
+    
+    // Lưu refresh token vào database
+    const expiryDate = new Date(Date.now() + this._getRefreshTokenExpiryMs());
+    
+    // Mỗi lần đăng nhập bắt đầu một family mới, các token rotate sau đó dùng chung family này
+    await tokenRepository.saveRefreshToken(
+      authResult.tokens.refreshToken,
+      authResult.user.id,
+      expiryDate,
+      options.userAgent,
+      crypto.randomUUID(),
+      options.ipAddress
+    );
+  }
+  
   /**
    * Lấy thời gian hết hạn của refresh token (ms)
    * @private
@@ -4,18 +4,38 @@
  */
 
 import bcrypt from 'bcrypt';
+import config from '../../config.js';
 import tokenService from './token.service.js';
 import userService from './user.service.js';
+import twoFactorService from './two-factor.service.js';
+import emailVerificationService from './email-verification.service.js';
+import passwordPolicyService from './password-policy.service.js';
+import loginProtectionService from './login-protection.service.js';
 import authEventEmitter from '../events/auth-events.js';
 
+// Kiểm tra định dạng email cơ bản khi người dùng tự đăng ký
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sự kiện phát ra khi mật khẩu đúng nhưng vẫn từ chối đăng nhập
+const LOGIN_REJECTED_EVENTS = {
+  EMAIL_NOT_VERIFIED: 'user:login_unverified',
+  PASSWORD_EXPIRED: 'user:login_password_expired'
+};
+
 class AuthenticationService {
   /**
    * Xác thực người dùng và tạo token
    * @param {string} usernameOrEmail - Tên đăng nhập hoặc email
    * @param {string} password - Mật khẩu
-   * @returns {Promise<Object>} - Thông tin người dùng và token
+   * @param {Object} [options] - Tùy chọn
+   * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng, gửi kèm sự kiện đăng nhập
+   * @param {string} [options.userAgent] - User-Agent của thiết bị, gửi kèm sự kiện đăng nhập
+   * @returns {Promise<Object>} - Thông tin người dùng và token, hoặc
+   *   { twoFactorRequired, challengeToken } nếu người dùng đã bật 2FA
+   * @throws {Error} - Lỗi có code 'EMAIL_NOT_VERIFIED' khi người dùng tự đăng ký chưa xác thực email,
+   *   hoặc 'PASSWORD_EXPIRED' khi mật khẩu quá thời hạn passwordPolicy.maxAgeDays
    */
-  async login(usernameOrEmail, password) {
+  async login(usernameOrEmail, password, options = {}) {
     try {
       // Xác thực người dùng
       const user = await userService.authenticate(usernameOrEmail, password);
@@ -24,45 +44,142 @@ class AuthenticationService {
         throw new Error('Invalid credentials');
       }
       
-      // Tạo tokens
-      const accessToken = tokenService.generateAccessToken(user);
-      const refreshToken = tokenService.generateRefreshToken(user.id);
+      // Chỉ báo chưa xác thực email sau khi mật khẩu đúng để không lộ trạng thái tài khoản
+      if (user.email_verified === false) {
+        const error = new Error('Please verify your email address before signing in');
+        error.code = 'EMAIL_NOT_VERIFIED';
+        throw error;
+      }
+      
+      // Mật khẩu hết hạn: người dùng đặt lại mật khẩu qua email rồi đăng nhập bằng mật khẩu mới
+      if (passwordPolicyService.isExpired(user)) {
+        const error = new Error('Your password has expired. Please reset it using the forgot password link');
+        error.code = 'PASSWORD_EXPIRED';
+        throw error;
+      }
       
-      // Cập nhật thời gian đăng nhập cuối
-      await userService.updateLastLogin(user.id);
+      // Đã bật 2FA: chưa cấp token, yêu cầu nhập mã ở bước thứ hai
+      if (await twoFactorService.isEnabled(user.id)) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: tokenService.generateTwoFactorChallengeToken(user)
+        };
+      }
       
-      // Phát sự kiện đăng nhập thành công
-      authEventEmitter.emit('user:login', {
-        userId: user.id,
-        username: user.username,
-        success: true,
-        action: 'login'
+      return await this._completeLogin(user, options);
+    } catch (error) {
+      // Phát sự kiện đăng nhập thất bại; chưa xác thực email hoặc mật khẩu hết hạn
+      // (mật khẩu vẫn đúng) không tính vào bộ đếm khóa tài khoản
+      const eventName = LOGIN_REJECTED_EVENTS[error.code] || 'user:login_failed';
+      if (eventName === 'user:login_failed') {
+        await this._recordFailedLogin(usernameOrEmail, options.ipAddress);
+      }
+      authEventEmitter.emit(eventName, {
+        username: usernameOrEmail,
+        success: false,
+        action: 'login',
+        details: error.message,
+        ip: options.ipAddress,
+        userAgent: options.userAgent
       });
       
-      // Loại bỏ mật khẩu khỏi user object trước khi trả về
-      const { password: _, ...userWithoutPassword } = user;
+      throw error;
+    }
+  }
+
+  /**
+   * Hoàn tất đăng nhập 2FA bằng challenge token và mã TOTP/mã khôi phục
+   * @param {string} challengeToken - Challenge token nhận được từ login()
+   * @param {string} code - Mã TOTP 6 số hoặc mã khôi phục
+   * @param {Object} [options] - Tùy chọn
+   * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng, gửi kèm sự kiện đăng nhập
+   * @param {string} [options.userAgent] - User-Agent của thiết bị, gửi kèm sự kiện đăng nhập
+   * @returns {Promise<Object>} - Thông tin người dùng và token
+   */
+  async verifyTwoFactorLogin(challengeToken, code, options = {}) {
+    const challenge = tokenService.verifyTwoFactorChallengeToken(challengeToken);
+    
+    try {
+      const user = await userService.getUserById(challenge.id);
       
-      return {
-        user: userWithoutPassword,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: 7200 // 2 giờ
-        }
-      };
+      if (!user || !user.is_active) {
+        throw new Error('Invalid credentials');
+      }
+      
+      // Mã sai được tính như một lần đăng nhập sai để áp dụng khóa tài khoản
+      if (!(await twoFactorService.verifyCode(user.id, code))) {
+        throw new Error('Invalid verification code');
+      }
+      
+      return await this._completeLogin(user, options);
     } catch (error) {
-      // Phát sự kiện đăng nhập thất bại
+      await this._recordFailedLogin(challenge.username, options.ipAddress);
       authEventEmitter.emit('user:login_failed', {
-        username: usernameOrEmail,
+        username: challenge.username,
         success: false,
-        action: 'login',
-        details: error.message
+        action: 'login_2fa',
+        details: error.message,
+        ip: options.ipAddress,
+        userAgent: options.userAgent
       });
       
       throw error;
     }
   }
 
+  /**
+   * Ghi nhận lần đăng nhập sai vào bộ đếm khóa tài khoản trước khi trả lỗi
+   * Lỗi khi ghi bộ đếm chỉ được log để không che lỗi đăng nhập gốc
+   * @private
+   * @param {string} usernameOrEmail - Tên đăng nhập hoặc email đã dùng
+   * @param {string} [ipAddress] - Địa chỉ IP của người dùng
+   */
+  async _recordFailedLogin(usernameOrEmail, ipAddress) {
+    try {
+      await loginProtectionService.recordFailedLogin(usernameOrEmail, ipAddress);
+    } catch (error) {
+      console.error('Error recording failed login:', error.message);
+    }
+  }
+
+  /**
+   * Cấp token cho người dùng đã xác thực đủ các bước
+   * @private
+   * @param {Object} user - Thông tin người dùng
+   * @param {Object} options - Tùy chọn của login()
+   * @returns {Promise<Object>} - Thông tin người dùng và token
+   */
+  async _completeLogin(user, options) {
+    // Tạo tokens
+    const accessToken = tokenService.generateAccessToken(user);
+    const refreshToken = tokenService.generateRefreshToken(user.id);
+    
+    // Cập nhật thời gian đăng nhập cuối
+    await userService.updateLastLogin(user.id);
+    
+    // Phát sự kiện đăng nhập thành công
+    authEventEmitter.emit('user:login', {
+      userId: user.id,
+      username: user.username,
+      success: true,
+      action: 'login',
+      ip: options.ipAddress,
+      userAgent: options.userAgent
+    });
+    
+    // Loại bỏ mật khẩu khỏi user object trước khi trả về
+    const { password: _, ...userWithoutPassword } = user;
+    
+    return {
+      user: userWithoutPassword,
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn: 7200 // 2 giờ
+      }
+    };
+  }
+
   /**
    * Xác thực token và trả về thông tin người dùng
    * @param {string} token - JWT token
@@ -94,56 +211,91 @@ class AuthenticationService {
   }
 
   /**
-   * Đăng ký người dùng mới
-   * @param {Object} userData - Thông tin người dùng
-   * @returns {Promise<Object>} - Thông tin người dùng và token
+   * Đăng ký người dùng mới với vai trò customer
+   * Tài khoản chỉ đăng nhập được sau khi xác thực email qua link được gửi tới hộp thư
+   * @param {Object} userData - Thông tin người dùng (username, email, password, full_name)
+   * @param {Object} [options] - Tùy chọn
+   * @param {string} [options.ipAddress] - Địa chỉ IP của người dùng, gửi kèm sự kiện đăng ký
+   * @param {string} [options.userAgent] - User-Agent của thiết bị, gửi kèm sự kiện đăng ký
+   * @returns {Promise<Object>} - { user, verificationRequired }
+   * @throws {Error} - Lỗi có code 'PASSWORD_POLICY' kèm lỗi theo trường khi mật khẩu không đạt chính sách
    */
-  async register(userData) {
+  async register(userData, options = {}) {
     try {
-      // Tạo người dùng mới
-      const newUser = await userService.createUser(userData);
+      this._validateRegistration(userData);
       
-      // Tạo tokens
-      const accessToken = tokenService.generateAccessToken(newUser);
-      const refreshToken = tokenService.generateRefreshToken(newUser.id);
+      // Chỉ nhận các trường được phép; vai trò luôn là customer, không lấy từ request
+      const newUser = await userService.createUser({
+        username: userData.username,
+        email: userData.email,
+        password: userData.password,
+        full_name: userData.full_name || '',
+        role: config.roles.CUSTOMER,
+        is_active: true,
+        email_verified: false
+      });
       
       // Phát sự kiện đăng ký thành công
       authEventEmitter.emit('user:register', {
         userId: newUser.id,
         username: newUser.username,
         success: true,
-        action: 'register'
+        action: 'register',
+        ip: options.ipAddress,
+        userAgent: options.userAgent
       });
       
-      // Loại bỏ mật khẩu khỏi user object trước khi trả về
-      const { password: _, ...userWithoutPassword } = newUser;
+      // Tài khoản đã được tạo: nếu gửi email thất bại, người dùng có thể yêu cầu gửi lại
+      try {
+        await emailVerificationService.sendVerification(newUser);
+      } catch (mailError) {
+        console.error('Error sending email verification:', mailError.message);
+      }
       
       return {
-        user: userWithoutPassword,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: 7200 // 2 giờ
-        }
+        user: newUser,
+        verificationRequired: true
       };
     } catch (error) {
       // Phát sự kiện đăng ký thất bại
       authEventEmitter.emit('user:register_failed', {
+        username: userData.username,
         success: false,
         action: 'register',
-        details: error.message
+        details: error.message,
+        ip: options.ipAddress,
+        userAgent: options.userAgent
       });
       
       throw error;
     }
   }
 
+  /**
+   * Kiểm tra dữ liệu đăng ký trước khi tạo tài khoản
+   * @private
+   * @param {Object} userData - Thông tin người dùng
+   * @throws {Error} - Khi thiếu trường bắt buộc hoặc dữ liệu không hợp lệ
+   */
+  _validateRegistration(userData) {
+    if (!userData.username || !userData.email || !userData.password) {
+      throw new Error('Username, email and password are required');
+    }
+    
+    if (!EMAIL_PATTERN.test(userData.email)) {
+      throw new Error('Invalid email address');
+    }
+    
+    // Chính sách mật khẩu được kiểm tra trong UserService.createUser
+  }
+
   /**
    * Đổi mật khẩu người dùng
    * @param {number|string} userId - ID người dùng
    * @param {string} currentPassword - Mật khẩu hiện tại
    * @param {string} newPassword - Mật khẩu mới
    * @returns {Promise<boolean>} - Kết quả thay đổi
+   * @throws {Error} - Lỗi có code 'PASSWORD_POLICY' khi mật khẩu mới không đạt chính sách
    */
   async changePassword(userId, currentPassword, newPassword) {
     try {
@@ -161,20 +313,8 @@ class AuthenticationService {
         throw new Error('Current password is incorrect');
       }
       
-      // Đổi mật khẩu
-      const result = await userService.changePassword(userId, newPassword);
-      
-      if (result) {
-        // Phát sự kiện đổi mật khẩu thành công
-        authEventEmitter.emit('user:password_change', {
-          userId,
-          username: user.username,
-          success: true,
-          action: 'change_password'
-        });
-      }
-      
-      return result;
+      // Đổi mật khẩu (UserService phát sự kiện user:password_change khi thành công)
+      return await userService.changePassword(userId, currentPassword, newPassword);
     } catch (error) {
       // Phát sự kiện đổi mật khẩu thất bại
       authEventEmitter.emit('user:password_change_failed', {
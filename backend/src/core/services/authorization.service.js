@@ -4,19 +4,13 @@
  */
 
 import userService from './user.service.js';
+import roleService from './role.service.js';
 import authEventEmitter from '../events/auth-events.js';
 
 class AuthorizationService {
   constructor() {
-    // Danh sách vai trò hệ thống
-    this.systemRoles = ['admin', 'editor', 'customer'];
-    
-    // Cấu hình phân cấp vai trò (admin có quyền cao nhất)
-    this.roleHierarchy = {
-      'admin': 100,
-      'editor': 50,
-      'customer': 10
-    };
+    // Vai trò, cấp độ và quyền được lưu trong bảng roles / role_permissions
+    this.roleService = roleService;
   }
 
   /**
@@ -89,15 +83,18 @@ class AuthorizationService {
       }
       
       // Nếu không có thông tin vai trò, trả về false
-      if (!userInfo || !userInfo.role || !this.roleHierarchy[userInfo.role]) {
+      if (!userInfo || !userInfo.role) {
         return false;
       }
       
-      // Lấy cấp độ vai trò tối thiểu
-      const minRoleLevel = this.roleHierarchy[minRole] || 0;
-      
       // Lấy cấp độ vai trò của người dùng
-      const userRoleLevel = this.roleHierarchy[userInfo.role] || 0;
+      const userRoleLevel = await this.roleService.getRoleLevel(userInfo.role);
+      if (userRoleLevel === null) {
+        return false;
+      }
+      
+      // Lấy cấp độ vai trò tối thiểu
+      const minRoleLevel = (await this.roleService.getRoleLevel(minRole)) || 0;
       
       // Kiểm tra cấp độ vai trò
       const hasMinRole = userRoleLevel >= minRoleLevel;
@@ -117,6 +114,62 @@ class AuthorizationService {
     }
   }
 
+  /**
+   * Kiểm tra vai trò của người dùng có đủ các quyền cần thiết
+   * @param {Object|number|string} user - User object hoặc user ID
+   * @param {string|Array<string>} permissions - Quyền cần kiểm tra (ví dụ 'news.publish'), cần có tất cả
+   * @returns {Promise<boolean>} - Kết quả kiểm tra
+   */
+  async hasPermission(user, permissions) {
+    try {
+      // Chuẩn hóa tham số
+      const permissionsToCheck = Array.isArray(permissions) ? permissions : [permissions];
+      
+      // Nếu danh sách quyền trống, trả về false
+      if (permissionsToCheck.length === 0) {
+        return false;
+      }
+      
+      // Nếu user là ID, lấy thông tin người dùng từ database
+      let userInfo = user;
+      
+      if (typeof user === 'number' || typeof user === 'string') {
+        userInfo = await userService.getUserById(user);
+        
+        if (!userInfo) {
+          return false; // Không tìm thấy người dùng
+        }
+      }
+      
+      // Nếu không có thông tin vai trò, trả về false
+      if (!userInfo || !userInfo.role) {
+        return false;
+      }
+      
+      // Kiểm tra từng quyền theo vai trò
+      let granted = true;
+      for (const permission of permissionsToCheck) {
+        if (!(await this.roleService.roleHasPermission(userInfo.role, permission))) {
+          granted = false;
+          break;
+        }
+      }
+      
+      // Ghi log hoạt động phân quyền
+      this.logAuthorizationActivity(userInfo.id || userInfo.user_id, {
+        action: 'check_permission',
+        required: permissionsToCheck.join(','),
+        actual: userInfo.role,
+        granted
+      });
+      
+      return granted;
+    } catch (error) {
+      console.error('Error checking user permission:', error);
+      return false;
+    }
+  }
+
   /**
    * Kiểm tra người dùng có phải là admin
    * @param {Object|number|string} user - User object hoặc user ID
@@ -0,0 +1,206 @@
+/**
+ * Contact Message Service
+ * Handles business logic for contact form submissions and the admin inbox
+ */
+
+import contactMessageRepository from '../repositories/contact-message.repository.js';
+import { toCsv } from '../../lib/csv-helper.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[0-9+()\-.\s]{6,20}$/;
+
+/**
+ * ContactMessageService encapsulates all business logic related to contact messages
+ */
+class ContactMessageService {
+  constructor() {
+    this.contactMessageRepository = contactMessageRepository;
+
+    // Hidden form field that real visitors never fill in
+    this.honeypotField = 'website';
+
+    // Length limits matching the contact_messages columns
+    this.fieldLimits = {
+      name: 100,
+      email: 100,
+      phone: 20,
+      company: 150,
+      subject: 255,
+      message: 5000,
+      service_interest: 100
+    };
+
+    // Columns written to the CSV export, in order
+    this.exportColumns = [
+      'id', 'name', 'email', 'phone', 'company', 'subject',
+      'message', 'service_interest', 'read_status', 'created_at'
+    ];
+  }
+
+  /**
+   * Get a list of contact messages with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated messages with metadata
+   */
+  async getMessages(options = {}) {
+    this._validateFilters(options);
+    return await this.contactMessageRepository.getMessages(options);
+  }
+
+  /**
+   * Get a contact message by ID
+   * @param {number} id - Message ID
+   * @returns {Promise<Object|null>} - Message or null if not found
+   */
+  async getMessageById(id) {
+    return await this.contactMessageRepository.findById(id);
+  }
+
+  /**
+   * Get total and unread message counts for the dashboard
+   * @returns {Promise<Object>} - { total, unread }
+   */
+  async getStats() {
+    return await this.contactMessageRepository.getStats();
+  }
+
+  /**
+   * Save a contact form submission
+   * Submissions with the honeypot field filled in are accepted silently but not stored
+   * @param {Object} submission - Contact form data
+   * @returns {Promise<Object|null>} - Created message, or null if it was discarded as spam
+   */
+  async submitMessage(submission = {}) {
+    if (submission[this.honeypotField]) {
+      return null;
+    }
+
+    const data = {};
+    Object.keys(this.fieldLimits).forEach(field => {
+      const value = typeof submission[field] === 'string' ? submission[field].trim() : '';
+      data[field] = value || null;
+    });
+
+    const errors = this._validateSubmission(data);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Invalid contact form data');
+      error.errors = errors;
+      throw error;
+    }
+
+    data.email = data.email.toLowerCase();
+
+    return await this.contactMessageRepository.create({
+      ...data,
+      read_status: false,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  /**
+   * Mark a contact message as read or unread
+   * @param {number} id - Message ID
+   * @param {boolean} read - True to mark as read, false to mark as unread
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated message
+   */
+  async setReadStatus(id, read, actor = null) {
+    const message = await this.contactMessageRepository.findById(id);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    return await this.contactMessageRepository.update(id, {
+      read_status: Boolean(read),
+      updated_at: new Date()
+    }, { actor });
+  }
+
+  /**
+   * Delete a contact message
+   * @param {number} id - Message ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async deleteMessage(id, actor = null) {
+    return await this.contactMessageRepository.delete(id, { actor });
+  }
+
+  /**
+   * Export the contact messages matching the filters as CSV
+   * @param {Object} options - Filter options (same as getMessages)
+   * @returns {Promise<string>} - CSV content with a header row
+   */
+  async exportMessagesCsv(options = {}) {
+    this._validateFilters(options);
+    const messages = await this.contactMessageRepository.getAllMessages(options);
+
+    const rows = messages.map(message => this.exportColumns.map(column => {
+      const value = message[column];
+      if (column === 'read_status') {
+        return value ? 'read' : 'unread';
+      }
+      return value;
+    }));
+
+    return toCsv(this.exportColumns, rows);
+  }
+
+  /**
+   * Validate a normalized submission
+   * @private
+   * @param {Object} data - Trimmed submission fields
+   * @returns {Object} - Map of field name to error message (empty if valid)
+   */
+  _validateSubmission(data) {
+    const errors = {};
+
+    ['name', 'email', 'subject', 'message'].forEach(field => {
+      if (!data[field]) {
+        errors[field] = `${field.charAt(0).toUpperCase() + field.slice(1)} is required`;
+      }
+    });
+
+    Object.entries(this.fieldLimits).forEach(([field, limit]) => {
+      if (!errors[field] && data[field] && data[field].length > limit) {
+        errors[field] = `Must be at most ${limit} characters`;
+      }
+    });
+
+    if (!errors.email && data.email && !EMAIL_PATTERN.test(data.email)) {
+      errors.email = 'Invalid email address';
+    }
+
+    if (!errors.phone && data.phone && !PHONE_PATTERN.test(data.phone)) {
+      errors.phone = 'Invalid phone number';
+    }
+
+    if (!errors.message && data.message && data.message.length < 10) {
+      errors.message = 'Message must be at least 10 characters';
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate inbox filter options
+   * @private
+   * @param {Object} options - Filter options
+   */
+  _validateFilters(options) {
+    if (options.readStatus && !['read', 'unread'].includes(options.readStatus)) {
+      throw new Error(`Invalid read status: ${options.readStatus}`);
+    }
+
+    ['from', 'to'].forEach(key => {
+      if (options[key] && isNaN(Date.parse(options[key]))) {
+        throw new Error(`Invalid date: ${options[key]}`);
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const contactMessageService = new ContactMessageService();
+export default contactMessageService;
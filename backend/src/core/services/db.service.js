@@ -1,25 +1,33 @@
 /**
  * Database Connection Service
- * Core service for managing SQL Server database connections
+ * Core service for managing database connections (SQL Server, or SQLite for development and tests)
  */
 
-import pkg from 'mssql';
-const { connect, Transaction } = pkg;
 import config from '../../config.js';
 import EventEmitter from 'events';
-import fs from 'fs';
-import path from 'path';
+import mssqlDriver from '../database/mssql.driver.js';
+import sqliteDriver from '../database/sqlite.driver.js';
+
+// Drivers by config.database.dialect
+const drivers = {
+  mssql: mssqlDriver,
+  sqlite: sqliteDriver
+};
 
 /**
  * Database Connection Service
  * Enhanced version with microservice capabilities for handling 
- * SQL Server database connections throughout the application
+ * database connections throughout the application
  */
 class DbService extends EventEmitter {
   constructor() {
     super();
+    if (!Object.hasOwn(drivers, config.database.dialect)) {
+      throw new Error(`Unsupported database dialect: ${config.database.dialect}`);
+    }
+    this.driver = drivers[config.database.dialect];
     this.pool = null;
-    this.connectionConfig = config.sql;
+    this.connectionConfig = this.driver === sqliteDriver ? config.database.sqlite : config.sql;
     this.isConnecting = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
@@ -29,6 +37,14 @@ class DbService extends EventEmitter {
     this.healthCheckFrequency = 30000; // 30 seconds
   }
 
+  /**
+   * SQL fragments of the configured database (see core/database/mssql.driver.js)
+   * @returns {Object} - Dialect
+   */
+  get dialect() {
+    return this.driver.dialect;
+  }
+
   /**
    * Get current connection status
    * @returns {string} - Status of the connection ('connected', 'connecting', 'disconnected', 'error')
@@ -50,10 +66,10 @@ class DbService extends EventEmitter {
 
   /**
    * Initialize connection pool with optional custom config
+   * Tables are managed by the migrations in src/migrations (see migration.service.js)
    * @param {Object} customConfig - Optional custom connection config
-   * @param {boolean} setupTables - Whether to check and setup tables
    */
-  async init(customConfig = null, setupTables = true) {
+  async init(customConfig = null) {
     // If already connecting, wait for it to finish
     if (this.isConnecting) {
       console.log('Connection attempt already in progress');
@@ -74,7 +90,7 @@ class DbService extends EventEmitter {
       // Close existing pool if it exists
       if (this.pool) {
         try {
-          await this.pool.close();
+          await this.driver.close(this.pool);
         } catch (err) {
           console.log('Error closing existing pool:', err.message);
         }
@@ -82,7 +98,7 @@ class DbService extends EventEmitter {
       }
 
       // Create new connection pool
-      this.pool = await connect(this.connectionConfig);
+      this.pool = await this.driver.connect(this.connectionConfig);
       
       this.connectionStatus = 'connected';
       this.reconnectAttempts = 0;
@@ -93,11 +109,6 @@ class DbService extends EventEmitter {
       
       // Setup health check monitoring
       this.setupHealthCheck();
-
-      // Check and create tables if needed
-      if (setupTables) {
-        await this.checkAndCreateTables();
-      }
       
       return this.pool;
     } catch (error) {
@@ -187,15 +198,7 @@ class DbService extends EventEmitter {
   async executeQuery(query, params = {}) {
     try {
       const pool = await this.getPool();
-      const request = pool.request();
-
-      // Add parameters to request
-      Object.entries(params).forEach(([key, value]) => {
-        request.input(key, value);
-      });
-
-      const result = await request.query(query);
-      return result;
+      return await this.driver.query(pool, query, params);
     } catch (error) {
       console.error('Error executing query:', error);
       
@@ -218,15 +221,7 @@ class DbService extends EventEmitter {
   async executeStoredProcedure(procedureName, params = {}) {
     try {
       const pool = await this.getPool();
-      const request = pool.request();
-
-      // Add parameters to request
-      Object.entries(params).forEach(([key, value]) => {
-        request.input(key, value);
-      });
-
-      const result = await request.execute(procedureName);
-      return result;
+      return await this.driver.execute(pool, procedureName, params);
     } catch (error) {
       console.error(`Error executing stored procedure ${procedureName}:`, error);
       
@@ -243,19 +238,15 @@ class DbService extends EventEmitter {
   /**
    * Execute a transaction with multiple queries
    * @param {Function} callback - Callback function that takes a transaction object
+   *   (transaction.request().input(name, value).query(sql) on both drivers)
    * @returns {Promise<any>} - Transaction result
    */
   async executeTransaction(callback) {
     const pool = await this.getPool();
-    const transaction = new Transaction(pool);
 
     try {
-      await transaction.begin();
-      const result = await callback(transaction);
-      await transaction.commit();
-      return result;
+      return await this.driver.transaction(pool, callback);
     } catch (error) {
-      await transaction.rollback();
       console.error('Transaction error:', error);
       
       // If it's a connection issue, try to reconnect
@@ -268,6 +259,16 @@ class DbService extends EventEmitter {
     }
   }
 
+  /**
+   * Check whether a table exists
+   * @param {string} name - Table name
+   * @returns {Promise<boolean>}
+   */
+  async tableExists(name) {
+    const result = await this.executeQuery(this.dialect.tableExists(), { name });
+    return result.recordset[0].count > 0;
+  }
+
   /**
    * Check if an error is related to connection issues
    * @param {Error} error - Error to check
@@ -297,7 +298,7 @@ class DbService extends EventEmitter {
       
       // Close pool if exists
       if (this.pool) {
-        await this.pool.close();
+        await this.driver.close(this.pool);
         this.pool = null;
         this.connectionStatus = 'disconnected';
         this.emit('disconnected');
@@ -315,15 +316,8 @@ class DbService extends EventEmitter {
    */
   async getDatabaseInfo() {
     try {
-      const result = await this.executeQuery(`
-        SELECT 
-          DB_NAME() as DatabaseName,
-          SERVERPROPERTY('ProductVersion') as ServerVersion,
-          SERVERPROPERTY('Edition') as ServerEdition,
-          @@VERSION as FullVersion
-      `);
-      
-      return result.recordset[0];
+      const pool = await this.getPool();
+      return await this.driver.describe(pool);
     } catch (error) {
       console.error('Error getting database info:', error);
       throw error;
@@ -343,17 +337,17 @@ class DbService extends EventEmitter {
       console.log('Testing database connection...');
       const startTime = Date.now();
       
-      testPool = await connect(configToTest);
+      testPool = await this.driver.connect(configToTest);
       
       // Run simple query to verify full connectivity
-      const result = await testPool.request().query('SELECT DB_NAME() as DatabaseName');
+      const info = await this.driver.describe(testPool);
       
       const connectionTime = Date.now() - startTime;
       
       return {
         success: true,
         message: 'Connection successful',
-        databaseName: result.recordset[0].DatabaseName,
+        databaseName: info.DatabaseName,
         connectionTimeMs: connectionTime
       };
     } catch (error) {
@@ -365,144 +359,17 @@ class DbService extends EventEmitter {
       };
     } finally {
       if (testPool) {
-        await testPool.close();
+        await this.driver.close(testPool);
       }
     }
   }
 
   /**
-   * Check and create required tables
+   * Create the default admin user from config when no admin exists yet
+   * Runs after the migrations, which only manage the schema
    */
-  async checkAndCreateTables() {
+  async ensureDefaultAdmin() {
     try {
-      console.log('Checking database tables...');
-      
-      // Get SQL directory path from config
-      const sqlDir = config.paths.sqlDir;
-      
-      // Check if directory exists
-      if (!fs.existsSync(sqlDir)) {
-        console.log('Creating SQL directory');
-        fs.mkdirSync(sqlDir, { recursive: true });
-      }
-
-      // Get users table SQL file path from config
-      const usersTableSqlPath = config.paths.usersTableSql;
-      
-      // Create users table SQL file if it doesn't exist
-      if (!fs.existsSync(usersTableSqlPath)) {
-        console.log('Creating users table SQL file');
-        const usersTableSql = `
--- SQL Script để tạo bảng users với cấu trúc phù hợp
--- Kiểm tra xem bảng users đã tồn tại chưa
-IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'users')
-BEGIN
-    -- Tạo bảng users nếu chưa tồn tại
-    CREATE TABLE users (
-        id INT IDENTITY(1,1) PRIMARY KEY,
-        username NVARCHAR(100) NOT NULL,
-        email NVARCHAR(255) NOT NULL,
-        password NVARCHAR(255) NOT NULL,
-        full_name NVARCHAR(255),
-        role NVARCHAR(50) NOT NULL DEFAULT '${config.defaultRole}',
-        is_active BIT NOT NULL DEFAULT 1,
-        last_login DATETIME,
-        created_at DATETIME NOT NULL DEFAULT GETDATE(),
-        updated_at DATETIME NOT NULL DEFAULT GETDATE()
-    );
-
-    -- Thêm các ràng buộc duy nhất
-    ALTER TABLE users ADD CONSTRAINT UQ_users_username UNIQUE (username);
-    ALTER TABLE users ADD CONSTRAINT UQ_users_email UNIQUE (email);
-    
-    -- Thêm ràng buộc cho cột role
-    ALTER TABLE users ADD CONSTRAINT CK_users_role CHECK (role IN ('${config.roles.CUSTOMER}', '${config.roles.ADMIN}', '${config.roles.EDITOR}'));
-
-    PRINT 'Đã tạo bảng users thành công';
-END
-ELSE
-BEGIN
-    -- Kiểm tra xem cột is_active đã tồn tại chưa
-    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'is_active' AND object_id = OBJECT_ID('users'))
-    BEGIN
-        -- Thêm cột is_active nếu chưa tồn tại
-        ALTER TABLE users ADD is_active BIT NOT NULL DEFAULT 1;
-        PRINT 'Đã thêm cột is_active vào bảng users';
-    END
-
-    -- Kiểm tra và thêm các cột khác nếu cần
-    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'role' AND object_id = OBJECT_ID('users'))
-    BEGIN
-        ALTER TABLE users ADD role NVARCHAR(50) NOT NULL DEFAULT '${config.defaultRole}';
-        PRINT 'Đã thêm cột role vào bảng users';
-    END
-
-    -- Check for role constraint and add if it doesn't exist
-    IF NOT EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_users_role' AND parent_object_id = OBJECT_ID('users'))
-    BEGIN
-        ALTER TABLE users ADD CONSTRAINT CK_users_role CHECK (role IN ('${config.roles.CUSTOMER}', '${config.roles.ADMIN}', '${config.roles.EDITOR}'));
-        PRINT 'Đã thêm ràng buộc cho cột role vào bảng users';
-    END
-
-    PRINT 'Đã cập nhật bảng users thành công';
-END
-`;
-        fs.writeFileSync(usersTableSqlPath, usersTableSql);
-      }
-
-      // Execute users table SQL file
-      console.log('Executing users table SQL file');
-      const usersTableSql = fs.readFileSync(usersTableSqlPath, 'utf8');
-      await this.executeQuery(usersTableSql);
-      
-      // Path to password reset tokens table SQL file
-      const passwordResetTableSqlPath = path.resolve(sqlDir, 'create-password-reset-table.sql');
-      
-      if (!fs.existsSync(passwordResetTableSqlPath)) {
-        console.log('Creating password reset tokens table SQL file');
-        const passwordResetTableSql = `
--- SQL Script to create password_reset_tokens table
--- Check if the table exists
-IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'password_reset_tokens')
-BEGIN
-    -- Create the table if it doesn't exist
-    CREATE TABLE password_reset_tokens (
-        id INT IDENTITY(1,1) PRIMARY KEY,
-        user_id INT NOT NULL,
-        token NVARCHAR(100) NOT NULL,
-        token_hash NVARCHAR(255) NOT NULL, -- Store hashed token for security
-        expires_at DATETIME NOT NULL,
-        created_at DATETIME NOT NULL DEFAULT GETDATE(),
-        used BIT NOT NULL DEFAULT 0,
-        CONSTRAINT FK_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users(id)
-    );
-
-    -- Add index for faster token lookup
-    CREATE INDEX IDX_password_reset_tokens_token_hash ON password_reset_tokens (token_hash);
-    
-    PRINT 'Created password_reset_tokens table successfully';
-END
-ELSE
-BEGIN
-    PRINT 'password_reset_tokens table already exists';
-    
-    -- Check if the used column exists, add it if not
-    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'used' AND object_id = OBJECT_ID('password_reset_tokens'))
-    BEGIN
-        ALTER TABLE password_reset_tokens ADD used BIT NOT NULL DEFAULT 0;
-        PRINT 'Added used column to password_reset_tokens table';
-    END
-END`;
-        fs.writeFileSync(passwordResetTableSqlPath, passwordResetTableSql);
-      }
-
-      // Execute password reset tokens table SQL file
-      console.log('Executing password reset tokens table SQL file');
-      const passwordResetTableSql = fs.readFileSync(passwordResetTableSqlPath, 'utf8');
-      await this.executeQuery(passwordResetTableSql);
-      
-      console.log('All database tables checked and created if needed');
-      
       // Check if admin user exists
       const adminResult = await this.executeQuery(`
         SELECT COUNT(*) as count FROM users WHERE role = '${config.roles.ADMIN}'
@@ -520,7 +387,7 @@ END`;
         // Create admin user with credentials from config
         await this.executeQuery(`
           INSERT INTO users (username, email, password, full_name, role, is_active, created_at, updated_at)
-          VALUES (@username, @email, @password, @fullName, @role, 1, GETDATE(), GETDATE())
+          VALUES (@username, @email, @password, @fullName, @role, 1, ${this.dialect.now()}, ${this.dialect.now()})
         `, { 
           username: config.defaultAdmin.username, 
           email: config.defaultAdmin.email || 'admin@vrc.com.vn',
@@ -534,7 +401,7 @@ END`;
         console.log('Admin user already exists, skipping creation');
       }
     } catch (error) {
-      console.error('Error checking and creating tables:', error);
+      console.error('Error creating default admin user:', error);
       throw error;
     }
   }
@@ -0,0 +1,122 @@
+/**
+ * EmailVerificationService
+ * Service quản lý xác thực email của người dùng tự đăng ký: tạo token, gửi email, xác thực và gửi lại
+ */
+
+import crypto from 'crypto';
+import config from '../../config.js';
+import mailService from './mail.service.js';
+import emailVerificationRepository from '../repositories/email-verification.repository.js';
+import authEventEmitter from '../events/auth-events.js';
+
+class EmailVerificationService {
+  constructor() {
+    this.repository = emailVerificationRepository;
+    this.tokenExpiryHours = config.emailVerification.tokenExpiryHours;
+    this.resendCooldownMs = config.emailVerification.resendCooldownMs;
+  }
+
+  /**
+   * Tạo token xác thực mới và gửi link xác thực tới email của người dùng
+   * Token gốc chỉ nằm trong email, database chỉ lưu SHA-256 như token đặt lại mật khẩu
+   * @param {Object} user - Người dùng (id, username, email)
+   * @returns {Promise<Date>} - Thời gian hết hạn của token
+   */
+  async sendVerification(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + this.tokenExpiryHours);
+
+    await this.repository.createToken(user.id, this._hashToken(token), expiresAt);
+
+    await mailService.sendEmailVerificationEmail({
+      email: user.email,
+      username: user.username,
+      token,
+      expiryHours: this.tokenExpiryHours
+    });
+
+    return expiresAt;
+  }
+
+  /**
+   * Xác thực email bằng token trong link
+   * @param {string} token - Token nhận được trong email
+   * @returns {Promise<Object>} - { userId, username, email }
+   * @throws {Error} - Khi token không hợp lệ, đã dùng hoặc đã hết hạn
+   */
+  async verifyEmail(token) {
+    if (!token) {
+      throw new Error('Verification token is required');
+    }
+
+    const tokenInfo = await this.repository.findByTokenHash(this._hashToken(token));
+    if (!tokenInfo) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (new Date() > new Date(tokenInfo.expires_at)) {
+      throw new Error('Verification token has expired');
+    }
+
+    await this.repository.markVerified(tokenInfo.id, tokenInfo.user_id);
+
+    authEventEmitter.emit('user:email_verified', {
+      userId: tokenInfo.user_id,
+      username: tokenInfo.username,
+      success: true,
+      action: 'verify_email'
+    });
+
+    return {
+      userId: tokenInfo.user_id,
+      username: tokenInfo.username,
+      email: tokenInfo.email
+    };
+  }
+
+  /**
+   * Gửi lại email xác thực
+   * Không báo cho client email có tồn tại hay không để tránh dò tìm tài khoản
+   * @param {string} email - Email đã dùng khi đăng ký
+   * @returns {Promise<boolean>} - true nếu đã gửi email mới
+   */
+  async resendVerification(email) {
+    const user = await this.repository.findUnverifiedUserByEmail(email);
+    if (!user) {
+      return false;
+    }
+
+    // Giới hạn tần suất gửi lại cho mỗi tài khoản
+    const latest = await this.repository.findLatestByUserId(user.id);
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < this.resendCooldownMs) {
+      return false;
+    }
+
+    await this.sendVerification(user);
+    return true;
+  }
+
+  /**
+   * Dọn dẹp token đã hết hạn hoặc đã sử dụng
+   * @returns {Promise<number>} - Số token đã xóa
+   */
+  async cleanupExpiredTokens() {
+    return await this.repository.cleanupExpiredTokens();
+  }
+
+  /**
+   * Tính SHA-256 của token để lưu/tra cứu trong database
+   * @private
+   * @param {string} token - Token gốc
+   * @returns {string} - Hash dạng hex
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// Tạo và xuất instance singleton
+const emailVerificationService = new EmailVerificationService();
+export default emailVerificationService;
@@ -0,0 +1,277 @@
+/**
+ * File Service
+ * Handles business logic for uploaded files: disk storage, thumbnails and the media library
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import fileRepository from '../repositories/file.repository.js';
+import config from '../../config.js';
+
+// Định dạng sharp tương ứng với từng MIME type ảnh được phép upload
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * FileService encapsulates all business logic related to uploaded files
+ */
+class FileService {
+  constructor() {
+    this.fileRepository = fileRepository;
+    this.uploadConfig = config.uploads;
+
+    // Usage types allowed by the CK_files_usage_type constraint
+    this.usageTypes = {
+      GENERAL: 'general',
+      NEWS: 'news',
+      PRODUCT: 'product',
+      PROJECT: 'project'
+    };
+  }
+
+  /**
+   * Get a list of files with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated files with metadata
+   */
+  async getFiles(options = {}) {
+    if (options.usageType && !this.isValidUsageType(options.usageType)) {
+      throw new Error(`Invalid usage type: ${options.usageType}`);
+    }
+
+    return await this.fileRepository.getFiles(options);
+  }
+
+  /**
+   * Get a file by ID including the records that reference it
+   * @param {number} id - File ID
+   * @returns {Promise<Object|null>} - File or null if not found
+   */
+  async getFileById(id) {
+    const file = await this.fileRepository.findWithUploader(id);
+    if (!file) {
+      return null;
+    }
+
+    file.references = await this.fileRepository.getReferences(file.file_path);
+    return file;
+  }
+
+  /**
+   * Check if a usage type is valid
+   * @param {string} usageType - Usage type to check
+   * @returns {boolean} - True if valid
+   */
+  isValidUsageType(usageType) {
+    return Object.values(this.usageTypes).includes(usageType);
+  }
+
+  /**
+   * Store an uploaded file on disk, generate a thumbnail for images and record it
+   * @param {Object} file - File parsed by multer (originalname, mimetype, size, buffer)
+   * @param {Object} options - Upload options
+   * @param {string} [options.usageType='general'] - Module the file is uploaded for
+   * @param {number} [options.userId] - ID of the uploading user
+   * @param {Object} [options.actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Created file record
+   */
+  async uploadFile(file, options = {}) {
+    if (!file || !file.buffer) {
+      throw new Error('File is required');
+    }
+
+    const usageType = options.usageType || this.usageTypes.GENERAL;
+    if (!this.isValidUsageType(usageType)) {
+      throw new Error(`Invalid usage type: ${usageType}`);
+    }
+
+    const extension = this.uploadConfig.allowedMimeTypes[file.mimetype];
+    if (!extension) {
+      throw new Error(`File type not allowed: ${file.mimetype}`);
+    }
+
+    if (file.size > this.uploadConfig.maxFileSize) {
+      throw new Error('File is too large');
+    }
+
+    // Kiểm tra nội dung thật của file, không tin vào MIME type do client gửi lên
+    const metadata = await this._inspect(file);
+
+    // Lưu theo thư mục năm/tháng để tránh một thư mục chứa quá nhiều file
+    const now = new Date();
+    const folder = path.posix.join(String(now.getFullYear()), String(now.getMonth() + 1).padStart(2, '0'));
+    const fileName = `${crypto.randomBytes(16).toString('hex')}${extension}`;
+    const relativePath = path.posix.join(folder, fileName);
+    const writtenPaths = [];
+
+    try {
+      await this._writeFile(relativePath, file.buffer);
+      writtenPaths.push(relativePath);
+
+      let thumbnailPath = null;
+      if (metadata.width) {
+        const thumbnailRelativePath = path.posix.join(folder, 'thumbs', fileName.replace(/\.[^.]+$/, '.webp'));
+        const thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize(this.uploadConfig.thumbnail.width, this.uploadConfig.thumbnail.height, { fit: 'cover' })
+          .webp()
+          .toBuffer();
+        await this._writeFile(thumbnailRelativePath, thumbnail);
+        writtenPaths.push(thumbnailRelativePath);
+        thumbnailPath = this._toPublicPath(thumbnailRelativePath);
+      }
+
+      const record = await this.fileRepository.create({
+        original_name: path.basename(file.originalname || fileName).substring(0, 255),
+        file_name: fileName,
+        file_path: this._toPublicPath(relativePath),
+        thumbnail_path: thumbnailPath,
+        mime_type: file.mimetype,
+        size: file.size,
+        width: metadata.width || null,
+        height: metadata.height || null,
+        usage_type: usageType,
+        uploaded_by: options.userId || null,
+        created_at: new Date()
+      }, { actor: options.actor });
+
+      return await this.getFileById(record.id);
+    } catch (error) {
+      // Không để lại file mồ côi trên đĩa nếu ghi DB thất bại
+      await Promise.all(writtenPaths.map(relative => this._removeFile(relative)));
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file record and its files on disk
+   * @param {number} id - File ID
+   * @param {Object} user - Acting user (id, role)
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.force=false] - Delete even if news/products/projects still reference it
+   * @param {Object} [options.actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async deleteFile(id, user, options = {}) {
+    const file = await this.fileRepository.findById(id);
+    if (!file) {
+      return false;
+    }
+
+    if (user.role !== config.roles.ADMIN && file.uploaded_by !== user.id) {
+      throw new Error('You can only delete files you uploaded');
+    }
+
+    if (!options.force) {
+      const references = await this.fileRepository.getReferences(file.file_path);
+      if (references.length > 0) {
+        const tables = references.map(reference => reference.table).join(', ');
+        throw new Error(`File is in use by: ${tables}`);
+      }
+    }
+
+    const deleted = await this.fileRepository.delete(id, { actor: options.actor });
+
+    if (deleted) {
+      await this._removeFile(this._toRelativePath(file.file_path));
+      if (file.thumbnail_path) {
+        await this._removeFile(this._toRelativePath(file.thumbnail_path));
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Verify that the file content matches its declared MIME type
+   * @private
+   * @param {Object} file - File parsed by multer
+   * @returns {Promise<Object>} - Image dimensions, or an empty object for documents
+   */
+  async _inspect(file) {
+    const expectedFormat = IMAGE_FORMATS[file.mimetype];
+
+    if (!expectedFormat) {
+      // Hiện tại chỉ có PDF là tài liệu được phép upload
+      if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        throw new Error('File content does not match its type');
+      }
+      return {};
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      throw new Error('File content does not match its type');
+    }
+
+    if (metadata.format !== expectedFormat) {
+      throw new Error('File content does not match its type');
+    }
+
+    // Ảnh có EXIF orientation 5-8 bị xoay 90 độ khi hiển thị
+    const rotated = metadata.orientation >= 5;
+    return {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+  }
+
+  /**
+   * Write a buffer below the upload directory, creating folders as needed
+   * @private
+   * @param {string} relativePath - Path relative to the upload directory
+   * @param {Buffer} buffer - File content
+   */
+  async _writeFile(relativePath, buffer) {
+    const absolutePath = path.join(this.uploadConfig.dir, relativePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, buffer, { flag: 'wx' });
+  }
+
+  /**
+   * Remove a file below the upload directory, ignoring files that are already gone
+   * @private
+   * @param {string} relativePath - Path relative to the upload directory
+   */
+  async _removeFile(relativePath) {
+    try {
+      await fs.unlink(path.join(this.uploadConfig.dir, relativePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove uploaded file ${relativePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Convert a path relative to the upload directory to its public URL path
+   * @private
+   * @param {string} relativePath - Relative path
+   * @returns {string} - Public path (e.g. /uploads/2025/01/abc.jpg)
+   */
+  _toPublicPath(relativePath) {
+    return `${this.uploadConfig.publicPath}/${relativePath}`;
+  }
+
+  /**
+   * Convert a public URL path back to a path relative to the upload directory
+   * @private
+   * @param {string} publicPath - Public path
+   * @returns {string} - Relative path
+   */
+  _toRelativePath(publicPath) {
+    return publicPath.substring(this.uploadConfig.publicPath.length + 1);
+  }
+}
+
+// Create and export a singleton instance
+const fileService = new FileService();
+export default fileService;
@@ -0,0 +1,341 @@
+/**
+ * LoginProtectionService
+ * Service chống dò mật khẩu: theo dõi đăng nhập sai theo tài khoản và theo IP,
+ * áp dụng thời gian chờ tăng dần và khóa tạm thời
+ */
+
+import config from '../../config.js';
+import userRepository from '../repositories/user.repository.js';
+import authEventEmitter from '../events/auth-events.js';
+
+class LoginProtectionService {
+  constructor() {
+    this.options = config.loginProtection;
+
+    // Bộ đếm theo IP giữ trong bộ nhớ (giống middleware rate-limit), bộ đếm theo tài khoản lưu trong bảng users
+    this.ipAttempts = new Map();
+
+    // Số lần thử đang xử lý theo IP và theo tài khoản (`user:<id>`), xem beginAttempt()
+    this.pendingAttempts = new Map();
+
+    this._setupEventListeners();
+    this._startCleanupJob();
+  }
+
+  /**
+   * Kiểm tra một lần đăng nhập có được phép thực hiện không và giữ chỗ cho lần thử đó
+   * Lần thử đang xử lý (chưa biết mật khẩu đúng hay sai) được tính như một lần sai khi kiểm tra các lần thử khác,
+   * nên các request gửi song song không cùng vượt qua bước kiểm tra trước khi lần sai đầu tiên được ghi nhận
+   * @param {string} usernameOrEmail - Tên đăng nhập hoặc email
+   * @param {string} [ipAddress] - Địa chỉ IP của người dùng
+   * @returns {Promise<Function>} - Hàm giải phóng chỗ, gọi khi lần thử kết thúc (sau recordFailedLogin nếu sai)
+   * @throws {Error} - Lỗi có code 'ACCOUNT_LOCKED' hoặc 'TOO_MANY_ATTEMPTS' và retryAfter (giây)
+   */
+  async beginAttempt(usernameOrEmail, ipAddress) {
+    const now = Date.now();
+    const ipKey = this._getIpKey(ipAddress);
+
+    // Kiểm tra theo IP trước để không cần truy vấn database khi IP đã bị chặn
+    const ipEntry = this.ipAttempts.get(ipKey);
+    const ipPending = this.pendingAttempts.get(ipKey) || 0;
+    if (ipEntry && ipEntry.lockedUntil > now) {
+      throw this._createError('TOO_MANY_ATTEMPTS', ipEntry.lockedUntil - now);
+    }
+
+    const ipWait = this._getPendingWaitMs(ipEntry?.count || 0, ipEntry?.lastFailedAt || 0, ipPending, now);
+    if (ipWait > 0) {
+      throw this._createError('TOO_MANY_ATTEMPTS', ipWait);
+    }
+
+    // Giữ chỗ theo IP ngay (không có await ở giữa) để request song song thấy lần thử này
+    const keys = [ipKey];
+    this._addPending(ipKey);
+
+    try {
+      const user = await this._findUser(usernameOrEmail);
+      if (user) {
+        this._assertAccountAllowed(user, now);
+        keys.push(`user:${user.id}`);
+        this._addPending(`user:${user.id}`);
+      }
+    } catch (error) {
+      this._releasePending(keys);
+      throw error;
+    }
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this._releasePending(keys);
+      }
+    };
+  }
+
+  /**
+   * Ghi nhận một lần đăng nhập sai và khóa tài khoản/IP khi vượt giới hạn
+   * @param {string} usernameOrEmail - Tên đăng nhập hoặc email đã dùng
+   * @param {string} [ipAddress] - Địa chỉ IP của người dùng
+   * @returns {Promise<void>}
+   */
+  async recordFailedLogin(usernameOrEmail, ipAddress) {
+    const now = Date.now();
+
+    // Đếm theo IP cả khi tài khoản không tồn tại để chặn dò tên đăng nhập
+    this._recordIpFailure(ipAddress, now);
+
+    const user = await this._findUser(usernameOrEmail);
+    if (!user) {
+      return;
+    }
+
+    // Khóa cũ đã hết hạn: bắt đầu đếm lại từ đầu
+    if (user.locked_until && new Date(user.locked_until).getTime() <= now) {
+      await userRepository.resetFailedLogins(user.id);
+    }
+
+    const attempts = await userRepository.recordFailedLogin(user.id, new Date(now));
+
+    if (attempts >= this.options.maxAccountAttempts) {
+      const lockedUntil = new Date(now + this.options.accountLockMs);
+      await userRepository.lockAccount(user.id, lockedUntil);
+
+      authEventEmitter.emit('user:account_locked', {
+        userId: user.id,
+        username: user.username,
+        attempts,
+        lockedUntil,
+        ip: ipAddress
+      });
+    }
+  }
+
+  /**
+   * Mở khóa tài khoản và xóa bộ đếm đăng nhập sai
+   * @param {number} userId - ID người dùng
+   * @returns {Promise<Object>} - Trạng thái khóa mới của tài khoản
+   */
+  async unlockAccount(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await userRepository.resetFailedLogins(userId);
+
+    authEventEmitter.emit('user:account_unlocked', {
+      userId: user.id,
+      username: user.username
+    });
+
+    return this.getLockStatus({ ...user, failed_login_attempts: 0, locked_until: null });
+  }
+
+  /**
+   * Lấy trạng thái khóa của một tài khoản
+   * @param {Object} user - User object (có các cột failed_login_attempts, locked_until)
+   * @returns {Object} - { locked, lockedUntil, failedAttempts }
+   */
+  getLockStatus(user) {
+    const lockedUntil = user.locked_until ? new Date(user.locked_until) : null;
+    const locked = !!lockedUntil && lockedUntil.getTime() > Date.now();
+
+    return {
+      locked,
+      lockedUntil: locked ? lockedUntil : null,
+      failedAttempts: user.failed_login_attempts || 0
+    };
+  }
+
+  /**
+   * Kiểm tra khóa và thời gian chờ của một tài khoản, tính cả các lần thử đang xử lý
+   * @private
+   * @param {Object} user - User object (có các cột failed_login_attempts, last_failed_login, locked_until)
+   * @param {number} now - Thời điểm hiện tại (ms)
+   * @throws {Error} - Lỗi có code 'ACCOUNT_LOCKED' hoặc 'TOO_MANY_ATTEMPTS'
+   */
+  _assertAccountAllowed(user, now) {
+    const lockedUntil = user.locked_until ? new Date(user.locked_until).getTime() : 0;
+    if (lockedUntil > now) {
+      throw this._createError('ACCOUNT_LOCKED', lockedUntil - now);
+    }
+
+    // Khóa đã hết hạn thì bộ đếm sẽ được đặt lại ở lần sai tiếp theo, chỉ còn tính các lần thử đang xử lý
+    const failures = lockedUntil ? 0 : user.failed_login_attempts;
+    const lastFailedAt = !lockedUntil && user.last_failed_login ? new Date(user.last_failed_login).getTime() : 0;
+    const accountWait = this._getPendingWaitMs(failures, lastFailedAt, this.pendingAttempts.get(`user:${user.id}`) || 0, now);
+    if (accountWait > 0) {
+      throw this._createError('TOO_MANY_ATTEMPTS', accountWait);
+    }
+  }
+
+  /**
+   * Thời gian chờ khi các lần thử đang xử lý được tính như các lần sai vừa xảy ra
+   * @private
+   * @param {number} failures - Số lần sai đã ghi nhận
+   * @param {number} lastFailedAt - Thời điểm sai gần nhất (ms)
+   * @param {number} pending - Số lần thử đang xử lý
+   * @param {number} now - Thời điểm hiện tại (ms)
+   * @returns {number} - Số milliseconds còn phải chờ
+   */
+  _getPendingWaitMs(failures, lastFailedAt, pending, now) {
+    return pending > 0
+      ? this._getWaitMs(failures + pending, now, now)
+      : this._getWaitMs(failures, lastFailedAt, now);
+  }
+
+  /**
+   * @private
+   * @param {string} key - Khóa IP hoặc `user:<id>`
+   */
+  _addPending(key) {
+    this.pendingAttempts.set(key, (this.pendingAttempts.get(key) || 0) + 1);
+  }
+
+  /**
+   * @private
+   * @param {Array<string>} keys - Các khóa đã giữ chỗ
+   */
+  _releasePending(keys) {
+    for (const key of keys) {
+      const count = (this.pendingAttempts.get(key) || 0) - 1;
+      if (count > 0) {
+        this.pendingAttempts.set(key, count);
+      } else {
+        this.pendingAttempts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Tính thời gian còn phải chờ trước lần thử tiếp theo
+   * Từ lần sai thứ delayAfter, thời gian chờ bắt đầu từ baseDelayMs và gấp đôi sau mỗi lần sai
+   * @private
+   * @param {number} failures - Số lần sai liên tiếp
+   * @param {number} lastFailedAt - Thời điểm sai gần nhất (ms)
+   * @param {number} now - Thời điểm hiện tại (ms)
+   * @returns {number} - Số milliseconds còn phải chờ
+   */
+  _getWaitMs(failures, lastFailedAt, now) {
+    const { delayAfter, baseDelayMs, maxDelayMs } = this.options;
+
+    if (!failures || failures < delayAfter || !lastFailedAt) {
+      return 0;
+    }
+
+    const delay = Math.min(baseDelayMs * 2 ** (failures - delayAfter), maxDelayMs);
+    return Math.max(0, lastFailedAt + delay - now);
+  }
+
+  /**
+   * Tăng bộ đếm đăng nhập sai của một IP
+   * @private
+   * @param {string} ipAddress - Địa chỉ IP
+   * @param {number} now - Thời điểm hiện tại (ms)
+   */
+  _recordIpFailure(ipAddress, now) {
+    const key = this._getIpKey(ipAddress);
+    let entry = this.ipAttempts.get(key);
+
+    if (!entry || this._isIpEntryExpired(entry, now)) {
+      entry = { count: 0, windowStart: now, lastFailedAt: 0, lockedUntil: 0 };
+      this.ipAttempts.set(key, entry);
+    }
+
+    entry.count++;
+    entry.lastFailedAt = now;
+
+    if (entry.count >= this.options.maxIpAttempts && entry.lockedUntil <= now) {
+      entry.lockedUntil = now + this.options.ipLockMs;
+      console.warn(`[LoginProtection] Blocked login attempts from ${key} after ${entry.count} failures`);
+    }
+  }
+
+  /**
+   * Bộ đếm IP hết hiệu lực khi đã qua cửa sổ thời gian và không còn bị khóa
+   * @private
+   * @param {Object} entry - Bộ đếm của IP
+   * @param {number} now - Thời điểm hiện tại (ms)
+   * @returns {boolean}
+   */
+  _isIpEntryExpired(entry, now) {
+    return entry.windowStart + this.options.ipWindowMs <= now && entry.lockedUntil <= now;
+  }
+
+  /**
+   * @private
+   * @param {string} [ipAddress] - Địa chỉ IP
+   * @returns {string} - Khóa dùng trong Map bộ đếm
+   */
+  _getIpKey(ipAddress) {
+    return ipAddress || 'unknown';
+  }
+
+  /**
+   * Tìm người dùng theo tên đăng nhập hoặc email
+   * @private
+   * @param {string} usernameOrEmail - Tên đăng nhập hoặc email
+   * @returns {Promise<Object|null>}
+   */
+  async _findUser(usernameOrEmail) {
+    if (!usernameOrEmail) {
+      return null;
+    }
+
+    return await userRepository.findByUsername(usernameOrEmail) ||
+      await userRepository.findByEmail(usernameOrEmail);
+  }
+
+  /**
+   * Tạo lỗi từ chối đăng nhập kèm thời gian chờ
+   * @private
+   * @param {string} code - 'ACCOUNT_LOCKED' hoặc 'TOO_MANY_ATTEMPTS'
+   * @param {number} waitMs - Thời gian chờ (ms)
+   * @returns {Error}
+   */
+  _createError(code, waitMs) {
+    const message = code === 'ACCOUNT_LOCKED'
+      ? 'Account is temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please try again later';
+
+    const error = new Error(message);
+    error.code = code;
+    error.retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    return error;
+  }
+
+  /**
+   * Đăng ký lắng nghe các sự kiện đăng nhập
+   * @private
+   */
+  _setupEventListeners() {
+    // Lần sai không được ghi qua sự kiện: AuthenticationService gọi recordFailedLogin() trước khi trả lỗi,
+    // để lần thử tiếp theo luôn thấy bộ đếm mới
+
+    // Đăng nhập thành công thì xóa bộ đếm của tài khoản (bộ đếm IP giữ nguyên)
+    authEventEmitter.on('user:login', (data) => {
+      userRepository.resetFailedLogins(data.userId).catch(error => {
+        console.error('Error resetting failed logins:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Dọn các IP đã hết cửa sổ đếm để Map không phình to theo thời gian
+   * @private
+   */
+  _startCleanupJob() {
+    const cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.ipAttempts) {
+        if (this._isIpEntryExpired(entry, now)) {
+          this.ipAttempts.delete(key);
+        }
+      }
+    }, this.options.ipWindowMs);
+
+    cleanup.unref();
+  }
+}
+
+export default new LoginProtectionService();
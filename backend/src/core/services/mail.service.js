@@ -0,0 +1,149 @@
+/**
+ * Mail Service
+ * Renders email templates and delivers them through the configured mail transport
+ */
+
+import config from '../../config.js';
+import templates from '../mail/templates/index.js';
+import { createTransport } from '../mail/transports/index.js';
+
+/**
+ * MailService encapsulates all outgoing email
+ */
+class MailService {
+  constructor() {
+    this.mailConfig = config.mail;
+    // Transport được tạo khi gửi email đầu tiên để cấu hình SMTP sai không làm hỏng lúc khởi động
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport (e.g. with a FileTransport pointing at a temp directory in tests)
+   * @param {Object} transport - Object with a send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Get the active transport, creating it from config on first use
+   * @returns {Object} - Mail transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(this.mailConfig);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Render a template and send it
+   * @param {string} templateName - Template key (password-reset, welcome, email-verification, account-change)
+   * @param {string} to - Recipient email address
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} - Transport result (messageId, ...)
+   */
+  async send(templateName, to, data = {}) {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    if (!to) {
+      throw new Error('Recipient email is required');
+    }
+
+    const { subject, html, text } = template(data);
+    const transport = this.getTransport();
+    const result = await transport.send({
+      from: this.mailConfig.from,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    console.log(`[Mail] Sent "${templateName}" email to ${to} via ${transport.name || 'custom'} transport`);
+    return result;
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} options - Email data
+   * @param {string} options.email - Recipient email
+   * @param {string} options.username - Recipient username
+   * @param {string} options.token - Plain reset token
+   * @param {number} options.expiryHours - Hours until the token expires
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendPasswordResetEmail({ email, username, token, expiryHours }) {
+    return this.send('password-reset', email, {
+      username: username || email.split('@')[0],
+      resetLink: this._appLink('/reset-password', { token }),
+      expiryHours
+    });
+  }
+
+  /**
+   * Send the email verification link to a self-registered user
+   * @param {Object} options - Email data
+   * @param {string} options.email - Recipient email
+   * @param {string} options.username - Recipient username
+   * @param {string} options.token - Plain verification token
+   * @param {number} options.expiryHours - Hours until the token expires
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendEmailVerificationEmail({ email, username, token, expiryHours }) {
+    return this.send('email-verification', email, {
+      username: username || email.split('@')[0],
+      verifyLink: this._appLink('/verify-email', { token }),
+      expiryHours
+    });
+  }
+
+  /**
+   * Send the welcome email to a new user
+   * @param {Object} user - User (email, username)
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendWelcomeEmail(user) {
+    return this.send('welcome', user.email, {
+      username: user.username,
+      loginLink: this._appLink('/login')
+    });
+  }
+
+  /**
+   * Notify a user about a security-relevant change to their account
+   * @param {Object} user - User (email, username)
+   * @param {string} change - Change type (password_change, password_reset, email_change)
+   * @param {Object} [details] - Extra template data (e.g. newEmail)
+   * @param {string} [to] - Recipient, defaults to the user's email
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendAccountChangeNotice(user, change, details = {}, to = user.email) {
+    return this.send('account-change', to, {
+      username: user.username,
+      change,
+      changedAt: new Date(),
+      ...details
+    });
+  }
+
+  /**
+   * Build an absolute link to a frontend page
+   * @private
+   * @param {string} pathname - Page path
+   * @param {Object} [query] - Query parameters
+   * @returns {string} - Absolute URL
+   */
+  _appLink(pathname, query = {}) {
+    const url = new URL(pathname, this.mailConfig.appUrl);
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+}
+
+// Create and export a singleton instance
+const mailService = new MailService();
+export default mailService;
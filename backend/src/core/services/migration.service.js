@@ -0,0 +1,278 @@
+/**
+ * Migration Service
+ * Applies and rolls back the numbered SQL migrations in src/migrations/<dialect>
+ * (mssql or sqlite, see config.database) and records the applied ones in the schema_migrations table
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dbService from './db.service.js';
+import config from '../../config.js';
+
+// <version>-<name>.up.sql, rolled back by <version>-<name>.down.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.up\.sql$/;
+
+// SQL Server batch separator; mssql cannot run GO, so each batch is sent on its own (SQLite files have none)
+const BATCH_SEPARATOR = /^\s*GO\s*;?\s*$/gim;
+
+/**
+ * MigrationService runs schema changes in order, each in its own transaction
+ */
+class MigrationService {
+  /**
+   * @param {string} [migrationsDir] - Directory containing the migration files of the configured dialect
+   */
+  constructor(migrationsDir = path.join(config.paths.migrationsDir, config.database.dialect)) {
+    this.migrationsDir = migrationsDir;
+    this.tableName = 'schema_migrations';
+  }
+
+  /**
+   * Read the migration files, sorted by version
+   * @returns {Array<Object>} - Migrations { id, version, name, upPath, downPath, checksum }
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir);
+    const migrations = [];
+
+    for (const file of files) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name] = match;
+      const downFile = `${version}-${name}.down.sql`;
+      if (!files.includes(downFile)) {
+        throw new Error(`Migration ${file} has no matching ${downFile}`);
+      }
+
+      const upPath = path.join(this.migrationsDir, file);
+      migrations.push({
+        // File name without the direction, e.g. 001-users
+        id: `${version}-${name}`,
+        version: parseInt(version, 10),
+        name,
+        upPath,
+        downPath: path.join(this.migrationsDir, downFile),
+        checksum: this._checksum(fs.readFileSync(upPath, 'utf8'))
+      });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Create the schema_migrations table if it does not exist
+   */
+  async ensureMigrationsTable() {
+    if (await dbService.tableExists(this.tableName)) {
+      return;
+    }
+
+    await dbService.executeQuery(`
+      CREATE TABLE ${this.tableName} (
+        version INT NOT NULL PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        -- SHA-256 of the up file when it was applied, to detect later edits
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Get the applied migrations without creating the tracking table
+   * @returns {Promise<Map<number, Object>>} - Rows of schema_migrations by version
+   */
+  async getAppliedMigrations() {
+    if (!(await dbService.tableExists(this.tableName))) {
+      return new Map();
+    }
+
+    const result = await dbService.executeQuery(`
+      SELECT version, name, checksum, applied_at FROM ${this.tableName} ORDER BY version
+    `);
+    return new Map(result.recordset.map(row => [row.version, row]));
+  }
+
+  /**
+   * Get the migrations that have not been applied yet, in the order they will run
+   * @returns {Promise<Array<Object>>} - Pending migrations
+   */
+  async getPendingMigrations() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    return migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Get the state of every migration
+   * Applied migrations whose up file changed afterwards are flagged as modified,
+   * applied migrations whose files were removed as missing
+   * @returns {Promise<Array<Object>>} - { id, version, name, applied, appliedAt, modified, missing }
+   */
+  async getStatus() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        id: migration.id,
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? row.applied_at : null,
+        modified: Boolean(row) && row.checksum !== migration.checksum,
+        missing: false
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({
+          id: `${row.version}-${row.name}`,
+          version: row.version,
+          name: row.name,
+          applied: true,
+          appliedAt: row.applied_at,
+          modified: false,
+          missing: true
+        });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply all pending migrations in version order
+   * Stops at the first failure; the failed migration is rolled back and stays pending
+   * @returns {Promise<Array<Object>>} - Migrations applied by this call
+   */
+  async migrate() {
+    await this.ensureMigrationsTable();
+
+    const applied = [];
+    for (const migration of await this.getPendingMigrations()) {
+      console.log(`Applying migration ${migration.id}`);
+      if (await this._run(migration, 'up')) {
+        applied.push(migration);
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Roll back the most recently applied migrations, newest first
+   * @param {number} [steps] - Number of migrations to roll back
+   * @returns {Promise<Array<Object>>} - Migrations rolled back by this call
+   */
+  async rollback(steps = 1) {
+    const migrations = this.loadMigrations();
+    const applied = [...(await this.getAppliedMigrations()).values()]
+      .sort((a, b) => b.version - a.version)
+      .slice(0, steps);
+
+    const rolledBack = [];
+    for (const row of applied) {
+      const migration = migrations.find(item => item.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${row.version}-${row.name}: its files are missing`);
+      }
+
+      console.log(`Rolling back migration ${migration.id}`);
+      if (await this._run(migration, 'down')) {
+        rolledBack.push(migration);
+      }
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Split a script into the batches between GO lines
+   * @param {string} sql - Script content
+   * @returns {Array<string>} - Non-empty batches
+   */
+  splitBatches(sql) {
+    return sql.split(BATCH_SEPARATOR)
+      .map(batch => batch.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Run one direction of a migration and update schema_migrations in the same transaction
+   * An exclusive lock serializes concurrent runs (e.g. several instances starting at once: an app lock
+   * on SQL Server, the write lock taken by the transaction on SQLite);
+   * a migration that another process already ran in this direction is skipped
+   * @param {Object} migration - Migration from loadMigrations()
+   * @param {string} direction - 'up' or 'down'
+   * @returns {Promise<boolean>} - False if the migration was skipped
+   * @private
+   */
+  async _run(migration, direction) {
+    const up = direction === 'up';
+    const batches = this.splitBatches(fs.readFileSync(up ? migration.upPath : migration.downPath, 'utf8'));
+
+    return await dbService.executeTransaction(async (transaction) => {
+      const lock = dbService.dialect.appLock(this.tableName);
+      if (lock) {
+        await transaction.request().query(lock);
+      }
+
+      const existing = await transaction.request()
+        .input('version', migration.version)
+        .query(`SELECT COUNT(*) AS count FROM ${this.tableName} WHERE version = @version`);
+      if ((existing.recordset[0].count > 0) === up) {
+        return false;
+      }
+
+      for (const batch of batches) {
+        await transaction.request().batch(batch);
+      }
+
+      const request = transaction.request().input('version', migration.version);
+      if (up) {
+        await request
+          .input('name', migration.name)
+          .input('checksum', migration.checksum)
+          .query(`
+            INSERT INTO ${this.tableName} (version, name, checksum, applied_at)
+            VALUES (@version, @name, @checksum, ${dbService.dialect.now()})
+          `);
+      } else {
+        await request.query(`DELETE FROM ${this.tableName} WHERE version = @version`);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * SHA-256 of a migration file, ignoring line ending differences between checkouts
+   * @param {string} content - File content
+   * @returns {string} - Hex digest
+   * @private
+   */
+  _checksum(content) {
+    return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+  }
+}
+
+// Create and export a singleton instance
+const migrationService = new MigrationService();
+
+export { MigrationService };
+export default migrationService;
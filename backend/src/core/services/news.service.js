@@ -0,0 +1,341 @@
+/**
+ * News Service
+ * Handles business logic for news article operations
+ */
+
+import newsRepository from '../repositories/news.repository.js';
+import categoryRepository from '../repositories/category.repository.js';
+import { slugify, uniqueSlug } from '../../lib/slug-helper.js';
+import { checkIfMatch } from '../../lib/etag-helper.js';
+import { sanitizeRichText } from '../../lib/html-helper.js';
+
+/**
+ * NewsService encapsulates all business logic related to news articles
+ */
+class NewsService {
+  constructor() {
+    this.newsRepository = newsRepository;
+    this.categoryRepository = categoryRepository;
+
+    // Statuses allowed by the CK_news_status constraint
+    this.statuses = {
+      PUBLISHED: 'published',
+      DRAFT: 'draft',
+      ARCHIVED: 'archived'
+    };
+
+    // Fields that can be written through the API
+    this.editableFields = [
+      'title', 'slug', 'content', 'excerpt', 'image', 'publish_date',
+      'category_id', 'location', 'organizer', 'featured', 'status'
+    ];
+  }
+
+  /**
+   * Get a list of news articles with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated news with metadata
+   */
+  async getNews(options = {}) {
+    return await this.newsRepository.getNews(options);
+  }
+
+  /**
+   * Get a news article by ID including its tags
+   * Content saved before it was sanitized on write is sanitized here as well
+   * @param {number} id - Article ID
+   * @returns {Promise<Object|null>} - Article or null if not found
+   */
+  async getNewsById(id) {
+    const news = await this.newsRepository.findById(id);
+    if (!news) {
+      return null;
+    }
+
+    news.content = sanitizeRichText(news.content);
+    news.tags = await this.newsRepository.getTags(id);
+    return news;
+  }
+
+  /**
+   * Get a news article by slug including its tags
+   * @param {string} slug - Article slug
+   * @returns {Promise<Object|null>} - Article or null if not found
+   */
+  async getNewsBySlug(slug) {
+    const news = await this.newsRepository.findBySlug(slug);
+    if (!news) {
+      return null;
+    }
+
+    news.content = sanitizeRichText(news.content);
+    news.tags = await this.newsRepository.getTags(news.id);
+    return news;
+  }
+
+  /**
+   * Register a view of a published article
+   * @param {number} id - Article ID
+   * @returns {Promise<void>}
+   */
+  async recordView(id) {
+    try {
+      await this.newsRepository.incrementViews(id);
+    } catch (error) {
+      // View counting must never break reading an article
+      console.error('Error incrementing news views:', error);
+    }
+  }
+
+  /**
+   * Check if a status is valid
+   * @param {string} status - Status to check
+   * @returns {boolean} - True if valid
+   */
+  isValidStatus(status) {
+    return Object.values(this.statuses).includes(status);
+  }
+
+  /**
+   * Create a new news article
+   * @param {Object} newsData - Article data
+   * @param {Array<number>} [newsData.tag_ids] - IDs of tags to attach
+   * @param {number} authorId - ID of the authenticated author
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Created article
+   */
+  async createNews(newsData, authorId, actor = null) {
+    if (!newsData.title || !newsData.content || !newsData.category_id) {
+      throw new Error('Title, content and category are required');
+    }
+
+    if (newsData.status && !this.isValidStatus(newsData.status)) {
+      throw new Error(`Invalid status: ${newsData.status}`);
+    }
+
+    const categoryExists = await this.categoryRepository.exists(newsData.category_id);
+    if (!categoryExists) {
+      throw new Error('Category not found');
+    }
+
+    const data = this._pickEditableFields(newsData);
+    if (!data.content.trim()) {
+      throw new Error('Content cannot be empty');
+    }
+
+    // Use the provided slug if available, otherwise derive one from the title
+    if (data.slug) {
+      data.slug = slugify(data.slug);
+      if (!data.slug) {
+        throw new Error('Slug cannot be empty');
+      }
+      if (await this.newsRepository.slugExists(data.slug)) {
+        throw new Error('Slug already exists');
+      }
+    } else {
+      data.slug = await uniqueSlug(data.title, slug => this.newsRepository.slugExists(slug));
+    }
+
+    const news = await this.newsRepository.create({
+      ...data,
+      author_id: authorId,
+      status: data.status || this.statuses.DRAFT,
+      featured: data.featured ? 1 : 0,
+      publish_date: data.publish_date || new Date(),
+      created_at: new Date(),
+      updated_at: new Date()
+    }, { actor });
+
+    if (Array.isArray(newsData.tag_ids)) {
+      await this.newsRepository.setTags(news.id, newsData.tag_ids);
+    }
+
+    return await this.getNewsById(news.id);
+  }
+
+  /**
+   * Update a news article
+   * @param {number} id - Article ID
+   * @param {Object} newsData - Data to update
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @param {Object} [options] - Options
+   * @param {Array<number>|string|null} [options.ifMatch] - Parsed If-Match header; the versions the client edited
+   * @returns {Promise<Object|null>} - Updated article
+   * @throws {Error} - Error with code 'PRECONDITION_FAILED' or 'VERSION_CONFLICT' and the current record
+   *   when someone else changed it since the client loaded it
+   */
+  async updateNews(id, newsData, actor = null, options = {}) {
+    const existingNews = await this.newsRepository.findById(id);
+    if (!existingNews) {
+      throw new Error('News not found');
+    }
+    checkIfMatch(options.ifMatch, existingNews);
+
+    if (newsData.status && !this.isValidStatus(newsData.status)) {
+      throw new Error(`Invalid status: ${newsData.status}`);
+    }
+
+    if (newsData.category_id && newsData.category_id !== existingNews.category_id) {
+      const categoryExists = await this.categoryRepository.exists(newsData.category_id);
+      if (!categoryExists) {
+        throw new Error('Category not found');
+      }
+    }
+
+    const data = this._pickEditableFields(newsData);
+
+    if (data.content !== undefined && !data.content.trim()) {
+      throw new Error('Content cannot be empty');
+    }
+
+    if (data.slug !== undefined) {
+      data.slug = slugify(data.slug);
+      if (!data.slug) {
+        throw new Error('Slug cannot be empty');
+      }
+      if (data.slug !== existingNews.slug && await this.newsRepository.slugExists(data.slug, id)) {
+        throw new Error('Slug already exists');
+      }
+    }
+
+    if (data.featured !== undefined) {
+      data.featured = data.featured ? 1 : 0;
+    }
+
+    const hasTags = Array.isArray(newsData.tag_ids);
+    if (Object.keys(data).length === 0 && !hasTags) {
+      throw new Error('No data provided for update');
+    }
+
+    // Always updated, so that changing only the tags still gives the article a new version
+    data.updated_at = new Date();
+    await this.newsRepository.update(id, data, {
+      actor,
+      expectedVersion: options.ifMatch ? existingNews.row_version : undefined
+    });
+
+    if (hasTags) {
+      await this.newsRepository.setTags(id, newsData.tag_ids);
+    }
+
+    return await this.getNewsById(id);
+  }
+
+  /**
+   * Change the status of a news article
+   * @param {number} id - Article ID
+   * @param {string} status - New status ('published', 'draft' or 'archived')
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated article
+   */
+  async changeStatus(id, status, actor = null) {
+    if (!this.isValidStatus(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+
+    const existingNews = await this.newsRepository.findById(id);
+    if (!existingNews) {
+      throw new Error('News not found');
+    }
+
+    const data = {
+      status,
+      updated_at: new Date()
+    };
+
+    // Publishing a draft for the first time moves its publish date to today
+    if (status === this.statuses.PUBLISHED && existingNews.status === this.statuses.DRAFT) {
+      data.publish_date = new Date();
+    }
+
+    await this.newsRepository.update(id, data, { actor });
+    return await this.getNewsById(id);
+  }
+
+  /**
+   * Publish a news article
+   * @param {number} id - Article ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated article
+   */
+  async publish(id, actor = null) {
+    return await this.changeStatus(id, this.statuses.PUBLISHED, actor);
+  }
+
+  /**
+   * Move a news article back to draft
+   * @param {number} id - Article ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated article
+   */
+  async unpublish(id, actor = null) {
+    return await this.changeStatus(id, this.statuses.DRAFT, actor);
+  }
+
+  /**
+   * Archive a news article
+   * @param {number} id - Article ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated article
+   */
+  async archive(id, actor = null) {
+    return await this.changeStatus(id, this.statuses.ARCHIVED, actor);
+  }
+
+  /**
+   * Delete a news article and its tag links
+   * @param {number} id - Article ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  async deleteNews(id, actor = null) {
+    const existingNews = await this.newsRepository.findById(id);
+    if (!existingNews) {
+      return false;
+    }
+
+    // Tags are kept so a restored article gets them back; they are removed with it when purged
+    return await this.newsRepository.delete(id, { actor });
+  }
+
+  /**
+   * Get categories with their news counts
+   * @param {string} [status] - Only count articles with this status and skip empty categories
+   * @returns {Promise<Array>} - Array of categories with article counts
+   */
+  async getCategories(status) {
+    return await this.categoryRepository.getNewsCategories(status);
+  }
+
+  /**
+   * Get all tags
+   * @returns {Promise<Array>} - Array of tags
+   */
+  async getTags() {
+    return await this.newsRepository.getAllTags();
+  }
+
+  /**
+   * Keep only the fields that may be written through the API
+   * The content is rendered as HTML on the public pages, so it is reduced to the rich-text allowlist
+   * @private
+   * @param {Object} newsData - Raw input data
+   * @returns {Object} - Filtered data
+   */
+  _pickEditableFields(newsData) {
+    const data = {};
+    this.editableFields.forEach(field => {
+      if (newsData[field] !== undefined) {
+        data[field] = newsData[field];
+      }
+    });
+    if (data.content !== undefined) {
+      data.content = sanitizeRichText(data.content);
+    }
+    return data;
+  }
+}
+
+// Create and export a singleton instance
+const newsService = new NewsService();
+export default newsService;
@@ -0,0 +1,146 @@
+/**
+ * PasswordPolicyService
+ * Service kiểm tra mật khẩu theo chính sách cấu hình trong config.passwordPolicy:
+ * độ dài, loại ký tự, danh sách mật khẩu phổ biến, lịch sử mật khẩu và thời hạn mật khẩu
+ */
+
+import bcrypt from 'bcrypt';
+import config from '../../config.js';
+import { isCommonPassword } from '../../lib/common-passwords.js';
+import passwordHistoryRepository from '../repositories/password-history.repository.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PasswordPolicyService {
+  constructor() {
+    this.repository = passwordHistoryRepository;
+    this.policy = config.passwordPolicy;
+  }
+
+  /**
+   * Kiểm tra mật khẩu mới theo chính sách
+   * @param {string} password - Mật khẩu mới (chưa hash)
+   * @param {Object} [options] - Tùy chọn
+   * @param {Object} [options.user] - Người dùng đổi mật khẩu (id, password); bỏ qua khi tạo tài khoản mới
+   * @param {string} [options.field] - Tên trường trong form, dùng làm key của lỗi trả về cho client
+   * @returns {Promise<void>}
+   * @throws {Error} - Lỗi có code 'PASSWORD_POLICY' và errors dạng { [field]: [messages] }
+   */
+  async validate(password, options = {}) {
+    const { user = null, field = 'password' } = options;
+
+    const errors = this.getRuleErrors(password);
+
+    // Chỉ so sánh lịch sử khi mật khẩu đã đạt các quy tắc khác, vì bcrypt.compare khá chậm
+    if (errors.length === 0 && user && await this.isRecentlyUsed(user, password)) {
+      errors.push(`Password must not match any of your last ${this.policy.historyCount} passwords`);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors[0]);
+      error.code = 'PASSWORD_POLICY';
+      error.errors = { [field]: errors };
+      throw error;
+    }
+  }
+
+  /**
+   * Kiểm tra các quy tắc không cần database: độ dài, loại ký tự và mật khẩu phổ biến
+   * @param {string} password - Mật khẩu cần kiểm tra
+   * @returns {Array<string>} - Danh sách lỗi, rỗng nếu mật khẩu hợp lệ
+   */
+  getRuleErrors(password) {
+    const value = String(password || '');
+    const errors = [];
+
+    if (value.length < this.policy.minLength) {
+      errors.push(`Password must be at least ${this.policy.minLength} characters long`);
+    }
+
+    if (this.policy.requireUppercase && !/[A-Z]/.test(value)) {
+      errors.push('Password must contain at least one uppercase letter');
+    }
+
+    if (this.policy.requireLowercase && !/[a-z]/.test(value)) {
+      errors.push('Password must contain at least one lowercase letter');
+    }
+
+    if (this.policy.requireNumber && !/\d/.test(value)) {
+      errors.push('Password must contain at least one number');
+    }
+
+    if (this.policy.requireSpecial && !/[^a-zA-Z0-9]/.test(value)) {
+      errors.push('Password must contain at least one special character');
+    }
+
+    if (this.policy.blockCommonPasswords && isCommonPassword(value)) {
+      errors.push('Password is too common, please choose a less predictable password');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Kiểm tra mật khẩu có trùng mật khẩu hiện tại hoặc một trong N mật khẩu gần nhất không
+   * @param {Object} user - Người dùng (id, password là hash hiện tại)
+   * @param {string} password - Mật khẩu mới
+   * @returns {Promise<boolean>} - true nếu mật khẩu đã được dùng gần đây
+   */
+  async isRecentlyUsed(user, password) {
+    if (!this.policy.historyCount || this.policy.historyCount <= 0) {
+      return false;
+    }
+
+    const hashes = await this.repository.getRecentHashes(user.id, this.policy.historyCount);
+
+    // Tài khoản tạo trước khi có bảng password_history chỉ có hash trong bảng users
+    if (user.password && !hashes.includes(user.password)) {
+      hashes.unshift(user.password);
+    }
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Lưu hash của mật khẩu vừa đặt vào lịch sử mật khẩu
+   * @param {number} userId - ID người dùng
+   * @param {string} passwordHash - bcrypt hash của mật khẩu mới
+   * @returns {Promise<void>}
+   */
+  async recordPassword(userId, passwordHash) {
+    if (!this.policy.historyCount || this.policy.historyCount <= 0) {
+      return;
+    }
+
+    await this.repository.addEntry(userId, passwordHash, this.policy.historyCount);
+  }
+
+  /**
+   * Kiểm tra mật khẩu của người dùng đã quá thời hạn maxAgeDays chưa
+   * @param {Object} user - Người dùng (password_changed_at, created_at)
+   * @returns {boolean} - true nếu mật khẩu đã hết hạn
+   */
+  isExpired(user) {
+    if (!this.policy.maxAgeDays || this.policy.maxAgeDays <= 0) {
+      return false;
+    }
+
+    // Tài khoản chưa từng đổi mật khẩu được tính từ ngày tạo
+    const changedAt = user.password_changed_at || user.created_at;
+    if (!changedAt) {
+      return false;
+    }
+
+    return Date.now() - new Date(changedAt).getTime() > this.policy.maxAgeDays * DAY_MS;
+  }
+}
+
+// Tạo và xuất instance singleton
+const passwordPolicyService = new PasswordPolicyService();
+export default passwordPolicyService;
@@ -6,8 +6,12 @@
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 import config from '../../config.js';
+import dbService from './db.service.js';
 import testBotService from './test-bot.service.js';
+import mailService from './mail.service.js';
+import passwordPolicyService from './password-policy.service.js';
 import passwordResetRepository from '../repositories/password-reset.repository.js';
+import authEventEmitter from '../events/auth-events.js';
 
 /**
  * PasswordResetService encapsulates all business logic related to password resets
@@ -15,6 +19,7 @@ import passwordResetRepository from '../repositories/password-reset.repository.j
 class PasswordResetService {
   constructor() {
     this.repository = passwordResetRepository;
+    this.db = dbService;
     this.tokenExpiryHours = 24; // Token valid for 24 hours
   }
   /**
@@ -45,8 +50,8 @@ class PasswordResetService {
         // Lưu token thực tế trong dịch vụ bot test để có thể truy xuất sau này
       testBotService.savePasswordResetToken(email, token, expiresAt);
       
-      // Gửi email giả lập với token thông qua dịch vụ bot test
-      testBotService.sendPasswordResetEmail({
+      // Gửi email chứa link đặt lại mật khẩu
+      await mailService.sendPasswordResetEmail({
         email: user.email,
         username: user.username,
         token: token,
@@ -128,7 +133,7 @@ class PasswordResetService {
    * Reset user password using token
    * @param {string} token - The reset token
    * @param {string} newPassword - The new password
-   * @returns {Promise<Object>} - Reset result
+   * @returns {Promise<Object>} - Reset result; rejected passwords include field-level `errors`
    */
   async resetPassword(token, newPassword) {
     try {
@@ -141,17 +146,39 @@ class PasswordResetService {
       
       const { userId, tokenId } = validationResult.data;
       
+      // Check the password policy, including reuse of the current and recent passwords
+      const userResult = await this.db.executeQuery(
+        'SELECT id, password FROM users WHERE id = @userId',
+        { userId }
+      );
+      try {
+        await passwordPolicyService.validate(newPassword, { user: userResult.recordset[0] });
+      } catch (policyError) {
+        if (policyError.code !== 'PASSWORD_POLICY') {
+          throw policyError;
+        }
+        return {
+          success: false,
+          message: policyError.message,
+          errors: policyError.errors
+        };
+      }
+      
       // Hash the new password
       const hashedPassword = await bcrypt.hash(newPassword, 10);
       
       // Update the user's password
       await this.db.executeQuery(
-        'UPDATE users SET password = @password, updated_at = GETDATE() WHERE id = @userId',
+        `UPDATE users
+         SET password = @password, password_changed_at = ${dbService.dialect.now()}, updated_at = ${dbService.dialect.now()},
+             row_version = row_version + 1
+         WHERE id = @userId`,
         {
           userId,
           password: hashedPassword
         }
       );
+      await passwordPolicyService.recordPassword(userId, hashedPassword);
       
       // Mark token as used
       await this.db.executeQuery(
@@ -159,6 +186,9 @@ class PasswordResetService {
         { tokenId }
       );
       
+      // Thông báo cho chủ tài khoản (email được gửi bởi listener trong AuthService)
+      authEventEmitter.emit('user:password_reset_complete', { userId });
+      
       return {
         success: true,
         message: 'Password has been reset successfully'
@@ -180,7 +210,7 @@ class PasswordResetService {
   async cleanupExpiredTokens() {
     try {
       const result = await this.db.executeQuery(
-        'DELETE FROM password_reset_tokens WHERE expires_at < GETDATE() OR used = 1'
+        `DELETE FROM password_reset_tokens WHERE expires_at < ${dbService.dialect.now()} OR used = 1`
       );
       
       return result.rowsAffected[0] || 0;
@@ -231,7 +261,7 @@ class PasswordResetService {
       const result = await this.db.executeQuery(
         `SELECT id, user_id, token_hash, expires_at, created_at, used
          FROM password_reset_tokens 
-         WHERE user_id = @userId AND used = 0 AND expires_at > GETDATE()
+         WHERE user_id = @userId AND used = 0 AND expires_at > ${dbService.dialect.now()}
          ORDER BY created_at DESC`,
         { userId }
       );
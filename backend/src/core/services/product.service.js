@@ -0,0 +1,322 @@
+/**
+ * Product Service
+ * Handles business logic for product catalog operations
+ */
+
+import productRepository from '../repositories/product.repository.js';
+import categoryRepository from '../repositories/category.repository.js';
+import { slugify, uniqueSlug } from '../../lib/slug-helper.js';
+import { checkIfMatch } from '../../lib/etag-helper.js';
+
+/**
+ * ProductService encapsulates all business logic related to products
+ */
+class ProductService {
+  constructor() {
+    this.productRepository = productRepository;
+    this.categoryRepository = categoryRepository;
+
+    // Statuses allowed by the CK_products_status constraint
+    this.statuses = {
+      ACTIVE: 'active',
+      INACTIVE: 'inactive'
+    };
+
+    // Fields that can be written through the API
+    this.editableFields = [
+      'name', 'slug', 'description', 'specifications', 'features',
+      'category_id', 'image', 'status'
+    ];
+  }
+
+  /**
+   * Get a list of products with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated products with metadata
+   */
+  async getProducts(options = {}) {
+    const result = await this.productRepository.getProducts(options);
+    return {
+      ...result,
+      data: result.data.map(product => this._deserialize(product))
+    };
+  }
+
+  /**
+   * Get a product by ID including its images
+   * @param {number} id - Product ID
+   * @returns {Promise<Object|null>} - Product or null if not found
+   */
+  async getProductById(id) {
+    const product = await this.productRepository.findWithCategory(id);
+    if (!product) {
+      return null;
+    }
+
+    product.images = await this.productRepository.getImages(id);
+    return this._deserialize(product);
+  }
+
+  /**
+   * Get a product by slug including its images
+   * @param {string} slug - Product slug
+   * @returns {Promise<Object|null>} - Product or null if not found
+   */
+  async getProductBySlug(slug) {
+    const product = await this.productRepository.findBySlug(slug);
+    if (!product) {
+      return null;
+    }
+
+    product.images = await this.productRepository.getImages(product.id);
+    return this._deserialize(product);
+  }
+
+  /**
+   * Get categories with their product counts
+   * @param {string} [status] - Only count products with this status and skip empty categories
+   * @returns {Promise<Array>} - Array of categories with product counts
+   */
+  async getCategories(status) {
+    return await this.categoryRepository.getProductCategories(status);
+  }
+
+  /**
+   * Check if a status is valid
+   * @param {string} status - Status to check
+   * @returns {boolean} - True if valid
+   */
+  isValidStatus(status) {
+    return Object.values(this.statuses).includes(status);
+  }
+
+  /**
+   * Create a new product
+   * @param {Object} productData - Product data
+   * @param {Array<Object|string>} [productData.images] - Gallery images
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Created product
+   */
+  async createProduct(productData, actor = null) {
+    if (!productData.name || !productData.category_id) {
+      throw new Error('Name and category are required');
+    }
+
+    if (productData.status && !this.isValidStatus(productData.status)) {
+      throw new Error(`Invalid status: ${productData.status}`);
+    }
+
+    const categoryExists = await this.categoryRepository.exists(productData.category_id);
+    if (!categoryExists) {
+      throw new Error('Category not found');
+    }
+
+    const data = this._serialize(this._pickEditableFields(productData));
+    const images = this._normalizeImages(productData.images);
+
+    // Use the provided slug if available, otherwise derive one from the name
+    if (data.slug) {
+      data.slug = slugify(data.slug);
+      if (await this.productRepository.slugExists(data.slug)) {
+        throw new Error('Slug already exists');
+      }
+    } else {
+      data.slug = await uniqueSlug(data.name, slug => this.productRepository.slugExists(slug));
+    }
+
+    const product = await this.productRepository.create({
+      ...data,
+      status: data.status || this.statuses.ACTIVE,
+      created_at: new Date(),
+      updated_at: new Date()
+    }, { actor });
+
+    if (images) {
+      await this.productRepository.setImages(product.id, images);
+    }
+
+    return await this.getProductById(product.id);
+  }
+
+  /**
+   * Update a product
+   * @param {number} id - Product ID
+   * @param {Object} productData - Data to update
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @param {Object} [options] - Options
+   * @param {Array<number>|string|null} [options.ifMatch] - Parsed If-Match header; the versions the client edited
+   * @returns {Promise<Object|null>} - Updated product
+   * @throws {Error} - Error with code 'PRECONDITION_FAILED' or 'VERSION_CONFLICT' and the current record
+   *   when someone else changed it since the client loaded it
+   */
+  async updateProduct(id, productData, actor = null, options = {}) {
+    const existingProduct = await this.productRepository.findById(id);
+    if (!existingProduct) {
+      throw new Error('Product not found');
+    }
+    checkIfMatch(options.ifMatch, existingProduct);
+
+    if (productData.status && !this.isValidStatus(productData.status)) {
+      throw new Error(`Invalid status: ${productData.status}`);
+    }
+
+    if (productData.category_id && productData.category_id !== existingProduct.category_id) {
+      const categoryExists = await this.categoryRepository.exists(productData.category_id);
+      if (!categoryExists) {
+        throw new Error('Category not found');
+      }
+    }
+
+    const data = this._serialize(this._pickEditableFields(productData));
+    const images = this._normalizeImages(productData.images);
+
+    if (data.slug !== undefined) {
+      data.slug = slugify(data.slug);
+      if (!data.slug) {
+        throw new Error('Slug cannot be empty');
+      }
+      if (data.slug !== existingProduct.slug && await this.productRepository.slugExists(data.slug, id)) {
+        throw new Error('Slug already exists');
+      }
+    }
+
+    if (Object.keys(data).length === 0 && !images) {
+      throw new Error('No data provided for update');
+    }
+
+    // Always updated, so that changing only the images still gives a new version
+    data.updated_at = new Date();
+    await this.productRepository.update(id, data, {
+      actor,
+      expectedVersion: options.ifMatch ? existingProduct.row_version : undefined
+    });
+
+    if (images) {
+      await this.productRepository.setImages(id, images);
+    }
+
+    return await this.getProductById(id);
+  }
+
+  /**
+   * Delete a product (images are removed by the FK_product_images_product cascade)
+   * @param {number} id - Product ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  async deleteProduct(id, actor = null) {
+    const existingProduct = await this.productRepository.findById(id);
+    if (!existingProduct) {
+      return false;
+    }
+
+    return await this.productRepository.delete(id, { actor });
+  }
+
+  /**
+   * Keep only the fields that may be written through the API
+   * @private
+   * @param {Object} productData - Raw input data
+   * @returns {Object} - Filtered data
+   */
+  _pickEditableFields(productData) {
+    const data = {};
+    this.editableFields.forEach(field => {
+      if (productData[field] !== undefined) {
+        data[field] = productData[field];
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Validate specifications/features and convert them to JSON strings for storage
+   * @private
+   * @param {Object} data - Product fields
+   * @returns {Object} - Fields ready to be written
+   */
+  _serialize(data) {
+    if (data.specifications !== undefined) {
+      const specifications = this._parseJson(data.specifications, {});
+      if (!specifications || typeof specifications !== 'object' || Array.isArray(specifications)) {
+        throw new Error('Specifications must be an object of name/value pairs');
+      }
+      data.specifications = JSON.stringify(specifications);
+    }
+
+    if (data.features !== undefined) {
+      const features = this._parseJson(data.features, []);
+      if (!Array.isArray(features) || features.some(feature => typeof feature !== 'string')) {
+        throw new Error('Features must be an array of strings');
+      }
+      data.features = JSON.stringify(features.map(feature => feature.trim()).filter(Boolean));
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse the JSON columns of a product row
+   * @private
+   * @param {Object} product - Product row
+   * @returns {Object} - Product with specifications and features as objects
+   */
+  _deserialize(product) {
+    return {
+      ...product,
+      specifications: this._parseJson(product.specifications, {}) || {},
+      features: this._parseJson(product.features, []) || []
+    };
+  }
+
+  /**
+   * Parse a JSON value that may already be decoded
+   * @private
+   * @param {*} value - JSON string or decoded value
+   * @param {*} fallback - Value used for empty input
+   * @returns {*} - Decoded value, or null if the string is not valid JSON
+   */
+  _parseJson(value, fallback) {
+    if (value === null || value === '') {
+      return fallback;
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize the images payload to objects with image_path and alt_text
+   * @private
+   * @param {Array<Object|string>|undefined} images - Images from the request
+   * @returns {Array<Object>|null} - Normalized images, or null if not provided
+   */
+  _normalizeImages(images) {
+    if (images === undefined) {
+      return null;
+    }
+    if (!Array.isArray(images)) {
+      throw new Error('Images must be an array');
+    }
+
+    return images.map(image => {
+      const normalized = typeof image === 'string'
+        ? { image_path: image, alt_text: null }
+        : { image_path: image?.image_path, alt_text: image?.alt_text || null };
+
+      if (!normalized.image_path || typeof normalized.image_path !== 'string') {
+        throw new Error('Image path is required for each image');
+      }
+      return normalized;
+    });
+  }
+}
+
+// Create and export a singleton instance
+const productService = new ProductService();
+export default productService;
@@ -0,0 +1,367 @@
+/**
+ * Project Service
+ * Handles business logic for project portfolio and project team operations
+ */
+
+import projectRepository from '../repositories/project.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import { slugify, uniqueSlug } from '../../lib/slug-helper.js';
+import { checkIfMatch } from '../../lib/etag-helper.js';
+
+/**
+ * ProjectService encapsulates all business logic related to projects
+ */
+class ProjectService {
+  constructor() {
+    this.projectRepository = projectRepository;
+    this.userRepository = userRepository;
+
+    // Types allowed by the CK_projects_project_type constraint
+    this.projectTypes = {
+      COMMERCIAL: 'commercial',
+      INDUSTRIAL: 'industrial',
+      RESIDENTIAL: 'residential'
+    };
+
+    // Statuses allowed by the CK_projects_status constraint
+    this.statuses = {
+      COMPLETED: 'completed',
+      ONGOING: 'ongoing',
+      UPCOMING: 'upcoming'
+    };
+
+    // Roles allowed by the CK_project_members_role constraint
+    this.memberRoles = {
+      MANAGER: 'manager',
+      MEMBER: 'member'
+    };
+
+    // Fields that can be written through the API
+    this.editableFields = [
+      'title', 'slug', 'description', 'content', 'client', 'location',
+      'year', 'featured_image', 'project_type', 'status'
+    ];
+  }
+
+  /**
+   * Get a list of projects with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Paginated projects with metadata
+   */
+  async getProjects(options = {}) {
+    if (options.projectType && !this.isValidProjectType(options.projectType)) {
+      throw new Error(`Invalid project type: ${options.projectType}`);
+    }
+
+    if (options.status && !this.isValidStatus(options.status)) {
+      throw new Error(`Invalid status: ${options.status}`);
+    }
+
+    return await this.projectRepository.getProjects(options);
+  }
+
+  /**
+   * Get a project by ID including its images and members
+   * @param {number} id - Project ID
+   * @returns {Promise<Object|null>} - Project or null if not found
+   */
+  async getProjectById(id) {
+    const project = await this.projectRepository.findById(id);
+    if (!project) {
+      return null;
+    }
+
+    project.images = await this.projectRepository.getImages(id);
+    project.members = await this.projectRepository.getMembers(id);
+    return project;
+  }
+
+  /**
+   * Get a project by slug including its images
+   * Members are internal and not exposed on the public website
+   * @param {string} slug - Project slug
+   * @returns {Promise<Object|null>} - Project or null if not found
+   */
+  async getProjectBySlug(slug) {
+    const project = await this.projectRepository.findBySlug(slug);
+    if (!project) {
+      return null;
+    }
+
+    project.images = await this.projectRepository.getImages(project.id);
+    return project;
+  }
+
+  /**
+   * Check if a project type is valid
+   * @param {string} projectType - Project type to check
+   * @returns {boolean} - True if valid
+   */
+  isValidProjectType(projectType) {
+    return Object.values(this.projectTypes).includes(projectType);
+  }
+
+  /**
+   * Check if a status is valid
+   * @param {string} status - Status to check
+   * @returns {boolean} - True if valid
+   */
+  isValidStatus(status) {
+    return Object.values(this.statuses).includes(status);
+  }
+
+  /**
+   * Check if a member role is valid
+   * @param {string} role - Role to check
+   * @returns {boolean} - True if valid
+   */
+  isValidMemberRole(role) {
+    return Object.values(this.memberRoles).includes(role);
+  }
+
+  /**
+   * Create a new project
+   * @param {Object} projectData - Project data
+   * @param {Array<Object|string>} [projectData.images] - Gallery images
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Created project
+   */
+  async createProject(projectData, actor = null) {
+    if (!projectData.title || !projectData.project_type) {
+      throw new Error('Title and project type are required');
+    }
+
+    this._validate(projectData);
+
+    const data = this._pickEditableFields(projectData);
+    const images = this._normalizeImages(projectData.images);
+
+    // Use the provided slug if available, otherwise derive one from the title
+    if (data.slug) {
+      data.slug = slugify(data.slug);
+      if (await this.projectRepository.slugExists(data.slug)) {
+        throw new Error('Slug already exists');
+      }
+    } else {
+      data.slug = await uniqueSlug(data.title, slug => this.projectRepository.slugExists(slug));
+    }
+
+    const project = await this.projectRepository.create({
+      ...data,
+      status: data.status || this.statuses.COMPLETED,
+      created_at: new Date(),
+      updated_at: new Date()
+    }, { actor });
+
+    if (images) {
+      await this.projectRepository.setImages(project.id, images);
+    }
+
+    return await this.getProjectById(project.id);
+  }
+
+  /**
+   * Update a project
+   * @param {number} id - Project ID
+   * @param {Object} projectData - Data to update
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @param {Object} [options] - Options
+   * @param {Array<number>|string|null} [options.ifMatch] - Parsed If-Match header; the versions the client edited
+   * @returns {Promise<Object|null>} - Updated project
+   * @throws {Error} - Error with code 'PRECONDITION_FAILED' or 'VERSION_CONFLICT' and the current record
+   *   when someone else changed it since the client loaded it
+   */
+  async updateProject(id, projectData, actor = null, options = {}) {
+    const existingProject = await this.projectRepository.findById(id);
+    if (!existingProject) {
+      throw new Error('Project not found');
+    }
+    checkIfMatch(options.ifMatch, existingProject);
+
+    this._validate(projectData);
+
+    const data = this._pickEditableFields(projectData);
+    const images = this._normalizeImages(projectData.images);
+
+    if (data.title !== undefined && !data.title) {
+      throw new Error('Title cannot be empty');
+    }
+
+    if (data.slug !== undefined) {
+      data.slug = slugify(data.slug);
+      if (!data.slug) {
+        throw new Error('Slug cannot be empty');
+      }
+      if (data.slug !== existingProject.slug && await this.projectRepository.slugExists(data.slug, id)) {
+        throw new Error('Slug already exists');
+      }
+    }
+
+    if (Object.keys(data).length === 0 && !images) {
+      throw new Error('No data provided for update');
+    }
+
+    // Always updated, so that changing only the images still gives a new version
+    data.updated_at = new Date();
+    await this.projectRepository.update(id, data, {
+      actor,
+      expectedVersion: options.ifMatch ? existingProject.row_version : undefined
+    });
+
+    if (images) {
+      await this.projectRepository.setImages(id, images);
+    }
+
+    return await this.getProjectById(id);
+  }
+
+  /**
+   * Delete a project (images and members are removed by the FK cascades)
+   * @param {number} id - Project ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  async deleteProject(id, actor = null) {
+    const existingProject = await this.projectRepository.findById(id);
+    if (!existingProject) {
+      return false;
+    }
+
+    return await this.projectRepository.delete(id, { actor });
+  }
+
+  /**
+   * Get the members of a project
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array>} - Array of members
+   */
+  async getMembers(projectId) {
+    const project = await this.projectRepository.findById(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return await this.projectRepository.getMembers(projectId);
+  }
+
+  /**
+   * Add a user to a project, or change their role if they already belong to it
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} [role='member'] - Role of the user in the project
+   * @returns {Promise<Array>} - Updated array of members
+   */
+  async addMember(projectId, userId, role = this.memberRoles.MEMBER) {
+    if (!this.isValidMemberRole(role)) {
+      throw new Error(`Invalid member role: ${role}`);
+    }
+
+    const project = await this.projectRepository.findById(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const membership = await this.projectRepository.findMember(projectId, userId);
+    if (!membership) {
+      await this.projectRepository.addMember(projectId, userId, role);
+    } else if (membership.role !== role) {
+      await this.projectRepository.updateMemberRole(projectId, userId, role);
+    }
+
+    return await this.projectRepository.getMembers(projectId);
+  }
+
+  /**
+   * Remove a user from a project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if removed, false if the user was not a member
+   */
+  async removeMember(projectId, userId) {
+    const project = await this.projectRepository.findById(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    return await this.projectRepository.removeMember(projectId, userId);
+  }
+
+  /**
+   * Validate the constrained project fields
+   * @private
+   * @param {Object} projectData - Raw input data
+   */
+  _validate(projectData) {
+    if (projectData.project_type !== undefined && !this.isValidProjectType(projectData.project_type)) {
+      throw new Error(`Invalid project type: ${projectData.project_type}`);
+    }
+
+    if (projectData.status !== undefined && !this.isValidStatus(projectData.status)) {
+      throw new Error(`Invalid status: ${projectData.status}`);
+    }
+
+    if (projectData.year !== undefined && projectData.year !== null && projectData.year !== '') {
+      const year = Number(projectData.year);
+      if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+        throw new Error('Year must be a valid year');
+      }
+    }
+  }
+
+  /**
+   * Keep only the fields that may be written through the API
+   * @private
+   * @param {Object} projectData - Raw input data
+   * @returns {Object} - Filtered data
+   */
+  _pickEditableFields(projectData) {
+    const data = {};
+    this.editableFields.forEach(field => {
+      if (projectData[field] !== undefined) {
+        data[field] = projectData[field];
+      }
+    });
+
+    // An empty year clears the column
+    if (data.year !== undefined) {
+      data.year = data.year === null || data.year === '' ? null : Number(data.year);
+    }
+
+    return data;
+  }
+
+  /**
+   * Normalize the images payload to objects with image_path and alt_text
+   * @private
+   * @param {Array<Object|string>|undefined} images - Images from the request
+   * @returns {Array<Object>|null} - Normalized images, or null if not provided
+   */
+  _normalizeImages(images) {
+    if (images === undefined) {
+      return null;
+    }
+    if (!Array.isArray(images)) {
+      throw new Error('Images must be an array');
+    }
+
+    return images.map(image => {
+      const normalized = typeof image === 'string'
+        ? { image_path: image, alt_text: null }
+        : { image_path: image?.image_path, alt_text: image?.alt_text || null };
+
+      if (!normalized.image_path || typeof normalized.image_path !== 'string') {
+        throw new Error('Image path is required for each image');
+      }
+      return normalized;
+    });
+  }
+}
+
+// Create and export a singleton instance
+const projectService = new ProjectService();
+export default projectService;
@@ -1,23 +1,40 @@
 /**
  * Role Service
- * Handles business logic for role-related operations
+ * Handles business logic for roles and role-based permissions
  */
 
 import dbService from '../services/db.service.js';
+import roleRepository from '../repositories/role.repository.js';
+import permissionRepository from '../repositories/permission.repository.js';
 import config from '../../config.js';
 
 /**
  * RoleService encapsulates all business logic related to user roles
+ * Roles and their permissions are stored in the roles, permissions and role_permissions tables
  */
 class RoleService {
   constructor() {
     this.db = dbService;
-    
-    // Get roles from config instead of hardcoding
+    this.roleRepository = roleRepository;
+    this.permissionRepository = permissionRepository;
+
+    // System role names; the rows themselves live in the roles table
     this.defaultRoles = config.roles;
-    
+
     // Default role is from config
     this.defaultRole = config.defaultRole;
+
+    // Role names: lowercase letters, digits, '-' and '_' (users.role is NVARCHAR(20))
+    this.namePattern = /^[a-z][a-z0-9_-]{2,19}$/;
+
+    // Custom roles must rank below admin
+    this.maxCustomLevel = 99;
+
+    // Roles and their permission names are checked on every protected request,
+    // so they are cached briefly and reloaded after any role change
+    this.cacheTtl = 60 * 1000;
+    this.roleCache = null;
+    this.roleCacheExpiresAt = 0;
   }
 
   /**
@@ -25,9 +42,10 @@ class RoleService {
    * @returns {Promise<Array<string>>} - Array of valid role names
    */
   async getValidRoles() {
-    return Object.values(this.defaultRoles);
+    const roleMap = await this._getRoleMap();
+    return [...roleMap.keys()];
   }
-  
+
   /**
    * Get default roles object
    * @returns {Object} - Default roles object
@@ -45,7 +63,7 @@ class RoleService {
     const validRoles = await this.getValidRoles();
     return validRoles.includes(role);
   }
-  
+
   /**
    * Validate a role string and return valid role or default
    * @param {string} role - Role to validate
@@ -55,11 +73,11 @@ class RoleService {
     if (!role) {
       return this.defaultRole;
     }
-    
+
     const isValid = await this.isValidRole(role);
     return isValid ? role : this.defaultRole;
   }
-  
+
   /**
    * Check if a user has a specific role
    * @param {number} userId - User ID
@@ -73,13 +91,13 @@ class RoleService {
         'SELECT role FROM users WHERE id = @userId',
         { userId }
       );
-      
+
       if (!result.recordset || result.recordset.length === 0) {
         return false;
       }
-      
+
       const userRole = result.recordset[0].role;
-      
+
       // Check if user's role is in the provided roles
       const rolesToCheck = Array.isArray(roles) ? roles : [roles];
       return rolesToCheck.includes(userRole);
@@ -88,7 +106,7 @@ class RoleService {
       return false;
     }
   }
-  
+
   /**
    * Check if a user is an admin
    * @param {number} userId - User ID
@@ -97,16 +115,372 @@ class RoleService {
   async isAdmin(userId) {
     return await this.userHasRole(userId, this.defaultRoles.ADMIN);
   }
-  
+
+  /**
+   * Get the level of a role, used for minimum-role checks
+   * @param {string} roleName - Role name
+   * @returns {Promise<number|null>} - Role level or null if the role does not exist
+   */
+  async getRoleLevel(roleName) {
+    const roleMap = await this._getRoleMap();
+    const role = roleMap.get(roleName);
+    return role ? role.level : null;
+  }
+
   /**
-   * Get all roles
+   * Get the permission names granted to a role
+   * The admin role is granted every permission
+   * @param {string} roleName - Role name
+   * @returns {Promise<Array<string>>} - Permission names
+   */
+  async getPermissionNames(roleName) {
+    if (roleName === this.defaultRoles.ADMIN) {
+      const permissions = await this.permissionRepository.getPermissions();
+      return permissions.map(permission => permission.name);
+    }
+
+    const roleMap = await this._getRoleMap();
+    const role = roleMap.get(roleName);
+    return role ? [...role.permissions] : [];
+  }
+
+  /**
+   * Check if a role grants a permission
+   * The admin role always passes so it cannot be locked out by editing role_permissions
+   * @param {string} roleName - Role name
+   * @param {string} permission - Permission name (e.g. news.publish)
+   * @returns {Promise<boolean>} - True if the role grants the permission
+   */
+  async roleHasPermission(roleName, permission) {
+    if (roleName === this.defaultRoles.ADMIN) {
+      return true;
+    }
+
+    const roleMap = await this._getRoleMap();
+    const role = roleMap.get(roleName);
+    return Boolean(role && role.permissions.has(permission));
+  }
+
+  /**
+   * Get all roles including their permission names
+   * @param {Object} options - Query options
+   * @param {string} options.name - Filter by exact role name
+   * @param {string} options.search - Search term for name/description
    * @returns {Promise<Array>} - Array of roles
    */
-  async getAllRoles() {
-    return await this.getValidRoles();
+  async getAllRoles(options = {}) {
+    const roles = await this.roleRepository.getRoles(options);
+
+    for (const role of roles) {
+      role.permissions = await this._getRolePermissionNames(role);
+    }
+
+    return roles;
+  }
+
+  /**
+   * Get a role by ID including its permission names
+   * @param {number} id - Role ID
+   * @returns {Promise<Object|null>} - Role or null if not found
+   */
+  async getRoleById(id) {
+    const role = await this.roleRepository.findById(id);
+    if (!role) {
+      return null;
+    }
+
+    role.permissions = await this._getRolePermissionNames(role);
+    role.user_count = await this.roleRepository.countUsers(role.name);
+    return role;
+  }
+
+  /**
+   * Find a role by ID or by name
+   * @param {string|number} idOrName - Role ID or role name
+   * @returns {Promise<Object|null>} - Role or null if not found
+   */
+  async findRole(idOrName) {
+    const id = parseInt(idOrName);
+    if (!isNaN(id) && String(id) === String(idOrName)) {
+      return await this.roleRepository.findById(id);
+    }
+
+    return await this.roleRepository.findByName(idOrName);
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} roleData - Role data
+   * @param {string} roleData.name - Role name
+   * @param {string} [roleData.description] - Role description
+   * @param {number} [roleData.level] - Role level (0-99)
+   * @param {Array<number>} [roleData.permission_ids] - Permissions granted to the role
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Created role
+   */
+  async createRole(roleData, actor = null) {
+    if (!roleData.name) {
+      throw new Error('Role name is required');
+    }
+
+    this._validate(roleData);
+
+    if (await this.roleRepository.nameExists(roleData.name)) {
+      throw new Error('Role name already exists');
+    }
+
+    const permissionIds = roleData.permission_ids !== undefined
+      ? await this._validatePermissionIds(roleData.permission_ids)
+      : [];
+
+    const role = await this.roleRepository.create({
+      name: roleData.name,
+      description: roleData.description || null,
+      level: roleData.level !== undefined ? parseInt(roleData.level) : 0,
+      is_system: 0
+    }, { actor });
+
+    if (permissionIds.length > 0) {
+      await this.roleRepository.setPermissions(role.id, permissionIds);
+    }
+
+    this.clearCache();
+    return await this.getRoleById(role.id);
+  }
+
+  /**
+   * Update a role
+   * System roles keep their name and level; only their description and permissions can change
+   * @param {number} id - Role ID
+   * @param {Object} roleData - Role data to update
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - Updated role
+   */
+  async updateRole(id, roleData, actor = null) {
+    const existingRole = await this.roleRepository.findById(id);
+    if (!existingRole) {
+      throw new Error('Role not found');
+    }
+
+    if (existingRole.is_system) {
+      if (roleData.name !== undefined && roleData.name !== existingRole.name) {
+        throw new Error('System roles cannot be renamed');
+      }
+      if (roleData.level !== undefined && parseInt(roleData.level) !== existingRole.level) {
+        throw new Error('The level of a system role cannot be changed');
+      }
+    }
+
+    this._validate(existingRole.is_system ? { description: roleData.description } : roleData);
+
+    if (roleData.name !== undefined && await this.roleRepository.nameExists(roleData.name, id)) {
+      throw new Error('Role name already exists');
+    }
+
+    const data = {};
+    if (roleData.name !== undefined && !existingRole.is_system) {
+      data.name = roleData.name;
+    }
+    if (roleData.description !== undefined) {
+      data.description = roleData.description || null;
+    }
+    if (roleData.level !== undefined && !existingRole.is_system) {
+      data.level = parseInt(roleData.level);
+    }
+
+    if (Object.keys(data).length === 0 && roleData.permission_ids === undefined) {
+      throw new Error('No data provided for update');
+    }
+
+    if (Object.keys(data).length > 0) {
+      await this.roleRepository.updateRole(id, data, existingRole.name, { actor });
+    }
+
+    if (roleData.permission_ids !== undefined) {
+      await this.setRolePermissions(id, roleData.permission_ids);
+    }
+
+    this.clearCache();
+    return await this.getRoleById(id);
+  }
+
+  /**
+   * Delete a custom role
+   * @param {number} id - Role ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteRole(id, actor = null) {
+    const role = await this.roleRepository.findById(id);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (role.is_system) {
+      throw new Error('System roles cannot be deleted');
+    }
+
+    // Users in the trash still block the deletion: restoring them would bring back users with a missing role
+    const userCount = await this.roleRepository.countUsers(role.name);
+    if (userCount > 0) {
+      const trashedCount = await this.roleRepository.countUsers(role.name, { onlyDeleted: true });
+      throw new Error(trashedCount > 0
+        ? `Role is still assigned to ${userCount} user(s), ${trashedCount} of them in the trash; purge or reassign them first`
+        : `Role is still assigned to ${userCount} user(s)`);
+    }
+
+    // role_permissions rows are removed by ON DELETE CASCADE
+    const deleted = await this.roleRepository.delete(id, { actor });
+    this.clearCache();
+    return deleted;
+  }
+
+  /**
+   * Get the permissions granted to a role
+   * @param {number} id - Role ID
+   * @returns {Promise<Array>} - Permissions
+   */
+  async getRolePermissions(id) {
+    const role = await this.roleRepository.findById(id);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (role.name === this.defaultRoles.ADMIN) {
+      return await this.permissionRepository.getPermissions();
+    }
+
+    return await this.roleRepository.getPermissions(id);
+  }
+
+  /**
+   * Replace the permissions granted to a role
+   * @param {number} id - Role ID
+   * @param {Array<number>} permissionIds - Permission IDs
+   * @returns {Promise<Array>} - Permissions now granted to the role
+   */
+  async setRolePermissions(id, permissionIds) {
+    const role = await this.roleRepository.findById(id);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (role.name === this.defaultRoles.ADMIN) {
+      throw new Error('The admin role always has every permission and cannot be changed');
+    }
+
+    const ids = await this._validatePermissionIds(permissionIds);
+    await this.roleRepository.setPermissions(id, ids);
+
+    this.clearCache();
+    return await this.roleRepository.getPermissions(id);
+  }
+
+  /**
+   * Get all permissions that can be granted
+   * @param {Object} options - Query options
+   * @param {string} options.module - Filter by module
+   * @returns {Promise<Array>} - Permissions
+   */
+  async getAllPermissions(options = {}) {
+    return await this.permissionRepository.getPermissions(options);
+  }
+
+  /**
+   * Drop the cached roles so the next check reads the database
+   */
+  clearCache() {
+    this.roleCache = null;
+    this.roleCacheExpiresAt = 0;
+  }
+
+  /**
+   * Validate role fields
+   * @private
+   * @param {Object} roleData - Role data
+   */
+  _validate(roleData) {
+    if (roleData.name !== undefined && !this.namePattern.test(roleData.name)) {
+      throw new Error('Role name must be 3-20 characters of lowercase letters, digits, "-" or "_", starting with a letter');
+    }
+
+    if (roleData.description && roleData.description.length > 255) {
+      throw new Error('Description must be at most 255 characters');
+    }
+
+    if (roleData.level !== undefined) {
+      const level = parseInt(roleData.level);
+      if (isNaN(level) || level < 0 || level > this.maxCustomLevel) {
+        throw new Error(`Level must be between 0 and ${this.maxCustomLevel}`);
+      }
+    }
+  }
+
+  /**
+   * Check that every permission ID exists
+   * @private
+   * @param {Array<number>} permissionIds - Permission IDs
+   * @returns {Promise<Array<number>>} - Unique numeric permission IDs
+   */
+  async _validatePermissionIds(permissionIds) {
+    if (!Array.isArray(permissionIds)) {
+      throw new Error('permission_ids must be an array');
+    }
+
+    const ids = [...new Set(permissionIds.map(id => parseInt(id)))];
+    const permissions = await this.permissionRepository.getPermissions();
+    const knownIds = permissions.map(permission => permission.id);
+    const invalidIds = ids.filter(id => isNaN(id) || !knownIds.includes(id));
+
+    if (invalidIds.length > 0) {
+      throw new Error(`Invalid permission IDs: ${invalidIds.join(', ')}`);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the permission names of a role row
+   * @private
+   * @param {Object} role - Role row
+   * @returns {Promise<Array<string>>} - Permission names
+   */
+  async _getRolePermissionNames(role) {
+    if (role.name === this.defaultRoles.ADMIN) {
+      return await this.getPermissionNames(role.name);
+    }
+
+    const permissions = await this.roleRepository.getPermissions(role.id);
+    return permissions.map(permission => permission.name);
+  }
+
+  /**
+   * Load all roles with their permission names, using the cache when fresh
+   * @private
+   * @returns {Promise<Map<string, Object>>} - Map of role name to { level, permissions: Set }
+   */
+  async _getRoleMap() {
+    if (this.roleCache && Date.now() < this.roleCacheExpiresAt) {
+      return this.roleCache;
+    }
+
+    const roles = await this.roleRepository.getRoles();
+    const roleMap = new Map();
+
+    for (const role of roles) {
+      const permissionNames = await this.roleRepository.getPermissionNamesByRoleName(role.name);
+      roleMap.set(role.name, {
+        level: role.level,
+        permissions: new Set(permissionNames)
+      });
+    }
+
+    this.roleCache = roleMap;
+    this.roleCacheExpiresAt = Date.now() + this.cacheTtl;
+    return roleMap;
   }
 }
 
 // Create and export a singleton instance
 const roleService = new RoleService();
-export default roleService;
\ No newline at end of file
+export default roleService;
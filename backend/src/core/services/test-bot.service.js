@@ -2,14 +2,12 @@
  * TestBotService.js
  * Service để hỗ trợ testing và debugging trong môi trường development
  * - Lưu trữ token reset password
- * - Mô phỏng gửi email
  * - Theo dõi hoạt động xác thực
  */
 
 class TestBotService {
   constructor() {
     this.resetTokens = new Map(); // Map để lưu trữ tokens - email -> {token, expiresAt}
-    this.emailLog = [];           // Log các email "gửi đi"
     this.authLogs = [];           // Log các hoạt động xác thực
     this.maxLogSize = 100;       // Giới hạn kích thước log
     this.config = {};            // Cấu hình cho TestBotService
@@ -108,49 +106,6 @@ class TestBotService {
     return tokenInfo;
   }
 
-  /**
-   * Giả lập gửi email đặt lại mật khẩu
-   * @param {Object} emailData - Dữ liệu email
-   */
-  sendPasswordResetEmail(emailData) {
-    console.log(`[TestBot] Simulating sending password reset email to ${emailData.email}`);
-    
-    const emailRecord = {
-      to: emailData.email,
-      subject: 'Password Reset',
-      template: 'password-reset',
-      data: {
-        username: emailData.username || emailData.email.split('@')[0],
-        resetToken: emailData.token,
-        resetLink: `http://localhost:3000/reset-password?token=${emailData.token}`,
-        expiryHours: emailData.expiryHours || 1
-      },
-      sentAt: new Date()
-    };
-    
-    // Thêm vào log email
-    this.emailLog.unshift(emailRecord);
-    
-    // Giới hạn kích thước log
-    if (this.emailLog.length > this.maxLogSize) {
-      this.emailLog = this.emailLog.slice(0, this.maxLogSize);
-    }
-    
-    // Ghi log hoạt động
-    this.logActivity('send_email', { email: emailData.email, template: 'password-reset' });
-    
-    return emailRecord;
-  }
-
-  /**
-   * Lấy danh sách email đã "gửi"
-   * @param {number} limit - Số lượng tối đa
-   * @returns {Array} - Danh sách email
-   */
-  getEmailLog(limit = 10) {
-    return this.emailLog.slice(0, limit);
-  }
-
   /**
    * Ghi log hoạt động
    * @private
@@ -186,7 +141,6 @@ class TestBotService {
    */
   clearAllData() {
     this.resetTokens.clear();
-    this.emailLog = [];
     this.authLogs = [];
     console.log('[TestBot] All test data cleared');
   }
@@ -3,6 +3,7 @@
  * Service quản lý JWT access tokens và refresh tokens
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../../config.js';
 
@@ -88,13 +89,20 @@ class TokenService {
    */
   verifyAccessToken(token) {
     try {
-      // Kiểm tra token có trong danh sách bị thu hồi
-      if (this.isTokenRevoked(token)) {
+      // Kiểm tra token có trong danh sách bị thu hồi (trong bộ nhớ; danh sách trong database
+      // được kiểm tra bởi isTokenRevoked() trong middleware authenticate)
+      if (this.revokedTokens.has(token)) {
         throw new Error('Token has been revoked');
       }
 
       // Xác thực token
       const decoded = jwt.verify(token, config.jwtSecret);
+      
+      // Token có type (challenge 2FA, đặt lại mật khẩu) dùng chung secret nhưng không phải access token
+      if (decoded.type) {
+        throw new Error('Invalid token');
+      }
+      
       return decoded;
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -104,6 +112,45 @@ class TokenService {
     }
   }
 
+  /**
+   * Tạo challenge token cho bước nhập mã 2FA sau khi mật khẩu đã đúng
+   * @param {Object} user - Thông tin người dùng
+   * @returns {string} - JWT ngắn hạn, không dùng được như access token
+   */
+  generateTwoFactorChallengeToken(user) {
+    const payload = {
+      id: user.id || user.user_id,
+      username: user.username,
+      type: '2fa_challenge'
+    };
+
+    return jwt.sign(payload, config.jwtSecret, { expiresIn: config.twoFactor.challengeExpiresIn });
+  }
+
+  /**
+   * Xác thực challenge token 2FA
+   * @param {string} token - Challenge token
+   * @returns {Object} - Payload của token ({ id, username })
+   * @throws {Error} - Nếu token không hợp lệ hoặc đã hết hạn
+   */
+  verifyTwoFactorChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Two-factor challenge has expired, please sign in again');
+      }
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    if (decoded.type !== '2fa_challenge') {
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    return decoded;
+  }
+
   /**
    * Lấy user ID từ refresh token
    * @param {string} refreshToken - Refresh token
@@ -210,19 +257,12 @@ class TokenService {
   }
 
   /**
-   * Tạo một token ngẫu nhiên
+   * Tạo một token ngẫu nhiên bằng CSPRNG
    * @private
-   * @returns {string} - Token ngẫu nhiên
+   * @returns {string} - Token ngẫu nhiên (80 ký tự hex)
    */
   _generateRandomToken() {
-    const tokenLength = 40;
-    const buffer = Buffer.allocUnsafe(tokenLength);
-    
-    for (let i = 0; i < tokenLength; i++) {
-      buffer[i] = Math.floor(Math.random() * 256);
-    }
-    
-    return buffer.toString('hex');
+    return crypto.randomBytes(40).toString('hex');
   }
 }
 
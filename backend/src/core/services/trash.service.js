@@ -0,0 +1,187 @@
+/**
+ * Trash Service
+ * Handles business logic for soft-deleted records: listing the trash, restoring and
+ * permanently deleting records, and the scheduled purge after the retention period
+ */
+
+import config from '../../config.js';
+import userRepository from '../repositories/user.repository.js';
+import newsRepository from '../repositories/news.repository.js';
+import productRepository from '../repositories/product.repository.js';
+import projectRepository from '../repositories/project.repository.js';
+
+// SQL Server error number for a foreign key violation
+const FOREIGN_KEY_VIOLATION = 547;
+
+// Scheduled purge of records kept longer than the retention period
+let purgeInterval = null;
+
+// Records purged per resource in one run of the scheduled purge
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * TrashService encapsulates all business logic related to the trash
+ */
+class TrashService {
+  constructor() {
+    // Admin API resources with a trash, mapped to their repository and the columns shown in the list
+    this.resources = {
+      users: { repository: userRepository, columns: ['username', 'email', 'full_name'] },
+      news: { repository: newsRepository, columns: ['title', 'slug'] },
+      products: { repository: productRepository, columns: ['name', 'slug'] },
+      projects: { repository: projectRepository, columns: ['title', 'slug'] }
+    };
+
+    this.retentionDays = config.trash.retentionDays;
+
+    this._startPurgeJob();
+  }
+
+  /**
+   * Get the records of a resource in the trash, most recently deleted first
+   * @param {string} resource - Resource name, e.g. 'users'
+   * @param {Object} options - Query options (page, pageSize)
+   * @returns {Promise<Object>} - Paginated records with metadata
+   */
+  async getDeleted(resource, options = {}) {
+    const { repository, columns } = this._getResource(resource);
+    const result = await repository.findDeleted({ ...options, columns });
+
+    return {
+      ...result,
+      data: result.data.map(record => ({ ...record, purge_at: this._purgeDate(record.deleted_at) }))
+    };
+  }
+
+  /**
+   * Restore a record from the trash
+   * @param {string} resource - Resource name
+   * @param {number} id - Record ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object|null>} - Restored record without the columns left out of the audit trail
+   *   (e.g. password), or null if it is not in the trash
+   */
+  async restore(resource, id, actor = null) {
+    const { repository } = this._getResource(resource);
+    const restored = await repository.restore(id, { actor });
+    if (!restored) {
+      return null;
+    }
+
+    return Object.fromEntries(
+      Object.entries(restored).filter(([key]) => !repository.auditExcludedColumns.includes(key))
+    );
+  }
+
+  /**
+   * Permanently delete a record from the trash
+   * @param {string} resource - Resource name
+   * @param {number} id - Record ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<boolean>} - True if deleted, false if it is not in the trash
+   * @throws {Error} - 'Record still has related ...' when other records still reference it
+   */
+  async purge(resource, id, actor = null) {
+    const { repository } = this._getResource(resource);
+
+    try {
+      return await repository.purge(id, { actor });
+    } catch (error) {
+      if (error.number === FOREIGN_KEY_VIOLATION) {
+        throw new Error('Record still has related records and cannot be permanently deleted');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete the records kept in the trash longer than the retention period
+   * Records that cannot be deleted (e.g. users still referenced as news authors) are skipped
+   * @returns {Promise<Object>} - Number of records purged per resource
+   */
+  async purgeExpired() {
+    const purged = {};
+    if (!(this.retentionDays > 0)) {
+      return purged;
+    }
+
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    for (const [resource, { repository }] of Object.entries(this.resources)) {
+      purged[resource] = 0;
+      const ids = await repository.findDeletedBefore(cutoff, PURGE_BATCH_SIZE);
+
+      for (const id of ids) {
+        try {
+          if (await repository.purge(id)) {
+            purged[resource]++;
+          }
+        } catch (error) {
+          console.error(`Error purging ${resource} #${id}:`, error.message);
+        }
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Get the repository and list columns of a resource
+   * @private
+   * @param {string} resource - Resource name
+   * @returns {Object} - { repository, columns }
+   * @throws {Error} - If the resource has no trash
+   */
+  _getResource(resource) {
+    if (!Object.prototype.hasOwnProperty.call(this.resources, resource)) {
+      throw new Error(`Invalid resource: ${resource}`);
+    }
+    return this.resources[resource];
+  }
+
+  /**
+   * Date a record deleted at the given time is purged by the scheduled job
+   * @private
+   * @param {Date|string} deletedAt - Deletion time
+   * @returns {Date|null} - Purge date, or null when the scheduled purge is disabled
+   */
+  _purgeDate(deletedAt) {
+    if (!(this.retentionDays > 0) || !deletedAt) {
+      return null;
+    }
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Start the scheduled purge of expired records
+   * @private
+   */
+  _startPurgeJob() {
+    if (purgeInterval) {
+      clearInterval(purgeInterval);
+    }
+
+    if (!(this.retentionDays > 0)) {
+      return;
+    }
+
+    purgeInterval = setInterval(() => {
+      this.purgeExpired()
+        .then(purged => {
+          const summary = Object.entries(purged).map(([resource, count]) => `${count} ${resource}`).join(', ');
+          console.log(`Trash purge: Removed ${summary} deleted more than ${this.retentionDays} days ago`);
+        })
+        .catch(err => {
+          console.error('Error in scheduled trash purge:', err);
+        });
+    }, config.trash.purgeIntervalMs);
+
+    // Do not keep the process alive for the purge job
+    if (purgeInterval.unref) {
+      purgeInterval.unref();
+    }
+  }
+}
+
+// Create and export a singleton instance
+const trashService = new TrashService();
+export default trashService;
@@ -0,0 +1,264 @@
+/**
+ * TwoFactorService
+ * Service quản lý xác thực hai lớp bằng TOTP: đăng ký, xác minh mã, mã khôi phục và tắt 2FA
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import QRCode from 'qrcode';
+import { generateSecret, generateURI, verify } from 'otplib';
+import config from '../../config.js';
+import twoFactorRepository from '../repositories/two-factor.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import authEventEmitter from '../events/auth-events.js';
+
+// Chấp nhận mã của bước thời gian liền trước/liền sau (±30 giây) để bù lệch đồng hồ
+const TOTP_EPOCH_TOLERANCE = 30;
+
+class TwoFactorService {
+  /**
+   * Lấy trạng thái 2FA của người dùng
+   * @param {number} userId - ID người dùng
+   * @returns {Promise<Object>} - { enabled, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const record = await twoFactorRepository.findById(userId);
+    const enabled = !!record?.is_enabled;
+
+    return {
+      enabled,
+      recoveryCodesRemaining: enabled ? await twoFactorRepository.countUnusedRecoveryCodes(userId) : 0
+    };
+  }
+
+  /**
+   * Kiểm tra người dùng đã bật 2FA chưa
+   * @param {number} userId - ID người dùng
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const record = await twoFactorRepository.findById(userId);
+    return !!record?.is_enabled;
+  }
+
+  /**
+   * Bắt đầu đăng ký 2FA: tạo secret mới và mã QR cho ứng dụng xác thực
+   * 2FA chỉ được bật sau khi người dùng xác nhận mã đầu tiên bằng enable()
+   * @param {Object} user - Người dùng đang đăng nhập
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } (qrCode là data URL PNG)
+   */
+  async startEnrollment(user) {
+    if (await this.isEnabled(user.id)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await twoFactorRepository.saveSecret(user.id, this._encrypt(secret));
+
+    const otpauthUrl = generateURI({
+      issuer: config.twoFactor.issuer,
+      label: user.email || user.username,
+      secret
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Xác nhận mã đầu tiên và bật 2FA
+   * @param {number} userId - ID người dùng
+   * @param {string} code - Mã 6 số từ ứng dụng xác thực
+   * @returns {Promise<Object>} - { recoveryCodes } chỉ trả về một lần
+   */
+  async enable(userId, code) {
+    const record = await twoFactorRepository.findById(userId);
+    if (!record) {
+      throw new Error('Two-factor setup has not been started');
+    }
+    if (record.is_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const timeStep = await this._verifyTotp(this._decrypt(record.secret), code);
+    if (timeStep === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    await twoFactorRepository.enable(userId, timeStep, recoveryCodes.map(c => this._hashRecoveryCode(c)));
+
+    authEventEmitter.emit('user:2fa_enabled', { userId, success: true, action: '2fa_enable' });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Tắt 2FA, yêu cầu mật khẩu và một mã hợp lệ (TOTP hoặc mã khôi phục)
+   * @param {number} userId - ID người dùng
+   * @param {string} password - Mật khẩu hiện tại
+   * @param {string} code - Mã TOTP hoặc mã khôi phục
+   * @returns {Promise<void>}
+   */
+  async disable(userId, password, code) {
+    if (!(await this.isEnabled(userId))) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user || !password || !(await bcrypt.compare(password, user.password))) {
+      throw new Error('Password is incorrect');
+    }
+
+    if (!(await this.verifyCode(userId, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    await twoFactorRepository.deleteByUserId(userId);
+
+    authEventEmitter.emit('user:2fa_disabled', { userId, success: true, action: '2fa_disable' });
+  }
+
+  /**
+   * Tạo bộ mã khôi phục mới, các mã cũ không còn hiệu lực
+   * @param {number} userId - ID người dùng
+   * @param {string} code - Mã TOTP hiện tại
+   * @returns {Promise<Object>} - { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const record = await twoFactorRepository.findById(userId);
+    if (!record?.is_enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this._verifyAndConsumeTotp(record, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    await twoFactorRepository.replaceRecoveryCodes(userId, recoveryCodes.map(c => this._hashRecoveryCode(c)));
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Xác minh mã khi đăng nhập: mã TOTP 6 số hoặc mã khôi phục (mỗi mã chỉ dùng được một lần)
+   * @param {number} userId - ID người dùng
+   * @param {string} code - Mã người dùng nhập
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(userId, code) {
+    const normalized = String(code || '').trim();
+    if (!normalized) {
+      return false;
+    }
+
+    const record = await twoFactorRepository.findById(userId);
+    if (!record?.is_enabled) {
+      return false;
+    }
+
+    if (/^\d{6}$/.test(normalized)) {
+      return this._verifyAndConsumeTotp(record, normalized);
+    }
+
+    return twoFactorRepository.useRecoveryCode(userId, this._hashRecoveryCode(normalized));
+  }
+
+  /**
+   * Xác minh mã TOTP và đánh dấu bước thời gian đã dùng để chống dùng lại
+   * @private
+   * @param {Object} record - Bản ghi user_two_factor
+   * @param {string} code - Mã 6 số
+   * @returns {Promise<boolean>}
+   */
+  async _verifyAndConsumeTotp(record, code) {
+    const timeStep = await this._verifyTotp(this._decrypt(record.secret), code);
+    if (timeStep === null) {
+      return false;
+    }
+
+    return twoFactorRepository.markStepUsed(record.user_id, timeStep);
+  }
+
+  /**
+   * @private
+   * @param {string} secret - Secret base32
+   * @param {string} code - Mã 6 số
+   * @returns {Promise<number|null>} - Bước thời gian của mã hợp lệ, null nếu sai
+   */
+  async _verifyTotp(secret, code) {
+    const token = String(code || '').trim();
+    if (!/^\d{6}$/.test(token)) {
+      return null;
+    }
+
+    const result = await verify({ secret, token, epochTolerance: TOTP_EPOCH_TOLERANCE });
+    return result.valid ? result.timeStep : null;
+  }
+
+  /**
+   * Tạo danh sách mã khôi phục dạng xxxxx-xxxxx
+   * @private
+   * @returns {Array<string>}
+   */
+  _generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Băm mã khôi phục, bỏ qua chữ hoa/thường, dấu gạch và khoảng trắng người dùng nhập
+   * @private
+   * @param {string} code - Mã khôi phục
+   * @returns {string} - SHA-256 dạng hex
+   */
+  _hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Mã hóa secret trước khi lưu vào database (AES-256-GCM)
+   * @private
+   * @param {string} secret - Secret base32
+   * @returns {string} - iv:authTag:ciphertext (base64)
+   */
+  _encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * @private
+   * @param {string} value - Giá trị đã mã hóa bởi _encrypt
+   * @returns {string} - Secret base32
+   */
+  _decrypt(value) {
+    const [iv, authTag, encrypted] = value.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * @private
+   * @returns {Buffer} - Khóa 32 bytes
+   */
+  _getKey() {
+    return crypto.createHash('sha256')
+      .update(config.twoFactor.encryptionKey || config.jwtSecret)
+      .digest();
+  }
+}
+
+export default new TwoFactorService();
@@ -5,7 +5,31 @@
 
 import userRepository from '../repositories/user.repository.js';
 import roleService from './role.service.js';
+import passwordPolicyService from './password-policy.service.js';
+import authEventEmitter from '../events/auth-events.js';
+import { toCsv, parseCsv } from '../../lib/csv-helper.js';
+import { toXlsx, parseXlsx } from '../../lib/xlsx-helper.js';
+import { checkIfMatch } from '../../lib/etag-helper.js';
 import bcrypt from 'bcrypt';
+import path from 'path';
+
+// Actions accepted by bulkAction(); 'logout' only checks the users here, the controller revokes their sessions
+const BULK_ACTIONS = ['activate', 'deactivate', 'setRole', 'delete', 'logout'];
+
+// Actions an admin cannot apply to their own account from a bulk action
+const SELF_PROTECTED_ACTIONS = ['deactivate', 'setRole', 'delete'];
+
+// SQL Server error number for a foreign key conflict
+const FOREIGN_KEY_VIOLATION = 547;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Credential and login tracking columns never returned by the API (the list endpoint does not select them either)
+const PRIVATE_COLUMNS = ['password', 'failed_login_attempts', 'last_failed_login', 'password_changed_at'];
+
+// Values accepted in the is_active column of an import file
+const ACTIVE_VALUES = ['true', '1', 'yes', 'active'];
+const INACTIVE_VALUES = ['false', '0', 'no', 'inactive'];
 
 /**
  * UserService encapsulates all business logic related to users
@@ -14,7 +38,23 @@ class UserService {
   constructor() {
     this.userRepository = userRepository;
     this.roleService = roleService;
+    this.passwordPolicyService = passwordPolicyService;
     this.saltRounds = 10;
+
+    // Supported export formats
+    this.exportFormats = ['csv', 'xlsx'];
+
+    // Maximum number of users in one export
+    this.exportLimit = 10000;
+
+    // Columns written to exports, in order
+    this.exportColumns = ['id', 'username', 'email', 'full_name', 'role', 'is_active', 'last_login', 'created_at'];
+
+    // Columns read from import files (other columns, e.g. those of an export, are ignored)
+    this.importColumns = ['username', 'email', 'password', 'full_name', 'role', 'is_active'];
+
+    // Maximum number of rows in one import
+    this.importLimit = 500;
   }
 
   /**
@@ -46,9 +86,11 @@ class UserService {
   /**
    * Create a new user
    * @param {Object} userData - User data
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
    * @returns {Promise<Object>} - Created user object
+   * @throws {Error} - Error with code 'PASSWORD_POLICY' and field-level errors when the password is too weak
    */
-  async createUser(userData) {
+  async createUser(userData, actor = null) {
     // Validate required fields
     if (!userData.username || !userData.email || !userData.password) {
       throw new Error('Username, email and password are required');
@@ -65,6 +107,8 @@ class UserService {
       throw new Error('Email already exists');
     }
 
+    await this.passwordPolicyService.validate(userData.password);
+
     // Hash password
     const hashedPassword = await bcrypt.hash(userData.password, this.saltRounds);
     
@@ -75,6 +119,7 @@ class UserService {
     const newUser = {
       ...userData,
       password: hashedPassword,
+      password_changed_at: new Date(),
       role,
       is_active: userData.is_active !== undefined ? userData.is_active : true,
       created_at: new Date(),
@@ -82,7 +127,8 @@ class UserService {
     };
 
     // Create user
-    const user = await this.userRepository.create(newUser);
+    const user = await this.userRepository.create(newUser, { actor });
+    await this.passwordPolicyService.recordPassword(user.id, hashedPassword);
     
     // Return user without password
     const { password, ...userWithoutPassword } = user;
@@ -93,15 +139,27 @@ class UserService {
    * Update a user
    * @param {number} id - User ID
    * @param {Object} userData - User data to update
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @param {Object} [options] - Options
+   * @param {Array<number>|string|null} [options.ifMatch] - Parsed If-Match header; the versions the client edited
    * @returns {Promise<Object|null>} - Updated user object or null
+   * @throws {Error} - Error with code 'PASSWORD_POLICY' and field-level errors when the new password is rejected
+   * @throws {Error} - Error with code 'PRECONDITION_FAILED' or 'VERSION_CONFLICT' and the current user
+   *   when someone else changed the user since the client loaded it
    */
-  async updateUser(id, userData) {
+  async updateUser(id, userData, actor = null, options = {}) {
     // Get existing user
     const existingUser = await this.userRepository.findById(id);
     if (!existingUser) {
       throw new Error('User not found');
     }
 
+    try {
+      checkIfMatch(options.ifMatch, existingUser);
+    } catch (error) {
+      throw this._withoutPassword(error);
+    }
+
     // Check if username is being changed and already exists
     if (userData.username && userData.username !== existingUser.username) {
       const usernameExists = await this.userRepository.usernameExists(userData.username);
@@ -127,34 +185,393 @@ class UserService {
       userData.role = await this.roleService.validateRole(userData.role);
     }
 
-    // Hash password if provided
+    // Check the password policy and hash password if provided
     if (userData.password) {
+      await this.passwordPolicyService.validate(userData.password, { user: existingUser });
       userData.password = await bcrypt.hash(userData.password, this.saltRounds);
+      userData.password_changed_at = new Date();
     }
 
     // Add updated_at
     userData.updated_at = new Date();
 
-    // Update user
-    const updatedUser = await this.userRepository.update(id, userData);
+    // Update user, unless someone else saved it since it was checked above
+    const updatedUser = await this.userRepository.update(id, userData, {
+      actor,
+      expectedVersion: options.ifMatch ? existingUser.row_version : undefined
+    }).catch(error => {
+      throw this._withoutPassword(error);
+    });
     
     // Return null if user was not found (should not happen)
     if (!updatedUser) {
       return null;
     }
+
+    // Notify the account owner about security-relevant changes
+    if (userData.email && userData.email !== existingUser.email) {
+      authEventEmitter.emit('user:email_change', {
+        userId: id,
+        oldEmail: existingUser.email,
+        newEmail: userData.email
+      });
+    }
+    if (userData.password) {
+      await this.passwordPolicyService.recordPassword(id, userData.password);
+      authEventEmitter.emit('user:password_change', {
+        userId: id,
+        username: existingUser.username,
+        success: true,
+        action: 'change_password'
+      });
+    }
     
-    // Return user without password
-    const { password, ...userWithoutPassword } = updatedUser;
-    return userWithoutPassword;
+    return this.toPublicUser(updatedUser);
   }
 
   /**
-   * Delete a user
+   * Delete a user (moved to the trash, see TrashService)
    * @param {number} id - User ID
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
    * @returns {Promise<boolean>} - True if deleted, false otherwise
    */
-  async deleteUser(id) {
-    return await this.userRepository.delete(id);
+  async deleteUser(id, actor = null) {
+    return await this.userRepository.delete(id, { actor });
+  }
+
+  /**
+   * Apply one action to several users in a single transaction
+   * Each user is changed behind its own savepoint, so a user that cannot be changed is reported
+   * in its result and the others still go through; unexpected errors roll back the whole batch
+   * @param {string} action - One of 'activate', 'deactivate', 'setRole', 'delete', 'logout'
+   * @param {Array<number>} ids - User IDs
+   * @param {Object} [options] - Action options
+   * @param {string} [options.role] - New role for 'setRole'
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Array<Object>>} - One result per ID ({ id, success, error })
+   */
+  async bulkAction(action, ids, options = {}, actor = null) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Invalid bulk action: ${action}`);
+    }
+
+    let role = null;
+    if (action === 'setRole') {
+      const isValidRole = await this.roleService.isValidRole(options.role);
+      if (!isValidRole) {
+        throw new Error(`Invalid role: ${options.role}`);
+      }
+      role = await this.roleService.validateRole(options.role);
+    }
+
+    const userIds = [...new Set(ids)];
+    const changes = [];
+
+    const results = await this.userRepository.executeTransaction(async (transaction) => {
+      const users = await this.userRepository.findByIdsForUpdate(transaction, userIds);
+      const itemResults = [];
+
+      for (const id of userIds) {
+        const user = users.find(item => item.id === id);
+        if (!user) {
+          itemResults.push({ id, success: false, error: 'User not found' });
+          continue;
+        }
+        if (actor && String(actor.id) === String(id) && SELF_PROTECTED_ACTIONS.includes(action)) {
+          itemResults.push({ id, success: false, error: 'You cannot apply this action to your own account' });
+          continue;
+        }
+
+        try {
+          const change = await this.userRepository.withSavepoint(transaction, () =>
+            this._applyBulkAction(transaction, action, user, role, actor));
+          if (change) {
+            changes.push(change);
+          }
+          itemResults.push({ id, success: true });
+        } catch (error) {
+          itemResults.push({
+            id,
+            success: false,
+            error: error.number === FOREIGN_KEY_VIOLATION
+              ? 'User still has related records and cannot be deleted'
+              : error.message
+          });
+        }
+      }
+
+      return itemResults;
+    });
+
+    // The audit trail is written once the changes are committed
+    if (actor) {
+      await this.userRepository.recordAuditTrail(changes, actor);
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply a bulk action to one user
+   * @private
+   * @param {Object} transaction - Open transaction
+   * @param {string} action - Bulk action
+   * @param {Object} user - User row locked by the transaction
+   * @param {string|null} role - New role for 'setRole'
+   * @param {Object|null} actor - Authenticated user making the change, recorded as deleted_by
+   * @returns {Promise<Object|null>} - Change for the audit trail ({ action, id, before, after }) or null
+   */
+  async _applyBulkAction(transaction, action, user, role, actor) {
+    if (action === 'logout') {
+      return null;
+    }
+
+    if (action === 'delete') {
+      await this.userRepository.deleteInTransaction(transaction, user.id, actor?.id || null);
+      return { action: 'delete', id: user.id, before: user, after: null };
+    }
+
+    const data = action === 'setRole'
+      ? { role }
+      : { is_active: action === 'activate' };
+    const updated = await this.userRepository.updateInTransaction(transaction, user.id, {
+      ...data,
+      updated_at: new Date()
+    });
+    return { action: 'update', id: user.id, before: user, after: updated };
+  }
+
+  /**
+   * Export the users matching the getUsers search, role and query spec filters
+   * @param {Object} options - Filter options (search, role)
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<string|Buffer>} - CSV content or XLSX file
+   */
+  async exportUsers(options = {}, format = 'csv') {
+    if (!this.exportFormats.includes(format)) {
+      throw new Error(`Invalid export format: ${format}`);
+    }
+
+    const users = await this.userRepository.getAllUsers(options, this.exportLimit);
+    const rows = users.map(user => this.exportColumns.map(column =>
+      column === 'is_active' ? Boolean(user[column]) : user[column]));
+
+    return format === 'xlsx'
+      ? toXlsx(this.exportColumns, rows, 'Users')
+      : toCsv(this.exportColumns, rows);
+  }
+
+  /**
+   * Import users from a CSV or XLSX file
+   * Every row is checked against the createUser rules; nothing is created during a dry run
+   * or when any row is invalid, otherwise all users are created in one transaction
+   * @param {Object} file - Uploaded file ({ originalname, buffer })
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.dryRun] - Only validate and return the preview
+   * @param {Object} [actor] - Authenticated user making the change, recorded in the audit trail
+   * @returns {Promise<Object>} - { dryRun, total, valid, invalid, created, rows }
+   * @throws {Error} - Error with code 'IMPORT_INVALID' and the preview in error.result when a real import has invalid rows
+   */
+  async importUsers(file, options = {}, actor = null) {
+    const records = this._readImportFile(file);
+    const rows = await this._validateImportRows(records);
+    const invalid = rows.filter(row => row.errors.length > 0).length;
+    const result = {
+      dryRun: Boolean(options.dryRun),
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      created: 0,
+      rows: rows.map(({ data, ...row }) => row)
+    };
+
+    if (options.dryRun) {
+      return result;
+    }
+
+    if (invalid > 0) {
+      const error = new Error(`${invalid} row(s) are invalid, nothing was imported`);
+      error.code = 'IMPORT_INVALID';
+      error.result = result;
+      throw error;
+    }
+
+    // Mật khẩu được băm trước khi mở transaction để giữ transaction ngắn
+    const newUsers = [];
+    for (const row of rows) {
+      newUsers.push({
+        ...row.data,
+        password: await bcrypt.hash(row.data.password, this.saltRounds),
+        password_changed_at: new Date(),
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    }
+
+    const created = await this.userRepository.executeTransaction(async (transaction) => {
+      const users = [];
+      for (const newUser of newUsers) {
+        users.push(await this.userRepository.createInTransaction(transaction, newUser));
+      }
+      return users;
+    });
+
+    for (const [index, user] of created.entries()) {
+      await this.passwordPolicyService.recordPassword(user.id, newUsers[index].password);
+      result.rows[index].id = user.id;
+    }
+    if (actor) {
+      await this.userRepository.recordAuditTrail(
+        created.map(user => ({ action: 'create', id: user.id, before: null, after: user })),
+        actor
+      );
+    }
+
+    result.created = created.length;
+    return result;
+  }
+
+  /**
+   * Remove the password hash and login tracking columns from a user row before it is sent to a client
+   * @param {Object} user - User row
+   * @returns {Object} - Copy of the user without PRIVATE_COLUMNS
+   */
+  toPublicUser(user) {
+    return Object.fromEntries(Object.entries(user).filter(([column]) => !PRIVATE_COLUMNS.includes(column)));
+  }
+
+  /**
+   * Remove the private columns from the current user attached to a version conflict error
+   * @private
+   * @param {Error} error - Error thrown by checkIfMatch or the repository
+   * @returns {Error} - The same error
+   */
+  _withoutPassword(error) {
+    if (error.current) {
+      error.current = this.toPublicUser(error.current);
+    }
+    return error;
+  }
+
+  /**
+   * Read the rows of an import file into records keyed by column name
+   * @private
+   * @param {Object} file - Uploaded file ({ originalname, buffer })
+   * @returns {Array<Object>} - One record per data row, values trimmed
+   */
+  _readImportFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    let cells;
+    try {
+      cells = extension === '.xlsx'
+        ? parseXlsx(file.buffer)
+        : parseCsv(file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid import file: ${error.message}`);
+    }
+
+    const header = (cells[0] || []).map(name => String(name).trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = ['username', 'email', 'password'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Invalid import file: missing column(s) ${missing.join(', ')}`);
+    }
+
+    const records = cells.slice(1)
+      .filter(row => row.some(value => String(value).trim() !== ''))
+      .map(row => Object.fromEntries(this.importColumns.map(column => {
+        const index = header.indexOf(column);
+        return [column, index >= 0 ? String(row[index] ?? '').trim() : ''];
+      })));
+
+    if (records.length === 0) {
+      throw new Error('Invalid import file: no rows to import');
+    }
+    if (records.length > this.importLimit) {
+      throw new Error(`Invalid import file: no more than ${this.importLimit} rows can be imported at once`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Check import records against the createUser rules and against each other
+   * @private
+   * @param {Array<Object>} records - Records from _readImportFile
+   * @returns {Promise<Array<Object>>} - { row, username, email, role, errors, data } per record,
+   *   row being the line number in the file (the header is line 1)
+   */
+  async _validateImportRows(records) {
+    const seenUsernames = new Set();
+    const seenEmails = new Set();
+    const rows = [];
+
+    for (const [index, record] of records.entries()) {
+      const errors = [];
+
+      if (!record.username) {
+        errors.push('Username is required');
+      } else if (seenUsernames.has(record.username.toLowerCase())) {
+        errors.push('Username appears more than once in the file');
+      } else if (await this.userRepository.usernameExists(record.username)) {
+        errors.push('Username already exists');
+      }
+
+      if (!record.email) {
+        errors.push('Email is required');
+      } else if (!EMAIL_PATTERN.test(record.email)) {
+        errors.push('Email is invalid');
+      } else if (seenEmails.has(record.email.toLowerCase())) {
+        errors.push('Email appears more than once in the file');
+      } else if (await this.userRepository.emailExists(record.email)) {
+        errors.push('Email already exists');
+      }
+
+      if (!record.password) {
+        errors.push('Password is required');
+      } else {
+        try {
+          await this.passwordPolicyService.validate(record.password);
+        } catch (error) {
+          if (error.code !== 'PASSWORD_POLICY') {
+            throw error;
+          }
+          errors.push(...error.errors.password);
+        }
+      }
+
+      let role = null;
+      if (record.role && !(await this.roleService.isValidRole(record.role))) {
+        errors.push(`Invalid role: ${record.role}`);
+      } else {
+        role = await this.roleService.validateRole(record.role);
+      }
+
+      const activeValue = record.is_active.toLowerCase();
+      if (activeValue && !ACTIVE_VALUES.includes(activeValue) && !INACTIVE_VALUES.includes(activeValue)) {
+        errors.push(`Invalid is_active value: ${record.is_active}`);
+      }
+
+      seenUsernames.add(record.username.toLowerCase());
+      seenEmails.add(record.email.toLowerCase());
+
+      rows.push({
+        row: index + 2,
+        username: record.username,
+        email: record.email,
+        role,
+        errors,
+        data: {
+          username: record.username,
+          email: record.email,
+          password: record.password,
+          full_name: record.full_name,
+          role,
+          is_active: !INACTIVE_VALUES.includes(activeValue)
+        }
+      });
+    }
+
+    return rows;
   }
 
   /**
@@ -164,10 +581,7 @@ class UserService {
    */
   async updateLastLogin(id) {
     try {
-      await this.userRepository.update(id, {
-        last_login: new Date(),
-        updated_at: new Date()
-      });
+      await this.userRepository.updateLastLogin(id);
       return true;
     } catch (error) {
       console.error('Error updating last login time:', error);
@@ -213,6 +627,7 @@ class UserService {
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
    * @returns {Promise<boolean>} - True if password changed, false otherwise
+   * @throws {Error} - Error with code 'PASSWORD_POLICY' and errors for the newPassword field when the new password is rejected
    */
   async changePassword(id, currentPassword, newPassword) {
     // Get user with password
@@ -227,14 +642,25 @@ class UserService {
       throw new Error('Current password is incorrect');
     }
 
+    await this.passwordPolicyService.validate(newPassword, { user, field: 'newPassword' });
+
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, this.saltRounds);
 
     // Update password
     await this.userRepository.update(id, { 
       password: hashedPassword,
+      password_changed_at: new Date(),
       updated_at: new Date()
     });
+    await this.passwordPolicyService.recordPassword(id, hashedPassword);
+
+    authEventEmitter.emit('user:password_change', {
+      userId: id,
+      username: user.username,
+      success: true,
+      action: 'change_password'
+    });
 
     return true;
   }
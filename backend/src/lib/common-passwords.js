@@ -0,0 +1,41 @@
+/**
+ * Common Passwords
+ * Bundled blocklist of widely used and leaked passwords, checked by the password policy
+ */
+
+// Stored in lowercase; the list includes the variants that still pass the character class rules
+const COMMON_PASSWORDS = [
+  '123456', '12345678', '123456789', '1234567890', '12345', '1234567', '111111', '000000',
+  '123123', '654321', '666666', '888888', '121212', '112233', '987654321', '1q2w3e4r',
+  '1qaz2wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'asdf1234',
+  'password', 'password1', 'password12', 'password123', 'password1!', 'password123!',
+  'password@123', 'password@1', 'passw0rd', 'passw0rd!', 'p@ssword', 'p@ssword1',
+  'p@ssword123', 'p@ssw0rd', 'p@ssw0rd1', 'p@ssw0rd123', 'p@55w0rd', 'pa$$word', 'pa$$w0rd',
+  'admin', 'admin1', 'admin123', 'admin@123', 'admin@1234', 'admin123!', 'admin1234',
+  'administrator', 'root', 'root123', 'toor', 'letmein', 'letmein1', 'letmein1!',
+  'welcome', 'welcome1', 'welcome123', 'welcome1!', 'welcome@123', 'welcome123!',
+  'iloveyou', 'iloveyou1', 'iloveyou!', 'abc123', 'abc@123', 'abc123!', 'abcd1234',
+  'abcd@1234', 'aa123456', 'a123456', 'a1b2c3d4', 'monkey', 'dragon', 'master', 'master123',
+  'sunshine', 'princess', 'football', 'baseball', 'superman', 'batman', 'trustno1',
+  'shadow', 'michael', 'jennifer', 'hello123', 'hello@123', 'qwerty1!', 'qwerty@123',
+  'qwerty123!', 'q1w2e3r4', 'q1w2e3r4t5', 'zaq12wsx', 'zaq1@wsx', '!qaz2wsx', '1qaz@wsx',
+  'changeme', 'changeme1', 'changeme!', 'changeme123', 'secret', 'secret123', 'test',
+  'test123', 'test@123', 'test1234', 'testing123', 'guest', 'guest123', 'login', 'login123',
+  'default', 'user', 'user123', 'user@123', 'summer2024', 'summer2024!', 'winter2024',
+  'winter2024!', 'spring2025', 'spring2025!', 'autumn2025!', 'company123', 'company@123',
+  'vrc123', 'vrc@123', 'vrc@2024', 'vrc@2025', 'matkhau', 'matkhau123', 'matkhau@123',
+  'anhyeuem', 'anhyeuem123', 'yeuem123', 'iloveu', 'vietnam', 'vietnam123', 'vietnam@123'
+];
+
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+/**
+ * Check whether a password is on the bundled blocklist (case-insensitive)
+ * @param {string} password - Plain text password
+ * @returns {boolean} - True if the password is a common password
+ */
+export const isCommonPassword = (password) => {
+  return COMMON_PASSWORD_SET.has(String(password || '').toLowerCase());
+};
+
+export default COMMON_PASSWORDS;
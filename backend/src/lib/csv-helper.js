@@ -0,0 +1,91 @@
+/**
+ * CSV Helper
+ * Utility functions for building CSV exports and reading CSV imports
+ */
+
+/**
+ * Escape a value for a CSV cell
+ * Values starting with a formula character are prefixed so spreadsheets do not evaluate them
+ * @param {any} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV content with a header row
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array<any>>} rows - Data rows, values in the same order as the columns
+ * @returns {string} - CSV content with CRLF line endings
+ */
+export const toCsv = (columns, rows) => {
+  return [columns, ...rows]
+    .map(row => row.map(value => escapeCsvValue(value)).join(','))
+    .join('\r\n');
+};
+
+/**
+ * Parse CSV content into rows of cell values
+ * Handles quoted cells with commas, quotes and line breaks, CRLF/LF line endings and a UTF-8 BOM;
+ * blank lines are skipped
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} - Rows of cell values, including the header row
+ */
+export const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+export default {
+  escapeCsvValue,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,67 @@
+/**
+ * ETag Helper
+ * Optimistic concurrency for update endpoints: GET responses carry the row version of
+ * the record as an ETag, and PUT requests send it back in If-Match
+ *
+ *   GET /api/users/5            -> ETag: "3"
+ *   PUT /api/users/5            If-Match: "3"  -> 200, ETag: "4"
+ *   PUT /api/users/5            If-Match: "3"  -> 412 when someone else saved version 4 first
+ *
+ *   PUT /api/users/5                           -> 428, the client must say which version it edited
+ *   PUT /api/users/5            If-Match: *    -> 200, overwrites whatever version is stored
+ *
+ * Internal callers (bulk actions, self-service) pass no If-Match and skip the check.
+ */
+
+/**
+ * Build the ETag of a record version
+ * @param {number} version - Row version
+ * @returns {string} - Quoted ETag, e.g. '"3"'
+ */
+export const toETag = (version) => `"${version}"`;
+
+/**
+ * Parse an If-Match header
+ * @param {string} header - Header value, e.g. '"3"', 'W/"3"', '"3", "4"' or '*'
+ * @returns {Array<number>|string|null} - Accepted versions, '*' for any version, or null without a header
+ */
+export const parseIfMatch = (header) => {
+  if (!header || !String(header).trim()) {
+    return null;
+  }
+
+  if (String(header).trim() === '*') {
+    return '*';
+  }
+
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(tag => /^\d+$/.test(tag))
+    .map(Number);
+};
+
+/**
+ * Check that a record is still at one of the versions of an If-Match header
+ * @param {Array<number>|string|null} ifMatch - Parsed If-Match header (see parseIfMatch)
+ * @param {Object} record - Current record with its row_version
+ * @throws {Error} - Error with code 'PRECONDITION_FAILED' and the current record when the version has changed
+ */
+export const checkIfMatch = (ifMatch, record) => {
+  if (ifMatch === null || ifMatch === undefined || ifMatch === '*') {
+    return;
+  }
+
+  if (!ifMatch.includes(Number(record.row_version))) {
+    const error = new Error('The record was changed by someone else. Reload it and try again.');
+    error.code = 'PRECONDITION_FAILED';
+    error.current = record;
+    throw error;
+  }
+};
+
+export default {
+  toETag,
+  parseIfMatch,
+  checkIfMatch
+};
@@ -0,0 +1,47 @@
+/**
+ * HTML Helper
+ * Allowlist sanitizing of rich-text HTML written by editors, e.g. news content
+ * rendered as HTML on the public pages
+ */
+
+import sanitizeHtml from 'sanitize-html';
+
+// Markup of the admin rich-text editor plus common formatting pasted from other documents
+const RICH_TEXT_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'div', 'span', 'h2', 'h3', 'h4',
+    'b', 'strong', 'i', 'em', 'u', 's', 'sub', 'sup',
+    'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+    'a', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan']
+  },
+  // Relative URLs stay allowed; javascript:, data: and other schemes are removed
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links opening a new tab must not get access to the opening page
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target === '_blank' ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+
+/**
+ * Remove every tag, attribute and URL scheme that is not on the rich-text allowlist
+ * Scripts, styles, event handler attributes and javascript: URLs are dropped
+ * @param {string} html - HTML written by an editor
+ * @returns {string} - Sanitized HTML
+ */
+export const sanitizeRichText = (html) => sanitizeHtml(String(html ?? ''), RICH_TEXT_OPTIONS);
+
+export default {
+  sanitizeRichText
+};
@@ -0,0 +1,123 @@
+/**
+ * Query Spec Helper
+ * Parses the sort and filter query parameters of list endpoints into a query spec
+ * that BaseRepository.buildQuerySpec() turns into SQL
+ *
+ * Query string syntax:
+ *   sort=-created_at,username                     Sort fields in order, '-' for descending
+ *   sortBy=created_at&sortDir=desc                One sort field (older clients)
+ *   filter[role]=admin                            Equal to
+ *   filter[role][in]=admin,editor                 With an operator (see FILTER_OPERATORS)
+ *   filter[created_at][between]=2025-01-01,2025-01-31
+ *
+ * Only the syntax is checked here; which columns and operators are allowed is decided
+ * by the repository (sortableColumns, filterableColumns).
+ */
+
+// eq: =, ne: <>, in: one of a comma separated list, like: contains,
+// gt/gte/lt/lte: >, >=, <, <=, between: two comma separated values, both included
+export const FILTER_OPERATORS = ['eq', 'ne', 'in', 'like', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// Operators taking a comma separated list of values
+const LIST_OPERATORS = ['in', 'between'];
+
+const FILTER_KEY = /^filter\[([^\][]+)\](?:\[([^\][]+)\])?$/;
+
+/**
+ * Parse a sort parameter
+ * @param {string} value - Comma separated fields, '-' prefix for descending (e.g. '-created_at,id')
+ * @returns {Array<Object>} - [{ field, direction: 'ASC' | 'DESC' }]
+ */
+export const parseSort = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return String(value)
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean)
+    .map(token => token.startsWith('-')
+      ? { field: token.slice(1), direction: 'DESC' }
+      : { field: token.replace(/^\+/, ''), direction: 'ASC' });
+};
+
+/**
+ * Read the value of one filter
+ * @param {string} field - Filter field
+ * @param {string} operator - Filter operator
+ * @param {string|Array<string>} value - Query string value, an array when the parameter is repeated
+ * @returns {Object} - { field, operator, value }, value is an array for 'in' and 'between'
+ * @throws {Error} - If the operator is unknown or the values do not fit it
+ */
+const parseFilter = (field, operator, value) => {
+  if (!FILTER_OPERATORS.includes(operator)) {
+    throw new Error(`Invalid query: unknown filter operator '${operator}' for '${field}'`);
+  }
+
+  if (LIST_OPERATORS.includes(operator)) {
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(item => item !== '');
+
+    if (values.length === 0 || (operator === 'between' && values.length !== 2)) {
+      throw new Error(operator === 'between'
+        ? `Invalid query: filter[${field}][between] needs two values`
+        : `Invalid query: filter[${field}][in] needs at least one value`);
+    }
+    return { field, operator, value: values };
+  }
+
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+    throw new Error(`Invalid query: filter[${field}][${operator}] takes a single value`);
+  }
+
+  return { field, operator, value: String(value) };
+};
+
+/**
+ * Parse the sort and filter parameters of a list request
+ * Accepts both the flat keys of the default query parser ('filter[role][in]') and
+ * the nested object of the extended parser ({ filter: { role: { in: '...' } } })
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { filters: [{ field, operator, value }], sort: [{ field, direction }] }
+ * @throws {Error} - 'Invalid query: ...' for malformed filters
+ */
+export const parseQuerySpec = (query = {}) => {
+  const filters = [];
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = FILTER_KEY.exec(key);
+    if (match) {
+      filters.push(parseFilter(match[1], match[2] || 'eq', value));
+    }
+  });
+
+  if (query.filter && typeof query.filter === 'object' && !Array.isArray(query.filter)) {
+    Object.entries(query.filter).forEach(([field, value]) => {
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([operator, operatorValue]) => {
+          filters.push(parseFilter(field, operator, operatorValue));
+        });
+      } else {
+        filters.push(parseFilter(field, 'eq', value));
+      }
+    });
+  }
+
+  let sort = parseSort(query.sort);
+  if (sort.length === 0 && query.sortBy) {
+    sort = [{
+      field: String(query.sortBy),
+      direction: String(query.sortDir).toLowerCase() === 'asc' ? 'ASC' : 'DESC'
+    }];
+  }
+
+  return { filters, sort };
+};
+
+export default {
+  FILTER_OPERATORS,
+  parseSort,
+  parseQuerySpec
+};
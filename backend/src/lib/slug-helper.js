@@ -0,0 +1,51 @@
+/**
+ * Slug Helper
+ * Utility functions for building URL-friendly slugs
+ */
+
+/**
+ * Convert a string to a URL-friendly slug
+ * Vietnamese diacritics are stripped so "Hội thảo" becomes "hoi-thao"
+ * @param {string} text - Source text
+ * @returns {string} - Slug
+ */
+export const slugify = (text) => {
+  if (!text) {
+    return '';
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Build a slug that does not collide with existing records
+ * @param {string} text - Source text
+ * @param {Function} exists - Async callback returning true if a slug is already taken
+ * @returns {Promise<string>} - Unique slug
+ */
+export const uniqueSlug = async (text, exists) => {
+  const base = slugify(text) || `item-${Date.now()}`;
+  let slug = base;
+  let suffix = 2;
+
+  while (await exists(slug)) {
+    slug = `${base}-${suffix}`;
+    suffix++;
+  }
+
+  return slug;
+};
+
+export default {
+  slugify,
+  uniqueSlug
+};
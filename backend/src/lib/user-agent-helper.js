@@ -0,0 +1,69 @@
+/**
+ * User Agent Helper
+ * Utility functions for describing the device behind a User-Agent header
+ */
+
+// Order matters: Edge and Opera also contain "Chrome", Chrome also contains "Safari"
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Parse a User-Agent header into browser, operating system and device type
+ * Only the common browsers are recognised; anything else is reported as "Unknown"
+ * @param {string} userAgent - User-Agent header
+ * @returns {Object} - { browser, os, device }
+ */
+export const parseUserAgent = (userAgent) => {
+  const ua = String(userAgent || '');
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(ua));
+
+  let device = 'Desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    device = 'Tablet';
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    device = 'Mobile';
+  } else if (!ua) {
+    device = 'Unknown';
+  }
+
+  return {
+    browser: browser ? formatName(browser.name, ua.match(browser.pattern)[1]) : 'Unknown',
+    os: os ? formatName(os.name, ua.match(os.pattern)[1]) : 'Unknown',
+    device
+  };
+};
+
+/**
+ * Append the major version to a name, e.g. "Chrome 124"
+ * @param {string} name - Browser or OS name
+ * @param {string} [version] - Version captured from the User-Agent
+ * @returns {string}
+ */
+const formatName = (name, version) => {
+  if (!version) {
+    return name;
+  }
+
+  return `${name} ${version.split(/[._]/)[0]}`;
+};
+
+export default {
+  parseUserAgent
+};
@@ -0,0 +1,330 @@
+/**
+ * XLSX Helper
+ * Utility functions for writing and reading simple single-sheet Excel workbooks
+ * Only plain cell values are supported (no styles, formulas or merged cells)
+ */
+
+import zlib from 'zlib';
+
+// Largest uncompressed part read from an uploaded workbook
+const MAX_PART_SIZE = 20 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of a buffer, as stored in zip entries
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+/**
+ * Decode the entities of XML text
+ * @param {string} text - Escaped text
+ * @returns {string} - Text
+ */
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Get the column letters of a zero-based column index (0 => A, 26 => AA)
+ * @param {number} index - Column index
+ * @returns {string} - Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Get the zero-based column index of a cell reference (B3 => 1)
+ * @param {string} reference - Cell reference
+ * @returns {number} - Column index
+ */
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, content: string|Buffer}>} files - Archive entries
+ * @returns {Buffer} - Zip file
+ */
+const createZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // Version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Read the entries of a zip archive
+ * @param {Buffer} buffer - Zip file
+ * @returns {Map<string, Buffer>} - Entry name => uncompressed content
+ * @throws {Error} - If the file is not a readable zip archive
+ */
+const readZip = (buffer) => {
+  // End of central directory: the last 22 bytes, plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Invalid XLSX file');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error('Invalid XLSX file');
+    }
+
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (size > MAX_PART_SIZE) {
+      throw new Error('XLSX file is too large');
+    }
+
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE }));
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Build an XLSX workbook with one sheet and a header row
+ * Numbers and booleans are written as numbers, everything else as text
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array<any>>} rows - Data rows, values in the same order as the columns
+ * @param {string} [sheetName] - Sheet name
+ * @returns {Buffer} - XLSX file
+ */
+export const toXlsx = (columns, rows, sheetName = 'Sheet1') => {
+  const sheetRows = [columns, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, index) => {
+      const reference = `${columnName(index)}${rowIndex + 1}`;
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}">`
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xmlHeader}<worksheet xmlns="${mainNs}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+    }
+  ]);
+};
+
+/**
+ * Read the first sheet of an XLSX workbook
+ * Empty cells are returned as empty strings; numbers and booleans as their text
+ * @param {Buffer} buffer - XLSX file
+ * @returns {Array<Array<string>>} - Rows of cell values, including the header row
+ * @throws {Error} - If the file is not a readable XLSX workbook
+ */
+export const parseXlsx = (buffer) => {
+  const entries = readZip(buffer);
+  const read = (name) => entries.get(name)?.toString('utf8') || null;
+
+  // Find the first sheet through workbook.xml and its relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const relations = read('xl/_rels/workbook.xml.rels');
+  const firstSheetId = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  if (firstSheetId && relations) {
+    const relation = [...relations.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => tag.includes(`Id="${firstSheetId}"`));
+    const target = relation?.match(/Target="([^"]+)"/)?.[1];
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheet = read(sheetPath);
+  if (!sheet) {
+    throw new Error('Invalid XLSX file');
+  }
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => [...match[1].matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+      .map(text => unescapeXml(text[1]))
+      .join(''));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attributes.match(/\br="([A-Z]+\d+)"/i)?.[1];
+      const type = attributes.match(/\bt="([^"]+)"/)?.[1];
+      const index = reference ? columnIndex(reference) : row.length;
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = [...body.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(text => unescapeXml(text[1])).join('');
+      } else {
+        const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        if (raw !== undefined) {
+          value = type === 's' ? sharedStrings[parseInt(raw, 10)] ?? '' : unescapeXml(raw);
+        }
+      }
+
+      while (row.length < index) {
+        row.push('');
+      }
+      row[index] = value;
+    }
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+export default {
+  toXlsx,
+  parseXlsx
+};
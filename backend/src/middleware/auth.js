@@ -1,14 +1,41 @@
 /**
  * Authentication Middleware
- * Middleware for JWT authentication and authorization
+ * Middleware xác thực JWT và phân quyền bằng các policy có thể kết hợp
+ *
+ * Ví dụ trong route file:
+ *   router.get('/news', authenticate, requirePermission('news.view'), handler);
+ *   router.post('/users/:id/change-password', authenticate,
+ *     authorize(anyOf(isSelf(), hasRole(config.roles.ADMIN))), handler);
  */
 
-import authService from '../core/services/auth.service.js';
+import config from '../config.js';
 import tokenService from '../core/services/token.service.js';
 import authorizationService from '../core/services/authorization.service.js';
 import authenticationService from '../core/services/authentication.service.js';
 import authEventEmitter from '../core/events/auth-events.js';
 
+const FORBIDDEN_MESSAGE = 'You do not have permission to access this resource';
+
+/**
+ * Gửi response lỗi xác thực/phân quyền với body thống nhất { success: false, message }
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status (401, 403, 404)
+ * @param {string} message - Thông báo lỗi
+ */
+const sendAuthError = (res, status, message) => {
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * Lấy ID của người dùng đã xác thực (token cũ chỉ có id hoặc user_id)
+ * @param {Object} user - req.user
+ * @returns {number|string} - ID người dùng
+ */
+const getUserId = (user) => user.user_id || user.id;
+
 /**
  * Authentication middleware to verify JWT tokens
  * @param {Object} req - Express request object
@@ -20,76 +47,49 @@ export const authenticate = async (req, res, next) => {
     // Lấy token từ header
     const authHeader = req.headers.authorization || '';
     const token = tokenService.extractTokenFromHeader(authHeader);
-    
-    console.log(`Authentication middleware received token: ${token ? token.substring(0, 15) + '...' : 'undefined'}`);
-    console.log(`Auth header: ${authHeader ? authHeader.substring(0, 20) + '...' : 'undefined'}`);
-    
+
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication token is missing or invalid'
-      });
+      return sendAuthError(res, 401, 'Authentication token is missing or invalid');
     }
-    
+
     // Kiểm tra token đã bị thu hồi chưa
     if (await tokenService.isTokenRevoked(token)) {
-      console.log('Token has been revoked, rejecting request');
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication token has been revoked'
-      });
+      return sendAuthError(res, 401, 'Authentication token has been revoked');
     }
-      // Kiểm tra token đã hết hạn chưa
+
+    // Kiểm tra token đã hết hạn chưa
     if (tokenService.isTokenExpired(token)) {
-      console.log('Token has expired, rejecting request');
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication token has expired'
-      });
+      return sendAuthError(res, 401, 'Authentication token has expired');
     }
-    
+
+    let user;
     try {
       // Xác thực token và lấy thông tin người dùng
-      const user = await authenticationService.verify(token);
-      
-      console.log('Authenticated user:', JSON.stringify({
-        id: user.id, 
-        user_id: user.user_id, 
-        username: user.username,
-        role: user.role
-      }));
-      
-      // Ensure user_id is available (for backward compatibility)
-      if (!user.user_id && user.id) {
-        user.user_id = user.id;
-      }
-      
-      // Gắn thông tin user vào request
-      req.user = user;
-      req.token = token;
-      
-      // Thu thập metadata cho log (IP, user agent)
-      const requestMetadata = {
-        ip: req.ip,
-        userAgent: req.headers['user-agent'],
-        path: req.path
-      };
-      
-      // Phát sự kiện truy cập thành công
-      authEventEmitter.emit('auth:access', { 
-        userId: user.id,
-        username: user.username,
-        ...requestMetadata
-      });
-      
-      // Tiếp tục đến middleware hoặc route handler tiếp theo
-      next();    } catch (error) {
-      console.error('Authentication verification error:', error);
-      return res.status(401).json({
-        success: false,
-        message: error.message || 'Invalid authentication token'
-      });
+      user = await authenticationService.verify(token);
+    } catch (error) {
+      return sendAuthError(res, 401, error.message || 'Invalid authentication token');
+    }
+
+    // Ensure user_id is available (for backward compatibility)
+    if (!user.user_id && user.id) {
+      user.user_id = user.id;
     }
+
+    // Gắn thông tin user vào request
+    req.user = user;
+    req.token = token;
+
+    // Phát sự kiện truy cập thành công kèm metadata cho log (IP, user agent)
+    authEventEmitter.emit('auth:access', {
+      userId: user.id,
+      username: user.username,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      path: req.path
+    });
+
+    // Tiếp tục đến middleware hoặc route handler tiếp theo
+    next();
   } catch (error) {
     console.error('Authentication middleware error:', error);
     return res.status(500).json({
@@ -100,75 +100,6 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-/**
- * Middleware phân quyền theo vai trò
- * @param {string|Array<string>} roles - Vai trò cần thiết để truy cập route
- * @returns {Function} - Express middleware
- */
-export const authorize = (roles) => {
-  return async (req, res, next) => {
-    // Đảm bảo middleware authenticate đã chạy trước đó
-    if (!req.user) {
-      console.error('Authorization middleware used without authentication');
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error: authentication required before authorization'
-      });
-    }
-    
-    try {
-      // Log detailed user info for debugging
-      console.log(`Authorization check for user:`, JSON.stringify({
-        id: req.user.id,
-        user_id: req.user.user_id,
-        role: req.user.role
-      }));
-      console.log(`Required roles:`, roles);
-      
-      // Kiểm tra vai trò người dùng - passing the user ID correctly
-      // This is key - use either user_id or id, whichever is available
-      const userId = req.user.user_id || req.user.id;
-      const hasAccess = await authorizationService.hasRole(userId, roles);
-      
-      console.log(`Authorization result:`, hasAccess);
-      
-      if (!hasAccess) {
-        // Log hoạt động truy cập bị từ chối
-        authorizationService.logAuthorizationActivity(
-          userId,
-          'access_denied',
-          req.path,
-          false,
-          `Required roles: ${Array.isArray(roles) ? roles.join(', ') : roles}`
-        );
-        
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to access this resource'
-        });
-      }
-      
-      // Log hoạt động truy cập được phép
-      authorizationService.logAuthorizationActivity(
-        userId,
-        'access_granted',
-        req.path,
-        true
-      );
-      
-      // Tiếp tục đến middleware hoặc route handler tiếp theo
-      next();
-    } catch (error) {
-      console.error('Authorization error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Authorization error',
-        error: error.message
-      });
-    }
-  };
-};
-
 /**
  * Middleware xác thực tùy chọn
  * Xác thực người dùng nếu có token nhưng không bắt buộc
@@ -181,22 +112,22 @@ export const optionalAuth = async (req, res, next) => {
     // Lấy token từ header
     const authHeader = req.headers.authorization || '';
     const token = tokenService.extractTokenFromHeader(authHeader);
-    
+
     if (!token) {
       // Không có token, tiếp tục mà không xác thực
       return next();
     }
-    
+
     // Kiểm tra token đã bị thu hồi hoặc hết hạn
     if (await tokenService.isTokenRevoked(token) || tokenService.isTokenExpired(token)) {
       // Token không hợp lệ, tiếp tục mà không xác thực
       return next();
     }
-    
+
     try {
       // Xác thực token và lấy thông tin người dùng
       const user = await authenticationService.verify(token);
-      
+
       // Gắn thông tin user vào request
       req.user = user;
       req.token = token;
@@ -204,7 +135,7 @@ export const optionalAuth = async (req, res, next) => {
       // Lỗi xác thực, bỏ qua và tiếp tục
       console.warn('Optional auth: Invalid token', error.message);
     }
-    
+
     // Tiếp tục đến middleware hoặc route handler tiếp theo
     next();
   } catch (error) {
@@ -212,4 +143,198 @@ export const optionalAuth = async (req, res, next) => {
     console.error('Error in optional authentication:', error);
     next();
   }
-};
\ No newline at end of file
+};
+
+// ----- POLICIES -----
+// Policy là hàm async (req) => boolean kèm mô tả, dùng với authorize()
+// Vai trò và quyền được kiểm tra theo ID người dùng để lấy vai trò hiện tại trong database thay vì vai trò trong token
+
+/**
+ * Tạo policy từ hàm kiểm tra
+ * @param {string} description - Mô tả yêu cầu, ghi vào log khi bị từ chối
+ * @param {Function} check - async (req) => boolean
+ * @returns {Function} - Policy
+ */
+const definePolicy = (description, check) => {
+  const policy = (req) => check(req);
+  policy.description = description;
+  return policy;
+};
+
+/**
+ * Policy: người dùng có một trong các vai trò
+ * @param {...string|Array<string>} roles - Vai trò được phép
+ * @returns {Function} - Policy
+ */
+export const hasRole = (...roles) => {
+  const allowed = roles.flat();
+  return definePolicy(`role: ${allowed.join(', ')}`, req =>
+    authorizationService.hasRole(getUserId(req.user), allowed));
+};
+
+/**
+ * Policy: vai trò của người dùng có cấp độ (roles.level) từ vai trò tối thiểu trở lên
+ * @param {string} minRole - Vai trò tối thiểu
+ * @returns {Function} - Policy
+ */
+export const hasMinimumRole = (minRole) => {
+  return definePolicy(`minimum role: ${minRole}`, req =>
+    authorizationService.hasMinimumRole(getUserId(req.user), minRole));
+};
+
+/**
+ * Policy: vai trò của người dùng có tất cả các quyền trong bảng role_permissions
+ * @param {...string|Array<string>} permissions - Quyền cần thiết, ví dụ 'news.publish'
+ * @returns {Function} - Policy
+ */
+export const hasPermission = (...permissions) => {
+  const required = permissions.flat();
+  return definePolicy(`permission: ${required.join(', ')}`, req =>
+    authorizationService.hasPermission(getUserId(req.user), required));
+};
+
+/**
+ * Policy: vai trò của người dùng có quyền '<resource>.<action>', với resource lấy từ tham số trong URL
+ * Ví dụ /trash/:resource với action 'delete' cần quyền 'news.delete' khi resource là 'news'
+ * @param {string} action - Hành động, ví dụ 'delete'
+ * @param {string} [param] - Tên tham số route chứa tên resource
+ * @returns {Function} - Policy
+ */
+export const hasResourcePermission = (action, param = 'resource') => {
+  return definePolicy(`permission: :${param}.${action}`, req =>
+    authorizationService.hasPermission(getUserId(req.user), [`${req.params[param]}.${action}`]));
+};
+
+/**
+ * Policy: người dùng là chủ sở hữu tài nguyên
+ * Tài nguyên được gắn vào req.resource để route handler dùng lại; không tìm thấy thì trả về 404
+ * @param {Function} resourceGetter - async (req) => tài nguyên hoặc null
+ * @param {string} [ownerField] - Tên trường chứa ID chủ sở hữu
+ * @returns {Function} - Policy
+ */
+export const isOwner = (resourceGetter, ownerField = 'user_id') => {
+  return definePolicy(`owner (${ownerField})`, async req => {
+    const resource = req.resource || await resourceGetter(req);
+
+    if (!resource) {
+      const error = new Error('Resource not found');
+      error.status = 404;
+      throw error;
+    }
+
+    req.resource = resource;
+    return authorizationService.isOwner(req.user, resource, ownerField);
+  });
+};
+
+/**
+ * Policy: tham số trong URL là ID của chính người dùng, ví dụ /users/:id
+ * @param {string} [param] - Tên tham số route
+ * @returns {Function} - Policy
+ */
+export const isSelf = (param = 'id') => {
+  return definePolicy(`self (:${param})`, async req =>
+    String(req.params[param]) === String(getUserId(req.user)));
+};
+
+/**
+ * Policy: đạt ít nhất một policy, kiểm tra lần lượt và dừng ở policy đầu tiên đạt
+ * @param {...Function} policies - Các policy
+ * @returns {Function} - Policy
+ */
+export const anyOf = (...policies) => {
+  return definePolicy(policies.map(policy => policy.description).join(' or '), async req => {
+    for (const policy of policies) {
+      if (await policy(req)) {
+        return true;
+      }
+    }
+    return false;
+  });
+};
+
+/**
+ * Policy: đạt tất cả các policy
+ * @param {...Function} policies - Các policy
+ * @returns {Function} - Policy
+ */
+export const allOf = (...policies) => {
+  return definePolicy(policies.map(policy => policy.description).join(' and '), async req => {
+    for (const policy of policies) {
+      if (!(await policy(req))) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+// ----- AUTHORIZATION MIDDLEWARE -----
+
+/**
+ * Middleware phân quyền: request phải đạt tất cả các policy
+ * Vẫn nhận danh sách vai trò như trước, ví dụ authorize(['admin']) tương đương authorize(hasRole('admin'))
+ * @param {...Function|string|Array<string>} policies - Các policy hoặc vai trò
+ * @returns {Function} - Express middleware, thuộc tính `policy` là policy được kiểm tra
+ */
+export const authorize = (...policies) => {
+  const policy = allOf(...policies.map(item =>
+    typeof item === 'function' ? item : hasRole(item)));
+
+  const middleware = async (req, res, next) => {
+    // Phải chạy sau authenticate
+    if (!req.user) {
+      return sendAuthError(res, 401, 'Authentication required');
+    }
+
+    try {
+      if (!(await policy(req))) {
+        // Log hoạt động truy cập bị từ chối (được lưu vào auth_logs)
+        authorizationService.logAuthorizationActivity(getUserId(req.user), {
+          action: 'access_denied',
+          path: req.originalUrl || req.path,
+          required: policy.description,
+          granted: false
+        });
+
+        return sendAuthError(res, 403, FORBIDDEN_MESSAGE);
+      }
+
+      // Tiếp tục đến middleware hoặc route handler tiếp theo
+      next();
+    } catch (error) {
+      if (error.status) {
+        return sendAuthError(res, error.status, error.message);
+      }
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error',
+        error: error.message
+      });
+    }
+  };
+
+  // Cho phép kiểm tra route nào đã khai báo policy (xem authorization-policies.test.js)
+  middleware.policy = policy;
+  return middleware;
+};
+
+/**
+ * Middleware phân quyền theo quyền (permission) được gán cho vai trò trong bảng role_permissions
+ * Viết tắt của authorize(hasPermission(...))
+ * @param {string|Array<string>} permissions - Quyền cần thiết, ví dụ 'news.publish'; cần có tất cả
+ * @returns {Function} - Express middleware
+ */
+export const requirePermission = (permissions) => authorize(hasPermission(permissions));
+
+/**
+ * Middleware cho các route yêu cầu admin hoặc chủ sở hữu tài nguyên
+ * Viết tắt của authorize(anyOf(hasRole(config.roles.ADMIN), isOwner(...)))
+ * @param {Function} resourceGetter - Hàm lấy tài nguyên cho kiểm tra quyền sở hữu
+ * @param {string} [ownerField] - Tên trường chứa ID chủ sở hữu
+ * @returns {Function} - Express middleware
+ */
+export const authorizeAdminOrOwner = (resourceGetter, ownerField = 'user_id') => {
+  return authorize(anyOf(hasRole(config.roles.ADMIN), isOwner(resourceGetter, ownerField)));
+};
@@ -0,0 +1,59 @@
+/**
+ * Rate Limit Middleware
+ * Limits how many requests a client IP can make to an endpoint within a time window
+ */
+
+/**
+ * Create an in-memory fixed-window rate limiter
+ * Counters are kept per process, which is enough for the single-instance API server
+ * @param {Object} options - Limiter options
+ * @param {number} [options.windowMs=900000] - Length of the window in milliseconds (default: 15 minutes)
+ * @param {number} [options.max=5] - Maximum number of requests per IP within the window
+ * @param {string} [options.message] - Error message returned when the limit is exceeded
+ * @returns {Function} - Express middleware
+ */
+export const createRateLimiter = (options = {}) => {
+  const windowMs = options.windowMs || 15 * 60 * 1000;
+  const max = options.max || 5;
+  const message = options.message || 'Too many requests, please try again later';
+  const hits = new Map();
+
+  // Dọn các IP đã hết hạn cửa sổ để Map không phình to theo thời gian
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = req.ip || req.socket?.remoteAddress || 'unknown';
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+export default createRateLimiter;
@@ -0,0 +1,98 @@
+/**
+ * Upload Middleware
+ * Parses multipart/form-data requests and validates the uploaded file
+ */
+
+import path from 'path';
+import multer from 'multer';
+import config from '../config.js';
+
+// Giữ file trong bộ nhớ để service kiểm tra nội dung trước khi ghi ra đĩa
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Giữ đúng tên file tiếng Việt (mặc định multer giải mã theo latin1)
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: config.uploads.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.uploads.allowedMimeTypes[file.mimetype]) {
+      const error = new Error(`File type not allowed: ${file.mimetype}`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// File nhập dữ liệu (CSV/XLSX) được kiểm tra theo phần mở rộng vì trình duyệt gửi MIME type không thống nhất
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: config.uploads.import.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!config.uploads.import.allowedExtensions.includes(extension)) {
+      const error = new Error(`File type not allowed: ${extension || file.mimetype}`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Wrap a multer handler so that its errors are sent as 400/413 responses
+ * @param {Function} handler - Multer middleware
+ * @param {number} maxFileSize - Size limit, used in the 413 message
+ * @returns {Function} - Express middleware
+ */
+const handleUploadErrors = (handler, maxFileSize) => {
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        const maxSizeMb = Math.round(maxFileSize / (1024 * 1024));
+        return res.status(413).json({
+          success: false,
+          message: `File is too large. Maximum size is ${maxSizeMb}MB`
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'INVALID_FILE_TYPE' || error instanceof multer.MulterError
+          ? error.message
+          : 'Invalid upload request'
+      });
+    });
+  };
+};
+
+/**
+ * Accept a single file from the given form field
+ * Responds with 400/413 instead of passing multer errors to the global error handler
+ * @param {string} fieldName - Name of the multipart field (default: 'file')
+ * @returns {Function} - Express middleware
+ */
+export const uploadSingle = (fieldName = 'file') => {
+  return handleUploadErrors(upload.single(fieldName), config.uploads.maxFileSize);
+};
+
+/**
+ * Accept a single CSV or XLSX import file from the given form field
+ * @param {string} fieldName - Name of the multipart field (default: 'file')
+ * @returns {Function} - Express middleware
+ */
+export const uploadImportFile = (fieldName = 'file') => {
+  return handleUploadErrors(importUpload.single(fieldName), config.uploads.import.maxFileSize);
+};
+
+export default uploadSingle;
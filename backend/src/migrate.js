@@ -0,0 +1,89 @@
+/**
+ * Database Migration Script
+ * Chạy, rollback và xem trạng thái các migration trong src/migrations/<dialect> (mssql hoặc sqlite, theo DB_DIALECT)
+ *
+ * Cách dùng:
+ *   node src/migrate.js               Chạy tất cả migration chưa chạy
+ *   node src/migrate.js rollback [n]  Rollback n migration gần nhất (mặc định 1)
+ *   node src/migrate.js status        Liệt kê migration đã chạy và chưa chạy
+ */
+
+import dbService from './core/services/db.service.js';
+import migrationService from './core/services/migration.service.js';
+
+/**
+ * Chạy các migration chưa chạy
+ */
+async function migrate() {
+  const applied = await migrationService.migrate();
+  console.log(applied.length > 0
+    ? `Đã chạy ${applied.length} migration.`
+    : 'Không có migration nào cần chạy.');
+}
+
+/**
+ * Rollback các migration gần nhất
+ * @param {string} [stepsArg] - Số migration cần rollback
+ */
+async function rollback(stepsArg = '1') {
+  const steps = Number(stepsArg);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Số migration cần rollback không hợp lệ: ${stepsArg}`);
+  }
+
+  const rolledBack = await migrationService.rollback(steps);
+  console.log(rolledBack.length > 0
+    ? `Đã rollback ${rolledBack.length} migration.`
+    : 'Không có migration nào để rollback.');
+}
+
+/**
+ * In trạng thái các migration
+ */
+async function status() {
+  const migrations = await migrationService.getStatus();
+
+  for (const migration of migrations) {
+    let state = migration.applied
+      ? `applied ${migration.appliedAt.toISOString()}`
+      : 'pending';
+    if (migration.modified) {
+      state += ' (file đã thay đổi sau khi chạy)';
+    }
+    if (migration.missing) {
+      state += ' (không tìm thấy file)';
+    }
+    console.log(`${migration.id.padEnd(40)} ${state}`);
+  }
+
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n${migrations.length - pending} đã chạy, ${pending} chưa chạy.`);
+}
+
+const commands = { migrate, rollback, status };
+
+async function run() {
+  const [command = 'migrate', ...args] = process.argv.slice(2);
+
+  if (!Object.hasOwn(commands, command)) {
+    console.error(`Lệnh không hợp lệ: ${command}. Dùng: migrate | rollback [n] | status`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await dbService.init();
+    await commands[command](...args);
+  } catch (error) {
+    console.error('Lỗi migration:', error.message);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await dbService.close();
+    } catch (closeError) {
+      console.error('Lỗi khi đóng kết nối:', closeError);
+    }
+  }
+}
+
+run();
@@ -12,6 +12,14 @@ BEGIN
         role NVARCHAR(50) NOT NULL DEFAULT 'customer',
         is_active BIT NOT NULL DEFAULT 1,
         last_login DATETIME,
+        failed_login_attempts INT NOT NULL DEFAULT 0,
+        last_failed_login DATETIME NULL,
+        locked_until DATETIME NULL,
+        -- Người dùng tự đăng ký phải xác thực email trước khi đăng nhập
+        email_verified BIT NOT NULL DEFAULT 1,
+        email_verified_at DATETIME NULL,
+        -- Thời điểm đổi mật khẩu gần nhất, dùng cho thời hạn mật khẩu (passwordPolicy.maxAgeDays)
+        password_changed_at DATETIME NULL,
         created_at DATETIME NOT NULL DEFAULT GETDATE(),
         updated_at DATETIME NOT NULL DEFAULT GETDATE()
     );
@@ -19,9 +27,8 @@ BEGIN
     -- Thêm các ràng buộc duy nhất
     ALTER TABLE users ADD CONSTRAINT UQ_users_username UNIQUE (username);
     ALTER TABLE users ADD CONSTRAINT UQ_users_email UNIQUE (email);
-    
-    -- Thêm ràng buộc cho cột role
-    ALTER TABLE users ADD CONSTRAINT CK_users_role CHECK (role IN ('customer', 'admin', 'editor'));
+
+    -- Vai trò hợp lệ được quản lý trong bảng roles (009-rbac.up.sql)
 
     PRINT 'Đã tạo bảng users thành công';
 END
@@ -65,12 +72,44 @@ BEGIN
         ALTER TABLE users ADD updated_at DATETIME NOT NULL DEFAULT GETDATE();
         PRINT 'Đã thêm cột updated_at vào bảng users';
     END
-    
-    -- Check for role constraint and add if it doesn't exist
-    IF NOT EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_users_role' AND parent_object_id = OBJECT_ID('users'))
+
+    -- Các cột theo dõi đăng nhập sai và khóa tài khoản tạm thời
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'failed_login_attempts' AND object_id = OBJECT_ID('users'))
+    BEGIN
+        ALTER TABLE users ADD failed_login_attempts INT NOT NULL DEFAULT 0;
+        PRINT 'Đã thêm cột failed_login_attempts vào bảng users';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'last_failed_login' AND object_id = OBJECT_ID('users'))
+    BEGIN
+        ALTER TABLE users ADD last_failed_login DATETIME NULL;
+        PRINT 'Đã thêm cột last_failed_login vào bảng users';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'locked_until' AND object_id = OBJECT_ID('users'))
+    BEGIN
+        ALTER TABLE users ADD locked_until DATETIME NULL;
+        PRINT 'Đã thêm cột locked_until vào bảng users';
+    END
+
+    -- Tài khoản có sẵn được coi là đã xác thực email
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'email_verified' AND object_id = OBJECT_ID('users'))
+    BEGIN
+        ALTER TABLE users ADD email_verified BIT NOT NULL DEFAULT 1;
+        PRINT 'Đã thêm cột email_verified vào bảng users';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'email_verified_at' AND object_id = OBJECT_ID('users'))
+    BEGIN
+        ALTER TABLE users ADD email_verified_at DATETIME NULL;
+        PRINT 'Đã thêm cột email_verified_at vào bảng users';
+    END
+
+    -- Tài khoản có sẵn chưa có thời điểm đổi mật khẩu, thời hạn được tính từ created_at
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'password_changed_at' AND object_id = OBJECT_ID('users'))
     BEGIN
-        ALTER TABLE users ADD CONSTRAINT CK_users_role CHECK (role IN ('customer', 'admin', 'editor'));
-        PRINT 'Đã thêm ràng buộc cho cột role vào bảng users';
+        ALTER TABLE users ADD password_changed_at DATETIME NULL;
+        PRINT 'Đã thêm cột password_changed_at vào bảng users';
     END
 
     PRINT 'Đã cập nhật bảng users thành công';
@@ -0,0 +1,21 @@
+-- Script tạo bảng email_verification_tokens
+-- Token xác thực email của người dùng tự đăng ký, chỉ lưu SHA-256 của token như password_reset_tokens
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'email_verification_tokens')
+BEGIN
+    CREATE TABLE email_verification_tokens (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        used BIT NOT NULL DEFAULT 0,
+        CONSTRAINT FK_email_verification_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_email_verification_tokens_token_hash ON email_verification_tokens (token_hash);
+    CREATE INDEX IX_email_verification_tokens_user ON email_verification_tokens (user_id, created_at);
+
+    PRINT 'Created email_verification_tokens table successfully';
+END
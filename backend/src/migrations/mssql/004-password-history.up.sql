@@ -0,0 +1,18 @@
+-- Script tạo bảng password_history
+-- Lưu bcrypt hash của các mật khẩu đã dùng để chặn việc dùng lại N mật khẩu gần nhất
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'password_history')
+BEGIN
+    CREATE TABLE password_history (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        user_id INT NOT NULL,
+        password_hash NVARCHAR(255) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_password_history_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_password_history_user ON password_history (user_id, created_at);
+
+    PRINT 'Created password_history table successfully';
+END
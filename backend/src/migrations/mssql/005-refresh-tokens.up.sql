@@ -0,0 +1,93 @@
+-- Script tạo bảng refresh_tokens
+-- Lưu trữ refresh tokens để sử dụng cho việc refresh access tokens
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng/cột còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'refresh_tokens')
+BEGIN
+    CREATE TABLE refresh_tokens (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        -- Chỉ lưu SHA-256 (hex) của refresh token, token gốc chỉ có ở phía client
+        token_hash CHAR(64) NOT NULL,
+        user_id INT NOT NULL,
+        -- Các token sinh ra từ cùng một lần đăng nhập (qua các lần rotate) có chung family_id,
+        -- family_id cũng là session id công khai của phiên đăng nhập
+        family_id VARCHAR(64) NOT NULL,
+        -- Token mới thay thế token này khi rotate; token đã rotate bị dùng lại là dấu hiệu bị đánh cắp
+        replaced_by_id INT NULL,
+        expiry_date DATETIME NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        last_used_at DATETIME NULL,
+        is_revoked BIT NOT NULL DEFAULT 0,
+        revoked_at DATETIME NULL,
+        user_agent NVARCHAR(512) NULL,
+        -- IP của lần đăng nhập hoặc lần làm mới token gần nhất
+        ip_address VARCHAR(45) NULL,
+        CONSTRAINT UQ_RefreshTokens_TokenHash UNIQUE (token_hash),
+        CONSTRAINT FK_RefreshTokens_Users FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Tạo index để tìm kiếm nhanh theo user_id
+    CREATE INDEX IX_RefreshTokens_UserId ON refresh_tokens(user_id);
+    CREATE INDEX IX_RefreshTokens_Expiry ON refresh_tokens(expiry_date);
+    CREATE INDEX IX_RefreshTokens_Family ON refresh_tokens(family_id);
+
+    PRINT 'Created refresh_tokens table successfully';
+END
+ELSE
+BEGIN
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'family_id' AND object_id = OBJECT_ID('refresh_tokens'))
+    BEGIN
+        ALTER TABLE refresh_tokens ADD family_id VARCHAR(64) NULL;
+
+        -- Mỗi token có sẵn được xem là một family riêng
+        EXEC('UPDATE refresh_tokens SET family_id = CONVERT(VARCHAR(64), NEWID()) WHERE family_id IS NULL');
+        EXEC('ALTER TABLE refresh_tokens ALTER COLUMN family_id VARCHAR(64) NOT NULL');
+        EXEC('CREATE INDEX IX_RefreshTokens_Family ON refresh_tokens(family_id)');
+
+        PRINT 'Added family_id column to refresh_tokens table';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'replaced_by_id' AND object_id = OBJECT_ID('refresh_tokens'))
+    BEGIN
+        ALTER TABLE refresh_tokens ADD replaced_by_id INT NULL;
+        PRINT 'Added replaced_by_id column to refresh_tokens table';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'ip_address' AND object_id = OBJECT_ID('refresh_tokens'))
+    BEGIN
+        ALTER TABLE refresh_tokens ADD ip_address VARCHAR(45) NULL;
+        PRINT 'Added ip_address column to refresh_tokens table';
+    END
+
+    -- Chuyển token dạng plain text sang token_hash rồi xóa cột token
+    IF EXISTS (SELECT * FROM sys.columns WHERE name = 'token' AND object_id = OBJECT_ID('refresh_tokens'))
+    BEGIN
+        IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'token_hash' AND object_id = OBJECT_ID('refresh_tokens'))
+            ALTER TABLE refresh_tokens ADD token_hash CHAR(64) NULL;
+
+        EXEC('UPDATE refresh_tokens SET token_hash = LOWER(CONVERT(CHAR(64), HASHBYTES(''SHA2_256'', CAST(token AS VARCHAR(255))), 2)) WHERE token_hash IS NULL');
+
+        -- Xóa các index và ràng buộc UNIQUE (tên tự sinh) đang dùng cột token
+        IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_RefreshTokens_Token' AND object_id = OBJECT_ID('refresh_tokens'))
+            DROP INDEX IX_RefreshTokens_Token ON refresh_tokens;
+        IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_RefreshTokens_Valid' AND object_id = OBJECT_ID('refresh_tokens'))
+            DROP INDEX IX_RefreshTokens_Valid ON refresh_tokens;
+
+        DECLARE @tokenConstraint NVARCHAR(256);
+        SELECT @tokenConstraint = kc.name
+        FROM sys.key_constraints kc
+        JOIN sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+        JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE kc.parent_object_id = OBJECT_ID('refresh_tokens') AND kc.type = 'UQ' AND c.name = 'token';
+
+        IF @tokenConstraint IS NOT NULL
+            EXEC('ALTER TABLE refresh_tokens DROP CONSTRAINT ' + @tokenConstraint);
+
+        ALTER TABLE refresh_tokens DROP COLUMN token;
+
+        EXEC('ALTER TABLE refresh_tokens ALTER COLUMN token_hash CHAR(64) NOT NULL');
+        EXEC('ALTER TABLE refresh_tokens ADD CONSTRAINT UQ_RefreshTokens_TokenHash UNIQUE (token_hash)');
+
+        PRINT 'Migrated refresh_tokens to hashed tokens';
+    END
+END
@@ -0,0 +1,41 @@
+-- Script tạo bảng revoked_tokens
+-- Lưu trữ các JWT token đã bị thu hồi (blacklist)
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng/cột còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'revoked_tokens')
+BEGIN
+    CREATE TABLE revoked_tokens (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        -- SHA-256 (hex) của JWT bị thu hồi
+        token_hash CHAR(64) NOT NULL,
+        user_id INT NULL,
+        expiry_date DATETIME NOT NULL,
+        revoked_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_RevokedTokens_Users FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Tạo index để tìm kiếm nhanh theo token
+    CREATE INDEX IX_RevokedTokens_TokenHash ON revoked_tokens(token_hash);
+    -- Tạo index để tự động dọn dẹp token hết hạn
+    CREATE INDEX IX_RevokedTokens_Expiry ON revoked_tokens(expiry_date);
+
+    PRINT 'Created revoked_tokens table successfully';
+END
+ELSE IF EXISTS (SELECT * FROM sys.columns WHERE name = 'token' AND object_id = OBJECT_ID('revoked_tokens'))
+BEGIN
+    -- Chuyển JWT dạng plain text sang token_hash rồi xóa cột token
+    IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'token_hash' AND object_id = OBJECT_ID('revoked_tokens'))
+        ALTER TABLE revoked_tokens ADD token_hash CHAR(64) NULL;
+
+    EXEC('UPDATE revoked_tokens SET token_hash = LOWER(CONVERT(CHAR(64), HASHBYTES(''SHA2_256'', CAST(token AS VARCHAR(2000))), 2)) WHERE token_hash IS NULL');
+
+    IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_RevokedTokens_Token' AND object_id = OBJECT_ID('revoked_tokens'))
+        DROP INDEX IX_RevokedTokens_Token ON revoked_tokens;
+
+    ALTER TABLE revoked_tokens DROP COLUMN token;
+
+    EXEC('ALTER TABLE revoked_tokens ALTER COLUMN token_hash CHAR(64) NOT NULL');
+    EXEC('CREATE INDEX IX_RevokedTokens_TokenHash ON revoked_tokens(token_hash)');
+
+    PRINT 'Migrated revoked_tokens to hashed tokens';
+END
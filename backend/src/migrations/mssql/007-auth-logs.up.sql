@@ -0,0 +1,47 @@
+-- Script tạo bảng auth_logs
+-- Lưu trữ nhật ký hoạt động xác thực và phân quyền
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng/index còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'auth_logs')
+BEGIN
+    CREATE TABLE auth_logs (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        user_id INT NULL,
+        username NVARCHAR(100) NULL,
+        action NVARCHAR(50) NOT NULL,
+        success BIT NOT NULL DEFAULT 0,
+        details NVARCHAR(1000) NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent NVARCHAR(512) NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        -- Giữ lại nhật ký khi xóa người dùng, cột username vẫn cho biết ai đã thực hiện
+        CONSTRAINT FK_AuthLogs_Users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Tạo index để tìm kiếm theo user_id, thời gian, hành động và IP
+    CREATE INDEX IX_AuthLogs_UserId ON auth_logs(user_id);
+    CREATE INDEX IX_AuthLogs_Time ON auth_logs(created_at);
+    CREATE INDEX IX_AuthLogs_Action ON auth_logs(action, created_at);
+    CREATE INDEX IX_AuthLogs_Ip ON auth_logs(ip_address, created_at);
+
+    PRINT 'Created auth_logs table successfully';
+END
+ELSE
+BEGIN
+    -- Bảng cũ chặn việc xóa người dùng đã có nhật ký
+    IF EXISTS (
+        SELECT * FROM sys.foreign_keys
+        WHERE name = 'FK_AuthLogs_Users' AND parent_object_id = OBJECT_ID('auth_logs') AND delete_referential_action = 0
+    )
+    BEGIN
+        ALTER TABLE auth_logs DROP CONSTRAINT FK_AuthLogs_Users;
+        ALTER TABLE auth_logs ADD CONSTRAINT FK_AuthLogs_Users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+        PRINT 'Changed FK_AuthLogs_Users to ON DELETE SET NULL';
+    END
+
+    IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_AuthLogs_Ip' AND object_id = OBJECT_ID('auth_logs'))
+    BEGIN
+        CREATE INDEX IX_AuthLogs_Ip ON auth_logs(ip_address, created_at);
+        PRINT 'Added IX_AuthLogs_Ip index to auth_logs table';
+    END
+END
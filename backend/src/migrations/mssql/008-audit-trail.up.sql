@@ -0,0 +1,30 @@
+-- Script tạo bảng audit_trail
+-- Lưu lịch sử thay đổi dữ liệu trong trang quản trị: ai đã thay đổi bản ghi nào, trước và sau khi thay đổi
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'audit_trail')
+BEGIN
+    CREATE TABLE audit_trail (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        table_name NVARCHAR(100) NOT NULL,
+        record_id NVARCHAR(64) NOT NULL,
+        action NVARCHAR(10) NOT NULL,
+        -- Danh sách cột đã thay đổi (chỉ với action = 'update'), phân cách bằng dấu phẩy
+        changed_fields NVARCHAR(1000) NULL,
+        -- Bản ghi dạng JSON trước và sau khi thay đổi, không gồm các cột nhạy cảm như password
+        before_data NVARCHAR(MAX) NULL,
+        after_data NVARCHAR(MAX) NULL,
+        -- Không dùng khóa ngoại để lịch sử vẫn còn khi người dùng bị xóa
+        actor_id INT NULL,
+        actor_username NVARCHAR(100) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_AuditTrail_Action CHECK (action IN ('create', 'update', 'delete'))
+    );
+
+    -- Tạo index để tra cứu lịch sử theo bản ghi và theo người thực hiện
+    CREATE INDEX IX_AuditTrail_Record ON audit_trail(table_name, record_id, created_at);
+    CREATE INDEX IX_AuditTrail_Actor ON audit_trail(actor_id, created_at);
+
+    PRINT 'Created audit_trail table successfully';
+END
@@ -0,0 +1,120 @@
+-- Script tạo các bảng phân quyền: roles, permissions, role_permissions
+-- users.role lưu tên vai trò (roles.name); danh sách vai trò hợp lệ được quản lý trong bảng roles
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng và dữ liệu mặc định còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'roles')
+BEGIN
+    CREATE TABLE roles (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(20) NOT NULL,
+        description NVARCHAR(255) NULL,
+        -- Cấp độ dùng cho kiểm tra vai trò tối thiểu (admin = 100)
+        level INT NOT NULL DEFAULT 0,
+        -- Vai trò hệ thống không thể đổi tên hoặc xóa
+        is_system BIT NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_roles_name UNIQUE (name)
+    );
+
+    PRINT 'Created roles table successfully';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'permissions')
+BEGIN
+    CREATE TABLE permissions (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        -- Tên quyền dạng <module>.<action>, ví dụ news.publish
+        name NVARCHAR(100) NOT NULL,
+        module NVARCHAR(50) NOT NULL,
+        description NVARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_permissions_name UNIQUE (name)
+    );
+
+    PRINT 'Created permissions table successfully';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'role_permissions')
+BEGIN
+    CREATE TABLE role_permissions (
+        role_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT PK_role_permissions PRIMARY KEY (role_id, permission_id),
+        CONSTRAINT FK_role_permissions_role FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        CONSTRAINT FK_role_permissions_permission FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_role_permissions_permission ON role_permissions (permission_id);
+
+    PRINT 'Created role_permissions table successfully';
+END
+
+-- Vai trò hệ thống
+MERGE roles AS target
+USING (VALUES
+    (N'admin', N'Full access to the administration area', 100),
+    (N'editor', N'Manages website content', 50),
+    (N'customer', N'Registered website user', 10)
+) AS source (name, description, level)
+ON target.name = source.name
+WHEN NOT MATCHED THEN
+    INSERT (name, description, level, is_system) VALUES (source.name, source.description, source.level, 1);
+
+-- Danh sách quyền, tương ứng với requirePermission() trên các route
+MERGE permissions AS target
+USING (VALUES
+    (N'news.view', N'news', N'View articles in the admin area'),
+    (N'news.create', N'news', N'Create articles'),
+    (N'news.update', N'news', N'Edit articles'),
+    (N'news.delete', N'news', N'Delete articles'),
+    (N'news.publish', N'news', N'Publish, unpublish and archive articles'),
+    (N'products.view', N'products', N'View products in the admin area'),
+    (N'products.create', N'products', N'Create products'),
+    (N'products.update', N'products', N'Edit products'),
+    (N'products.delete', N'products', N'Delete products'),
+    (N'projects.view', N'projects', N'View projects in the admin area'),
+    (N'projects.create', N'projects', N'Create projects'),
+    (N'projects.update', N'projects', N'Edit projects and manage project members'),
+    (N'projects.delete', N'projects', N'Delete projects'),
+    (N'files.view', N'files', N'Browse the media library'),
+    (N'files.upload', N'files', N'Upload files'),
+    (N'files.delete', N'files', N'Delete files'),
+    (N'messages.view', N'messages', N'Read and export contact messages'),
+    (N'messages.update', N'messages', N'Mark contact messages as read or unread'),
+    (N'messages.delete', N'messages', N'Delete contact messages'),
+    (N'users.view', N'users', N'View user accounts'),
+    (N'users.create', N'users', N'Create user accounts'),
+    (N'users.delete', N'users', N'Delete user accounts'),
+    (N'users.unlock', N'users', N'Unlock accounts locked after failed logins'),
+    (N'users.sessions', N'users', N'View sign-in sessions and history of other users and sign them out'),
+    (N'audit.view', N'audit', N'View and export the audit log and the change history of records'),
+    (N'roles.view', N'roles', N'View roles and permissions'),
+    (N'roles.manage', N'roles', N'Create, edit and delete roles and assign permissions')
+) AS source (name, module, description)
+ON target.name = source.name
+WHEN NOT MATCHED THEN
+    INSERT (name, module, description) VALUES (source.name, source.module, source.description);
+
+-- Quyền mặc định: admin có toàn bộ quyền, editor quản lý nội dung.
+-- Chỉ gán khi vai trò chưa có quyền nào để không ghi đè cấu hình đã chỉnh sửa
+IF NOT EXISTS (SELECT * FROM role_permissions rp JOIN roles r ON rp.role_id = r.id WHERE r.name = 'admin')
+BEGIN
+    INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'admin';
+END
+
+IF NOT EXISTS (SELECT * FROM role_permissions rp JOIN roles r ON rp.role_id = r.id WHERE r.name = 'editor')
+BEGIN
+    INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+    WHERE r.name = 'editor' AND p.module IN ('news', 'products', 'projects', 'files', 'messages');
+END
+
+-- Vai trò giờ được kiểm tra qua bảng roles, bỏ ràng buộc danh sách cố định
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_users_role' AND parent_object_id = OBJECT_ID('users'))
+BEGIN
+    ALTER TABLE users DROP CONSTRAINT CK_users_role;
+    PRINT 'Dropped CK_users_role constraint from users table';
+END
@@ -0,0 +1,38 @@
+-- Script tạo các bảng xác thực hai lớp (TOTP): user_two_factor, user_recovery_codes
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'user_two_factor')
+BEGIN
+    CREATE TABLE user_two_factor (
+        user_id INT NOT NULL PRIMARY KEY,
+        -- Secret TOTP (base32) được mã hóa AES-256-GCM, xem two-factor.service.js
+        secret NVARCHAR(255) NOT NULL,
+        -- 0 trong lúc đăng ký, chuyển thành 1 khi người dùng xác nhận mã đầu tiên
+        is_enabled BIT NOT NULL DEFAULT 0,
+        -- Bước thời gian (30 giây) của mã TOTP dùng gần nhất, chống dùng lại cùng một mã
+        last_used_step BIGINT NULL,
+        enabled_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_user_two_factor_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    PRINT 'Created user_two_factor table successfully';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'user_recovery_codes')
+BEGIN
+    CREATE TABLE user_recovery_codes (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        user_id INT NOT NULL,
+        -- SHA-256 của mã khôi phục, mã gốc chỉ hiển thị một lần cho người dùng
+        code_hash NVARCHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT FK_user_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IX_user_recovery_codes_user ON user_recovery_codes (user_id);
+
+    PRINT 'Created user_recovery_codes table successfully';
+END
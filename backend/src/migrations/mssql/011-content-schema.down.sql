@@ -0,0 +1,21 @@
+-- Xóa các bảng nội dung theo thứ tự khóa ngoại, trigger được xóa cùng bảng
+DROP TABLE IF EXISTS news_tags;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS news;
+DROP TABLE IF EXISTS tags;
+DROP TABLE IF EXISTS product_images;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS project_images;
+DROP TABLE IF EXISTS project_members;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS files;
+DROP TABLE IF EXISTS services;
+DROP TABLE IF EXISTS technologies;
+DROP TABLE IF EXISTS testimonials;
+DROP TABLE IF EXISTS contact_messages;
+DROP TABLE IF EXISTS faqs;
+DROP TABLE IF EXISTS team_members;
+DROP TABLE IF EXISTS partners;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS settings;
@@ -1,49 +1,11 @@
--- VRC Database Schema
--- Vietnamese Refrigeration Company (VRC)
--- Created: April 8, 2025
--- SQL Server 2019 Version - Fixed Foreign Keys
-
-USE master;
-GO
-
--- Create the database if it doesn't exist
-IF NOT EXISTS (SELECT name FROM sys.databases WHERE name = 'VRC')
-BEGIN
-    CREATE DATABASE VRC
-    COLLATE Vietnamese_CI_AS;
-END
-GO
-
-USE VRC;
-GO
+-- Bảng nội dung của website: tin tức, sản phẩm, dự án, thư viện file, dịch vụ, ...
+-- Bảng users được tạo bởi 001-users.up.sql
+-- Script có thể chạy lại nhiều lần: chỉ tạo bảng, khóa ngoại và index còn thiếu
 
 -- -----------------------------------------------------
 -- STEP 1: CREATE ALL TABLES WITHOUT FOREIGN KEY CONSTRAINTS
 -- -----------------------------------------------------
 
--- Table users
-IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[users]') AND type in (N'U'))
-BEGIN
-    CREATE TABLE [dbo].[users] (
-        [id] INT NOT NULL IDENTITY(1,1),
-        [username] NVARCHAR(100) NOT NULL,
-        [email] NVARCHAR(100) NOT NULL,
-        [password] NVARCHAR(255) NOT NULL,
-        [full_name] NVARCHAR(150) NOT NULL,
-        [phone] NVARCHAR(20) NULL,
-        [role] NVARCHAR(20) NOT NULL CONSTRAINT DF_users_role DEFAULT 'customer',
-        [avatar] NVARCHAR(255) NULL,
-        [created_at] DATETIME2(0) NOT NULL CONSTRAINT DF_users_created_at DEFAULT GETDATE(),
-        [updated_at] DATETIME2(0) NOT NULL CONSTRAINT DF_users_updated_at DEFAULT GETDATE(),
-        CONSTRAINT [PK_users] PRIMARY KEY CLUSTERED ([id] ASC),
-        CONSTRAINT [CK_users_role] CHECK ([role] IN ('admin', 'editor', 'customer'))
-    );
-
-    CREATE UNIQUE NONCLUSTERED INDEX [IX_users_email] ON [dbo].[users] ([email] ASC);
-    CREATE UNIQUE NONCLUSTERED INDEX [IX_users_username] ON [dbo].[users] ([username] ASC);
-END
-GO
-
 -- Table categories
 IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[categories]') AND type in (N'U'))
 BEGIN
@@ -230,6 +192,49 @@ BEGIN
 END
 GO
 
+-- Table project_members
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[project_members]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[project_members] (
+        [id] INT NOT NULL IDENTITY(1,1),
+        [project_id] INT NOT NULL,
+        [user_id] INT NOT NULL,
+        [role] NVARCHAR(20) NOT NULL CONSTRAINT DF_project_members_role DEFAULT 'member',
+        [created_at] DATETIME2(0) NOT NULL CONSTRAINT DF_project_members_created_at DEFAULT GETDATE(),
+        CONSTRAINT [PK_project_members] PRIMARY KEY CLUSTERED ([id] ASC),
+        CONSTRAINT [CK_project_members_role] CHECK ([role] IN ('manager', 'member'))
+    );
+
+    CREATE UNIQUE NONCLUSTERED INDEX [IX_project_members_project_user] ON [dbo].[project_members] ([project_id] ASC, [user_id] ASC);
+    CREATE NONCLUSTERED INDEX [IX_project_members_user] ON [dbo].[project_members] ([user_id] ASC);
+END
+GO
+
+-- Table files
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[files]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[files] (
+        [id] INT NOT NULL IDENTITY(1,1),
+        [original_name] NVARCHAR(255) NOT NULL,
+        [file_name] NVARCHAR(255) NOT NULL,
+        [file_path] NVARCHAR(500) NOT NULL,
+        [thumbnail_path] NVARCHAR(500) NULL,
+        [mime_type] NVARCHAR(100) NOT NULL,
+        [size] INT NOT NULL,
+        [width] INT NULL,
+        [height] INT NULL,
+        [usage_type] NVARCHAR(20) NOT NULL CONSTRAINT DF_files_usage_type DEFAULT 'general',
+        [uploaded_by] INT NULL,
+        [created_at] DATETIME2(0) NOT NULL CONSTRAINT DF_files_created_at DEFAULT GETDATE(),
+        CONSTRAINT [PK_files] PRIMARY KEY CLUSTERED ([id] ASC),
+        CONSTRAINT [CK_files_usage_type] CHECK ([usage_type] IN ('general', 'news', 'product', 'project'))
+    );
+
+    CREATE UNIQUE NONCLUSTERED INDEX [IX_files_file_path] ON [dbo].[files] ([file_path] ASC);
+    CREATE NONCLUSTERED INDEX [IX_files_uploaded_by] ON [dbo].[files] ([uploaded_by] ASC);
+END
+GO
+
 -- Table services
 IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[services]') AND type in (N'U'))
 BEGIN
@@ -415,20 +420,6 @@ GO
 -- STEP 2: CREATE TRIGGERS FOR UPDATING TIMESTAMPS
 -- -----------------------------------------------------
 
--- Trigger to update updated_at timestamp on users
-CREATE OR ALTER TRIGGER [dbo].[trg_users_update]
-ON [dbo].[users]
-AFTER UPDATE
-AS
-BEGIN
-    SET NOCOUNT ON;
-    UPDATE [dbo].[users]
-    SET [updated_at] = GETDATE()
-    FROM [dbo].[users] u
-    INNER JOIN inserted i ON u.id = i.id;
-END
-GO
-
 -- Trigger to update updated_at timestamp on categories
 CREATE OR ALTER TRIGGER [dbo].[trg_categories_update]
 ON [dbo].[categories]
@@ -640,54 +631,7 @@ END
 GO
 
 -- -----------------------------------------------------
--- STEP 3: INSERT SAMPLE DATA
--- -----------------------------------------------------
-
--- Sample Data: Basic settings
-INSERT INTO [dbo].[settings] ([setting_key], [setting_value], [setting_group])
-VALUES
-('site_title', N'VRC - Tổng công ty Kỹ thuật lạnh Việt Nam', 'general'),
-('site_description', N'Chuyên cung cấp giải pháp và dịch vụ về hệ thống lạnh, điều hòa không khí cho các doanh nghiệp và cá nhân', 'general'),
-('contact_email', 'contact@vrc.com.vn', 'contact'),
-('contact_phone', '+84 28 1234 5678', 'contact'),
-('contact_address', N'123 Nguyễn Văn Linh, Quận 7, TP.HCM', 'contact'),
-('social_facebook', 'https://facebook.com/vrc-vietnam', 'social'),
-('social_linkedin', 'https://linkedin.com/company/vrc-vietnam', 'social'),
-('social_youtube', 'https://youtube.com/channel/vrc-vietnam', 'social'),
-('social_zalo', 'https://zalo.me/vrc-vietnam', 'social');
-GO
-
--- Sample Data: Categories
-INSERT INTO [dbo].[categories] ([name], [slug], [description])
-VALUES
-(N'Triển lãm', 'trien-lam', N'Các triển lãm và sự kiện ngành lạnh'),
-(N'Hội thảo', 'hoi-thao', N'Hội thảo chuyên ngành về công nghệ lạnh'),
-(N'Đào tạo', 'dao-tao', N'Chương trình đào tạo kỹ thuật viên lạnh'),
-(N'Ra mắt sản phẩm', 'ra-mat-san-pham', N'Sự kiện giới thiệu sản phẩm mới'),
-(N'Diễn đàn', 'dien-dan', N'Diễn đàn trao đổi chuyên môn');
-GO
-
--- Sample Data: Tags
-INSERT INTO [dbo].[tags] ([name], [slug])
-VALUES
-(N'Triển lãm', 'trien-lam'),
-(N'Điều hòa', 'dieu-hoa'),
-(N'Công nghệ làm lạnh', 'cong-nghe-lam-lanh'),
-(N'Tiết kiệm năng lượng', 'tiet-kiem-nang-luong'),
-(N'Công nghệ mới', 'cong-nghe-moi'),
-(N'Hệ thống lạnh', 'he-thong-lanh');
-GO
-
--- Sample Data: Users
-INSERT INTO [dbo].[users] ([username], [email], [password], [full_name], [phone], [role])
-VALUES
-('admin', 'admin@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', N'Admin VRC', '0901234567', 'admin'),
-('bantochuc', 'btc@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', N'Ban Tổ Chức', '0909876543', 'editor'),
-('vrc-editor', 'editor@vrc.com.vn', '$2y$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'VRC', '0987654321', 'editor');
-GO
-
--- -----------------------------------------------------
--- STEP 4: ADD FOREIGN KEY CONSTRAINTS 
+-- STEP 3: ADD FOREIGN KEY CONSTRAINTS 
 -- (Fixed to avoid "cycles or multiple cascade paths" errors)
 -- -----------------------------------------------------
 
@@ -799,6 +743,35 @@ BEGIN
 END
 GO
 
+-- Add foreign key constraints for project_members table
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE object_id = OBJECT_ID(N'[dbo].[FK_project_members_project]'))
+BEGIN
+    ALTER TABLE [dbo].[project_members] WITH CHECK
+    ADD CONSTRAINT [FK_project_members_project] FOREIGN KEY([project_id])
+    REFERENCES [dbo].[projects] ([id])
+    ON DELETE CASCADE;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE object_id = OBJECT_ID(N'[dbo].[FK_project_members_user]'))
+BEGIN
+    ALTER TABLE [dbo].[project_members] WITH CHECK
+    ADD CONSTRAINT [FK_project_members_user] FOREIGN KEY([user_id])
+    REFERENCES [dbo].[users] ([id])
+    ON DELETE CASCADE;
+END
+GO
+
+-- Add foreign key constraint for files table
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE object_id = OBJECT_ID(N'[dbo].[FK_files_uploaded_by]'))
+BEGIN
+    ALTER TABLE [dbo].[files] WITH CHECK
+    ADD CONSTRAINT [FK_files_uploaded_by] FOREIGN KEY([uploaded_by])
+    REFERENCES [dbo].[users] ([id])
+    ON DELETE SET NULL;
+END
+GO
+
 -- Add foreign key constraint for services table (self-referencing)
 -- FIXED: Changed ON DELETE SET NULL to ON DELETE NO ACTION
 IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE object_id = OBJECT_ID(N'[dbo].[FK_services_parent]'))
@@ -812,13 +785,10 @@ END
 GO
 
 -- -----------------------------------------------------
--- STEP 5: ADD OPTIMIZED INDEXES FOR DATABASE PERFORMANCE
+-- STEP 4: ADD OPTIMIZED INDEXES FOR DATABASE PERFORMANCE
 -- -----------------------------------------------------
 
 -- Indexes cho tìm kiếm
-IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_users_phone' AND object_id = OBJECT_ID('dbo.users'))
-    CREATE NONCLUSTERED INDEX IX_users_phone ON [dbo].[users] ([phone]);
-    
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_products_name' AND object_id = OBJECT_ID('dbo.products'))
     CREATE NONCLUSTERED INDEX IX_products_name ON [dbo].[products] ([name]);
     
@@ -873,6 +843,9 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_testimonials_active' A
     
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_team_members_active' AND object_id = OBJECT_ID('dbo.team_members'))
     CREATE NONCLUSTERED INDEX IX_team_members_active ON [dbo].[team_members] ([active]);
+    
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_contact_messages_read_date' AND object_id = OBJECT_ID('dbo.contact_messages'))
+    CREATE NONCLUSTERED INDEX IX_contact_messages_read_date ON [dbo].[contact_messages] ([read_status], [created_at]);
 
 -- Indexes cho phân trang
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_news_page_date' AND object_id = OBJECT_ID('dbo.news'))
@@ -0,0 +1,22 @@
+-- Bỏ xóa mềm; nội dung đang trong thùng rác bị xóa hẳn,
+-- người dùng trong thùng rác bị vô hiệu hóa để không đăng nhập lại được
+DELETE FROM audit_trail WHERE action IN ('restore', 'purge');
+ALTER TABLE audit_trail DROP CONSTRAINT CK_AuditTrail_Action;
+ALTER TABLE audit_trail ADD CONSTRAINT CK_AuditTrail_Action CHECK (action IN ('create', 'update', 'delete'));
+GO
+
+DELETE FROM projects WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_projects_deleted_at ON projects;
+ALTER TABLE projects DROP COLUMN deleted_at, deleted_by;
+
+DELETE FROM products WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_products_deleted_at ON products;
+ALTER TABLE products DROP COLUMN deleted_at, deleted_by;
+
+DELETE FROM news WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_news_deleted_at ON news;
+ALTER TABLE news DROP COLUMN deleted_at, deleted_by;
+
+UPDATE users SET is_active = 0 WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_users_deleted_at ON users;
+ALTER TABLE users DROP COLUMN deleted_at, deleted_by;
@@ -0,0 +1,61 @@
+-- Xóa mềm (soft delete) cho users, news, products, projects: cột deleted_at, deleted_by
+-- Bản ghi có deleted_at nằm trong thùng rác, không hiện trong các truy vấn thông thường, có thể khôi phục
+-- hoặc bị xóa hẳn sau thời gian lưu (config.trash.retentionDays)
+-- Script có thể chạy lại nhiều lần: chỉ thêm cột và index còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'deleted_at' AND object_id = OBJECT_ID('users'))
+BEGIN
+    -- Không dùng khóa ngoại cho deleted_by để người xóa có thể bị xóa hẳn trước
+    ALTER TABLE users ADD deleted_at DATETIME NULL, deleted_by INT NULL;
+    PRINT 'Đã thêm cột deleted_at, deleted_by vào bảng users';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'deleted_at' AND object_id = OBJECT_ID('news'))
+BEGIN
+    -- Không dùng khóa ngoại cho deleted_by để người xóa có thể bị xóa hẳn trước
+    ALTER TABLE news ADD deleted_at DATETIME NULL, deleted_by INT NULL;
+    PRINT 'Đã thêm cột deleted_at, deleted_by vào bảng news';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'deleted_at' AND object_id = OBJECT_ID('products'))
+BEGIN
+    -- Không dùng khóa ngoại cho deleted_by để người xóa có thể bị xóa hẳn trước
+    ALTER TABLE products ADD deleted_at DATETIME NULL, deleted_by INT NULL;
+    PRINT 'Đã thêm cột deleted_at, deleted_by vào bảng products';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'deleted_at' AND object_id = OBJECT_ID('projects'))
+BEGIN
+    -- Không dùng khóa ngoại cho deleted_by để người xóa có thể bị xóa hẳn trước
+    ALTER TABLE projects ADD deleted_at DATETIME NULL, deleted_by INT NULL;
+    PRINT 'Đã thêm cột deleted_at, deleted_by vào bảng projects';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_users_deleted_at' AND object_id = OBJECT_ID('users'))
+BEGIN
+    CREATE INDEX IX_users_deleted_at ON users (deleted_at);
+END
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_news_deleted_at' AND object_id = OBJECT_ID('news'))
+BEGIN
+    CREATE INDEX IX_news_deleted_at ON news (deleted_at);
+END
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_products_deleted_at' AND object_id = OBJECT_ID('products'))
+BEGIN
+    CREATE INDEX IX_products_deleted_at ON products (deleted_at);
+END
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_projects_deleted_at' AND object_id = OBJECT_ID('projects'))
+BEGIN
+    CREATE INDEX IX_projects_deleted_at ON projects (deleted_at);
+END
+
+-- Lịch sử thay đổi ghi thêm thao tác khôi phục và xóa hẳn
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_AuditTrail_Action')
+BEGIN
+    ALTER TABLE audit_trail DROP CONSTRAINT CK_AuditTrail_Action;
+END
+ALTER TABLE audit_trail ADD CONSTRAINT CK_AuditTrail_Action
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
@@ -0,0 +1,12 @@
+-- Bỏ phiên bản bản ghi (row_version)
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS DF_projects_row_version;
+ALTER TABLE projects DROP COLUMN IF EXISTS row_version;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS DF_products_row_version;
+ALTER TABLE products DROP COLUMN IF EXISTS row_version;
+
+ALTER TABLE news DROP CONSTRAINT IF EXISTS DF_news_row_version;
+ALTER TABLE news DROP COLUMN IF EXISTS row_version;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS DF_users_row_version;
+ALTER TABLE users DROP COLUMN IF EXISTS row_version;
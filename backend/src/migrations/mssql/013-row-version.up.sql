@@ -0,0 +1,27 @@
+-- Phiên bản bản ghi (row_version) cho users, news, products, projects để chống ghi đè khi sửa đồng thời
+-- Mỗi lần cập nhật tăng row_version lên 1; API trả về ETag theo row_version và kiểm tra If-Match khi PUT
+-- Script có thể chạy lại nhiều lần: chỉ thêm cột còn thiếu
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'row_version' AND object_id = OBJECT_ID('users'))
+BEGIN
+    ALTER TABLE users ADD row_version INT NOT NULL CONSTRAINT DF_users_row_version DEFAULT 1;
+    PRINT 'Đã thêm cột row_version vào bảng users';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'row_version' AND object_id = OBJECT_ID('news'))
+BEGIN
+    ALTER TABLE news ADD row_version INT NOT NULL CONSTRAINT DF_news_row_version DEFAULT 1;
+    PRINT 'Đã thêm cột row_version vào bảng news';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'row_version' AND object_id = OBJECT_ID('products'))
+BEGIN
+    ALTER TABLE products ADD row_version INT NOT NULL CONSTRAINT DF_products_row_version DEFAULT 1;
+    PRINT 'Đã thêm cột row_version vào bảng products';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE name = 'row_version' AND object_id = OBJECT_ID('projects'))
+BEGIN
+    ALTER TABLE projects ADD row_version INT NOT NULL CONSTRAINT DF_projects_row_version DEFAULT 1;
+    PRINT 'Đã thêm cột row_version vào bảng projects';
+END
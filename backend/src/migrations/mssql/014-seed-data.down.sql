@@ -0,0 +1,15 @@
+-- Xóa dữ liệu mẫu của 014-seed-data.up.sql
+-- Danh mục và thẻ đang được dùng bởi nội dung tạo sau vẫn được giữ lại
+
+DELETE FROM [dbo].[products] WHERE [slug] IN ('dieu-hoa-cong-nghiep-vrc-5000', 'kho-lanh-bao-quan-vrc-kl500', 'may-lam-lanh-nuoc-cong-nghiep-vrc-chiller', 'dieu-hoa-dan-dung-vrc-smart-inverter', 'thap-giai-nhiet-vrc-ct250', 'he-thong-thong-gio-vrc-ventilation', 'he-thong-vrv-vrf-vrc-multi', 'he-thong-loc-bui-cong-nghiep-vrc-dustfilter');
+
+DELETE FROM [dbo].[tags]
+WHERE [slug] IN ('trien-lam', 'dieu-hoa', 'cong-nghe-lam-lanh', 'tiet-kiem-nang-luong', 'cong-nghe-moi', 'he-thong-lanh')
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[news_tags] nt WHERE nt.[tag_id] = [dbo].[tags].[id]);
+
+DELETE FROM [dbo].[categories]
+WHERE [slug] IN ('trien-lam', 'hoi-thao', 'dao-tao', 'ra-mat-san-pham', 'dien-dan', 'industrial', 'commercial', 'residential', 'cold-storage', 'chiller', 'auxiliary')
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[products] p WHERE p.[category_id] = [dbo].[categories].[id])
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[news] n WHERE n.[category_id] = [dbo].[categories].[id]);
+
+DELETE FROM [dbo].[settings] WHERE [setting_key] IN ('site_title', 'site_description', 'contact_email', 'contact_phone', 'contact_address', 'social_facebook', 'social_linkedin', 'social_youtube', 'social_zalo');
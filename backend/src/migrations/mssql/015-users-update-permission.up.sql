@@ -0,0 +1,12 @@
+-- Quyền users.update: sửa email, mật khẩu, vai trò và trạng thái của tài khoản người dùng
+-- Người dùng không có quyền này chỉ sửa được username và họ tên của chính mình
+IF NOT EXISTS (SELECT * FROM permissions WHERE name = 'users.update')
+BEGIN
+    INSERT INTO permissions (name, module, description)
+    VALUES (N'users.update', N'users', N'Edit user accounts, including their email, password, role and status');
+END
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin' AND p.name = 'users.update'
+  AND NOT EXISTS (SELECT * FROM role_permissions rp WHERE rp.role_id = r.id AND rp.permission_id = p.id);
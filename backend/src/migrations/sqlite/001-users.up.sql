@@ -0,0 +1,24 @@
+-- Bảng users (SQLite), cùng cấu trúc với mssql/001-users.up.sql
+-- Ngày giờ lưu dạng ISO 8601 UTC, ví dụ 2025-01-31T08:00:00.000Z
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username NVARCHAR(100) NOT NULL,
+    email NVARCHAR(255) NOT NULL,
+    password NVARCHAR(255) NOT NULL,
+    full_name NVARCHAR(255),
+    role NVARCHAR(50) NOT NULL DEFAULT 'customer',
+    is_active BIT NOT NULL DEFAULT 1,
+    last_login DATETIME,
+    failed_login_attempts INT NOT NULL DEFAULT 0,
+    last_failed_login DATETIME NULL,
+    locked_until DATETIME NULL,
+    -- Người dùng tự đăng ký phải xác thực email trước khi đăng nhập
+    email_verified BIT NOT NULL DEFAULT 1,
+    email_verified_at DATETIME NULL,
+    -- Thời điểm đổi mật khẩu gần nhất, dùng cho thời hạn mật khẩu (passwordPolicy.maxAgeDays)
+    password_changed_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT UQ_users_username UNIQUE (username),
+    CONSTRAINT UQ_users_email UNIQUE (email)
+);
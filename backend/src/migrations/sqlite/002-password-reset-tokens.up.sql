@@ -0,0 +1,13 @@
+-- Bảng password_reset_tokens (SQLite)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INT NOT NULL,
+    token NVARCHAR(100) NOT NULL,
+    token_hash NVARCHAR(255) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    used BIT NOT NULL DEFAULT 0,
+    CONSTRAINT FK_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS IDX_password_reset_tokens_token_hash ON password_reset_tokens (token_hash);
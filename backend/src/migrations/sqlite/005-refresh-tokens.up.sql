@@ -0,0 +1,22 @@
+-- Bảng refresh_tokens (SQLite), chỉ lưu SHA-256 của refresh token
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash CHAR(64) NOT NULL,
+    user_id INT NOT NULL,
+    -- Các token sinh ra từ cùng một lần đăng nhập có chung family_id (session id công khai)
+    family_id VARCHAR(64) NOT NULL,
+    replaced_by_id INT NULL,
+    expiry_date DATETIME NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at DATETIME NULL,
+    is_revoked BIT NOT NULL DEFAULT 0,
+    revoked_at DATETIME NULL,
+    user_agent NVARCHAR(512) NULL,
+    ip_address VARCHAR(45) NULL,
+    CONSTRAINT UQ_RefreshTokens_TokenHash UNIQUE (token_hash),
+    CONSTRAINT FK_RefreshTokens_Users FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS IX_RefreshTokens_UserId ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS IX_RefreshTokens_Expiry ON refresh_tokens(expiry_date);
+CREATE INDEX IF NOT EXISTS IX_RefreshTokens_Family ON refresh_tokens(family_id);
@@ -0,0 +1,12 @@
+-- Bảng revoked_tokens (SQLite): SHA-256 của các JWT đã bị thu hồi
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash CHAR(64) NOT NULL,
+    user_id INT NULL,
+    expiry_date DATETIME NOT NULL,
+    revoked_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT FK_RevokedTokens_Users FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS IX_RevokedTokens_TokenHash ON revoked_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS IX_RevokedTokens_Expiry ON revoked_tokens(expiry_date);
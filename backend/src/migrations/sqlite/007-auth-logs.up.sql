@@ -0,0 +1,19 @@
+-- Bảng auth_logs (SQLite): nhật ký hoạt động xác thực và phân quyền
+CREATE TABLE IF NOT EXISTS auth_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INT NULL,
+    username NVARCHAR(100) NULL,
+    action NVARCHAR(50) NOT NULL,
+    success BIT NOT NULL DEFAULT 0,
+    details NVARCHAR(1000) NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent NVARCHAR(512) NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    -- Giữ lại nhật ký khi xóa người dùng
+    CONSTRAINT FK_AuthLogs_Users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS IX_AuthLogs_UserId ON auth_logs(user_id);
+CREATE INDEX IF NOT EXISTS IX_AuthLogs_Time ON auth_logs(created_at);
+CREATE INDEX IF NOT EXISTS IX_AuthLogs_Action ON auth_logs(action, created_at);
+CREATE INDEX IF NOT EXISTS IX_AuthLogs_Ip ON auth_logs(ip_address, created_at);
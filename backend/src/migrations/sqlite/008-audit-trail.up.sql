@@ -0,0 +1,19 @@
+-- Bảng audit_trail (SQLite): lịch sử thay đổi dữ liệu trong trang quản trị
+CREATE TABLE IF NOT EXISTS audit_trail (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name NVARCHAR(100) NOT NULL,
+    record_id NVARCHAR(64) NOT NULL,
+    action NVARCHAR(10) NOT NULL,
+    changed_fields NVARCHAR(1000) NULL,
+    before_data TEXT NULL,
+    after_data TEXT NULL,
+    -- Không dùng khóa ngoại để lịch sử vẫn còn khi người dùng bị xóa
+    actor_id INT NULL,
+    actor_username NVARCHAR(100) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_AuditTrail_Action CHECK (action IN ('create', 'update', 'delete'))
+);
+
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Record ON audit_trail(table_name, record_id, created_at);
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Actor ON audit_trail(actor_id, created_at);
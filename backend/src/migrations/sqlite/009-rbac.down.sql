@@ -0,0 +1,4 @@
+-- Xóa các bảng phân quyền theo thứ tự khóa ngoại
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,79 @@
+-- Các bảng phân quyền (SQLite): roles, permissions, role_permissions
+-- users.role lưu tên vai trò (roles.name); danh sách vai trò hợp lệ được quản lý trong bảng roles
+CREATE TABLE IF NOT EXISTS roles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(20) NOT NULL,
+    description NVARCHAR(255) NULL,
+    -- Cấp độ dùng cho kiểm tra vai trò tối thiểu (admin = 100)
+    level INT NOT NULL DEFAULT 0,
+    -- Vai trò hệ thống không thể đổi tên hoặc xóa
+    is_system BIT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT UQ_roles_name UNIQUE (name)
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    -- Tên quyền dạng <module>.<action>, ví dụ news.publish
+    name NVARCHAR(100) NOT NULL,
+    module NVARCHAR(50) NOT NULL,
+    description NVARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT UQ_permissions_name UNIQUE (name)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT PK_role_permissions PRIMARY KEY (role_id, permission_id),
+    CONSTRAINT FK_role_permissions_role FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_role_permissions_permission FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS IX_role_permissions_permission ON role_permissions (permission_id);
+
+-- Vai trò hệ thống
+INSERT OR IGNORE INTO roles (name, description, level, is_system) VALUES
+    ('admin', 'Full access to the administration area', 100, 1),
+    ('editor', 'Manages website content', 50, 1),
+    ('customer', 'Registered website user', 10, 1);
+
+-- Danh sách quyền, tương ứng với requirePermission() trên các route
+INSERT OR IGNORE INTO permissions (name, module, description) VALUES
+    ('news.view', 'news', 'View articles in the admin area'),
+    ('news.create', 'news', 'Create articles'),
+    ('news.update', 'news', 'Edit articles'),
+    ('news.delete', 'news', 'Delete articles'),
+    ('news.publish', 'news', 'Publish, unpublish and archive articles'),
+    ('products.view', 'products', 'View products in the admin area'),
+    ('products.create', 'products', 'Create products'),
+    ('products.update', 'products', 'Edit products'),
+    ('products.delete', 'products', 'Delete products'),
+    ('projects.view', 'projects', 'View projects in the admin area'),
+    ('projects.create', 'projects', 'Create projects'),
+    ('projects.update', 'projects', 'Edit projects and manage project members'),
+    ('projects.delete', 'projects', 'Delete projects'),
+    ('files.view', 'files', 'Browse the media library'),
+    ('files.upload', 'files', 'Upload files'),
+    ('files.delete', 'files', 'Delete files'),
+    ('messages.view', 'messages', 'Read and export contact messages'),
+    ('messages.update', 'messages', 'Mark contact messages as read or unread'),
+    ('messages.delete', 'messages', 'Delete contact messages'),
+    ('users.view', 'users', 'View user accounts'),
+    ('users.create', 'users', 'Create user accounts'),
+    ('users.delete', 'users', 'Delete user accounts'),
+    ('users.unlock', 'users', 'Unlock accounts locked after failed logins'),
+    ('users.sessions', 'users', 'View sign-in sessions and history of other users and sign them out'),
+    ('audit.view', 'audit', 'View and export the audit log and the change history of records'),
+    ('roles.view', 'roles', 'View roles and permissions'),
+    ('roles.manage', 'roles', 'Create, edit and delete roles and assign permissions');
+
+-- Quyền mặc định: admin có toàn bộ quyền, editor quản lý nội dung
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'admin';
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'editor' AND p.module IN ('news', 'products', 'projects', 'files', 'messages');
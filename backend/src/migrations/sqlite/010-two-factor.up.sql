@@ -0,0 +1,24 @@
+-- Các bảng xác thực hai lớp (SQLite): user_two_factor, user_recovery_codes
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INT NOT NULL PRIMARY KEY,
+    -- Secret TOTP được mã hóa AES-256-GCM, xem two-factor.service.js
+    secret NVARCHAR(255) NOT NULL,
+    is_enabled BIT NOT NULL DEFAULT 0,
+    last_used_step BIGINT NULL,
+    enabled_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT FK_user_two_factor_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INT NOT NULL,
+    -- SHA-256 của mã khôi phục
+    code_hash NVARCHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT FK_user_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS IX_user_recovery_codes_user ON user_recovery_codes (user_id);
@@ -0,0 +1,431 @@
+-- Bảng nội dung của website (SQLite), cùng cấu trúc với mssql/011-content-schema.up.sql
+-- Bảng users được tạo bởi 001-users.up.sql
+-- SQLite chỉ khai báo khóa ngoại trong CREATE TABLE, nên khóa ngoại nằm ngay trong từng bảng
+
+-- Table categories
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(100) NOT NULL,
+    slug NVARCHAR(120) NOT NULL,
+    description TEXT NULL,
+    parent_id INT NULL,
+    image NVARCHAR(255) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT FK_categories_parent FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE NO ACTION
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_categories_slug ON categories (slug);
+CREATE INDEX IF NOT EXISTS IX_categories_parent ON categories (parent_id);
+
+-- Table tags
+CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(50) NOT NULL,
+    slug NVARCHAR(60) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_tags_slug ON tags (slug);
+
+-- Table news
+CREATE TABLE IF NOT EXISTS news (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT NULL,
+    image NVARCHAR(255) NULL,
+    publish_date DATE NOT NULL,
+    author_id INT NOT NULL,
+    category_id INT NOT NULL,
+    location NVARCHAR(255) NULL,
+    organizer NVARCHAR(150) NULL,
+    views INT NOT NULL DEFAULT 0,
+    featured BIT NOT NULL DEFAULT 0,
+    status NVARCHAR(20) NOT NULL DEFAULT 'published',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_news_status CHECK (status IN ('published', 'draft', 'archived')),
+    CONSTRAINT FK_news_author FOREIGN KEY (author_id) REFERENCES users(id),
+    CONSTRAINT FK_news_category FOREIGN KEY (category_id) REFERENCES categories(id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_news_slug ON news (slug);
+CREATE INDEX IF NOT EXISTS IX_news_author ON news (author_id);
+CREATE INDEX IF NOT EXISTS IX_news_category ON news (category_id);
+
+-- Table news_tags
+CREATE TABLE IF NOT EXISTS news_tags (
+    news_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    CONSTRAINT PK_news_tags PRIMARY KEY (news_id, tag_id),
+    CONSTRAINT FK_news_tags_news FOREIGN KEY (news_id) REFERENCES news(id) ON DELETE CASCADE,
+    CONSTRAINT FK_news_tags_tag FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS IX_news_tags_tag ON news_tags (tag_id);
+
+-- Table comments
+CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    news_id INT NOT NULL,
+    user_id INT NULL,
+    parent_id INT NULL,
+    author_name NVARCHAR(100) NULL,
+    author_email NVARCHAR(100) NULL,
+    content TEXT NOT NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_comments_status CHECK (status IN ('approved', 'pending', 'spam')),
+    CONSTRAINT FK_comments_news FOREIGN KEY (news_id) REFERENCES news(id) ON DELETE CASCADE,
+    CONSTRAINT FK_comments_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT FK_comments_parent FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE NO ACTION
+);
+CREATE INDEX IF NOT EXISTS IX_comments_news ON comments (news_id);
+CREATE INDEX IF NOT EXISTS IX_comments_user ON comments (user_id);
+CREATE INDEX IF NOT EXISTS IX_comments_parent ON comments (parent_id);
+
+-- Table products
+CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    description TEXT NULL,
+    specifications TEXT NULL,
+    features TEXT NULL,
+    category_id INT NOT NULL,
+    image NVARCHAR(255) NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'active',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_products_status CHECK (status IN ('active', 'inactive')),
+    CONSTRAINT FK_products_category FOREIGN KEY (category_id) REFERENCES categories(id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_products_slug ON products (slug);
+CREATE INDEX IF NOT EXISTS IX_products_category ON products (category_id);
+
+-- Table product_images
+CREATE TABLE IF NOT EXISTS product_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INT NOT NULL,
+    image_path NVARCHAR(255) NOT NULL,
+    alt_text NVARCHAR(255) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    CONSTRAINT FK_product_images_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS IX_product_images_product ON product_images (product_id);
+
+-- Table projects
+CREATE TABLE IF NOT EXISTS projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    description TEXT NULL,
+    content TEXT NULL,
+    client NVARCHAR(100) NULL,
+    location NVARCHAR(255) NULL,
+    year INT NULL,
+    featured_image NVARCHAR(255) NULL,
+    project_type NVARCHAR(20) NOT NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'completed',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_projects_project_type CHECK (project_type IN ('commercial', 'industrial', 'residential')),
+    CONSTRAINT CK_projects_status CHECK (status IN ('completed', 'ongoing', 'upcoming'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_projects_slug ON projects (slug);
+
+-- Table project_images
+CREATE TABLE IF NOT EXISTS project_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INT NOT NULL,
+    image_path NVARCHAR(255) NOT NULL,
+    alt_text NVARCHAR(255) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    CONSTRAINT FK_project_images_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS IX_project_images_project ON project_images (project_id);
+
+-- Table project_members
+CREATE TABLE IF NOT EXISTS project_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role NVARCHAR(20) NOT NULL DEFAULT 'member',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_project_members_role CHECK (role IN ('manager', 'member')),
+    CONSTRAINT FK_project_members_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_project_members_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_project_members_project_user ON project_members (project_id, user_id);
+CREATE INDEX IF NOT EXISTS IX_project_members_user ON project_members (user_id);
+
+-- Table files
+CREATE TABLE IF NOT EXISTS files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_name NVARCHAR(255) NOT NULL,
+    file_name NVARCHAR(255) NOT NULL,
+    file_path NVARCHAR(500) NOT NULL,
+    thumbnail_path NVARCHAR(500) NULL,
+    mime_type NVARCHAR(100) NOT NULL,
+    size INT NOT NULL,
+    width INT NULL,
+    height INT NULL,
+    usage_type NVARCHAR(20) NOT NULL DEFAULT 'general',
+    uploaded_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_files_usage_type CHECK (usage_type IN ('general', 'news', 'product', 'project')),
+    CONSTRAINT FK_files_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_files_file_path ON files (file_path);
+CREATE INDEX IF NOT EXISTS IX_files_uploaded_by ON files (uploaded_by);
+
+-- Table services
+CREATE TABLE IF NOT EXISTS services (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    short_description NVARCHAR(500) NULL,
+    description TEXT NULL,
+    icon NVARCHAR(255) NULL,
+    image NVARCHAR(255) NULL,
+    parent_id INT NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT FK_services_parent FOREIGN KEY (parent_id) REFERENCES services(id) ON DELETE NO ACTION
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_services_slug ON services (slug);
+CREATE INDEX IF NOT EXISTS IX_services_parent ON services (parent_id);
+
+-- Table technologies
+CREATE TABLE IF NOT EXISTS technologies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    description TEXT NULL,
+    image NVARCHAR(255) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_technologies_slug ON technologies (slug);
+
+-- Table testimonials
+CREATE TABLE IF NOT EXISTS testimonials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_name NVARCHAR(100) NOT NULL,
+    client_title NVARCHAR(100) NULL,
+    client_company NVARCHAR(150) NULL,
+    testimonial TEXT NOT NULL,
+    client_image NVARCHAR(255) NULL,
+    rating TINYINT NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    active BIT NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Table contact_messages
+CREATE TABLE IF NOT EXISTS contact_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(100) NOT NULL,
+    email NVARCHAR(100) NOT NULL,
+    phone NVARCHAR(20) NULL,
+    company NVARCHAR(150) NULL,
+    subject NVARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    service_interest NVARCHAR(100) NULL,
+    read_status BIT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Table faqs
+CREATE TABLE IF NOT EXISTS faqs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    question NVARCHAR(255) NOT NULL,
+    answer TEXT NOT NULL,
+    category NVARCHAR(50) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    active BIT NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Table team_members
+CREATE TABLE IF NOT EXISTS team_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(100) NOT NULL,
+    position NVARCHAR(100) NOT NULL,
+    bio TEXT NULL,
+    image NVARCHAR(255) NULL,
+    email NVARCHAR(100) NULL,
+    phone NVARCHAR(20) NULL,
+    linkedin NVARCHAR(255) NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    active BIT NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Table partners
+CREATE TABLE IF NOT EXISTS partners (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name NVARCHAR(100) NOT NULL,
+    logo NVARCHAR(255) NOT NULL,
+    website NVARCHAR(255) NULL,
+    description TEXT NULL,
+    [order] INT NOT NULL DEFAULT 0,
+    active BIT NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Table events
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title NVARCHAR(255) NOT NULL,
+    slug NVARCHAR(300) NOT NULL,
+    description TEXT NULL,
+    content TEXT NULL,
+    start_date DATETIME NOT NULL,
+    end_date DATETIME NULL,
+    location NVARCHAR(255) NULL,
+    organizer NVARCHAR(150) NULL,
+    image NVARCHAR(255) NULL,
+    registration_link NVARCHAR(255) NULL,
+    status NVARCHAR(20) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_events_status CHECK (status IN ('upcoming', 'ongoing', 'past'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_events_slug ON events (slug);
+
+-- Table settings
+CREATE TABLE IF NOT EXISTS settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    setting_key NVARCHAR(50) NOT NULL,
+    setting_value TEXT NULL,
+    setting_group NVARCHAR(50) NOT NULL DEFAULT 'general',
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS IX_settings_key ON settings (setting_key);
+
+-- Cập nhật updated_at khi sửa bản ghi, như các trigger trg_<bảng>_update của SQL Server
+CREATE TRIGGER IF NOT EXISTS trg_categories_update
+AFTER UPDATE ON categories
+BEGIN
+    UPDATE categories SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_tags_update
+AFTER UPDATE ON tags
+BEGIN
+    UPDATE tags SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_news_update
+AFTER UPDATE ON news
+BEGIN
+    UPDATE news SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_comments_update
+AFTER UPDATE ON comments
+BEGIN
+    UPDATE comments SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_products_update
+AFTER UPDATE ON products
+BEGIN
+    UPDATE products SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_projects_update
+AFTER UPDATE ON projects
+BEGIN
+    UPDATE projects SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_services_update
+AFTER UPDATE ON services
+BEGIN
+    UPDATE services SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_technologies_update
+AFTER UPDATE ON technologies
+BEGIN
+    UPDATE technologies SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_testimonials_update
+AFTER UPDATE ON testimonials
+BEGIN
+    UPDATE testimonials SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_contact_messages_update
+AFTER UPDATE ON contact_messages
+BEGIN
+    UPDATE contact_messages SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_faqs_update
+AFTER UPDATE ON faqs
+BEGIN
+    UPDATE faqs SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_team_members_update
+AFTER UPDATE ON team_members
+BEGIN
+    UPDATE team_members SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_partners_update
+AFTER UPDATE ON partners
+BEGIN
+    UPDATE partners SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_events_update
+AFTER UPDATE ON events
+BEGIN
+    UPDATE events SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_settings_update
+AFTER UPDATE ON settings
+BEGIN
+    UPDATE settings SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+-- Index cho tìm kiếm, lọc theo thời gian, trạng thái và phân trang
+CREATE INDEX IF NOT EXISTS IX_products_name ON products (name);
+CREATE INDEX IF NOT EXISTS IX_news_title ON news (title);
+CREATE INDEX IF NOT EXISTS IX_comments_author_email ON comments (author_email);
+CREATE INDEX IF NOT EXISTS IX_projects_title ON projects (title);
+CREATE INDEX IF NOT EXISTS IX_projects_location ON projects (location);
+CREATE INDEX IF NOT EXISTS IX_projects_client ON projects (client);
+CREATE INDEX IF NOT EXISTS IX_events_title ON events (title);
+CREATE INDEX IF NOT EXISTS IX_events_location ON events (location);
+CREATE INDEX IF NOT EXISTS IX_news_status_date ON news (status, publish_date);
+CREATE INDEX IF NOT EXISTS IX_news_featured ON news (featured);
+CREATE INDEX IF NOT EXISTS IX_events_status_date ON events (status, start_date);
+CREATE INDEX IF NOT EXISTS IX_events_end_date ON events (end_date);
+CREATE INDEX IF NOT EXISTS IX_products_status ON products (status);
+CREATE INDEX IF NOT EXISTS IX_projects_status_year ON projects (status, year);
+CREATE INDEX IF NOT EXISTS IX_projects_type ON projects (project_type);
+CREATE INDEX IF NOT EXISTS IX_comments_status_date ON comments (status, created_at);
+CREATE INDEX IF NOT EXISTS IX_testimonials_active ON testimonials (active);
+CREATE INDEX IF NOT EXISTS IX_team_members_active ON team_members (active);
+CREATE INDEX IF NOT EXISTS IX_contact_messages_read_date ON contact_messages (read_status, created_at);
+CREATE INDEX IF NOT EXISTS IX_news_page_date ON news (publish_date, id);
+CREATE INDEX IF NOT EXISTS IX_products_page_date ON products (created_at, id);
+CREATE INDEX IF NOT EXISTS IX_projects_page_year ON projects (year, id);
+CREATE INDEX IF NOT EXISTS IX_events_page_date ON events (start_date, id);
+CREATE INDEX IF NOT EXISTS IX_comments_page_date ON comments (created_at, id);
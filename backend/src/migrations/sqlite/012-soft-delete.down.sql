@@ -0,0 +1,41 @@
+-- Bỏ xóa mềm (SQLite); nội dung đang trong thùng rác bị xóa hẳn,
+-- người dùng trong thùng rác bị vô hiệu hóa để không đăng nhập lại được
+CREATE TABLE audit_trail_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name NVARCHAR(100) NOT NULL,
+    record_id NVARCHAR(64) NOT NULL,
+    action NVARCHAR(10) NOT NULL,
+    changed_fields NVARCHAR(1000) NULL,
+    before_data TEXT NULL,
+    after_data TEXT NULL,
+    actor_id INT NULL,
+    actor_username NVARCHAR(100) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_AuditTrail_Action CHECK (action IN ('create', 'update', 'delete'))
+);
+INSERT INTO audit_trail_old SELECT * FROM audit_trail WHERE action IN ('create', 'update', 'delete');
+DROP TABLE audit_trail;
+ALTER TABLE audit_trail_old RENAME TO audit_trail;
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Record ON audit_trail(table_name, record_id, created_at);
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Actor ON audit_trail(actor_id, created_at);
+
+DELETE FROM projects WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_projects_deleted_at;
+ALTER TABLE projects DROP COLUMN deleted_at;
+ALTER TABLE projects DROP COLUMN deleted_by;
+
+DELETE FROM products WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_products_deleted_at;
+ALTER TABLE products DROP COLUMN deleted_at;
+ALTER TABLE products DROP COLUMN deleted_by;
+
+DELETE FROM news WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_news_deleted_at;
+ALTER TABLE news DROP COLUMN deleted_at;
+ALTER TABLE news DROP COLUMN deleted_by;
+
+UPDATE users SET is_active = 0 WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS IX_users_deleted_at;
+ALTER TABLE users DROP COLUMN deleted_at;
+ALTER TABLE users DROP COLUMN deleted_by;
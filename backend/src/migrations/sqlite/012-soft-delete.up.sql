@@ -0,0 +1,39 @@
+-- Xóa mềm (soft delete) cho users, news, products, projects (SQLite): cột deleted_at, deleted_by
+-- Không dùng khóa ngoại cho deleted_by để người xóa có thể bị xóa hẳn trước
+
+ALTER TABLE users ADD COLUMN deleted_at DATETIME NULL;
+ALTER TABLE users ADD COLUMN deleted_by INT NULL;
+CREATE INDEX IF NOT EXISTS IX_users_deleted_at ON users (deleted_at);
+
+ALTER TABLE news ADD COLUMN deleted_at DATETIME NULL;
+ALTER TABLE news ADD COLUMN deleted_by INT NULL;
+CREATE INDEX IF NOT EXISTS IX_news_deleted_at ON news (deleted_at);
+
+ALTER TABLE products ADD COLUMN deleted_at DATETIME NULL;
+ALTER TABLE products ADD COLUMN deleted_by INT NULL;
+CREATE INDEX IF NOT EXISTS IX_products_deleted_at ON products (deleted_at);
+
+ALTER TABLE projects ADD COLUMN deleted_at DATETIME NULL;
+ALTER TABLE projects ADD COLUMN deleted_by INT NULL;
+CREATE INDEX IF NOT EXISTS IX_projects_deleted_at ON projects (deleted_at);
+
+-- Lịch sử thay đổi ghi thêm thao tác khôi phục và xóa hẳn; SQLite không sửa được CHECK nên tạo lại bảng
+CREATE TABLE audit_trail_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name NVARCHAR(100) NOT NULL,
+    record_id NVARCHAR(64) NOT NULL,
+    action NVARCHAR(10) NOT NULL,
+    changed_fields NVARCHAR(1000) NULL,
+    before_data TEXT NULL,
+    after_data TEXT NULL,
+    actor_id INT NULL,
+    actor_username NVARCHAR(100) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT CK_AuditTrail_Action CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'))
+);
+INSERT INTO audit_trail_new SELECT * FROM audit_trail;
+DROP TABLE audit_trail;
+ALTER TABLE audit_trail_new RENAME TO audit_trail;
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Record ON audit_trail(table_name, record_id, created_at);
+CREATE INDEX IF NOT EXISTS IX_AuditTrail_Actor ON audit_trail(actor_id, created_at);
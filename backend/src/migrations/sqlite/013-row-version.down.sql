@@ -0,0 +1,5 @@
+-- Bỏ phiên bản bản ghi (row_version, SQLite)
+ALTER TABLE projects DROP COLUMN row_version;
+ALTER TABLE products DROP COLUMN row_version;
+ALTER TABLE news DROP COLUMN row_version;
+ALTER TABLE users DROP COLUMN row_version;
@@ -0,0 +1,7 @@
+-- Phiên bản bản ghi (row_version) cho users, news, products, projects (SQLite)
+-- Mỗi lần cập nhật tăng row_version lên 1; API trả về ETag theo row_version và kiểm tra If-Match khi PUT
+
+ALTER TABLE users ADD COLUMN row_version INT NOT NULL DEFAULT 1;
+ALTER TABLE news ADD COLUMN row_version INT NOT NULL DEFAULT 1;
+ALTER TABLE products ADD COLUMN row_version INT NOT NULL DEFAULT 1;
+ALTER TABLE projects ADD COLUMN row_version INT NOT NULL DEFAULT 1;
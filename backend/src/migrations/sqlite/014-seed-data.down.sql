@@ -0,0 +1,15 @@
+-- Xóa dữ liệu mẫu của 014-seed-data.up.sql (SQLite)
+-- Danh mục và thẻ đang được dùng bởi nội dung tạo sau vẫn được giữ lại
+
+DELETE FROM products WHERE slug IN ('dieu-hoa-cong-nghiep-vrc-5000', 'kho-lanh-bao-quan-vrc-kl500', 'may-lam-lanh-nuoc-cong-nghiep-vrc-chiller', 'dieu-hoa-dan-dung-vrc-smart-inverter', 'thap-giai-nhiet-vrc-ct250', 'he-thong-thong-gio-vrc-ventilation', 'he-thong-vrv-vrf-vrc-multi', 'he-thong-loc-bui-cong-nghiep-vrc-dustfilter');
+
+DELETE FROM tags
+WHERE slug IN ('trien-lam', 'dieu-hoa', 'cong-nghe-lam-lanh', 'tiet-kiem-nang-luong', 'cong-nghe-moi', 'he-thong-lanh')
+  AND NOT EXISTS (SELECT 1 FROM news_tags nt WHERE nt.tag_id = tags.id);
+
+DELETE FROM categories
+WHERE slug IN ('trien-lam', 'hoi-thao', 'dao-tao', 'ra-mat-san-pham', 'dien-dan', 'industrial', 'commercial', 'residential', 'cold-storage', 'chiller', 'auxiliary')
+  AND NOT EXISTS (SELECT 1 FROM products p WHERE p.category_id = categories.id)
+  AND NOT EXISTS (SELECT 1 FROM news n WHERE n.category_id = categories.id);
+
+DELETE FROM settings WHERE setting_key IN ('site_title', 'site_description', 'contact_email', 'contact_phone', 'contact_address', 'social_facebook', 'social_linkedin', 'social_youtube', 'social_zalo');
@@ -0,0 +1,60 @@
+-- Dữ liệu mẫu của website (SQLite), cùng dữ liệu với mssql/014-seed-data.up.sql
+-- Tài khoản admin mặc định do server tạo khi khởi động (config.defaultAdmin), không nằm trong dữ liệu mẫu
+-- INSERT OR IGNORE bỏ qua các dòng đã có (index unique theo setting_key, slug)
+
+-- Sample Data: Basic settings
+INSERT OR IGNORE INTO settings (setting_key, setting_value, setting_group)
+VALUES
+('site_title', 'VRC - Tổng công ty Kỹ thuật lạnh Việt Nam', 'general'),
+('site_description', 'Chuyên cung cấp giải pháp và dịch vụ về hệ thống lạnh, điều hòa không khí cho các doanh nghiệp và cá nhân', 'general'),
+('contact_email', 'contact@vrc.com.vn', 'contact'),
+('contact_phone', '+84 28 1234 5678', 'contact'),
+('contact_address', '123 Nguyễn Văn Linh, Quận 7, TP.HCM', 'contact'),
+('social_facebook', 'https://facebook.com/vrc-vietnam', 'social'),
+('social_linkedin', 'https://linkedin.com/company/vrc-vietnam', 'social'),
+('social_youtube', 'https://youtube.com/channel/vrc-vietnam', 'social'),
+('social_zalo', 'https://zalo.me/vrc-vietnam', 'social');
+
+-- Sample Data: Categories (tin tức) và product categories (slugs match the /products/<slug> pages)
+INSERT OR IGNORE INTO categories (name, slug, description, [order])
+VALUES
+('Triển lãm', 'trien-lam', 'Các triển lãm và sự kiện ngành lạnh', 0),
+('Hội thảo', 'hoi-thao', 'Hội thảo chuyên ngành về công nghệ lạnh', 0),
+('Đào tạo', 'dao-tao', 'Chương trình đào tạo kỹ thuật viên lạnh', 0),
+('Ra mắt sản phẩm', 'ra-mat-san-pham', 'Sự kiện giới thiệu sản phẩm mới', 0),
+('Diễn đàn', 'dien-dan', 'Diễn đàn trao đổi chuyên môn', 0),
+('Điều hòa công nghiệp', 'industrial', 'Hệ thống điều hòa công suất lớn cho nhà xưởng, nhà máy', 10),
+('Điều hòa thương mại', 'commercial', 'Giải pháp điều hòa cho tòa nhà văn phòng, khách sạn, trung tâm thương mại', 11),
+('Điều hòa dân dụng', 'residential', 'Điều hòa tiết kiệm năng lượng cho gia đình và văn phòng nhỏ', 12),
+('Kho lạnh', 'cold-storage', 'Kho lạnh bảo quản thực phẩm, dược phẩm', 13),
+('Máy làm lạnh nước', 'chiller', 'Hệ thống làm lạnh nước trung tâm', 14),
+('Thiết bị phụ trợ', 'auxiliary', 'Tháp giải nhiệt, thông gió, lọc bụi công nghiệp', 15);
+
+-- Sample Data: Products
+INSERT OR IGNORE INTO products (name, slug, description, specifications, features, category_id, image)
+VALUES
+('Điều hòa công nghiệp VRC-5000', 'dieu-hoa-cong-nghiep-vrc-5000', 'Hệ thống điều hòa công nghiệp công suất lớn, phù hợp cho nhà xưởng, nhà máy sản xuất', '{"Công suất làm lạnh":"50.000 BTU/h","Công suất điện tiêu thụ":"4.8kW","Nguồn điện":"380V-415V/3Ph/50Hz","Độ ồn":"55dB(A)","Kích thước (DxRxC)":"1800x900x1950mm","Khối lượng":"320kg","Gas làm lạnh":"R410A","Xuất xứ":"Việt Nam"}', '["Công suất làm lạnh: 50.000 BTU","Tiết kiệm điện năng 40%","Vận hành êm ái","Điều khiển thông minh từ xa"]', (SELECT id FROM categories WHERE slug = 'industrial'), '/assets/images/projects-overview.jpg'),
+('Kho lạnh bảo quản VRC-KL500', 'kho-lanh-bao-quan-vrc-kl500', 'Kho lạnh công nghiệp lắp đặt nhanh chóng, bảo quản thực phẩm, dược phẩm với nhiệt độ ổn định', '{"Diện tích":"50-500m²","Nhiệt độ làm việc":"-30°C đến +20°C","Panel cách nhiệt":"PU 100mm","Độ dày":"100mm","Khối lượng panel":"12kg/m²","Cửa kho lạnh":"Cửa trượt/cửa mở","Hệ thống điều khiển":"Tự động, giám sát từ xa","Xuất xứ":"Việt Nam"}', '["Diện tích: 50-500m²","Nhiệt độ: -30°C đến +20°C","Panel cách nhiệt PU 100mm","Hệ thống điều khiển tự động"]', (SELECT id FROM categories WHERE slug = 'cold-storage'), '/assets/images/service-overview.jpg'),
+('Máy làm lạnh nước công nghiệp VRC-Chiller', 'may-lam-lanh-nuoc-cong-nghiep-vrc-chiller', 'Hệ thống làm lạnh nước trung tâm cho nhà máy sản xuất, cao ốc văn phòng', '{"Công suất làm lạnh":"30-1000RT","Công suất tiêu thụ":"0.65kW/RT","Gas làm lạnh":"R134a/R407C/R410A","Nhiệt độ nước đầu ra":"5°C ~ 15°C","Điện áp vận hành":"380V-415V/3Ph/50Hz","Kiểu máy nén":"Scroll/Screw","Hệ thống điều khiển":"Màn hình cảm ứng, kết nối BMS","Xuất xứ":"Liên doanh Việt-Đức"}', '["Công suất: 30-1000RT","Hiệu suất năng lượng cao","Vận hành ổn định","Hệ thống khởi động mềm"]', (SELECT id FROM categories WHERE slug = 'chiller'), '/lovable-uploads/0bd3c048-8e37-4775-a6bc-0b54ec07edbe.png'),
+('Điều hòa dân dụng VRC Smart Inverter', 'dieu-hoa-dan-dung-vrc-smart-inverter', 'Điều hòa tiết kiệm năng lượng, thông minh cho gia đình và văn phòng nhỏ', '{"Công suất làm lạnh":"9.000 - 24.000 BTU","Chế độ":"Làm lạnh/Sưởi ấm","Công nghệ":"DC Inverter","Gas làm lạnh":"R32 thân thiện môi trường","Hiệu suất năng lượng":"CSPF 5.8","Độ ồn dàn lạnh":"18-36dB","Kết nối":"WiFi, điều khiển qua smartphone","Xuất xứ":"Việt Nam"}', '["Công nghệ Inverter","Lọc không khí kháng khuẩn","Kết nối WiFi","Tiết kiệm điện đến 60%"]', (SELECT id FROM categories WHERE slug = 'residential'), '/assets/images/projects-overview.jpg'),
+('Tháp giải nhiệt VRC-CT250', 'thap-giai-nhiet-vrc-ct250', 'Tháp giải nhiệt công nghiệp cho nhà máy sản xuất và hệ thống điều hòa trung tâm', '{"Công suất giải nhiệt":"50-1000RT","Vật liệu thân":"FRP chống ăn mòn","Vật liệu tấm tản nhiệt":"PVC chống UV","Năng lượng tiêu thụ":"0.03-0.05kW/RT","Độ ồn":"65-75dB","Trọng lượng hoạt động":"2000-25000kg","Xuất xứ":"Việt Nam"}', '["Công suất: 50-1000RT","Thiết kế chống ăn mòn","Quạt tiết kiệm điện","Dễ dàng bảo trì"]', (SELECT id FROM categories WHERE slug = 'auxiliary'), '/assets/images/service-overview.jpg'),
+('Hệ thống thông gió VRC-Ventilation', 'he-thong-thong-gio-vrc-ventilation', 'Hệ thống thông gió và lọc không khí công nghiệp cho nhà xưởng, tòa nhà', '{"Lưu lượng gió":"1.000-100.000 m³/h","Áp suất tĩnh":"100-2000 Pa","Công suất tiêu thụ":"0.75-75kW","Vật liệu quạt":"Thép mạ kẽm/thép không gỉ","Loại quạt":"Ly tâm/Hướng trục","Lọc không khí":"G4, F7, HEPA (tùy chọn)","Điều khiển":"Biến tần, cảm biến CO2, nhiệt độ","Xuất xứ":"Việt Nam"}', '["Lưu lượng: 1.000-100.000 m³/h","Tiết kiệm năng lượng","Điều khiển tự động","Lọc không khí hiệu quả"]', (SELECT id FROM categories WHERE slug = 'auxiliary'), '/assets/images/projects-overview.jpg'),
+('Hệ thống VRV/VRF VRC-Multi', 'he-thong-vrv-vrf-vrc-multi', 'Hệ thống điều hòa đa cục, phù hợp cho các tòa nhà văn phòng, khách sạn, trung tâm thương mại', '{"Công suất làm lạnh":"8HP - 60HP","Số dàn lạnh tối đa":"64 dàn","Gas làm lạnh":"R410A","Chiều dài đường ống tối đa":"165m","Chênh lệch độ cao tối đa":"90m","IPLV":"6.8","Kết nối BMS":"LonWorks, BACnet, Modbus","Xuất xứ":"Liên doanh Việt-Nhật"}', '["Điều khiển độc lập từng phòng","Tiết kiệm năng lượng","Vận hành êm ái","Lắp đặt linh hoạt"]', (SELECT id FROM categories WHERE slug = 'commercial'), '/lovable-uploads/0bd3c048-8e37-4775-a6bc-0b54ec07edbe.png'),
+('Hệ thống lọc bụi công nghiệp VRC-DustFilter', 'he-thong-loc-bui-cong-nghiep-vrc-dustfilter', 'Hệ thống lọc bụi và khí thải công nghiệp cho nhà máy sản xuất', '{"Lưu lượng xử lý":"1.000-100.000 m³/h","Hiệu suất lọc":">99%","Kích thước hạt lọc":"0.3-100 μm","Áp suất tĩnh":"1500-3000 Pa","Công suất tiêu thụ":"1.5-90kW","Phương pháp làm sạch":"Khí nén/Cơ học","Vật liệu lọc":"Polyester/PTFE","Xuất xứ":"Việt Nam"}', '["Hiệu suất lọc > 99%","Tự động làm sạch","Tuổi thọ cao","Giám sát từ xa"]', (SELECT id FROM categories WHERE slug = 'auxiliary'), '/assets/images/service-overview.jpg');
+
+-- Sample Data: Product images
+INSERT INTO product_images (product_id, image_path, alt_text, [order])
+SELECT p.id, p.image, p.name, 0
+FROM products p
+WHERE p.slug IN ('dieu-hoa-cong-nghiep-vrc-5000', 'kho-lanh-bao-quan-vrc-kl500', 'may-lam-lanh-nuoc-cong-nghiep-vrc-chiller', 'dieu-hoa-dan-dung-vrc-smart-inverter', 'thap-giai-nhiet-vrc-ct250', 'he-thong-thong-gio-vrc-ventilation', 'he-thong-vrv-vrf-vrc-multi', 'he-thong-loc-bui-cong-nghiep-vrc-dustfilter')
+  AND NOT EXISTS (SELECT 1 FROM product_images i WHERE i.product_id = p.id);
+
+-- Sample Data: Tags
+INSERT OR IGNORE INTO tags (name, slug)
+VALUES
+('Triển lãm', 'trien-lam'),
+('Điều hòa', 'dieu-hoa'),
+('Công nghệ làm lạnh', 'cong-nghe-lam-lanh'),
+('Tiết kiệm năng lượng', 'tiet-kiem-nang-luong'),
+('Công nghệ mới', 'cong-nghe-moi'),
+('Hệ thống lạnh', 'he-thong-lanh');
@@ -0,0 +1,3 @@
+-- Xóa quyền users.update và các lần gán quyền này cho vai trò
+DELETE FROM role_permissions WHERE permission_id IN (SELECT id FROM permissions WHERE name = 'users.update');
+DELETE FROM permissions WHERE name = 'users.update';
@@ -0,0 +1,8 @@
+-- Quyền users.update: sửa email, mật khẩu, vai trò và trạng thái của tài khoản người dùng
+-- Người dùng không có quyền này chỉ sửa được username và họ tên của chính mình
+INSERT OR IGNORE INTO permissions (name, module, description) VALUES
+    ('users.update', 'users', 'Edit user accounts, including their email, password, role and status');
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin' AND p.name = 'users.update';
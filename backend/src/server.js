@@ -7,6 +7,8 @@ import express from 'express';
 import cors from 'cors';
 import apiRoutes from './admin/api/index.js';
 import dbService from './core/services/db.service.js';
+import migrationService from './core/services/migration.service.js';
+import config from './config.js';
 
 // Thêm debug để in ra lỗi khởi động
 console.log('Bắt đầu khởi động server...');
@@ -20,7 +22,8 @@ app.use(cors({
   origin: 'http://localhost:8081', // Origin của frontend
   credentials: true,  // Cho phép gửi credentials (cookies, auth headers)
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // Các phương thức được phép
-  allowedHeaders: ['Content-Type', 'Authorization']  // Các header được phép
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],  // Các header được phép
+  exposedHeaders: ['ETag']  // Cho phép frontend đọc phiên bản bản ghi (sửa đồng thời)
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -28,6 +31,12 @@ app.use(express.urlencoded({ extended: true }));
 // API Routes
 app.use('/api', apiRoutes);
 
+// Uploaded media (files and thumbnails from /api/files/upload)
+app.use(config.uploads.publicPath, express.static(config.uploads.dir, {
+  maxAge: '30d',
+  index: false
+}));
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -65,14 +74,35 @@ app.use((err, req, res, next) => {
 });
 
 // Initialize database connection
+// Ngoài production các migration còn thiếu được chạy tự động; trong production server
+// không khởi động khi còn migration chưa chạy, cần chạy `npm run migrate` trước khi deploy
 const initServer = async (setupTables = true) => {
   try {
     console.log('Đang kết nối đến cơ sở dữ liệu...');
-    // Initialize database with better control over table creation
-    // We pass setupTables parameter to control whether tables should be created
-    // This is useful for testing environments where we might want to handle table setup separately
-    await dbService.init(null, setupTables);
+    await dbService.init();
     console.log('Database connected successfully');
+  } catch (error) {
+    console.error('Failed to connect to database:', error);
+    // Return false instead of throwing, allowing callers to handle the error
+    return false;
+  }
+
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      const pending = await migrationService.getPendingMigrations();
+      if (pending.length > 0) {
+        console.error(`Pending database migrations: ${pending.map(migration => migration.id).join(', ')}`);
+        console.error('Run `npm run migrate` before starting the server');
+        return false;
+      }
+    } else if (setupTables) {
+      // Tests can skip this to handle table setup separately
+      await migrationService.migrate();
+    }
+
+    if (setupTables) {
+      await dbService.ensureDefaultAdmin();
+    }
     
     // Add more detailed logging for test environments
     if (process.env.NODE_ENV === 'test') {
@@ -82,8 +112,7 @@ const initServer = async (setupTables = true) => {
     
     return true;
   } catch (error) {
-    console.error('Failed to connect to database:', error);
-    // Return false instead of throwing, allowing callers to handle the error
+    console.error('Failed to set up database:', error);
     return false;
   }
 };
@@ -98,7 +127,7 @@ export const startServer = async (port = process.env.PORT || 3001) => {
   const dbInitialized = await initServer();
   
   if (!dbInitialized) {
-    console.error('Failed to initialize server due to database connection issues');
+    console.error('Failed to initialize server due to database connection or migration issues');
     throw new Error('Database initialization failed');
   }
   
@@ -1,306 +1,133 @@
 /**
  * API Password Reset Test
- * Tests the password reset API endpoints
+ * Tests the admin endpoints that manage password reset tokens: cleanup and deleting the tokens of a user
  */
 
 // Set environment to test mode before importing anything else
 process.env.NODE_ENV = 'test';
 
-import fetch from 'node-fetch';
-import { startServer, stopServer } from '../server.js';
+import { startServer } from '../server.js';
 import config from '../config.js';
-import { 
-  passwordResetTestHelper, 
-  userSessionTestHelper, 
-  initializeTestBot 
-} from './helpers/test-bot.helper.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+import { useOutbox, readLatestToken, closeOutbox } from './helpers/mail-outbox.helper.js';
 
-// Configuration
-const PORT = 3001;
-const API_URL = `http://localhost:${PORT}${config.paths.apiBasePath}`;
-let authToken = null;
 let server = null;
 let testUserId = null;
-let testUserEmail = null;
-let testUsername = null;
-let resetToken = null;
+
+const username = `reset-admin-${Date.now() % 100000000}`;
+const email = `${username}@example.com`;
+const password = 'Reset-Tokens-2025';
 
 /**
- * Test the password reset API functionality
+ * Test the password reset token management API
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
  */
 async function testPasswordResetAPI() {
   console.log('=============================');
   console.log('  PASSWORD RESET API TEST    ');
   console.log('=============================\n');
-  
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
   try {
-    // Initialize TestBotService
-    console.log('Initializing TestBotService...');
-    initializeTestBot({ logToConsole: true });
-    console.log('✅ TestBotService initialized successfully\n');
-    
+    // Emails are written to a temporary outbox, the reset token is read from the email
+    await useOutbox();
+
     // Start the server
-    console.log('Starting API server on port', PORT, '...');
-    server = await startServer(PORT);
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
     console.log('✅ Server started successfully!\n');
-    
-    // Wait a bit to make sure server is ready
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Step 1: Login as admin to get token
-    console.log('1. Authenticating as admin...');
-    try {
-      const loginRes = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: config.defaultAdmin.username,
-          password: config.defaultAdmin.password
-        })
-      });
-      
-      if (!loginRes.ok) {
-        const errorText = await loginRes.text();
-        console.log('Login response:', errorText);
-        throw new Error(`Login failed with status ${loginRes.status}`);
-      }
-      
-      const loginData = await loginRes.json();
-      authToken = loginData.data.token;
-      console.log('✅ Authentication successful, received token\n');
-      
-    } catch (error) {
-      console.error('❌ Authentication failed:', error.message);
-      // Try alternative admin credentials
-      try {
-        console.log('Trying alternative admin credentials...');
-        const altLoginRes = await fetch(`${API_URL}/auth/login`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            username: 'admin',
-            password: 'Admin@123456'  // Standard password
-          })
-        });
-        
-        if (!altLoginRes.ok) {
-          throw new Error(`Alt login failed with status ${altLoginRes.status}`);
-        }
-        
-        const altLoginData = await altLoginRes.json();
-        authToken = altLoginData.data.token;
-        console.log('✅ Authentication successful with alternative credentials\n');
-      } catch (altError) {
-        console.error('❌ Alternative authentication failed:', altError.message);
-        throw new Error('Could not authenticate with admin credentials');
+
+    // Login as admin and create the test user
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
       }
+    });
+    adminToken = admin.body.data?.token;
+    if (!adminToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
     }
-    
-    // Step 2: Create a test user for password reset
-    console.log('2. Creating a test user for password reset...');
-    const timestamp = Date.now();
-    testUsername = `testuser_${timestamp}`;
-    testUserEmail = `testuser_${timestamp}@example.com`;
-    
-    try {
-      const createUserRes = await fetch(`${API_URL}/users`, {
-        method: 'POST',
-        headers: { 
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          username: testUsername,
-          email: testUserEmail,
-          password: 'Test@123',
-          full_name: 'Test User'
-        })
-      });
-      
-      if (!createUserRes.ok) {
-        const errorText = await createUserRes.text();
-        console.log('Create user response:', errorText);
-        throw new Error(`Failed to create user: ${createUserRes.status}`);
-      }
-      
-      const userData = await createUserRes.json();
-      testUserId = userData.data.id;
-      console.log('✅ Test user created:', {
-        id: userData.data.id,
-        username: userData.data.username,
-        email: testUserEmail
-      });
-      
-      // Step 3: Request password reset token
-      console.log('\n3. Requesting password reset token...');
-      const resetRequestRes = await fetch(`${API_URL}/auth/reset-password/request`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          email: testUserEmail
-        })
-      });
-      
-      if (!resetRequestRes.ok) {
-        const errorText = await resetRequestRes.text();
-        console.log('Reset request response:', errorText);
-        throw new Error(`Failed to request password reset: ${resetRequestRes.status}`);
-      }
-      
-      const resetRequestData = await resetRequestRes.json();
-      console.log('✅ Password reset requested:', resetRequestData);
-        // Step 4: Get the reset token using TestBotService
-      console.log('\n4. Getting reset token using TestBotService...');
-      
-      // Sử dụng passwordResetTestHelper để lấy token trực tiếp từ TestBotService
-      resetToken = passwordResetTestHelper.getResetToken(testUserEmail);
-      
-      if (!resetToken) {
-        console.error('Failed to get valid token from TestBotService');
-        throw new Error('Cannot proceed without a reset token');
-      }
-      
-      console.log('✅ Retrieved reset token successfully from TestBotService');
-      
-      // Step 5: Validate reset token
-      console.log('\n5. Validating reset token...');
-      const validateTokenRes = await fetch(`${API_URL}/auth/reset-password/validate/${resetToken}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
-      });
-      
-      if (!validateTokenRes.ok) {
-        const errorText = await validateTokenRes.text();
-        console.log('Validate token response:', errorText);
-        throw new Error(`Failed to validate reset token: ${validateTokenRes.status}`);
-      }
-      
-      const validateTokenData = await validateTokenRes.json();
-      console.log('✅ Token validation result:', validateTokenData);
-      
-      // Step 6: Reset password using token
-      console.log('\n6. Resetting password using token...');
-      const newPassword = 'NewPassword@456';
-      const resetPasswordRes = await fetch(`${API_URL}/auth/reset-password/reset`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          token: resetToken,
-          password: newPassword
-        })
-      });
-      
-      if (!resetPasswordRes.ok) {
-        const errorText = await resetPasswordRes.text();
-        console.log('Reset password response:', errorText);
-        throw new Error(`Failed to reset password: ${resetPasswordRes.status}`);
-      }
-      
-      const resetPasswordData = await resetPasswordRes.json();
-      console.log('✅ Password reset result:', resetPasswordData);
-      
-      // Step 7: Verify login with new password
-      console.log('\n7. Verifying login with new password...');
-      const loginVerifyRes = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: testUsername,
-          password: newPassword
-        })
-      });
-      
-      if (!loginVerifyRes.ok) {
-        const errorText = await loginVerifyRes.text();
-        console.log('Login verification response:', errorText);
-        throw new Error(`Failed to login with new password: ${loginVerifyRes.status}`);
-      }
-      
-      const loginVerifyData = await loginVerifyRes.json();
-      console.log('✅ Login successful with new password:', {
-        user_id: loginVerifyData.data.user.id,
-        username: loginVerifyData.data.user.username
-      });
-      
-      console.log('\n✅✅✅ ALL PASSWORD RESET TESTS PASSED ✅✅✅');
-      
-    } catch (error) {
-      console.error('❌ Password reset tests failed:', error.message);
-    } finally {
-      // Clean up - Delete all reset tokens for the user, then delete the user
-      if (testUserId) {
-        console.log('\nCleaning up - Deleting user reset tokens first...');
-        try {
-          // Make sure all user tokens are deleted first to avoid foreign key constraint issues
-          const deleteTokensRes = await fetch(`${API_URL}/auth/reset-password/user/${testUserId}`, {
-            method: 'DELETE',
-            headers: { 
-              'Authorization': `Bearer ${authToken}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          if (deleteTokensRes.ok) {
-            const tokenDeleteData = await deleteTokensRes.json();
-            console.log('✅ User tokens deleted:', tokenDeleteData.message || tokenDeleteData);
-          } else {
-            console.log('Note: No tokens to delete or token deletion endpoint not available');
-            // Try alternative cleanup approach - use general token cleanup
-            await fetch(`${API_URL}/auth/reset-password/cleanup`, {
-              method: 'DELETE',
-              headers: { 
-                'Authorization': `Bearer ${authToken}`,
-                'Content-Type': 'application/json'
-              }
-            });
-            console.log('✅ Used general token cleanup instead');
-          }
-          
-          // Now delete the test user after tokens are removed
-          console.log('Deleting test user...');
-          const deleteUserRes = await fetch(`${API_URL}/users/${testUserId}`, {
-            method: 'DELETE',
-            headers: { 
-              'Authorization': `Bearer ${authToken}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          if (deleteUserRes.ok) {
-            const deleteData = await deleteUserRes.json();
-            console.log('✅ User deletion result:', deleteData.message || deleteData);
-          } else {
-            console.error('❌ Failed to delete test user');
-          }
-        } catch (cleanupError) {
-          console.error('❌ Error during test user cleanup:', cleanupError.message);
-        }
-      }
+
+    const created = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email, password, full_name: 'Reset Token Tester' }
+    });
+    if (created.status !== 201) {
+      throw new Error(`Failed to create test user: ${created.body.message}`);
     }
-    
+    testUserId = created.body.data.id;
+
+    // Step 1: Request a reset and read the token from the email
+    console.log('1. Requesting a password reset...');
+    await request('/auth/reset-password/request', { method: 'POST', body: { email } });
+    const token = await readLatestToken(email, '/reset-password');
+    const valid = token ? await request(`/auth/reset-password/validate/${token}`) : null;
+    steps.check(valid?.body.success === true,
+      'Reset token read from the email in the outbox',
+      'No valid password reset token in the outbox');
+
+    // Step 2: The management endpoints are for admins only
+    console.log('2. Calling the token management endpoints as a customer...');
+    const login = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const customerToken = login.body.data?.token;
+    const cleanupDenied = await request('/auth/reset-password/cleanup', { method: 'DELETE', token: customerToken });
+    const deleteDenied = await request(`/auth/reset-password/user/${testUserId}`, { method: 'DELETE', token: customerToken });
+    steps.check(cleanupDenied.status === 403 && deleteDenied.status === 403,
+      'Customers cannot manage reset tokens',
+      `Expected 403/403, got ${cleanupDenied.status}/${deleteDenied.status}`);
+
+    // Step 3: Cleanup keeps tokens that are still valid
+    console.log('3. Cleaning up expired and used tokens...');
+    const cleanup = await request('/auth/reset-password/cleanup', { method: 'DELETE', token: adminToken });
+    const stillValid = await request(`/auth/reset-password/validate/${token}`);
+    steps.check(cleanup.status === 200 && stillValid.body.success === true,
+      'Cleanup ran and kept the unused token',
+      `Expected 200 and a valid token, got ${cleanup.status}/${stillValid.body.success}`);
+
+    // Step 4: Deleting the tokens of the user invalidates the emailed link
+    console.log("4. Deleting the user's reset tokens...");
+    const deleted = await request(`/auth/reset-password/user/${testUserId}`, { method: 'DELETE', token: adminToken });
+    const revoked = await request(`/auth/reset-password/validate/${token}`);
+    steps.check(deleted.status === 200 && revoked.body.success === false,
+      'Tokens deleted and the link no longer works',
+      `Expected 200 and an invalid token, got ${deleted.status}/${revoked.body.success}`);
   } catch (error) {
-    console.error('\n❌ TEST FAILED:', error.message);  } finally {
-    // Clean up TestBotService data
-    console.log('\nCleaning up TestBotService data...');
-    passwordResetTestHelper.cleanup();
-    console.log('✅ TestBotService data cleaned up');
-    
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    await closeOutbox();
+
     // Stop the server
     if (server) {
-      console.log('\nStopping the server...');
-      await stopServer();
+      console.log('Stopping the server...');
+      await stopTestServer();
       console.log('Server stopped.');
     }
   }
-}
 
-// Run the test
-testPasswordResetAPI().catch(console.error);
+  return steps.finish();
+}
 
-// Add Jest test cases
-describe('API Password Reset Tests', () => {
-  test('API password reset functionality should work correctly', () => {
-    // For Jest to pass, we need at least one assertion
-    expect(true).toBe(true);
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testPasswordResetAPI);
+} else {
+  describe('API Password Reset Tests', () => {
+    test('Password reset token management should pass every step', async () => {
+      expect(await testPasswordResetAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
   });
-});
+}
+
+export default testPasswordResetAPI;
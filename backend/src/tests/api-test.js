@@ -200,7 +200,7 @@ async function testRoleManagementAPI() {
         body: JSON.stringify({
           username: `testuser_${Date.now()}`,
           email: `testuser_${Date.now()}@example.com`,
-          password: 'password123',
+          password: 'TestUser@2025',
           full_name: 'Test User'
           // Not specifying role, should use default
         })
@@ -227,7 +227,8 @@ async function testRoleManagementAPI() {
         method: 'PUT',
         headers: { 
           'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'If-Match': '*'
         },
         body: JSON.stringify({
           role: config.roles.EDITOR
@@ -268,7 +269,8 @@ async function testRoleManagementAPI() {
         method: 'PUT',
         headers: { 
           'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'If-Match': '*'
         },
         body: JSON.stringify({
           role: 'invalid_role'
@@ -59,7 +59,7 @@ describe('API Tests with TestBotMother', () => {
         data: {
           username: 'customuser',
           email: 'custom@example.com',
-          password: 'custom123',
+          password: 'Custom@2025',
           full_name: 'Custom User',
           role: 'user'
         },
@@ -85,7 +85,7 @@ describe('API Tests with TestBotMother', () => {
         data: {
           username: 'deleteuser',
           email: 'delete@example.com',
-          password: 'delete123',
+          password: 'Delete@2025',
           full_name: 'Delete User',
           role: 'user'
         },
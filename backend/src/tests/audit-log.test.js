@@ -0,0 +1,147 @@
+/**
+ * Audit Log Tests
+ * Tests that authentication events are recorded in auth_logs and that the audit log can be filtered and exported
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+let testUserId = null;
+
+const username = `audit-${Date.now() % 100000000}`;
+const password = 'AuditLog123!';
+
+/**
+ * Test the audit log functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testAuditLog() {
+  console.log('=============================');
+  console.log('      AUDIT LOG TESTS        ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create the test user
+    console.log('1. Creating the test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'Audit Tester' }
+    });
+    testUserId = user.body.data?.id || null;
+    steps.check(testUserId,
+      `User #${testUserId} created`,
+      `Could not create the user: ${user.body.message}`);
+
+    // Step 2: A failed and a successful login are recorded
+    console.log('2. Logging in with a wrong and the right password...');
+    await request('/auth/login', { method: 'POST', body: { username, password: 'wrong-password' } });
+    const userLogin = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const userToken = userLogin.body.data?.token;
+
+    // Các listener ghi log chạy bất đồng bộ
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const failed = await request(`/audit-logs?username=${username}&action=login&success=false`, { token: adminToken });
+    const succeeded = await request(`/audit-logs?user_id=${testUserId}&action=login&success=true`, { token: adminToken });
+    steps.check(failed.body.data?.length === 1 && succeeded.body.data?.length === 1,
+      'Failed and successful logins recorded',
+      `Expected 1/1 entries, got ${failed.body.data?.length}/${succeeded.body.data?.length}`);
+
+    // Step 3: Pagination metadata is returned
+    console.log('3. Paginating the log...');
+    const page = await request('/audit-logs?page=1&pageSize=1', { token: adminToken });
+    steps.check(page.status === 200 && page.body.data?.length === 1 && page.body.pagination?.total >= 2,
+      `${page.body.pagination?.total} entries in total`,
+      `Unexpected response: ${page.status}`);
+
+    // Step 4: The recorded actions are listed for the filter
+    console.log('4. Listing the actions...');
+    const actions = await request('/audit-logs/actions', { token: adminToken });
+    steps.check(actions.status === 200 && actions.body.data?.includes('login'),
+      `Actions: ${actions.body.data?.join(', ')}`,
+      `Expected the login action, got ${actions.status}`);
+
+    // Step 5: CSV and JSON exports apply the filters
+    console.log('5. Exporting the log...');
+    const csv = await request(`/audit-logs/export?format=csv&username=${username}`, { token: adminToken });
+    const json = await request(`/audit-logs/export?format=json&username=${username}`, { token: adminToken });
+    const csvLines = typeof csv.body === 'string' ? csv.body.trim().split('\r\n') : [];
+    steps.check(csv.contentType.includes('text/csv') && csvLines[0].endsWith('id,created_at,user_id,username,action,success,ip_address,user_agent,details')
+      && Array.isArray(json.body) && json.body.length === csvLines.length - 1,
+      `CSV and JSON exports contain ${json.body?.length} entries`,
+      `Unexpected exports: ${csv.status}/${json.status}`);
+
+    // Step 6: Invalid filters are rejected
+    console.log('6. Using invalid filters...');
+    const badSuccess = await request('/audit-logs?success=maybe', { token: adminToken });
+    const badFormat = await request('/audit-logs/export?format=xml', { token: adminToken });
+    steps.check(badSuccess.status === 400 && badFormat.status === 400,
+      'Invalid filters rejected',
+      `Expected 400/400, got ${badSuccess.status}/${badFormat.status}`);
+
+    // Step 7: Users without the audit.view permission cannot read the log
+    console.log('7. Reading the log without permission...');
+    const forbidden = await request('/audit-logs', { token: userToken });
+    steps.check(forbidden.status === 403,
+      'Access denied',
+      `Expected 403, got ${forbidden.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testAuditLog);
+} else {
+  describe('Audit Log Tests', () => {
+    test('Recording, filtering and exporting the audit log should pass every step', async () => {
+      expect(await testAuditLog()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testAuditLog;
@@ -0,0 +1,136 @@
+/**
+ * Audit Trail Tests
+ * Tests that admin data changes are recorded in audit_trail and returned as the history of a record
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+let testUserId = null;
+
+const username = `trail-${Date.now() % 100000000}`;
+const password = 'AuditTrail123!';
+
+/**
+ * Test the audit trail functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testAuditTrail() {
+  console.log('=============================');
+  console.log('     AUDIT TRAIL TESTS       ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create the test user
+    console.log('1. Creating the test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'Trail Tester' }
+    });
+    testUserId = user.body.data?.id || null;
+    steps.check(testUserId,
+      `User #${testUserId} created`,
+      `Could not create the user: ${user.body.message}`);
+
+    // Step 2: Update the name and the password
+    console.log('2. Updating the user...');
+    const updated = await request(`/users/${testUserId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+      body: { full_name: 'Trail Tester Renamed', password: 'AuditTrail456!' }
+    });
+    steps.check(updated.status === 200,
+      'User updated',
+      `Expected 200, got ${updated.status}`);
+
+    // Step 3: The creation and the update are in the history, newest first
+    console.log('3. Reading the history of the user...');
+    const history = await request(`/audit-trail/users/${testUserId}`, { token: adminToken });
+    const [latest, first] = history.body.data || [];
+    steps.check(history.status === 200 && latest?.action === 'update' && first?.action === 'create'
+      && latest.actor_username === config.defaultAdmin.username
+      && latest.before_data.full_name === 'Trail Tester' && latest.after_data.full_name === 'Trail Tester Renamed',
+      `Changed fields: ${latest?.changed_fields.join(', ')}`,
+      `Unexpected history: ${JSON.stringify(history.body.data)}`);
+
+    // Step 4: Password hashes are never stored in the snapshots
+    console.log('4. Checking the snapshots for the password...');
+    steps.check(latest?.changed_fields.includes('password') && !('password' in latest.before_data) && !('password' in latest.after_data),
+      'Password change listed without its values',
+      'Password values found in the snapshots');
+
+    // Step 5: Unknown resources are rejected
+    console.log('5. Reading the history of an unknown resource...');
+    const invalid = await request(`/audit-trail/sessions/${testUserId}`, { token: adminToken });
+    steps.check(invalid.status === 400,
+      'Unknown resource rejected',
+      `Expected 400, got ${invalid.status}`);
+
+    // Step 6: Users without the audit.view permission cannot read the history
+    console.log('6. Reading the history without permission...');
+    const userLogin = await request('/auth/login', { method: 'POST', body: { username, password: 'AuditTrail456!' } });
+    const forbidden = await request(`/audit-trail/users/${testUserId}`, { token: userLogin.body.data?.token });
+    steps.check(forbidden.status === 403,
+      'Access denied',
+      `Expected 403, got ${forbidden.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testAuditTrail);
+} else {
+  describe('Audit Trail Tests', () => {
+    test('Recording and reading the history of a record should pass every step', async () => {
+      expect(await testAuditTrail()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testAuditTrail;
@@ -0,0 +1,183 @@
+/**
+ * Authorization Policy Tests
+ * Tests the policy-based authorization middleware: 401/403 bodies, permission and self-or-admin policies,
+ * and that every /users route declares a policy
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import userRoutes from '../admin/api/user.routes.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+const testUserIds = [];
+
+const suffix = Date.now() % 100000000;
+const password = 'Policy-Access-2025';
+
+/**
+ * Check that an error response has the shared { success: false, message } body
+ * @param {Object} response - Response from request()
+ * @param {number} status - Expected HTTP status
+ * @returns {boolean} - True if the status and body match
+ */
+function isAuthError(response, status) {
+  return response.status === status
+    && response.body.success === false
+    && typeof response.body.message === 'string';
+}
+
+/**
+ * List the /users routes that do not declare a policy through authorize() or requirePermission()
+ * @returns {Array<string>} - Routes as 'METHOD /path'
+ */
+function usersRoutesWithoutPolicy() {
+  return userRoutes.stack
+    .filter(layer => layer.route?.path.startsWith('/users'))
+    .filter(layer => !layer.route.stack.some(handler => handler.handle.policy))
+    .map(layer => `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`);
+}
+
+/**
+ * Test the authorization policies
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testAuthorizationPolicies() {
+  console.log('=============================');
+  console.log('  AUTHORIZATION POLICY TESTS ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Login as admin and create two customers
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    adminToken = admin.body.data?.token;
+    if (!adminToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
+    }
+
+    for (const name of ['first', 'second']) {
+      const created = await request('/users', {
+        method: 'POST',
+        token: adminToken,
+        body: { username: `policy-${name}-${suffix}`, email: `policy-${name}-${suffix}@example.com`, password }
+      });
+      if (created.status !== 201) {
+        throw new Error(`Failed to create test user: ${created.body.message}`);
+      }
+      testUserIds.push(created.body.data.id);
+    }
+    const [firstId, secondId] = testUserIds;
+
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: { username: `policy-first-${suffix}`, password }
+    });
+    const customerToken = login.body.data?.token;
+
+    // Step 1: Missing token
+    console.log('1. Calling a protected route without a token...');
+    const anonymous = await request('/users');
+    steps.check(isAuthError(anonymous, 401),
+      '401 with the shared error body',
+      `Expected 401, got ${anonymous.status}: ${JSON.stringify(anonymous.body)}`);
+
+    // Step 2: Permission policy
+    console.log('2. Listing users as a customer...');
+    const list = await request('/users', { token: customerToken });
+    steps.check(isAuthError(list, 403),
+      '403 without the users.view permission',
+      `Expected 403, got ${list.status}`);
+
+    // Step 3: Self-or-admin policy rejects other users
+    console.log("3. Changing another user's password as a customer...");
+    const other = await request(`/users/${secondId}/change-password`, {
+      method: 'POST',
+      token: customerToken,
+      body: { currentPassword: password, newPassword: 'Policy-Other-2025' }
+    });
+    steps.check(isAuthError(other, 403),
+      '403 for another user',
+      `Expected 403, got ${other.status}`);
+
+    // Step 4: Self-or-admin policy allows the user and admins
+    console.log('4. Changing passwords as the owner and as an admin...');
+    const own = await request(`/users/${firstId}/change-password`, {
+      method: 'POST',
+      token: customerToken,
+      body: { currentPassword: password, newPassword: 'Policy-Own-2025' }
+    });
+    const byAdmin = await request(`/users/${secondId}/change-password`, {
+      method: 'POST',
+      token: adminToken,
+      body: { currentPassword: password, newPassword: 'Policy-Admin-2025' }
+    });
+    steps.check(own.status === 200 && byAdmin.status === 200,
+      'Owner and admin allowed',
+      `Expected 200/200, got ${own.status}/${byAdmin.status}`);
+
+    // Step 5: Role checks of other users need users.view
+    console.log("5. Checking another user's role as a customer...");
+    const ownRole = await request(`/users/${firstId}/has-role/customer`, { token: customerToken });
+    const otherRole = await request(`/users/${secondId}/has-role/customer`, { token: customerToken });
+    steps.check(ownRole.status === 200 && isAuthError(otherRole, 403),
+      'Own role readable, other users forbidden',
+      `Expected 200/403, got ${ownRole.status}/${otherRole.status}`);
+
+    // Step 6: Every /users route declares a policy, authenticate alone lets any customer in
+    console.log('6. Checking that every /users route declares a policy...');
+    const unguarded = usersRoutesWithoutPolicy();
+    steps.check(unguarded.length === 0,
+      'Every /users route has a policy',
+      `Routes without a policy: ${unguarded.join(', ')}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (adminToken) {
+      console.log('\nDeleting test users...');
+      for (const id of testUserIds) {
+        await request(`/users/${id}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testAuthorizationPolicies);
+} else {
+  describe('Authorization Policy Tests', () => {
+    test('Authorization policies should pass every step', async () => {
+      expect(await testAuthorizationPolicies()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testAuthorizationPolicies;
@@ -0,0 +1,235 @@
+/**
+ * Concurrency Tests
+ * Tests optimistic concurrency on update endpoints: ETag headers on GET, If-Match checks on PUT
+ * with 412 and the current record on conflict, conditional repository updates, updates that
+ * do not change the version, and other writes (restore, role rename) that do
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import userRepository from '../core/repositories/user.repository.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+
+const username = `etag${Date.now() % 100000000}`;
+const roleName = `etag-${Date.now() % 1000000}`;
+const password = 'EtagTest123!';
+
+/**
+ * Test ETag and If-Match handling of update endpoints
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testConcurrency() {
+  console.log('=============================');
+  console.log('      CONCURRENCY TESTS      ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+  let userId = null;
+  let projectId = null;
+  let roleId = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create a user
+    console.log('1. Creating a test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, role: 'customer' }
+    });
+
+    if (user.status !== 201) {
+      throw new Error(`Could not create test user: ${user.body.message}`);
+    }
+    userId = user.body.data.id;
+    console.log(`✅ Created user #${userId}\n`);
+
+    // Step 2: GET returns the row version as the ETag
+    console.log('2. Reading the user...');
+    const loaded = await request(`/users/${userId}`, { token: adminToken });
+    steps.check(loaded.status === 200 && loaded.etag === `"${loaded.body.data?.row_version}"`,
+      `ETag ${loaded.etag}`,
+      `Unexpected ETag: ${loaded.status} ${loaded.etag}`);
+
+    // Step 3: A save with the current version succeeds and returns the next one
+    console.log('3. Saving with the loaded version...');
+    const first = await request(`/users/${userId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': loaded.etag },
+      body: { full_name: 'First Admin' }
+    });
+    steps.check(first.status === 200 && first.etag && first.etag !== loaded.etag,
+      `Saved, new ETag ${first.etag}`,
+      `Statuses: ${first.status} ${first.etag} (${first.body.message})`);
+
+    // Step 4: A second save with the old version is refused with the current user
+    console.log('4. Saving with a stale version...');
+    const second = await request(`/users/${userId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': loaded.etag },
+      body: { full_name: 'Second Admin' }
+    });
+    steps.check(second.status === 412 && second.body.code === 'PRECONDITION_FAILED'
+      && second.body.data?.full_name === 'First Admin' && second.body.data.password === undefined
+      && second.etag === first.etag,
+      'Refused with 412 and the current user',
+      `Unexpected response: ${second.status} ${JSON.stringify(second.body)}`);
+
+    // Step 5: Signing in does not change the version; If-Match is required, "*" overwrites any version
+    console.log('5. Signing in and saving without If-Match...');
+    await request('/auth/login', { method: 'POST', body: { username, password } });
+    const afterLogin = await request(`/users/${userId}`, { token: adminToken });
+    const missing = await request(`/users/${userId}`, {
+      method: 'PUT',
+      token: adminToken,
+      body: { full_name: 'Any Admin' }
+    });
+    const unconditional = await request(`/users/${userId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+      body: { full_name: 'Any Admin' }
+    });
+    steps.check(afterLogin.etag === first.etag && missing.status === 428 && missing.body.code === 'PRECONDITION_REQUIRED'
+      && unconditional.status === 200,
+      'Version unchanged by login, save without If-Match refused, "*" accepted',
+      `ETag after login ${afterLogin.etag}, saves ${missing.status}/${unconditional.status}`);
+
+    // Step 6: Projects use the same checks; changing only the images gives a new version
+    console.log('6. Saving a project with a stale version...');
+    const project = await request('/projects', {
+      method: 'POST',
+      token: adminToken,
+      body: { title: `Etag Project ${Date.now()}`, project_type: 'industrial', status: 'ongoing' }
+    });
+    projectId = project.body.data?.id;
+    const projectLoaded = await request(`/projects/${projectId}`, { token: adminToken });
+    const imagesOnly = await request(`/projects/${projectId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': projectLoaded.etag },
+      body: { images: [{ image_path: '/uploads/etag.jpg' }] }
+    });
+    const staleProject = await request(`/projects/${projectId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': projectLoaded.etag },
+      body: { status: 'completed' }
+    });
+    steps.check(imagesOnly.status === 200 && imagesOnly.etag !== projectLoaded.etag
+      && staleProject.status === 412 && staleProject.body.data?.images?.length === 1,
+      'Image change versioned, stale save refused',
+      `Statuses: images ${imagesOnly.status} ${imagesOnly.etag}, stale ${staleProject.status}`);
+
+    // Step 7: A conditional update losing the race to another save reports a conflict
+    console.log('7. Updating the repository with an outdated version...');
+    const conflict = await userRepository.update(userId, { full_name: 'Late Admin' }, { expectedVersion: 1 })
+      .catch(error => error);
+    const unchanged = await userRepository.findById(userId);
+    steps.check(conflict.code === 'VERSION_CONFLICT' && conflict.current.full_name === 'Any Admin'
+      && unchanged.full_name === 'Any Admin',
+      'VERSION_CONFLICT with the current record, nothing saved',
+      `Unexpected result: ${conflict.code || conflict.message}, name ${unchanged.full_name}`);
+
+    // Step 8: Moving the user to the trash and restoring it gives a new version
+    console.log('8. Deleting and restoring the user...');
+    const beforeTrash = await request(`/users/${userId}`, { token: adminToken });
+    await request(`/users/${userId}`, { method: 'DELETE', token: adminToken });
+    const restored = await request(`/trash/users/${userId}/restore`, { method: 'POST', token: adminToken });
+    const afterRestore = await request(`/users/${userId}`, { token: adminToken });
+    steps.check(restored.status === 200 && afterRestore.etag && afterRestore.etag !== beforeTrash.etag,
+      `Restored with ETag ${afterRestore.etag}`,
+      `Expected a new ETag, got ${beforeTrash.etag} -> ${afterRestore.etag} (restore ${restored.status})`);
+
+    // Step 9: Renaming a role changes the version of the users having it
+    console.log('9. Renaming the role of the user...');
+    const role = await request('/roles', {
+      method: 'POST',
+      token: adminToken,
+      body: { name: roleName, description: 'Concurrency test role' }
+    });
+    roleId = role.body.data?.id || null;
+    const assigned = await request(`/users/${userId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': afterRestore.etag },
+      body: { role: roleName }
+    });
+    const renamed = await request(`/roles/${roleId}`, {
+      method: 'PUT',
+      token: adminToken,
+      body: { name: `${roleName}-renamed` }
+    });
+    const afterRename = await request(`/users/${userId}`, { token: adminToken });
+    steps.check(assigned.status === 200 && renamed.status === 200
+      && afterRename.body.data?.role === `${roleName}-renamed` && afterRename.etag !== assigned.etag,
+      `Role renamed, new ETag ${afterRename.etag}`,
+      `Expected a new ETag, got ${assigned.etag} -> ${afterRename.etag} (statuses ${assigned.status}/${renamed.status})`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (adminToken) {
+      console.log('\nDeleting test data...');
+      if (projectId) {
+        await request(`/projects/${projectId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+        await request(`/trash/projects/${projectId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+      if (userId) {
+        await request(`/users/${userId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+        await request(`/trash/users/${userId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+      if (roleId) {
+        await request(`/roles/${roleId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testConcurrency);
+} else {
+  describe('Concurrency Tests', () => {
+    test('ETag and If-Match checks should pass every step', async () => {
+      expect(await testConcurrency()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testConcurrency;
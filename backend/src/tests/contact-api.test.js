@@ -0,0 +1,190 @@
+/**
+ * Contact API Tests
+ * Tests the public contact form endpoint and the admin contact message inbox
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import fetch from 'node-fetch';
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, API_URL, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testMessageId = null;
+
+// Unique marker so the test can find its own message in the inbox
+const marker = `contact-test-${Date.now()}`;
+
+/**
+ * Test the contact API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testContactAPI() {
+  console.log('=============================');
+  console.log('      CONTACT API TESTS      ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Submit the contact form anonymously
+    console.log('1. Submitting the contact form...');
+    const submitted = await request('/contact', {
+      method: 'POST',
+      body: {
+        name: 'Contact Tester',
+        email: 'Contact.Tester@example.com',
+        phone: '+84 912 345 678',
+        company: 'VRC Test',
+        subject: marker,
+        message: 'Please send me a quote for the reference product.',
+        service_interest: 'quote'
+      }
+    });
+    steps.check(submitted.status === 201,
+      'Contact message accepted',
+      `Expected 201, got ${submitted.status}: ${submitted.body.message}`);
+
+    // Step 2: Invalid submissions return field errors
+    console.log('2. Submitting an invalid form...');
+    const invalid = await request('/contact', {
+      method: 'POST',
+      body: { name: '', email: 'not-an-email', subject: 'Hi', message: 'short' }
+    });
+    steps.check(invalid.status === 400 && invalid.body.errors?.email && invalid.body.errors?.message,
+      'Validation errors returned per field',
+      `Expected 400 with field errors, got ${invalid.status}`);
+
+    // Step 3: Honeypot submissions look successful but are not stored
+    console.log('3. Submitting with the honeypot field filled in...');
+    const spam = await request('/contact', {
+      method: 'POST',
+      body: {
+        name: 'Spam Bot',
+        email: 'bot@example.com',
+        subject: `${marker}-spam`,
+        message: 'Buy cheap followers now, limited offer!',
+        website: 'http://spam.example.com'
+      }
+    });
+    steps.check(spam.status === 201,
+      'Honeypot submission answered like a normal one',
+      `Expected 201, got ${spam.status}`);
+
+    // Step 4: Login as admin to get token
+    console.log('4. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+    authToken = login.body.data.token;
+    console.log('✅ Authentication successful\n');
+
+    // Step 5: The message shows up as unread in the inbox, the spam does not
+    console.log('5. Listing unread messages...');
+    const list = await request(`/contact-messages?search=${encodeURIComponent(marker)}&read_status=unread`, { token: authToken });
+    const message = list.body.data?.find(item => item.subject === marker);
+    testMessageId = message?.id || null;
+    steps.check(message && message.email === 'contact.tester@example.com' && list.body.data.length === 1,
+      `Found unread message #${testMessageId}`,
+      'Submitted message missing or spam stored');
+
+    // Step 6: Mark the message as read
+    console.log('6. Marking the message as read...');
+    const read = await request(`/contact-messages/${testMessageId}/read`, {
+      method: 'PUT',
+      token: authToken,
+      body: { read: true }
+    });
+    const stats = await request('/contact-messages/stats', { token: authToken });
+    steps.check(read.status === 200 && read.body.data.read_status === true && typeof stats.body.data?.unread === 'number',
+      `Message marked as read (${stats.body.data.unread}/${stats.body.data.total} unread)`,
+      `Mark as read failed: ${read.body.message}`);
+
+    // Step 7: Export the inbox as CSV
+    console.log('7. Exporting messages as CSV...');
+    const exported = await fetch(`${API_URL}/contact-messages/export?search=${encodeURIComponent(marker)}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    const csv = await exported.text();
+    steps.check(exported.headers.get('content-type')?.startsWith('text/csv') && csv.includes(marker),
+      'CSV export contains the message',
+      `CSV export failed with status ${exported.status}`);
+
+    // Step 8: The inbox is not public
+    console.log('8. Listing messages without a token...');
+    const anonymous = await request('/contact-messages');
+    steps.check(anonymous.status === 401,
+      'Unauthenticated access rejected',
+      `Expected 401, got ${anonymous.status}`);
+
+    // Step 9: The contact form is rate limited per IP
+    console.log('9. Flooding the contact form...');
+    let limited = null;
+    for (let i = 0; i < 10 && !limited; i++) {
+      const flood = await request('/contact', { method: 'POST', body: {} });
+      if (flood.status === 429) {
+        limited = flood;
+      }
+    }
+    steps.check(limited,
+      'Rate limit enforced',
+      'Expected a 429 response');
+
+    // Step 10: Delete the message
+    console.log('10. Deleting the message...');
+    const deleted = await request(`/contact-messages/${testMessageId}`, { method: 'DELETE', token: authToken });
+    if (deleted.status === 200) {
+      testMessageId = null;
+    }
+    steps.check(deleted.status === 200,
+      'Message deleted',
+      `Delete failed: ${deleted.body.message}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Delete the test message if a step failed before step 10
+    if (testMessageId) {
+      console.log('\nDeleting test message...');
+      await request(`/contact-messages/${testMessageId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testContactAPI);
+} else {
+  describe('Contact API Tests', () => {
+    test('Contact form and message inbox endpoints should pass every step', async () => {
+      expect(await testContactAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testContactAPI;
@@ -0,0 +1,180 @@
+/**
+ * File API Tests
+ * Tests file upload, thumbnails, listing and deletion
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import fetch, { FormData, Blob } from 'node-fetch';
+import sharp from 'sharp';
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, API_URL, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+const SERVER_URL = `http://localhost:${TEST_PORT}`;
+let authToken = null;
+let server = null;
+let testFileId = null;
+
+/**
+ * Upload a file through the multipart endpoint
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - Declared MIME type
+ * @param {Object} fields - Extra form fields
+ * @returns {Promise<Object>} - Status and parsed body
+ */
+async function upload(buffer, fileName, mimeType, fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+
+  const res = await fetch(`${API_URL}/files/upload`, {
+    method: 'POST',
+    headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {},
+    body: form
+  });
+
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Test the file API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testFileAPI() {
+  console.log('=============================');
+  console.log('        FILE API TESTS       ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin to get token
+    console.log('1. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+    authToken = login.body.data.token;
+    console.log('✅ Authentication successful\n');
+
+    // Step 2: Upload a generated PNG image
+    console.log('2. Uploading an image...');
+    const image = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: '#0057b8' }
+    }).png().toBuffer();
+
+    const uploaded = await upload(image, 'test-image.png', 'image/png', { usage_type: 'product' });
+    if (uploaded.status !== 201) {
+      throw new Error(`Upload failed: ${uploaded.body.message}`);
+    }
+    testFileId = uploaded.body.data.id;
+    const file = uploaded.body.data;
+    steps.check(file.width === 800 && file.height === 600 && file.thumbnail_path,
+      `Uploaded file #${testFileId} to ${file.file_path}`,
+      'Image dimensions or thumbnail missing');
+
+    // Step 3: The file and its thumbnail are served statically
+    console.log('3. Downloading the file and its thumbnail...');
+    const original = await fetch(`${SERVER_URL}${file.file_path}`);
+    const thumbnail = await fetch(`${SERVER_URL}${file.thumbnail_path}`);
+    const thumbnailMeta = thumbnail.ok ? await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata() : null;
+    steps.check(original.ok && thumbnailMeta?.width === config.uploads.thumbnail.width,
+      'File and thumbnail are served',
+      'File or thumbnail not served correctly');
+
+    // Step 4: Files whose content does not match the declared type are rejected
+    console.log('4. Uploading a text file declared as JPEG...');
+    const spoofed = await upload(Buffer.from('not an image'), 'fake.jpg', 'image/jpeg');
+    steps.check(spoofed.status === 400,
+      'Spoofed image rejected',
+      `Expected 400, got ${spoofed.status}`);
+
+    // Step 5: Disallowed MIME types are rejected before storage
+    console.log('5. Uploading an executable...');
+    const disallowed = await upload(Buffer.from('MZ'), 'tool.exe', 'application/x-msdownload');
+    steps.check(disallowed.status === 400,
+      'Disallowed type rejected',
+      `Expected 400, got ${disallowed.status}`);
+
+    // Step 6: Oversized files are rejected
+    console.log('6. Uploading a file larger than the limit...');
+    const oversized = await upload(Buffer.alloc(config.uploads.maxFileSize + 1), 'big.pdf', 'application/pdf');
+    steps.check(oversized.status === 413,
+      'Oversized file rejected',
+      `Expected 413, got ${oversized.status}`);
+
+    // Step 7: List images uploaded for products
+    console.log('7. Listing product images...');
+    const list = await request('/files?type=image&usage_type=product&pageSize=50', { token: authToken });
+    steps.check(list.body.data?.some(item => item.id === testFileId),
+      `Listed ${list.body.data.length} files`,
+      'Uploaded file missing from the list');
+
+    // Step 8: Anonymous users cannot upload
+    console.log('8. Uploading without a token...');
+    const savedToken = authToken;
+    authToken = null;
+    const unauthorized = await upload(image, 'anon.png', 'image/png');
+    authToken = savedToken;
+    steps.check(unauthorized.status === 401,
+      'Unauthenticated upload rejected',
+      `Expected 401, got ${unauthorized.status}`);
+
+    // Step 9: Delete the file and check it is gone from disk
+    console.log('9. Deleting the file...');
+    const deleted = await request(`/files/${testFileId}`, { method: 'DELETE', token: authToken });
+    const gone = await fetch(`${SERVER_URL}${file.file_path}`);
+    if (deleted.status === 200) {
+      testFileId = null;
+    }
+    steps.check(deleted.status === 200 && gone.status === 404,
+      'File deleted from database and disk',
+      `Delete failed: ${deleted.body.message}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Delete the test file if a step failed before step 9
+    if (testFileId) {
+      console.log('\nDeleting test file...');
+      await request(`/files/${testFileId}?force=true`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testFileAPI);
+} else {
+  describe('File API Tests', () => {
+    test('File upload, thumbnail and delete endpoints should pass every step', async () => {
+      expect(await testFileAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testFileAPI;
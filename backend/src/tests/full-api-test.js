@@ -366,7 +366,7 @@ async function runApiTests() {
         body: JSON.stringify({
           username,
           email: testUserEmail,
-          password: 'Password123!',
+          password: 'TestUser@2025!',
           full_name: 'Test User'
         })
       });
@@ -426,7 +426,8 @@ async function runApiTests() {
         method: 'PUT',
         headers: { 
           'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'If-Match': '*'
         },
         body: JSON.stringify({
           role: config.roles.EDITOR
@@ -482,7 +483,8 @@ async function runApiTests() {
         method: 'PUT',
         headers: { 
           'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'If-Match': '*'
         },
         body: JSON.stringify({
           role: 'invalid_role'
@@ -42,7 +42,7 @@
  *        - jwt-helper.js: Xử lý JWT
  *    - /backend/src/middleware/: Express middlewares
  *        - auth-middleware.js: Authentication middleware
- *    - /backend/src/sql/: SQL migration scripts
+ *    - /backend/src/migrations/: SQL migrations (up/down)
  *    - /backend/src/tests/: Tests cho backend
  *        - helpers/: Test helpers và mocks
  *        - *.test.js: Test files
@@ -532,7 +532,7 @@ class TestBotMother {
         data: {
           username: 'newuser',
           email: 'newuser@example.com',
-          password: 'password123',
+          password: 'NewUser@2025',
           full_name: 'New User',
           role: 'user'
         },
@@ -572,6 +572,7 @@ class TestBotMother {
         endpoint: '/api/users/2',
         requireAuth: true,
         authUser: 'admin',
+        headers: { 'If-Match': '*' },
         data: {
           full_name: 'Updated User Name',
           email: 'updated@example.com'
@@ -0,0 +1,58 @@
+/**
+ * API Request Helper
+ * Gửi request tới server test và dừng server (kèm kết nối database) sau khi test
+ */
+
+import fetch from 'node-fetch';
+import config from '../../config.js';
+import { stopServer } from '../../server.js';
+import dbService from '../../core/services/db.service.js';
+import authService from '../../core/services/auth.service.js';
+
+// Các script test API khởi động server trên cùng một port nên phải chạy lần lượt (jest --runInBand)
+export const TEST_PORT = 3001;
+export const API_URL = `http://localhost:${TEST_PORT}${config.paths.apiBasePath}`;
+
+/**
+ * Gửi request tới API
+ * @param {string} path - Endpoint, ví dụ '/news'
+ * @param {Object} [options] - Tùy chọn
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {string|null} [options.token] - Access token gửi trong header Authorization
+ * @param {Object} [options.headers] - Header bổ sung (If-Match, User-Agent...)
+ * @param {Object} [options.body] - Body, gửi dạng JSON
+ * @returns {Promise<Object>} - status, headers, etag, contentType và body (JSON, hoặc text với response khác JSON)
+ */
+export async function request(path, options = {}) {
+  const headers = { 'Content-Type': 'application/json', ...options.headers };
+  if (options.token) {
+    headers['Authorization'] = `Bearer ${options.token}`;
+  }
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method: options.method || 'GET',
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  const contentType = res.headers.get('content-type') || '';
+  const body = contentType.includes('application/json') ? await res.json() : await res.text();
+  return { status: res.status, headers: res.headers, etag: res.headers.get('etag'), contentType, body };
+}
+
+/**
+ * Dừng server test và đóng kết nối database để process (node hoặc Jest) tự kết thúc
+ * Các email thông báo gửi nền (đổi mật khẩu, đổi email...) được chờ gửi xong trước
+ */
+export async function stopTestServer() {
+  await authService.waitForPendingMails();
+  await stopServer();
+  await dbService.close();
+}
+
+export default {
+  TEST_PORT,
+  API_URL,
+  request,
+  stopTestServer
+};
@@ -0,0 +1,60 @@
+/**
+ * Mail Outbox Helper
+ * Ghi email gửi trong lúc test ra thư mục outbox tạm (FileTransport) và đọc token từ link trong email
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mailService from '../../core/services/mail.service.js';
+import { FileTransport } from '../../core/mail/transports/index.js';
+
+let outboxDir = null;
+
+/**
+ * Gửi email qua FileTransport vào một thư mục tạm mới
+ * @returns {Promise<string>} - Đường dẫn thư mục outbox
+ */
+export async function useOutbox() {
+  outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrc-outbox-'));
+  mailService.setTransport(new FileTransport({ outboxDir }));
+  return outboxDir;
+}
+
+/**
+ * Lấy token trong link của email mới nhất gửi tới một địa chỉ
+ * @param {string} email - Người nhận
+ * @param {string} linkPath - Đường dẫn của link chứa token, ví dụ '/reset-password'
+ * @returns {Promise<string|null>} - Token hoặc null nếu không có email phù hợp
+ */
+export async function readLatestToken(email, linkPath) {
+  const files = (await fs.readdir(outboxDir)).sort().reverse();
+  const pattern = new RegExp(`${linkPath}\\?token=([A-Za-z0-9._-]+)`);
+
+  for (const file of files) {
+    // Bỏ ngắt dòng mềm và ký tự '=' được mã hóa của quoted-printable
+    const eml = (await fs.readFile(path.join(outboxDir, file), 'utf8')).replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+    const link = eml.includes(`To: ${email}`) && eml.match(pattern);
+    if (link) {
+      return link[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Trả mail service về transport theo cấu hình và xóa thư mục outbox tạm
+ */
+export async function closeOutbox() {
+  mailService.setTransport(null);
+  if (outboxDir) {
+    await fs.rm(outboxDir, { recursive: true, force: true });
+    outboxDir = null;
+  }
+}
+
+export default {
+  useOutbox,
+  readLatestToken,
+  closeOutbox
+};
@@ -0,0 +1,91 @@
+/**
+ * Test Steps Helper
+ * Ghi nhận kết quả từng bước của các script test và chạy script trực tiếp bằng node hoặc qua Jest
+ *
+ * Script test trả về danh sách các bước thất bại:
+ *   - Chạy bằng node: exit code 1 nếu có bước thất bại
+ *   - Chạy qua Jest: test case kiểm tra danh sách này rỗng
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Thời gian tối đa của một script test khi chạy qua Jest (khởi động server, chạy migration, bcrypt...)
+export const TEST_TIMEOUT = 120000;
+
+/**
+ * Kết quả các bước của một lần chạy script test
+ */
+export class TestSteps {
+  constructor() {
+    this.failures = [];
+  }
+
+  /**
+   * Ghi nhận kết quả một bước
+   * @param {boolean} condition - true nếu bước thành công
+   * @param {string} success - Thông báo khi thành công
+   * @param {string} failure - Thông báo khi thất bại
+   * @returns {boolean} - Kết quả của bước
+   */
+  check(condition, success, failure) {
+    const passed = Boolean(condition);
+    console.log(passed ? `✅ ${success}\n` : `❌ ${failure}\n`);
+    if (!passed) {
+      this.failures.push(failure);
+    }
+    return passed;
+  }
+
+  /**
+   * Ghi nhận lỗi làm dừng script (bước bắt buộc thất bại hoặc exception)
+   * @param {string} message - Thông báo lỗi
+   */
+  fail(message) {
+    console.error('❌ TEST FAILED:', message);
+    this.failures.push(message);
+  }
+
+  /**
+   * In kết quả cuối cùng
+   * @returns {Array<string>} - Thông báo của các bước thất bại
+   */
+  finish() {
+    console.log(this.failures.length === 0
+      ? 'ALL TESTS COMPLETED! ✅'
+      : `${this.failures.length} STEP(S) FAILED ❌`);
+    return this.failures;
+  }
+}
+
+/**
+ * Kiểm tra script test có được chạy trực tiếp bằng node hay không
+ * @param {string} moduleUrl - import.meta.url của script test
+ * @returns {boolean} - true nếu chạy bằng `node <file>`, false nếu được import (Jest)
+ */
+export const isDirectRun = (moduleUrl) =>
+  Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+
+/**
+ * Chạy script test trực tiếp và đặt exit code 1 nếu có bước thất bại
+ * @param {Function} testFn - Hàm test trả về danh sách bước thất bại
+ */
+export const runDirectly = (testFn) => {
+  testFn()
+    .then(failures => {
+      if (failures.length > 0) {
+        process.exitCode = 1;
+      }
+    })
+    .catch(error => {
+      console.error('Unexpected error during test execution:', error);
+      process.exitCode = 1;
+    });
+};
+
+export default {
+  TEST_TIMEOUT,
+  TestSteps,
+  isDirectRun,
+  runDirectly
+};
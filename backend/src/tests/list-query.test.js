@@ -0,0 +1,159 @@
+/**
+ * List Query Tests
+ * Tests the sort and filter[...] query parameters of list endpoints: multi-column sort,
+ * filter operators, and rejection of columns and values outside the repository whitelist
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+const createdUserIds = [];
+
+const prefix = `lq${Date.now() % 100000000}`;
+const password = 'ListQuery123!';
+
+/**
+ * Test sorting and filtering of list endpoints
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testListQuery() {
+  console.log('=============================');
+  console.log('      LIST QUERY TESTS       ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create three users sharing a prefix
+    console.log('1. Creating the test users...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    for (const [suffix, role] of [['b', 'editor'], ['a', 'customer'], ['c', 'customer']]) {
+      const user = await request('/users', {
+        method: 'POST',
+        token: adminToken,
+        body: { username: `${prefix}_${suffix}`, email: `${prefix}_${suffix}@example.com`, password, role }
+      });
+      if (user.status !== 201) {
+        throw new Error(`Could not create user: ${user.body.message}`);
+      }
+      createdUserIds.push(user.body.data.id);
+    }
+    await request(`/users/${createdUserIds[2]}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+      body: { is_active: false }
+    });
+    console.log('✅ Users created\n');
+
+    const list = (query) => request(`/users?pageSize=50&filter[username][like]=${prefix}_&${query}`, { token: adminToken });
+    const usernames = (result) => (result.body.data || []).map(user => user.username.slice(prefix.length + 1)).join(',');
+
+    // Step 2: Sort by several columns, '-' for descending
+    console.log('2. Sorting by role, then username descending...');
+    const sorted = await list('sort=role,-username');
+    steps.check(sorted.status === 200 && usernames(sorted) === 'c,a,b',
+      'Sorted: c, a, b',
+      `Unexpected order: ${sorted.status} ${usernames(sorted)}`);
+
+    // Step 3: Equality, 'in' and boolean filters
+    console.log('3. Filtering by role and active status...');
+    const customers = await list('filter[role][in]=customer,admin&filter[is_active]=true&sort=username');
+    steps.check(customers.status === 200 && usernames(customers) === 'a',
+      'Only the active customer returned',
+      `Unexpected users: ${customers.status} ${usernames(customers)}`);
+
+    // Step 4: A date without time includes the whole day
+    console.log('4. Filtering by creation date...');
+    const today = new Date().toISOString().slice(0, 10);
+    const created = await list(`filter[created_at][between]=${today},${today}&filter[id][gte]=${createdUserIds[0]}`);
+    steps.check(created.status === 200 && created.body.pagination.total === 3,
+      'Users created today returned',
+      `Expected 3 users, got ${created.body.pagination?.total}`);
+
+    // Step 5: '%' in a like filter is matched literally
+    console.log('5. Filtering with a wildcard character...');
+    const wildcard = await request(`/users?filter[username][like]=${encodeURIComponent('%')}`, { token: adminToken });
+    steps.check(wildcard.status === 200 && wildcard.body.pagination.total === 0,
+      'No user name contains %',
+      `Expected no users, got ${wildcard.body.pagination?.total}`);
+
+    // Step 6: Columns, operators and values outside the whitelist are rejected
+    console.log('6. Sending invalid sort and filter parameters...');
+    const invalid = await Promise.all([
+      request('/users?sortBy=password', { token: adminToken }),
+      request(`/users?sort=${encodeURIComponent('created_at; DROP TABLE users')}`, { token: adminToken }),
+      request('/users?filter[password]=x', { token: adminToken }),
+      request('/users?filter[is_active][like]=1', { token: adminToken }),
+      request('/users?filter[id][gte]=abc', { token: adminToken }),
+      request('/users?filter[role][regex]=admin', { token: adminToken }),
+      request('/news?sort=content', {})
+    ]);
+    steps.check(invalid.every(result => result.status === 400),
+      'All rejected with 400',
+      `Statuses: ${invalid.map(result => result.status).join(', ')}`);
+
+    // Step 7: The older sortBy/sortDir parameters still work
+    console.log('7. Sorting with sortBy and sortDir...');
+    const legacy = await list('sortBy=username&sortDir=desc');
+    steps.check(legacy.status === 200 && usernames(legacy) === 'c,b,a',
+      'Sorted: c, b, a',
+      `Unexpected order: ${legacy.status} ${usernames(legacy)}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (adminToken) {
+      console.log('\nDeleting test users...');
+      for (const id of createdUserIds) {
+        await request(`/users/${id}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testListQuery);
+} else {
+  describe('List Query Tests', () => {
+    test('Sorting and filtering of list endpoints should pass every step', async () => {
+      expect(await testListQuery()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testListQuery;
@@ -0,0 +1,180 @@
+/**
+ * Login Protection Tests
+ * Tests progressive delays, account lockout and the admin unlock endpoint
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import loginProtectionService from '../core/services/login-protection.service.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testUserId = null;
+
+// Short delays so the test does not wait for the production values
+loginProtectionService.options = {
+  ...loginProtectionService.options,
+  maxAccountAttempts: 4,
+  delayAfter: 2,
+  baseDelayMs: 300,
+  maxDelayMs: 600
+};
+
+const username = `lockout-${Date.now() % 100000000}`;
+const password = 'Lockout123!';
+
+/**
+ * Log in as the test user
+ * @param {string} pass - Password to try
+ * @returns {Promise<Object>} - Response of POST /auth/login
+ */
+function login(pass) {
+  return request('/auth/login', { method: 'POST', body: { username, password: pass } });
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Test the login protection functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testLoginProtection() {
+  console.log('=============================');
+  console.log('   LOGIN PROTECTION TESTS    ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create the test user
+    console.log('1. Creating the test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    authToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: authToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'Lockout Tester' }
+    });
+    testUserId = user.body.data?.id || null;
+    steps.check(testUserId,
+      `User #${testUserId} created`,
+      `Could not create the user: ${user.body.message}`);
+
+    // Step 2: Wrong passwords are rejected with 401
+    console.log('2. Sending wrong passwords...');
+    const first = await login('wrong-1');
+    await wait(100);
+    const second = await login('wrong-2');
+    steps.check(first.status === 401 && second.status === 401,
+      'Wrong passwords rejected',
+      `Expected 401/401, got ${first.status}/${second.status}`);
+
+    // Step 3: An immediate retry has to wait, even with the right password
+    console.log('3. Retrying immediately...');
+    const throttled = await login(password);
+    steps.check(throttled.status === 429 && throttled.headers.get('retry-after'),
+      `Throttled, Retry-After ${throttled.headers.get('retry-after')}s`,
+      `Expected 429, got ${throttled.status}`);
+
+    // Step 4: Keep failing until the account is locked
+    console.log('4. Failing until the account locks...');
+    await wait(700);
+    await login('wrong-3');
+    await wait(700);
+    await login('wrong-4');
+    await wait(700);
+    const locked = await login(password);
+    steps.check(locked.status === 423 && locked.body.errors?.code === 'ACCOUNT_LOCKED',
+      `Account locked for ${locked.body.errors.retryAfter}s`,
+      `Expected 423, got ${locked.status}: ${locked.body.message}`);
+
+    // Step 5: The lock shows up on the user record
+    console.log('5. Checking the user record...');
+    const detail = await request(`/users/${testUserId}`, { token: authToken });
+    steps.check(detail.body.data?.locked_until,
+      'locked_until is set',
+      'locked_until is missing');
+
+    // Step 6: An admin unlocks the account and the user can log in again
+    console.log('6. Unlocking the account...');
+    const unlocked = await request(`/users/${testUserId}/unlock`, { method: 'POST', token: authToken });
+    const afterUnlock = await login(password);
+    steps.check(unlocked.status === 200 && unlocked.body.data.locked === false && afterUnlock.status === 200,
+      'Account unlocked and login works',
+      `Unlock ${unlocked.status}, login ${afterUnlock.status}`);
+
+    // Step 7: Unlocking requires users.unlock
+    console.log('7. Unlocking without permission...');
+    const userToken = afterUnlock.body.data?.token;
+    const forbidden = await request(`/users/${testUserId}/unlock`, { method: 'POST', token: userToken });
+    steps.check(forbidden.status === 403,
+      'Unlock rejected',
+      `Expected 403, got ${forbidden.status}`);
+
+    // Step 8: Parallel attempts cannot all pass the check before the first failure is recorded
+    console.log('8. Sending wrong passwords in parallel...');
+    await wait(700);
+    const burst = await Promise.all(['p-1', 'p-2', 'p-3', 'p-4', 'p-5'].map(pass => login(pass)));
+    const statuses = burst.map(response => response.status);
+    const rejected = statuses.filter(status => status === 401).length;
+    steps.check(rejected >= 1 && rejected <= loginProtectionService.options.delayAfter && statuses.includes(429),
+      `Only ${rejected} of the parallel attempts checked, the rest throttled`,
+      `Expected at most ${loginProtectionService.options.delayAfter} checked attempts, got ${statuses.join('/')}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testLoginProtection);
+} else {
+  describe('Login Protection Tests', () => {
+    test('Failed-login delays, lockout and unlock should pass every step', async () => {
+      expect(await testLoginProtection()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testLoginProtection;
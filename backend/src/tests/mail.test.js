@@ -0,0 +1,130 @@
+/**
+ * Mail Tests
+ * Renders every email template through the file transport and checks the written .eml files
+ * Does not need a database or SMTP server
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mailService from '../core/services/mail.service.js';
+import { FileTransport } from '../core/mail/transports/index.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+/**
+ * Test the mail service with the file transport
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testMail() {
+  console.log('=============================');
+  console.log('         MAIL TESTS          ');
+  console.log('=============================\n');
+
+  const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrc-mail-'));
+  const user = { username: 'mail<tester>', email: 'mail.tester@example.com' };
+  const steps = new TestSteps();
+
+  /**
+   * Read the most recently written email in the outbox
+   * @returns {Promise<string>} - .eml content with quoted-printable soft breaks and '=' escapes decoded
+   */
+  const readLatest = async () => {
+    const files = (await fs.readdir(outboxDir)).sort();
+    const eml = await fs.readFile(path.join(outboxDir, files[files.length - 1]), 'utf8');
+    return eml.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+  };
+
+  try {
+    mailService.setTransport(new FileTransport({ outboxDir }));
+
+    // Step 1: Password reset email contains the reset link
+    console.log('1. Sending a password reset email...');
+    const reset = await mailService.sendPasswordResetEmail({
+      email: user.email,
+      username: user.username,
+      token: 'abc123',
+      expiryHours: 24
+    });
+    const resetEml = await readLatest();
+    steps.check(
+      reset.messageId && resetEml.includes('To: mail.tester@example.com') && resetEml.includes('/reset-password?token=abc123'),
+      'Password reset email written with the reset link',
+      'Password reset email missing recipient or link'
+    );
+
+    // Step 2: User data is escaped in the HTML part
+    console.log('2. Checking HTML escaping...');
+    steps.check(
+      resetEml.includes('mail&lt;tester&gt;'),
+      'Username is HTML-escaped',
+      'Username was not escaped in the HTML part'
+    );
+
+    // Step 3: Welcome email
+    console.log('3. Sending a welcome email...');
+    await mailService.sendWelcomeEmail(user);
+    const welcomeEml = await readLatest();
+    steps.check(
+      welcomeEml.includes('Subject: Welcome to VRC') && welcomeEml.includes('/login'),
+      'Welcome email written',
+      'Welcome email missing subject or login link'
+    );
+
+    // Step 4: Email verification email contains the verification link
+    console.log('4. Sending an email verification email...');
+    await mailService.sendEmailVerificationEmail({
+      email: user.email,
+      username: user.username,
+      token: 'def456',
+      expiryHours: 24
+    });
+    const verificationEml = await readLatest();
+    steps.check(
+      verificationEml.includes('Subject: Verify your email address') && verificationEml.includes('/verify-email?token=def456'),
+      'Email verification email written with the verification link',
+      'Email verification email missing subject or link'
+    );
+
+    // Step 5: Email change notices go to the old address
+    console.log('5. Sending an email change notice...');
+    await mailService.sendAccountChangeNotice(user, 'email_change', { newEmail: 'new@example.com' }, 'old@example.com');
+    const noticeEml = await readLatest();
+    steps.check(
+      noticeEml.includes('To: old@example.com') && noticeEml.includes('new@example.com'),
+      'Account change notice sent to the previous address',
+      'Account change notice has the wrong recipient or content'
+    );
+
+    // Step 6: Unknown templates are rejected
+    console.log('6. Sending an unknown template...');
+    const unknown = await mailService.send('missing-template', user.email).catch(error => error);
+    steps.check(
+      unknown instanceof Error && unknown.message.startsWith('Unknown email template'),
+      'Unknown template rejected',
+      'Unknown template was not rejected'
+    );
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    mailService.setTransport(null);
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testMail);
+} else {
+  describe('Mail Tests', () => {
+    test('Emails should be rendered and written by the file transport', async () => {
+      expect(await testMail()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testMail;
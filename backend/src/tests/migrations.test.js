@@ -0,0 +1,117 @@
+/**
+ * Migration Tests
+ * Tests the migration runner against a temporary migrations directory:
+ * status, migrate, checksum changes and rollback
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dbService from '../core/services/db.service.js';
+import migrationService, { MigrationService } from '../core/services/migration.service.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+// A version far above the real migrations so rollback(1) picks it
+const VERSION = 900001;
+const TABLE = 'migration_runner_test';
+
+/**
+ * Test the migration runner
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testMigrations() {
+  console.log('=============================');
+  console.log('       MIGRATION TESTS       ');
+  console.log('=============================\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrc-migrations-'));
+  const upPath = path.join(dir, `${VERSION}-runner-test.up.sql`);
+  const runner = new MigrationService(dir);
+
+  const steps = new TestSteps();
+
+  try {
+    fs.writeFileSync(upPath, [
+      `CREATE TABLE ${TABLE} (id INT NOT NULL PRIMARY KEY);`,
+      'GO',
+      `INSERT INTO ${TABLE} (id) VALUES (1);`
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, `${VERSION}-runner-test.down.sql`), `DROP TABLE IF EXISTS ${TABLE};`);
+
+    await dbService.init();
+
+    // Step 1: The real migrations are all applied by server start-up / npm run migrate
+    console.log('1. Checking the project migrations...');
+    await migrationService.migrate();
+    const projectPending = await migrationService.getPendingMigrations();
+    steps.check(projectPending.length === 0,
+      'No pending project migrations',
+      `Pending: ${projectPending.map(migration => migration.id).join(', ')}`);
+
+    // Step 2: GO separates batches
+    console.log('2. Splitting a script on GO lines...');
+    const batches = runner.splitBatches('SELECT 1;\nGO\n\n  go  \nSELECT 2;\nGO\n');
+    steps.check(batches.length === 2 && batches[1] === 'SELECT 2;',
+      'Two batches',
+      `Unexpected batches: ${JSON.stringify(batches)}`);
+
+    // Step 3: New migration is pending
+    console.log('3. Reading the status of a new migration...');
+    let status = (await runner.getStatus()).find(migration => migration.version === VERSION);
+    steps.check(status && !status.applied,
+      'Migration is pending',
+      `Unexpected status: ${JSON.stringify(status)}`);
+
+    // Step 4: Migrate applies it once
+    console.log('4. Migrating twice...');
+    const first = await runner.migrate();
+    const second = await runner.migrate();
+    const rows = await dbService.executeQuery(`SELECT COUNT(*) AS count FROM ${TABLE}`);
+    steps.check(first.length === 1 && second.length === 0 && rows.recordset[0].count === 1,
+      'Applied once, both batches ran',
+      `Applied ${first.length}/${second.length}, rows ${rows.recordset[0].count}`);
+
+    // Step 5: Editing an applied migration is reported
+    console.log('5. Editing the applied migration...');
+    fs.appendFileSync(upPath, '\n-- edited');
+    status = (await runner.getStatus()).find(migration => migration.version === VERSION);
+    steps.check(status?.applied && status.modified,
+      'Reported as modified',
+      `Unexpected status: ${JSON.stringify(status)}`);
+
+    // Step 6: Rollback runs the down file and forgets the migration
+    console.log('6. Rolling back...');
+    const rolledBack = await runner.rollback();
+    const pending = await runner.getPendingMigrations();
+    const tableLeft = await dbService.tableExists(TABLE);
+    steps.check(rolledBack.length === 1 && !tableLeft && pending.some(migration => migration.version === VERSION),
+      'Table dropped, migration pending again',
+      `Rolled back ${rolledBack.length}, table exists: ${tableLeft}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Leave no trace of the test migration
+    await dbService.executeQuery(`DROP TABLE IF EXISTS ${TABLE}`).catch(() => {});
+    await dbService.executeQuery('DELETE FROM schema_migrations WHERE version = @version', { version: VERSION }).catch(() => {});
+    fs.rmSync(dir, { recursive: true, force: true });
+    await dbService.close();
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testMigrations);
+} else {
+  describe('Migration Tests', () => {
+    test('Migration runner should pass every step', async () => {
+      expect(await testMigrations()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testMigrations;
@@ -0,0 +1,226 @@
+/**
+ * News API Tests
+ * Tests the news CRUD and publish workflow endpoints and the sanitizing of article content
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testNewsId = null;
+let testNewsSlug = null;
+
+/**
+ * Test the news API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testNewsAPI() {
+  console.log('=============================');
+  console.log('       NEWS API TESTS        ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin to get token
+    console.log('1. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+    authToken = login.body.data.token;
+    console.log('✅ Authentication successful\n');
+
+    // Step 2: Load categories for the new article
+    console.log('2. Getting news categories...');
+    const categories = await request('/news/categories', { token: authToken });
+    if (!categories.body.success || categories.body.data.length === 0) {
+      throw new Error('No categories available to create a news article');
+    }
+    const categoryId = categories.body.data[0].id;
+    console.log(`✅ Found ${categories.body.data.length} categories\n`);
+
+    // Step 3: Create a draft article
+    console.log('3. Creating a draft news article...');
+    const created = await request('/news', {
+      method: 'POST',
+      token: authToken,
+      body: {
+        title: `Test News ${Date.now()}`,
+        content: '<p>Test content</p>',
+        excerpt: 'Test excerpt',
+        category_id: categoryId
+      }
+    });
+
+    if (created.status !== 201) {
+      throw new Error(`Create failed: ${created.body.message}`);
+    }
+    testNewsId = created.body.data.id;
+    testNewsSlug = created.body.data.slug;
+    console.log(`✅ Created news #${testNewsId} with slug "${testNewsSlug}" (status: ${created.body.data.status})\n`);
+
+    // Step 4: Drafts must be hidden from the public
+    console.log('4. Checking that drafts are hidden from anonymous users...');
+    const hidden = await request(`/news/slug/${testNewsSlug}`);
+    const managed = await request(`/news/slug/${testNewsSlug}`, { token: authToken });
+    steps.check(hidden.status === 404 && managed.status === 200,
+      'Draft is not visible publicly, only with news.view',
+      `Expected 404/200, got ${hidden.status}/${managed.status}`);
+
+    // Step 5: Publish the article
+    console.log('5. Publishing the article...');
+    const published = await request(`/news/${testNewsId}/publish`, { method: 'POST', token: authToken });
+    steps.check(published.body.data?.status === 'published',
+      'Article published',
+      `Publish failed: ${published.body.message}`);
+
+    // Step 6: Published article is visible publicly and counted in its category
+    console.log('6. Reading the published article anonymously...');
+    const visible = await request(`/news/slug/${testNewsSlug}`);
+    const publicCategories = await request('/news/categories');
+    const counted = publicCategories.body.data?.find(category => category.id === categoryId);
+    steps.check(visible.status === 200 && counted?.news_count >= 1
+      && publicCategories.body.data.every(category => category.news_count > 0),
+      'Published article is visible, public categories list only non-empty categories',
+      `Expected 200 and a counted category, got ${visible.status} ${JSON.stringify(publicCategories.body.data)}`);
+
+    // Step 7: Update the article
+    console.log('7. Updating the article...');
+    const updated = await request(`/news/${testNewsId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { excerpt: 'Updated excerpt', featured: true }
+    });
+    steps.check(updated.body.data?.excerpt === 'Updated excerpt',
+      'Article updated',
+      `Update failed: ${updated.body.message}`);
+
+    // Step 8: Invalid status is rejected
+    console.log('8. Sending an invalid status...');
+    const invalid = await request(`/news/${testNewsId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { status: 'deleted' }
+    });
+    steps.check(invalid.status === 400,
+      'Invalid status rejected',
+      `Expected 400, got ${invalid.status}`);
+
+    // Step 9: Archive the article
+    console.log('9. Archiving the article...');
+    const archived = await request(`/news/${testNewsId}/archive`, { method: 'POST', token: authToken });
+    steps.check(archived.body.data?.status === 'archived',
+      'Article archived',
+      `Archive failed: ${archived.body.message}`);
+
+    // Step 10: Listing requires no auth but only returns published articles
+    console.log('10. Listing news anonymously...');
+    const list = await request('/news?pageSize=50');
+    const leaked = list.body.data.some(news => news.status !== 'published');
+    steps.check(!leaked,
+      `Listed ${list.body.data.length} published articles`,
+      'Unpublished articles leaked to the public list');
+
+    // Step 11: Anonymous users cannot create articles
+    console.log('11. Creating news without a token...');
+    const unauthorized = await request('/news', {
+      method: 'POST',
+      body: { title: 'x', content: 'x', category_id: categoryId }
+    });
+    steps.check(unauthorized.status === 401,
+      'Unauthenticated create rejected',
+      `Expected 401, got ${unauthorized.status}`);
+
+    // Step 12: Content is reduced to the rich-text allowlist
+    console.log('12. Saving content with scripts and event handlers...');
+    const unsafe = await request(`/news/${testNewsId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: {
+        content: '<p onclick="alert(1)">Safe <a href="javascript:alert(1)">link</a></p>'
+          + '<script>alert(1)</script><img src="/uploads/a.jpg" onerror="alert(1)">'
+          + '<a href="https://example.com" target="_blank">site</a>'
+      }
+    });
+    const scriptOnly = await request(`/news/${testNewsId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { content: '<script>alert(1)</script>' }
+    });
+    const content = unsafe.body.data?.content || '';
+    steps.check(unsafe.status === 200 && !/script|onclick|onerror|javascript:/i.test(content)
+      && content.includes('<p>Safe <a>link</a></p>') && content.includes('<img src="/uploads/a.jpg" />')
+      && content.includes('rel="noopener noreferrer"') && scriptOnly.status === 400,
+      'Scripts, event handlers and javascript: links removed; script-only content rejected',
+      `Unexpected content (${unsafe.status}/${scriptOnly.status}): ${content}`);
+
+    // Step 13: A slug without any letter or digit is rejected
+    console.log('13. Creating an article with a slug that is empty once normalized...');
+    const emptySlug = await request('/news', {
+      method: 'POST',
+      token: authToken,
+      body: {
+        title: `Empty Slug ${Date.now()}`,
+        slug: '!!!',
+        content: '<p>Test content</p>',
+        category_id: categoryId
+      }
+    });
+    steps.check(emptySlug.status === 400 && emptySlug.body.message === 'Slug cannot be empty',
+      'Empty slug rejected',
+      `Expected 400 Slug cannot be empty, got ${emptySlug.status}: ${emptySlug.body.message}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Delete the test article
+    if (testNewsId) {
+      console.log('\nDeleting test news article...');
+      await request(`/news/${testNewsId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testNewsAPI);
+} else {
+  describe('News API Tests', () => {
+    test('News CRUD and publish workflow should pass every step', async () => {
+      expect(await testNewsAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testNewsAPI;
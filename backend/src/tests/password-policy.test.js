@@ -0,0 +1,158 @@
+/**
+ * Password Policy Tests
+ * Tests the server-side password rules, the common-password blocklist, password history and password max age
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import passwordPolicyService from '../core/services/password-policy.service.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+let testUserId = null;
+
+const username = `policy-${Date.now() % 100000000}`;
+const email = `${username}@example.com`;
+const firstPassword = 'Policy-First-2025';
+const secondPassword = 'Policy-Second-2025';
+
+/**
+ * Test the password policy functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testPasswordPolicy() {
+  console.log('=============================');
+  console.log('    PASSWORD POLICY TESTS    ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Login as admin
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    adminToken = admin.body.data?.token;
+    if (!adminToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
+    }
+
+    // Step 1: Weak passwords are rejected with field-level errors
+    console.log('1. Creating a user with a weak password...');
+    const weak = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email, password: 'short' }
+    });
+    steps.check(weak.status === 400 && weak.body.errors?.password?.length > 1,
+      `Rejected with ${weak.body.errors?.password?.length} password errors`,
+      `Expected 400 with password errors, got ${weak.status}: ${JSON.stringify(weak.body)}`);
+
+    // Step 2: Common passwords are rejected even when they satisfy the character rules
+    console.log('2. Creating a user with a common password...');
+    const common = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email, password: 'P@ssw0rd123' }
+    });
+    steps.check(common.status === 400 && common.body.errors?.password?.some(message => message.includes('too common')),
+      'Common password rejected',
+      `Expected 400 "too common", got ${common.status}: ${JSON.stringify(common.body)}`);
+
+    // Step 3: A compliant password is accepted
+    console.log('3. Creating a user with a strong password...');
+    const created = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email, password: firstPassword, full_name: 'Policy Tester' }
+    });
+    testUserId = created.body.data?.id || null;
+    steps.check(created.status === 201 && testUserId,
+      `User #${testUserId} created`,
+      `Expected 201, got ${created.status}: ${created.body.message}`);
+
+    // Step 4: The current password cannot be reused
+    console.log('4. Changing to the current password...');
+    const same = await request(`/users/${testUserId}/change-password`, {
+      method: 'POST',
+      token: adminToken,
+      body: { currentPassword: firstPassword, newPassword: firstPassword }
+    });
+    steps.check(same.status === 400 && same.body.errors?.newPassword?.length === 1,
+      'Reusing the current password rejected on the newPassword field',
+      `Expected 400 with newPassword errors, got ${same.status}: ${JSON.stringify(same.body)}`);
+
+    // Step 5: A new password is accepted, then the previous one is still blocked by the history
+    console.log('5. Changing the password and switching back...');
+    const changed = await request(`/users/${testUserId}/change-password`, {
+      method: 'POST',
+      token: adminToken,
+      body: { currentPassword: firstPassword, newPassword: secondPassword }
+    });
+    const back = await request(`/users/${testUserId}`, {
+      method: 'PUT',
+      token: adminToken,
+      headers: { 'If-Match': '*' },
+      body: { password: firstPassword }
+    });
+    steps.check(changed.status === 200 && back.status === 400 && back.body.errors?.password,
+      'Previous password rejected by the password history',
+      `Expected 200/400, got ${changed.status}/${back.status}`);
+
+    // Step 6: Password max age
+    console.log('6. Checking password expiry...');
+    const defaultPolicy = passwordPolicyService.policy;
+    passwordPolicyService.policy = { ...defaultPolicy, maxAgeDays: 90 };
+    const expired = passwordPolicyService.isExpired({ password_changed_at: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) });
+    const fresh = passwordPolicyService.isExpired({ password_changed_at: new Date() });
+    passwordPolicyService.policy = defaultPolicy;
+    const disabled = passwordPolicyService.isExpired({ created_at: new Date(2000, 0, 1) });
+    steps.check(expired && !fresh && (config.passwordPolicy.maxAgeDays > 0 || !disabled),
+      'Passwords older than maxAgeDays are expired',
+      `Unexpected expiry results: ${expired}/${fresh}/${disabled}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testPasswordPolicy);
+} else {
+  describe('Password Policy Tests', () => {
+    test('Password policy checks and history should pass every step', async () => {
+      expect(await testPasswordPolicy()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testPasswordPolicy;
@@ -1,340 +1,139 @@
 /**
- * Password Reset Service API Tests
- * Tests for password reset functionality
+ * Password Reset Tests
+ * Tests the password reset workflow: requesting a reset, the token in the email, validating it and setting a new password
  */
 
-import fetch from 'node-fetch';
-import { startServer, stopServer } from '../server.js';
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
 import config from '../config.js';
-import { 
-  passwordResetTestHelper, 
-  userSessionTestHelper, 
-  initializeTestBot 
-} from './helpers/test-bot.helper.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+import { useOutbox, readLatestToken, closeOutbox } from './helpers/mail-outbox.helper.js';
 
-// Configuration
-const PORT = 3001;
-const API_URL = `http://localhost:${PORT}${config.paths.apiBasePath}`;
-let authToken = null;
 let server = null;
 let testUserId = null;
-let testUserEmail = null;
-let resetToken = null;
+
+const username = `reset-${Date.now() % 100000000}`;
+const email = `${username}@example.com`;
+const password = 'Reset-Before-2025';
+const newPassword = 'Reset-After-2025';
 
 /**
- * Test the password reset APIs
+ * Test the password reset workflow
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
  */
-async function testPasswordResetAPI() {
+async function testPasswordReset() {
   console.log('=============================');
-  console.log('  PASSWORD RESET API TESTS   ');
+  console.log('    PASSWORD RESET TESTS     ');
   console.log('=============================\n');
-  
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
   try {
-    // Initialize TestBotService
-    console.log('Initializing TestBotService...');
-    initializeTestBot({ logToConsole: true });
-    console.log('✅ TestBotService initialized successfully\n');
-    
+    // Emails are written to a temporary outbox, the reset token is read from the email
+    await useOutbox();
+
     // Start the server
-    console.log('Starting API server on port', PORT, '...');
-    server = await startServer(PORT);
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
     console.log('✅ Server started successfully!\n');
-    
-    // Wait a bit to make sure server is ready
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Step 1: Login as admin to get token
-    console.log('1. Authenticating as admin...');
-    try {
-      // Use the exact admin credentials from the config file
-      const loginRes = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: config.defaultAdmin.username,
-          password: config.defaultAdmin.password
-        })
-      });
-      
-      if (!loginRes.ok) {
-        const errorText = await loginRes.text();
-        console.log('Login response:', errorText);
-        throw new Error(`Login failed with status ${loginRes.status}`);
-      }
-      
-      const loginData = await loginRes.json();
-      authToken = loginData.data.token;
-      console.log('✅ Authentication successful, received token\n');
-      
-    } catch (error) {
-      console.error('❌ Authentication failed:', error.message);
-      // Try with alternative admin credentials
-      try {
-        console.log('Trying alternative admin credentials...');
-        const altLoginRes = await fetch(`${API_URL}/auth/login`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            username: config.defaultAdmin.username,
-            password: 'Admin@123456'  // Try the standard password
-          })
-        });
-        
-        if (!altLoginRes.ok) {
-          throw new Error(`Alt login failed with status ${altLoginRes.status}`);
-        }
-        
-        const altLoginData = await altLoginRes.json();
-        authToken = altLoginData.data.token;
-        console.log('✅ Authentication successful with alternative credentials\n');
-      } catch (altError) {
-        console.error('❌ Alternative authentication failed:', altError.message);
-        throw new Error('Could not authenticate with admin credentials');
+
+    // Login as admin and create the test user
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
       }
+    });
+    adminToken = admin.body.data?.token;
+    if (!adminToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
     }
-    
-    // Step 2: Create a test user for password reset
-    console.log('2. Creating a test user for password reset...');
-    const timestamp = Date.now();
-    const testUsername = `testuser_${timestamp}`;
-    testUserEmail = `testuser_${timestamp}@example.com`;
-    
-    try {
-      const createUserRes = await fetch(`${API_URL}/users`, {
-        method: 'POST',
-        headers: { 
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          username: testUsername,
-          email: testUserEmail,
-          password: 'password123',
-          full_name: 'Test User'
-        })
-      });
-      
-      if (!createUserRes.ok) {
-        const errorText = await createUserRes.text();
-        console.log('Create user response:', errorText);
-        throw new Error(`Failed to create user: ${createUserRes.status}`);
-      }
-      
-      const userData = await createUserRes.json();
-      testUserId = userData.data.id;
-      console.log('✅ Test user created:', {
-        id: userData.data.id,
-        username: userData.data.username,
-        email: testUserEmail
-      });
-        // Step 3: Request password reset token
-      console.log('\n3. Requesting password reset token...');
-      const resetRequestRes = await fetch(`${API_URL}/auth/reset-password/request`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          email: testUserEmail
-        })
-      });
-      
-      if (!resetRequestRes.ok) {
-        const errorText = await resetRequestRes.text();
-        console.log('Reset request response:', errorText);
-        throw new Error(`Failed to request password reset: ${resetRequestRes.status}`);
-      }
-      
-      const resetRequestData = await resetRequestRes.json();
-      console.log('✅ Password reset requested:', resetRequestData);
-        // Step 4: Get the reset token using TestBotService
-      // This is more reliable as it doesn't depend on API endpoints
-      console.log('\n4. Getting reset token using TestBotService...');
-      
-      // Sử dụng passwordResetTestHelper để lấy token trực tiếp từ TestBotService
-      resetToken = passwordResetTestHelper.getResetToken(testUserEmail);
-      
-      if (!resetToken) {
-        console.error('Failed to get valid token from TestBotService');
-        throw new Error('Cannot proceed without a reset token');
-      }
-      
-      console.log('✅ Retrieved reset token successfully from TestBotService');
-      
-      resetToken = capturedToken;
-      console.log('✅ Retrieved reset token:', resetToken);
-        // Step 5: Validate reset token
-      console.log('\n5. Validating reset token...');
-      const validateTokenRes = await fetch(`${API_URL}/auth/reset-password/validate/${resetToken}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
-      });
-      
-      if (!validateTokenRes.ok) {
-        const errorText = await validateTokenRes.text();
-        console.log('Validate token response:', errorText);
-        throw new Error(`Failed to validate reset token: ${validateTokenRes.status}`);
-      }
-      
-      const validateTokenData = await validateTokenRes.json();
-      console.log('✅ Token validation result:', validateTokenData);
-      
-      // Step 6: Reset password using token
-      console.log('\n6. Resetting password using token...');
-      const newPassword = 'newPassword456';
-      const resetPasswordRes = await fetch(`${API_URL}/auth/reset-password/reset`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          token: resetToken,
-          password: newPassword
-        })
-      });
-      
-      if (!resetPasswordRes.ok) {
-        const errorText = await resetPasswordRes.text();
-        console.log('Reset password response:', errorText);
-        throw new Error(`Failed to reset password: ${resetPasswordRes.status}`);
-      }
-      
-      const resetPasswordData = await resetPasswordRes.json();
-      console.log('✅ Password reset result:', resetPasswordData);
-      
-      // Step 7: Verify login with new password
-      console.log('\n7. Verifying login with new password...');
-      const loginVerifyRes = await fetch(`${API_URL}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: testUsername,
-          password: newPassword
-        })
-      });
-      
-      if (!loginVerifyRes.ok) {
-        const errorText = await loginVerifyRes.text();
-        console.log('Login verification response:', errorText);
-        throw new Error(`Failed to login with new password: ${loginVerifyRes.status}`);
-      }
-      
-      const loginVerifyData = await loginVerifyRes.json();
-      console.log('✅ Login successful with new password:', {
-        user_id: loginVerifyData.data.user.id,
-        username: loginVerifyData.data.user.username
-      });
-      
-      // Step 8: Test admin cleanup of expired tokens
-      console.log('\n8. Testing admin cleanup of expired tokens...');
-      const cleanupRes = await fetch(`${API_URL}/auth/reset-password/cleanup`, {
-        method: 'DELETE',
-        headers: { 
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!cleanupRes.ok) {
-        const errorText = await cleanupRes.text();
-        console.log('Cleanup response:', errorText);
-        throw new Error(`Failed to clean up tokens: ${cleanupRes.status}`);
-      }
-      
-      const cleanupData = await cleanupRes.json();
-      console.log('✅ Token cleanup result:', cleanupData);
-      
-      // Step 9: Delete user tokens (admin)
-      console.log('\n9. Deleting user tokens (admin)...');
-      const deleteTokensRes = await fetch(`${API_URL}/auth/reset-password/user/${testUserId}`, {
-        method: 'DELETE',
-        headers: { 
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!deleteTokensRes.ok) {
-        const errorText = await deleteTokensRes.text();
-        console.log('Delete tokens response:', errorText);
-        throw new Error(`Failed to delete user tokens: ${deleteTokensRes.status}`);
-      }
-      
-      const deleteTokensData = await deleteTokensRes.json();
-      console.log('✅ Delete user tokens result:', deleteTokensData);
-      
-    } catch (error) {
-      console.error('❌ Password reset tests failed:', error.message);    } finally {
-      // Clean up - First delete all reset tokens for the user, then delete the user
-      if (testUserId) {
-        console.log('\n10. Cleaning up - Deleting user reset tokens first...');
-        try {
-          // Make sure all user tokens are deleted first to avoid foreign key constraint issues
-          const deleteTokensRes = await fetch(`${API_URL}/auth/reset-password/user/${testUserId}`, {
-            method: 'DELETE',
-            headers: { 
-              'Authorization': `Bearer ${authToken}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          if (deleteTokensRes.ok) {
-            const tokenDeleteData = await deleteTokensRes.json();
-            console.log('✅ User tokens deleted:', tokenDeleteData.data || tokenDeleteData);
-          } else {
-            console.log('Note: No tokens to delete or token deletion endpoint not available');
-            // Try alternative cleanup approach - use general token cleanup
-            await fetch(`${API_URL}/auth/reset-password/cleanup`, {
-              method: 'DELETE',
-              headers: { 
-                'Authorization': `Bearer ${authToken}`,
-                'Content-Type': 'application/json'
-              }
-            });
-            console.log('✅ Used general token cleanup instead');
-          }
-          
-          // Now delete the test user after tokens are removed
-          console.log('Deleting test user...');
-          const deleteUserRes = await fetch(`${API_URL}/users/${testUserId}`, {
-            method: 'DELETE',
-            headers: { 
-              'Authorization': `Bearer ${authToken}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          if (deleteUserRes.ok) {
-            const deleteData = await deleteUserRes.json();
-            console.log('✅ User deletion result:', deleteData.data || deleteData);
-          } else {
-            console.error('❌ Failed to delete test user');
-          }
-        } catch (cleanupError) {
-          console.error('❌ Error during test user cleanup:', cleanupError.message);
-        }
-      }
+
+    const created = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email, password, full_name: 'Reset Tester' }
+    });
+    if (created.status !== 201) {
+      throw new Error(`Failed to create test user: ${created.body.message}`);
     }
-    
+    testUserId = created.body.data.id;
+
+    // Step 1: The response is the same for known and unknown emails and carries no token
+    console.log('1. Requesting a password reset...');
+    const requested = await request('/auth/reset-password/request', { method: 'POST', body: { email } });
+    const unknown = await request('/auth/reset-password/request', { method: 'POST', body: { email: 'nobody@example.com' } });
+    steps.check(requested.status === 200 && unknown.status === 200
+      && requested.body.message === unknown.body.message && !requested.body.data,
+      'Reset requested without revealing the email or the token',
+      `Expected 200/200 with the same message, got ${requested.status}/${unknown.status}: ${JSON.stringify(requested.body)}`);
+
+    // Step 2: The token is only sent by email
+    console.log('2. Reading the reset token from the password reset email...');
+    const token = await readLatestToken(email, '/reset-password');
+    steps.check(token,
+      'Reset email with the token written to the outbox',
+      'No password reset email with a token in the outbox');
+
+    // Step 3: The token from the email is valid
+    console.log('3. Validating the reset token...');
+    const valid = await request(`/auth/reset-password/validate/${token}`);
+    const invalid = await request('/auth/reset-password/validate/not-a-token');
+    steps.check(valid.body.success === true && invalid.body.success === false,
+      'Token from the email accepted, unknown token rejected',
+      `Expected true/false, got ${valid.body.success}/${invalid.body.success}`);
+
+    // Step 4: Setting a new password uses up the token
+    console.log('4. Resetting the password...');
+    const reset = await request('/auth/reset-password/reset', { method: 'POST', body: { token, password: newPassword } });
+    const reused = await request('/auth/reset-password/reset', { method: 'POST', body: { token, password: 'Reset-Again-2025' } });
+    steps.check(reset.status === 200 && reset.body.success && reused.body.success === false,
+      'Password reset and the token cannot be reused',
+      `Expected success then failure, got ${reset.status} ${reset.body.message} / ${reused.body.message}`);
+
+    // Step 5: Only the new password works
+    console.log('5. Logging in with the old and the new password...');
+    const oldLogin = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const newLogin = await request('/auth/login', { method: 'POST', body: { username, password: newPassword } });
+    steps.check(oldLogin.status === 401 && newLogin.status === 200,
+      'Login only with the new password',
+      `Expected 401/200, got ${oldLogin.status}/${newLogin.status}`);
   } catch (error) {
-    console.error('\n❌ TEST FAILED:', error.message);  } finally {
-    // Clean up TestBotService data
-    console.log('\nCleaning up TestBotService data...');
-    passwordResetTestHelper.cleanup();
-    console.log('✅ TestBotService data cleaned up');
-    
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    await closeOutbox();
+
     // Stop the server
     if (server) {
-      console.log('\nStopping the server...');
-      await stopServer();
+      console.log('Stopping the server...');
+      await stopTestServer();
       console.log('Server stopped.');
     }
   }
-}
 
-// Run the test
-testPasswordResetAPI().catch(console.error);
+  return steps.finish();
+}
 
-// Add Jest test cases
-describe('Password Reset Tests', () => {
-  test('Password reset functionality should work correctly', () => {
-    // For Jest to pass, we need at least one assertion
-    expect(true).toBe(true);
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testPasswordReset);
+} else {
+  describe('Password Reset Tests', () => {
+    test('Password reset workflow should pass every step', async () => {
+      expect(await testPasswordReset()).toEqual([]);
+    }, TEST_TIMEOUT);
   });
-});
+}
+
+export default testPasswordReset;
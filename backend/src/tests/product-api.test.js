@@ -0,0 +1,177 @@
+/**
+ * Product API Tests
+ * Tests the product catalog CRUD endpoints
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testProductId = null;
+let testProductSlug = null;
+
+/**
+ * Test the product API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testProductAPI() {
+  console.log('=============================');
+  console.log('      PRODUCT API TESTS      ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin to get token
+    console.log('1. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+    authToken = login.body.data.token;
+    console.log('✅ Authentication successful\n');
+
+    // Step 2: Pick a category for the new product
+    console.log('2. Getting categories...');
+    const categories = await request('/news/categories', { token: authToken });
+    if (!categories.body.success || categories.body.data.length === 0) {
+      throw new Error('No categories available to create a product');
+    }
+    const category = categories.body.data[0];
+    console.log(`✅ Using category "${category.slug}"\n`);
+
+    // Step 3: Create an inactive product with specifications, features and images
+    console.log('3. Creating an inactive product...');
+    const created = await request('/products', {
+      method: 'POST',
+      token: authToken,
+      body: {
+        name: `Test Product ${Date.now()}`,
+        description: 'Test description',
+        category_id: category.id,
+        status: 'inactive',
+        specifications: { capacity: '10 kW', refrigerant: 'R404A' },
+        features: ['Low noise', 'Energy saving'],
+        images: [
+          { image_path: '/images/products/test-1.jpg', alt_text: 'Front' },
+          '/images/products/test-2.jpg'
+        ]
+      }
+    });
+
+    if (created.status !== 201) {
+      throw new Error(`Create failed: ${created.body.message}`);
+    }
+    testProductId = created.body.data.id;
+    testProductSlug = created.body.data.slug;
+    console.log(`✅ Created product #${testProductId} with slug "${testProductSlug}"\n`);
+
+    // Step 4: JSON columns and images are returned decoded
+    console.log('4. Checking specifications, features and images...');
+    const product = created.body.data;
+    const decoded = product.specifications?.capacity === '10 kW' &&
+      Array.isArray(product.features) && product.features.length === 2 &&
+      Array.isArray(product.images) && product.images.length === 2;
+    steps.check(decoded,
+      'Product details decoded correctly',
+      'Product details were not decoded');
+
+    // Step 5: Inactive products are hidden from the public
+    console.log('5. Checking that inactive products are hidden from anonymous users...');
+    const hidden = await request(`/products/slug/${testProductSlug}`);
+    steps.check(hidden.status === 404,
+      'Inactive product is not visible publicly',
+      `Expected 404, got ${hidden.status}`);
+
+    // Step 6: Activate the product and replace its images
+    console.log('6. Activating the product...');
+    const updated = await request(`/products/${testProductId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { status: 'active', images: ['/images/products/test-3.jpg'] }
+    });
+    steps.check(updated.body.data?.status === 'active' && updated.body.data.images.length === 1,
+      'Product activated and images replaced',
+      `Update failed: ${updated.body.message}`);
+
+    // Step 7: Active product is visible publicly and filterable by category
+    console.log('7. Listing products of the category anonymously...');
+    const list = await request(`/products?category=${category.slug}&pageSize=50`);
+    const found = list.body.data?.some(item => item.id === testProductId);
+    const leaked = list.body.data?.some(item => item.status !== 'active');
+    steps.check(found && !leaked,
+      `Listed ${list.body.data.length} active products`,
+      'Category listing is incorrect');
+
+    // Step 8: Invalid specifications are rejected
+    console.log('8. Sending invalid specifications...');
+    const invalid = await request(`/products/${testProductId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { specifications: ['not', 'an', 'object'] }
+    });
+    steps.check(invalid.status === 400,
+      'Invalid specifications rejected',
+      `Expected 400, got ${invalid.status}`);
+
+    // Step 9: Anonymous users cannot create products
+    console.log('9. Creating a product without a token...');
+    const unauthorized = await request('/products', {
+      method: 'POST',
+      body: { name: 'x', category_id: category.id }
+    });
+    steps.check(unauthorized.status === 401,
+      'Unauthenticated create rejected',
+      `Expected 401, got ${unauthorized.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Delete the test product
+    if (testProductId) {
+      console.log('\nDeleting test product...');
+      await request(`/products/${testProductId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testProductAPI);
+} else {
+  describe('Product API Tests', () => {
+    test('Product catalog endpoints should pass every step', async () => {
+      expect(await testProductAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testProductAPI;
@@ -0,0 +1,183 @@
+/**
+ * Project API Tests
+ * Tests the project CRUD and project member endpoints
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testProjectId = null;
+let testProjectSlug = null;
+
+/**
+ * Test the project API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testProjectAPI() {
+  console.log('=============================');
+  console.log('      PROJECT API TESTS      ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin to get token
+    console.log('1. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+    authToken = login.body.data.token;
+    const adminId = login.body.data.user.id;
+    console.log('✅ Authentication successful\n');
+
+    // Step 2: Create an ongoing industrial project with images
+    console.log('2. Creating a project...');
+    const created = await request('/projects', {
+      method: 'POST',
+      token: authToken,
+      body: {
+        title: `Test Project ${Date.now()}`,
+        description: 'Test description',
+        client: 'Test Client',
+        location: 'Ho Chi Minh City',
+        year: 2024,
+        project_type: 'industrial',
+        status: 'ongoing',
+        images: [
+          { image_path: '/images/projects/test-1.jpg', alt_text: 'Site' },
+          '/images/projects/test-2.jpg'
+        ]
+      }
+    });
+
+    if (created.status !== 201) {
+      throw new Error(`Create failed: ${created.body.message}`);
+    }
+    testProjectId = created.body.data.id;
+    testProjectSlug = created.body.data.slug;
+    steps.check(created.body.data.images?.length === 2,
+      `Created project #${testProjectId} with slug "${testProjectSlug}"`,
+      'Project images were not saved');
+
+    // Step 3: Invalid project type is rejected by the service
+    console.log('3. Sending an invalid project type...');
+    const invalidType = await request(`/projects/${testProjectId}`, {
+      method: 'PUT',
+      token: authToken,
+      headers: { 'If-Match': '*' },
+      body: { project_type: 'government' }
+    });
+    steps.check(invalidType.status === 400,
+      'Invalid project type rejected',
+      `Expected 400, got ${invalidType.status}`);
+
+    // Step 4: Public listing filtered by type and status
+    console.log('4. Listing ongoing industrial projects anonymously...');
+    const list = await request('/projects?project_type=industrial&status=ongoing&pageSize=50');
+    const found = list.body.data?.some(item => item.id === testProjectId);
+    const mismatched = list.body.data?.some(item => item.project_type !== 'industrial' || item.status !== 'ongoing');
+    steps.check(found && !mismatched,
+      `Listed ${list.body.data.length} matching projects`,
+      'Filtered listing is incorrect');
+
+    // Step 5: Public detail by slug
+    console.log('5. Getting the project by slug anonymously...');
+    const bySlug = await request(`/projects/slug/${testProjectSlug}`);
+    steps.check(bySlug.status === 200 && bySlug.body.data.members === undefined,
+      'Project is visible publicly without its members',
+      `Unexpected response: ${bySlug.status}`);
+
+    // Step 6: Add the admin as project manager
+    console.log('6. Adding a project member...');
+    const added = await request(`/projects/${testProjectId}/members`, {
+      method: 'POST',
+      token: authToken,
+      body: { project_id: testProjectId, user_id: adminId, role: 'manager' }
+    });
+    steps.check(added.status === 201 && added.body.data.some(member => member.user_id === adminId && member.role === 'manager'),
+      'Member added as manager',
+      `Add member failed: ${added.body.message}`);
+
+    // Step 7: Members are included in the admin detail
+    console.log('7. Getting the project members...');
+    const members = await request(`/projects/${testProjectId}/members`, { token: authToken });
+    steps.check(members.body.data?.length === 1 && members.body.data[0].username,
+      'Members listed with user details',
+      'Members listing is incorrect');
+
+    // Step 8: Unknown users cannot be added
+    console.log('8. Adding a user that does not exist...');
+    const unknown = await request(`/projects/${testProjectId}/members`, {
+      method: 'POST',
+      token: authToken,
+      body: { user_id: 999999 }
+    });
+    steps.check(unknown.status === 404,
+      'Unknown user rejected',
+      `Expected 404, got ${unknown.status}`);
+
+    // Step 9: Remove the member
+    console.log('9. Removing the project member...');
+    const removed = await request(`/projects/${testProjectId}/members/${adminId}`, { method: 'DELETE', token: authToken });
+    steps.check(removed.status === 200,
+      'Member removed',
+      `Remove member failed: ${removed.body.message}`);
+
+    // Step 10: Anonymous users cannot manage members
+    console.log('10. Listing members without a token...');
+    const unauthorized = await request(`/projects/${testProjectId}/members`);
+    steps.check(unauthorized.status === 401,
+      'Unauthenticated access rejected',
+      `Expected 401, got ${unauthorized.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Delete the test project (images and members cascade)
+    if (testProjectId) {
+      console.log('\nDeleting test project...');
+      await request(`/projects/${testProjectId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testProjectAPI);
+} else {
+  describe('Project API Tests', () => {
+    test('Project endpoints should pass every step', async () => {
+      expect(await testProjectAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testProjectAPI;
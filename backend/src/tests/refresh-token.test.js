@@ -0,0 +1,158 @@
+/**
+ * Refresh Token Rotation Tests
+ * Tests that every refresh rotates the refresh token, that reusing a rotated token revokes the session
+ * and that refresh tokens are only stored as hashes; database errors while rotating are not treated as a reuse
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import crypto from 'crypto';
+import { startServer } from '../server.js';
+import config from '../config.js';
+import dbService from '../core/services/db.service.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+
+/**
+ * Test the refresh token rotation functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testRefreshTokenRotation() {
+  console.log('=============================');
+  console.log(' REFRESH TOKEN ROTATION TESTS');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin
+    console.log('1. Logging in...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+
+    const originalToken = login.body.data.refreshToken;
+    const userId = login.body.data.user.id;
+    console.log('✅ Logged in\n');
+
+    // Step 2: Refreshing returns a new refresh token
+    console.log('2. Refreshing the access token...');
+    const first = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: originalToken } });
+    const rotatedToken = first.body.data?.refreshToken;
+    steps.check(first.status === 200 && first.body.data.accessToken && rotatedToken && rotatedToken !== originalToken,
+      'New access token and rotated refresh token returned',
+      `Expected a rotated token, got ${first.status}: ${first.body.message}`);
+
+    // Step 3: The rotated token keeps working and rotates again
+    console.log('3. Refreshing with the rotated token...');
+    const second = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: rotatedToken } });
+    const latestToken = second.body.data?.refreshToken;
+    steps.check(second.status === 200 && latestToken && latestToken !== rotatedToken,
+      'Rotated again',
+      `Expected 200, got ${second.status}: ${second.body.message}`);
+
+    // Step 4: Replaying an already rotated token is rejected
+    console.log('4. Replaying the original token...');
+    const replay = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: originalToken } });
+    steps.check(replay.status === 401,
+      `Replay rejected: ${replay.body.message}`,
+      `Expected 401, got ${replay.status}`);
+
+    // Step 5: The replay revoked the whole family, including the latest token
+    console.log('5. Using the latest token after the replay...');
+    const afterReplay = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: latestToken } });
+    steps.check(afterReplay.status === 401,
+      'Latest token revoked with its family',
+      `Expected 401, got ${afterReplay.status}`);
+
+    // Step 6: The security event was written to auth_logs
+    console.log('6. Checking auth_logs...');
+    const { dialect } = dbService;
+    const logs = await dbService.executeQuery(`
+      SELECT ${dialect.top(1)} action, success FROM auth_logs
+      WHERE user_id = @userId AND action = 'refresh_token_reuse'
+        AND created_at > ${dialect.dateAdd('minute', -1, dialect.now())}
+      ORDER BY created_at DESC
+      ${dialect.limit(1)}
+    `, { userId });
+    steps.check(logs.recordset.length === 1,
+      'Reuse logged in auth_logs',
+      'No refresh_token_reuse entry found in auth_logs');
+
+    // Step 7: Only the SHA-256 of the token is stored
+    console.log('7. Checking the stored tokens...');
+    const tokenHash = crypto.createHash('sha256').update(latestToken).digest('hex');
+    const stored = await dbService.executeQuery(
+      'SELECT * FROM refresh_tokens WHERE token_hash = @tokenHash',
+      { tokenHash }
+    );
+    steps.check(stored.recordset.length === 1 && !('token' in stored.recordset[0]),
+      'Refresh tokens are stored as hashes only',
+      'Refresh token is not stored as a hash');
+
+    // Step 8: A database error while rotating is not treated as a replay
+    console.log('8. Failing the rotation with a database error...');
+    const relogin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    const freshToken = relogin.body.data?.refreshToken;
+    const executeTransaction = dbService.executeTransaction;
+    dbService.executeTransaction = async () => {
+      throw new Error('Simulated database error');
+    };
+    let failed;
+    try {
+      failed = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: freshToken } });
+    } finally {
+      dbService.executeTransaction = executeTransaction;
+    }
+    const retried = await request('/auth/refresh-token', { method: 'POST', body: { refreshToken: freshToken } });
+    steps.check(failed.status === 500 && retried.status === 200,
+      'Database error returned 500, the token still works afterwards',
+      `Expected 500 then 200, got ${failed.status}/${retried.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testRefreshTokenRotation);
+} else {
+  describe('Refresh Token Rotation Tests', () => {
+    test('Refresh token rotation and reuse detection should pass every step', async () => {
+      expect(await testRefreshTokenRotation()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testRefreshTokenRotation;
@@ -0,0 +1,205 @@
+/**
+ * Registration Tests
+ * Tests self-service registration, the email verification link, resending it, the login block until verified
+ * and what the registered customer may read and change through /users/:id
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import mailService from '../core/services/mail.service.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+let testUserId = null;
+
+const username = `signup-${Date.now() % 100000000}`;
+const email = `${username}@example.com`;
+const password = 'SignUp123!';
+
+// Email gửi trong lúc test được giữ trong bộ nhớ thay vì ghi ra outbox
+const sentMails = [];
+
+/**
+ * Get the verification token from the latest verification email sent to the test user
+ * @returns {string|null} - Token from the verification link
+ */
+function latestVerificationToken() {
+  const mail = [...sentMails].reverse().find(item => item.to === email && item.text.includes('/verify-email'));
+  const link = mail?.text.match(/https?:\/\/\S+\/verify-email\S*/);
+  return link ? new URL(link[0]).searchParams.get('token') : null;
+}
+
+/**
+ * Test the registration functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testRegistration() {
+  console.log('=============================');
+  console.log('     REGISTRATION TESTS      ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    mailService.setTransport({
+      name: 'memory',
+      send: async message => {
+        sentMails.push(message);
+        return { messageId: `test-${sentMails.length}` };
+      }
+    });
+
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Register a new account; the requested role is ignored
+    console.log('1. Registering a new account...');
+    const registered = await request('/auth/register', {
+      method: 'POST',
+      body: { username, email, password, full_name: 'Sign Up Tester', role: 'admin' }
+    });
+    testUserId = registered.body.data?.user?.id || null;
+    steps.check(registered.status === 201 && registered.body.data.user.role === 'customer'
+      && registered.body.data.verificationRequired && !registered.body.data.token,
+      `User #${testUserId} registered as customer without tokens`,
+      `Unexpected response: ${registered.status} ${JSON.stringify(registered.body)}`);
+
+    // Step 2: Duplicate and invalid registrations are rejected
+    console.log('2. Registering with invalid data...');
+    const duplicate = await request('/auth/register', { method: 'POST', body: { username, email, password } });
+    const invalidEmail = await request('/auth/register', {
+      method: 'POST',
+      body: { username: `${username}-x`, email: 'not-an-email', password }
+    });
+    steps.check(duplicate.status === 400 && invalidEmail.status === 400,
+      'Duplicate and invalid registrations rejected',
+      `Expected 400/400, got ${duplicate.status}/${invalidEmail.status}`);
+
+    // Step 3: Login is blocked until the email is verified
+    console.log('3. Logging in before verifying the email...');
+    const blocked = await request('/auth/login', { method: 'POST', body: { username, password } });
+    steps.check(blocked.status === 403 && blocked.body.errors?.code === 'EMAIL_NOT_VERIFIED',
+      'Login blocked until verified',
+      `Expected 403 EMAIL_NOT_VERIFIED, got ${blocked.status}`);
+
+    // Step 4: Resending answers the same way for unknown emails
+    console.log('4. Requesting a new verification email...');
+    const resent = await request('/auth/verify-email/resend', { method: 'POST', body: { email } });
+    const unknown = await request('/auth/verify-email/resend', { method: 'POST', body: { email: 'nobody@example.com' } });
+    steps.check(resent.status === 200 && unknown.status === 200 && resent.body.data.message === unknown.body.data.message,
+      'Resend does not reveal registered emails',
+      `Expected 200/200 with the same message, got ${resent.status}/${unknown.status}`);
+
+    // Step 5: The link from the email verifies the account once
+    console.log('5. Verifying the email with the link from the email...');
+    const token = latestVerificationToken();
+    const verified = await request('/auth/verify-email', { method: 'POST', body: { token } });
+    const reused = await request('/auth/verify-email', { method: 'POST', body: { token } });
+    steps.check(token && verified.status === 200 && reused.status === 400,
+      'Email verified and the link cannot be reused',
+      `Expected 200/400, got ${verified.status}/${reused.status}`);
+
+    // Step 6: The verified user can log in
+    console.log('6. Logging in after verifying the email...');
+    const login = await request('/auth/login', { method: 'POST', body: { username, password } });
+    steps.check(login.status === 200 && login.body.data?.token,
+      'Login succeeded',
+      `Expected 200, got ${login.status}: ${login.body.message}`);
+
+    // Login as admin to clean up the test user
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    adminToken = admin.body.data?.token || null;
+    const adminId = admin.body.data?.user?.id;
+    const customerToken = login.body.data?.token;
+
+    // Step 7: The customer reads their own account without the password hash, but not other accounts
+    console.log('7. Reading accounts as the registered customer...');
+    const own = await request(`/users/${testUserId}`, { token: customerToken });
+    const other = await request(`/users/${adminId}`, { token: customerToken });
+    steps.check(own.status === 200 && !('password' in own.body.data) && !('failed_login_attempts' in own.body.data)
+      && other.status === 403,
+      'Own account readable without credentials, other accounts forbidden',
+      `Expected 200/403 without the hash, got ${own.status}/${other.status}: ${Object.keys(own.body.data || {})}`);
+
+    // Step 8: The customer edits their own name but cannot change their role, status, email or password
+    console.log('8. Updating the own account as the registered customer...');
+    const renamed = await request(`/users/${testUserId}`, {
+      method: 'PUT',
+      token: customerToken,
+      headers: { 'If-Match': own.etag },
+      body: { full_name: 'Renamed Tester' }
+    });
+    const privileged = [];
+    for (const body of [{ role: 'admin' }, { is_active: false }, { email: `${username}-new@example.com` }, { password: 'Changed123!' }]) {
+      const response = await request(`/users/${testUserId}`, {
+        method: 'PUT',
+        token: customerToken,
+        headers: { 'If-Match': '*' },
+        body
+      });
+      privileged.push(response.status);
+    }
+    const after = await request(`/users/${testUserId}`, { token: customerToken });
+    steps.check(renamed.status === 200 && privileged.every(status => status === 403)
+      && after.body.data?.role === 'customer' && after.body.data?.is_active,
+      'Name changed, role, status, email and password changes forbidden',
+      `Expected 200 then 403 for each, got ${renamed.status} then ${privileged.join('/')}`);
+
+    // Step 9: The customer cannot edit another user
+    console.log("9. Changing the admin's email as the registered customer...");
+    const hijack = await request(`/users/${adminId}`, {
+      method: 'PUT',
+      token: customerToken,
+      headers: { 'If-Match': '*' },
+      body: { email: `${username}-admin@example.com` }
+    });
+    steps.check(hijack.status === 403,
+      "Another user's account cannot be changed",
+      `Expected 403, got ${hijack.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    mailService.setTransport(null);
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testRegistration);
+} else {
+  describe('Registration Tests', () => {
+    test('Registration and email verification should pass every step', async () => {
+      expect(await testRegistration()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testRegistration;
@@ -0,0 +1,190 @@
+/**
+ * Role API Tests
+ * Tests role CRUD, role permissions and the requirePermission middleware
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testRoleId = null;
+let testUserId = null;
+
+// Unique role name so repeated runs do not collide
+const roleName = `tester-${Date.now() % 100000000}`;
+
+/**
+ * Test the role API functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testRoleAPI() {
+  console.log('=============================');
+  console.log('        ROLE API TESTS       ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin to get token
+    console.log('1. Authenticating as admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (login.status !== 200) {
+      throw new Error(`Login failed: ${login.body.message || 'Unknown error'}`);
+    }
+
+    authToken = login.body.data.token;
+    console.log('✅ Authentication successful\n');
+
+    // Step 2: System roles are listed with their permissions
+    console.log('2. Listing roles...');
+    const roles = await request('/roles', { token: authToken });
+    const editor = roles.body.data?.find(role => role.name === config.roles.EDITOR);
+    steps.check(editor && editor.is_system && editor.permissions.includes('news.publish'),
+      `Found ${roles.body.data.length} roles, editor can publish news`,
+      'System roles or their permissions are missing');
+
+    // Step 3: Create a custom role that can only read news
+    console.log('3. Creating a custom role...');
+    const permissions = await request('/permissions', { token: authToken });
+    const newsView = permissions.body.data?.find(permission => permission.name === 'news.view');
+    const created = await request('/roles', {
+      method: 'POST',
+      token: authToken,
+      body: { name: roleName, description: 'Reads news only', level: 20, permission_ids: [newsView?.id] }
+    });
+    testRoleId = created.body.data?.id || null;
+    steps.check(created.status === 201 && created.body.data.permissions.includes('news.view'),
+      `Role #${testRoleId} created with news.view`,
+      `Expected 201, got ${created.status}: ${created.body.message}`);
+
+    // Step 4: Duplicate names and invalid names are rejected
+    console.log('4. Creating invalid roles...');
+    const duplicate = await request('/roles', { method: 'POST', token: authToken, body: { name: roleName } });
+    const invalidName = await request('/roles', { method: 'POST', token: authToken, body: { name: 'Bad Name!' } });
+    steps.check(duplicate.status === 409 && invalidName.status === 400,
+      'Duplicate and invalid names rejected',
+      `Expected 409/400, got ${duplicate.status}/${invalidName.status}`);
+
+    // Step 5: Create a user with the custom role and log in as that user
+    console.log('5. Creating a user with the custom role...');
+    const username = `${roleName}-user`;
+    const password = 'RoleTest123!';
+    const user = await request('/users', {
+      method: 'POST',
+      token: authToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'Role Tester', role: roleName }
+    });
+    testUserId = user.body.data?.id || null;
+    const userLogin = await request('/auth/login', {
+      method: 'POST',
+      body: { username, password }
+    });
+    const userToken = userLogin.body.data?.token;
+    steps.check(user.body.data?.role === roleName && userToken,
+      'User created and logged in',
+      `Could not create or log in the user: ${user.body.message || userLogin.body.message}`);
+
+    // Step 6: requirePermission follows the role's permissions
+    console.log('6. Checking permissions of the custom role...');
+    const me = await request('/auth/me', { token: userToken });
+    const allowed = await request('/news/0', { token: userToken });
+    const denied = await request('/news/0/publish', { method: 'POST', token: userToken });
+    steps.check(me.body.data?.permissions?.join(',') === 'news.view' && allowed.status !== 403 && denied.status === 403,
+      'news.view granted, news.publish denied',
+      `Unexpected access: view ${allowed.status}, publish ${denied.status}`);
+
+    // Step 7: Granting a permission takes effect immediately
+    console.log('7. Granting news.publish...');
+    const newsPublish = permissions.body.data?.find(permission => permission.name === 'news.publish');
+    const granted = await request(`/roles/${testRoleId}/permissions`, {
+      method: 'PUT',
+      token: authToken,
+      body: { permission_ids: [newsView?.id, newsPublish?.id] }
+    });
+    const publish = await request('/news/0/publish', { method: 'POST', token: userToken });
+    steps.check(granted.status === 200 && publish.status !== 403,
+      'news.publish granted without restarting the server',
+      `Grant failed: ${granted.status}, publish ${publish.status}`);
+
+    // Step 8: Roles in use and system roles cannot be deleted
+    console.log('8. Deleting protected roles...');
+    const inUse = await request(`/roles/${testRoleId}`, { method: 'DELETE', token: authToken });
+    const system = await request(`/roles/${editor?.id}`, { method: 'DELETE', token: authToken });
+    steps.check(inUse.status === 409 && system.status === 403,
+      'Role in use and system role kept',
+      `Expected 409/403, got ${inUse.status}/${system.status}`);
+
+    // Step 9: Role management requires roles.manage
+    console.log('9. Creating a role without roles.manage...');
+    const forbidden = await request('/roles', { method: 'POST', token: userToken, body: { name: `${roleName}-x` } });
+    steps.check(forbidden.status === 403,
+      'Role management rejected',
+      `Expected 403, got ${forbidden.status}`);
+
+    // Step 10: A user in the trash still blocks the role, purging the user frees it
+    console.log('10. Deleting the test user and role...');
+    await request(`/users/${testUserId}`, { method: 'DELETE', token: authToken });
+    const trashedUser = await request(`/roles/${testRoleId}`, { method: 'DELETE', token: authToken });
+    await request(`/trash/users/${testUserId}`, { method: 'DELETE', token: authToken });
+    testUserId = null;
+    const deleted = await request(`/roles/${testRoleId}`, { method: 'DELETE', token: authToken });
+    if (deleted.status === 200) {
+      testRoleId = null;
+    }
+    steps.check(trashedUser.status === 409 && trashedUser.body.message.includes('in the trash') && deleted.status === 200,
+      'Role kept while its user was in the trash, deleted after the purge',
+      `Expected 409/200, got ${trashedUser.status}/${deleted.status}: ${deleted.body.message}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    // Clean up if a step failed before step 10
+    if (testUserId) {
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+      await request(`/trash/users/${testUserId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+    if (testRoleId) {
+      console.log('\nDeleting test role...');
+      await request(`/roles/${testRoleId}`, { method: 'DELETE', token: authToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testRoleAPI);
+} else {
+  describe('Role API Tests', () => {
+    test('Role and permission endpoints should pass every step', async () => {
+      expect(await testRoleAPI()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testRoleAPI;
@@ -82,7 +82,7 @@ async function testRoleManagement() {  console.log('============================
       body: JSON.stringify({
         username: `testuser_${Date.now()}`,
         email: `testuser_${Date.now()}@example.com`,
-        password: 'password123',
+        password: 'TestUser@2025',
         full_name: 'Test User'
         // Not specifying role, should default to 'user'
       })
@@ -143,7 +143,8 @@ async function testRoleManagement() {  console.log('============================
       method: 'PUT',
       headers: { 
         'Authorization': `Bearer ${authToken}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'If-Match': '*'
       },
       body: JSON.stringify({
         role: 'editor'
@@ -178,7 +179,8 @@ async function testRoleManagement() {  console.log('============================
       method: 'PUT',
       headers: { 
         'Authorization': `Bearer ${authToken}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'If-Match': '*'
       },
       body: JSON.stringify({
         role: 'invalid_role'
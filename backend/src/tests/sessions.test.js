@@ -0,0 +1,162 @@
+/**
+ * Session Management Tests
+ * Tests listing and signing out sign-in sessions, for the current user and through the admin endpoints
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+let testUserId = null;
+
+const username = `sessions-${Date.now() % 100000000}`;
+const password = 'Sessions123!';
+const mobileUserAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 '
+  + '(KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+/**
+ * Test the session management functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testSessions() {
+  console.log('=============================');
+  console.log('  SESSION MANAGEMENT TESTS   ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create the test user
+    console.log('1. Creating the test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'Session Tester' }
+    });
+    testUserId = user.body.data?.id || null;
+    steps.check(testUserId,
+      `User #${testUserId} created`,
+      `Could not create the user: ${user.body.message}`);
+
+    // Step 2: Sign in from two devices
+    console.log('2. Signing in from two devices...');
+    const desktop = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const mobile = await request('/auth/login', {
+      method: 'POST',
+      headers: { 'User-Agent': mobileUserAgent },
+      body: { username, password }
+    });
+    steps.check(desktop.status === 200 && mobile.status === 200,
+      'Both logins succeeded',
+      `Expected 200/200, got ${desktop.status}/${mobile.status}`);
+
+    const userToken = desktop.body.data?.token;
+
+    // Step 3: Both sessions are listed with the parsed device
+    console.log('3. Listing the sessions...');
+    const sessions = await request('/auth/sessions', { token: userToken });
+    const mobileSession = (sessions.body.data || []).find(session => session.device === 'Mobile');
+    steps.check(sessions.status === 200 && sessions.body.data?.length === 2 && mobileSession?.os === 'iOS 17',
+      `2 sessions listed, mobile session is ${mobileSession?.browser} on ${mobileSession?.os}`,
+      `Unexpected sessions: ${JSON.stringify(sessions.body.data)}`);
+
+    // Step 4: Signing out the mobile session stops its refresh token
+    console.log('4. Signing out the mobile session...');
+    const revoked = await request(`/auth/sessions/${mobileSession?.id}`, { method: 'DELETE', token: userToken });
+    const refresh = await request('/auth/refresh-token', {
+      method: 'POST',
+      body: { refreshToken: mobile.body.data?.refreshToken }
+    });
+    steps.check(revoked.status === 200 && refresh.status === 401,
+      'Session revoked, its refresh token is rejected',
+      `Expected 200 then 401, got ${revoked.status}/${refresh.status}`);
+
+    // Step 5: Unknown sessions return 404
+    console.log('5. Signing out an unknown session...');
+    const unknown = await request('/auth/sessions/unknown-session', { method: 'DELETE', token: userToken });
+    steps.check(unknown.status === 404,
+      'Unknown session returns 404',
+      `Expected 404, got ${unknown.status}`);
+
+    // Step 6: Admins see and sign out the sessions of other users
+    console.log('6. Managing the sessions as admin...');
+    const adminList = await request(`/users/${testUserId}/sessions`, { token: adminToken });
+    const remaining = adminList.body.data || [];
+    const adminRevoke = await request(`/users/${testUserId}/sessions/${remaining[0]?.id}`, {
+      method: 'DELETE',
+      token: adminToken
+    });
+    const afterRevoke = await request(`/users/${testUserId}/sessions`, { token: adminToken });
+    steps.check(remaining.length === 1 && adminRevoke.status === 200 && afterRevoke.body.data?.length === 0,
+      'Admin listed and revoked the remaining session',
+      `Expected 1 session then none, got ${remaining.length}/${afterRevoke.body.data?.length}`);
+
+    // Step 7: Users without the users.sessions permission cannot see other sessions
+    console.log('7. Listing sessions of another user without permission...');
+    const forbidden = await request(`/users/${testUserId}/sessions`, { token: userToken });
+    steps.check(forbidden.status === 403,
+      'Access denied',
+      `Expected 403, got ${forbidden.status}`);
+
+    // Step 8: The sign-in history is returned
+    console.log('8. Reading the sign-in history...');
+    const history = await request(`/users/${testUserId}/auth-history?limit=5`, { token: adminToken });
+    steps.check(history.status === 200 && Array.isArray(history.body.data),
+      `${history.body.data?.length} history entries returned`,
+      `Expected 200, got ${history.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testSessions);
+} else {
+  describe('Session Management Tests', () => {
+    test('Listing and signing out sessions should pass every step', async () => {
+      expect(await testSessions()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testSessions;
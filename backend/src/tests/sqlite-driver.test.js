@@ -0,0 +1,128 @@
+/**
+ * SQLite Driver Tests
+ * Tests the SQLite driver on an in-memory database: statement splitting, parameters,
+ * BIT/DATETIME conversions, transactions, savepoints and constraint error numbers
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import sqliteDriver, { splitStatements } from '../core/database/sqlite.driver.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+/**
+ * Test the SQLite driver
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testSqliteDriver() {
+  console.log('=============================');
+  console.log('     SQLITE DRIVER TESTS     ');
+  console.log('=============================\n');
+
+  const { dialect } = sqliteDriver;
+  let connection = null;
+
+  const steps = new TestSteps();
+
+  try {
+    connection = await sqliteDriver.connect({ filename: ':memory:' });
+    await sqliteDriver.query(connection, `
+      CREATE TABLE driver_test (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name NVARCHAR(50) NOT NULL UNIQUE,
+        is_active BIT NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL DEFAULT (${dialect.now()})
+      );
+      CREATE TABLE driver_test_child (
+        parent_id INT NOT NULL REFERENCES driver_test(id)
+      );
+    `);
+
+    // Step 1: Semicolons inside strings and comments do not split statements
+    console.log('1. Splitting a query into statements...');
+    const statements = splitStatements(`
+      -- comment; with a semicolon
+      INSERT INTO t (a) VALUES ('x;y', @first);
+      SELECT [a;b] FROM t WHERE a = @second; /* trailing; comment */
+    `);
+    steps.check(statements.length === 2 && statements[0].params[0] === 'first' && statements[1].params[0] === 'second',
+      'Two statements with their parameters',
+      `Unexpected statements: ${JSON.stringify(statements)}`);
+
+    // Step 2: INSERT then SELECT of the new row in one query, as BaseRepository.create does
+    console.log('2. Inserting and reading back a row...');
+    const created = await sqliteDriver.query(connection, `
+      INSERT INTO driver_test (name, is_active) VALUES (@name, @isActive);
+      SELECT * FROM driver_test WHERE id = ${dialect.insertedId()};
+    `, { name: 'first', isActive: false, unused: 'ignored' });
+    const row = created.recordset[0];
+    steps.check(row && row.is_active === false && row.created_at instanceof Date && created.rowsAffected[0] === 1,
+      'BIT read as boolean, DATETIME as Date',
+      `Unexpected row: ${JSON.stringify(row)}`);
+
+    // Step 3: Dates passed as parameters compare with the stored dates
+    console.log('3. Comparing dates...');
+    const recent = await sqliteDriver.query(connection,
+      `SELECT COUNT(*) AS count FROM driver_test WHERE created_at > @since AND created_at <= ${dialect.now()}`,
+      { since: new Date(Date.now() - 60 * 1000) }
+    );
+    steps.check(recent.recordset[0].count === 1,
+      'Row created within the last minute',
+      `Count: ${recent.recordset[0].count}`);
+
+    // Step 4: A failing transaction is rolled back
+    console.log('4. Rolling back a failed transaction...');
+    await sqliteDriver.transaction(connection, async (transaction) => {
+      await transaction.request().input('name', 'second').query('INSERT INTO driver_test (name) VALUES (@name)');
+      throw new Error('Rollback');
+    }).catch(() => {});
+    const afterRollback = await sqliteDriver.query(connection, 'SELECT COUNT(*) AS count FROM driver_test');
+    steps.check(afterRollback.recordset[0].count === 1,
+      'Insert rolled back',
+      `Count after rollback: ${afterRollback.recordset[0].count}`);
+
+    // Step 5: A savepoint undoes only its own changes
+    console.log('5. Rolling back to a savepoint...');
+    await sqliteDriver.transaction(connection, async (transaction) => {
+      await transaction.request().input('name', 'kept').query('INSERT INTO driver_test (name) VALUES (@name)');
+      await transaction.request().query(dialect.savepoint('item_savepoint'));
+      await transaction.request().input('name', 'undone').query('INSERT INTO driver_test (name) VALUES (@name)');
+      await transaction.request().query(dialect.rollbackToSavepoint('item_savepoint'));
+    });
+    const names = await sqliteDriver.query(connection, 'SELECT name FROM driver_test ORDER BY id');
+    steps.check(names.recordset.map(item => item.name).join(',') === 'first,kept',
+      'Only the change after the savepoint was undone',
+      `Rows: ${JSON.stringify(names.recordset)}`);
+
+    // Step 6: Constraint violations carry the SQL Server error numbers
+    console.log('6. Violating constraints...');
+    const duplicate = await sqliteDriver.query(connection, "INSERT INTO driver_test (name) VALUES ('first')")
+      .catch(error => error);
+    const orphan = await sqliteDriver.query(connection, 'INSERT INTO driver_test_child (parent_id) VALUES (999)')
+      .catch(error => error);
+    steps.check(duplicate.number === 2627 && orphan.number === 547,
+      'Unique and foreign key errors numbered 2627 and 547',
+      `Error numbers: ${duplicate.number}, ${orphan.number}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (connection) {
+      await sqliteDriver.close(connection);
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testSqliteDriver);
+} else {
+  describe('SQLite Driver Tests', () => {
+    test('SQLite driver should pass every step', async () => {
+      expect(await testSqliteDriver()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testSqliteDriver;
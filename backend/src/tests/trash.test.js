@@ -0,0 +1,189 @@
+/**
+ * Trash Tests
+ * Tests soft delete of users and projects: deleted records are hidden from the API,
+ * listed in the trash, restored, permanently deleted and purged after the retention period
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import dbService from '../core/services/db.service.js';
+import trashService from '../core/services/trash.service.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+
+const username = `trash${Date.now() % 100000000}`;
+const password = 'TrashTest123!';
+
+/**
+ * Test the trash of soft-deleted records
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testTrash() {
+  console.log('=============================');
+  console.log('         TRASH TESTS         ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+  let userId = null;
+  let projectId = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create a user and a project
+    console.log('1. Creating a test user and project...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, role: 'customer' }
+    });
+    const project = await request('/projects', {
+      method: 'POST',
+      token: adminToken,
+      body: { title: `Trash Project ${Date.now()}`, project_type: 'industrial', status: 'ongoing' }
+    });
+
+    if (user.status !== 201 || project.status !== 201) {
+      throw new Error(`Could not create test data: ${user.body.message || project.body.message}`);
+    }
+    userId = user.body.data.id;
+    projectId = project.body.data.id;
+    console.log(`✅ Created user #${userId} and project #${projectId}\n`);
+
+    // Step 2: A deleted user is hidden and can no longer sign in
+    console.log('2. Deleting the user...');
+    const userLogin = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const deleted = await request(`/users/${userId}`, { method: 'DELETE', token: adminToken });
+    const afterDelete = await request(`/users/${userId}`, { token: adminToken });
+    const loginAfterDelete = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const refreshAfterDelete = await request('/auth/refresh-token', {
+      method: 'POST',
+      body: { refreshToken: userLogin.body.data?.refreshToken }
+    });
+    steps.check(deleted.status === 200 && afterDelete.status === 404 && loginAfterDelete.status === 401
+      && refreshAfterDelete.status !== 200,
+      'User hidden, login and session refresh refused',
+      `Statuses: delete ${deleted.status}, get ${afterDelete.status}, login ${loginAfterDelete.status}, refresh ${refreshAfterDelete.status}`);
+
+    // Step 3: The user is listed in the trash with who deleted it, and its username stays taken
+    console.log('3. Listing the user trash...');
+    const trash = await request('/trash/users?pageSize=100', { token: adminToken });
+    const trashed = (trash.body.data || []).find(item => item.id === userId);
+    const duplicate = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, role: 'customer' }
+    });
+    steps.check(trashed && trashed.deleted_by_username === config.defaultAdmin.username && trashed.password === undefined
+      && duplicate.status !== 201,
+      'User in the trash, username still reserved',
+      `Unexpected trash entry: ${JSON.stringify(trashed)}, duplicate ${duplicate.status}`);
+
+    // Step 4: Restoring brings the user back and is recorded in its history
+    console.log('4. Restoring the user...');
+    const restored = await request(`/trash/users/${userId}/restore`, { method: 'POST', token: adminToken });
+    const afterRestore = await request(`/users/${userId}`, { token: adminToken });
+    const history = await request(`/audit-trail/users/${userId}`, { token: adminToken });
+    const actions = (history.body.data || []).map(entry => entry.action);
+    steps.check(restored.status === 200 && restored.body.data?.password === undefined && afterRestore.status === 200
+      && actions.includes('delete') && actions.includes('restore'),
+      'User restored with delete and restore in its history',
+      `Statuses: restore ${restored.status}, get ${afterRestore.status}, history ${actions.join(',')}`);
+
+    // Step 5: Permanently deleting a project only works from the trash
+    console.log('5. Permanently deleting a project...');
+    const notTrashed = await request(`/trash/projects/${projectId}`, { method: 'DELETE', token: adminToken });
+    await request(`/projects/${projectId}`, { method: 'DELETE', token: adminToken });
+    const purged = await request(`/trash/projects/${projectId}`, { method: 'DELETE', token: adminToken });
+    const restoreAfterPurge = await request(`/trash/projects/${projectId}/restore`, { method: 'POST', token: adminToken });
+    steps.check(notTrashed.status === 404 && purged.status === 200 && restoreAfterPurge.status === 404,
+      'Project purged from the trash',
+      `Statuses: ${notTrashed.status}, ${purged.status}, ${restoreAfterPurge.status}`);
+    if (purged.status === 200) {
+      projectId = null;
+    }
+
+    // Step 6: Users deleted before the retention period are purged with their tokens
+    console.log('6. Purging expired records...');
+    await request(`/users/${userId}`, { method: 'DELETE', token: adminToken });
+    await dbService.executeQuery(
+      'UPDATE users SET deleted_at = @deletedAt WHERE id = @userId',
+      { userId, deletedAt: new Date(Date.now() - (trashService.retentionDays + 1) * 24 * 60 * 60 * 1000) }
+    );
+    const expired = await trashService.purgeExpired();
+    const remaining = await dbService.executeQuery('SELECT COUNT(*) AS count FROM users WHERE id = @userId', { userId });
+    steps.check(expired.users >= 1 && remaining.recordset[0].count === 0,
+      'Expired user purged',
+      `Purged ${JSON.stringify(expired)}, user rows left: ${remaining.recordset[0].count}`);
+    if (remaining.recordset[0].count === 0) {
+      userId = null;
+    }
+
+    // Step 7: Unknown resources and missing authentication are rejected
+    console.log('7. Sending invalid trash requests...');
+    const invalid = await request('/trash/roles', { token: adminToken });
+    const anonymous = await request('/trash/users');
+    steps.check(invalid.status === 400 && anonymous.status === 401,
+      'Rejected with 400 and 401',
+      `Statuses: ${invalid.status}, ${anonymous.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (adminToken) {
+      console.log('\nDeleting test data...');
+      if (projectId) {
+        await request(`/projects/${projectId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+        await request(`/trash/projects/${projectId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+      if (userId) {
+        await request(`/users/${userId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+        await request(`/trash/users/${userId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testTrash);
+} else {
+  describe('Trash Tests', () => {
+    test('Soft delete, restore and purge should pass every step', async () => {
+      expect(await testTrash()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testTrash;
@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Authentication Tests
+ * Tests TOTP enrollment, the two-step login, recovery codes and disabling 2FA
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { generate } from 'otplib';
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+let testUserId = null;
+
+const username = `totp-${Date.now() % 100000000}`;
+const password = 'TwoFactor123!';
+
+/**
+ * Test the two-factor authentication functionality
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testTwoFactor() {
+  console.log('=============================');
+  console.log('  TWO-FACTOR AUTH TESTS      ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Step 1: Login as admin and create the test user
+    console.log('1. Creating the test user...');
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+
+    if (admin.status !== 200) {
+      throw new Error(`Login failed: ${admin.body.message || 'Unknown error'}`);
+    }
+
+    adminToken = admin.body.data.token;
+    const user = await request('/users', {
+      method: 'POST',
+      token: adminToken,
+      body: { username, email: `${username}@example.com`, password, full_name: 'TOTP Tester' }
+    });
+    testUserId = user.body.data?.id || null;
+    steps.check(testUserId,
+      `User #${testUserId} created`,
+      `Could not create the user: ${user.body.message}`);
+
+    const userLogin = await request('/auth/login', { method: 'POST', body: { username, password } });
+    authToken = userLogin.body.data?.token;
+
+    // Step 2: Start the enrollment
+    console.log('2. Starting the enrollment...');
+    const setup = await request('/auth/2fa/setup', { method: 'POST', token: authToken });
+    const secret = setup.body.data?.secret;
+    steps.check(setup.status === 200 && secret && setup.body.data.qrCode?.startsWith('data:image/png'),
+      'Secret and QR code returned',
+      `Expected 200 with a secret, got ${setup.status}: ${setup.body.message}`);
+
+    // Step 3: A wrong code does not enable 2FA
+    console.log('3. Enabling with a wrong code...');
+    const wrong = await request('/auth/2fa/enable', { method: 'POST', token: authToken, body: { code: '000000' } });
+    steps.check(wrong.status === 400,
+      'Wrong code rejected',
+      `Expected 400, got ${wrong.status}`);
+
+    // Step 4: The current code enables 2FA and returns the recovery codes
+    console.log('4. Enabling with the current code...');
+    const enabled = await request('/auth/2fa/enable', {
+      method: 'POST',
+      token: authToken,
+      body: { code: await generate({ secret }) }
+    });
+    const recoveryCodes = enabled.body.data?.recoveryCodes || [];
+    steps.check(enabled.status === 200 && recoveryCodes.length === config.twoFactor.recoveryCodeCount,
+      `2FA enabled with ${recoveryCodes.length} recovery codes`,
+      `Expected 200, got ${enabled.status}: ${enabled.body.message}`);
+
+    // Step 5: The password step now returns a challenge instead of tokens
+    console.log('5. Logging in with the password...');
+    const firstStep = await request('/auth/login', { method: 'POST', body: { username, password } });
+    const challengeToken = firstStep.body.data?.challengeToken;
+    steps.check(firstStep.status === 200 && firstStep.body.data?.twoFactorRequired && !firstStep.body.data?.token,
+      'Two-factor challenge returned',
+      `Expected a challenge, got ${firstStep.status}`);
+
+    // Step 6: The challenge token cannot be used as an access token
+    console.log('6. Using the challenge token as an access token...');
+    const misuse = await request('/auth/2fa', { token: challengeToken });
+    steps.check(misuse.status === 401,
+      'Challenge token rejected',
+      `Expected 401, got ${misuse.status}`);
+
+    // Step 7: A recovery code completes the login, and only once
+    console.log('7. Completing the login with a recovery code...');
+    const secondStep = await request('/auth/login/2fa', {
+      method: 'POST',
+      body: { challengeToken, code: recoveryCodes[0] }
+    });
+    const reused = await request('/auth/login/2fa', {
+      method: 'POST',
+      body: { challengeToken, code: recoveryCodes[0] }
+    });
+    steps.check(secondStep.status === 200 && secondStep.body.data?.token && reused.status === 401,
+      'Logged in, the recovery code cannot be reused',
+      `Expected 200 then 401, got ${secondStep.status}/${reused.status}`);
+
+    authToken = secondStep.body.data?.token || authToken;
+
+    // Step 8: The status counts the remaining recovery codes
+    console.log('8. Checking the status...');
+    const status = await request('/auth/2fa', { token: authToken });
+    steps.check(status.body.data?.enabled && status.body.data.recoveryCodesRemaining === recoveryCodes.length - 1,
+      `${status.body.data.recoveryCodesRemaining} recovery codes remaining`,
+      `Unexpected status: ${JSON.stringify(status.body.data)}`);
+
+    // Step 9: Disabling requires the password and a valid code
+    console.log('9. Disabling 2FA...');
+    const badPassword = await request('/auth/2fa/disable', {
+      method: 'POST',
+      token: authToken,
+      body: { password: 'wrong-password', code: recoveryCodes[1] }
+    });
+    const disabled = await request('/auth/2fa/disable', {
+      method: 'POST',
+      token: authToken,
+      body: { password, code: recoveryCodes[1] }
+    });
+    const plainLogin = await request('/auth/login', { method: 'POST', body: { username, password } });
+    steps.check(badPassword.status === 400 && disabled.status === 200 && plainLogin.body.data?.token,
+      '2FA disabled, password login returns tokens again',
+      `Expected 400/200, got ${badPassword.status}/${disabled.status}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (testUserId && adminToken) {
+      console.log('\nDeleting test user...');
+      await request(`/users/${testUserId}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testTwoFactor);
+} else {
+  describe('Two-Factor Tests', () => {
+    test('TOTP setup, two-step login and recovery should pass every step', async () => {
+      expect(await testTwoFactor()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testTwoFactor;
@@ -48,7 +48,7 @@ describe('User API Tests', () => {
         data: {
           username: 'testcreate',
           email: 'testcreate@example.com',
-          password: 'test123',
+          password: 'TestCreate@2025',
           full_name: 'Test Create User',
           role: 'user'
         },
@@ -94,6 +94,7 @@ describe('User API Tests', () => {
         endpoint: `/api/users/${userId}`,
         requireAuth: true,
         authUser: 'admin',
+        headers: { 'If-Match': '*' },
         data: {
           full_name: 'Updated Test User',
           email: 'updated@example.com'
@@ -205,7 +206,7 @@ describe('User API Tests', () => {
         data: {
           username: 'searchadmin',
           email: 'searchadmin@example.com',
-          password: 'search123',
+          password: 'SearchAdmin@2025',
           full_name: 'Search Admin User',
           role: 'admin'
         },
@@ -277,7 +278,7 @@ describe('User API Tests', () => {
         data: {
           username: 'statususer',
           email: 'statususer@example.com',
-          password: 'status123',
+          password: 'StatusUser@2025',
           full_name: 'Status Test User',
           role: 'user',
           is_active: true
@@ -334,7 +335,7 @@ describe('User API Tests', () => {
         data: {
           username: 'regularuser',
           email: 'regular@example.com',
-          password: 'regular123',
+          password: 'Regular@2025',
           full_name: 'Regular User',
           role: 'user'
         },
@@ -350,7 +351,7 @@ describe('User API Tests', () => {
         endpoint: '/api/auth/login',
         data: {
           username: 'regularuser',
-          password: 'regular123'
+          password: 'Regular@2025'
         },
         expectStatus: 200,
         authUser: 'regularuser'
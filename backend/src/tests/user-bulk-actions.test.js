@@ -0,0 +1,177 @@
+/**
+ * Bulk User Action Tests
+ * Tests POST /users/bulk: per-item results, role changes, self-protection, force-logout and delete
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { TEST_PORT, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let server = null;
+const testUserIds = [];
+
+const suffix = Date.now() % 100000000;
+const password = 'Bulk-Action-2025';
+
+/**
+ * Test the bulk user actions
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testBulkUserActions() {
+  console.log('=============================');
+  console.log('   BULK USER ACTION TESTS    ');
+  console.log('=============================\n');
+
+  let adminToken = null;
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Login as admin and create two customers
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    adminToken = admin.body.data?.token;
+    const adminId = admin.body.data?.user?.id;
+    if (!adminToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
+    }
+
+    for (const name of ['first', 'second']) {
+      const created = await request('/users', {
+        method: 'POST',
+        token: adminToken,
+        body: { username: `bulk-${name}-${suffix}`, email: `bulk-${name}-${suffix}@example.com`, password }
+      });
+      if (created.status !== 201) {
+        throw new Error(`Failed to create test user: ${created.body.message}`);
+      }
+      testUserIds.push(created.body.data.id);
+    }
+    const [firstId, secondId] = testUserIds;
+
+    // Step 1: Invalid requests
+    console.log('1. Sending invalid bulk requests...');
+    const noIds = await request('/users/bulk', { method: 'POST', token: adminToken, body: { action: 'activate', ids: [] } });
+    const badAction = await request('/users/bulk', { method: 'POST', token: adminToken, body: { action: 'archive', ids: [firstId] } });
+    steps.check(noIds.status === 400 && badAction.status === 400,
+      'Empty ID list and unknown action rejected',
+      `Expected 400/400, got ${noIds.status}/${badAction.status}`);
+
+    // Step 2: Deactivate with per-item results
+    console.log('2. Deactivating the test users, the admin and a missing user...');
+    const deactivated = await request('/users/bulk', {
+      method: 'POST',
+      token: adminToken,
+      body: { action: 'deactivate', ids: [firstId, secondId, adminId, 999999999] }
+    });
+    const results = deactivated.body.data?.results || [];
+    const byId = Object.fromEntries(results.map(item => [item.id, item]));
+    steps.check(deactivated.status === 200
+      && byId[firstId]?.success && byId[secondId]?.success
+      && byId[adminId]?.success === false && byId[999999999]?.success === false
+      && deactivated.body.data.succeeded === 2,
+      'Test users deactivated, own account and missing user reported as failed',
+      `Unexpected results: ${deactivated.status} ${JSON.stringify(deactivated.body)}`);
+
+    // Step 3: Activate again and change the role
+    console.log('3. Activating the users and changing their role...');
+    await request('/users/bulk', { method: 'POST', token: adminToken, body: { action: 'activate', ids: testUserIds } });
+    const roleChanged = await request('/users/bulk', {
+      method: 'POST',
+      token: adminToken,
+      body: { action: 'setRole', ids: testUserIds, role: config.roles.EDITOR }
+    });
+    const first = await request(`/users/${firstId}`, { token: adminToken });
+    steps.check(roleChanged.body.data?.succeeded === 2 && first.body.data?.is_active && first.body.data?.role === config.roles.EDITOR,
+      'Users active with the new role',
+      `Unexpected user after role change: ${JSON.stringify(first.body.data)}`);
+
+    // Step 4: Customers cannot run bulk actions
+    console.log('4. Running a bulk action as a non-admin...');
+    const login = await request('/auth/login', {
+      method: 'POST',
+      body: { username: `bulk-first-${suffix}`, password }
+    });
+    const userToken = login.body.data?.token;
+    const denied = await request('/users/bulk', {
+      method: 'POST',
+      token: userToken,
+      body: { action: 'delete', ids: [secondId] }
+    });
+    steps.check(denied.status === 403,
+      '403 without the required permission',
+      `Expected 403, got ${denied.status}`);
+
+    // Step 5: Force logout revokes the refresh tokens
+    console.log('5. Signing the users out of all devices...');
+    const loggedOut = await request('/users/bulk', {
+      method: 'POST',
+      token: adminToken,
+      body: { action: 'logout', ids: testUserIds }
+    });
+    const refreshed = await request('/auth/refresh-token', {
+      method: 'POST',
+      body: { refreshToken: login.body.data?.refreshToken }
+    });
+    steps.check(loggedOut.body.data?.succeeded === 2 && refreshed.status !== 200,
+      'Refresh token no longer accepted',
+      `Expected the refresh to fail, got ${refreshed.status}`);
+
+    // Step 6: Delete
+    console.log('6. Deleting the test users...');
+    const deleted = await request('/users/bulk', {
+      method: 'POST',
+      token: adminToken,
+      body: { action: 'delete', ids: testUserIds }
+    });
+    const deletedCount = deleted.body.data?.succeeded || 0;
+    steps.check(deleted.status === 200,
+      `${deletedCount} of ${testUserIds.length} users deleted (${JSON.stringify(deleted.body.data?.results)})`,
+      `Expected 200, got ${deleted.status}: ${deleted.body.message}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (adminToken) {
+      console.log('\nDeleting test users...');
+      for (const id of testUserIds) {
+        await request(`/users/${id}`, { method: 'DELETE', token: adminToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testBulkUserActions);
+} else {
+  describe('Bulk User Action Tests', () => {
+    test('Bulk user actions should pass every step', async () => {
+      expect(await testBulkUserActions()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testBulkUserActions;
@@ -0,0 +1,171 @@
+/**
+ * User Import/Export Tests
+ * Tests the CSV/XLSX user export with list filters and the user import with its dry-run preview
+ */
+
+// Set environment to test mode before importing anything else
+process.env.NODE_ENV = 'test';
+
+import fetch, { FormData, Blob } from 'node-fetch';
+import { startServer } from '../server.js';
+import config from '../config.js';
+import { toCsv } from '../lib/csv-helper.js';
+import { toXlsx, parseXlsx } from '../lib/xlsx-helper.js';
+import { TEST_PORT, API_URL, request, stopTestServer } from './helpers/api-request.helper.js';
+import { TestSteps, TEST_TIMEOUT, isDirectRun, runDirectly } from './helpers/test-steps.helper.js';
+
+let authToken = null;
+let server = null;
+const testUserIds = [];
+
+const suffix = Date.now() % 100000000;
+const password = 'Import-Users-2025';
+
+/**
+ * Upload an import file
+ * @param {Buffer|string} content - File content
+ * @param {string} fileName - Original file name
+ * @param {boolean} dryRun - Only validate the rows
+ * @returns {Promise<Object>} - Status and parsed body
+ */
+async function importFile(content, fileName, dryRun) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), fileName);
+
+  const res = await fetch(`${API_URL}/users/import${dryRun ? '?dryRun=true' : ''}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${authToken}` },
+    body: form
+  });
+
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Test the user import and export
+ * @returns {Promise<Array<string>>} - Messages of the failed steps
+ */
+async function testUserImportExport() {
+  console.log('=============================');
+  console.log('  USER IMPORT/EXPORT TESTS   ');
+  console.log('=============================\n');
+
+  const steps = new TestSteps();
+
+  try {
+    // Start the server
+    console.log('Starting API server on port', TEST_PORT, '...');
+    server = await startServer(TEST_PORT);
+    console.log('✅ Server started successfully!\n');
+
+    // Login as admin
+    const admin = await request('/auth/login', {
+      method: 'POST',
+      body: {
+        username: config.defaultAdmin.username,
+        password: config.defaultAdmin.password
+      }
+    });
+    authToken = admin.body.data?.token;
+    if (!authToken) {
+      throw new Error(`Admin login failed: ${admin.status}`);
+    }
+
+    const columns = ['username', 'email', 'password', 'full_name', 'role'];
+    const validRows = [
+      [`import-first-${suffix}`, `import-first-${suffix}@example.com`, password, 'Import First', config.roles.EDITOR],
+      [`import-second-${suffix}`, `import-second-${suffix}@example.com`, password, 'Import Second', '']
+    ];
+
+    // Step 1: Dry run reports invalid rows without creating anything
+    console.log('1. Previewing a CSV file with invalid rows...');
+    const invalidCsv = toCsv(columns, [
+      ...validRows,
+      [config.defaultAdmin.username, `import-dup-${suffix}@example.com`, password, '', ''],
+      [`import-third-${suffix}`, `import-first-${suffix}@example.com`, 'short', '', 'no-such-role']
+    ]);
+    const preview = await importFile(invalidCsv, 'users.csv', true);
+    const rows = preview.body.data?.rows || [];
+    steps.check(preview.status === 200 && preview.body.data.valid === 2 && preview.body.data.invalid === 2
+      && rows[2]?.errors.includes('Username already exists')
+      && rows[3]?.errors.includes('Email appears more than once in the file')
+      && rows[3]?.errors.includes('Invalid role: no-such-role'),
+      '2 valid and 2 invalid rows with their errors',
+      `Unexpected preview: ${preview.status} ${JSON.stringify(preview.body)}`);
+
+    // Step 2: A real import with invalid rows is refused
+    console.log('2. Importing the file with invalid rows...');
+    const refused = await importFile(invalidCsv, 'users.csv', false);
+    const afterRefused = await request(`/users?search=import-first-${suffix}`, { token: authToken });
+    steps.check(refused.status === 400 && afterRefused.body.data?.length === 0,
+      '400 and no users created',
+      `Expected 400 without users, got ${refused.status} (${afterRefused.body.data?.length} users)`);
+
+    // Step 3: Valid XLSX import
+    console.log('3. Importing a valid XLSX file...');
+    const imported = await importFile(toXlsx(columns, validRows), 'users.xlsx', false);
+    (imported.body.data?.rows || []).forEach(row => row.id && testUserIds.push(row.id));
+    steps.check(imported.status === 201 && imported.body.data?.created === 2,
+      `${imported.body.data?.created} users created`,
+      `Expected 201, got ${imported.status}: ${JSON.stringify(imported.body)}`);
+
+    // Step 4: Unsupported files
+    console.log('4. Uploading an unsupported file...');
+    const unsupported = await importFile('hello', 'users.txt', true);
+    const missingColumns = await importFile('name,mail\r\na,b', 'users.csv', true);
+    steps.check(unsupported.status === 400 && missingColumns.status === 400,
+      'Wrong file type and missing columns rejected',
+      `Expected 400/400, got ${unsupported.status}/${missingColumns.status}`);
+
+    // Step 5: CSV export with the search filter
+    console.log('5. Exporting the imported users as CSV...');
+    const csvRes = await fetch(`${API_URL}/users/export?format=csv&search=import-&role=${config.roles.EDITOR}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    const csv = await csvRes.text();
+    steps.check(csvRes.status === 200 && csv.includes(`import-first-${suffix}`) && !csv.includes(`import-second-${suffix}`),
+      'CSV contains only the users matching the filters',
+      `Unexpected CSV export (${csvRes.status}): ${csv.slice(0, 200)}`);
+
+    // Step 6: XLSX export
+    console.log('6. Exporting the imported users as XLSX...');
+    const xlsxRes = await fetch(`${API_URL}/users/export?format=xlsx&search=import-second-${suffix}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    const sheet = parseXlsx(Buffer.from(await xlsxRes.arrayBuffer()));
+    steps.check(xlsxRes.status === 200 && sheet.length === 2 && sheet[1].includes(`import-second-${suffix}`),
+      'XLSX contains the header and the matching user',
+      `Unexpected XLSX export (${xlsxRes.status}): ${JSON.stringify(sheet)}`);
+  } catch (error) {
+    steps.fail(error.message);
+  } finally {
+    if (authToken) {
+      console.log('\nDeleting test users...');
+      for (const id of testUserIds) {
+        await request(`/users/${id}`, { method: 'DELETE', token: authToken }).catch(() => {});
+      }
+    }
+
+    // Stop the server
+    if (server) {
+      console.log('Stopping the server...');
+      await stopTestServer();
+      console.log('Server stopped.');
+    }
+  }
+
+  return steps.finish();
+}
+
+// Run the test directly with node, or through Jest when imported by the test runner
+if (isDirectRun(import.meta.url)) {
+  runDirectly(testUserImportExport);
+} else {
+  describe('User Import/Export Tests', () => {
+    test('User import and export should pass every step', async () => {
+      expect(await testUserImportExport()).toEqual([]);
+    }, TEST_TIMEOUT);
+  });
+}
+
+export default testUserImportExport;
@@ -48,6 +48,7 @@ import CommercialProducts from "./pages/products/Commercial";
 import ResidentialProducts from "./pages/products/Residential";
 import ColdStorageProducts from "./pages/products/ColdStorage";
 import AuxiliaryProducts from "./pages/products/Auxiliary";
+import CategoryProducts from "./pages/products/Category";
 
 // Project pages
 import IndustrialProjects from "./pages/projects/Industrial";
@@ -63,6 +64,16 @@ import UserList from "./admin/pages/users/UserList";
 import UserCreate from "./admin/pages/users/UserCreate";
 import UserDetail from "./admin/pages/users/UserDetail";
 import UserEdit from "./admin/pages/users/UserEdit";
+import NewsList from "./admin/pages/news/NewsList";
+import NewsCreate from "./admin/pages/news/NewsCreate";
+import NewsEdit from "./admin/pages/news/NewsEdit";
+import ProductList from "./admin/pages/products/ProductList";
+import ProductCreate from "./admin/pages/products/ProductCreate";
+import ProductEdit from "./admin/pages/products/ProductEdit";
+import MessageList from "./admin/pages/messages/MessageList";
+import AuditLogList from "./admin/pages/audit-logs/AuditLogList";
+import TrashList from "./admin/pages/trash/TrashList";
+import AccountSecurity from "./admin/pages/account/AccountSecurity";
 
 // Auth guard for admin routes
 import AuthGuard from "./admin/components/AuthGuard";
@@ -85,6 +96,7 @@ const App = () => (
               <Route path="products/residential" element={<ResidentialProducts />} />
               <Route path="products/cold-storage" element={<ColdStorageProducts />} />
               <Route path="products/auxiliary" element={<AuxiliaryProducts />} />
+              <Route path="products/:category" element={<CategoryProducts />} />
               <Route path="projects" element={<Projects />} />
               <Route path="projects/industrial" element={<IndustrialProjects />} />
               <Route path="projects/commercial" element={<CommercialProjects />} />
@@ -136,6 +148,28 @@ const App = () => (
               <Route path="users/:id" element={<UserDetail />} />
               <Route path="users/:id/edit" element={<UserEdit />} />
 
+              {/* News management routes */}
+              <Route path="news" element={<NewsList />} />
+              <Route path="news/create" element={<NewsCreate />} />
+              <Route path="news/:id/edit" element={<NewsEdit />} />
+
+              {/* Product management routes */}
+              <Route path="products" element={<ProductList />} />
+              <Route path="products/create" element={<ProductCreate />} />
+              <Route path="products/:id/edit" element={<ProductEdit />} />
+
+              {/* Contact message inbox */}
+              <Route path="messages" element={<MessageList />} />
+
+              {/* Authentication audit log */}
+              <Route path="audit-logs" element={<AuditLogList />} />
+
+              {/* Soft-deleted users, news, products and projects */}
+              <Route path="trash" element={<TrashList />} />
+
+              {/* Signed-in user's own account settings */}
+              <Route path="account/security" element={<AccountSecurity />} />
+
               {/* Fallback for undefined admin routes */}
               <Route path="*" element={<Navigate to="/admin" replace />} />
             </Route>
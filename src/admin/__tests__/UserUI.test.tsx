@@ -263,7 +263,7 @@ describe('User UI Tests', () => {
       
       // Kiểm tra kết quả
       await waitFor(() => {
-        expect(toggleStatusSpy).toHaveBeenCalledWith(1, false); // Toggle from true to false
+        expect(toggleStatusSpy).toHaveBeenCalledWith(1, false, undefined); // Toggle from true to false
       });
     });
   });
@@ -0,0 +1,137 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../../components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../components/ui/table';
+import { Button } from '../../components/ui/button';
+import { Loader2 } from 'lucide-react';
+
+export interface ConflictField {
+  field: string;
+  label: string;
+}
+
+interface ConflictDialogProps {
+  open: boolean;
+  // Các trường của form được so sánh
+  fields: ConflictField[];
+  // Giá trị đang sửa trong form và giá trị hiện tại trên server
+  mine: object | null;
+  theirs: object | null;
+  isSubmitting?: boolean;
+  onReload: () => void;
+  onOverwrite: () => void;
+  onCancel: () => void;
+}
+
+// Hiển thị giá trị của một trường; HTML (nội dung bài viết) chỉ giữ phần chữ
+const formatConflictValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0
+      ? '(empty)'
+      : value.map(item => (item && typeof item === 'object' ? item.image_path ?? item.value ?? item.name ?? JSON.stringify(item) : String(item))).join(', ');
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length === 0 ? '(empty)' : entries.map(([key, item]) => `${key}: ${item}`).join('; ');
+  }
+
+  const text = String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+// Giá trị của một trường; form và bản ghi trên server là các interface khác nhau
+const fieldValue = (record: object | null, field: string): unknown =>
+  record ? (record as Record<string, unknown>)[field] : undefined;
+
+/**
+ * Hộp thoại khi lưu thất bại vì người khác đã lưu bản ghi trước (409/412)
+ * So sánh giá trị đang sửa với phiên bản hiện tại, cho phép tải lại bản hiện tại hoặc ghi đè
+ */
+const ConflictDialog = ({
+  open,
+  fields,
+  mine,
+  theirs,
+  isSubmitting = false,
+  onReload,
+  onOverwrite,
+  onCancel
+}: ConflictDialogProps) => {
+  const differences = mine && theirs
+    ? fields.filter(({ field }) => formatConflictValue(fieldValue(mine, field)) !== formatConflictValue(fieldValue(theirs, field)))
+    : [];
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onCancel()}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>This record was changed by someone else</DialogTitle>
+          <DialogDescription>
+            Another user saved a newer version while you were editing. Reload their version
+            or overwrite it with your changes.
+          </DialogDescription>
+        </DialogHeader>
+
+        {differences.length === 0 ? (
+          <div className="flex items-center justify-center h-20 bg-gray-50 rounded-md">
+            <p className="text-gray-500 text-sm">The fields of this form have the same values in both versions</p>
+          </div>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Field</TableHead>
+                  <TableHead>Your changes</TableHead>
+                  <TableHead>Current version</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {differences.map(({ field, label }) => (
+                  <TableRow key={field}>
+                    <TableCell className="font-medium">{label}</TableCell>
+                    <TableCell className="text-green-700 break-words">{formatConflictValue(fieldValue(mine, field))}</TableCell>
+                    <TableCell className="text-red-700 break-words">{formatConflictValue(fieldValue(theirs, field))}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button variant="outline" onClick={onReload} disabled={isSubmitting}>
+            Reload their version
+          </Button>
+          <Button variant="destructive" onClick={onOverwrite} disabled={isSubmitting}>
+            {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Overwrite with mine
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,75 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { Button } from '../../components/ui/button';
+import { useToast } from '../../hooks/use-toast';
+import { useApiBroker } from '../hooks/useApiBroker';
+
+interface ImageUploadButtonProps {
+  // Nhận đường dẫn public của ảnh sau khi upload thành công
+  onUploaded: (filePath: string) => void;
+  // Module sử dụng ảnh, lưu vào cột usage_type của bảng files
+  usageType?: 'general' | 'news' | 'product' | 'project';
+  disabled?: boolean;
+}
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+
+/**
+ * Nút chọn và upload ảnh lên /api/files/upload, hiển thị tiến trình upload
+ */
+const ImageUploadButton = ({ onUploaded, usageType = 'general', disabled }: ImageUploadButtonProps) => {
+  const apiBroker = useApiBroker();
+  const { toast } = useToast();
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [progress, setProgress] = useState<number | null>(null);
+
+  const handleChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    // Cho phép chọn lại cùng một file
+    event.target.value = '';
+    if (!file) return;
+
+    setProgress(0);
+    try {
+      const result = await apiBroker.uploadFile(file, setProgress, usageType);
+      onUploaded(result.data.file_path);
+    } catch (error) {
+      toast({
+        title: 'Upload failed',
+        description: error.message || 'Failed to upload image',
+        variant: 'destructive',
+      });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        className="hidden"
+        onChange={handleChange}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        size="icon"
+        title="Upload image"
+        disabled={disabled || progress !== null}
+        onClick={() => inputRef.current?.click()}
+        className="shrink-0"
+      >
+        {progress !== null ? (
+          <span className="text-xs">{progress}%</span>
+        ) : (
+          <Upload className="h-4 w-4" />
+        )}
+      </Button>
+    </>
+  );
+};
+
+export default ImageUploadButton;
@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../components/ui/card';
+import { Badge } from '../../components/ui/badge';
+import { RecordHistoryEntry, useAuditLogController } from '../controllers/AuditLogController';
+
+interface RecordHistoryProps {
+  // Tên resource trên API admin, ví dụ 'users', 'news', 'products'
+  resource: string;
+  recordId: number;
+}
+
+const ACTION_LABELS: Record<RecordHistoryEntry['action'], string> = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored',
+  purge: 'Permanently deleted'
+};
+
+// Hiển thị giá trị trong snapshot; cột bị loại khỏi audit trail (ví dụ password) không có giá trị
+const formatValue = (snapshot: Record<string, unknown> | null, field: string) => {
+  if (!snapshot || !(field in snapshot)) {
+    return '(hidden)';
+  }
+
+  const value = snapshot[field];
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+/**
+ * Bảng lịch sử thay đổi của một bản ghi: ai thay đổi, lúc nào và giá trị trước/sau
+ * Không hiển thị gì với người dùng không có quyền audit.view
+ */
+const RecordHistory = ({ resource, recordId }: RecordHistoryProps) => {
+  const [entries, setEntries] = useState<RecordHistoryEntry[] | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const { getRecordHistory } = useAuditLogController();
+
+  useEffect(() => {
+    if (!recordId) return;
+
+    setIsLoading(true);
+    getRecordHistory(resource, recordId)
+      .then(result => setEntries(result))
+      .catch(error => console.error('Failed to fetch the change history:', error))
+      .finally(() => setIsLoading(false));
+  }, [resource, recordId, getRecordHistory]);
+
+  if (!isLoading && entries === null) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Change History</CardTitle>
+        <CardDescription>Changes made through the admin area, newest first</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center h-24">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+          </div>
+        ) : !entries || entries.length === 0 ? (
+          <div className="flex items-center justify-center h-24 bg-gray-50 rounded-md">
+            <p className="text-gray-500">No changes recorded</p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {entries.map(entry => (
+              <li key={entry.id} className="border-l-2 border-gray-200 pl-4">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <Badge variant={entry.action === 'delete' || entry.action === 'purge' ? 'destructive' : 'secondary'}>
+                    {ACTION_LABELS[entry.action] || entry.action}
+                  </Badge>
+                  <span className="font-medium">{entry.actor_username || 'Unknown user'}</span>
+                  <span className="text-gray-500">{new Date(entry.created_at).toLocaleString()}</span>
+                  {entry.ip_address && <span className="text-xs text-gray-400">{entry.ip_address}</span>}
+                </div>
+                {entry.action === 'update' && entry.changed_fields.length > 0 && (
+                  <table className="mt-2 w-full text-sm">
+                    <tbody>
+                      {entry.changed_fields.map(field => (
+                        <tr key={field} className="align-top">
+                          <td className="py-1 pr-4 font-mono text-xs text-gray-600 whitespace-nowrap">{field}</td>
+                          <td className="py-1 pr-2 text-red-600 line-through break-all">
+                            {formatValue(entry.before_data, field)}
+                          </td>
+                          <td className="py-1 text-green-700 break-all">
+                            {formatValue(entry.after_data, field)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecordHistory;
@@ -0,0 +1,162 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Bold,
+  Italic,
+  Underline,
+  Heading2,
+  Heading3,
+  List,
+  ListOrdered,
+  Quote,
+  Link as LinkIcon,
+  RemoveFormatting
+} from 'lucide-react';
+import { Button } from '../../components/ui/button';
+import { useToast } from '../../hooks/use-toast';
+import { cn } from '../../lib/utils';
+
+interface RichTextEditorProps {
+  value: string;
+  onChange: (html: string) => void;
+  placeholder?: string;
+  disabled?: boolean;
+  className?: string;
+}
+
+interface ToolbarAction {
+  label: string;
+  icon: React.ComponentType<{ className?: string }>;
+  command: string;
+  value?: string;
+}
+
+const toolbarActions: ToolbarAction[] = [
+  { label: 'Bold', icon: Bold, command: 'bold' },
+  { label: 'Italic', icon: Italic, command: 'italic' },
+  { label: 'Underline', icon: Underline, command: 'underline' },
+  { label: 'Heading 2', icon: Heading2, command: 'formatBlock', value: 'h2' },
+  { label: 'Heading 3', icon: Heading3, command: 'formatBlock', value: 'h3' },
+  { label: 'Bulleted list', icon: List, command: 'insertUnorderedList' },
+  { label: 'Numbered list', icon: ListOrdered, command: 'insertOrderedList' },
+  { label: 'Quote', icon: Quote, command: 'formatBlock', value: 'blockquote' },
+  { label: 'Clear formatting', icon: RemoveFormatting, command: 'removeFormat' }
+];
+
+// Scheme của link được phép chèn; javascript:, data: ... bị từ chối (server cũng lọc khi lưu)
+const ALLOWED_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Kiểm tra URL của link là http(s) hoặc mailto
+ */
+const isAllowedLinkUrl = (url: string): boolean => {
+  try {
+    return ALLOWED_LINK_PROTOCOLS.includes(new URL(url.trim()).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Trình soạn thảo rich-text đơn giản dựa trên contentEditable
+ * Giá trị vào/ra là chuỗi HTML, lưu vào cột news.content sau khi server lọc theo allowlist
+ */
+const RichTextEditor: React.FC<RichTextEditorProps> = ({
+  value,
+  onChange,
+  placeholder,
+  disabled = false,
+  className
+}) => {
+  const editorRef = useRef<HTMLDivElement>(null);
+  const { toast } = useToast();
+
+  // Chỉ đồng bộ HTML khi giá trị thay đổi từ bên ngoài để không làm nhảy con trỏ
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (editor && editor.innerHTML !== value) {
+      editor.innerHTML = value || '';
+    }
+  }, [value]);
+
+  const emitChange = () => {
+    if (editorRef.current) {
+      onChange(editorRef.current.innerHTML);
+    }
+  };
+
+  const runCommand = (command: string, commandValue?: string) => {
+    if (disabled) return;
+    editorRef.current?.focus();
+    document.execCommand(command, false, commandValue);
+    emitChange();
+  };
+
+  const insertLink = () => {
+    const url = window.prompt('Enter link URL');
+    if (!url) return;
+
+    if (!isAllowedLinkUrl(url)) {
+      toast({
+        title: 'Invalid link',
+        description: 'Only http://, https:// and mailto: links are allowed',
+        variant: 'destructive',
+      });
+      return;
+    }
+    runCommand('createLink', url.trim());
+  };
+
+  return (
+    <div className={cn('rounded-md border border-input bg-background', className)}>
+      <div className="flex flex-wrap gap-1 border-b p-1">
+        {toolbarActions.map(action => (
+          <Button
+            key={action.label}
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            title={action.label}
+            disabled={disabled}
+            onMouseDown={e => e.preventDefault()}
+            onClick={() => runCommand(action.command, action.value)}
+          >
+            <action.icon className="h-4 w-4" />
+          </Button>
+        ))}
+        <Button
+          type="button"
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8"
+          title="Insert link"
+          disabled={disabled}
+          onMouseDown={e => e.preventDefault()}
+          onClick={insertLink}
+        >
+          <LinkIcon className="h-4 w-4" />
+        </Button>
+      </div>
+      <div
+        ref={editorRef}
+        role="textbox"
+        aria-multiline="true"
+        contentEditable={!disabled}
+        suppressContentEditableWarning
+        data-placeholder={placeholder}
+        className={cn(
+          'min-h-[240px] px-3 py-2 text-sm focus:outline-none',
+          'empty:before:text-muted-foreground empty:before:content-[attr(data-placeholder)]',
+          '[&_h2]:text-xl [&_h2]:font-semibold [&_h3]:text-lg [&_h3]:font-semibold',
+          '[&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6',
+          '[&_blockquote]:border-l-4 [&_blockquote]:pl-4 [&_blockquote]:text-gray-600',
+          '[&_a]:text-blue-600 [&_a]:underline'
+        )}
+        onInput={emitChange}
+        onBlur={emitChange}
+      />
+    </div>
+  );
+};
+
+export default RichTextEditor;
@@ -21,8 +21,18 @@ interface AuthState {
   error: string | null;
 }
 
+// Đăng nhập bị chặn do sai mật khẩu nhiều lần (HTTP 423/429 từ /auth/login)
+export interface LoginLockout {
+  locked: boolean; // true: tài khoản bị khóa tạm thời, false: chỉ phải chờ trước lần thử kế tiếp
+  until: number; // Thời điểm (ms) được phép thử lại
+}
+
 interface AuthContextType extends AuthState {
+  loginLockout: LoginLockout | null;
+  twoFactorRequired: boolean;
   login: (username: string, password: string) => Promise<void>;
+  verifyTwoFactor: (code: string) => Promise<void>;
+  cancelTwoFactor: () => void;
   logout: () => void;
   logoutAllDevices: () => Promise<void>;
   refreshAccessToken: () => Promise<boolean>;
@@ -41,6 +51,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     isLoading: false,
     error: null,
   });
+  const [loginLockout, setLoginLockout] = useState<LoginLockout | null>(null);
+  // Challenge token khi tài khoản bật 2FA, giữ trong bộ nhớ cho tới khi nhập đúng mã
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<string | null>(null);
   const navigate = useNavigate();
 
   // Check if token exists on mount and validate it
@@ -111,20 +124,29 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     
     validateToken();
   }, [navigate]);
-  const login = async (username: string, password: string) => {
+  // Gửi yêu cầu đăng nhập (bước mật khẩu hoặc bước mã 2FA) và xử lý kết quả chung
+  const submitLogin = async (endpointKey: string, body: Record<string, string>) => {
     try {
       setState(prev => ({ ...prev, isLoading: true, error: null }));
+      setLoginLockout(null);
       
-      const response = await fetch(apiUrlService.getUrl(API_ENDPOINTS.AUTH.LOGIN), {
+      const response = await fetch(apiUrlService.getUrl(endpointKey), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ username, password })
+        body: JSON.stringify(body)
       });
       
       const responseData = await response.json();
       
+      // Tài khoản đã bật 2FA: chờ người dùng nhập mã, chưa có token
+      if (response.ok && responseData.data?.twoFactorRequired) {
+        setTwoFactorChallenge(responseData.data.challengeToken);
+        setState(prev => ({ ...prev, isLoading: false }));
+        return;
+      }
+      
       if (response.ok) {
         // Kiểm tra và xử lý cấu trúc dữ liệu từ API
         let user, token, refreshToken, expiresIn;
@@ -154,6 +176,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
           if (refreshToken) localStorage.setItem('refresh_token', refreshToken);
           if (expiryTime) localStorage.setItem('token_expiry', expiryTime.toString());
           
+          setTwoFactorChallenge(null);
           setState({
             user,
             token,
@@ -168,6 +191,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
           throw new Error('Invalid response from server: missing user or token');
         }
       } else {
+        // 423: tài khoản bị khóa, 429: phải chờ; backend trả về số giây chờ trong errors.retryAfter
+        if ((response.status === 423 || response.status === 429) && responseData.errors?.retryAfter) {
+          setLoginLockout({
+            locked: response.status === 423,
+            until: Date.now() + responseData.errors.retryAfter * 1000
+          });
+        }
         setState(prev => ({
           ...prev,
           isLoading: false,
@@ -182,6 +212,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       }));
     }
   };
+
+  const login = (username: string, password: string) =>
+    submitLogin(API_ENDPOINTS.AUTH.LOGIN, { username, password });
+
+  // Bước 2 của đăng nhập 2FA: mã TOTP 6 số hoặc mã khôi phục
+  const verifyTwoFactor = async (code: string) => {
+    if (!twoFactorChallenge) return;
+    await submitLogin(API_ENDPOINTS.AUTH.LOGIN_2FA, { challengeToken: twoFactorChallenge, code });
+  };
+
+  // Quay lại bước nhập mật khẩu (ví dụ khi challenge đã hết hạn)
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setState(prev => ({ ...prev, error: null }));
+  };
+
   const logout = async () => {
     try {
       setState(prev => ({ ...prev, isLoading: true }));
@@ -259,8 +305,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   // Hàm làm mới access token sử dụng refresh token
   const refreshAccessToken = async (): Promise<boolean> => {
     try {
-      // Kiểm tra xem có refresh token không
-      const refreshToken = state.refreshToken || localStorage.getItem('refresh_token');
+      // Kiểm tra xem có refresh token không (ưu tiên localStorage vì tab khác có thể vừa rotate token)
+      const refreshToken = localStorage.getItem('refresh_token') || state.refreshToken;
       
       if (!refreshToken) {
         return false;
@@ -281,19 +327,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       const responseData = await response.json();
       
       if (responseData.success && responseData.data) {
-        const { accessToken, expiresIn } = responseData.data;
+        // Refresh token được rotate sau mỗi lần làm mới, token cũ không còn dùng được
+        const { accessToken, refreshToken: newRefreshToken, expiresIn } = responseData.data;
         
         // Tính thời gian hết hạn mới
         const expiryTime = expiresIn ? Date.now() + (expiresIn * 1000) : null;
         
         // Cập nhật localStorage
         localStorage.setItem('auth_token', accessToken);
+        if (newRefreshToken) localStorage.setItem('refresh_token', newRefreshToken);
         if (expiryTime) localStorage.setItem('token_expiry', expiryTime.toString());
         
         // Cập nhật state
         setState(prev => ({
           ...prev,
           token: accessToken,
+          refreshToken: newRefreshToken || prev.refreshToken,
           tokenExpiry: expiryTime,
         }));
         
@@ -315,7 +364,11 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     <AuthContext.Provider
       value={{
         ...state,
+        loginLockout,
+        twoFactorRequired: !!twoFactorChallenge,
         login,
+        verifyTwoFactor,
+        cancelTwoFactor,
         logout,
         logoutAllDevices,
         refreshAccessToken,
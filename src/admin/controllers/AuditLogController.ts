@@ -0,0 +1,148 @@
+import { useState, useCallback } from 'react';
+import { useToast } from '../../hooks/use-toast';
+import { useAuditLogDomainService } from '../hooks/useAuditLogDomainService';
+import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
+import { PaginationInfo } from './NewsController';
+
+/**
+ * Định dạng file khi xuất nhật ký
+ */
+export type AuditLogExportFormat = 'csv' | 'json';
+
+export interface AuditLogEntry {
+  id: number;
+  user_id: number | null;
+  username: string | null;
+  action: string;
+  success: boolean;
+  details: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+}
+
+/**
+ * Một thay đổi dữ liệu trong audit trail, kèm bản ghi trước/sau khi thay đổi
+ */
+export interface RecordHistoryEntry {
+  id: number;
+  table_name: string;
+  record_id: string;
+  action: 'create' | 'update' | 'delete' | 'restore' | 'purge';
+  changed_fields: string[];
+  before_data: Record<string, unknown> | null;
+  after_data: Record<string, unknown> | null;
+  actor_id: number | null;
+  actor_username: string | null;
+  ip_address: string | null;
+  created_at: string;
+}
+
+export interface AuditLogListResult {
+  data: AuditLogEntry[];
+  pagination: PaginationInfo;
+}
+
+/**
+ * Controller cho trang nhật ký xác thực trong trang quản trị
+ * Đóng vai trò trung gian giữa UI và AuditLogDomainService
+ */
+export const useAuditLogController = () => {
+  const auditLogDomainService = useAuditLogDomainService();
+  const { toast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  /**
+   * Xử lý kết quả trả về từ domain service
+   */
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>): T | null => {
+    if (!result.success) {
+      setError(result.error?.message || 'An error occurred');
+
+      toast({
+        title: "Error",
+        description: result.error?.message || "An error occurred",
+        variant: "destructive",
+      });
+
+      return null;
+    }
+
+    return result.data as T;
+  }, [toast]);
+
+  /**
+   * Bọc một thao tác với domain service: quản lý loading, lỗi và thông báo
+   */
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    fallbackError: string
+  ): Promise<T | null> => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const operationResult = await operation();
+      return handleDomainResult(operationResult);
+    } catch (err) {
+      setError(err.message || fallbackError);
+      toast({
+        title: "Error",
+        description: err.message || fallbackError,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Lấy nhật ký với phân trang và bộ lọc
+  const getLogs = useCallback((params: QueryParams = {}) => (
+    runOperation(() => auditLogDomainService.getLogs(params), 'Failed to fetch the audit log')
+  ), [auditLogDomainService, runOperation]);
+
+  // Lấy danh sách hành động đã ghi nhận, dùng cho bộ lọc
+  const getActions = useCallback(() => (
+    runOperation(() => auditLogDomainService.getActions(), 'Failed to fetch audit log actions')
+  ), [auditLogDomainService, runOperation]);
+
+  // Xuất nhật ký theo bộ lọc hiện tại ra file CSV/JSON và tải về
+  const exportLogs = useCallback(async (format: AuditLogExportFormat, params: QueryParams = {}) => {
+    const content = await runOperation(() => auditLogDomainService.exportLogs(format, params), 'Failed to export the audit log');
+    if (content === null) {
+      return false;
+    }
+
+    const type = format === 'json' ? 'application/json;charset=utf-8' : 'text/csv;charset=utf-8';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }, [auditLogDomainService, runOperation]);
+
+  // Lấy lịch sử thay đổi của một bản ghi
+  // Người dùng không có quyền xem nhật ký nhận null mà không hiện thông báo lỗi
+  const getRecordHistory = useCallback(async (resource: string, id: number) => {
+    const result = await auditLogDomainService.getRecordHistory(resource, id);
+    if (!result.success && result.error?.code === 'PERMISSION_DENIED') {
+      return null;
+    }
+    return handleDomainResult(result);
+  }, [auditLogDomainService, handleDomainResult]);
+
+  return {
+    isLoading,
+    error,
+    getLogs,
+    getActions,
+    exportLogs,
+    getRecordHistory
+  };
+};
+
+export default useAuditLogController;
@@ -0,0 +1,155 @@
+import { useState, useCallback } from 'react';
+import { useToast } from '../../hooks/use-toast';
+import { useContactMessageDomainService } from '../hooks/useContactMessageDomainService';
+import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
+import { PaginationInfo } from './NewsController';
+
+/**
+ * Bộ lọc trạng thái đã đọc của hộp thư liên hệ
+ */
+export type ContactReadStatus = 'read' | 'unread';
+
+export interface ContactMessage {
+  id: number;
+  name: string;
+  email: string;
+  phone?: string | null;
+  company?: string | null;
+  subject: string;
+  message: string;
+  service_interest?: string | null;
+  read_status: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ContactMessageStats {
+  total: number;
+  unread: number;
+}
+
+export interface ContactMessageListResult {
+  data: ContactMessage[];
+  pagination: PaginationInfo;
+}
+
+/**
+ * Controller cho hộp thư liên hệ trong trang quản trị
+ * Đóng vai trò trung gian giữa UI và ContactMessageDomainService
+ */
+export const useContactMessageController = () => {
+  const contactMessageDomainService = useContactMessageDomainService();
+  const { toast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  /**
+   * Xử lý kết quả trả về từ domain service
+   */
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
+    if (!result.success) {
+      setError(result.error?.message || 'An error occurred');
+
+      toast({
+        title: "Error",
+        description: result.error?.message || "An error occurred",
+        variant: "destructive",
+      });
+
+      return null;
+    }
+
+    if (successMessage) {
+      toast({
+        title: "Success",
+        description: successMessage,
+      });
+    }
+
+    return result.data as T;
+  }, [toast]);
+
+  /**
+   * Bọc một thao tác với domain service: quản lý loading, lỗi và thông báo
+   */
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    fallbackError: string,
+    successMessage?: string
+  ): Promise<T | null> => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const operationResult = await operation();
+      return handleDomainResult(operationResult, successMessage);
+    } catch (err) {
+      setError(err.message || fallbackError);
+      toast({
+        title: "Error",
+        description: err.message || fallbackError,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Lấy danh sách tin nhắn với phân trang và bộ lọc
+  const getMessages = useCallback((params: QueryParams = {}) => (
+    runOperation(() => contactMessageDomainService.getMessages(params), 'Failed to fetch messages')
+  ), [contactMessageDomainService, runOperation]);
+
+  // Lấy chi tiết một tin nhắn
+  const getMessageById = useCallback((id: number) => (
+    runOperation(() => contactMessageDomainService.getMessageById(id), 'Failed to fetch message')
+  ), [contactMessageDomainService, runOperation]);
+
+  // Lấy tổng số tin nhắn và số tin chưa đọc
+  const getStats = useCallback(() => (
+    runOperation(() => contactMessageDomainService.getStats(), 'Failed to fetch message stats')
+  ), [contactMessageDomainService, runOperation]);
+
+  // Đánh dấu đã đọc / chưa đọc
+  const setReadStatus = useCallback((id: number, read: boolean) => (
+    runOperation(() => contactMessageDomainService.setReadStatus(id, read), 'Failed to update message')
+  ), [contactMessageDomainService, runOperation]);
+
+  // Xóa tin nhắn
+  const deleteMessage = useCallback(async (id: number) => {
+    if (!window.confirm('Are you sure you want to delete this message?')) {
+      return false;
+    }
+    return runOperation(() => contactMessageDomainService.deleteMessage(id), 'Failed to delete message', 'Message deleted successfully');
+  }, [contactMessageDomainService, runOperation]);
+
+  // Xuất danh sách tin nhắn theo bộ lọc hiện tại ra file CSV và tải về
+  const exportMessages = useCallback(async (params: QueryParams = {}) => {
+    const csv = await runOperation(() => contactMessageDomainService.exportMessages(params), 'Failed to export messages');
+    if (csv === null) {
+      return false;
+    }
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `contact-messages-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }, [contactMessageDomainService, runOperation]);
+
+  return {
+    isLoading,
+    error,
+    getMessages,
+    getMessageById,
+    getStats,
+    setReadStatus,
+    deleteMessage,
+    exportMessages
+  };
+};
+
+export default useContactMessageController;
@@ -0,0 +1,223 @@
+import { useState, useCallback } from 'react';
+import { useToast } from '../../hooks/use-toast';
+import { useNewsDomainService } from '../hooks/useNewsDomainService';
+import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
+
+export interface PaginationInfo {
+  currentPage: number;
+  totalPages: number;
+  totalItems: number;
+  pageSize: number;
+}
+
+/**
+ * Trạng thái bài viết, khớp với ràng buộc CK_news_status
+ */
+export type NewsStatus = 'published' | 'draft' | 'archived';
+
+export const NEWS_STATUSES: NewsStatus[] = ['published', 'draft', 'archived'];
+
+export interface NewsTag {
+  id: number;
+  name: string;
+  slug: string;
+}
+
+export interface NewsCategory {
+  id: number;
+  name: string;
+  slug: string;
+  parent_id?: number | null;
+  news_count?: number; // Số bài viết; trang công khai chỉ đếm bài đã xuất bản
+}
+
+export interface News {
+  id: number;
+  title: string;
+  slug: string;
+  content?: string;
+  excerpt?: string | null;
+  image?: string | null;
+  publish_date: string;
+  author_id: number;
+  author_name?: string;
+  category_id: number;
+  category_name?: string;
+  category_slug?: string;
+  location?: string | null;
+  organizer?: string | null;
+  views: number;
+  featured: boolean;
+  status: NewsStatus;
+  tags?: NewsTag[];
+  created_at: string;
+  updated_at: string;
+  row_version?: number; // Tăng mỗi lần lưu, gửi lại trong If-Match khi cập nhật
+}
+
+/**
+ * Dữ liệu gửi lên khi tạo hoặc cập nhật bài viết
+ */
+export interface NewsFormData {
+  title: string;
+  slug?: string;
+  content: string;
+  excerpt?: string;
+  image?: string;
+  publish_date?: string;
+  category_id: number;
+  location?: string;
+  organizer?: string;
+  featured?: boolean;
+  status?: NewsStatus;
+  tag_ids?: number[];
+}
+
+export interface NewsListResult {
+  data: News[];
+  pagination: PaginationInfo;
+}
+
+/**
+ * Controller cho chức năng quản lý tin tức
+ * Đóng vai trò trung gian giữa UI và NewsDomainService
+ */
+export const useNewsController = () => {
+  const newsDomainService = useNewsDomainService();
+  const { toast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [validationErrors, setValidationErrors] = useState<Record<string, string[]> | null>(null);
+  // Phiên bản hiện tại khi lưu thất bại vì người khác đã lưu trước
+  const [conflict, setConflict] = useState<News | null>(null);
+
+  /**
+   * Xử lý kết quả trả về từ domain service
+   */
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
+    if (!result.success) {
+      setValidationErrors(result.validationErrors || null);
+      setError(result.error?.message || 'An error occurred');
+
+      // Xung đột phiên bản: form hiển thị hộp thoại so sánh thay vì thông báo lỗi
+      if (result.conflict) {
+        setConflict(result.conflict as unknown as News);
+        return null;
+      }
+
+      toast({
+        title: "Error",
+        description: result.error?.message || "An error occurred",
+        variant: "destructive",
+      });
+
+      return null;
+    }
+
+    if (successMessage) {
+      toast({
+        title: "Success",
+        description: successMessage,
+      });
+    }
+
+    return result.data as T;
+  }, [toast]);
+
+  /**
+   * Bọc một thao tác với domain service: quản lý loading, lỗi và thông báo
+   */
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    fallbackError: string,
+    successMessage?: string
+  ): Promise<T | null> => {
+    setIsLoading(true);
+    setError(null);
+    setValidationErrors(null);
+    setConflict(null);
+    try {
+      const operationResult = await operation();
+      return handleDomainResult(operationResult, successMessage);
+    } catch (err) {
+      setError(err.message || fallbackError);
+      toast({
+        title: "Error",
+        description: err.message || fallbackError,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Lấy danh sách tin tức với phân trang và bộ lọc
+  const getNews = useCallback((params: QueryParams = {}) => (
+    runOperation(() => newsDomainService.getNews(params), 'Failed to fetch news')
+  ), [newsDomainService, runOperation]);
+
+  // Lấy chi tiết một bài viết
+  const getNewsById = useCallback((id: number) => (
+    runOperation(() => newsDomainService.getNewsById(id), 'Failed to fetch news details')
+  ), [newsDomainService, runOperation]);
+
+  // Tạo bài viết mới
+  const createNews = useCallback((newsData: NewsFormData) => (
+    runOperation(() => newsDomainService.createNews(newsData), 'Failed to create news', 'News created successfully')
+  ), [newsDomainService, runOperation]);
+
+  // Cập nhật bài viết
+  const updateNews = useCallback((id: number, newsData: Partial<NewsFormData>, version?: number) => (
+    runOperation(() => newsDomainService.updateNews(id, newsData, version), 'Failed to update news', 'News updated successfully')
+  ), [newsDomainService, runOperation]);
+
+  // Đóng hộp thoại xung đột phiên bản
+  const clearConflict = useCallback(() => setConflict(null), []);
+
+  // Xóa bài viết
+  const deleteNews = useCallback(async (id: number) => {
+    if (!window.confirm('Are you sure you want to delete this article?')) {
+      return false;
+    }
+    return runOperation(() => newsDomainService.deleteNews(id), 'Failed to delete news', 'News deleted successfully');
+  }, [newsDomainService, runOperation]);
+
+  // Chuyển trạng thái bài viết (published/draft/archived)
+  const changeNewsStatus = useCallback((id: number, status: NewsStatus) => (
+    runOperation(
+      () => newsDomainService.changeStatus(id, status),
+      'Failed to change news status',
+      `News ${status === 'draft' ? 'moved to draft' : status} successfully`
+    )
+  ), [newsDomainService, runOperation]);
+
+  // Lấy danh sách danh mục
+  const getCategories = useCallback(() => (
+    runOperation(() => newsDomainService.getCategories(), 'Failed to fetch categories')
+  ), [newsDomainService, runOperation]);
+
+  // Lấy danh sách tag
+  const getTags = useCallback(() => (
+    runOperation(() => newsDomainService.getTags(), 'Failed to fetch tags')
+  ), [newsDomainService, runOperation]);
+
+  return {
+    isLoading,
+    error,
+    validationErrors,
+    conflict,
+    clearConflict,
+    getNews,
+    getNewsById,
+    createNews,
+    updateNews,
+    deleteNews,
+    changeNewsStatus,
+    getCategories,
+    getTags
+  };
+};
+
+export default useNewsController;
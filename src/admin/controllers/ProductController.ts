@@ -0,0 +1,195 @@
+import { useState, useCallback } from 'react';
+import { useToast } from '../../hooks/use-toast';
+import { useProductDomainService } from '../hooks/useProductDomainService';
+import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
+import { PaginationInfo } from './NewsController';
+
+/**
+ * Trạng thái sản phẩm, khớp với ràng buộc CK_products_status
+ */
+export type ProductStatus = 'active' | 'inactive';
+
+export const PRODUCT_STATUSES: ProductStatus[] = ['active', 'inactive'];
+
+export interface ProductImage {
+  id?: number;
+  image_path: string;
+  alt_text?: string | null;
+  order?: number;
+}
+
+export interface ProductCategory {
+  id: number;
+  name: string;
+  slug: string;
+  description?: string | null;
+  parent_id?: number | null;
+  image?: string | null;
+  product_count: number;
+}
+
+export interface Product {
+  id: number;
+  name: string;
+  slug: string;
+  description?: string | null;
+  specifications: Record<string, string>;
+  features: string[];
+  category_id: number;
+  category_name?: string;
+  category_slug?: string;
+  image?: string | null;
+  status: ProductStatus;
+  images?: ProductImage[];
+  created_at: string;
+  updated_at: string;
+  row_version?: number; // Tăng mỗi lần lưu, gửi lại trong If-Match khi cập nhật
+}
+
+/**
+ * Dữ liệu gửi lên khi tạo hoặc cập nhật sản phẩm
+ */
+export interface ProductFormData {
+  name: string;
+  slug?: string;
+  description?: string;
+  specifications?: Record<string, string>;
+  features?: string[];
+  category_id: number;
+  image?: string;
+  status?: ProductStatus;
+  images?: ProductImage[];
+}
+
+export interface ProductListResult {
+  data: Product[];
+  pagination: PaginationInfo;
+}
+
+/**
+ * Controller cho chức năng quản lý sản phẩm
+ * Đóng vai trò trung gian giữa UI và ProductDomainService
+ */
+export const useProductController = () => {
+  const productDomainService = useProductDomainService();
+  const { toast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [validationErrors, setValidationErrors] = useState<Record<string, string[]> | null>(null);
+  // Phiên bản hiện tại khi lưu thất bại vì người khác đã lưu trước
+  const [conflict, setConflict] = useState<Product | null>(null);
+
+  /**
+   * Xử lý kết quả trả về từ domain service
+   */
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
+    if (!result.success) {
+      setValidationErrors(result.validationErrors || null);
+      setError(result.error?.message || 'An error occurred');
+
+      // Xung đột phiên bản: form hiển thị hộp thoại so sánh thay vì thông báo lỗi
+      if (result.conflict) {
+        setConflict(result.conflict as unknown as Product);
+        return null;
+      }
+
+      toast({
+        title: "Error",
+        description: result.error?.message || "An error occurred",
+        variant: "destructive",
+      });
+
+      return null;
+    }
+
+    if (successMessage) {
+      toast({
+        title: "Success",
+        description: successMessage,
+      });
+    }
+
+    return result.data as T;
+  }, [toast]);
+
+  /**
+   * Bọc một thao tác với domain service: quản lý loading, lỗi và thông báo
+   */
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    fallbackError: string,
+    successMessage?: string
+  ): Promise<T | null> => {
+    setIsLoading(true);
+    setError(null);
+    setValidationErrors(null);
+    setConflict(null);
+    try {
+      const operationResult = await operation();
+      return handleDomainResult(operationResult, successMessage);
+    } catch (err) {
+      setError(err.message || fallbackError);
+      toast({
+        title: "Error",
+        description: err.message || fallbackError,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Lấy danh sách sản phẩm với phân trang và bộ lọc
+  const getProducts = useCallback((params: QueryParams = {}) => (
+    runOperation(() => productDomainService.getProducts(params), 'Failed to fetch products')
+  ), [productDomainService, runOperation]);
+
+  // Lấy chi tiết một sản phẩm
+  const getProductById = useCallback((id: number) => (
+    runOperation(() => productDomainService.getProductById(id), 'Failed to fetch product details')
+  ), [productDomainService, runOperation]);
+
+  // Tạo sản phẩm mới
+  const createProduct = useCallback((productData: ProductFormData) => (
+    runOperation(() => productDomainService.createProduct(productData), 'Failed to create product', 'Product created successfully')
+  ), [productDomainService, runOperation]);
+
+  // Cập nhật sản phẩm
+  const updateProduct = useCallback((id: number, productData: Partial<ProductFormData>, version?: number) => (
+    runOperation(() => productDomainService.updateProduct(id, productData, version), 'Failed to update product', 'Product updated successfully')
+  ), [productDomainService, runOperation]);
+
+  // Đóng hộp thoại xung đột phiên bản
+  const clearConflict = useCallback(() => setConflict(null), []);
+
+  // Xóa sản phẩm
+  const deleteProduct = useCallback(async (id: number) => {
+    if (!window.confirm('Are you sure you want to delete this product?')) {
+      return false;
+    }
+    return runOperation(() => productDomainService.deleteProduct(id), 'Failed to delete product', 'Product deleted successfully');
+  }, [productDomainService, runOperation]);
+
+  // Lấy danh sách danh mục kèm số lượng sản phẩm
+  const getCategories = useCallback(() => (
+    runOperation(() => productDomainService.getCategories(), 'Failed to fetch categories')
+  ), [productDomainService, runOperation]);
+
+  return {
+    isLoading,
+    error,
+    validationErrors,
+    conflict,
+    clearConflict,
+    getProducts,
+    getProductById,
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    getCategories
+  };
+};
+
+export default useProductController;
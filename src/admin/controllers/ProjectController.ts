@@ -9,22 +9,45 @@ export interface PaginationInfo {
   pageSize: number;
 }
 
-export interface Project {
-  project_id: number;
-  name: string;
-  description: string;
-  status: string;
-  start_date: string;
-  end_date: string;
-  created_at: string;
-  updated_at: string;
+export type ProjectType = 'commercial' | 'industrial' | 'residential';
+export type ProjectStatus = 'completed' | 'ongoing' | 'upcoming';
+export type ProjectMemberRole = 'manager' | 'member';
+
+export interface ProjectImage {
+  id?: number;
+  image_path: string;
+  alt_text?: string | null;
+  order?: number;
 }
 
 export interface ProjectMember {
   user_id: number;
   username: string;
   full_name: string;
-  role: string;
+  email?: string;
+  // Vai trò của người dùng trong dự án (không phải role hệ thống)
+  role: ProjectMemberRole;
+  joined_at?: string;
+}
+
+export interface Project {
+  id: number;
+  title: string;
+  slug: string;
+  description?: string | null;
+  content?: string | null;
+  client?: string | null;
+  location?: string | null;
+  year?: number | null;
+  featured_image?: string | null;
+  project_type: ProjectType;
+  status: ProjectStatus;
+  member_count?: number;
+  images?: ProjectImage[];
+  members?: ProjectMember[];
+  created_at: string;
+  updated_at: string;
+  row_version?: number; // Tăng mỗi lần lưu, gửi lại trong If-Match khi cập nhật
 }
 
 /**
@@ -101,12 +124,12 @@ export const useProjectController = () => {
     }
   };
   
-  // Cập nhật thông tin project
-  const updateProject = async (id: number, projectData: any) => {
+  // Cập nhật thông tin project; version là row_version lúc tải để phát hiện người khác đã lưu trước
+  const updateProject = async (id: number, projectData: Partial<Project>, version?: number) => {
     setIsLoading(true);
     setError(null);
     try {
-      const result = await apiBroker.updateProject(id, projectData);
+      const result = await apiBroker.updateProject(id, projectData, version);
       toast({
         title: "Success",
         description: "Project updated successfully",
@@ -153,12 +176,32 @@ export const useProjectController = () => {
     }
   };
   
+  // Lấy danh sách thành viên của project
+  const getProjectMembers = async (projectId: number) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await apiBroker.getProjectMembers(projectId);
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to fetch team members');
+      toast({
+        title: "Error",
+        description: err.message || "Failed to fetch team members",
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
   // Thêm thành viên vào project
-  const addProjectMember = async (projectId: number, memberId: number) => {
+  const addProjectMember = async (projectId: number, memberId: number, role?: ProjectMemberRole) => {
     setIsLoading(true);
     setError(null);
     try {
-      const result = await apiBroker.addProjectMember(projectId, memberId);
+      const result = await apiBroker.addProjectMember(projectId, memberId, role);
       toast({
         title: "Success",
         description: "Team member added successfully",
@@ -177,6 +220,30 @@ export const useProjectController = () => {
     }
   };
   
+  // Xóa thành viên khỏi project
+  const removeProjectMember = async (projectId: number, memberId: number) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await apiBroker.removeProjectMember(projectId, memberId);
+      toast({
+        title: "Success",
+        description: "Team member removed successfully",
+      });
+      return result;
+    } catch (err) {
+      setError(err.message || 'Failed to remove team member');
+      toast({
+        title: "Error",
+        description: err.message || "Failed to remove team member",
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
   // Ví dụ về xử lý transaction với nhiều API calls
   const createProjectWithTeam = async (projectData: any, teamMembers: number[]) => {
     setIsLoading(true);
@@ -187,7 +254,7 @@ export const useProjectController = () => {
       
       // Thêm thành viên vào project
       for (const memberId of teamMembers) {
-        await apiBroker.addProjectMember(project.data.project_id, memberId);
+        await apiBroker.addProjectMember(project.data.id, memberId);
       }
       
       toast({
@@ -215,7 +282,9 @@ export const useProjectController = () => {
     createProject,
     updateProject,
     deleteProject,
+    getProjectMembers,
     addProjectMember,
+    removeProjectMember,
     createProjectWithTeam,
     isLoading,
     error
@@ -4,16 +4,19 @@ import { useRoleDomainService } from '../hooks/useRoleDomainService';
 import { DomainOperationResult } from '../services/domain/base-domain-service';
 
 export interface Role {
-  role_id: number;
+  id: number;
   name: string;
   description: string;
+  level: number;
+  is_system: boolean;
+  user_count?: number;
   permissions: string[];
   created_at: string;
   updated_at: string;
 }
 
 export interface Permission {
-  permission_id: number;
+  id: number;
   name: string;
   description: string;
   module: string;
@@ -177,11 +180,16 @@ export const useRoleController = () => {
     setError(null);
     setValidationErrors(null);
     try {
-      // Giả sử có endpoint riêng cho permissions
-      const result = await apiBroker.get('/permissions', {});
-      return result;
+      // Gọi domain service để lấy danh sách permissions
+      const operationResult = await roleDomainService.getAllPermissions();
+      return handleDomainResult(operationResult);
     } catch (err: any) {
-      handleApiError(err, 'Failed to fetch permissions');
+      setError(err.message || 'Failed to fetch permissions');
+      toast({
+        title: "Error",
+        description: err.message || 'Failed to fetch permissions',
+        variant: "destructive",
+      });
       throw err;
     } finally {
       setIsLoading(false);
@@ -194,15 +202,16 @@ export const useRoleController = () => {
     setError(null);
     setValidationErrors(null);
     try {
-      // Giả sử endpoint này tồn tại trong API
-      const result = await apiBroker.post(`/roles/${roleId}/permissions`, { permission_ids: permissionIds });
+      // Gọi domain service để gán permissions cho role
+      const operationResult = await roleDomainService.assignPermissions(roleId, permissionIds);
+      return handleDomainResult(operationResult, "Permissions assigned successfully");
+    } catch (err) {
+      setError(err.message || 'Failed to assign permissions');
       toast({
-        title: "Success",
-        description: "Permissions assigned successfully",
+        title: "Error",
+        description: err.message || 'Failed to assign permissions',
+        variant: "destructive",
       });
-      return result;
-    } catch (err: any) {
-      handleApiError(err, 'Failed to assign permissions');
       throw err;
     } finally {
       setIsLoading(false);
@@ -215,11 +224,16 @@ export const useRoleController = () => {
     setError(null);
     setValidationErrors(null);
     try {
-      // Giả sử endpoint này tồn tại trong API
-      const result = await apiBroker.get(`/roles/${roleId}/users`, {});
-      return result;
+      // Gọi domain service để lấy danh sách users thuộc role
+      const operationResult = await roleDomainService.getUsersByRoleId(roleId);
+      return handleDomainResult(operationResult);
     } catch (err: any) {
-      handleApiError(err, 'Failed to fetch users with this role');
+      setError(err.message || 'Failed to fetch users with this role');
+      toast({
+        title: "Error",
+        description: err.message || 'Failed to fetch users with this role',
+        variant: "destructive",
+      });
       throw err;
     } finally {
       setIsLoading(false);
@@ -0,0 +1,124 @@
+import { useState, useCallback } from 'react';
+import { useToast } from '../../hooks/use-toast';
+import { useTrashDomainService } from '../hooks/useTrashDomainService';
+import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
+import { PaginationInfo } from './NewsController';
+
+/**
+ * Resource trên API admin có thùng rác
+ */
+export type TrashResource = 'users' | 'news' | 'products' | 'projects';
+
+/**
+ * Một bản ghi trong thùng rác; các cột còn lại tùy resource (username, title, name...)
+ */
+export interface TrashEntry {
+  id: number;
+  deleted_at: string;
+  deleted_by: number | null;
+  deleted_by_username: string | null;
+  // Thời điểm bị xóa vĩnh viễn tự động; null khi job xóa tự động bị tắt
+  purge_at: string | null;
+  [column: string]: string | number | boolean | null;
+}
+
+export interface TrashListResult {
+  data: TrashEntry[];
+  pagination: PaginationInfo;
+}
+
+/**
+ * Controller cho trang thùng rác trong trang quản trị
+ * Đóng vai trò trung gian giữa UI và TrashDomainService
+ */
+export const useTrashController = () => {
+  const trashDomainService = useTrashDomainService();
+  const { toast } = useToast();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  /**
+   * Xử lý kết quả trả về từ domain service
+   */
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
+    if (!result.success) {
+      setError(result.error?.message || 'An error occurred');
+
+      toast({
+        title: "Error",
+        description: result.error?.message || "An error occurred",
+        variant: "destructive",
+      });
+
+      return null;
+    }
+
+    if (successMessage) {
+      toast({
+        title: "Success",
+        description: successMessage,
+      });
+    }
+
+    return result.data as T;
+  }, [toast]);
+
+  /**
+   * Bọc một thao tác với domain service: quản lý loading, lỗi và thông báo
+   */
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    fallbackError: string,
+    successMessage?: string
+  ): Promise<T | null> => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const operationResult = await operation();
+      return handleDomainResult(operationResult, successMessage);
+    } catch (err) {
+      setError(err.message || fallbackError);
+      toast({
+        title: "Error",
+        description: err.message || fallbackError,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Các resource mà người dùng hiện tại được quản lý thùng rác
+  const getResources = useCallback(() => trashDomainService.getResources(), [trashDomainService]);
+
+  // Lấy các bản ghi đã xóa của một resource với phân trang
+  const getTrash = useCallback((resource: TrashResource, params: QueryParams = {}) => (
+    runOperation(() => trashDomainService.getTrash(resource, params), 'Failed to fetch the trash')
+  ), [trashDomainService, runOperation]);
+
+  // Khôi phục bản ghi từ thùng rác
+  const restore = useCallback((resource: TrashResource, id: number) => (
+    runOperation(() => trashDomainService.restore(resource, id), 'Failed to restore the record', 'Record restored successfully')
+  ), [trashDomainService, runOperation]);
+
+  // Xóa vĩnh viễn bản ghi, không thể hoàn tác
+  const purge = useCallback(async (resource: TrashResource, id: number) => {
+    if (!window.confirm('Permanently delete this record? This cannot be undone.')) {
+      return false;
+    }
+    return runOperation(() => trashDomainService.purge(resource, id), 'Failed to permanently delete the record', 'Record permanently deleted');
+  }, [trashDomainService, runOperation]);
+
+  return {
+    isLoading,
+    error,
+    getResources,
+    getTrash,
+    restore,
+    purge
+  };
+};
+
+export default useTrashController;
@@ -1,7 +1,8 @@
-import { useState } from 'react';
+import { useCallback, useState } from 'react';
 import { useToast } from '../../hooks/use-toast';
 import { useUserDomainService } from '../hooks/useUserDomainService';
 import { DomainOperationResult } from '../services/domain/base-domain-service';
+import { QueryParams } from '../services/api-broker';
 
 export interface PaginationInfo {
   currentPage: number;
@@ -20,10 +21,83 @@ export interface User {
   created_at: string;
   last_login?: string;
   avatar_url?: string;
+  locked_until?: string | null; // Bị khóa tạm thời do đăng nhập sai nhiều lần
+  email_verified?: boolean; // false với người dùng tự đăng ký chưa xác thực email
+  row_version?: number; // Tăng mỗi lần lưu, gửi lại trong If-Match khi cập nhật
+}
+
+export interface UserLockStatus {
+  locked: boolean;
+  lockedUntil: string | null;
+  failedAttempts: number;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string; // Data URL của ảnh QR
+}
+
+export interface UserSession {
+  id: string; // Session id, không phải refresh token
+  browser: string;
+  os: string;
+  device: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+}
+
+export interface AuthActivity {
+  id: number;
+  action: string;
+  success: boolean;
+  details: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+}
+
+// Thao tác hàng loạt trên danh sách người dùng (POST /users/bulk)
+export type BulkUserAction = 'activate' | 'deactivate' | 'setRole' | 'delete' | 'logout';
+
+export interface BulkUserActionResult {
+  action: BulkUserAction;
+  results: { id: number; success: boolean; error?: string }[]; // Kết quả từng người dùng
+  succeeded: number;
+  failed: number;
+}
+
+export type UserExportFormat = 'csv' | 'xlsx';
+
+// Kết quả nhập người dùng từ file CSV/XLSX (xem trước hoặc đã nhập)
+export interface UserImportRow {
+  row: number; // Số dòng trong file, dòng tiêu đề là dòng 1
+  username: string;
+  email: string;
+  role: string | null;
+  errors: string[];
+  id?: number; // Có khi người dùng đã được tạo
+}
+
+export interface UserImportResult {
+  dryRun: boolean;
+  total: number;
+  valid: number;
+  invalid: number;
+  created: number;
+  rows: UserImportRow[];
 }
 
 export interface UserRole {
-  role_id: number;
+  id: number;
   name: string;
   description: string;
 }
@@ -38,15 +112,23 @@ export const useUserController = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [validationErrors, setValidationErrors] = useState<Record<string, string[]> | null>(null);
+  // Phiên bản hiện tại khi lưu thất bại vì người khác đã lưu trước
+  const [conflict, setConflict] = useState<User | null>(null);
   
   /**
    * Xử lý kết quả trả về từ domain service
    */
-  const handleDomainResult = <T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
+  const handleDomainResult = useCallback(<T,>(result: DomainOperationResult<T>, successMessage?: string): T | null => {
     if (!result.success) {
       // Xử lý lỗi từ domain service
       setValidationErrors(result.validationErrors || null);
       setError(result.error?.message || 'An error occurred');
+
+      // Xung đột phiên bản: form hiển thị hộp thoại so sánh thay vì thông báo lỗi
+      if (result.conflict) {
+        setConflict(result.conflict as unknown as User);
+        return null;
+      }
       
       toast({
         title: "Error",
@@ -66,7 +148,7 @@ export const useUserController = () => {
     }
     
     return result.data as T;
-  };
+  }, [toast]);
     // Lấy danh sách users với phân trang và tìm kiếm
   const getUsers = async (params: Record<string, any> = {}) => {
     setIsLoading(true);
@@ -132,14 +214,15 @@ export const useUserController = () => {
       setIsLoading(false);
     }
   };
-    // Cập nhật thông tin user
-  const updateUser = async (id: number, userData: any) => {
+    // Cập nhật thông tin user; version là row_version lúc tải để phát hiện người khác đã lưu trước
+  const updateUser = async (id: number, userData: Partial<User>, version?: number) => {
     setIsLoading(true);
     setError(null);
     setValidationErrors(null);
+    setConflict(null);
     try {
       // Gọi domain service để cập nhật thông tin user
-      const operationResult = await userDomainService.updateUser(id, userData);
+      const operationResult = await userDomainService.updateUser(id, userData, version);
       return handleDomainResult(operationResult, "User updated successfully");
     } catch (err: any) {
       setError(err.message || 'Failed to update user');
@@ -179,14 +262,14 @@ export const useUserController = () => {
       setIsLoading(false);
     }
   };
-    // Bật/tắt trạng thái active của user
-  const toggleUserStatus = async (userId: number, currentStatus: boolean) => {
+    // Bật/tắt trạng thái active của user; version là row_version đang hiển thị
+  const toggleUserStatus = async (userId: number, currentStatus: boolean, version?: number) => {
     setIsLoading(true);
     setError(null);
     setValidationErrors(null);
     try {
       // Gọi domain service để thay đổi trạng thái user
-      const operationResult = await userDomainService.toggleUserStatus(userId, !currentStatus);
+      const operationResult = await userDomainService.toggleUserStatus(userId, !currentStatus, version);
       return handleDomainResult(
         operationResult, 
         `User ${currentStatus ? 'deactivated' : 'activated'} successfully`
@@ -204,6 +287,133 @@ export const useUserController = () => {
     }
   };
   
+  // Mở khóa tài khoản bị khóa do đăng nhập sai nhiều lần
+  const unlockUser = async (userId: number) => {
+    setIsLoading(true);
+    setError(null);
+    setValidationErrors(null);
+    try {
+      const operationResult = await userDomainService.unlockUser(userId);
+      return handleDomainResult(operationResult, 'User unlocked successfully');
+    } catch (err) {
+      setError(err.message || 'Failed to unlock user');
+      toast({
+        title: "Error",
+        description: err.message || 'Failed to unlock user',
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Chạy một thao tác qua domain service với cùng cách xử lý loading, lỗi và thông báo
+  const runOperation = useCallback(async <T,>(
+    operation: () => Promise<DomainOperationResult<T>>,
+    failureMessage: string,
+    successMessage?: string
+  ) => {
+    setIsLoading(true);
+    setError(null);
+    setValidationErrors(null);
+    try {
+      return handleDomainResult(await operation(), successMessage);
+    } catch (err) {
+      setError(err.message || failureMessage);
+      toast({
+        title: "Error",
+        description: err.message || failureMessage,
+        variant: "destructive",
+      });
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [handleDomainResult, toast]);
+
+  // Phiên đăng nhập và lịch sử đăng nhập của một người dùng
+  const getUserSessions = useCallback((userId: number) =>
+    runOperation(() => userDomainService.getUserSessions(userId), 'Failed to load sessions'),
+  [runOperation, userDomainService]);
+
+  const revokeUserSession = useCallback((userId: number, sessionId: string) =>
+    runOperation(
+      () => userDomainService.revokeUserSession(userId, sessionId),
+      'Failed to revoke session',
+      'Session revoked'
+    ),
+  [runOperation, userDomainService]);
+
+  // Kết quả từng người dùng được trả về để trang danh sách hiển thị, chỉ báo lỗi khi cả request thất bại
+  const bulkUserAction = useCallback((action: BulkUserAction, userIds: number[], options?: { role?: string }) =>
+    runOperation(
+      () => userDomainService.bulkUserAction(action, userIds, options),
+      'Failed to apply the bulk action'
+    ),
+  [runOperation, userDomainService]);
+
+  // Xuất người dùng theo bộ lọc hiện tại ra file CSV/XLSX và tải về
+  const exportUsers = useCallback(async (format: UserExportFormat, params: QueryParams = {}) => {
+    const content = await runOperation(() => userDomainService.exportUsers(format, params), 'Failed to export users');
+    if (content === null) {
+      return false;
+    }
+
+    const url = URL.createObjectURL(content);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }, [runOperation, userDomainService]);
+
+  // Nhập người dùng từ file; dryRun chỉ kiểm tra và trả về bản xem trước
+  const importUsers = useCallback((file: File, dryRun: boolean) =>
+    runOperation(
+      () => userDomainService.importUsers(file, dryRun),
+      'Failed to import users',
+      dryRun ? undefined : 'Users imported successfully'
+    ),
+  [runOperation, userDomainService]);
+
+  const getUserAuthHistory = useCallback((userId: number, limit?: number) =>
+    runOperation(() => userDomainService.getUserAuthHistory(userId, limit), 'Failed to load sign-in history'),
+  [runOperation, userDomainService]);
+
+  const getTwoFactorStatus = useCallback(() =>
+    runOperation(() => userDomainService.getTwoFactorStatus(), 'Failed to load two-factor status'),
+  [runOperation, userDomainService]);
+
+  const setupTwoFactor = useCallback(() =>
+    runOperation(() => userDomainService.setupTwoFactor(), 'Failed to start two-factor setup'),
+  [runOperation, userDomainService]);
+
+  const enableTwoFactor = useCallback((code: string) =>
+    runOperation(
+      () => userDomainService.enableTwoFactor(code),
+      'Failed to enable two-factor authentication',
+      'Two-factor authentication enabled'
+    ),
+  [runOperation, userDomainService]);
+
+  const disableTwoFactor = useCallback((password: string, code: string) =>
+    runOperation(
+      () => userDomainService.disableTwoFactor(password, code),
+      'Failed to disable two-factor authentication',
+      'Two-factor authentication disabled'
+    ),
+  [runOperation, userDomainService]);
+
+  const regenerateRecoveryCodes = useCallback((code: string) =>
+    runOperation(
+      () => userDomainService.regenerateRecoveryCodes(code),
+      'Failed to generate recovery codes',
+      'New recovery codes generated'
+    ),
+  [runOperation, userDomainService]);
+  
   // Lấy danh sách role
   const getUserRoles = async () => {
     setIsLoading(true);
@@ -313,6 +523,9 @@ export const useUserController = () => {
     }
   };
 
+  // Đóng hộp thoại xung đột phiên bản
+  const clearConflict = useCallback(() => setConflict(null), []);
+
   return {
     getUsers,
     getUserById,
@@ -320,14 +533,28 @@ export const useUserController = () => {
     updateUser,
     deleteUser,
     toggleUserStatus,
+    unlockUser,
+    bulkUserAction,
+    exportUsers,
+    importUsers,
+    getUserSessions,
+    revokeUserSession,
+    getUserAuthHistory,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     getUserRoles,
     changePassword,
     requestPasswordReset,
     verifyResetToken,
     resetPassword,
+    clearConflict,
     isLoading,
     error,
-    validationErrors
+    validationErrors,
+    conflict
   };
 };
 
@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import apiUrlService from '../services/api-url.service';
+import { ApiError, ConflictError, ValidationError } from '../services/api-broker';
 
 // Generic type for API responses
 type ApiResponse<T> = {
@@ -15,6 +16,65 @@ type RequestOptions = {
   body?: any;
   headers?: Record<string, string>;
   skipAuth?: boolean;
+  // Chỉ dùng cho upload FormData: tiến trình gửi file (0-100)
+  onProgress?: (progress: number) => void;
+  // 'blob' để nhận file nhị phân (ví dụ XLSX) thay vì JSON/text
+  responseType?: 'blob';
+};
+
+/**
+ * Gửi FormData bằng XMLHttpRequest để theo dõi được tiến trình upload (fetch không hỗ trợ)
+ * Trả về Response để xử lý chung với các request fetch khác
+ */
+const sendFormData = (
+  url: string,
+  method: string,
+  headers: Record<string, string>,
+  body: FormData,
+  onProgress: (progress: number) => void
+): Promise<Response> => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+  Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable) {
+      onProgress(Math.round((event.loaded / event.total) * 100));
+    }
+  };
+  xhr.onload = () => resolve(new Response(xhr.responseText, {
+    status: xhr.status,
+    headers: { 'content-type': xhr.getResponseHeader('content-type') || '' }
+  }));
+  xhr.onerror = () => reject(new Error('Network error'));
+
+  xhr.send(body);
+});
+
+// Thân JSON của response lỗi từ backend
+interface ApiErrorBody {
+  message?: string;
+  errors?: Record<string, string[]>;
+  data?: unknown;
+}
+
+/**
+ * Tạo lỗi từ response không thành công, giữ lại HTTP status
+ * Response 400 có errors theo từng trường (ví dụ chính sách mật khẩu) trở thành ValidationError để form hiển thị
+ * Response 409/412 kèm bản ghi hiện tại (sửa đồng thời) trở thành ConflictError để form so sánh
+ */
+const toApiError = (status: number, data: ApiErrorBody | string): ApiError => {
+  const message = typeof data === 'object' && data.message ? data.message : 'Something went wrong';
+
+  if (status === 400 && typeof data === 'object' && data.errors && typeof data.errors === 'object') {
+    return new ValidationError(message, data.errors);
+  }
+
+  if ((status === 409 || status === 412) && typeof data === 'object' && data.data) {
+    return new ConflictError(message, status, data.data);
+  }
+
+  return new ApiError(message, status);
 };
 
 /**
@@ -43,8 +103,10 @@ const useApi = () => {
         // Lấy URL đầy đủ từ ApiUrlService
         const fullUrl = apiUrlService.getUrl(endpointKey, params, queryParams);
         
-        const headers = {
-          'Content-Type': 'application/json',
+        // FormData phải để trình duyệt tự đặt Content-Type (kèm boundary)
+        const isFormData = options.body instanceof FormData;
+        const headers: Record<string, string> = {
+          ...(!isFormData && { 'Content-Type': 'application/json' }),
           ...options.headers,
         };
 
@@ -52,11 +114,14 @@ const useApi = () => {
           headers['Authorization'] = `Bearer ${token}`;
         }
 
-        const response = await fetch(fullUrl, {
-          method: options.method || 'GET',
-          headers,
-          body: options.body ? JSON.stringify(options.body) : undefined,
-        });
+        const method = options.method || 'GET';
+        const response = isFormData && options.onProgress
+          ? await sendFormData(fullUrl, method, headers, options.body, options.onProgress)
+          : await fetch(fullUrl, {
+            method,
+            headers,
+            body: isFormData ? options.body : options.body ? JSON.stringify(options.body) : undefined,
+          });
 
         // If unauthorized, try to refresh token first
         if (response.status === 401) {
@@ -71,6 +136,11 @@ const useApi = () => {
           }
         }
 
+        // File tải về: chỉ đọc dạng blob khi thành công, lỗi vẫn trả về JSON
+        if (options.responseType === 'blob' && response.ok) {
+          return await response.blob() as T;
+        }
+
         // Handle non-JSON responses
         const contentType = response.headers.get('content-type');
         const data = contentType && contentType.includes('application/json') 
@@ -78,7 +148,7 @@ const useApi = () => {
           : await response.text();
 
         if (!response.ok) {
-          throw new Error(typeof data === 'object' && data.message ? data.message : 'Something went wrong');
+          throw toApiError(response.status, data);
         }
 
         return data;
@@ -171,7 +241,7 @@ const useApi = () => {
           : await response.text();
 
         if (!response.ok) {
-          throw new Error(typeof data === 'object' && data.message ? data.message : 'Something went wrong');
+          throw toApiError(response.status, data);
         }
 
         return data;
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { useApiBroker } from './useApiBroker';
+import { useAuth } from '../context/AuthContext';
+import {
+  AuditLogDomainService,
+  AuditLogDomainServiceImpl,
+  AUDIT_LOG_ROLE_PERMISSIONS
+} from '../services/domain/audit-log-domain-service';
+
+/**
+ * Hook để sử dụng AuditLogDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
+ * @returns AuditLogDomainService instance
+ */
+export const useAuditLogDomainService = (): AuditLogDomainService => {
+  const apiBroker = useApiBroker();
+  const { user } = useAuth();
+  const role = user?.role;
+
+  // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
+  const auditLogDomainService = useMemo(() => {
+    const service = new AuditLogDomainServiceImpl(apiBroker);
+    service.setPermissions(AUDIT_LOG_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
+  return auditLogDomainService;
+};
+
+export default useAuditLogDomainService;
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { useApiBroker } from './useApiBroker';
+import { useAuth } from '../context/AuthContext';
+import {
+  ContactMessageDomainService,
+  ContactMessageDomainServiceImpl,
+  CONTACT_MESSAGE_ROLE_PERMISSIONS
+} from '../services/domain/contact-message-domain-service';
+
+/**
+ * Hook để sử dụng ContactMessageDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
+ * @returns ContactMessageDomainService instance
+ */
+export const useContactMessageDomainService = (): ContactMessageDomainService => {
+  const apiBroker = useApiBroker();
+  const { user } = useAuth();
+  const role = user?.role;
+
+  // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
+  const contactMessageDomainService = useMemo(() => {
+    const service = new ContactMessageDomainServiceImpl(apiBroker);
+    service.setPermissions(CONTACT_MESSAGE_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
+  return contactMessageDomainService;
+};
+
+export default useContactMessageDomainService;
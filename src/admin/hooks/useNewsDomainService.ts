@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { useApiBroker } from './useApiBroker';
+import { useAuth } from '../context/AuthContext';
+import {
+  NewsDomainService,
+  NewsDomainServiceImpl,
+  NEWS_ROLE_PERMISSIONS
+} from '../services/domain/news-domain-service';
+
+/**
+ * Hook để sử dụng NewsDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
+ * @returns NewsDomainService instance
+ */
+export const useNewsDomainService = (): NewsDomainService => {
+  const apiBroker = useApiBroker();
+  const { user } = useAuth();
+  const role = user?.role;
+
+  // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
+  const newsDomainService = useMemo(() => {
+    const service = new NewsDomainServiceImpl(apiBroker);
+    service.setPermissions(NEWS_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
+  return newsDomainService;
+};
+
+export default useNewsDomainService;
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { useApiBroker } from './useApiBroker';
+import { useAuth } from '../context/AuthContext';
+import {
+  ProductDomainService,
+  ProductDomainServiceImpl,
+  PRODUCT_ROLE_PERMISSIONS
+} from '../services/domain/product-domain-service';
+
+/**
+ * Hook để sử dụng ProductDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
+ * @returns ProductDomainService instance
+ */
+export const useProductDomainService = (): ProductDomainService => {
+  const apiBroker = useApiBroker();
+  const { user } = useAuth();
+  const role = user?.role;
+
+  // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
+  const productDomainService = useMemo(() => {
+    const service = new ProductDomainServiceImpl(apiBroker);
+    service.setPermissions(PRODUCT_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
+  return productDomainService;
+};
+
+export default useProductDomainService;
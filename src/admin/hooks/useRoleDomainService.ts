@@ -1,20 +1,29 @@
-import { useState, useMemo } from 'react';
+import { useMemo } from 'react';
 import { useApiBroker } from './useApiBroker';
-import { RoleDomainService, RoleDomainServiceImpl } from '../services/domain/role-domain-service';
+import { useAuth } from '../context/AuthContext';
+import {
+  RoleDomainService,
+  RoleDomainServiceImpl,
+  ROLE_MANAGEMENT_ROLE_PERMISSIONS
+} from '../services/domain/role-domain-service';
 
 /**
  * Hook để sử dụng RoleDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
  * @returns RoleDomainService instance
  */
 export const useRoleDomainService = (): RoleDomainService => {
   const apiBroker = useApiBroker();
-  
+  const { user } = useAuth();
+  const role = user?.role;
+
   // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
-  const roleDomainService = useMemo(
-    () => new RoleDomainServiceImpl(apiBroker),
-    [apiBroker]
-  );
-  
+  const roleDomainService = useMemo(() => {
+    const service = new RoleDomainServiceImpl(apiBroker);
+    service.setPermissions(ROLE_MANAGEMENT_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
   return roleDomainService;
 };
 
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { useApiBroker } from './useApiBroker';
+import { useAuth } from '../context/AuthContext';
+import {
+  TrashDomainService,
+  TrashDomainServiceImpl,
+  TRASH_ROLE_PERMISSIONS
+} from '../services/domain/trash-domain-service';
+
+/**
+ * Hook để sử dụng TrashDomainService trong các components và controllers
+ * Quyền thao tác được gán theo role của người dùng đang đăng nhập
+ * @returns TrashDomainService instance
+ */
+export const useTrashDomainService = (): TrashDomainService => {
+  const apiBroker = useApiBroker();
+  const { user } = useAuth();
+  const role = user?.role;
+
+  // Sử dụng useMemo để tránh tạo lại instance mỗi lần component re-render
+  const trashDomainService = useMemo(() => {
+    const service = new TrashDomainServiceImpl(apiBroker);
+    service.setPermissions(TRASH_ROLE_PERMISSIONS[role || ''] || []);
+    return service;
+  }, [apiBroker, role]);
+
+  return trashDomainService;
+};
+
+export default useTrashDomainService;
@@ -14,7 +14,10 @@ import {
   LogOutIcon,
   MenuIcon,
   XIcon,
-  DatabaseIcon
+  DatabaseIcon,
+  ShieldCheckIcon,
+  HistoryIcon,
+  Trash2Icon
 } from 'lucide-react';
 import { cn } from '../../lib/utils';
 import { Button } from '../../components/ui/button';
@@ -72,6 +75,16 @@ const navItems = [
     icon: MessageSquareIcon, 
     path: '/admin/messages' 
   },
+  { 
+    name: 'Audit Log', 
+    icon: HistoryIcon, 
+    path: '/admin/audit-logs' 
+  },
+  { 
+    name: 'Trash', 
+    icon: Trash2Icon, 
+    path: '/admin/trash' 
+  },
   { 
     name: 'Database', 
     icon: DatabaseIcon, 
@@ -194,6 +207,10 @@ const AdminLayout = () => {
                     <UserIcon className="mr-2 h-4 w-4" />
                     Profile
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => navigate('/admin/account/security')}>
+                    <ShieldCheckIcon className="mr-2 h-4 w-4" />
+                    Security
+                  </DropdownMenuItem>
                   <DropdownMenuItem onClick={() => navigate('/admin/settings')}>
                     <SettingsIcon className="mr-2 h-4 w-4" />
                     Settings
@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/card';
 import { 
   UsersIcon, 
@@ -8,6 +9,9 @@ import {
   MessageSquareIcon,
   ActivityIcon
 } from 'lucide-react';
+import { useNewsDomainService } from '../hooks/useNewsDomainService';
+import { useProductDomainService } from '../hooks/useProductDomainService';
+import { useContactMessageDomainService } from '../hooks/useContactMessageDomainService';
 
 const statCards = [
   {
@@ -17,12 +21,14 @@ const statCards = [
     color: 'bg-blue-100 text-blue-600'
   },
   {
+    key: 'news',
     title: 'News Articles',
     value: '0',
     icon: FileTextIcon,
     color: 'bg-purple-100 text-purple-600'
   },
   {
+    key: 'products',
     title: 'Products',
     value: '0',
     icon: PackageIcon,
@@ -35,10 +41,12 @@ const statCards = [
     color: 'bg-amber-100 text-amber-600'
   },
   {
+    key: 'messages',
     title: 'Messages',
     value: '0',
     icon: MessageSquareIcon,
-    color: 'bg-red-100 text-red-600'
+    color: 'bg-red-100 text-red-600',
+    link: '/admin/messages'
   },
   {
     title: 'Total Visits',
@@ -49,6 +57,37 @@ const statCards = [
 ];
 
 const Dashboard = () => {
+  // Số liệu thực tế lấy từ API, ghi đè giá trị mặc định của statCards
+  const [counts, setCounts] = useState<Record<string, string>>({});
+  const newsDomainService = useNewsDomainService();
+  const productDomainService = useProductDomainService();
+  const contactMessageDomainService = useContactMessageDomainService();
+  const [unreadMessages, setUnreadMessages] = useState<number | null>(null);
+
+  useEffect(() => {
+    const loadCounts = async () => {
+      const newsResult = await newsDomainService.getNews({ page: 1, pageSize: 1 });
+      if (newsResult.success && newsResult.data) {
+        const totalNews = newsResult.data.pagination.totalItems;
+        setCounts(prev => ({ ...prev, news: totalNews.toString() }));
+      }
+
+      const productsResult = await productDomainService.getProducts({ page: 1, pageSize: 1 });
+      if (productsResult.success && productsResult.data) {
+        const totalProducts = productsResult.data.pagination.totalItems;
+        setCounts(prev => ({ ...prev, products: totalProducts.toString() }));
+      }
+
+      const messagesResult = await contactMessageDomainService.getStats();
+      if (messagesResult.success && messagesResult.data) {
+        setCounts(prev => ({ ...prev, messages: messagesResult.data!.total.toString() }));
+        setUnreadMessages(messagesResult.data.unread);
+      }
+    };
+
+    loadCounts();
+  }, [newsDomainService, productDomainService, contactMessageDomainService]);
+
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-6">Dashboard</h1>
@@ -65,7 +104,15 @@ const Dashboard = () => {
               </div>
             </CardHeader>
             <CardContent>
-              <div className="text-2xl font-bold">{card.value}</div>
+              <div className="text-2xl font-bold">{(card.key && counts[card.key]) || card.value}</div>
+              {card.key === 'messages' && unreadMessages !== null && (
+                <p className="text-xs text-gray-500 mt-1">{unreadMessages} unread</p>
+              )}
+              {card.link && (
+                <Link to={card.link} className="text-xs text-blue-600 hover:underline mt-1 inline-block">
+                  View all
+                </Link>
+              )}
             </CardContent>
           </Card>
         ))}
@@ -95,18 +142,22 @@ const Dashboard = () => {
                   <p className="text-sm font-medium">Add User</p>
                 </CardContent>
               </Card>
-              <Card className="cursor-pointer hover:bg-gray-50">
-                <CardContent className="p-4 text-center">
-                  <FileTextIcon className="h-6 w-6 mx-auto mb-2" />
-                  <p className="text-sm font-medium">New Article</p>
-                </CardContent>
-              </Card>
-              <Card className="cursor-pointer hover:bg-gray-50">
-                <CardContent className="p-4 text-center">
-                  <PackageIcon className="h-6 w-6 mx-auto mb-2" />
-                  <p className="text-sm font-medium">Add Product</p>
-                </CardContent>
-              </Card>
+              <Link to="/admin/news/create">
+                <Card className="cursor-pointer hover:bg-gray-50">
+                  <CardContent className="p-4 text-center">
+                    <FileTextIcon className="h-6 w-6 mx-auto mb-2" />
+                    <p className="text-sm font-medium">New Article</p>
+                  </CardContent>
+                </Card>
+              </Link>
+              <Link to="/admin/products/create">
+                <Card className="cursor-pointer hover:bg-gray-50">
+                  <CardContent className="p-4 text-center">
+                    <PackageIcon className="h-6 w-6 mx-auto mb-2" />
+                    <p className="text-sm font-medium">Add Product</p>
+                  </CardContent>
+                </Card>
+              </Link>
               <Card className="cursor-pointer hover:bg-gray-50">
                 <CardContent className="p-4 text-center">
                   <BookOpenIcon className="h-6 w-6 mx-auto mb-2" />
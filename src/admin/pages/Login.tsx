@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { z } from 'zod';
 import { useForm } from 'react-hook-form';
@@ -15,7 +15,9 @@ import { Input } from '../../components/ui/input';
 import { Button } from '../../components/ui/button';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '../../components/ui/card';
 import { Alert, AlertDescription } from '../../components/ui/alert';
-import { AlertCircle, Loader2 } from 'lucide-react';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '../../components/ui/input-otp';
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { AlertCircle, Loader2, Lock } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 
 // Form validation schema
@@ -26,10 +28,36 @@ const formSchema = z.object({
 
 type FormValues = z.infer<typeof formSchema>;
 
+// Hiển thị thời gian chờ dạng m:ss
+const formatWait = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
 const Login = () => {
-  const { login, isLoading, error } = useAuth();
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorRequired,
+    isLoading,
+    error,
+    loginLockout
+  } = useAuth();
   const navigate = useNavigate();
   const [formError, setFormError] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  // Đếm ngược thời gian chờ khi đăng nhập bị chặn
+  useEffect(() => {
+    if (!loginLockout) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [loginLockout]);
+
+  const secondsLeft = loginLockout ? Math.max(0, Math.ceil((loginLockout.until - now) / 1000)) : 0;
+  const isBlocked = secondsLeft > 0;
 
   // Initialize form
   const form = useForm<FormValues>({
@@ -51,16 +79,51 @@ const Login = () => {
     }
   };
 
+  // Gửi mã 2FA (tự động khi nhập đủ 6 số)
+  const submitTwoFactorCode = async (code: string) => {
+    if (!code.trim() || isBlocked) return;
+    setFormError(null);
+    await verifyTwoFactor(code.trim());
+    setTwoFactorCode('');
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setTwoFactorCode('');
+  };
+
+  const backToPassword = () => {
+    cancelTwoFactor();
+    setUseRecoveryCode(false);
+    setTwoFactorCode('');
+  };
+
   return (
     <div className="h-screen w-full flex items-center justify-center bg-gray-50">
       <div className="w-full max-w-md p-4">
         <Card className="border-gray-200 shadow-sm">
           <CardHeader className="text-center">
             <CardTitle className="text-2xl font-bold">Admin Panel</CardTitle>
-            <CardDescription>Sign in to your admin account</CardDescription>
+            <CardDescription>
+              {twoFactorRequired
+                ? useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'
+                : 'Sign in to your admin account'}
+            </CardDescription>
           </CardHeader>
           <CardContent>
-            {(error || formError) && (
+            {/* Thông báo khóa thay cho lỗi chung; hết thời gian chờ thì ẩn để người dùng thử lại */}
+            {loginLockout ? isBlocked && (
+              <Alert variant="destructive" className="mb-6">
+                <Lock className="h-4 w-4" />
+                <AlertDescription>
+                  {loginLockout?.locked
+                    ? `This account is temporarily locked after too many failed sign-in attempts. Try again in ${formatWait(secondsLeft)} or ask an administrator to unlock it.`
+                    : `Too many failed sign-in attempts. Please wait ${formatWait(secondsLeft)} before trying again.`}
+                </AlertDescription>
+              </Alert>
+            ) : (error || formError) && (
               <Alert variant="destructive" className="mb-6">
                 <AlertCircle className="h-4 w-4" />
                 <AlertDescription>
@@ -69,52 +132,110 @@ const Login = () => {
               </Alert>
             )}
             
-            <Form {...form}>
-              <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
-                <FormField
-                  control={form.control}
-                  name="username"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Username</FormLabel>
-                      <FormControl>
-                        <Input placeholder="Enter your username" {...field} />
-                      </FormControl>
-                      <FormMessage />
-                    </FormItem>
-                  )}
-                />
-
-                <FormField
-                  control={form.control}
-                  name="password"
-                  render={({ field }) => (
-                    <FormItem>
-                      <FormLabel>Password</FormLabel>
-                      <FormControl>
-                        <Input 
-                          type="password" 
-                          placeholder="Enter your password" 
-                          {...field} 
-                        />
-                      </FormControl>
-                      <FormMessage />
-                    </FormItem>
-                  )}
-                />
+            {twoFactorRequired ? (
+              <form
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  submitTwoFactorCode(twoFactorCode);
+                }}
+                className="space-y-6"
+              >
+                {useRecoveryCode ? (
+                  <Input
+                    value={twoFactorCode}
+                    onChange={(event) => setTwoFactorCode(event.target.value)}
+                    placeholder="xxxxx-xxxxx"
+                    autoComplete="off"
+                    autoFocus
+                  />
+                ) : (
+                  <div className="flex justify-center">
+                    <InputOTP
+                      maxLength={6}
+                      pattern={REGEXP_ONLY_DIGITS}
+                      value={twoFactorCode}
+                      onChange={setTwoFactorCode}
+                      onComplete={submitTwoFactorCode}
+                      disabled={isLoading || isBlocked}
+                      autoFocus
+                    >
+                      <InputOTPGroup>
+                        {Array.from({ length: 6 }, (_, index) => (
+                          <InputOTPSlot key={index} index={index} />
+                        ))}
+                      </InputOTPGroup>
+                    </InputOTP>
+                  </div>
+                )}
 
-                <Button type="submit" className="w-full" disabled={isLoading}>
+                <Button type="submit" className="w-full" disabled={isLoading || isBlocked || !twoFactorCode.trim()}>
                   {isLoading ? (
                     <>
                       <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                      Signing in...
+                      Verifying...
                     </>
                   ) : (
-                    'Sign In'
+                    'Verify'
                   )}
                 </Button>
+
+                <div className="flex justify-between text-sm">
+                  <button type="button" className="text-blue-600 hover:underline" onClick={toggleRecoveryCode}>
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                  </button>
+                  <button type="button" className="text-gray-500 hover:underline" onClick={backToPassword}>
+                    Back to sign in
+                  </button>
+                </div>
               </form>
-            </Form>
+            ) : (
+              <Form {...form}>
+                <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+                  <FormField
+                    control={form.control}
+                    name="username"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Username</FormLabel>
+                        <FormControl>
+                          <Input placeholder="Enter your username" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+
+                  <FormField
+                    control={form.control}
+                    name="password"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Password</FormLabel>
+                        <FormControl>
+                          <Input 
+                            type="password" 
+                            placeholder="Enter your password" 
+                            {...field} 
+                          />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+
+                  <Button type="submit" className="w-full" disabled={isLoading || isBlocked}>
+                    {isLoading ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Signing in...
+                      </>
+                    ) : (
+                      'Sign In'
+                    )}
+                  </Button>
+                </form>
+              </Form>
+            )}
           </CardContent>
           <CardFooter className="flex justify-center text-gray-500 text-sm">
             <div>
@@ -0,0 +1,278 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import { Button } from '../../../components/ui/button';
+import { Badge } from '../../../components/ui/badge';
+import { Input } from '../../../components/ui/input';
+import { Label } from '../../../components/ui/label';
+import { Separator } from '../../../components/ui/separator';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '../../../components/ui/input-otp';
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { KeyRound, Loader2, ShieldCheck, ShieldOff } from 'lucide-react';
+import {
+  TwoFactorEnrollment,
+  TwoFactorStatus,
+  useUserController
+} from '../../controllers/UserController';
+
+interface CodeInputProps {
+  value: string;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+}
+
+// Ô nhập mã 6 số từ ứng dụng xác thực
+const CodeInput = ({ value, onChange, disabled }: CodeInputProps) => (
+  <InputOTP
+    maxLength={6}
+    pattern={REGEXP_ONLY_DIGITS}
+    value={value}
+    onChange={onChange}
+    disabled={disabled}
+  >
+    <InputOTPGroup>
+      {Array.from({ length: 6 }, (_, index) => (
+        <InputOTPSlot key={index} index={index} />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+const AccountSecurity = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [showDisable, setShowDisable] = useState(false);
+
+  // Sử dụng UserController để quản lý API calls
+  const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    isLoading
+  } = useUserController();
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await getTwoFactorStatus());
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Failed to load two-factor status:", error);
+    }
+  }, [getTwoFactorStatus]);
+
+  // Load status when component mounts
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForms = () => {
+    setCode('');
+    setPassword('');
+    setShowDisable(false);
+  };
+
+  // Bắt đầu đăng ký: hiển thị mã QR để quét bằng ứng dụng xác thực
+  const handleSetup = async () => {
+    try {
+      const result = await setupTwoFactor();
+      if (result) {
+        setEnrollment(result);
+        setRecoveryCodes(null);
+        resetForms();
+      }
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+    }
+  };
+
+  // Xác nhận mã đầu tiên, mã khôi phục chỉ hiển thị một lần
+  const handleEnable = async () => {
+    try {
+      const result = await enableTwoFactor(code);
+      if (result) {
+        setEnrollment(null);
+        setRecoveryCodes(result.recoveryCodes);
+        resetForms();
+        await loadStatus();
+      }
+    } catch (error) {
+      console.error("Two-factor enable error:", error);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      const result = await disableTwoFactor(password, code);
+      if (result) {
+        setRecoveryCodes(null);
+        resetForms();
+        await loadStatus();
+      }
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const result = await regenerateRecoveryCodes(code);
+      if (result) {
+        setRecoveryCodes(result.recoveryCodes);
+        resetForms();
+        await loadStatus();
+      }
+    } catch (error) {
+      console.error("Recovery code error:", error);
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="p-6 flex items-center justify-center h-64">
+        <div className="text-center">
+          <Loader2 className="h-8 w-8 animate-spin mx-auto mb-4" />
+          <p className="text-gray-500">Loading security settings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-6">Account Security</h1>
+
+      <div className="grid grid-cols-1 gap-6">
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Two-Factor Authentication</CardTitle>
+              <Badge variant={status.enabled ? 'default' : 'outline'}>
+                {status.enabled ? 'Enabled' : 'Disabled'}
+              </Badge>
+            </div>
+            <CardDescription>
+              Require a code from an authenticator app in addition to your password when signing in.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {recoveryCodes && (
+              <div className="rounded-md border border-amber-200 bg-amber-50 p-4">
+                <h3 className="font-medium mb-1">Recovery codes</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Store these codes somewhere safe. Each code can be used once to sign in
+                  if you lose access to your authenticator app. They will not be shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                  {recoveryCodes.map(recoveryCode => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!status.enabled && !enrollment && (
+              <Button onClick={handleSetup} disabled={isLoading}>
+                <ShieldCheck className="h-4 w-4 mr-2" />
+                Set Up Two-Factor Authentication
+              </Button>
+            )}
+
+            {!status.enabled && enrollment && (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                </p>
+                <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-48 w-48 border rounded-md" />
+                <div>
+                  <h3 className="font-medium text-gray-500 mb-1">Can't scan the code? Enter this key manually</h3>
+                  <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+                </div>
+                <CodeInput value={code} onChange={setCode} disabled={isLoading} />
+                <div className="flex gap-2">
+                  <Button onClick={handleEnable} disabled={isLoading || code.length !== 6}>
+                    {isLoading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Verify and Enable
+                  </Button>
+                  <Button variant="outline" onClick={() => { setEnrollment(null); resetForms(); }}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {status.enabled && (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  {status.recoveryCodesRemaining} unused recovery code(s) remaining.
+                </p>
+
+                <Separator />
+
+                <div className="space-y-2">
+                  <Label>Authenticator code</Label>
+                  <CodeInput value={code} onChange={setCode} disabled={isLoading} />
+                </div>
+
+                {showDisable && (
+                  <div className="space-y-2 max-w-sm">
+                    <Label htmlFor="current-password">Current password</Label>
+                    <Input
+                      id="current-password"
+                      type="password"
+                      value={password}
+                      onChange={(event) => setPassword(event.target.value)}
+                      autoComplete="current-password"
+                    />
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-2">
+                  <Button variant="outline" onClick={handleRegenerate} disabled={isLoading || code.length !== 6}>
+                    <KeyRound className="h-4 w-4 mr-2" />
+                    Generate New Recovery Codes
+                  </Button>
+                  {showDisable ? (
+                    <>
+                      <Button
+                        variant="destructive"
+                        onClick={handleDisable}
+                        disabled={isLoading || !password || code.length !== 6}
+                      >
+                        <ShieldOff className="h-4 w-4 mr-2" />
+                        Confirm Disable
+                      </Button>
+                      <Button variant="ghost" onClick={resetForms}>
+                        Cancel
+                      </Button>
+                    </>
+                  ) : (
+                    <Button
+                      variant="outline"
+                      className="text-red-500 border-red-200 hover:bg-red-50 hover:text-red-600"
+                      onClick={() => setShowDisable(true)}
+                    >
+                      <ShieldOff className="h-4 w-4 mr-2" />
+                      Disable Two-Factor Authentication
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default AccountSecurity;
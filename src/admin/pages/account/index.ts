@@ -0,0 +1 @@
+export { default as AccountSecurity } from './AccountSecurity';
@@ -0,0 +1,361 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '../../../components/ui/dropdown-menu';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '../../../components/ui/pagination';
+import { Input } from '../../../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Badge } from '../../../components/ui/badge';
+import { Download, Loader2, RefreshCw, Search } from 'lucide-react';
+import { PaginationInfo } from '../../controllers/NewsController';
+import {
+  AuditLogEntry,
+  AuditLogExportFormat,
+  useAuditLogController
+} from '../../controllers/AuditLogController';
+
+const AuditLogList = () => {
+  // State
+  const [logs, setLogs] = useState<AuditLogEntry[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo>({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    pageSize: 50
+  });
+  const [actions, setActions] = useState<string[]>([]);
+  const [username, setUsername] = useState('');
+  const [action, setAction] = useState<string | undefined>(undefined);
+  const [success, setSuccess] = useState<string | undefined>(undefined);
+  const [ipAddress, setIpAddress] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Sử dụng AuditLogController để quản lý API calls
+  const {
+    getLogs,
+    getActions,
+    exportLogs,
+    isLoading
+  } = useAuditLogController();
+
+  // Bộ lọc dùng chung cho danh sách và file export
+  const filters = useMemo(() => ({
+    ...(username && { username }),
+    ...(action && { action }),
+    ...(success && { success }),
+    ...(ipAddress && { ip: ipAddress }),
+    ...(fromDate && { from: fromDate }),
+    ...(toDate && { to: toDate })
+  }), [username, action, success, ipAddress, fromDate, toDate]);
+
+  const loadLogs = useCallback(async () => {
+    try {
+      const result = await getLogs({
+        page: pagination.currentPage,
+        pageSize: pagination.pageSize,
+        sortBy: 'created_at',
+        sortDir: 'desc',
+        ...filters
+      });
+      if (result) {
+        setLogs(result.data);
+        setPagination(result.pagination);
+      }
+    } catch (error) {
+      console.error('Failed to fetch the audit log:', error);
+    }
+  }, [pagination.currentPage, pagination.pageSize, filters, getLogs]);
+
+  // Load log entries when component mounts or filters change
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  // Load the actions for the action filter once
+  useEffect(() => {
+    getActions()
+      .then(result => setActions(result || []))
+      .catch(error => console.error('Failed to fetch audit log actions:', error));
+  }, [getActions]);
+
+  // Handle text and date filter changes
+  const handleInputChange = (setter: (value: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setter(e.target.value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle select filter changes ('all' clears the filter)
+  const handleSelectChange = (setter: (value: string | undefined) => void) => (value: string) => {
+    setter(value === 'all' ? undefined : value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle page change
+  const changePage = (page: number) => {
+    setPagination(prev => ({ ...prev, currentPage: page }));
+  };
+
+  // Handle page size change
+  const changePageSize = (size: number) => {
+    setPagination(prev => ({ ...prev, pageSize: size, currentPage: 1 }));
+  };
+
+  // Export the entries matching the current filters
+  const handleExport = async (format: AuditLogExportFormat) => {
+    try {
+      await exportLogs(format, filters);
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Export error:', error);
+    }
+  };
+
+  // Generate pagination items
+  const getPaginationItems = () => {
+    const items = [];
+    const maxItems = 5;
+    let startPage = Math.max(pagination.currentPage - 2, 1);
+    const endPage = Math.min(startPage + maxItems - 1, pagination.totalPages);
+
+    if (endPage - startPage + 1 < maxItems) {
+      startPage = Math.max(endPage - maxItems + 1, 1);
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+      items.push(
+        <PaginationItem key={i}>
+          <PaginationLink
+            onClick={() => changePage(i)}
+            isActive={pagination.currentPage === i}
+          >
+            {i}
+          </PaginationLink>
+        </PaginationItem>
+      );
+    }
+
+    return items;
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Audit Log</h1>
+          <p className="text-gray-500">Sign-ins, account changes and denied access across the admin area</p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" disabled={isLoading}>
+                <Download className="mr-2 h-4 w-4" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => handleExport('csv')}>Export CSV</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExport('json')}>Export JSON</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Authentication Events</CardTitle>
+          <CardDescription>{pagination.totalItems} entries</CardDescription>
+          <div className="flex flex-col lg:flex-row flex-wrap gap-4 mt-4">
+            <div className="relative flex-1 min-w-[180px]">
+              <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-500" />
+              <Input
+                placeholder="Username..."
+                className="pl-8"
+                value={username}
+                onChange={handleInputChange(setUsername)}
+              />
+            </div>
+            <div className="w-full lg:w-44">
+              <Select value={action || 'all'} onValueChange={handleSelectChange(setAction)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by action" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Actions</SelectItem>
+                  {actions.map(item => (
+                    <SelectItem key={item} value={item}>{item}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="w-full lg:w-36">
+              <Select value={success || 'all'} onValueChange={handleSelectChange(setSuccess)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by result" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Results</SelectItem>
+                  <SelectItem value="true">Success</SelectItem>
+                  <SelectItem value="false">Failed</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <Input
+              placeholder="IP address..."
+              className="w-full lg:w-40"
+              value={ipAddress}
+              onChange={handleInputChange(setIpAddress)}
+            />
+            <Input
+              type="date"
+              className="w-full lg:w-40"
+              title="From"
+              value={fromDate}
+              onChange={handleInputChange(setFromDate)}
+            />
+            <Input
+              type="date"
+              className="w-full lg:w-40"
+              title="Until"
+              value={toDate}
+              onChange={handleInputChange(setToDate)}
+            />
+            <Button variant="outline" onClick={loadLogs} className="lg:w-auto">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>User</TableHead>
+                  <TableHead>Action</TableHead>
+                  <TableHead>Result</TableHead>
+                  <TableHead className="hidden md:table-cell">IP Address</TableHead>
+                  <TableHead className="hidden lg:table-cell">Details</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {isLoading && logs.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin mx-auto" />
+                      <span className="mt-2 block text-sm text-gray-500">Loading audit log...</span>
+                    </TableCell>
+                  </TableRow>
+                ) : logs.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <span className="text-sm text-gray-500">No entries found</span>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  logs.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell className="whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</TableCell>
+                      <TableCell>
+                        {entry.username || '-'}
+                        {entry.user_id && <div className="text-xs text-gray-500">#{entry.user_id}</div>}
+                      </TableCell>
+                      <TableCell>{entry.action}</TableCell>
+                      <TableCell>
+                        <Badge variant={entry.success ? 'secondary' : 'destructive'}>
+                          {entry.success ? 'Success' : 'Failed'}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell" title={entry.user_agent || ''}>
+                        {entry.ip_address || '-'}
+                      </TableCell>
+                      <TableCell className="hidden lg:table-cell max-w-sm truncate" title={entry.details || ''}>
+                        {entry.details || '-'}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row items-center justify-between mt-4 gap-4">
+            <div className="text-sm text-gray-500">
+              Showing {logs.length > 0 ? (pagination.currentPage - 1) * pagination.pageSize + 1 : 0} - {Math.min(pagination.currentPage * pagination.pageSize, pagination.totalItems)} of {pagination.totalItems} entries
+            </div>
+            <div className="flex items-center gap-2">
+              <Select
+                value={pagination.pageSize.toString()}
+                onValueChange={(value) => changePageSize(parseInt(value))}
+              >
+                <SelectTrigger className="w-[120px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="20">20 per page</SelectItem>
+                  <SelectItem value="50">50 per page</SelectItem>
+                  <SelectItem value="100">100 per page</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Pagination>
+                <PaginationContent>
+                  <PaginationItem>
+                    <PaginationPrevious
+                      onClick={() => changePage(Math.max(1, pagination.currentPage - 1))}
+                      className={pagination.currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+
+                  {getPaginationItems()}
+
+                  <PaginationItem>
+                    <PaginationNext
+                      onClick={() => changePage(Math.min(pagination.totalPages, pagination.currentPage + 1))}
+                      className={pagination.currentPage >= pagination.totalPages ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+                </PaginationContent>
+              </Pagination>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AuditLogList;
@@ -0,0 +1 @@
+export { default as AuditLogList } from './AuditLogList';
@@ -0,0 +1,468 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '../../../components/ui/dropdown-menu';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../../../components/ui/dialog';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '../../../components/ui/pagination';
+import { Input } from '../../../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Badge } from '../../../components/ui/badge';
+import { Download, Loader2, Mail, MoreHorizontal, RefreshCw, Search } from 'lucide-react';
+import { PaginationInfo } from '../../controllers/NewsController';
+import {
+  ContactMessage,
+  ContactReadStatus,
+  useContactMessageController
+} from '../../controllers/ContactMessageController';
+
+const MessageList = () => {
+  // State
+  const [messages, setMessages] = useState<ContactMessage[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo>({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    pageSize: 20
+  });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [readStatus, setReadStatus] = useState<ContactReadStatus | undefined>(undefined);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [selectedMessage, setSelectedMessage] = useState<ContactMessage | null>(null);
+
+  // Sử dụng ContactMessageController để quản lý API calls
+  const {
+    getMessages,
+    getStats,
+    setReadStatus: updateReadStatus,
+    deleteMessage,
+    exportMessages,
+    isLoading
+  } = useContactMessageController();
+
+  // Bộ lọc dùng chung cho danh sách và file export
+  const filters = useMemo(() => ({
+    ...(searchTerm && { search: searchTerm }),
+    ...(readStatus && { read_status: readStatus }),
+    ...(fromDate && { from: fromDate }),
+    ...(toDate && { to: toDate })
+  }), [searchTerm, readStatus, fromDate, toDate]);
+
+  const loadMessages = useCallback(async () => {
+    try {
+      const queryParams = {
+        page: pagination.currentPage,
+        pageSize: pagination.pageSize,
+        sortBy: 'created_at',
+        sortDir: 'desc',
+        ...filters
+      };
+
+      const [result, stats] = await Promise.all([getMessages(queryParams), getStats()]);
+      if (result) {
+        setMessages(result.data);
+        setPagination(result.pagination);
+      }
+      if (stats) {
+        setUnreadCount(stats.unread);
+      }
+    } catch (error) {
+      console.error('Failed to fetch messages:', error);
+    }
+  }, [pagination.currentPage, pagination.pageSize, filters, getMessages, getStats]);
+
+  // Load messages when component mounts or filters change
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  // Handle search input change
+  const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setSearchTerm(e.target.value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle read status filter change
+  const handleReadStatusChange = (value: string) => {
+    setReadStatus(value === 'all' ? undefined : value as ContactReadStatus);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle date range filter change
+  const handleDateChange = (setter: (value: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setter(e.target.value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle page change
+  const changePage = (page: number) => {
+    setPagination(prev => ({ ...prev, currentPage: page }));
+  };
+
+  // Handle page size change
+  const changePageSize = (size: number) => {
+    setPagination(prev => ({ ...prev, pageSize: size, currentPage: 1 }));
+  };
+
+  // Mark a message as read or unread
+  const handleToggleRead = async (message: ContactMessage, read = !message.read_status) => {
+    try {
+      const updated = await updateReadStatus(message.id, read);
+      if (updated) {
+        setSelectedMessage(prev => (prev && prev.id === updated.id ? updated : prev));
+        await loadMessages();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Change read status error:', error);
+    }
+  };
+
+  // Mở tin nhắn và tự động đánh dấu đã đọc
+  const handleOpenMessage = async (message: ContactMessage) => {
+    setSelectedMessage(message);
+    if (!message.read_status) {
+      await handleToggleRead(message, true);
+    }
+  };
+
+  // Handle message deletion
+  const handleDeleteMessage = async (messageId: number) => {
+    try {
+      const success = await deleteMessage(messageId);
+      if (success) {
+        setSelectedMessage(null);
+        await loadMessages();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Delete error:', error);
+    }
+  };
+
+  // Export the messages matching the current filters
+  const handleExport = async () => {
+    try {
+      await exportMessages(filters);
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Export error:', error);
+    }
+  };
+
+  // Generate pagination items
+  const getPaginationItems = () => {
+    const items = [];
+    const maxItems = 5;
+    let startPage = Math.max(pagination.currentPage - 2, 1);
+    const endPage = Math.min(startPage + maxItems - 1, pagination.totalPages);
+
+    if (endPage - startPage + 1 < maxItems) {
+      startPage = Math.max(endPage - maxItems + 1, 1);
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+      items.push(
+        <PaginationItem key={i}>
+          <PaginationLink
+            onClick={() => changePage(i)}
+            isActive={pagination.currentPage === i}
+          >
+            {i}
+          </PaginationLink>
+        </PaginationItem>
+      );
+    }
+
+    return items;
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Messages</h1>
+          <p className="text-gray-500">Messages sent through the contact form on the website</p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <Button variant="outline" onClick={handleExport} disabled={isLoading}>
+            <Download className="mr-2 h-4 w-4" />
+            Export CSV
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Inbox</CardTitle>
+          <CardDescription>
+            {pagination.totalItems} messages, {unreadCount} unread
+          </CardDescription>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4">
+            <div className="relative flex-1">
+              <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-500" />
+              <Input
+                placeholder="Search messages..."
+                className="pl-8"
+                value={searchTerm}
+                onChange={handleSearchChange}
+              />
+            </div>
+            <div className="w-full sm:w-36">
+              <Select value={readStatus || 'all'} onValueChange={handleReadStatusChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Messages</SelectItem>
+                  <SelectItem value="unread">Unread</SelectItem>
+                  <SelectItem value="read">Read</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <Input
+              type="date"
+              className="w-full sm:w-40"
+              title="Received from"
+              value={fromDate}
+              onChange={handleDateChange(setFromDate)}
+            />
+            <Input
+              type="date"
+              className="w-full sm:w-40"
+              title="Received until"
+              value={toDate}
+              onChange={handleDateChange(setToDate)}
+            />
+            <Button variant="outline" onClick={loadMessages} className="sm:w-auto">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>From</TableHead>
+                  <TableHead>Subject</TableHead>
+                  <TableHead className="hidden md:table-cell">Interest</TableHead>
+                  <TableHead className="hidden lg:table-cell">Received</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {isLoading && messages.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin mx-auto" />
+                      <span className="mt-2 block text-sm text-gray-500">Loading messages...</span>
+                    </TableCell>
+                  </TableRow>
+                ) : messages.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <span className="text-sm text-gray-500">No messages found</span>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  messages.map((item) => (
+                    <TableRow
+                      key={item.id}
+                      className={`cursor-pointer ${item.read_status ? '' : 'font-semibold bg-blue-50/40'}`}
+                      onClick={() => handleOpenMessage(item)}
+                    >
+                      <TableCell>
+                        {item.name}
+                        <div className="text-xs text-gray-500 font-normal">{item.email}</div>
+                      </TableCell>
+                      <TableCell className="max-w-xs truncate">{item.subject}</TableCell>
+                      <TableCell className="hidden md:table-cell font-normal">{item.service_interest || '-'}</TableCell>
+                      <TableCell className="hidden lg:table-cell font-normal">
+                        {new Date(item.created_at).toLocaleString()}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={item.read_status ? 'secondary' : 'default'}>
+                          {item.read_status ? 'read' : 'unread'}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right" onClick={(e) => e.stopPropagation()}>
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="ghost" size="icon">
+                              <MoreHorizontal className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            <DropdownMenuItem onClick={() => handleOpenMessage(item)}>
+                              View Message
+                            </DropdownMenuItem>
+                            <DropdownMenuItem onClick={() => handleToggleRead(item)}>
+                              {item.read_status ? 'Mark as Unread' : 'Mark as Read'}
+                            </DropdownMenuItem>
+                            <DropdownMenuSeparator />
+                            <DropdownMenuItem
+                              className="text-red-600"
+                              onClick={() => handleDeleteMessage(item.id)}
+                            >
+                              Delete Message
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row items-center justify-between mt-4 gap-4">
+            <div className="text-sm text-gray-500">
+              Showing {messages.length > 0 ? (pagination.currentPage - 1) * pagination.pageSize + 1 : 0} - {Math.min(pagination.currentPage * pagination.pageSize, pagination.totalItems)} of {pagination.totalItems} messages
+            </div>
+            <div className="flex items-center gap-2">
+              <Select
+                value={pagination.pageSize.toString()}
+                onValueChange={(value) => changePageSize(parseInt(value))}
+              >
+                <SelectTrigger className="w-[120px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="10">10 per page</SelectItem>
+                  <SelectItem value="20">20 per page</SelectItem>
+                  <SelectItem value="50">50 per page</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Pagination>
+                <PaginationContent>
+                  <PaginationItem>
+                    <PaginationPrevious
+                      onClick={() => changePage(Math.max(1, pagination.currentPage - 1))}
+                      className={pagination.currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+
+                  {getPaginationItems()}
+
+                  <PaginationItem>
+                    <PaginationNext
+                      onClick={() => changePage(Math.min(pagination.totalPages, pagination.currentPage + 1))}
+                      className={pagination.currentPage >= pagination.totalPages ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+                </PaginationContent>
+              </Pagination>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Chi tiết tin nhắn */}
+      <Dialog open={selectedMessage !== null} onOpenChange={(open) => !open && setSelectedMessage(null)}>
+        {selectedMessage && (
+          <DialogContent className="sm:max-w-2xl">
+            <DialogHeader>
+              <DialogTitle>{selectedMessage.subject}</DialogTitle>
+              <DialogDescription>
+                Received {new Date(selectedMessage.created_at).toLocaleString()}
+              </DialogDescription>
+            </DialogHeader>
+            <dl className="grid grid-cols-[120px_1fr] gap-y-2 text-sm">
+              <dt className="text-gray-500">Name</dt>
+              <dd>{selectedMessage.name}</dd>
+              <dt className="text-gray-500">Email</dt>
+              <dd>
+                <a href={`mailto:${selectedMessage.email}`} className="text-blue-600 hover:underline">
+                  {selectedMessage.email}
+                </a>
+              </dd>
+              {selectedMessage.phone && (
+                <>
+                  <dt className="text-gray-500">Phone</dt>
+                  <dd>{selectedMessage.phone}</dd>
+                </>
+              )}
+              {selectedMessage.company && (
+                <>
+                  <dt className="text-gray-500">Company</dt>
+                  <dd>{selectedMessage.company}</dd>
+                </>
+              )}
+              {selectedMessage.service_interest && (
+                <>
+                  <dt className="text-gray-500">Interest</dt>
+                  <dd>{selectedMessage.service_interest}</dd>
+                </>
+              )}
+            </dl>
+            <div className="rounded-md border bg-gray-50 p-4 text-sm whitespace-pre-wrap max-h-80 overflow-y-auto">
+              {selectedMessage.message}
+            </div>
+            <DialogFooter className="gap-2">
+              <Button variant="outline" onClick={() => handleToggleRead(selectedMessage)}>
+                {selectedMessage.read_status ? 'Mark as Unread' : 'Mark as Read'}
+              </Button>
+              <Button variant="outline" asChild>
+                <a href={`mailto:${selectedMessage.email}?subject=${encodeURIComponent(`Re: ${selectedMessage.subject}`)}`}>
+                  <Mail className="mr-2 h-4 w-4" />
+                  Reply
+                </a>
+              </Button>
+              <Button variant="destructive" onClick={() => handleDeleteMessage(selectedMessage.id)}>
+                Delete
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </div>
+  );
+};
+
+export default MessageList;
@@ -0,0 +1 @@
+export { default as MessageList } from './MessageList';
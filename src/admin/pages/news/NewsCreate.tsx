@@ -0,0 +1,49 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Button } from '../../../components/ui/button';
+import { ArrowLeft } from 'lucide-react';
+import { NewsFormData, useNewsController } from '../../controllers/NewsController';
+import NewsForm from './NewsForm';
+
+const NewsCreate = () => {
+  const navigate = useNavigate();
+
+  // Sử dụng NewsController để quản lý API calls
+  const { createNews, isLoading, validationErrors } = useNewsController();
+
+  // Handle form submission
+  const onSubmit = async (data: NewsFormData) => {
+    try {
+      const news = await createNews(data);
+      if (news) {
+        navigate(`/admin/news/${news.id}/edit`);
+      }
+    } catch (error) {
+      // Error handling is done in the controller
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center mb-6">
+        <Button variant="ghost" asChild className="mr-4">
+          <Link to="/admin/news">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to News
+          </Link>
+        </Button>
+        <h1 className="text-2xl font-bold">Create News Article</h1>
+      </div>
+
+      <NewsForm
+        onSubmit={onSubmit}
+        onCancel={() => navigate('/admin/news')}
+        isSubmitting={isLoading}
+        submitLabel="Create Article"
+        validationErrors={validationErrors}
+      />
+    </div>
+  );
+};
+
+export default NewsCreate;
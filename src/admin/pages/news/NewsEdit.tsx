@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Button } from '../../../components/ui/button';
+import { Badge } from '../../../components/ui/badge';
+import { Archive, ArrowLeft, FileText, Loader2, Send } from 'lucide-react';
+import {
+  News,
+  NewsFormData,
+  NewsStatus,
+  useNewsController
+} from '../../controllers/NewsController';
+import NewsForm, { NewsFormValues } from './NewsForm';
+import RecordHistory from '../../components/RecordHistory';
+import ConflictDialog, { ConflictField } from '../../components/ConflictDialog';
+
+// Các trường so sánh khi người khác đã lưu bài viết trước
+const CONFLICT_FIELDS: ConflictField[] = [
+  { field: 'title', label: 'Title' },
+  { field: 'slug', label: 'Slug' },
+  { field: 'excerpt', label: 'Excerpt' },
+  { field: 'content', label: 'Content' },
+  { field: 'image', label: 'Image' },
+  { field: 'publish_date', label: 'Publish Date' },
+  { field: 'category_id', label: 'Category ID' },
+  { field: 'location', label: 'Location' },
+  { field: 'organizer', label: 'Organizer' },
+  { field: 'featured', label: 'Featured' },
+  { field: 'status', label: 'Status' },
+  { field: 'tag_ids', label: 'Tag IDs' },
+];
+
+/**
+ * Chuyển bài viết từ API sang giá trị của form
+ */
+const toFormValues = (news: News): NewsFormValues => ({
+  title: news.title || '',
+  slug: news.slug || '',
+  excerpt: news.excerpt || '',
+  content: news.content || '',
+  image: news.image || '',
+  publish_date: news.publish_date ? news.publish_date.substring(0, 10) : '',
+  category_id: news.category_id ? news.category_id.toString() : '',
+  location: news.location || '',
+  organizer: news.organizer || '',
+  featured: !!news.featured,
+  status: news.status,
+  tag_ids: (news.tags || []).map(tag => tag.id),
+});
+
+const statusBadgeVariant = (status: NewsStatus) => {
+  if (status === 'published') return 'default';
+  if (status === 'archived') return 'outline';
+  return 'secondary';
+};
+
+const NewsEdit = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [news, setNews] = useState<News | null>(null);
+  const [formValues, setFormValues] = useState<NewsFormValues | undefined>(undefined);
+  // Dữ liệu vừa gửi lên, dùng để so sánh và ghi đè khi có xung đột phiên bản
+  const [pendingChanges, setPendingChanges] = useState<NewsFormData | null>(null);
+
+  // Sử dụng NewsController để quản lý API calls
+  const {
+    getNewsById,
+    updateNews,
+    changeNewsStatus,
+    isLoading,
+    validationErrors,
+    conflict,
+    clearConflict
+  } = useNewsController();
+
+  // Load article when component mounts
+  useEffect(() => {
+    const loadNews = async () => {
+      if (!id) return;
+      try {
+        const newsData = await getNewsById(parseInt(id, 10));
+        if (!newsData) {
+          navigate('/admin/news');
+          return;
+        }
+        setNews(newsData);
+        setFormValues(toFormValues(newsData));
+      } catch (error) {
+        // Navigate back if article not found
+        navigate('/admin/news');
+      }
+    };
+
+    loadNews();
+  }, [id, getNewsById, navigate]);
+
+  // Save the article; version is the row_version it was loaded at (If-Match)
+  const save = async (data: NewsFormData, version?: number) => {
+    if (!id) return;
+    setPendingChanges(data);
+    try {
+      const updated = await updateNews(parseInt(id, 10), data, version);
+      if (updated) {
+        setNews(updated);
+        setFormValues(toFormValues(updated));
+      }
+    } catch (error) {
+      // Error handling is done in the controller
+    }
+  };
+
+  // Handle form submission
+  const onSubmit = (data: NewsFormData) => save(data, news?.row_version);
+
+  // Conflict: discard the changes and continue from the version saved by the other user
+  const handleReloadConflict = () => {
+    if (conflict) {
+      setNews(conflict);
+      setFormValues(toFormValues(conflict));
+    }
+    clearConflict();
+  };
+
+  // Conflict: save the changes again over the version saved by the other user
+  const handleOverwriteConflict = () => {
+    if (pendingChanges && conflict) {
+      save(pendingChanges, conflict.row_version);
+    }
+  };
+
+  // Handle publish/draft/archive actions
+  const handleStatusChange = async (status: NewsStatus) => {
+    if (!id) return;
+    try {
+      const updated = await changeNewsStatus(parseInt(id, 10), status);
+      if (updated) {
+        setNews(updated);
+        setFormValues(toFormValues(updated));
+      }
+    } catch (error) {
+      // Error handling is done in the controller
+    }
+  };
+
+  if (!news) {
+    return (
+      <div className="p-6 flex items-center justify-center h-64">
+        <div className="text-center">
+          <Loader2 className="h-8 w-8 animate-spin mx-auto mb-4" />
+          <p className="text-gray-500">Loading article...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-6 gap-4">
+        <div className="flex items-center">
+          <Button variant="ghost" asChild className="mr-4">
+            <Link to="/admin/news">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to News
+            </Link>
+          </Button>
+          <h1 className="text-2xl font-bold mr-3">Edit News Article</h1>
+          <Badge variant={statusBadgeVariant(news.status)}>{news.status}</Badge>
+        </div>
+        <div className="flex gap-2">
+          {news.status !== 'published' && (
+            <Button onClick={() => handleStatusChange('published')} disabled={isLoading}>
+              <Send className="h-4 w-4 mr-2" />
+              Publish
+            </Button>
+          )}
+          {news.status !== 'draft' && (
+            <Button variant="outline" onClick={() => handleStatusChange('draft')} disabled={isLoading}>
+              <FileText className="h-4 w-4 mr-2" />
+              Move to Draft
+            </Button>
+          )}
+          {news.status !== 'archived' && (
+            <Button variant="outline" onClick={() => handleStatusChange('archived')} disabled={isLoading}>
+              <Archive className="h-4 w-4 mr-2" />
+              Archive
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <NewsForm
+        initialValues={formValues}
+        onSubmit={onSubmit}
+        onCancel={() => navigate('/admin/news')}
+        isSubmitting={isLoading}
+        submitLabel="Save Changes"
+        validationErrors={validationErrors}
+      />
+
+      <div className="mt-6">
+        {/* Tải lại lịch sử sau mỗi lần lưu */}
+        <RecordHistory key={news.updated_at} resource="news" recordId={news.id} />
+      </div>
+
+      <ConflictDialog
+        open={!!conflict}
+        fields={CONFLICT_FIELDS}
+        mine={pendingChanges}
+        theirs={conflict && {
+          ...conflict,
+          publish_date: conflict.publish_date ? conflict.publish_date.substring(0, 10) : '',
+          tag_ids: (conflict.tags || []).map(tag => tag.id)
+        }}
+        isSubmitting={isLoading}
+        onReload={handleReloadConflict}
+        onOverwrite={handleOverwriteConflict}
+        onCancel={clearConflict}
+      />
+    </div>
+  );
+};
+
+export default NewsEdit;
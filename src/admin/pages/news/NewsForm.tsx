@@ -0,0 +1,447 @@
+import React, { useEffect, useState } from 'react';
+import { z } from 'zod';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '../../../components/ui/form';
+import { Input } from '../../../components/ui/input';
+import { Textarea } from '../../../components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Switch } from '../../../components/ui/switch';
+import { Checkbox } from '../../../components/ui/checkbox';
+import { Button } from '../../../components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '../../../components/ui/card';
+import { Loader2 } from 'lucide-react';
+import RichTextEditor from '../../components/RichTextEditor';
+import ImageUploadButton from '../../components/ImageUploadButton';
+import {
+  NewsCategory,
+  NewsFormData,
+  NewsTag,
+  NEWS_STATUSES,
+  useNewsController
+} from '../../controllers/NewsController';
+
+// Form validation schema, giới hạn độ dài khớp với bảng news
+const newsSchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(255, 'Title must be at most 255 characters'),
+  slug: z.string()
+    .max(300, 'Slug must be at most 300 characters')
+    .regex(/^([a-z0-9]+(?:-[a-z0-9]+)*)?$/, 'Slug may only contain lowercase letters, numbers and dashes')
+    .optional(),
+  excerpt: z.string().optional(),
+  content: z.string().refine(
+    value => value.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim().length > 0,
+    'Content is required'
+  ),
+  image: z.string().optional(),
+  publish_date: z.string().optional(),
+  category_id: z.string().min(1, 'Please select a category'),
+  location: z.string().max(255, 'Location must be at most 255 characters').optional(),
+  organizer: z.string().max(150, 'Organizer must be at most 150 characters').optional(),
+  featured: z.boolean().default(false),
+  status: z.enum(['published', 'draft', 'archived']),
+  tag_ids: z.array(z.number()).default([]),
+});
+
+export type NewsFormValues = z.infer<typeof newsSchema>;
+
+const emptyNewsFormValues: NewsFormValues = {
+  title: '',
+  slug: '',
+  excerpt: '',
+  content: '',
+  image: '',
+  publish_date: '',
+  category_id: '',
+  location: '',
+  organizer: '',
+  featured: false,
+  status: 'draft',
+  tag_ids: [],
+};
+
+const statusLabels: Record<string, string> = {
+  published: 'Published',
+  draft: 'Draft',
+  archived: 'Archived'
+};
+
+interface NewsFormProps {
+  initialValues?: NewsFormValues;
+  onSubmit: (data: NewsFormData) => Promise<void>;
+  onCancel: () => void;
+  isSubmitting: boolean;
+  submitLabel: string;
+  validationErrors?: Record<string, string[]> | null;
+}
+
+/**
+ * Chuyển giá trị form sang dữ liệu gửi lên API
+ */
+const toNewsFormData = (values: NewsFormValues): NewsFormData => ({
+  title: values.title,
+  slug: values.slug || undefined,
+  excerpt: values.excerpt || '',
+  content: values.content,
+  image: values.image || '',
+  publish_date: values.publish_date || undefined,
+  category_id: parseInt(values.category_id, 10),
+  location: values.location || '',
+  organizer: values.organizer || '',
+  featured: values.featured,
+  status: values.status,
+  tag_ids: values.tag_ids,
+});
+
+/**
+ * Form dùng chung cho trang tạo và chỉnh sửa tin tức
+ */
+const NewsForm: React.FC<NewsFormProps> = ({
+  initialValues,
+  onSubmit,
+  onCancel,
+  isSubmitting,
+  submitLabel,
+  validationErrors
+}) => {
+  const [categories, setCategories] = useState<NewsCategory[]>([]);
+  const [tags, setTags] = useState<NewsTag[]>([]);
+  const { getCategories, getTags } = useNewsController();
+
+  const form = useForm<NewsFormValues>({
+    resolver: zodResolver(newsSchema),
+    defaultValues: initialValues || emptyNewsFormValues,
+  });
+
+  // Load categories and tags for the pickers
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [categoriesData, tagsData] = await Promise.all([getCategories(), getTags()]);
+        setCategories(categoriesData || []);
+        setTags(tagsData || []);
+      } catch (error) {
+        console.error('Failed to load news options:', error);
+      }
+    };
+
+    loadOptions();
+  }, [getCategories, getTags]);
+
+  // Reset form when the article is loaded
+  useEffect(() => {
+    if (initialValues) {
+      form.reset(initialValues);
+    }
+  }, [initialValues, form]);
+
+  // Show field-level errors returned by the domain service
+  useEffect(() => {
+    if (validationErrors) {
+      Object.entries(validationErrors).forEach(([field, messages]) => {
+        form.setError(field as keyof NewsFormValues, { message: messages[0] });
+      });
+    }
+  }, [validationErrors, form]);
+
+  const handleSubmit = async (values: NewsFormValues) => {
+    await onSubmit(toNewsFormData(values));
+  };
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(handleSubmit)} className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Article</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <FormField
+                control={form.control}
+                name="title"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Title*</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Enter title" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="slug"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Slug</FormLabel>
+                    <FormControl>
+                      <Input placeholder="generated-from-title" {...field} />
+                    </FormControl>
+                    <FormDescription>
+                      Leave empty to generate it from the title
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="excerpt"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Excerpt</FormLabel>
+                    <FormControl>
+                      <Textarea rows={3} placeholder="Short summary shown in news listings" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="content"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Content*</FormLabel>
+                    <RichTextEditor
+                      value={field.value}
+                      onChange={field.onChange}
+                      placeholder="Write the article..."
+                      disabled={isSubmitting}
+                    />
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Event Details</CardTitle>
+            </CardHeader>
+            <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <FormField
+                control={form.control}
+                name="location"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Location</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Enter location" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="organizer"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Organizer</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Enter organizer" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Publishing</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <FormField
+                control={form.control}
+                name="status"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Status*</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select a status" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {NEWS_STATUSES.map(status => (
+                          <SelectItem key={status} value={status}>
+                            {statusLabels[status]}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="publish_date"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Publish Date</FormLabel>
+                    <FormControl>
+                      <Input type="date" {...field} />
+                    </FormControl>
+                    <FormDescription>
+                      Defaults to today
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="featured"
+                render={({ field }) => (
+                  <FormItem className="flex flex-row items-center justify-between rounded-lg border p-4">
+                    <div className="space-y-0.5">
+                      <FormLabel className="text-base">
+                        Featured
+                      </FormLabel>
+                      <div className="text-sm text-muted-foreground">
+                        Highlight this article on the news page
+                      </div>
+                    </div>
+                    <FormControl>
+                      <Switch
+                        checked={field.value}
+                        onCheckedChange={field.onChange}
+                      />
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Classification</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <FormField
+                control={form.control}
+                name="category_id"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Category*</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select a category" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {categories.map(category => (
+                          <SelectItem key={category.id} value={category.id.toString()}>
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="tag_ids"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Tags</FormLabel>
+                    <div className="max-h-48 overflow-y-auto rounded-md border p-3 space-y-2">
+                      {tags.length === 0 ? (
+                        <p className="text-sm text-gray-500">No tags available</p>
+                      ) : (
+                        tags.map(tag => (
+                          <label key={tag.id} className="flex items-center gap-2 text-sm">
+                            <Checkbox
+                              checked={field.value.includes(tag.id)}
+                              onCheckedChange={checked => {
+                                field.onChange(checked
+                                  ? [...field.value, tag.id]
+                                  : field.value.filter(id => id !== tag.id));
+                              }}
+                            />
+                            {tag.name}
+                          </label>
+                        ))
+                      )}
+                    </div>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="image"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Image</FormLabel>
+                    <div className="flex gap-2">
+                      <FormControl>
+                        <Input placeholder="/images/news/example.jpg" {...field} />
+                      </FormControl>
+                      <ImageUploadButton usageType="news" onUploaded={field.onChange} />
+                    </div>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <div className="flex justify-end gap-4">
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                submitLabel
+              )}
+            </Button>
+          </div>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+export default NewsForm;
@@ -0,0 +1,410 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '../../../components/ui/dropdown-menu';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '../../../components/ui/pagination';
+import { Input } from '../../../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Badge } from '../../../components/ui/badge';
+import { FilePlus, Loader2, MoreHorizontal, RefreshCw, Search, Star } from 'lucide-react';
+import {
+  News,
+  NewsCategory,
+  NewsStatus,
+  NEWS_STATUSES,
+  PaginationInfo,
+  useNewsController
+} from '../../controllers/NewsController';
+
+const statusBadgeVariant = (status: NewsStatus) => {
+  if (status === 'published') return 'default';
+  if (status === 'archived') return 'outline';
+  return 'secondary';
+};
+
+const NewsList = () => {
+  // State
+  const [news, setNews] = useState<News[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo>({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    pageSize: 10
+  });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [status, setStatus] = useState<NewsStatus | undefined>(undefined);
+  const [categoryId, setCategoryId] = useState<string | undefined>(undefined);
+  const [categories, setCategories] = useState<NewsCategory[]>([]);
+
+  // Sử dụng NewsController để quản lý API calls
+  const {
+    getNews,
+    getCategories,
+    deleteNews,
+    changeNewsStatus,
+    isLoading
+  } = useNewsController();
+
+  // Load categories when component mounts
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const categoriesData = await getCategories();
+        setCategories(categoriesData || []);
+      } catch (error) {
+        console.error('Failed to fetch categories:', error);
+      }
+    };
+
+    loadCategories();
+  }, [getCategories]);
+
+  const loadNews = useCallback(async () => {
+    try {
+      const queryParams = {
+        page: pagination.currentPage,
+        pageSize: pagination.pageSize,
+        ...(searchTerm && { search: searchTerm }),
+        ...(status && { status }),
+        ...(categoryId && { categoryId })
+      };
+
+      const result = await getNews(queryParams);
+      if (result) {
+        setNews(result.data);
+        setPagination(result.pagination);
+      }
+    } catch (error) {
+      console.error('Failed to fetch news:', error);
+    }
+  }, [pagination.currentPage, pagination.pageSize, searchTerm, status, categoryId, getNews]);
+
+  // Load news when component mounts or filters change
+  useEffect(() => {
+    loadNews();
+  }, [loadNews]);
+
+  // Handle search input change
+  const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setSearchTerm(e.target.value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle status filter change
+  const handleStatusChange = (value: string) => {
+    setStatus(value === 'all' ? undefined : value as NewsStatus);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle category filter change
+  const handleCategoryChange = (value: string) => {
+    setCategoryId(value === 'all' ? undefined : value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle page change
+  const changePage = (page: number) => {
+    setPagination(prev => ({ ...prev, currentPage: page }));
+  };
+
+  // Handle page size change
+  const changePageSize = (size: number) => {
+    setPagination(prev => ({ ...prev, pageSize: size, currentPage: 1 }));
+  };
+
+  // Handle article deletion
+  const handleDeleteNews = async (newsId: number) => {
+    try {
+      const success = await deleteNews(newsId);
+      if (success) {
+        await loadNews();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Delete error:', error);
+    }
+  };
+
+  // Handle publish/draft/archive actions
+  const handleChangeStatus = async (newsId: number, newStatus: NewsStatus) => {
+    try {
+      const updated = await changeNewsStatus(newsId, newStatus);
+      if (updated) {
+        await loadNews();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Change status error:', error);
+    }
+  };
+
+  // Generate pagination items
+  const getPaginationItems = () => {
+    const items = [];
+    const maxItems = 5;
+    let startPage = Math.max(pagination.currentPage - 2, 1);
+    const endPage = Math.min(startPage + maxItems - 1, pagination.totalPages);
+
+    if (endPage - startPage + 1 < maxItems) {
+      startPage = Math.max(endPage - maxItems + 1, 1);
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+      items.push(
+        <PaginationItem key={i}>
+          <PaginationLink
+            onClick={() => changePage(i)}
+            isActive={pagination.currentPage === i}
+          >
+            {i}
+          </PaginationLink>
+        </PaginationItem>
+      );
+    }
+
+    return items;
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">News Management</h1>
+          <p className="text-gray-500">Write, publish and archive news articles</p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <Button asChild>
+            <Link to="/admin/news/create">
+              <FilePlus className="mr-2 h-4 w-4" />
+              Add New Article
+            </Link>
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>News Articles</CardTitle>
+          <CardDescription>
+            {pagination.totalItems} total articles
+          </CardDescription>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4">
+            <div className="relative flex-1">
+              <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-500" />
+              <Input
+                placeholder="Search news..."
+                className="pl-8"
+                value={searchTerm}
+                onChange={handleSearchChange}
+              />
+            </div>
+            <div className="w-full sm:w-40">
+              <Select value={status || 'all'} onValueChange={handleStatusChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  {NEWS_STATUSES.map(item => (
+                    <SelectItem key={item} value={item}>{item}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="w-full sm:w-48">
+              <Select value={categoryId || 'all'} onValueChange={handleCategoryChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by category" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Categories</SelectItem>
+                  {categories.map(category => (
+                    <SelectItem key={category.id} value={category.id.toString()}>
+                      {category.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={loadNews} className="sm:w-auto">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Title</TableHead>
+                  <TableHead className="hidden md:table-cell">Category</TableHead>
+                  <TableHead className="hidden md:table-cell">Author</TableHead>
+                  <TableHead className="hidden lg:table-cell">Publish Date</TableHead>
+                  <TableHead className="hidden lg:table-cell">Views</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {isLoading && news.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} className="h-24 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin mx-auto" />
+                      <span className="mt-2 block text-sm text-gray-500">Loading news...</span>
+                    </TableCell>
+                  </TableRow>
+                ) : news.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} className="h-24 text-center">
+                      <span className="text-sm text-gray-500">No news articles found</span>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  news.map((item) => (
+                    <TableRow key={item.id}>
+                      <TableCell className="font-medium">
+                        <Link to={`/admin/news/${item.id}/edit`} className="hover:underline">
+                          {item.title}
+                        </Link>
+                        {item.featured && (
+                          <Star className="inline h-4 w-4 ml-2 text-amber-500 fill-amber-500" />
+                        )}
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell">{item.category_name || '-'}</TableCell>
+                      <TableCell className="hidden md:table-cell">{item.author_name || '-'}</TableCell>
+                      <TableCell className="hidden lg:table-cell">
+                        {item.publish_date ? new Date(item.publish_date).toLocaleDateString() : '-'}
+                      </TableCell>
+                      <TableCell className="hidden lg:table-cell">{item.views}</TableCell>
+                      <TableCell>
+                        <Badge variant={statusBadgeVariant(item.status)}>
+                          {item.status}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="ghost" size="icon">
+                              <MoreHorizontal className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            <DropdownMenuItem asChild>
+                              <Link to={`/admin/news/${item.id}/edit`}>
+                                Edit Article
+                              </Link>
+                            </DropdownMenuItem>
+                            {item.status !== 'published' && (
+                              <DropdownMenuItem onClick={() => handleChangeStatus(item.id, 'published')}>
+                                Publish
+                              </DropdownMenuItem>
+                            )}
+                            {item.status !== 'draft' && (
+                              <DropdownMenuItem onClick={() => handleChangeStatus(item.id, 'draft')}>
+                                Move to Draft
+                              </DropdownMenuItem>
+                            )}
+                            {item.status !== 'archived' && (
+                              <DropdownMenuItem onClick={() => handleChangeStatus(item.id, 'archived')}>
+                                Archive
+                              </DropdownMenuItem>
+                            )}
+                            <DropdownMenuSeparator />
+                            <DropdownMenuItem
+                              className="text-red-600"
+                              onClick={() => handleDeleteNews(item.id)}
+                            >
+                              Delete Article
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row items-center justify-between mt-4 gap-4">
+            <div className="text-sm text-gray-500">
+              Showing {news.length > 0 ? (pagination.currentPage - 1) * pagination.pageSize + 1 : 0} - {Math.min(pagination.currentPage * pagination.pageSize, pagination.totalItems)} of {pagination.totalItems} articles
+            </div>
+            <div className="flex items-center gap-2">
+              <Select
+                value={pagination.pageSize.toString()}
+                onValueChange={(value) => changePageSize(parseInt(value))}
+              >
+                <SelectTrigger className="w-[120px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="10">10 per page</SelectItem>
+                  <SelectItem value="20">20 per page</SelectItem>
+                  <SelectItem value="50">50 per page</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Pagination>
+                <PaginationContent>
+                  <PaginationItem>
+                    <PaginationPrevious
+                      onClick={() => changePage(Math.max(1, pagination.currentPage - 1))}
+                      className={pagination.currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+
+                  {getPaginationItems()}
+
+                  <PaginationItem>
+                    <PaginationNext
+                      onClick={() => changePage(Math.min(pagination.totalPages, pagination.currentPage + 1))}
+                      className={pagination.currentPage >= pagination.totalPages ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+                </PaginationContent>
+              </Pagination>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default NewsList;
@@ -0,0 +1,3 @@
+export { default as NewsList } from './NewsList';
+export { default as NewsCreate } from './NewsCreate';
+export { default as NewsEdit } from './NewsEdit';
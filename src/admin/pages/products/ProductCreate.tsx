@@ -0,0 +1,49 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Button } from '../../../components/ui/button';
+import { ArrowLeft } from 'lucide-react';
+import { ProductFormData, useProductController } from '../../controllers/ProductController';
+import ProductForm from './ProductForm';
+
+const ProductCreate = () => {
+  const navigate = useNavigate();
+
+  // Sử dụng ProductController để quản lý API calls
+  const { createProduct, isLoading, validationErrors } = useProductController();
+
+  // Handle form submission
+  const onSubmit = async (data: ProductFormData) => {
+    try {
+      const product = await createProduct(data);
+      if (product) {
+        navigate(`/admin/products/${product.id}/edit`);
+      }
+    } catch (error) {
+      // Error handling is done in the controller
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center mb-6">
+        <Button variant="ghost" asChild className="mr-4">
+          <Link to="/admin/products">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Products
+          </Link>
+        </Button>
+        <h1 className="text-2xl font-bold">Create Product</h1>
+      </div>
+
+      <ProductForm
+        onSubmit={onSubmit}
+        onCancel={() => navigate('/admin/products')}
+        isSubmitting={isLoading}
+        submitLabel="Create Product"
+        validationErrors={validationErrors}
+      />
+    </div>
+  );
+};
+
+export default ProductCreate;
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Button } from '../../../components/ui/button';
+import { Badge } from '../../../components/ui/badge';
+import { ArrowLeft, ExternalLink, Loader2 } from 'lucide-react';
+import {
+  Product,
+  ProductFormData,
+  useProductController
+} from '../../controllers/ProductController';
+import ProductForm, { ProductFormValues } from './ProductForm';
+import RecordHistory from '../../components/RecordHistory';
+import ConflictDialog, { ConflictField } from '../../components/ConflictDialog';
+
+// Các trường so sánh khi người khác đã lưu sản phẩm trước
+const CONFLICT_FIELDS: ConflictField[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'slug', label: 'Slug' },
+  { field: 'description', label: 'Description' },
+  { field: 'category_id', label: 'Category ID' },
+  { field: 'image', label: 'Main Image' },
+  { field: 'status', label: 'Status' },
+  { field: 'specifications', label: 'Specifications' },
+  { field: 'features', label: 'Features' },
+  { field: 'images', label: 'Gallery' },
+];
+
+/**
+ * Chuyển sản phẩm từ API sang giá trị của form
+ */
+const toFormValues = (product: Product): ProductFormValues => ({
+  name: product.name || '',
+  slug: product.slug || '',
+  description: product.description || '',
+  category_id: product.category_id ? product.category_id.toString() : '',
+  image: product.image || '',
+  status: product.status,
+  specifications: Object.entries(product.specifications || {}).map(([name, value]) => ({
+    name,
+    value: String(value)
+  })),
+  features: (product.features || []).map(value => ({ value })),
+  images: (product.images || []).map(image => ({
+    image_path: image.image_path,
+    alt_text: image.alt_text || ''
+  })),
+});
+
+const ProductEdit = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [product, setProduct] = useState<Product | null>(null);
+  const [formValues, setFormValues] = useState<ProductFormValues | undefined>(undefined);
+  // Dữ liệu vừa gửi lên, dùng để so sánh và ghi đè khi có xung đột phiên bản
+  const [pendingChanges, setPendingChanges] = useState<ProductFormData | null>(null);
+
+  // Sử dụng ProductController để quản lý API calls
+  const {
+    getProductById,
+    updateProduct,
+    isLoading,
+    validationErrors,
+    conflict,
+    clearConflict
+  } = useProductController();
+
+  // Load product when component mounts
+  useEffect(() => {
+    const loadProduct = async () => {
+      if (!id) return;
+      try {
+        const productData = await getProductById(parseInt(id, 10));
+        if (!productData) {
+          navigate('/admin/products');
+          return;
+        }
+        setProduct(productData);
+        setFormValues(toFormValues(productData));
+      } catch (error) {
+        // Navigate back if product not found
+        navigate('/admin/products');
+      }
+    };
+
+    loadProduct();
+  }, [id, getProductById, navigate]);
+
+  // Save the product; version is the row_version it was loaded at (If-Match)
+  const save = async (data: ProductFormData, version?: number) => {
+    if (!id) return;
+    setPendingChanges(data);
+    try {
+      const updated = await updateProduct(parseInt(id, 10), data, version);
+      if (updated) {
+        setProduct(updated);
+        setFormValues(toFormValues(updated));
+      }
+    } catch (error) {
+      // Error handling is done in the controller
+    }
+  };
+
+  // Handle form submission
+  const onSubmit = (data: ProductFormData) => save(data, product?.row_version);
+
+  // Conflict: discard the changes and continue from the version saved by the other user
+  const handleReloadConflict = () => {
+    if (conflict) {
+      setProduct(conflict);
+      setFormValues(toFormValues(conflict));
+    }
+    clearConflict();
+  };
+
+  // Conflict: save the changes again over the version saved by the other user
+  const handleOverwriteConflict = () => {
+    if (pendingChanges && conflict) {
+      save(pendingChanges, conflict.row_version);
+    }
+  };
+
+  if (!product) {
+    return (
+      <div className="p-6 flex items-center justify-center h-64">
+        <div className="text-center">
+          <Loader2 className="h-8 w-8 animate-spin mx-auto mb-4" />
+          <p className="text-gray-500">Loading product...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-6 gap-4">
+        <div className="flex items-center">
+          <Button variant="ghost" asChild className="mr-4">
+            <Link to="/admin/products">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Products
+            </Link>
+          </Button>
+          <h1 className="text-2xl font-bold mr-3">Edit Product</h1>
+          <Badge variant={product.status === 'active' ? 'default' : 'secondary'}>{product.status}</Badge>
+        </div>
+        {product.status === 'active' && product.category_slug && (
+          <Button variant="outline" asChild>
+            <a href={`/products/${product.category_slug}?product=${product.slug}`} target="_blank" rel="noreferrer">
+              <ExternalLink className="h-4 w-4 mr-2" />
+              View on Website
+            </a>
+          </Button>
+        )}
+      </div>
+
+      <ProductForm
+        initialValues={formValues}
+        onSubmit={onSubmit}
+        onCancel={() => navigate('/admin/products')}
+        isSubmitting={isLoading}
+        submitLabel="Save Changes"
+        validationErrors={validationErrors}
+      />
+
+      <div className="mt-6">
+        {/* Tải lại lịch sử sau mỗi lần lưu */}
+        <RecordHistory key={product.updated_at} resource="products" recordId={product.id} />
+      </div>
+
+      <ConflictDialog
+        open={!!conflict}
+        fields={CONFLICT_FIELDS}
+        mine={pendingChanges}
+        theirs={conflict}
+        isSubmitting={isLoading}
+        onReload={handleReloadConflict}
+        onOverwrite={handleOverwriteConflict}
+        onCancel={clearConflict}
+      />
+    </div>
+  );
+};
+
+export default ProductEdit;
@@ -0,0 +1,497 @@
+import React, { useEffect, useState } from 'react';
+import { z } from 'zod';
+import { useFieldArray, useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '../../../components/ui/form';
+import { Input } from '../../../components/ui/input';
+import { Textarea } from '../../../components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Button } from '../../../components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '../../../components/ui/card';
+import { ArrowDown, ArrowUp, Loader2, Plus, Trash2 } from 'lucide-react';
+import {
+  ProductCategory,
+  ProductFormData,
+  PRODUCT_STATUSES,
+  useProductController
+} from '../../controllers/ProductController';
+import ImageUploadButton from '../../components/ImageUploadButton';
+
+// Form validation schema, giới hạn độ dài khớp với bảng products và product_images
+const productSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(255, 'Name must be at most 255 characters'),
+  slug: z.string()
+    .max(300, 'Slug must be at most 300 characters')
+    .regex(/^([a-z0-9]+(?:-[a-z0-9]+)*)?$/, 'Slug may only contain lowercase letters, numbers and dashes')
+    .optional(),
+  description: z.string().optional(),
+  category_id: z.string().min(1, 'Please select a category'),
+  image: z.string().max(255, 'Image path must be at most 255 characters').optional(),
+  status: z.enum(['active', 'inactive']),
+  specifications: z.array(z.object({
+    name: z.string().trim().min(1, 'Name is required'),
+    value: z.string(),
+  })).refine(
+    specs => new Set(specs.map(spec => spec.name.trim())).size === specs.length,
+    'Specification names must be unique'
+  ),
+  features: z.array(z.object({
+    value: z.string().trim().min(1, 'Feature cannot be empty'),
+  })),
+  images: z.array(z.object({
+    image_path: z.string().trim().min(1, 'Image path is required').max(255, 'Image path must be at most 255 characters'),
+    alt_text: z.string().max(255, 'Alt text must be at most 255 characters').optional(),
+  })),
+});
+
+export type ProductFormValues = z.infer<typeof productSchema>;
+
+const emptyProductFormValues: ProductFormValues = {
+  name: '',
+  slug: '',
+  description: '',
+  category_id: '',
+  image: '',
+  status: 'active',
+  specifications: [],
+  features: [],
+  images: [],
+};
+
+const statusLabels: Record<string, string> = {
+  active: 'Active',
+  inactive: 'Inactive'
+};
+
+interface ProductFormProps {
+  initialValues?: ProductFormValues;
+  onSubmit: (data: ProductFormData) => Promise<void>;
+  onCancel: () => void;
+  isSubmitting: boolean;
+  submitLabel: string;
+  validationErrors?: Record<string, string[]> | null;
+}
+
+/**
+ * Chuyển giá trị form sang dữ liệu gửi lên API
+ */
+const toProductFormData = (values: ProductFormValues): ProductFormData => ({
+  name: values.name,
+  slug: values.slug || undefined,
+  description: values.description || '',
+  category_id: parseInt(values.category_id, 10),
+  image: values.image || values.images[0]?.image_path || '',
+  status: values.status,
+  specifications: Object.fromEntries(values.specifications.map(spec => [spec.name.trim(), spec.value])),
+  features: values.features.map(feature => feature.value),
+  images: values.images.map(image => ({
+    image_path: image.image_path,
+    alt_text: image.alt_text || null
+  })),
+});
+
+/**
+ * Form dùng chung cho trang tạo và chỉnh sửa sản phẩm
+ */
+const ProductForm: React.FC<ProductFormProps> = ({
+  initialValues,
+  onSubmit,
+  onCancel,
+  isSubmitting,
+  submitLabel,
+  validationErrors
+}) => {
+  const [categories, setCategories] = useState<ProductCategory[]>([]);
+  const { getCategories } = useProductController();
+
+  const form = useForm<ProductFormValues>({
+    resolver: zodResolver(productSchema),
+    defaultValues: initialValues || emptyProductFormValues,
+  });
+
+  const specifications = useFieldArray({ control: form.control, name: 'specifications' });
+  const features = useFieldArray({ control: form.control, name: 'features' });
+  const images = useFieldArray({ control: form.control, name: 'images' });
+
+  // Load categories for the picker
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const categoriesData = await getCategories();
+        setCategories(categoriesData || []);
+      } catch (error) {
+        console.error('Failed to load product categories:', error);
+      }
+    };
+
+    loadCategories();
+  }, [getCategories]);
+
+  // Reset form when the product is loaded
+  useEffect(() => {
+    if (initialValues) {
+      form.reset(initialValues);
+    }
+  }, [initialValues, form]);
+
+  // Show field-level errors returned by the domain service
+  useEffect(() => {
+    if (validationErrors) {
+      Object.entries(validationErrors).forEach(([field, messages]) => {
+        form.setError(field as keyof ProductFormValues, { message: messages[0] });
+      });
+    }
+  }, [validationErrors, form]);
+
+  const handleSubmit = async (values: ProductFormValues) => {
+    await onSubmit(toProductFormData(values));
+  };
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(handleSubmit)} className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Product</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <FormField
+                control={form.control}
+                name="name"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Name*</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Enter product name" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="slug"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Slug</FormLabel>
+                    <FormControl>
+                      <Input placeholder="generated-from-name" {...field} />
+                    </FormControl>
+                    <FormDescription>
+                      Leave empty to generate it from the name
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="description"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Description</FormLabel>
+                    <FormControl>
+                      <Textarea rows={4} placeholder="Short description shown in product listings" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+              <CardTitle>Specifications</CardTitle>
+              <Button type="button" variant="outline" size="sm" onClick={() => specifications.append({ name: '', value: '' })}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Specification
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {specifications.fields.length === 0 && (
+                <p className="text-sm text-gray-500">No specifications yet</p>
+              )}
+              {specifications.fields.map((item, index) => (
+                <div key={item.id} className="flex gap-2 items-start">
+                  <FormField
+                    control={form.control}
+                    name={`specifications.${index}.name`}
+                    render={({ field }) => (
+                      <FormItem className="flex-1">
+                        <FormControl>
+                          <Input placeholder="Name, e.g. Công suất làm lạnh" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <FormField
+                    control={form.control}
+                    name={`specifications.${index}.value`}
+                    render={({ field }) => (
+                      <FormItem className="flex-1">
+                        <FormControl>
+                          <Input placeholder="Value, e.g. 50.000 BTU/h" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <Button type="button" variant="ghost" size="icon" onClick={() => specifications.remove(index)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <FormField
+                control={form.control}
+                name="specifications"
+                render={() => (
+                  <FormItem>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+              <CardTitle>Features</CardTitle>
+              <Button type="button" variant="outline" size="sm" onClick={() => features.append({ value: '' })}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Feature
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {features.fields.length === 0 && (
+                <p className="text-sm text-gray-500">No features yet</p>
+              )}
+              {features.fields.map((item, index) => (
+                <div key={item.id} className="flex gap-2 items-start">
+                  <FormField
+                    control={form.control}
+                    name={`features.${index}.value`}
+                    render={({ field }) => (
+                      <FormItem className="flex-1">
+                        <FormControl>
+                          <Input placeholder="e.g. Tiết kiệm điện năng 40%" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <Button type="button" variant="ghost" size="icon" onClick={() => features.remove(index)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+              <CardTitle>Gallery</CardTitle>
+              <Button type="button" variant="outline" size="sm" onClick={() => images.append({ image_path: '', alt_text: '' })}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Image
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {images.fields.length === 0 && (
+                <p className="text-sm text-gray-500">No gallery images yet</p>
+              )}
+              {images.fields.map((item, index) => (
+                <div key={item.id} className="flex gap-2 items-start">
+                  <div className="h-10 w-10 shrink-0 rounded bg-gray-100 overflow-hidden">
+                    {form.watch(`images.${index}.image_path`) && (
+                      <img
+                        src={form.watch(`images.${index}.image_path`)}
+                        alt=""
+                        className="h-full w-full object-cover"
+                      />
+                    )}
+                  </div>
+                  <FormField
+                    control={form.control}
+                    name={`images.${index}.image_path`}
+                    render={({ field }) => (
+                      <FormItem className="flex-1">
+                        <div className="flex gap-2">
+                          <FormControl>
+                            <Input placeholder="/images/products/example.jpg" {...field} />
+                          </FormControl>
+                          <ImageUploadButton usageType="product" onUploaded={field.onChange} />
+                        </div>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <FormField
+                    control={form.control}
+                    name={`images.${index}.alt_text`}
+                    render={({ field }) => (
+                      <FormItem className="flex-1">
+                        <FormControl>
+                          <Input placeholder="Alt text" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    disabled={index === 0}
+                    onClick={() => images.move(index, index - 1)}
+                  >
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    disabled={index === images.fields.length - 1}
+                    onClick={() => images.move(index, index + 1)}
+                  >
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => images.remove(index)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <FormField
+                control={form.control}
+                name="images"
+                render={() => (
+                  <FormItem>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Publishing</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <FormField
+                control={form.control}
+                name="status"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Status*</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select a status" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {PRODUCT_STATUSES.map(status => (
+                          <SelectItem key={status} value={status}>
+                            {statusLabels[status]}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormDescription>
+                      Inactive products are hidden from the website
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="category_id"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Category*</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select a category" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {categories.map(category => (
+                          <SelectItem key={category.id} value={category.id.toString()}>
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="image"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Main Image</FormLabel>
+                    <div className="flex gap-2">
+                      <FormControl>
+                        <Input placeholder="/images/products/example.jpg" {...field} />
+                      </FormControl>
+                      <ImageUploadButton usageType="product" onUploaded={field.onChange} />
+                    </div>
+                    <FormDescription>
+                      Defaults to the first gallery image
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+          </Card>
+
+          <div className="flex justify-end gap-4">
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                submitLabel
+              )}
+            </Button>
+          </div>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+export default ProductForm;
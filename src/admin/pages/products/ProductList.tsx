@@ -0,0 +1,400 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '../../../components/ui/dropdown-menu';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '../../../components/ui/pagination';
+import { Input } from '../../../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../../components/ui/select';
+import { Badge } from '../../../components/ui/badge';
+import { ImageIcon, Loader2, MoreHorizontal, PackagePlus, RefreshCw, Search } from 'lucide-react';
+import { PaginationInfo } from '../../controllers/NewsController';
+import {
+  Product,
+  ProductCategory,
+  ProductStatus,
+  PRODUCT_STATUSES,
+  useProductController
+} from '../../controllers/ProductController';
+
+const ProductList = () => {
+  // State
+  const [products, setProducts] = useState<Product[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo>({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    pageSize: 10
+  });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [status, setStatus] = useState<ProductStatus | undefined>(undefined);
+  const [categoryId, setCategoryId] = useState<string | undefined>(undefined);
+  const [categories, setCategories] = useState<ProductCategory[]>([]);
+
+  // Sử dụng ProductController để quản lý API calls
+  const {
+    getProducts,
+    getCategories,
+    updateProduct,
+    deleteProduct,
+    isLoading
+  } = useProductController();
+
+  // Load categories when component mounts
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const categoriesData = await getCategories();
+        setCategories(categoriesData || []);
+      } catch (error) {
+        console.error('Failed to fetch categories:', error);
+      }
+    };
+
+    loadCategories();
+  }, [getCategories]);
+
+  const loadProducts = useCallback(async () => {
+    try {
+      const queryParams = {
+        page: pagination.currentPage,
+        pageSize: pagination.pageSize,
+        sortBy: 'name',
+        sortDir: 'asc',
+        ...(searchTerm && { search: searchTerm }),
+        ...(status && { status }),
+        ...(categoryId && { categoryId })
+      };
+
+      const result = await getProducts(queryParams);
+      if (result) {
+        setProducts(result.data);
+        setPagination(result.pagination);
+      }
+    } catch (error) {
+      console.error('Failed to fetch products:', error);
+    }
+  }, [pagination.currentPage, pagination.pageSize, searchTerm, status, categoryId, getProducts]);
+
+  // Load products when component mounts or filters change
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  // Handle search input change
+  const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setSearchTerm(e.target.value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle status filter change
+  const handleStatusChange = (value: string) => {
+    setStatus(value === 'all' ? undefined : value as ProductStatus);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle category filter change
+  const handleCategoryChange = (value: string) => {
+    setCategoryId(value === 'all' ? undefined : value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle page change
+  const changePage = (page: number) => {
+    setPagination(prev => ({ ...prev, currentPage: page }));
+  };
+
+  // Handle page size change
+  const changePageSize = (size: number) => {
+    setPagination(prev => ({ ...prev, pageSize: size, currentPage: 1 }));
+  };
+
+  // Handle product deletion
+  const handleDeleteProduct = async (productId: number) => {
+    try {
+      const success = await deleteProduct(productId);
+      if (success) {
+        await loadProducts();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Delete error:', error);
+    }
+  };
+
+  // Handle activate/deactivate actions
+  const handleToggleStatus = async (product: Product) => {
+    try {
+      const updated = await updateProduct(product.id, {
+        status: product.status === 'active' ? 'inactive' : 'active'
+      }, product.row_version);
+      if (updated) {
+        await loadProducts();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Change status error:', error);
+    }
+  };
+
+  // Generate pagination items
+  const getPaginationItems = () => {
+    const items = [];
+    const maxItems = 5;
+    let startPage = Math.max(pagination.currentPage - 2, 1);
+    const endPage = Math.min(startPage + maxItems - 1, pagination.totalPages);
+
+    if (endPage - startPage + 1 < maxItems) {
+      startPage = Math.max(endPage - maxItems + 1, 1);
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+      items.push(
+        <PaginationItem key={i}>
+          <PaginationLink
+            onClick={() => changePage(i)}
+            isActive={pagination.currentPage === i}
+          >
+            {i}
+          </PaginationLink>
+        </PaginationItem>
+      );
+    }
+
+    return items;
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Product Management</h1>
+          <p className="text-gray-500">Manage the product catalog shown on the website</p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <Button asChild>
+            <Link to="/admin/products/create">
+              <PackagePlus className="mr-2 h-4 w-4" />
+              Add New Product
+            </Link>
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Products</CardTitle>
+          <CardDescription>
+            {pagination.totalItems} total products
+          </CardDescription>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4">
+            <div className="relative flex-1">
+              <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-500" />
+              <Input
+                placeholder="Search products..."
+                className="pl-8"
+                value={searchTerm}
+                onChange={handleSearchChange}
+              />
+            </div>
+            <div className="w-full sm:w-40">
+              <Select value={status || 'all'} onValueChange={handleStatusChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  {PRODUCT_STATUSES.map(item => (
+                    <SelectItem key={item} value={item}>{item}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="w-full sm:w-48">
+              <Select value={categoryId || 'all'} onValueChange={handleCategoryChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Filter by category" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Categories</SelectItem>
+                  {categories.map(category => (
+                    <SelectItem key={category.id} value={category.id.toString()}>
+                      {category.name} ({category.product_count})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={loadProducts} className="sm:w-auto">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-16">Image</TableHead>
+                  <TableHead>Name</TableHead>
+                  <TableHead className="hidden md:table-cell">Category</TableHead>
+                  <TableHead className="hidden lg:table-cell">Updated</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {isLoading && products.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin mx-auto" />
+                      <span className="mt-2 block text-sm text-gray-500">Loading products...</span>
+                    </TableCell>
+                  </TableRow>
+                ) : products.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="h-24 text-center">
+                      <span className="text-sm text-gray-500">No products found</span>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  products.map((item) => (
+                    <TableRow key={item.id}>
+                      <TableCell>
+                        {item.image ? (
+                          <img src={item.image} alt={item.name} className="h-10 w-10 rounded object-cover" />
+                        ) : (
+                          <div className="h-10 w-10 rounded bg-gray-100 flex items-center justify-center">
+                            <ImageIcon className="h-4 w-4 text-gray-400" />
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="font-medium">
+                        <Link to={`/admin/products/${item.id}/edit`} className="hover:underline">
+                          {item.name}
+                        </Link>
+                        <div className="text-xs text-gray-500">{item.slug}</div>
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell">{item.category_name || '-'}</TableCell>
+                      <TableCell className="hidden lg:table-cell">
+                        {item.updated_at ? new Date(item.updated_at).toLocaleDateString() : '-'}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={item.status === 'active' ? 'default' : 'secondary'}>
+                          {item.status}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="ghost" size="icon">
+                              <MoreHorizontal className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            <DropdownMenuItem asChild>
+                              <Link to={`/admin/products/${item.id}/edit`}>
+                                Edit Product
+                              </Link>
+                            </DropdownMenuItem>
+                            <DropdownMenuItem onClick={() => handleToggleStatus(item)}>
+                              {item.status === 'active' ? 'Deactivate' : 'Activate'}
+                            </DropdownMenuItem>
+                            <DropdownMenuSeparator />
+                            <DropdownMenuItem
+                              className="text-red-600"
+                              onClick={() => handleDeleteProduct(item.id)}
+                            >
+                              Delete Product
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row items-center justify-between mt-4 gap-4">
+            <div className="text-sm text-gray-500">
+              Showing {products.length > 0 ? (pagination.currentPage - 1) * pagination.pageSize + 1 : 0} - {Math.min(pagination.currentPage * pagination.pageSize, pagination.totalItems)} of {pagination.totalItems} products
+            </div>
+            <div className="flex items-center gap-2">
+              <Select
+                value={pagination.pageSize.toString()}
+                onValueChange={(value) => changePageSize(parseInt(value))}
+              >
+                <SelectTrigger className="w-[120px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="10">10 per page</SelectItem>
+                  <SelectItem value="20">20 per page</SelectItem>
+                  <SelectItem value="50">50 per page</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Pagination>
+                <PaginationContent>
+                  <PaginationItem>
+                    <PaginationPrevious
+                      onClick={() => changePage(Math.max(1, pagination.currentPage - 1))}
+                      className={pagination.currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+
+                  {getPaginationItems()}
+
+                  <PaginationItem>
+                    <PaginationNext
+                      onClick={() => changePage(Math.min(pagination.totalPages, pagination.currentPage + 1))}
+                      className={pagination.currentPage >= pagination.totalPages ? 'pointer-events-none opacity-50' : ''}
+                    />
+                  </PaginationItem>
+                </PaginationContent>
+              </Pagination>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ProductList;
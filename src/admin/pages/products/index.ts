@@ -0,0 +1,3 @@
+export { default as ProductList } from './ProductList';
+export { default as ProductCreate } from './ProductCreate';
+export { default as ProductEdit } from './ProductEdit';
@@ -0,0 +1,268 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '../../../components/ui/card';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationItem,
+  PaginationNext,
+  PaginationPrevious,
+} from '../../../components/ui/pagination';
+import { Tabs, TabsList, TabsTrigger } from '../../../components/ui/tabs';
+import { Loader2, RefreshCw, RotateCcw, Trash2 } from 'lucide-react';
+import { PaginationInfo } from '../../controllers/NewsController';
+import { TrashEntry, TrashResource, useTrashController } from '../../controllers/TrashController';
+
+const RESOURCE_LABELS: Record<TrashResource, string> = {
+  users: 'Users',
+  news: 'News',
+  products: 'Products',
+  projects: 'Projects'
+};
+
+// Cột nhận diện bản ghi của từng resource: tên hiển thị và thông tin phụ
+const describeEntry = (resource: TrashResource, entry: TrashEntry) => {
+  switch (resource) {
+    case 'users':
+      return { title: entry.username, subtitle: entry.email };
+    case 'products':
+      return { title: entry.name, subtitle: entry.slug };
+    default:
+      return { title: entry.title, subtitle: entry.slug };
+  }
+};
+
+const TrashList = () => {
+  const { getResources, getTrash, restore, purge, isLoading } = useTrashController();
+  const resources = useMemo(() => getResources(), [getResources]);
+
+  // State
+  const [resource, setResource] = useState<TrashResource | undefined>(resources[0]);
+  const [entries, setEntries] = useState<TrashEntry[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo>({
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    pageSize: 20
+  });
+
+  // Quyền được nạp sau khi đăng nhập: chọn tab đầu tiên người dùng được phép xem
+  useEffect(() => {
+    if (!resource || !resources.includes(resource)) {
+      setResource(resources[0]);
+    }
+  }, [resources, resource]);
+
+  const loadEntries = useCallback(async () => {
+    if (!resource) {
+      return;
+    }
+
+    try {
+      const result = await getTrash(resource, {
+        page: pagination.currentPage,
+        pageSize: pagination.pageSize
+      });
+      if (result) {
+        setEntries(result.data);
+        setPagination(result.pagination);
+      }
+    } catch (error) {
+      console.error('Failed to fetch the trash:', error);
+    }
+  }, [resource, pagination.currentPage, pagination.pageSize, getTrash]);
+
+  // Load entries when component mounts, the resource or the page changes
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  // Handle resource tab change
+  const handleResourceChange = (value: string) => {
+    setResource(value as TrashResource);
+    setEntries([]);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Handle page change
+  const changePage = (page: number) => {
+    setPagination(prev => ({ ...prev, currentPage: page }));
+  };
+
+  // Restore a record and reload the list
+  const handleRestore = async (id: number) => {
+    if (!resource) {
+      return;
+    }
+
+    try {
+      if (await restore(resource, id)) {
+        await loadEntries();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Restore error:', error);
+    }
+  };
+
+  // Permanently delete a record and reload the list
+  const handlePurge = async (id: number) => {
+    if (!resource) {
+      return;
+    }
+
+    try {
+      if (await purge(resource, id)) {
+        await loadEntries();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Purge error:', error);
+    }
+  };
+
+  if (!resource) {
+    return (
+      <div className="p-6">
+        <h1 className="text-2xl font-bold">Trash</h1>
+        <p className="text-gray-500">You do not have permission to manage deleted records</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-col md:flex-row justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Trash</h1>
+          <p className="text-gray-500">Deleted records can be restored until they are permanently deleted</p>
+        </div>
+        <div className="mt-4 md:mt-0">
+          <Button variant="outline" onClick={loadEntries} disabled={isLoading}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      <Tabs value={resource} onValueChange={handleResourceChange}>
+        <TabsList className="mb-6">
+          {resources.map(item => (
+            <TabsTrigger key={item} value={item}>{RESOURCE_LABELS[item]}</TabsTrigger>
+          ))}
+        </TabsList>
+      </Tabs>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Deleted {RESOURCE_LABELS[resource].toLowerCase()}</CardTitle>
+          <CardDescription>{pagination.totalItems} records in the trash</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Record</TableHead>
+                  <TableHead>Deleted</TableHead>
+                  <TableHead className="hidden md:table-cell">Deleted by</TableHead>
+                  <TableHead className="hidden lg:table-cell">Permanently deleted on</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {isLoading && entries.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} className="h-24 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin mx-auto" />
+                      <span className="mt-2 block text-sm text-gray-500">Loading deleted records...</span>
+                    </TableCell>
+                  </TableRow>
+                ) : entries.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} className="h-24 text-center">
+                      <span className="text-sm text-gray-500">The trash is empty</span>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  entries.map((entry) => {
+                    const { title, subtitle } = describeEntry(resource, entry);
+                    return (
+                      <TableRow key={entry.id}>
+                        <TableCell>
+                          <span className="font-medium">{title || `#${entry.id}`}</span>
+                          {subtitle && <div className="text-xs text-gray-500">{subtitle}</div>}
+                        </TableCell>
+                        <TableCell>{new Date(entry.deleted_at).toLocaleString()}</TableCell>
+                        <TableCell className="hidden md:table-cell">{entry.deleted_by_username || '-'}</TableCell>
+                        <TableCell className="hidden lg:table-cell">
+                          {entry.purge_at ? new Date(entry.purge_at).toLocaleDateString() : 'Never'}
+                        </TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                          <Button variant="outline" size="sm" onClick={() => handleRestore(entry.id)} disabled={isLoading}>
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                            Restore
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="ml-2 text-red-600"
+                            onClick={() => handlePurge(entry.id)}
+                            disabled={isLoading}
+                          >
+                            <Trash2 className="h-4 w-4 mr-1" />
+                            Delete forever
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <Pagination className="mt-4">
+              <PaginationContent>
+                <PaginationItem>
+                  <PaginationPrevious
+                    onClick={() => changePage(Math.max(1, pagination.currentPage - 1))}
+                    className={pagination.currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
+                  />
+                </PaginationItem>
+                <PaginationItem>
+                  <span className="px-4 text-sm text-gray-500">
+                    Page {pagination.currentPage} of {pagination.totalPages}
+                  </span>
+                </PaginationItem>
+                <PaginationItem>
+                  <PaginationNext
+                    onClick={() => changePage(Math.min(pagination.totalPages, pagination.currentPage + 1))}
+                    className={pagination.currentPage >= pagination.totalPages ? 'pointer-events-none opacity-50' : ''}
+                  />
+                </PaginationItem>
+              </PaginationContent>
+            </Pagination>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default TrashList;
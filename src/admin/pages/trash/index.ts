@@ -0,0 +1 @@
+export { default as TrashList } from './TrashList';
@@ -25,6 +25,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '../../../components/ui
 import { ArrowLeft, Loader2 } from 'lucide-react';
 import { useToast } from '../../../hooks/use-toast';
 import useApi from '../../hooks/useApi';
+import { ValidationError } from '../../services/api-broker';
 import { API_ENDPOINTS } from '../../services/api-url.service';
 
 // Form validation schema
@@ -61,7 +62,9 @@ const UserCreate = () => {  const navigate = useNavigate();
   useEffect(() => {
     const loadRoles = async () => {
       try {
-        const rolesData = await callApi<string[]>(API_ENDPOINTS.USERS.ROLES);
+        // GET /roles trả về danh sách vai trò (kể cả vai trò tự tạo), chỉ cần tên
+        const response = await callApi<{ data: { name: string }[] }>(API_ENDPOINTS.USERS.ROLES);
+        const rolesData = (response.data || []).map(role => role.name);
         setRoles(rolesData);
         // If there are roles, set the default role to the first one
         if (rolesData.length > 0) {
@@ -95,6 +98,12 @@ const UserCreate = () => {  const navigate = useNavigate();
       // Navigate to the user list
       navigate('/admin/users');
     } catch (error: any) {
+      // Lỗi theo trường từ server (ví dụ mật khẩu không đạt chính sách) hiển thị dưới trường tương ứng
+      if (error instanceof ValidationError) {
+        Object.entries(error.errors).forEach(([field, messages]) => {
+          form.setError(field as keyof FormValues, { message: messages[0] });
+        });
+      }
       toast({
         title: 'Error',
         description: error.message || 'Failed to create user',
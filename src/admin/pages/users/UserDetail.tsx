@@ -4,8 +4,11 @@ import { Card, CardContent, CardHeader, CardTitle } from '../../../components/ui
 import { Button } from '../../../components/ui/button';
 import { Badge } from '../../../components/ui/badge';
 import { Separator } from '../../../components/ui/separator';
-import { ArrowLeft, Loader2, Pencil, AlertCircle } from 'lucide-react';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../../components/ui/tabs';
+import { ArrowLeft, Loader2, Pencil, AlertCircle, LockOpen } from 'lucide-react';
 import { useUserController, User } from '../../controllers/UserController';
+import UserSessions from './UserSessions';
+import RecordHistory from '../../components/RecordHistory';
 
 const UserDetail = () => {
   const { id } = useParams();
@@ -17,6 +20,7 @@ const UserDetail = () => {
     getUserById,
     deleteUser,
     toggleUserStatus,
+    unlockUser,
     isLoading,
     error
   } = useUserController();
@@ -54,10 +58,10 @@ const UserDetail = () => {
     if (!user) return;
     
     try {
-      const success = await toggleUserStatus(Number(id), user.is_active);
+      const success = await toggleUserStatus(Number(id), user.is_active, user.row_version);
       if (success) {
-        // Update local state
-        setUser(prev => prev ? { ...prev, is_active: !prev.is_active } : null);
+        // Tải lại để có row_version mới cho lần sửa tiếp theo
+        setUser(await getUserById(Number(id)));
       }
     } catch (error: any) {
       // Lỗi đã được xử lý trong controller
@@ -65,6 +69,19 @@ const UserDetail = () => {
     }
   };
 
+  // Handle account unlock - tài khoản bị khóa tạm thời do đăng nhập sai nhiều lần
+  const handleUnlock = async () => {
+    try {
+      const status = await unlockUser(Number(id));
+      if (status) {
+        setUser(prev => prev ? { ...prev, locked_until: null } : null);
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Unlock error:", error);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="p-6 flex items-center justify-center h-64">
@@ -110,6 +127,8 @@ const UserDetail = () => {
     );
   }
 
+  const isLocked = !!user.locked_until && new Date(user.locked_until).getTime() > Date.now();
+
   return (
     <div className="p-6">
       <div className="flex flex-col md:flex-row md:items-center justify-between mb-6 gap-4">
@@ -129,6 +148,12 @@ const UserDetail = () => {
               Edit User
             </Link>
           </Button>
+          {isLocked && (
+            <Button variant="outline" onClick={handleUnlock}>
+              <LockOpen className="h-4 w-4 mr-2" />
+              Unlock Account
+            </Button>
+          )}
           <Button 
             variant={user.is_active ? "destructive" : "default"}
             onClick={handleToggleStatus}
@@ -145,69 +170,83 @@ const UserDetail = () => {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 gap-6">
-        <Card>
-          <CardHeader>
-            <CardTitle>User Information</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">ID</h3>
-                <p>{user.user_id}</p>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Username</h3>
-                <p>{user.username}</p>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Email</h3>
-                <p>{user.email}</p>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Full Name</h3>
-                <p>{user.full_name || '-'}</p>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Role</h3>
-                <Badge variant={user.role === 'admin' ? 'destructive' : 'secondary'}>
-                  {user.role}
-                </Badge>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Status</h3>
-                <Badge variant={user.is_active ? 'success' : 'outline'}>
-                  {user.is_active ? 'Active' : 'Inactive'}
-                </Badge>
-              </div>
-            </div>
-
-            <Separator className="my-6" />
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Created At</h3>
-                <p>{new Date(user.created_at).toLocaleString()}</p>
-              </div>
-              <div>
-                <h3 className="font-medium text-gray-500 mb-1">Last Updated</h3>
-                <p>{user.updated_at ? new Date(user.updated_at).toLocaleString() : '-'}</p>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
+      <Tabs defaultValue="overview">
+        <TabsList className="mb-6">
+          <TabsTrigger value="overview">Overview</TabsTrigger>
+          <TabsTrigger value="security">Sessions &amp; Security</TabsTrigger>
+        </TabsList>
 
-        <Card>
-          <CardHeader>
-            <CardTitle>Recent Activity</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="flex items-center justify-center h-40 bg-gray-50 rounded-md">
-              <p className="text-gray-500">No recent activity to display</p>
-            </div>
-          </CardContent>
-        </Card>
-      </div>
+        <TabsContent value="overview">
+          <div className="grid grid-cols-1 gap-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>User Information</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">ID</h3>
+                    <p>{user.user_id}</p>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Username</h3>
+                    <p>{user.username}</p>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Email</h3>
+                    <p>
+                      {user.email}
+                      {user.email_verified === false && (
+                        <Badge variant="outline" className="ml-2">Not verified</Badge>
+                      )}
+                    </p>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Full Name</h3>
+                    <p>{user.full_name || '-'}</p>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Role</h3>
+                    <Badge variant={user.role === 'admin' ? 'destructive' : 'secondary'}>
+                      {user.role}
+                    </Badge>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Status</h3>
+                    <Badge variant={user.is_active ? 'success' : 'outline'}>
+                      {user.is_active ? 'Active' : 'Inactive'}
+                    </Badge>
+                    {isLocked && (
+                      <Badge variant="destructive" className="ml-2">
+                        Locked until {new Date(user.locked_until as string).toLocaleString()}
+                      </Badge>
+                    )}
+                  </div>
+                </div>
+
+                <Separator className="my-6" />
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Created At</h3>
+                    <p>{new Date(user.created_at).toLocaleString()}</p>
+                  </div>
+                  <div>
+                    <h3 className="font-medium text-gray-500 mb-1">Last Updated</h3>
+                    <p>{user.updated_at ? new Date(user.updated_at).toLocaleString() : '-'}</p>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
+            <RecordHistory resource="users" recordId={Number(id)} />
+          </div>
+        </TabsContent>
+
+        <TabsContent value="security">
+          <UserSessions userId={Number(id)} />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 };
@@ -27,6 +27,7 @@ import { ArrowLeft, Loader2 } from 'lucide-react';
 import { useToast } from '../../../hooks/use-toast';
 import { User, UserRole, useUserController } from '../../controllers/UserController';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../../components/ui/tabs';
+import ConflictDialog, { ConflictField } from '../../components/ConflictDialog';
 
 // Form validation schema for basic info
 const basicInfoSchema = z.object({
@@ -50,6 +51,26 @@ const passwordSchema = z.object({
 type BasicInfoValues = z.infer<typeof basicInfoSchema>;
 type PasswordValues = z.infer<typeof passwordSchema>;
 
+// Các trường so sánh khi người khác đã lưu người dùng trước
+const CONFLICT_FIELDS: ConflictField[] = [
+  { field: 'username', label: 'Username' },
+  { field: 'email', label: 'Email' },
+  { field: 'full_name', label: 'Full Name' },
+  { field: 'role', label: 'Role' },
+  { field: 'is_active', label: 'Active Status' },
+];
+
+/**
+ * Chuyển người dùng từ API sang giá trị của form thông tin cơ bản
+ */
+const toBasicInfoValues = (user: User | null): BasicInfoValues => ({
+  username: user?.username || '',
+  email: user?.email || '',
+  full_name: user?.full_name || '',
+  role: user?.role || '',
+  is_active: user?.is_active ?? true,
+});
+
 const UserEdit = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -57,6 +78,8 @@ const UserEdit = () => {
   const [user, setUser] = useState<User | null>(null);
   const [roles, setRoles] = useState<UserRole[]>([]);
   const [activeTab, setActiveTab] = useState('basic');
+  // Giá trị vừa gửi lên, dùng để so sánh và ghi đè khi có xung đột phiên bản
+  const [pendingChanges, setPendingChanges] = useState<BasicInfoValues | null>(null);
   
   // Sử dụng UserController để quản lý API calls
   const {
@@ -65,7 +88,10 @@ const UserEdit = () => {
     getUserRoles,
     changePassword,
     isLoading: controllerLoading,
-    error
+    error,
+    validationErrors,
+    conflict,
+    clearConflict
   } = useUserController();
 
   // Initialize basic info form
@@ -106,13 +132,7 @@ const UserEdit = () => {
           setUser(userData);
 
           // Set form values with optional chaining to prevent errors
-          basicInfoForm.reset({
-            username: userData?.username || '',
-            email: userData?.email || '',
-            full_name: userData?.full_name || '',
-            role: userData?.role || '',
-            is_active: userData?.is_active ?? true,
-          });
+          basicInfoForm.reset(toBasicInfoValues(userData));
         }
       } catch (error: any) {
         toast({
@@ -127,11 +147,17 @@ const UserEdit = () => {
     
     loadData();
   }, [id, toast, navigate, basicInfoForm, getUserRoles, getUserById]);
-    // Handle basic info form submission
-  const onBasicInfoSubmit = async (data: BasicInfoValues) => {
+    // Save basic info; version is the row_version the form was loaded at (If-Match)
+  const saveBasicInfo = async (data: BasicInfoValues, version?: number) => {
     try {
       if (id) {
-        const response = await updateUser(parseInt(id, 10), data);
+        setPendingChanges(data);
+        const response = await updateUser(parseInt(id, 10), data, version);
+        
+        // Failed or refused because someone else saved first (see the conflict dialog)
+        if (!response) {
+          return;
+        }
         
         // Refresh user data
         const userResponse = await getUserById(parseInt(id, 10));
@@ -148,16 +174,40 @@ const UserEdit = () => {
     }
   };
   
+  // Handle basic info form submission
+  const onBasicInfoSubmit = (data: BasicInfoValues) => saveBasicInfo(data, user?.row_version);
+
+  // Conflict: discard the changes and continue from the version saved by the other user
+  const handleReloadConflict = () => {
+    if (conflict) {
+      setUser(conflict);
+      basicInfoForm.reset(toBasicInfoValues(conflict));
+    }
+    clearConflict();
+  };
+
+  // Conflict: save the changes again over the version saved by the other user
+  const handleOverwriteConflict = () => {
+    if (pendingChanges && conflict) {
+      saveBasicInfo(pendingChanges, conflict.row_version);
+    }
+  };
+  
   // Handle password form submission
   const onPasswordSubmit = async (data: PasswordValues) => {
     try {
       if (id) {
-        await changePassword(
+        const changed = await changePassword(
           parseInt(id, 10), 
           data.currentPassword, 
           data.newPassword
         );
         
+        // Mật khẩu bị từ chối: lỗi được hiển thị dưới trường tương ứng
+        if (!changed) {
+          return;
+        }
+        
         // Reset password form
         passwordForm.reset();
         
@@ -171,6 +221,17 @@ const UserEdit = () => {
     }
   };
 
+  // Show password policy errors returned by the server under the password fields
+  useEffect(() => {
+    if (validationErrors) {
+      Object.entries(validationErrors).forEach(([field, messages]) => {
+        if (field === 'currentPassword' || field === 'newPassword') {
+          passwordForm.setError(field, { message: messages[0] });
+        }
+      });
+    }
+  }, [validationErrors, passwordForm]);
+
   const renderContent = () => {
     if (controllerLoading) {
       return (
@@ -270,7 +331,7 @@ const UserEdit = () => {
                               </FormControl>
                               <SelectContent>
                                 {roles.map((role) => (
-                                  <SelectItem key={role.role_id} value={role.name}>
+                                  <SelectItem key={role.id} value={role.name}>
                                     {role.name}
                                   </SelectItem>
                                 ))}
@@ -371,7 +432,7 @@ const UserEdit = () => {
                               />
                             </FormControl>
                             <FormDescription>
-                              Password must be at least 8 characters long
+                              At least 8 characters with upper and lower case letters, a number and a special character
                             </FormDescription>
                             <FormMessage />
                           </FormItem>
@@ -422,6 +483,17 @@ const UserEdit = () => {
             </Card>
           </TabsContent>
         </Tabs>
+
+        <ConflictDialog
+          open={!!conflict}
+          fields={CONFLICT_FIELDS}
+          mine={pendingChanges}
+          theirs={conflict}
+          isSubmitting={controllerLoading}
+          onReload={handleReloadConflict}
+          onOverwrite={handleOverwriteConflict}
+          onCancel={clearConflict}
+        />
       </div>
     );
   };
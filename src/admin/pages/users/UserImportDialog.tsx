@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../../../components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Button } from '../../../components/ui/button';
+import { Input } from '../../../components/ui/input';
+import { Badge } from '../../../components/ui/badge';
+import { Loader2 } from 'lucide-react';
+import { useUserController, UserImportResult } from '../../controllers/UserController';
+
+interface UserImportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onImported: () => void;
+}
+
+/**
+ * Nhập người dùng từ file CSV/XLSX
+ * File được kiểm tra trước (dry run), chỉ nhập khi tất cả các dòng hợp lệ
+ */
+const UserImportDialog = ({ open, onOpenChange, onImported }: UserImportDialogProps) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [preview, setPreview] = useState<UserImportResult | null>(null);
+  const { importUsers, isLoading } = useUserController();
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+  };
+
+  const handleOpenChange = (value: boolean) => {
+    if (!value) {
+      reset();
+    }
+    onOpenChange(value);
+  };
+
+  // Chọn file mới thì phải xem trước lại
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFile(e.target.files?.[0] || null);
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    if (!file) return;
+    try {
+      setPreview(await importUsers(file, true));
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Import preview error:", error);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    try {
+      const result = await importUsers(file, false);
+      if (result) {
+        handleOpenChange(false);
+        onImported();
+      }
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Import error:", error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Import Users</DialogTitle>
+          <DialogDescription>
+            Upload a CSV or Excel (.xlsx) file with the columns username, email and password,
+            and optionally full_name, role and is_active. Rows are checked before anything is created.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col sm:flex-row gap-2">
+          <Input type="file" accept=".csv,.xlsx" onChange={handleFileChange} />
+          <Button variant="outline" onClick={handlePreview} disabled={!file || isLoading}>
+            {isLoading && !preview && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Preview
+          </Button>
+        </div>
+
+        {preview && (
+          <>
+            <p className="text-sm">
+              {preview.total} row(s): {preview.valid} valid, {preview.invalid} invalid.
+              {preview.invalid > 0 && ' Fix the invalid rows in the file and preview it again.'}
+            </p>
+            <div className="rounded-md border max-h-80 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>Username</TableHead>
+                    <TableHead>Email</TableHead>
+                    <TableHead>Role</TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {preview.rows.map(row => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>{row.username || '-'}</TableCell>
+                      <TableCell>{row.email || '-'}</TableCell>
+                      <TableCell>{row.role || '-'}</TableCell>
+                      <TableCell>
+                        {row.errors.length === 0 ? (
+                          <Badge variant="secondary">OK</Badge>
+                        ) : (
+                          <ul className="text-sm text-red-600 list-disc pl-4">
+                            {row.errors.map(message => <li key={message}>{message}</li>)}
+                          </ul>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handleOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImport}
+            disabled={!preview || preview.invalid > 0 || preview.valid === 0 || isLoading}
+          >
+            {isLoading && preview && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Import {preview ? preview.valid : ''} User(s)
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default UserImportDialog;
@@ -39,8 +39,56 @@ import {
   SelectValue,
 } from '../../../components/ui/select';
 import { Badge } from '../../../components/ui/badge';
-import { Loader2, MoreHorizontal, Plus, Search, RefreshCw, UserPlus } from 'lucide-react';
-import { useUserController, User, PaginationInfo } from '../../controllers/UserController';
+import { Checkbox } from '../../../components/ui/checkbox';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '../../../components/ui/alert-dialog';
+import { useToast } from '../../../hooks/use-toast';
+import { Loader2, MoreHorizontal, Plus, Search, RefreshCw, UserPlus, Download, Upload } from 'lucide-react';
+import {
+  useUserController,
+  User,
+  PaginationInfo,
+  BulkUserAction,
+  UserExportFormat
+} from '../../controllers/UserController';
+import UserImportDialog from './UserImportDialog';
+
+// Nội dung hộp thoại xác nhận cho từng thao tác hàng loạt
+const BULK_ACTION_LABELS: Record<BulkUserAction, { title: string; description: string; confirm: string }> = {
+  activate: {
+    title: 'Activate users',
+    description: 'The selected users will be able to sign in again.',
+    confirm: 'Activate'
+  },
+  deactivate: {
+    title: 'Deactivate users',
+    description: 'The selected users will no longer be able to sign in. Your own account is skipped.',
+    confirm: 'Deactivate'
+  },
+  setRole: {
+    title: 'Change role',
+    description: 'The selected users will get the new role. Your own account is skipped.',
+    confirm: 'Change Role'
+  },
+  delete: {
+    title: 'Delete users',
+    description: 'The selected users will be permanently deleted. Your own account is skipped.',
+    confirm: 'Delete'
+  },
+  logout: {
+    title: 'Sign out everywhere',
+    description: 'The selected users will be signed out of all their devices.',
+    confirm: 'Sign Out'
+  }
+};
 
 const UserList = () => {
   // State
@@ -54,6 +102,11 @@ const UserList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [role, setRole] = useState<string | undefined>(undefined);
   const [roles, setRoles] = useState<string[]>([]);
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [bulkRole, setBulkRole] = useState<string | undefined>(undefined);
+  const [pendingAction, setPendingAction] = useState<BulkUserAction | null>(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const { toast } = useToast();
   
   // Sử dụng UserController để quản lý API calls
   const { 
@@ -61,6 +114,8 @@ const UserList = () => {
     getUserRoles, 
     deleteUser,
     toggleUserStatus,
+    bulkUserAction,
+    exportUsers,
     isLoading,
     error 
   } = useUserController();
@@ -102,6 +157,26 @@ const UserList = () => {
     
     loadUsers();
   }, [pagination.currentPage, pagination.pageSize, searchTerm, role, getUsers]);
+
+  // Chỉ giữ lựa chọn của những người dùng còn hiển thị trên trang
+  useEffect(() => {
+    setSelectedIds(prev => prev.filter(id => users.some(user => user.user_id === id)));
+  }, [users]);
+
+  // Tải lại trang hiện tại sau khi thay đổi dữ liệu
+  const reloadUsers = async () => {
+    const queryParams = {
+      page: pagination.currentPage,
+      pageSize: pagination.pageSize,
+      ...(searchTerm && { search: searchTerm }),
+      ...(role && { role })
+    };
+    const result = await getUsers(queryParams);
+    if (result) {
+      setUsers(result.data);
+      setPagination(result.pagination);
+    }
+  };
   // Handle search input change
   const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setSearchTerm(e.target.value);
@@ -130,17 +205,7 @@ const UserList = () => {
       const success = await deleteUser(userId);
       if (success) {
         // Refresh user list nếu xóa thành công
-        const queryParams = {
-          page: pagination.currentPage,
-          pageSize: pagination.pageSize,
-          ...(searchTerm && { search: searchTerm }),
-          ...(role && { role })
-        };
-        const result = await getUsers(queryParams);
-        if (result) {
-          setUsers(result.data);
-          setPagination(result.pagination);
-        }
+        await reloadUsers();
       }
     } catch (error: any) {
       // Lỗi đã được xử lý trong controller
@@ -149,16 +214,12 @@ const UserList = () => {
   };
   
   // Handle toggling user active status - Sử dụng controller
-  const handleToggleStatus = async (userId: number, currentStatus: boolean) => {
+  const handleToggleStatus = async (user: User) => {
     try {
-      const success = await toggleUserStatus(userId, currentStatus);
+      const success = await toggleUserStatus(user.user_id, user.is_active, user.row_version);
       if (success) {
-        // Update the local state nếu thành công
-        setUsers(users.map(user => 
-          user.user_id === userId 
-            ? { ...user, is_active: !currentStatus } 
-            : user
-        ));
+        // Tải lại để có row_version mới cho lần sửa tiếp theo
+        await reloadUsers();
       }
     } catch (error: any) {
       // Lỗi đã được xử lý trong controller
@@ -166,6 +227,59 @@ const UserList = () => {
     }
   };
 
+  // Xuất người dùng theo bộ lọc tìm kiếm và vai trò hiện tại
+  const handleExport = async (format: UserExportFormat) => {
+    try {
+      await exportUsers(format, {
+        ...(searchTerm && { search: searchTerm }),
+        ...(role && { role })
+      });
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error('Export error:', error);
+    }
+  };
+
+  // Chọn / bỏ chọn người dùng cho thao tác hàng loạt
+  const allSelected = users.length > 0 && users.every(user => selectedIds.includes(user.user_id));
+
+  const toggleSelectAll = (checked: boolean) => {
+    setSelectedIds(checked ? users.map(user => user.user_id) : []);
+  };
+
+  const toggleSelected = (userId: number, checked: boolean) => {
+    setSelectedIds(prev => checked ? [...prev, userId] : prev.filter(id => id !== userId));
+  };
+
+  // Thực hiện thao tác hàng loạt sau khi người dùng xác nhận
+  const handleBulkAction = async () => {
+    const action = pendingAction;
+    setPendingAction(null);
+    if (!action) return;
+
+    try {
+      const result = await bulkUserAction(action, selectedIds, action === 'setRole' ? { role: bulkRole } : undefined);
+      if (!result) return;
+
+      const failures = result.results.filter(item => !item.success);
+      toast({
+        title: failures.length === 0 ? "Success" : "Partially completed",
+        description: failures.length === 0
+          ? `${result.succeeded} user(s) updated`
+          : `${result.succeeded} user(s) updated, ${result.failed} failed: `
+            + failures.map(item => `#${item.id} ${item.error}`).join('; '),
+        variant: failures.length === 0 ? undefined : "destructive",
+      });
+
+      // Giữ lại những người dùng bị lỗi để có thể thử lại
+      setSelectedIds(failures.map(item => item.id));
+      await reloadUsers();
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Bulk action error:", error);
+    }
+  };
+
   // Generate pagination items
   const getPaginationItems = () => {
     const items = [];
@@ -200,7 +314,23 @@ const UserList = () => {
           <h1 className="text-2xl font-bold">User Management</h1>
           <p className="text-gray-500">View and manage user accounts</p>
         </div>
-        <div className="mt-4 md:mt-0">
+        <div className="mt-4 md:mt-0 flex gap-2">
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" disabled={isLoading}>
+                <Download className="mr-2 h-4 w-4" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => handleExport('csv')}>Export CSV</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExport('xlsx')}>Export Excel</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button variant="outline" onClick={() => setImportOpen(true)}>
+            <Upload className="mr-2 h-4 w-4" />
+            Import
+          </Button>
           <Button asChild>
             <Link to="/admin/users/create">
               <UserPlus className="mr-2 h-4 w-4" />
@@ -258,10 +388,53 @@ const UserList = () => {
           </div>
         </CardHeader>
         <CardContent>
+          {selectedIds.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 rounded-md border bg-gray-50 p-3">
+              <span className="text-sm font-medium mr-2">{selectedIds.length} selected</span>
+              <Button size="sm" variant="outline" onClick={() => setPendingAction('activate')}>
+                Activate
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setPendingAction('deactivate')}>
+                Deactivate
+              </Button>
+              <div className="flex items-center gap-2">
+                <Select value={bulkRole} onValueChange={setBulkRole}>
+                  <SelectTrigger className="h-9 w-36">
+                    <SelectValue placeholder="Select role" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {roles.map(roleName => (
+                      <SelectItem key={roleName} value={roleName}>{roleName}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button size="sm" variant="outline" disabled={!bulkRole} onClick={() => setPendingAction('setRole')}>
+                  Change Role
+                </Button>
+              </div>
+              <Button size="sm" variant="outline" onClick={() => setPendingAction('logout')}>
+                Sign Out Everywhere
+              </Button>
+              <Button size="sm" variant="destructive" onClick={() => setPendingAction('delete')}>
+                Delete
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => setSelectedIds([])}>
+                Clear Selection
+              </Button>
+            </div>
+          )}
+
           <div className="rounded-md border overflow-hidden">
             <Table>
               <TableHeader>
                 <TableRow>
+                  <TableHead className="w-10">
+                    <Checkbox
+                      checked={allSelected}
+                      onCheckedChange={(checked) => toggleSelectAll(checked === true)}
+                      aria-label="Select all users on this page"
+                    />
+                  </TableHead>
                   <TableHead>ID</TableHead>
                   <TableHead>Username</TableHead>
                   <TableHead className="hidden md:table-cell">Full Name</TableHead>
@@ -274,20 +447,27 @@ const UserList = () => {
               <TableBody>
                 {isLoading ? (
                   <TableRow>
-                    <TableCell colSpan={7} className="h-24 text-center">
+                    <TableCell colSpan={8} className="h-24 text-center">
                       <Loader2 className="h-6 w-6 animate-spin mx-auto" />
                       <span className="mt-2 block text-sm text-gray-500">Loading users...</span>
                     </TableCell>
                   </TableRow>
                 ) : users.length === 0 ? (
                   <TableRow>
-                    <TableCell colSpan={7} className="h-24 text-center">
+                    <TableCell colSpan={8} className="h-24 text-center">
                       <span className="text-sm text-gray-500">No users found</span>
                     </TableCell>
                   </TableRow>
                 ) : (
                   users.map((user) => (
-                    <TableRow key={user.user_id}>
+                    <TableRow key={user.user_id} data-state={selectedIds.includes(user.user_id) ? 'selected' : undefined}>
+                      <TableCell>
+                        <Checkbox
+                          checked={selectedIds.includes(user.user_id)}
+                          onCheckedChange={(checked) => toggleSelected(user.user_id, checked === true)}
+                          aria-label={`Select ${user.username}`}
+                        />
+                      </TableCell>
                       <TableCell className="font-medium">{user.user_id}</TableCell>
                       <TableCell>{user.username}</TableCell>
                       <TableCell className="hidden md:table-cell">{user.full_name || '-'}</TableCell>
@@ -319,7 +499,7 @@ const UserList = () => {
                                 Edit User
                               </Link>
                             </DropdownMenuItem>
-                            <DropdownMenuItem onClick={() => handleToggleStatus(user.user_id, user.is_active)}>
+                            <DropdownMenuItem onClick={() => handleToggleStatus(user)}>
                               {user.is_active ? 'Deactivate' : 'Activate'} User
                             </DropdownMenuItem>
                             <DropdownMenuItem 
@@ -380,6 +560,32 @@ const UserList = () => {
           </div>
         </CardContent>
       </Card>
+
+      <UserImportDialog open={importOpen} onOpenChange={setImportOpen} onImported={reloadUsers} />
+
+      <AlertDialog open={pendingAction !== null} onOpenChange={(open) => !open && setPendingAction(null)}>
+        {pendingAction && (
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>{BULK_ACTION_LABELS[pendingAction].title}</AlertDialogTitle>
+              <AlertDialogDescription>
+                {BULK_ACTION_LABELS[pendingAction].description}
+                {pendingAction === 'setRole' && ` New role: ${bulkRole}.`}
+                {` ${selectedIds.length} user(s) selected.`}
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={handleBulkAction}
+                className={pendingAction === 'delete' ? 'bg-red-600 hover:bg-red-700' : undefined}
+              >
+                {BULK_ACTION_LABELS[pendingAction].confirm}
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        )}
+      </AlertDialog>
     </div>
   );
 };
@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../../components/ui/table';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../../components/ui/card';
+import { Button } from '../../../components/ui/button';
+import { Badge } from '../../../components/ui/badge';
+import { Loader2, LogOut, Monitor, RefreshCw, Smartphone, Tablet } from 'lucide-react';
+import { AuthActivity, UserSession, useUserController } from '../../controllers/UserController';
+
+interface UserSessionsProps {
+  userId: number;
+}
+
+const DEVICE_ICONS: Record<string, typeof Monitor> = {
+  Mobile: Smartphone,
+  Tablet: Tablet
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Tab "Sessions & security" trong trang chi tiết người dùng:
+ * các thiết bị đang đăng nhập và lịch sử xác thực gần đây
+ */
+const UserSessions = ({ userId }: UserSessionsProps) => {
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [history, setHistory] = useState<AuthActivity[]>([]);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  // Sử dụng UserController riêng để trạng thái loading không ảnh hưởng tới phần còn lại của trang
+  const {
+    getUserSessions,
+    revokeUserSession,
+    getUserAuthHistory,
+    isLoading
+  } = useUserController();
+
+  const loadData = useCallback(async () => {
+    try {
+      const [sessionData, historyData] = await Promise.all([
+        getUserSessions(userId),
+        getUserAuthHistory(userId, 20)
+      ]);
+      setSessions(sessionData || []);
+      setHistory(historyData || []);
+    } catch (error) {
+      // Lỗi đã được xử lý trong controller
+      console.error("Failed to load sessions:", error);
+    }
+  }, [userId, getUserSessions, getUserAuthHistory]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleRevoke = async (sessionId: string) => {
+    setRevokingId(sessionId);
+    try {
+      const revoked = await revokeUserSession(userId, sessionId);
+      if (revoked) {
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+      }
+    } catch (error) {
+      console.error("Revoke session error:", error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Active Sessions</CardTitle>
+              <CardDescription>
+                Devices signed in to this account. Signing a device out stops it from refreshing its session;
+                its current access token expires within two hours.
+              </CardDescription>
+            </div>
+            <Button variant="outline" size="sm" onClick={loadData} disabled={isLoading}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {sessions.length === 0 ? (
+            <div className="flex items-center justify-center h-24 bg-gray-50 rounded-md">
+              <p className="text-gray-500">{isLoading ? 'Loading sessions...' : 'No active sessions'}</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Device</TableHead>
+                  <TableHead>IP Address</TableHead>
+                  <TableHead>Signed In</TableHead>
+                  <TableHead>Last Used</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sessions.map(session => {
+                  const DeviceIcon = DEVICE_ICONS[session.device] || Monitor;
+                  return (
+                    <TableRow key={session.id}>
+                      <TableCell>
+                        <div className="flex items-center gap-3">
+                          <DeviceIcon className="h-5 w-5 text-gray-500" />
+                          <div>
+                            <p className="font-medium">{session.browser} on {session.os}</p>
+                            <p className="text-xs text-gray-500 max-w-xs truncate" title={session.userAgent || ''}>
+                              {session.device}{session.userAgent ? ` · ${session.userAgent}` : ''}
+                            </p>
+                          </div>
+                        </div>
+                      </TableCell>
+                      <TableCell>{session.ipAddress || '-'}</TableCell>
+                      <TableCell>{formatDate(session.createdAt)}</TableCell>
+                      <TableCell>{formatDate(session.lastUsedAt)}</TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="text-red-500 border-red-200 hover:bg-red-50 hover:text-red-600"
+                          onClick={() => handleRevoke(session.id)}
+                          disabled={revokingId === session.id}
+                        >
+                          {revokingId === session.id
+                            ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                            : <LogOut className="h-4 w-4 mr-2" />}
+                          Sign Out
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Sign-in Activity</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {history.length === 0 ? (
+            <div className="flex items-center justify-center h-24 bg-gray-50 rounded-md">
+              <p className="text-gray-500">No sign-in activity recorded</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Action</TableHead>
+                  <TableHead>Result</TableHead>
+                  <TableHead>IP Address</TableHead>
+                  <TableHead>Details</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {history.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell>{formatDate(entry.created_at)}</TableCell>
+                    <TableCell>{entry.action}</TableCell>
+                    <TableCell>
+                      <Badge variant={entry.success ? 'secondary' : 'destructive'}>
+                        {entry.success ? 'Success' : 'Failed'}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>{entry.ip_address || '-'}</TableCell>
+                    <TableCell className="max-w-sm truncate" title={entry.details || ''}>
+                      {entry.details || '-'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default UserSessions;
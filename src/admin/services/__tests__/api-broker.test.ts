@@ -1,5 +1,6 @@
 import ApiBroker from '../api-broker';
 import { API_ENDPOINTS } from '../api-url.service';
+import { API_ENDPOINTS as API_PATHS } from '../api-endpoints';
 
 // Mock callApi function
 const mockCallApi = jest.fn();
@@ -90,6 +91,23 @@ describe('API Broker Tests', () => {
       );
     });
 
+    it('updateUser should send the loaded row version in If-Match', async () => {
+      const testUpdateData = { full_name: 'Updated User' };
+
+      await apiBroker.updateUser(123, testUpdateData, 4);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_ENDPOINTS.USERS.DETAIL,
+        { id: 123 },
+        {},
+        {
+          method: 'PUT',
+          body: testUpdateData,
+          headers: { 'If-Match': '"4"' }
+        }
+      );
+    });
+
     it('deleteUser should call API with correct ID and method', async () => {
       // Define test ID
       const testId = 123;
@@ -142,7 +160,134 @@ describe('API Broker Tests', () => {
         }
       );
     });
-    
+
+    it('toggleUserStatus should send the displayed row version in If-Match', async () => {
+      await apiBroker.toggleUserStatus(123, false, 7);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_ENDPOINTS.USERS.DETAIL,
+        { id: 123 },
+        {},
+        {
+          method: 'PUT',
+          body: { is_active: false },
+          headers: { 'If-Match': '"7"' }
+        }
+      );
+    });
+
+    it('unlockUser should POST to the unlock endpoint', async () => {
+      const testId = 123;
+
+      await apiBroker.unlockUser(testId);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.USERS.UNLOCK,
+        { id: testId },
+        {},
+        {
+          method: 'POST',
+          body: {}
+        }
+      );
+    });
+
+    it('changeUserPassword should POST the current and new password', async () => {
+      const testId = 123;
+
+      await apiBroker.changeUserPassword(testId, 'Current@2025', 'Changed@2025');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.USERS.CHANGE_PASSWORD,
+        { id: testId },
+        {},
+        {
+          method: 'POST',
+          body: { currentPassword: 'Current@2025', newPassword: 'Changed@2025' }
+        }
+      );
+    });
+
+    it('bulkUserAction should POST the action, IDs and options', async () => {
+      await apiBroker.bulkUserAction('setRole', [1, 2], { role: 'editor' });
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.USERS.BULK,
+        {},
+        {},
+        {
+          method: 'POST',
+          body: { action: 'setRole', ids: [1, 2], role: 'editor' }
+        }
+      );
+    });
+
+    it('exportUsers should request a blob with the format and filters', async () => {
+      await apiBroker.exportUsers('xlsx', { search: 'dealer', role: 'editor' });
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.USERS.EXPORT,
+        {},
+        { search: 'dealer', role: 'editor', format: 'xlsx' },
+        { responseType: 'blob' }
+      );
+    });
+
+    it('importUsers should POST the file as multipart with the dry-run flag', async () => {
+      const file = new File(['username,email,password'], 'users.csv', { type: 'text/csv' });
+
+      await apiBroker.importUsers(file, true);
+
+      const [endpoint, pathParams, queryParams, options] = mockCallApi.mock.calls[0];
+      expect(endpoint).toBe(API_PATHS.USERS.IMPORT);
+      expect(pathParams).toEqual({});
+      expect(queryParams).toEqual({ dryRun: true });
+      expect(options.method).toBe('POST');
+      expect(options.body).toBeInstanceOf(FormData);
+      expect(options.body.get('file')).toBeInstanceOf(File);
+    });
+
+    it('enableTwoFactor should POST the verification code', async () => {
+      await apiBroker.enableTwoFactor('123456');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.AUTH.TWO_FACTOR_ENABLE,
+        {},
+        {},
+        {
+          method: 'POST',
+          body: { code: '123456' }
+        }
+      );
+    });
+
+    it('disableTwoFactor should POST the password and code', async () => {
+      await apiBroker.disableTwoFactor('Secret@123', 'abcde-12345');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.AUTH.TWO_FACTOR_DISABLE,
+        {},
+        {},
+        {
+          method: 'POST',
+          body: { password: 'Secret@123', code: 'abcde-12345' }
+        }
+      );
+    });
+
+    it('revokeUserSession should call API with DELETE method', async () => {
+      await apiBroker.revokeUserSession(123, 'session-family-id');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.USERS.SESSION,
+        { id: 123, sessionId: 'session-family-id' },
+        {},
+        {
+          method: 'DELETE'
+        }
+      );
+    });
+
     it('should handle API errors correctly', async () => {
       // Setup mockCallApi to reject with an error
       const errorMessage = 'API Error: Network Failure';
@@ -189,4 +334,448 @@ describe('API Broker Tests', () => {
       );
     });
   });
+  describe('Role & Permission APIs', () => {
+    it('getRoles should call API with filters as query parameters', async () => {
+      await apiBroker.getRoles({ name: 'editor' });
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.ROLES.LIST,
+        {},
+        { name: 'editor' }
+      );
+    });
+
+    it('setRolePermissions should PUT the permission IDs', async () => {
+      await apiBroker.setRolePermissions(4, [1, 2]);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.ROLES.PERMISSIONS,
+        { id: 4 },
+        {},
+        {
+          method: 'PUT',
+          body: { permission_ids: [1, 2] }
+        }
+      );
+    });
+
+    it('deleteRole should call API with DELETE method', async () => {
+      await apiBroker.deleteRole(4);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.ROLES.DETAIL,
+        { id: 4 },
+        {},
+        { method: 'DELETE' }
+      );
+    });
+  });
+
+  describe('News Management APIs', () => {
+    it('getNews should call API with filters as query parameters', async () => {
+      const testParams = { page: 2, pageSize: 20, status: 'draft', categoryId: 3 };
+
+      await apiBroker.getNews(testParams);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.LIST,
+        {},
+        testParams
+      );
+    });
+
+    it('getNewsById should call API with correct ID parameter', async () => {
+      await apiBroker.getNewsById(42);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.DETAIL,
+        { id: 42 },
+        {}
+      );
+    });
+
+    it('createNews should POST the article data', async () => {
+      const testNewsData = {
+        title: 'Test article',
+        content: '<p>Body</p>',
+        category_id: 1,
+        tag_ids: [1, 2]
+      };
+
+      await apiBroker.createNews(testNewsData);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.CREATE,
+        {},
+        {},
+        {
+          method: 'POST',
+          body: testNewsData
+        }
+      );
+    });
+
+    it('updateNews should PUT the article data to the article ID', async () => {
+      const testUpdateData = { excerpt: 'Updated', featured: true };
+
+      await apiBroker.updateNews(42, testUpdateData);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.UPDATE,
+        { id: 42 },
+        {},
+        {
+          method: 'PUT',
+          body: testUpdateData
+        }
+      );
+    });
+
+    it('updateNews should send the loaded row version in If-Match', async () => {
+      await apiBroker.updateNews(42, { title: 'Updated' }, 1);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.UPDATE,
+        { id: 42 },
+        {},
+        {
+          method: 'PUT',
+          body: { title: 'Updated' },
+          headers: { 'If-Match': '"1"' }
+        }
+      );
+    });
+
+    it('status transitions should POST to their workflow endpoints', async () => {
+      await apiBroker.publishNews(42);
+      expect(mockCallApi).toHaveBeenLastCalledWith(
+        API_PATHS.NEWS.PUBLISH, { id: 42 }, {}, { method: 'POST', body: {} }
+      );
+
+      await apiBroker.draftNews(42);
+      expect(mockCallApi).toHaveBeenLastCalledWith(
+        API_PATHS.NEWS.DRAFT, { id: 42 }, {}, { method: 'POST', body: {} }
+      );
+
+      await apiBroker.archiveNews(42);
+      expect(mockCallApi).toHaveBeenLastCalledWith(
+        API_PATHS.NEWS.ARCHIVE, { id: 42 }, {}, { method: 'POST', body: {} }
+      );
+    });
+
+    it('deleteNews should call API with DELETE method', async () => {
+      await apiBroker.deleteNews(42);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.NEWS.DELETE,
+        { id: 42 },
+        {},
+        {
+          method: 'DELETE'
+        }
+      );
+    });
+  });
+
+  describe('Product Management APIs', () => {
+    it('getProducts should call API with filters as query parameters', async () => {
+      const testParams = { page: 1, pageSize: 12, category: 'industrial', status: 'active' };
+
+      await apiBroker.getProducts(testParams);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.LIST,
+        {},
+        testParams
+      );
+    });
+
+    it('getProductBySlug should call API with the slug parameter', async () => {
+      await apiBroker.getProductBySlug('vrc-5000');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.BY_SLUG,
+        { slug: 'vrc-5000' },
+        {}
+      );
+    });
+
+    it('createProduct should POST the product data', async () => {
+      const testProductData = {
+        name: 'Test product',
+        category_id: 1,
+        specifications: { capacity: '10 kW' },
+        features: ['Low noise'],
+        images: [{ image_path: '/images/products/test.jpg', alt_text: 'Front' }]
+      };
+
+      await apiBroker.createProduct(testProductData);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.CREATE,
+        {},
+        {},
+        {
+          method: 'POST',
+          body: testProductData
+        }
+      );
+    });
+
+    it('updateProduct should PUT the product data to the product ID', async () => {
+      const testUpdateData = { status: 'inactive' as const };
+
+      await apiBroker.updateProduct(7, testUpdateData);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.UPDATE,
+        { id: 7 },
+        {},
+        {
+          method: 'PUT',
+          body: testUpdateData
+        }
+      );
+    });
+
+    it('updateProduct should send the loaded row version in If-Match', async () => {
+      await apiBroker.updateProduct(7, { status: 'active' }, 12);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.UPDATE,
+        { id: 7 },
+        {},
+        {
+          method: 'PUT',
+          body: { status: 'active' },
+          headers: { 'If-Match': '"12"' }
+        }
+      );
+    });
+
+    it('deleteProduct should call API with DELETE method', async () => {
+      await apiBroker.deleteProduct(7);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PRODUCTS.DELETE,
+        { id: 7 },
+        {},
+        {
+          method: 'DELETE'
+        }
+      );
+    });
+  });
+
+  describe('Project Management APIs', () => {
+    it('getProjects should call API with type and status filters', async () => {
+      const testParams = { page: 1, project_type: 'industrial', status: 'ongoing' };
+
+      await apiBroker.getProjects(testParams);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PROJECTS.LIST,
+        {},
+        testParams
+      );
+    });
+
+    it('getProjectMembers should call API with the project ID', async () => {
+      await apiBroker.getProjectMembers(3);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PROJECTS.MEMBERS,
+        { id: 3 },
+        {}
+      );
+    });
+
+    it('addProjectMember should POST the user and role to the project', async () => {
+      await apiBroker.addProjectMember(3, 12, 'manager');
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PROJECTS.ADD_MEMBER,
+        { id: 3 },
+        {},
+        {
+          method: 'POST',
+          body: { project_id: 3, user_id: 12, role: 'manager' }
+        }
+      );
+    });
+
+    it('removeProjectMember should call API with DELETE method', async () => {
+      await apiBroker.removeProjectMember(3, 12);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.PROJECTS.REMOVE_MEMBER,
+        { id: 3, userId: 12 },
+        {},
+        {
+          method: 'DELETE'
+        }
+      );
+    });
+  });
+
+  describe('File Management APIs', () => {
+    it('uploadFile should POST multipart form data without a manual Content-Type', async () => {
+      const file = new File(['content'], 'photo.png', { type: 'image/png' });
+      const onProgress = jest.fn();
+
+      await apiBroker.uploadFile(file, onProgress, 'product');
+
+      const [endpoint, pathParams, queryParams, options] = mockCallApi.mock.calls[0];
+      expect(endpoint).toBe(API_PATHS.FILES.UPLOAD);
+      expect(pathParams).toEqual({});
+      expect(queryParams).toEqual({});
+      expect(options.method).toBe('POST');
+      expect(options.headers).toBeUndefined();
+      expect(options.onProgress).toBe(onProgress);
+      expect(options.body.get('file')).toBeInstanceOf(File);
+      expect(options.body.get('usage_type')).toBe('product');
+    });
+
+    it('getFiles should call API with filters as query parameters', async () => {
+      const testParams = { type: 'image', usage_type: 'news' };
+
+      await apiBroker.getFiles(testParams);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.FILES.LIST,
+        {},
+        testParams
+      );
+    });
+
+    it('deleteFile should pass force as a query parameter', async () => {
+      await apiBroker.deleteFile(5, true);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.FILES.DELETE,
+        { id: 5 },
+        { force: true },
+        {
+          method: 'DELETE'
+        }
+      );
+    });
+  });
+
+  describe('Contact Message APIs', () => {
+    it('getContactMessages should call API with filters as query parameters', async () => {
+      const testParams = { page: 1, read_status: 'unread', search: 'quote' };
+
+      await apiBroker.getContactMessages(testParams);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.CONTACT.LIST,
+        {},
+        testParams
+      );
+    });
+
+    it('setContactMessageRead should PUT the read flag', async () => {
+      await apiBroker.setContactMessageRead(3, false);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.CONTACT.READ,
+        { id: 3 },
+        {},
+        {
+          method: 'PUT',
+          body: { read: false }
+        }
+      );
+    });
+
+    it('exportContactMessages should not be served from cache', async () => {
+      mockCallApi.mockResolvedValue('id,name');
+
+      await apiBroker.exportContactMessages({ read_status: 'read' });
+      await apiBroker.exportContactMessages({ read_status: 'read' });
+
+      expect(mockCallApi).toHaveBeenCalledTimes(2);
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.CONTACT.EXPORT,
+        {},
+        { read_status: 'read' }
+      );
+    });
+  });
+
+  describe('Audit Log APIs', () => {
+    it('getAuditLogs should call API with filters as query parameters', async () => {
+      const filters = { page: 2, success: false, ip: '10.0.' };
+
+      await apiBroker.getAuditLogs(filters);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.AUDIT_LOGS.LIST,
+        {},
+        filters
+      );
+    });
+
+    it('exportAuditLogs should pass the format and not be served from cache', async () => {
+      mockCallApi.mockResolvedValue('id,created_at');
+
+      await apiBroker.exportAuditLogs({ format: 'csv', action: 'login' });
+      await apiBroker.exportAuditLogs({ format: 'csv', action: 'login' });
+
+      expect(mockCallApi).toHaveBeenCalledTimes(2);
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.AUDIT_LOGS.EXPORT,
+        {},
+        { format: 'csv', action: 'login' }
+      );
+    });
+
+    it('getRecordHistory should call API with the resource and record ID', async () => {
+      await apiBroker.getRecordHistory('users', 7);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.AUDIT_LOGS.RECORD_HISTORY,
+        { resource: 'users', id: 7 },
+        {}
+      );
+    });
+  });
+
+  describe('Trash APIs', () => {
+    it('getTrash should call API with the resource and pagination', async () => {
+      await apiBroker.getTrash('news', { page: 2 });
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.TRASH.LIST,
+        { resource: 'news' },
+        { page: 2 }
+      );
+    });
+
+    it('restoreFromTrash should POST to the restore endpoint', async () => {
+      await apiBroker.restoreFromTrash('users', 7);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.TRASH.RESTORE,
+        { resource: 'users', id: 7 },
+        {},
+        {
+          method: 'POST',
+          body: {}
+        }
+      );
+    });
+
+    it('purgeFromTrash should call API with DELETE method', async () => {
+      await apiBroker.purgeFromTrash('products', 3);
+
+      expect(mockCallApi).toHaveBeenCalledWith(
+        API_PATHS.TRASH.PURGE,
+        { resource: 'products', id: 3 },
+        {},
+        { method: 'DELETE' }
+      );
+    });
+  });
 });
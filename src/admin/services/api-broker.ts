@@ -1,4 +1,22 @@
 import { API_ENDPOINTS } from './api-endpoints';
+import type {
+  User,
+  UserLockStatus,
+  TwoFactorStatus,
+  TwoFactorEnrollment,
+  UserSession,
+  AuthActivity,
+  BulkUserAction,
+  BulkUserActionResult,
+  UserImportResult
+} from '../controllers/UserController';
+import type { Role, Permission } from '../controllers/RoleController';
+import type { News, NewsCategory, NewsFormData, NewsTag } from '../controllers/NewsController';
+import type { Product, ProductCategory, ProductFormData } from '../controllers/ProductController';
+import type { Project, ProjectMember, ProjectMemberRole } from '../controllers/ProjectController';
+import type { ContactMessage, ContactMessageStats } from '../controllers/ContactMessageController';
+import type { AuditLogEntry, RecordHistoryEntry } from '../controllers/AuditLogController';
+import type { TrashEntry, TrashResource } from '../controllers/TrashController';
 
 // Kiểu dữ liệu cho options khi gọi API
 interface RequestOptions {
@@ -9,6 +27,46 @@ interface RequestOptions {
   onProgress?: (progress: number) => void;
 }
 
+// Tham số query string của các API danh sách (lọc, tìm kiếm, phân trang)
+export type QueryParams = Record<string, string | number | boolean | undefined>;
+
+// Thông tin phân trang backend trả về kèm các danh sách
+export interface ApiPagination {
+  page: number;
+  pageSize: number;
+  total: number;
+  totalPages: number;
+}
+
+// Phản hồi JSON chuẩn của backend: { success, message, data, pagination }
+export interface ApiResponse<T> {
+  success: boolean;
+  message?: string;
+  data: T;
+  pagination?: ApiPagination;
+}
+
+// Dữ liệu của các API chỉ trả về thông báo (xóa, đổi mật khẩu...)
+export interface ApiMessage {
+  message: string;
+}
+
+// File đã upload, khớp với bảng files
+export interface UploadedFile {
+  id: number;
+  original_name: string;
+  file_name: string;
+  file_path: string;
+  thumbnail_path: string | null;
+  mime_type: string;
+  size: number;
+  width: number | null;
+  height: number | null;
+  usage_type: 'general' | 'news' | 'product' | 'project';
+  uploaded_by: number | null;
+  created_at: string;
+}
+
 // Interface cho cache item
 interface CacheItem {
   data: any;
@@ -36,6 +94,17 @@ export class ValidationError extends ApiError {
   }
 }
 
+// Lỗi sửa đồng thời: bản ghi đã bị người khác lưu phiên bản mới hơn (409/412), kèm bản ghi hiện tại
+export class ConflictError extends ApiError {
+  current: unknown;
+  
+  constructor(message: string, status: number, current: unknown) {
+    super(message, status);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
 export class AuthorizationError extends ApiError {
   constructor(message: string) {
     super(message, 401);
@@ -69,28 +138,93 @@ export interface ApiBrokerInterface {
   // Generic methods
   get<T>(endpoint: string, pathParams?: Record<string, any>, queryParams?: Record<string, any>): Promise<T>;
   post<T>(endpoint: string, body: any, pathParams?: Record<string, any>): Promise<T>;
-  put<T>(endpoint: string, pathParams: Record<string, any>, body: any): Promise<T>;
+  put<T>(endpoint: string, pathParams: Record<string, any>, body: any, headers?: Record<string, string>): Promise<T>;
   delete<T>(endpoint: string, pathParams: Record<string, any>): Promise<T>;
   
   // User Management APIs
-  getUsers(params?: Record<string, any>): Promise<any>;
+  getUsers(params?: QueryParams): Promise<any>;
   getUserById(id: number): Promise<any>;
   createUser(userData: any): Promise<any>;
-  updateUser(id: number, userData: any): Promise<any>;
+  updateUser(id: number, userData: Partial<User>, version?: number): Promise<any>;
   deleteUser(id: number): Promise<any>;
   getUserRoles(): Promise<any>;
-  toggleUserStatus(id: number, isActive: boolean): Promise<any>;
+  toggleUserStatus(id: number, isActive: boolean, version?: number): Promise<ApiResponse<User>>;
+  unlockUser(id: number): Promise<ApiResponse<UserLockStatus>>;
+  changeUserPassword(id: number, currentPassword: string, newPassword: string): Promise<ApiResponse<ApiMessage>>;
+  bulkUserAction(action: BulkUserAction, ids: number[], options?: { role?: string }): Promise<ApiResponse<BulkUserActionResult>>;
+  exportUsers(format: string, params?: QueryParams): Promise<Blob>;
+  importUsers(file: File, dryRun: boolean): Promise<ApiResponse<UserImportResult>>;
+  getUserSessions(id: number): Promise<ApiResponse<UserSession[]>>;
+  revokeUserSession(id: number, sessionId: string): Promise<ApiResponse<ApiMessage>>;
+  getUserAuthHistory(id: number, limit?: number): Promise<ApiResponse<AuthActivity[]>>;
+  
+  // Role & Permission APIs
+  getRoles(params?: QueryParams): Promise<ApiResponse<Role[]>>;
+  getRoleById(id: number): Promise<ApiResponse<Role>>;
+  createRole(roleData: Partial<Role> & { permission_ids?: number[] }): Promise<ApiResponse<Role>>;
+  updateRole(id: number, roleData: Partial<Role>): Promise<ApiResponse<Role>>;
+  deleteRole(id: number): Promise<ApiResponse<ApiMessage>>;
+  getRolePermissions(id: number): Promise<ApiResponse<Permission[]>>;
+  setRolePermissions(id: number, permissionIds: number[]): Promise<ApiResponse<Permission[]>>;
+  getRoleUsers(id: number, params?: QueryParams): Promise<ApiResponse<User[]>>;
+  getPermissions(): Promise<ApiResponse<Permission[]>>;
+  
+  // News Management APIs
+  getNews(params?: QueryParams): Promise<ApiResponse<News[]>>;
+  getNewsById(id: number): Promise<ApiResponse<News>>;
+  getNewsBySlug(slug: string): Promise<ApiResponse<News>>;
+  createNews(newsData: Partial<NewsFormData>): Promise<ApiResponse<News>>;
+  updateNews(id: number, newsData: Partial<NewsFormData>, version?: number): Promise<ApiResponse<News>>;
+  deleteNews(id: number): Promise<ApiResponse<ApiMessage>>;
+  publishNews(id: number): Promise<ApiResponse<News>>;
+  draftNews(id: number): Promise<ApiResponse<News>>;
+  archiveNews(id: number): Promise<ApiResponse<News>>;
+  getNewsCategories(): Promise<ApiResponse<NewsCategory[]>>;
+  getNewsTags(): Promise<ApiResponse<NewsTag[]>>;
+  
+  // Product Management APIs
+  getProducts(params?: QueryParams): Promise<ApiResponse<Product[]>>;
+  getProductById(id: number): Promise<ApiResponse<Product>>;
+  getProductBySlug(slug: string): Promise<ApiResponse<Product>>;
+  createProduct(productData: Partial<ProductFormData>): Promise<ApiResponse<Product>>;
+  updateProduct(id: number, productData: Partial<ProductFormData>, version?: number): Promise<ApiResponse<Product>>;
+  deleteProduct(id: number): Promise<ApiResponse<ApiMessage>>;
+  getProductCategories(): Promise<ApiResponse<ProductCategory[]>>;
   
   // Project Management APIs
-  getProjects(params?: Record<string, any>): Promise<any>;
-  getProjectById(id: number): Promise<any>;
-  createProject(projectData: any): Promise<any>;
-  updateProject(id: number, projectData: any): Promise<any>;
-  deleteProject(id: number): Promise<any>;
-  addProjectMember(projectId: number, memberId: number): Promise<any>;
+  getProjects(params?: QueryParams): Promise<ApiResponse<Project[]>>;
+  getProjectById(id: number): Promise<ApiResponse<Project>>;
+  createProject(projectData: Partial<Project>): Promise<ApiResponse<Project>>;
+  updateProject(id: number, projectData: Partial<Project>, version?: number): Promise<ApiResponse<Project>>;
+  deleteProject(id: number): Promise<ApiResponse<ApiMessage>>;
+  getProjectMembers(projectId: number): Promise<ApiResponse<ProjectMember[]>>;
+  addProjectMember(projectId: number, memberId: number, role?: ProjectMemberRole): Promise<ApiResponse<ProjectMember[]>>;
+  removeProjectMember(projectId: number, memberId: number): Promise<ApiResponse<ApiMessage>>;
   
   // File Management APIs
-  uploadFile(file: File, onProgress?: (progress: number) => void): Promise<any>;
+  uploadFile(file: File, onProgress?: (progress: number) => void, usageType?: UploadedFile['usage_type']): Promise<ApiResponse<UploadedFile>>;
+  getFiles(params?: QueryParams): Promise<ApiResponse<UploadedFile[]>>;
+  getFileById(id: number): Promise<ApiResponse<UploadedFile>>;
+  deleteFile(id: number, force?: boolean): Promise<ApiResponse<ApiMessage>>;
+  
+  // Contact Message APIs
+  getContactMessages(params?: QueryParams): Promise<ApiResponse<ContactMessage[]>>;
+  getContactMessageById(id: number): Promise<ApiResponse<ContactMessage>>;
+  getContactMessageStats(): Promise<ApiResponse<ContactMessageStats>>;
+  setContactMessageRead(id: number, read: boolean): Promise<ApiResponse<ContactMessage>>;
+  deleteContactMessage(id: number): Promise<ApiResponse<ApiMessage>>;
+  exportContactMessages(params?: QueryParams): Promise<string>;
+  
+  // Audit Log APIs
+  getAuditLogs(params?: QueryParams): Promise<ApiResponse<AuditLogEntry[]>>;
+  getAuditLogActions(): Promise<ApiResponse<string[]>>;
+  exportAuditLogs(params?: QueryParams): Promise<string>;
+  getRecordHistory(resource: string, id: number): Promise<ApiResponse<RecordHistoryEntry[]>>;
+  
+  // Trash APIs
+  getTrash(resource: TrashResource, params?: QueryParams): Promise<ApiResponse<TrashEntry[]>>;
+  restoreFromTrash(resource: TrashResource, id: number): Promise<ApiResponse<TrashEntry>>;
+  purgeFromTrash(resource: TrashResource, id: number): Promise<ApiResponse<ApiMessage>>;
   
   // Auth APIs
   login(credentials: { username: string; password: string }): Promise<any>;
@@ -98,6 +232,13 @@ export interface ApiBrokerInterface {
   logout(): Promise<any>;
   getCurrentUser(): Promise<any>;
   
+  // Two-factor authentication of the current user
+  getTwoFactorStatus(): Promise<ApiResponse<TwoFactorStatus>>;
+  setupTwoFactor(): Promise<ApiResponse<TwoFactorEnrollment>>;
+  enableTwoFactor(code: string): Promise<ApiResponse<{ recoveryCodes: string[] }>>;
+  disableTwoFactor(password: string, code: string): Promise<ApiResponse<ApiMessage>>;
+  regenerateRecoveryCodes(code: string): Promise<ApiResponse<{ recoveryCodes: string[] }>>;
+  
   // Cache management
   clearCache(): void;
 }
@@ -127,6 +268,11 @@ class ApiBroker implements ApiBrokerInterface {
     console.error(`[API ERROR] ${method} ${endpoint} - ${error.message}`);
   }
   
+  // Header If-Match theo phiên bản (row_version) đã tải; không gửi khi chưa biết phiên bản
+  private ifMatch(version?: number): Record<string, string> | undefined {
+    return version !== undefined && version !== null ? { 'If-Match': `"${version}"` } : undefined;
+  }
+  
   // ----- GENERIC METHODS -----
   
   /**
@@ -172,13 +318,15 @@ class ApiBroker implements ApiBrokerInterface {
   
   /**
    * Phương thức PUT generic
+   * headers: header bổ sung, ví dụ If-Match để chỉ lưu khi bản ghi chưa bị người khác sửa
    */
-  async put<T>(endpoint: string, pathParams: Record<string, any>, body: any): Promise<T> {
+  async put<T>(endpoint: string, pathParams: Record<string, any>, body: any, headers?: Record<string, string>): Promise<T> {
     const startTime = Date.now();
     try {
       const result = await this.callApi(endpoint, pathParams, {}, {
         method: 'PUT',
-        body
+        body,
+        ...(headers && { headers })
       });
       this.logApiCall(endpoint, 'PUT', startTime);
       return result;
@@ -229,7 +377,7 @@ class ApiBroker implements ApiBrokerInterface {
   
   // ----- USER MANAGEMENT APIs -----
   
-  async getUsers(params?: Record<string, any>) {
+  async getUsers(params?: QueryParams) {
     return this.get(API_ENDPOINTS.USERS.LIST, {}, params);
   }
   
@@ -241,8 +389,8 @@ class ApiBroker implements ApiBrokerInterface {
     return this.post(API_ENDPOINTS.USERS.CREATE, userData);
   }
   
-  async updateUser(id: number, userData: any) {
-    return this.put(API_ENDPOINTS.USERS.DETAIL, { id }, userData);
+  async updateUser(id: number, userData: Partial<User>, version?: number) {
+    return this.put(API_ENDPOINTS.USERS.DETAIL, { id }, userData, this.ifMatch(version));
   }
   
   async deleteUser(id: number) {
@@ -253,52 +401,331 @@ class ApiBroker implements ApiBrokerInterface {
     return this.get(API_ENDPOINTS.USERS.ROLES, {});
   }
   
-  async toggleUserStatus(id: number, isActive: boolean) {
-    return this.put(API_ENDPOINTS.USERS.DETAIL, { id }, { is_active: isActive });
+  async toggleUserStatus(id: number, isActive: boolean, version?: number) {
+    return this.put<ApiResponse<User>>(API_ENDPOINTS.USERS.DETAIL, { id }, { is_active: isActive }, this.ifMatch(version));
+  }
+  
+  async unlockUser(id: number) {
+    return this.post<ApiResponse<UserLockStatus>>(API_ENDPOINTS.USERS.UNLOCK, {}, { id });
+  }
+  
+  async changeUserPassword(id: number, currentPassword: string, newPassword: string) {
+    return this.post<ApiResponse<ApiMessage>>(API_ENDPOINTS.USERS.CHANGE_PASSWORD, { currentPassword, newPassword }, { id });
+  }
+  
+  async bulkUserAction(action: BulkUserAction, ids: number[], options: { role?: string } = {}) {
+    return this.post<ApiResponse<BulkUserActionResult>>(API_ENDPOINTS.USERS.BULK, { action, ids, ...options });
+  }
+  
+  async exportUsers(format: string, params: QueryParams = {}): Promise<Blob> {
+    // Không dùng cache của get(): file export luôn phải lấy dữ liệu mới nhất
+    const startTime = Date.now();
+    try {
+      const result = await this.callApi(API_ENDPOINTS.USERS.EXPORT, {}, { ...params, format }, {
+        responseType: 'blob'
+      });
+      this.logApiCall(API_ENDPOINTS.USERS.EXPORT, 'GET', startTime);
+      return result;
+    } catch (error) {
+      this.logApiError(API_ENDPOINTS.USERS.EXPORT, 'GET', error);
+      throw error;
+    }
+  }
+  
+  async importUsers(file: File, dryRun: boolean): Promise<ApiResponse<UserImportResult>> {
+    const formData = new FormData();
+    formData.append('file', file);
+    
+    // Không đặt Content-Type thủ công: trình duyệt cần tự thêm boundary cho multipart
+    return this.callApi(API_ENDPOINTS.USERS.IMPORT, {}, dryRun ? { dryRun: true } : {}, {
+      method: 'POST',
+      body: formData
+    });
+  }
+  
+  async getUserSessions(id: number) {
+    return this.get<ApiResponse<UserSession[]>>(API_ENDPOINTS.USERS.SESSIONS, { id });
+  }
+  
+  async revokeUserSession(id: number, sessionId: string) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.USERS.SESSION, { id, sessionId });
+  }
+  
+  async getUserAuthHistory(id: number, limit?: number) {
+    return this.get<ApiResponse<AuthActivity[]>>(API_ENDPOINTS.USERS.AUTH_HISTORY, { id }, limit ? { limit } : undefined);
+  }
+  
+  // ----- ROLE & PERMISSION APIs -----
+  
+  async getRoles(params?: QueryParams) {
+    return this.get<ApiResponse<Role[]>>(API_ENDPOINTS.ROLES.LIST, {}, params);
+  }
+  
+  async getRoleById(id: number) {
+    return this.get<ApiResponse<Role>>(API_ENDPOINTS.ROLES.DETAIL, { id });
+  }
+  
+  async createRole(roleData: Partial<Role> & { permission_ids?: number[] }) {
+    return this.post<ApiResponse<Role>>(API_ENDPOINTS.ROLES.CREATE, roleData);
+  }
+  
+  async updateRole(id: number, roleData: Partial<Role>) {
+    return this.put<ApiResponse<Role>>(API_ENDPOINTS.ROLES.UPDATE, { id }, roleData);
+  }
+  
+  async deleteRole(id: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.ROLES.DETAIL, { id });
+  }
+  
+  async getRolePermissions(id: number) {
+    return this.get<ApiResponse<Permission[]>>(API_ENDPOINTS.ROLES.PERMISSIONS, { id });
+  }
+  
+  async setRolePermissions(id: number, permissionIds: number[]) {
+    return this.put<ApiResponse<Permission[]>>(API_ENDPOINTS.ROLES.PERMISSIONS, { id }, { permission_ids: permissionIds });
+  }
+  
+  async getRoleUsers(id: number, params?: QueryParams) {
+    return this.get<ApiResponse<User[]>>(API_ENDPOINTS.ROLES.USERS, { id }, params);
+  }
+  
+  async getPermissions() {
+    return this.get<ApiResponse<Permission[]>>(API_ENDPOINTS.PERMISSIONS.LIST, {});
+  }
+  
+  // ----- NEWS MANAGEMENT APIs -----
+  
+  async getNews(params?: QueryParams) {
+    return this.get<ApiResponse<News[]>>(API_ENDPOINTS.NEWS.LIST, {}, params);
+  }
+  
+  async getNewsById(id: number) {
+    return this.get<ApiResponse<News>>(API_ENDPOINTS.NEWS.DETAIL, { id });
+  }
+  
+  async getNewsBySlug(slug: string) {
+    return this.get<ApiResponse<News>>(API_ENDPOINTS.NEWS.BY_SLUG, { slug });
+  }
+  
+  async createNews(newsData: Partial<NewsFormData>) {
+    return this.post<ApiResponse<News>>(API_ENDPOINTS.NEWS.CREATE, newsData);
+  }
+  
+  async updateNews(id: number, newsData: Partial<NewsFormData>, version?: number) {
+    return this.put<ApiResponse<News>>(API_ENDPOINTS.NEWS.UPDATE, { id }, newsData, this.ifMatch(version));
+  }
+  
+  async deleteNews(id: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.NEWS.DELETE, { id });
+  }
+  
+  async publishNews(id: number) {
+    return this.post<ApiResponse<News>>(API_ENDPOINTS.NEWS.PUBLISH, {}, { id });
+  }
+  
+  async draftNews(id: number) {
+    return this.post<ApiResponse<News>>(API_ENDPOINTS.NEWS.DRAFT, {}, { id });
+  }
+  
+  async archiveNews(id: number) {
+    return this.post<ApiResponse<News>>(API_ENDPOINTS.NEWS.ARCHIVE, {}, { id });
+  }
+  
+  async getNewsCategories() {
+    return this.get<ApiResponse<NewsCategory[]>>(API_ENDPOINTS.NEWS.CATEGORIES, {});
+  }
+  
+  async getNewsTags() {
+    return this.get<ApiResponse<NewsTag[]>>(API_ENDPOINTS.NEWS.TAGS, {});
+  }
+  
+  // ----- PRODUCT MANAGEMENT APIs -----
+  
+  async getProducts(params?: QueryParams) {
+    return this.get<ApiResponse<Product[]>>(API_ENDPOINTS.PRODUCTS.LIST, {}, params);
+  }
+  
+  async getProductById(id: number) {
+    return this.get<ApiResponse<Product>>(API_ENDPOINTS.PRODUCTS.DETAIL, { id });
+  }
+  
+  async getProductBySlug(slug: string) {
+    return this.get<ApiResponse<Product>>(API_ENDPOINTS.PRODUCTS.BY_SLUG, { slug });
+  }
+  
+  async createProduct(productData: Partial<ProductFormData>) {
+    return this.post<ApiResponse<Product>>(API_ENDPOINTS.PRODUCTS.CREATE, productData);
+  }
+  
+  async updateProduct(id: number, productData: Partial<ProductFormData>, version?: number) {
+    return this.put<ApiResponse<Product>>(API_ENDPOINTS.PRODUCTS.UPDATE, { id }, productData, this.ifMatch(version));
+  }
+  
+  async deleteProduct(id: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.PRODUCTS.DELETE, { id });
+  }
+  
+  async getProductCategories() {
+    return this.get<ApiResponse<ProductCategory[]>>(API_ENDPOINTS.PRODUCTS.CATEGORIES, {});
   }
   
   // ----- PROJECT MANAGEMENT APIs -----
   
-  async getProjects(params?: Record<string, any>) {
-    return this.get(API_ENDPOINTS.PROJECTS.LIST, {}, params);
+  async getProjects(params?: QueryParams) {
+    return this.get<ApiResponse<Project[]>>(API_ENDPOINTS.PROJECTS.LIST, {}, params);
   }
   
   async getProjectById(id: number) {
-    return this.get(API_ENDPOINTS.PROJECTS.DETAIL, { id });
+    return this.get<ApiResponse<Project>>(API_ENDPOINTS.PROJECTS.DETAIL, { id });
   }
   
-  async createProject(projectData: any) {
-    return this.post(API_ENDPOINTS.PROJECTS.CREATE, projectData);
+  async createProject(projectData: Partial<Project>) {
+    return this.post<ApiResponse<Project>>(API_ENDPOINTS.PROJECTS.CREATE, projectData);
   }
   
-  async updateProject(id: number, projectData: any) {
-    return this.put(API_ENDPOINTS.PROJECTS.UPDATE, { id }, projectData);
+  async updateProject(id: number, projectData: Partial<Project>, version?: number) {
+    return this.put<ApiResponse<Project>>(API_ENDPOINTS.PROJECTS.UPDATE, { id }, projectData, this.ifMatch(version));
   }
   
   async deleteProject(id: number) {
-    return this.delete(API_ENDPOINTS.PROJECTS.DELETE, { id });
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.PROJECTS.DELETE, { id });
   }
   
-  async addProjectMember(projectId: number, memberId: number) {
-    return this.post(API_ENDPOINTS.PROJECTS.ADD_MEMBER, { project_id: projectId, user_id: memberId }, { id: projectId });
+  async getProjectMembers(projectId: number) {
+    return this.get<ApiResponse<ProjectMember[]>>(API_ENDPOINTS.PROJECTS.MEMBERS, { id: projectId });
+  }
+  
+  async addProjectMember(projectId: number, memberId: number, role?: ProjectMemberRole) {
+    return this.post<ApiResponse<ProjectMember[]>>(
+      API_ENDPOINTS.PROJECTS.ADD_MEMBER,
+      { project_id: projectId, user_id: memberId, ...(role && { role }) },
+      { id: projectId }
+    );
+  }
+  
+  async removeProjectMember(projectId: number, memberId: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.PROJECTS.REMOVE_MEMBER, { id: projectId, userId: memberId });
   }
   
   // ----- FILE MANAGEMENT APIs -----
   
-  async uploadFile(file: File, onProgress?: (progress: number) => void) {
+  async uploadFile(
+    file: File,
+    onProgress?: (progress: number) => void,
+    usageType?: UploadedFile['usage_type']
+  ): Promise<ApiResponse<UploadedFile>> {
     const formData = new FormData();
     formData.append('file', file);
+    if (usageType) {
+      formData.append('usage_type', usageType);
+    }
     
+    // Không đặt Content-Type thủ công: trình duyệt cần tự thêm boundary cho multipart
     return this.callApi(API_ENDPOINTS.FILES.UPLOAD, {}, {}, {
       method: 'POST',
       body: formData,
-      headers: {
-        'Content-Type': 'multipart/form-data'
-      },
       onProgress
     });
   }
   
+  async getFiles(params?: QueryParams) {
+    return this.get<ApiResponse<UploadedFile[]>>(API_ENDPOINTS.FILES.LIST, {}, params);
+  }
+  
+  async getFileById(id: number) {
+    return this.get<ApiResponse<UploadedFile>>(API_ENDPOINTS.FILES.DETAIL, { id });
+  }
+  
+  async deleteFile(id: number, force = false): Promise<ApiResponse<ApiMessage>> {
+    const startTime = Date.now();
+    try {
+      const result = await this.callApi(API_ENDPOINTS.FILES.DELETE, { id }, force ? { force: true } : {}, {
+        method: 'DELETE'
+      });
+      this.logApiCall(API_ENDPOINTS.FILES.DELETE, 'DELETE', startTime);
+      return result;
+    } catch (error) {
+      this.logApiError(API_ENDPOINTS.FILES.DELETE, 'DELETE', error);
+      throw error;
+    }
+  }
+  
+  // ----- CONTACT MESSAGE APIs -----
+  
+  async getContactMessages(params?: QueryParams) {
+    return this.get<ApiResponse<ContactMessage[]>>(API_ENDPOINTS.CONTACT.LIST, {}, params);
+  }
+  
+  async getContactMessageById(id: number) {
+    return this.get<ApiResponse<ContactMessage>>(API_ENDPOINTS.CONTACT.DETAIL, { id });
+  }
+  
+  async getContactMessageStats() {
+    return this.get<ApiResponse<ContactMessageStats>>(API_ENDPOINTS.CONTACT.STATS, {});
+  }
+  
+  async setContactMessageRead(id: number, read: boolean) {
+    return this.put<ApiResponse<ContactMessage>>(API_ENDPOINTS.CONTACT.READ, { id }, { read });
+  }
+  
+  async deleteContactMessage(id: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.CONTACT.DELETE, { id });
+  }
+  
+  async exportContactMessages(params: QueryParams = {}): Promise<string> {
+    // Không dùng cache của get(): file export luôn phải lấy dữ liệu mới nhất
+    const startTime = Date.now();
+    try {
+      const result = await this.callApi(API_ENDPOINTS.CONTACT.EXPORT, {}, params);
+      this.logApiCall(API_ENDPOINTS.CONTACT.EXPORT, 'GET', startTime);
+      return result;
+    } catch (error) {
+      this.logApiError(API_ENDPOINTS.CONTACT.EXPORT, 'GET', error);
+      throw error;
+    }
+  }
+  
+  // ----- AUDIT LOG APIs -----
+  
+  async getAuditLogs(params?: QueryParams) {
+    return this.get<ApiResponse<AuditLogEntry[]>>(API_ENDPOINTS.AUDIT_LOGS.LIST, {}, params);
+  }
+  
+  async getAuditLogActions() {
+    return this.get<ApiResponse<string[]>>(API_ENDPOINTS.AUDIT_LOGS.ACTIONS, {});
+  }
+  
+  async exportAuditLogs(params: QueryParams = {}): Promise<string> {
+    // Không dùng cache của get(): file export luôn phải lấy dữ liệu mới nhất
+    const startTime = Date.now();
+    try {
+      const result = await this.callApi(API_ENDPOINTS.AUDIT_LOGS.EXPORT, {}, params);
+      this.logApiCall(API_ENDPOINTS.AUDIT_LOGS.EXPORT, 'GET', startTime);
+      return result;
+    } catch (error) {
+      this.logApiError(API_ENDPOINTS.AUDIT_LOGS.EXPORT, 'GET', error);
+      throw error;
+    }
+  }
+  
+  async getRecordHistory(resource: string, id: number) {
+    return this.get<ApiResponse<RecordHistoryEntry[]>>(API_ENDPOINTS.AUDIT_LOGS.RECORD_HISTORY, { resource, id });
+  }
+  
+  // ----- TRASH APIs -----
+  
+  async getTrash(resource: TrashResource, params?: QueryParams) {
+    return this.get<ApiResponse<TrashEntry[]>>(API_ENDPOINTS.TRASH.LIST, { resource }, params);
+  }
+  
+  async restoreFromTrash(resource: TrashResource, id: number) {
+    return this.post<ApiResponse<TrashEntry>>(API_ENDPOINTS.TRASH.RESTORE, {}, { resource, id });
+  }
+  
+  async purgeFromTrash(resource: TrashResource, id: number) {
+    return this.delete<ApiResponse<ApiMessage>>(API_ENDPOINTS.TRASH.PURGE, { resource, id });
+  }
+  
   // ----- AUTH APIs -----
   
   async login(credentials: { username: string; password: string }) {
@@ -317,6 +744,26 @@ class ApiBroker implements ApiBrokerInterface {
     return this.get(API_ENDPOINTS.AUTH.ME, {});
   }
   
+  async getTwoFactorStatus() {
+    return this.get<ApiResponse<TwoFactorStatus>>(API_ENDPOINTS.AUTH.TWO_FACTOR, {});
+  }
+  
+  async setupTwoFactor() {
+    return this.post<ApiResponse<TwoFactorEnrollment>>(API_ENDPOINTS.AUTH.TWO_FACTOR_SETUP, {});
+  }
+  
+  async enableTwoFactor(code: string) {
+    return this.post<ApiResponse<{ recoveryCodes: string[] }>>(API_ENDPOINTS.AUTH.TWO_FACTOR_ENABLE, { code });
+  }
+  
+  async disableTwoFactor(password: string, code: string) {
+    return this.post<ApiResponse<ApiMessage>>(API_ENDPOINTS.AUTH.TWO_FACTOR_DISABLE, { password, code });
+  }
+  
+  async regenerateRecoveryCodes(code: string) {
+    return this.post<ApiResponse<{ recoveryCodes: string[] }>>(API_ENDPOINTS.AUTH.TWO_FACTOR_RECOVERY_CODES, { code });
+  }
+  
   // ----- CACHE MANAGEMENT -----
   
   clearCache(): void {
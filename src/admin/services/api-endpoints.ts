@@ -10,40 +10,110 @@ export const API_ENDPOINTS = {
     REFRESH_TOKEN: '/auth/refresh-token',
     LOGOUT: '/auth/logout',
     LOGOUT_ALL: '/auth/logout-all',
-    ME: '/auth/me'
+    ME: '/auth/me',
+    SESSIONS: '/auth/sessions',
+    SESSION: '/auth/sessions/:id',
+    HISTORY: '/auth/history',
+    LOGIN_2FA: '/auth/login/2fa',
+    TWO_FACTOR: '/auth/2fa',
+    TWO_FACTOR_SETUP: '/auth/2fa/setup',
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable',
+    TWO_FACTOR_DISABLE: '/auth/2fa/disable',
+    TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes'
   },
   USERS: {
     LIST: '/users',
     DETAIL: '/users/:id',
     CREATE: '/users',
+    BULK: '/users/bulk',
+    EXPORT: '/users/export',
+    IMPORT: '/users/import',
     ROLES: '/roles',
-    USER_ROLES: '/users/:id/roles'
+    USER_ROLES: '/users/:id/roles',
+    UNLOCK: '/users/:id/unlock',
+    CHANGE_PASSWORD: '/users/:id/change-password',
+    SESSIONS: '/users/:id/sessions',
+    SESSION: '/users/:id/sessions/:sessionId',
+    AUTH_HISTORY: '/users/:id/auth-history'
   },
   ROLES: {
     LIST: '/roles',
     DETAIL: '/roles/:id',
     CREATE: '/roles',
-    UPDATE: '/roles/:id'
+    UPDATE: '/roles/:id',
+    PERMISSIONS: '/roles/:id/permissions',
+    USERS: '/roles/:id/users'
+  },
+  PERMISSIONS: {
+    LIST: '/permissions'
   },
   PASSWORD_RESET: {
     REQUEST: '/password-reset/request',
     VERIFY: '/password-reset/verify/:token',
     RESET: '/password-reset/reset'
   },
+  NEWS: {
+    LIST: '/news',
+    DETAIL: '/news/:id',
+    BY_SLUG: '/news/slug/:slug',
+    CREATE: '/news',
+    UPDATE: '/news/:id',
+    DELETE: '/news/:id',
+    PUBLISH: '/news/:id/publish',
+    DRAFT: '/news/:id/draft',
+    ARCHIVE: '/news/:id/archive',
+    CATEGORIES: '/news/categories',
+    TAGS: '/news/tags'
+  },
+  PRODUCTS: {
+    LIST: '/products',
+    DETAIL: '/products/:id',
+    BY_SLUG: '/products/slug/:slug',
+    CREATE: '/products',
+    UPDATE: '/products/:id',
+    DELETE: '/products/:id',
+    CATEGORIES: '/products/categories'
+  },
   // Thêm endpoints cho Projects theo documentation
   PROJECTS: {
     LIST: '/projects',
     DETAIL: '/projects/:id',
+    BY_SLUG: '/projects/slug/:slug',
     CREATE: '/projects',
     UPDATE: '/projects/:id',
     DELETE: '/projects/:id',
     MEMBERS: '/projects/:id/members',
-    ADD_MEMBER: '/projects/:id/members'
+    ADD_MEMBER: '/projects/:id/members',
+    REMOVE_MEMBER: '/projects/:id/members/:userId'
   },
   // Thêm endpoints cho Files
   FILES: {
     UPLOAD: '/files/upload',
     LIST: '/files',
+    DETAIL: '/files/:id',
     DELETE: '/files/:id'
+  },
+  // Endpoints cho form liên hệ và hộp thư liên hệ
+  CONTACT: {
+    SUBMIT: '/contact',
+    LIST: '/contact-messages',
+    DETAIL: '/contact-messages/:id',
+    STATS: '/contact-messages/stats',
+    EXPORT: '/contact-messages/export',
+    READ: '/contact-messages/:id/read',
+    DELETE: '/contact-messages/:id'
+  },
+  // Endpoints cho nhật ký xác thực (auth_logs)
+  AUDIT_LOGS: {
+    LIST: '/audit-logs',
+    ACTIONS: '/audit-logs/actions',
+    EXPORT: '/audit-logs/export',
+    RECORD_HISTORY: '/audit-trail/:resource/:id'
+  },
+  // Endpoints cho thùng rác (bản ghi đã xóa mềm: users, news, products, projects)
+  TRASH: {
+    LIST: '/trash/:resource',
+    RESTORE: '/trash/:resource/:id/restore',
+    PURGE: '/trash/:resource/:id'
   }
 };
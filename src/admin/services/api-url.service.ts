@@ -29,6 +29,7 @@ class ApiUrlService {
         logout: '/auth/logout',
         logoutAll: '/auth/logout-all',
         me: '/auth/me',
+        loginTwoFactor: '/auth/login/2fa',
         
         // User endpoints
         users: '/users',
@@ -76,22 +77,25 @@ class ApiUrlService {
     params: Record<string, string | number> = {}, 
     queryParams: Record<string, string | number | boolean> = {}
   ): string {
+    // ApiBroker truyền trực tiếp đường dẫn (API_ENDPOINTS trong api-endpoints.ts)
+    const isPath = endpointKey.startsWith('/');
+
     // Kiểm tra endpoint có tồn tại không
-    if (!this.config.endpoints[endpointKey]) {
+    if (!isPath && !this.config.endpoints[endpointKey]) {
       console.error(`Endpoint key "${endpointKey}" is not registered in ApiUrlService`);
       throw new Error(`Unknown endpoint: ${endpointKey}`);
     }
 
     // Lấy đường dẫn endpoint
-    let path = this.config.endpoints[endpointKey];
+    let path = isPath ? endpointKey : this.config.endpoints[endpointKey];
 
     // Thay thế các tham số trong đường dẫn
     Object.keys(params).forEach(key => {
       path = path.replace(`:${key}`, String(params[key]));
     });
 
-    // Xây dựng URL đầy đủ
-    const url = new URL(path, this.config.baseUrl);
+    // Xây dựng URL đầy đủ (nối chuỗi để giữ lại tiền tố /api của baseUrl)
+    const url = new URL(`${this.config.baseUrl.replace(/\/+$/, '')}${path}`);
 
     // Thêm các tham số truy vấn
     Object.keys(queryParams).forEach(key => {
@@ -128,7 +132,8 @@ export const API_ENDPOINTS = {
     REFRESH_TOKEN: 'refreshToken',
     LOGOUT: 'logout',
     LOGOUT_ALL: 'logoutAll',
-    ME: 'me'
+    ME: 'me',
+    LOGIN_2FA: 'loginTwoFactor'
   },
   USERS: {
     LIST: 'users',
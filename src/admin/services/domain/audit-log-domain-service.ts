@@ -0,0 +1,176 @@
+import { ApiBrokerInterface, ApiPagination, QueryParams } from '../../services/api-broker';
+import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
+import { AuditLogExportFormat, AuditLogListResult, RecordHistoryEntry } from '../../controllers/AuditLogController';
+
+/**
+ * Available operations in AuditLogDomainService
+ */
+export enum AuditLogOperations {
+  VIEW_AUDIT_LOG = 'VIEW_AUDIT_LOG',
+  EXPORT_AUDIT_LOG = 'EXPORT_AUDIT_LOG'
+}
+
+/**
+ * Audit log permissions granted to each role
+ * Mirrors the default audit.view permission of the admin role on the /audit-logs routes
+ */
+export const AUDIT_LOG_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: ['audit:list', 'audit:export']
+};
+
+/**
+ * Interface for AuditLogDomainService
+ * Contains all business operations related to the authentication audit log
+ */
+export interface AuditLogDomainService {
+  /**
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets audit log entries with pagination and filtering
+   */
+  getLogs(params?: QueryParams): Promise<DomainOperationResult<AuditLogListResult>>;
+
+  /**
+   * Gets the actions recorded in the log
+   */
+  getActions(): Promise<DomainOperationResult<string[]>>;
+
+  /**
+   * Exports the entries matching the filters as CSV or JSON
+   */
+  exportLogs(format: AuditLogExportFormat, params?: QueryParams): Promise<DomainOperationResult<string>>;
+
+  /**
+   * Gets the change history of an admin record, newest first
+   */
+  getRecordHistory(resource: string, id: number): Promise<DomainOperationResult<RecordHistoryEntry[]>>;
+}
+
+/**
+ * Implementation of AuditLogDomainService
+ * Contains business logic for the authentication audit log
+ */
+export class AuditLogDomainServiceImpl extends BaseDomainServiceImpl implements AuditLogDomainService {
+  // Constructor with ApiBroker dependency
+  constructor(private apiBroker: ApiBrokerInterface) {
+    super();
+  }
+
+  /**
+   * Gets audit log entries with pagination and filtering
+   */
+  async getLogs(params: QueryParams = {}): Promise<DomainOperationResult<AuditLogListResult>> {
+    if (!(await this.canPerformOperation(AuditLogOperations.VIEW_AUDIT_LOG))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view the audit log'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getAuditLogs(params);
+      const pagination: Partial<ApiPagination> = response.pagination || {};
+
+      return this.createSuccessResult({
+        data: response.data || [],
+        pagination: {
+          currentPage: pagination.page || 1,
+          totalPages: pagination.totalPages || 1,
+          totalItems: pagination.total || 0,
+          pageSize: pagination.pageSize || Number(params.pageSize) || 50
+        }
+      });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch the audit log',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets the actions recorded in the log
+   */
+  async getActions(): Promise<DomainOperationResult<string[]>> {
+    if (!(await this.canPerformOperation(AuditLogOperations.VIEW_AUDIT_LOG))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view the audit log'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getAuditLogActions();
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch audit log actions',
+        error
+      );
+    }
+  }
+
+  /**
+   * Exports the entries matching the filters as CSV or JSON
+   */
+  async exportLogs(format: AuditLogExportFormat, params: QueryParams = {}): Promise<DomainOperationResult<string>> {
+    if (!(await this.canPerformOperation(AuditLogOperations.EXPORT_AUDIT_LOG))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to export the audit log'
+      );
+    }
+
+    try {
+      const content = await this.apiBroker.exportAuditLogs({ ...params, format });
+      // File JSON được callApi parse sẵn, chuyển lại thành chuỗi để tải về
+      return this.createSuccessResult(typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to export the audit log',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets the change history of an admin record, newest first
+   */
+  async getRecordHistory(resource: string, id: number): Promise<DomainOperationResult<RecordHistoryEntry[]>> {
+    if (!(await this.canPerformOperation(AuditLogOperations.VIEW_AUDIT_LOG))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view the change history'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getRecordHistory(resource, id);
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch the change history',
+        error
+      );
+    }
+  }
+
+  /**
+   * Maps operations to required permissions
+   */
+  protected getOperationPermission(operationName: string): string | null {
+    const permissionMap: Record<string, string> = {
+      [AuditLogOperations.VIEW_AUDIT_LOG]: 'audit:list',
+      [AuditLogOperations.EXPORT_AUDIT_LOG]: 'audit:export'
+    };
+
+    return permissionMap[operationName] || null;
+  }
+}
@@ -1,3 +1,5 @@
+import { ConflictError } from '../api-broker';
+
 /**
  * Base interface for all domain services
  * Domain services handle complex business logic, validations, and workflows
@@ -32,6 +34,8 @@ export interface DomainOperationResult<T = any> {
     details?: any;
   };
   validationErrors?: Record<string, string[]>;
+  // Current record when someone else saved a newer version first (409/412)
+  conflict?: T;
 }
 
 /**
@@ -99,6 +103,20 @@ export abstract class BaseDomainServiceImpl implements BaseDomainService {
     };
   }
   
+  /**
+   * Helper to create a version conflict result with the current record
+   */
+  protected createConflictResult(error: ConflictError): DomainOperationResult {
+    return {
+      success: false,
+      error: {
+        code: 'VERSION_CONFLICT',
+        message: error.message
+      },
+      conflict: error.current
+    };
+  }
+
   /**
    * Helper to create a validation error result
    */
@@ -0,0 +1,240 @@
+import { ApiBrokerInterface, ApiPagination, QueryParams } from '../../services/api-broker';
+import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
+import {
+  ContactMessage,
+  ContactMessageListResult,
+  ContactMessageStats
+} from '../../controllers/ContactMessageController';
+
+/**
+ * Available operations in ContactMessageDomainService
+ */
+export enum ContactMessageOperations {
+  VIEW_MESSAGE_LIST = 'VIEW_MESSAGE_LIST',
+  VIEW_MESSAGE_DETAILS = 'VIEW_MESSAGE_DETAILS',
+  UPDATE_MESSAGE = 'UPDATE_MESSAGE',
+  DELETE_MESSAGE = 'DELETE_MESSAGE',
+  EXPORT_MESSAGES = 'EXPORT_MESSAGES'
+}
+
+/**
+ * Contact message permissions granted to each role
+ * Mirrors the default messages.* permissions of the admin and editor roles on the /contact-messages routes
+ */
+export const CONTACT_MESSAGE_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: ['messages:list', 'messages:view', 'messages:update', 'messages:delete', 'messages:export'],
+  editor: ['messages:list', 'messages:view', 'messages:update', 'messages:delete', 'messages:export']
+};
+
+/**
+ * Interface for ContactMessageDomainService
+ * Contains all business operations related to the contact message inbox
+ */
+export interface ContactMessageDomainService {
+  /**
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets messages with pagination and filtering
+   */
+  getMessages(params?: QueryParams): Promise<DomainOperationResult<ContactMessageListResult>>;
+
+  /**
+   * Gets a message by ID
+   */
+  getMessageById(messageId: number): Promise<DomainOperationResult<ContactMessage>>;
+
+  /**
+   * Gets total and unread message counts
+   */
+  getStats(): Promise<DomainOperationResult<ContactMessageStats>>;
+
+  /**
+   * Marks a message as read or unread
+   */
+  setReadStatus(messageId: number, read: boolean): Promise<DomainOperationResult<ContactMessage>>;
+
+  /**
+   * Deletes a message
+   */
+  deleteMessage(messageId: number): Promise<DomainOperationResult<boolean>>;
+
+  /**
+   * Exports the messages matching the filters as CSV
+   */
+  exportMessages(params?: QueryParams): Promise<DomainOperationResult<string>>;
+}
+
+/**
+ * Implementation of ContactMessageDomainService
+ * Contains business logic for the contact message inbox
+ */
+export class ContactMessageDomainServiceImpl extends BaseDomainServiceImpl implements ContactMessageDomainService {
+  // Constructor with ApiBroker dependency
+  constructor(private apiBroker: ApiBrokerInterface) {
+    super();
+  }
+
+  /**
+   * Gets messages with pagination and filtering
+   */
+  async getMessages(params: QueryParams = {}): Promise<DomainOperationResult<ContactMessageListResult>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.VIEW_MESSAGE_LIST))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view messages'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getContactMessages(params);
+      const pagination: Partial<ApiPagination> = response.pagination || {};
+
+      return this.createSuccessResult({
+        data: response.data || [],
+        pagination: {
+          currentPage: pagination.page || 1,
+          totalPages: pagination.totalPages || 1,
+          totalItems: pagination.total || 0,
+          pageSize: pagination.pageSize || Number(params.pageSize) || 20
+        }
+      });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch messages',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets a message by ID
+   */
+  async getMessageById(messageId: number): Promise<DomainOperationResult<ContactMessage>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.VIEW_MESSAGE_DETAILS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view messages'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getContactMessageById(messageId);
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch message',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets total and unread message counts
+   */
+  async getStats(): Promise<DomainOperationResult<ContactMessageStats>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.VIEW_MESSAGE_LIST))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view messages'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getContactMessageStats();
+      return this.createSuccessResult(response.data || { total: 0, unread: 0 });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch message stats',
+        error
+      );
+    }
+  }
+
+  /**
+   * Marks a message as read or unread
+   */
+  async setReadStatus(messageId: number, read: boolean): Promise<DomainOperationResult<ContactMessage>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.UPDATE_MESSAGE))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to update messages'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.setContactMessageRead(messageId, read);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to update message',
+        error
+      );
+    }
+  }
+
+  /**
+   * Deletes a message
+   */
+  async deleteMessage(messageId: number): Promise<DomainOperationResult<boolean>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.DELETE_MESSAGE))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to delete messages'
+      );
+    }
+
+    try {
+      await this.apiBroker.deleteContactMessage(messageId);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult('API_ERROR', error.message || 'Failed to delete message');
+    }
+  }
+
+  /**
+   * Exports the messages matching the filters as CSV
+   */
+  async exportMessages(params: QueryParams = {}): Promise<DomainOperationResult<string>> {
+    if (!(await this.canPerformOperation(ContactMessageOperations.EXPORT_MESSAGES))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to export messages'
+      );
+    }
+
+    try {
+      const csv = await this.apiBroker.exportContactMessages(params);
+      return this.createSuccessResult(csv);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to export messages',
+        error
+      );
+    }
+  }
+
+  /**
+   * Maps operations to required permissions
+   */
+  protected getOperationPermission(operationName: string): string | null {
+    const permissionMap: Record<string, string> = {
+      [ContactMessageOperations.VIEW_MESSAGE_LIST]: 'messages:list',
+      [ContactMessageOperations.VIEW_MESSAGE_DETAILS]: 'messages:view',
+      [ContactMessageOperations.UPDATE_MESSAGE]: 'messages:update',
+      [ContactMessageOperations.DELETE_MESSAGE]: 'messages:delete',
+      [ContactMessageOperations.EXPORT_MESSAGES]: 'messages:export'
+    };
+
+    return permissionMap[operationName] || null;
+  }
+}
@@ -0,0 +1,430 @@
+import { ApiBrokerInterface, ApiPagination, ConflictError, QueryParams } from '../../services/api-broker';
+import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
+import {
+  News,
+  NewsCategory,
+  NewsFormData,
+  NewsListResult,
+  NewsStatus,
+  NewsTag,
+  NEWS_STATUSES
+} from '../../controllers/NewsController';
+
+/**
+ * Available operations in NewsDomainService
+ */
+export enum NewsOperations {
+  VIEW_NEWS_LIST = 'VIEW_NEWS_LIST',
+  VIEW_NEWS_DETAILS = 'VIEW_NEWS_DETAILS',
+  CREATE_NEWS = 'CREATE_NEWS',
+  UPDATE_NEWS = 'UPDATE_NEWS',
+  DELETE_NEWS = 'DELETE_NEWS',
+  PUBLISH_NEWS = 'PUBLISH_NEWS',
+  ARCHIVE_NEWS = 'ARCHIVE_NEWS'
+}
+
+/**
+ * News permissions granted to each role
+ * Mirrors the default news.* permissions of the admin and editor roles on the /news routes
+ */
+export const NEWS_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: ['news:list', 'news:view', 'news:create', 'news:update', 'news:delete', 'news:publish', 'news:archive'],
+  editor: ['news:list', 'news:view', 'news:create', 'news:update', 'news:delete', 'news:publish', 'news:archive']
+};
+
+/**
+ * Interface for NewsDomainService
+ * Contains all business operations related to news management
+ */
+export interface NewsDomainService {
+  /**
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets news articles with pagination and filtering
+   */
+  getNews(params?: QueryParams): Promise<DomainOperationResult<NewsListResult>>;
+
+  /**
+   * Gets a news article by ID
+   */
+  getNewsById(newsId: number): Promise<DomainOperationResult<News>>;
+
+  /**
+   * Creates a new news article with validation
+   */
+  createNews(newsData: NewsFormData): Promise<DomainOperationResult<News>>;
+
+  /**
+   * Updates an existing news article with validation
+   */
+  updateNews(newsId: number, newsData: Partial<NewsFormData>, version?: number): Promise<DomainOperationResult<News>>;
+
+  /**
+   * Deletes a news article
+   */
+  deleteNews(newsId: number): Promise<DomainOperationResult<boolean>>;
+
+  /**
+   * Moves a news article to another status (publish, draft, archive)
+   */
+  changeStatus(newsId: number, status: NewsStatus): Promise<DomainOperationResult<News>>;
+
+  /**
+   * Gets categories available for news
+   */
+  getCategories(): Promise<DomainOperationResult<NewsCategory[]>>;
+
+  /**
+   * Gets tags available for news
+   */
+  getTags(): Promise<DomainOperationResult<NewsTag[]>>;
+
+  /**
+   * Validates news data based on business rules
+   */
+  validateNewsData(newsData: Partial<NewsFormData>, isUpdate?: boolean): {isValid: boolean, errors: Record<string, string[]>};
+}
+
+/**
+ * Implementation of NewsDomainService
+ * Contains business logic for news management
+ */
+export class NewsDomainServiceImpl extends BaseDomainServiceImpl implements NewsDomainService {
+  // Column limits from the news table
+  private readonly TITLE_MAX_LENGTH = 255;
+  private readonly SLUG_MAX_LENGTH = 300;
+  private readonly LOCATION_MAX_LENGTH = 255;
+  private readonly ORGANIZER_MAX_LENGTH = 150;
+
+  // Constructor with ApiBroker dependency
+  constructor(private apiBroker: ApiBrokerInterface) {
+    super();
+  }
+
+  /**
+   * Gets news articles with pagination and filtering
+   */
+  async getNews(params: QueryParams = {}): Promise<DomainOperationResult<NewsListResult>> {
+    if (!(await this.canPerformOperation(NewsOperations.VIEW_NEWS_LIST))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view news'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getNews(params);
+      const pagination: Partial<ApiPagination> = response.pagination || {};
+
+      return this.createSuccessResult({
+        data: response.data || [],
+        pagination: {
+          currentPage: pagination.page || 1,
+          totalPages: pagination.totalPages || 1,
+          totalItems: pagination.total || 0,
+          pageSize: pagination.pageSize || Number(params.pageSize) || 10
+        }
+      });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch news',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets a news article by ID
+   */
+  async getNewsById(newsId: number): Promise<DomainOperationResult<News>> {
+    if (!(await this.canPerformOperation(NewsOperations.VIEW_NEWS_DETAILS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view news details'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getNewsById(newsId);
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch news details',
+        error
+      );
+    }
+  }
+
+  /**
+   * Creates a new news article with validation
+   */
+  async createNews(newsData: NewsFormData): Promise<DomainOperationResult<News>> {
+    if (!(await this.canPerformOperation(NewsOperations.CREATE_NEWS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to create news'
+      );
+    }
+
+    // Business rule: publishing right away requires the publish permission
+    if (newsData.status === 'published' && !(await this.canPerformOperation(NewsOperations.PUBLISH_NEWS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to publish news'
+      );
+    }
+
+    const validation = this.validateNewsData(newsData);
+    if (!validation.isValid) {
+      return this.createValidationErrorResult(validation.errors);
+    }
+
+    try {
+      const response = await this.apiBroker.createNews(this.normalizeNewsData(newsData));
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to create news',
+        error
+      );
+    }
+  }
+
+  /**
+   * Updates an existing news article with validation
+   */
+  async updateNews(newsId: number, newsData: Partial<NewsFormData>, version?: number): Promise<DomainOperationResult<News>> {
+    if (!(await this.canPerformOperation(NewsOperations.UPDATE_NEWS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to update news'
+      );
+    }
+
+    const validation = this.validateNewsData(newsData, true);
+    if (!validation.isValid) {
+      return this.createValidationErrorResult(validation.errors);
+    }
+
+    try {
+      const response = await this.apiBroker.updateNews(newsId, this.normalizeNewsData(newsData), version);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.apiBroker.clearCache();
+        return this.createConflictResult(error);
+      }
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to update news',
+        error
+      );
+    }
+  }
+
+  /**
+   * Deletes a news article
+   */
+  async deleteNews(newsId: number): Promise<DomainOperationResult<boolean>> {
+    if (!(await this.canPerformOperation(NewsOperations.DELETE_NEWS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to delete news'
+      );
+    }
+
+    try {
+      await this.apiBroker.deleteNews(newsId);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult('API_ERROR', error.message || 'Failed to delete news');
+    }
+  }
+
+  /**
+   * Moves a news article to another status (publish, draft, archive)
+   */
+  async changeStatus(newsId: number, status: NewsStatus): Promise<DomainOperationResult<News>> {
+    if (!NEWS_STATUSES.includes(status)) {
+      return this.createErrorResult('INVALID_STATUS', `Invalid status: ${status}`);
+    }
+
+    const operation = status === 'published'
+      ? NewsOperations.PUBLISH_NEWS
+      : status === 'archived'
+        ? NewsOperations.ARCHIVE_NEWS
+        : NewsOperations.UPDATE_NEWS;
+
+    if (!(await this.canPerformOperation(operation))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to change the status of this article'
+      );
+    }
+
+    try {
+      const response = status === 'published'
+        ? await this.apiBroker.publishNews(newsId)
+        : status === 'archived'
+          ? await this.apiBroker.archiveNews(newsId)
+          : await this.apiBroker.draftNews(newsId);
+
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to change news status',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets categories available for news
+   */
+  async getCategories(): Promise<DomainOperationResult<NewsCategory[]>> {
+    try {
+      const response = await this.apiBroker.getNewsCategories();
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch categories',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets tags available for news
+   */
+  async getTags(): Promise<DomainOperationResult<NewsTag[]>> {
+    try {
+      const response = await this.apiBroker.getNewsTags();
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch tags',
+        error
+      );
+    }
+  }
+
+  /**
+   * Validates news data based on business rules
+   */
+  validateNewsData(
+    newsData: Partial<NewsFormData>,
+    isUpdate: boolean = false
+  ): {isValid: boolean, errors: Record<string, string[]>} {
+    const errors: Record<string, string[]> = {};
+
+    // Validate title
+    if (!isUpdate || newsData.title !== undefined) {
+      const title = newsData.title?.trim() || '';
+      if (!title) {
+        errors.title = ['Title is required'];
+      } else if (title.length > this.TITLE_MAX_LENGTH) {
+        errors.title = [`Title must be at most ${this.TITLE_MAX_LENGTH} characters`];
+      }
+    }
+
+    // Validate content (the editor produces HTML, so ignore empty markup)
+    if (!isUpdate || newsData.content !== undefined) {
+      const text = (newsData.content || '').replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+      if (!text) {
+        errors.content = ['Content is required'];
+      }
+    }
+
+    // Validate category
+    if (!isUpdate || newsData.category_id !== undefined) {
+      if (!newsData.category_id) {
+        errors.category_id = ['Please select a category'];
+      }
+    }
+
+    // Validate slug
+    if (newsData.slug) {
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(newsData.slug)) {
+        errors.slug = ['Slug may only contain lowercase letters, numbers and dashes'];
+      } else if (newsData.slug.length > this.SLUG_MAX_LENGTH) {
+        errors.slug = [`Slug must be at most ${this.SLUG_MAX_LENGTH} characters`];
+      }
+    }
+
+    if (newsData.location && newsData.location.length > this.LOCATION_MAX_LENGTH) {
+      errors.location = [`Location must be at most ${this.LOCATION_MAX_LENGTH} characters`];
+    }
+
+    if (newsData.organizer && newsData.organizer.length > this.ORGANIZER_MAX_LENGTH) {
+      errors.organizer = [`Organizer must be at most ${this.ORGANIZER_MAX_LENGTH} characters`];
+    }
+
+    if (newsData.status && !NEWS_STATUSES.includes(newsData.status)) {
+      errors.status = [`Invalid status: ${newsData.status}`];
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Maps operations to required permissions
+   */
+  protected getOperationPermission(operationName: string): string | null {
+    const permissionMap: Record<string, string> = {
+      [NewsOperations.VIEW_NEWS_LIST]: 'news:list',
+      [NewsOperations.VIEW_NEWS_DETAILS]: 'news:view',
+      [NewsOperations.CREATE_NEWS]: 'news:create',
+      [NewsOperations.UPDATE_NEWS]: 'news:update',
+      [NewsOperations.DELETE_NEWS]: 'news:delete',
+      [NewsOperations.PUBLISH_NEWS]: 'news:publish',
+      [NewsOperations.ARCHIVE_NEWS]: 'news:archive'
+    };
+
+    return permissionMap[operationName] || null;
+  }
+
+  /**
+   * Gets available operations based on user's permissions
+   */
+  async getAvailableOperations(): Promise<string[]> {
+    const operations = Object.values(NewsOperations);
+    const availableOps: string[] = [];
+
+    for (const op of operations) {
+      if (await this.canPerformOperation(op)) {
+        availableOps.push(op);
+      }
+    }
+
+    return availableOps;
+  }
+
+  /**
+   * Trims text fields and drops empty optional values before sending to the API
+   */
+  private normalizeNewsData(newsData: Partial<NewsFormData>): Partial<NewsFormData> {
+    const data: Partial<NewsFormData> = { ...newsData };
+
+    if (data.title !== undefined) data.title = data.title.trim();
+    if (data.slug !== undefined && !data.slug) delete data.slug;
+    if (data.publish_date !== undefined && !data.publish_date) delete data.publish_date;
+
+    return data;
+  }
+}
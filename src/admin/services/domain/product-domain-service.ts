@@ -0,0 +1,359 @@
+import { ApiBrokerInterface, ApiPagination, ConflictError, QueryParams } from '../../services/api-broker';
+import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
+import {
+  Product,
+  ProductCategory,
+  ProductFormData,
+  ProductListResult,
+  PRODUCT_STATUSES
+} from '../../controllers/ProductController';
+
+/**
+ * Available operations in ProductDomainService
+ */
+export enum ProductOperations {
+  VIEW_PRODUCT_LIST = 'VIEW_PRODUCT_LIST',
+  VIEW_PRODUCT_DETAILS = 'VIEW_PRODUCT_DETAILS',
+  CREATE_PRODUCT = 'CREATE_PRODUCT',
+  UPDATE_PRODUCT = 'UPDATE_PRODUCT',
+  DELETE_PRODUCT = 'DELETE_PRODUCT'
+}
+
+/**
+ * Product permissions granted to each role
+ * Mirrors the default products.* permissions of the admin and editor roles on the /products routes
+ */
+export const PRODUCT_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: ['products:list', 'products:view', 'products:create', 'products:update', 'products:delete'],
+  editor: ['products:list', 'products:view', 'products:create', 'products:update', 'products:delete']
+};
+
+/**
+ * Interface for ProductDomainService
+ * Contains all business operations related to product management
+ */
+export interface ProductDomainService {
+  /**
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets products with pagination and filtering
+   */
+  getProducts(params?: QueryParams): Promise<DomainOperationResult<ProductListResult>>;
+
+  /**
+   * Gets a product by ID
+   */
+  getProductById(productId: number): Promise<DomainOperationResult<Product>>;
+
+  /**
+   * Creates a new product with validation
+   */
+  createProduct(productData: ProductFormData): Promise<DomainOperationResult<Product>>;
+
+  /**
+   * Updates an existing product with validation
+   */
+  updateProduct(productId: number, productData: Partial<ProductFormData>, version?: number): Promise<DomainOperationResult<Product>>;
+
+  /**
+   * Deletes a product
+   */
+  deleteProduct(productId: number): Promise<DomainOperationResult<boolean>>;
+
+  /**
+   * Gets categories with their product counts
+   */
+  getCategories(): Promise<DomainOperationResult<ProductCategory[]>>;
+
+  /**
+   * Validates product data based on business rules
+   */
+  validateProductData(productData: Partial<ProductFormData>, isUpdate?: boolean): {isValid: boolean, errors: Record<string, string[]>};
+}
+
+/**
+ * Implementation of ProductDomainService
+ * Contains business logic for product management
+ */
+export class ProductDomainServiceImpl extends BaseDomainServiceImpl implements ProductDomainService {
+  // Column limits from the products and product_images tables
+  private readonly NAME_MAX_LENGTH = 255;
+  private readonly SLUG_MAX_LENGTH = 300;
+  private readonly IMAGE_PATH_MAX_LENGTH = 255;
+
+  // Constructor with ApiBroker dependency
+  constructor(private apiBroker: ApiBrokerInterface) {
+    super();
+  }
+
+  /**
+   * Gets products with pagination and filtering
+   */
+  async getProducts(params: QueryParams = {}): Promise<DomainOperationResult<ProductListResult>> {
+    if (!(await this.canPerformOperation(ProductOperations.VIEW_PRODUCT_LIST))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view products'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getProducts(params);
+      const pagination: Partial<ApiPagination> = response.pagination || {};
+
+      return this.createSuccessResult({
+        data: response.data || [],
+        pagination: {
+          currentPage: pagination.page || 1,
+          totalPages: pagination.totalPages || 1,
+          totalItems: pagination.total || 0,
+          pageSize: pagination.pageSize || Number(params.pageSize) || 10
+        }
+      });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch products',
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets a product by ID
+   */
+  async getProductById(productId: number): Promise<DomainOperationResult<Product>> {
+    if (!(await this.canPerformOperation(ProductOperations.VIEW_PRODUCT_DETAILS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view product details'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getProductById(productId);
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch product details',
+        error
+      );
+    }
+  }
+
+  /**
+   * Creates a new product with validation
+   */
+  async createProduct(productData: ProductFormData): Promise<DomainOperationResult<Product>> {
+    if (!(await this.canPerformOperation(ProductOperations.CREATE_PRODUCT))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to create products'
+      );
+    }
+
+    const validation = this.validateProductData(productData);
+    if (!validation.isValid) {
+      return this.createValidationErrorResult(validation.errors);
+    }
+
+    try {
+      const response = await this.apiBroker.createProduct(this.normalizeProductData(productData));
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to create product',
+        error
+      );
+    }
+  }
+
+  /**
+   * Updates an existing product with validation
+   */
+  async updateProduct(productId: number, productData: Partial<ProductFormData>, version?: number): Promise<DomainOperationResult<Product>> {
+    if (!(await this.canPerformOperation(ProductOperations.UPDATE_PRODUCT))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to update products'
+      );
+    }
+
+    const validation = this.validateProductData(productData, true);
+    if (!validation.isValid) {
+      return this.createValidationErrorResult(validation.errors);
+    }
+
+    try {
+      const response = await this.apiBroker.updateProduct(productId, this.normalizeProductData(productData), version);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.apiBroker.clearCache();
+        return this.createConflictResult(error);
+      }
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to update product',
+        error
+      );
+    }
+  }
+
+  /**
+   * Deletes a product
+   */
+  async deleteProduct(productId: number): Promise<DomainOperationResult<boolean>> {
+    if (!(await this.canPerformOperation(ProductOperations.DELETE_PRODUCT))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to delete products'
+      );
+    }
+
+    try {
+      await this.apiBroker.deleteProduct(productId);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult('API_ERROR', error.message || 'Failed to delete product');
+    }
+  }
+
+  /**
+   * Gets categories with their product counts
+   */
+  async getCategories(): Promise<DomainOperationResult<ProductCategory[]>> {
+    try {
+      const response = await this.apiBroker.getProductCategories();
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch categories',
+        error
+      );
+    }
+  }
+
+  /**
+   * Validates product data based on business rules
+   */
+  validateProductData(
+    productData: Partial<ProductFormData>,
+    isUpdate: boolean = false
+  ): {isValid: boolean, errors: Record<string, string[]>} {
+    const errors: Record<string, string[]> = {};
+
+    // Validate name
+    if (!isUpdate || productData.name !== undefined) {
+      const name = productData.name?.trim() || '';
+      if (!name) {
+        errors.name = ['Name is required'];
+      } else if (name.length > this.NAME_MAX_LENGTH) {
+        errors.name = [`Name must be at most ${this.NAME_MAX_LENGTH} characters`];
+      }
+    }
+
+    // Validate category
+    if (!isUpdate || productData.category_id !== undefined) {
+      if (!productData.category_id) {
+        errors.category_id = ['Please select a category'];
+      }
+    }
+
+    // Validate slug
+    if (productData.slug) {
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(productData.slug)) {
+        errors.slug = ['Slug may only contain lowercase letters, numbers and dashes'];
+      } else if (productData.slug.length > this.SLUG_MAX_LENGTH) {
+        errors.slug = [`Slug must be at most ${this.SLUG_MAX_LENGTH} characters`];
+      }
+    }
+
+    // Business rule: specification names must be unique and non-empty
+    if (productData.specifications) {
+      const names = Object.keys(productData.specifications);
+      if (names.some(name => !name.trim())) {
+        errors.specifications = ['Specification names cannot be empty'];
+      }
+    }
+
+    if (productData.images) {
+      const invalidImage = productData.images.find(image =>
+        !image.image_path?.trim() || image.image_path.length > this.IMAGE_PATH_MAX_LENGTH
+      );
+      if (invalidImage) {
+        errors.images = [`Each image needs a path of at most ${this.IMAGE_PATH_MAX_LENGTH} characters`];
+      }
+    }
+
+    if (productData.status && !PRODUCT_STATUSES.includes(productData.status)) {
+      errors.status = [`Invalid status: ${productData.status}`];
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Maps operations to required permissions
+   */
+  protected getOperationPermission(operationName: string): string | null {
+    const permissionMap: Record<string, string> = {
+      [ProductOperations.VIEW_PRODUCT_LIST]: 'products:list',
+      [ProductOperations.VIEW_PRODUCT_DETAILS]: 'products:view',
+      [ProductOperations.CREATE_PRODUCT]: 'products:create',
+      [ProductOperations.UPDATE_PRODUCT]: 'products:update',
+      [ProductOperations.DELETE_PRODUCT]: 'products:delete'
+    };
+
+    return permissionMap[operationName] || null;
+  }
+
+  /**
+   * Gets available operations based on user's permissions
+   */
+  async getAvailableOperations(): Promise<string[]> {
+    const operations = Object.values(ProductOperations);
+    const availableOps: string[] = [];
+
+    for (const op of operations) {
+      if (await this.canPerformOperation(op)) {
+        availableOps.push(op);
+      }
+    }
+
+    return availableOps;
+  }
+
+  /**
+   * Trims text fields and drops empty optional values before sending to the API
+   */
+  private normalizeProductData(productData: Partial<ProductFormData>): Partial<ProductFormData> {
+    const data: Partial<ProductFormData> = { ...productData };
+
+    if (data.name !== undefined) data.name = data.name.trim();
+    if (data.slug !== undefined && !data.slug) delete data.slug;
+    if (data.features !== undefined) {
+      data.features = data.features.map(feature => feature.trim()).filter(Boolean);
+    }
+    if (data.images !== undefined) {
+      data.images = data.images.map(image => ({
+        image_path: image.image_path.trim(),
+        alt_text: image.alt_text?.trim() || null
+      }));
+    }
+
+    return data;
+  }
+}
@@ -1,7 +1,7 @@
-import { ApiBrokerInterface } from '../../services/api-broker';
+import { ApiBrokerInterface, QueryParams } from '../../services/api-broker';
 import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
 import { Role, Permission } from '../../controllers/RoleController';
-import { API_ENDPOINTS } from '../../services/api-endpoints';
+import { User } from '../../controllers/UserController';
 
 /**
  * Available operations in RoleDomainService
@@ -16,70 +16,81 @@ export enum RoleOperations {
   VIEW_ROLE_USERS = 'VIEW_ROLE_USERS'
 }
 
+/**
+ * Role management permissions granted to each role
+ * Mirrors the default roles.view / roles.manage permissions of the system roles
+ */
+export const ROLE_MANAGEMENT_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: [
+    'role:list', 'role:view', 'role:view-users', 'role:create',
+    'role:update', 'role:delete', 'role:assign-permissions'
+  ]
+};
+
 /**
  * Interface for RoleDomainService
  * Contains all business operations related to role management
  */
 export interface RoleDomainService {
   /**
-   * Gets roles with pagination and filtering
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets roles, optionally filtered by name or search term
    */
-  getRoles(params?: Record<string, any>): Promise<DomainOperationResult<Role[]>>;
-  
+  getRoles(params?: QueryParams): Promise<DomainOperationResult<Role[]>>;
+
   /**
    * Gets a role by ID
    */
   getRoleById(roleId: number): Promise<DomainOperationResult<Role>>;
-  
+
   /**
    * Creates a new role with validation and security checks
    */
-  createRole(roleData: Partial<Role>): Promise<DomainOperationResult<Role>>;
-  
+  createRole(roleData: Partial<Role> & { permission_ids?: number[] }): Promise<DomainOperationResult<Role>>;
+
   /**
    * Updates an existing role with validation and security checks
    */
   updateRole(roleId: number, roleData: Partial<Role>): Promise<DomainOperationResult<Role>>;
-  
+
   /**
    * Deletes a role with validation and security checks
    */
   deleteRole(roleId: number): Promise<DomainOperationResult<boolean>>;
-  
+
   /**
-   * Assigns permissions to a role
+   * Replaces the permissions of a role
    */
-  assignPermissions(roleId: number, permissionIds: number[]): Promise<DomainOperationResult<boolean>>;
-  
+  assignPermissions(roleId: number, permissionIds: number[]): Promise<DomainOperationResult<Permission[]>>;
+
   /**
    * Gets all available permissions
    */
   getAllPermissions(): Promise<DomainOperationResult<Permission[]>>;
-  
+
   /**
    * Gets permissions for a specific role
    */
   getRolePermissions(roleId: number): Promise<DomainOperationResult<Permission[]>>;
-  
+
   /**
    * Gets all users assigned to a role
    */
-  getUsersByRoleId(roleId: number): Promise<DomainOperationResult<any[]>>;
-  
+  getUsersByRoleId(roleId: number): Promise<DomainOperationResult<User[]>>;
+
   /**
    * Validates role data based on business rules
    */
   validateRoleData(roleData: Partial<Role>, roleId?: number): Promise<{isValid: boolean, errors: Record<string, string[]>}>;
-  
+
   /**
    * Checks if a role name is available (not used by another role)
    */
   isRoleNameAvailable(name: string, excludeRoleId?: number): Promise<boolean>;
-  
-  /**
-   * Creates a default set of permissions for a new role
-   */
-  createDefaultPermissions(roleId: number): Promise<DomainOperationResult<boolean>>;
 }
 
 /**
@@ -87,26 +98,27 @@ export interface RoleDomainService {
  * Contains business logic for role management
  */
 export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements RoleDomainService {
-  // System roles that cannot be modified or deleted
-  private readonly SYSTEM_ROLES = ['admin', 'superadmin'];
-  
+  // Same rule as RoleService.namePattern on the backend (users.role is NVARCHAR(20))
+  private readonly ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{2,19}$/;
+
   constructor(private apiBroker: ApiBrokerInterface) {
     super();
   }
-  
+
   /**
-   * Gets roles with pagination and filtering
-   */  async getRoles(params: Record<string, any> = {}): Promise<DomainOperationResult<Role[]>> {
+   * Gets roles, optionally filtered by name or search term
+   */
+  async getRoles(params: QueryParams = {}): Promise<DomainOperationResult<Role[]>> {
     if (!(await this.canPerformOperation(RoleOperations.VIEW_ROLE_LIST))) {
       return this.createErrorResult(
         'PERMISSION_DENIED',
         'You do not have permission to view roles'
       );
     }
-    
+
     try {
-      const result = await this.apiBroker.get<Role[]>(API_ENDPOINTS.ROLES.LIST, {}, params);
-      return this.createSuccessResult(result);
+      const response = await this.apiBroker.getRoles(params);
+      return this.createSuccessResult(response.data || []);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -115,24 +127,22 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Gets a role by ID
-   */  async getRoleById(roleId: number): Promise<DomainOperationResult<Role>> {
+   */
+  async getRoleById(roleId: number): Promise<DomainOperationResult<Role>> {
     if (!(await this.canPerformOperation(RoleOperations.VIEW_ROLE_DETAILS))) {
       return this.createErrorResult(
         'PERMISSION_DENIED',
         'You do not have permission to view role details'
       );
     }
-    
+
     try {
-      const result = await this.apiBroker.get<Role>(API_ENDPOINTS.ROLES.DETAIL, { id: roleId });
-      return this.createSuccessResult(result);
+      const response = await this.apiBroker.getRoleById(roleId);
+      return this.createSuccessResult(response.data);
     } catch (error: any) {
-      if (error.status === 404) {
-        return this.createErrorResult('NOT_FOUND', 'Role not found');
-      }
       return this.createErrorResult(
         'API_ERROR',
         error.message || 'Failed to fetch role details',
@@ -140,7 +150,7 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Maps operations to required permissions
    */
@@ -154,29 +164,15 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       [RoleOperations.VIEW_ROLE_LIST]: 'role:list',
       [RoleOperations.VIEW_ROLE_USERS]: 'role:view-users'
     };
-    
+
     return permissionMap[operationName] || null;
   }
-  
-  /**
-   * Gets available operations based on user's permissions
-   */
-  async getAvailableOperations(): Promise<string[]> {
-    const operations = Object.values(RoleOperations);
-    const availableOps: string[] = [];
-    
-    for (const op of operations) {
-      if (await this.canPerformOperation(op)) {
-        availableOps.push(op);
-      }
-    }
-    
-    return availableOps;
-  }
-  
+
   /**
    * Creates a new role with validation and security checks
-   */  async createRole(roleData: Partial<Role>): Promise<DomainOperationResult<Role>> {
+   * Permissions can be granted in the same request through permission_ids
+   */
+  async createRole(roleData: Partial<Role> & { permission_ids?: number[] }): Promise<DomainOperationResult<Role>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.CREATE_ROLE))) {
       return this.createErrorResult(
@@ -184,22 +180,17 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to create roles'
       );
     }
-    
+
     // Validate data
     const validation = await this.validateRoleData(roleData);
     if (!validation.isValid) {
       return this.createValidationErrorResult(validation.errors);
     }
-    
+
     try {
-      const result = await this.apiBroker.post<Role>(API_ENDPOINTS.ROLES.CREATE, roleData);
-      
-      // Create default permissions for the new role
-      if (result && 'role_id' in result) {
-        await this.createDefaultPermissions(result.role_id);
-      }
-      
-      return this.createSuccessResult(result);
+      const response = await this.apiBroker.createRole(roleData);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -208,10 +199,12 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Updates an existing role with validation and security checks
-   */  async updateRole(roleId: number, roleData: Partial<Role>): Promise<DomainOperationResult<Role>> {
+   * System roles keep their name; the backend rejects renames with 403
+   */
+  async updateRole(roleId: number, roleData: Partial<Role>): Promise<DomainOperationResult<Role>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.UPDATE_ROLE))) {
       return this.createErrorResult(
@@ -219,32 +212,17 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to update roles'
       );
     }
-    
-    // Check if this is a system role
-    try {
-      const existingRole = await this.apiBroker.get<Role>(API_ENDPOINTS.ROLES.DETAIL, { id: roleId });
-      if ('name' in existingRole && this.SYSTEM_ROLES.includes(existingRole.name)) {
-        return this.createErrorResult(
-          'SYSTEM_ROLE',
-          'System roles cannot be modified'
-        );
-      }
-    } catch (error: any) {
-      return this.createErrorResult(
-        'API_ERROR',
-        error.message || 'Failed to check role',
-        error
-      );
-    }    
+
     // Validate data
     const validation = await this.validateRoleData(roleData, roleId);
     if (!validation.isValid) {
       return this.createValidationErrorResult(validation.errors);
     }
-    
+
     try {
-      const result = await this.apiBroker.put<Role>(API_ENDPOINTS.ROLES.UPDATE, { id: roleId }, roleData);
-      return this.createSuccessResult(result);
+      const response = await this.apiBroker.updateRole(roleId, roleData);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -253,10 +231,11 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Deletes a role with validation and security checks
-   */  async deleteRole(roleId: number): Promise<DomainOperationResult<boolean>> {
+   */
+  async deleteRole(roleId: number): Promise<DomainOperationResult<boolean>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.DELETE_ROLE))) {
       return this.createErrorResult(
@@ -264,41 +243,31 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to delete roles'
       );
     }
-    
-    // Check if role exists and is not a system role
-    try {
-      const roleData = await this.apiBroker.get<Role>(API_ENDPOINTS.ROLES.DETAIL, { id: roleId });
-      
-      // Don't allow deletion of system roles
-      if ('name' in roleData && this.SYSTEM_ROLES.includes(roleData.name)) {
-        return this.createErrorResult(
-          'SYSTEM_ROLE',
-          'System roles cannot be deleted'
-        );
-      }
-      
-      // Business rule: Check if the role has users
-      const users = await this.getUsersByRoleId(roleId);
-      if (users.success && users.data && users.data.length > 0) {
-        return this.createErrorResult(
-          'ROLE_IN_USE',
-          'This role has users assigned to it and cannot be deleted'
-        );
-      }
-    } catch (error: any) {
-      if (error.status === 404) {
-        return this.createErrorResult('NOT_FOUND', 'Role not found');
-      }
-      
+
+    // Check the role before calling delete so the user gets a clear message
+    const roleResult = await this.getRoleById(roleId);
+    if (!roleResult.success || !roleResult.data) {
+      return this.createErrorResult('NOT_FOUND', 'Role not found');
+    }
+
+    if (roleResult.data.is_system) {
       return this.createErrorResult(
-        'API_ERROR',
-        error.message || 'Failed to check role',
-        error
+        'SYSTEM_ROLE',
+        'System roles cannot be deleted'
       );
     }
-    
+
+    // Business rule: roles that still have users cannot be deleted
+    if (roleResult.data.user_count && roleResult.data.user_count > 0) {
+      return this.createErrorResult(
+        'ROLE_IN_USE',
+        'This role has users assigned to it and cannot be deleted'
+      );
+    }
+
     try {
-      await this.apiBroker.delete(API_ENDPOINTS.ROLES.DETAIL, { id: roleId });
+      await this.apiBroker.deleteRole(roleId);
+      this.apiBroker.clearCache();
       return this.createSuccessResult(true);
     } catch (error: any) {
       return this.createErrorResult(
@@ -308,10 +277,11 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
-   * Assigns permissions to a role
-   */  async assignPermissions(roleId: number, permissionIds: number[]): Promise<DomainOperationResult<boolean>> {
+   * Replaces the permissions of a role
+   */
+  async assignPermissions(roleId: number, permissionIds: number[]): Promise<DomainOperationResult<Permission[]>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.ASSIGN_PERMISSIONS))) {
       return this.createErrorResult(
@@ -319,70 +289,11 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to assign permissions to roles'
       );
     }
-    
-    // Check if role exists and is not a system role
-    try {
-      const roleData = await this.apiBroker.get<Role>(API_ENDPOINTS.ROLES.DETAIL, { id: roleId });
-      
-      // For system roles, validate that critical permissions aren't removed
-      if ('name' in roleData && this.SYSTEM_ROLES.includes(roleData.name)) {
-        // Get current permissions
-        const currentResult = await this.getRolePermissions(roleId);
-        if (currentResult.success && currentResult.data) {
-          const currentPermissions = currentResult.data;
-          const criticalPermissions = currentPermissions.filter(p => p.name.startsWith('admin:'));
-          const criticalIds = criticalPermissions.map(p => p.permission_id);
-          
-          // Check if any critical permission is being removed
-          for (const id of criticalIds) {
-            if (!permissionIds.includes(id)) {
-              return this.createErrorResult(
-                'SYSTEM_ROLE',
-                'Critical permissions cannot be removed from system roles'
-              );
-            }
-          }
-        }
-      }
-    } catch (error: any) {
-      if (error.status === 404) {
-        return this.createErrorResult('NOT_FOUND', 'Role not found');
-      }
-      
-      return this.createErrorResult(
-        'API_ERROR',
-        error.message || 'Failed to check role',
-        error
-      );
-    }
-    
-    // Validate that all permission IDs exist
-    try {
-      const allPermissions = await this.getAllPermissions();
-      if (!allPermissions.success || !allPermissions.data) {
-        return this.createErrorResult('API_ERROR', 'Failed to get permissions list');
-      }
-      
-      const validPermissionIds = allPermissions.data.map(p => p.permission_id);
-      const invalidPermissions = permissionIds.filter(id => !validPermissionIds.includes(id));
-      
-      if (invalidPermissions.length > 0) {
-        return this.createErrorResult(
-          'INVALID_PERMISSIONS',
-          `The following permission IDs are invalid: ${invalidPermissions.join(', ')}`
-        );
-      }
-    } catch (error: any) {
-      return this.createErrorResult(
-        'API_ERROR',
-        error.message || 'Failed to validate permissions',
-        error
-      );
-    }
-    
+
     try {
-      await this.apiBroker.post(`/roles/${roleId}/permissions`, { permission_ids: permissionIds });
-      return this.createSuccessResult(true);
+      const response = await this.apiBroker.setRolePermissions(roleId, permissionIds);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data || []);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -391,21 +302,22 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Gets all available permissions
-   */  async getAllPermissions(): Promise<DomainOperationResult<Permission[]>> {
+   */
+  async getAllPermissions(): Promise<DomainOperationResult<Permission[]>> {
     // Check permission
-    if (!(await this.canPerformOperation(RoleOperations.ASSIGN_PERMISSIONS))) {
+    if (!(await this.canPerformOperation(RoleOperations.VIEW_ROLE_DETAILS))) {
       return this.createErrorResult(
         'PERMISSION_DENIED',
         'You do not have permission to view permissions'
       );
     }
-    
+
     try {
-      const permissions = await this.apiBroker.get<Permission[]>('/permissions', {});
-      return this.createSuccessResult(permissions);
+      const response = await this.apiBroker.getPermissions();
+      return this.createSuccessResult(response.data || []);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -414,10 +326,11 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Gets permissions for a specific role
-   */  async getRolePermissions(roleId: number): Promise<DomainOperationResult<Permission[]>> {
+   */
+  async getRolePermissions(roleId: number): Promise<DomainOperationResult<Permission[]>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.VIEW_ROLE_DETAILS))) {
       return this.createErrorResult(
@@ -425,10 +338,10 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to view role permissions'
       );
     }
-    
+
     try {
-      const permissions = await this.apiBroker.get<Permission[]>(`/roles/${roleId}/permissions`, { id: roleId });
-      return this.createSuccessResult(permissions);
+      const response = await this.apiBroker.getRolePermissions(roleId);
+      return this.createSuccessResult(response.data || []);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -437,10 +350,11 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Gets all users assigned to a role
-   */  async getUsersByRoleId(roleId: number): Promise<DomainOperationResult<any[]>> {
+   */
+  async getUsersByRoleId(roleId: number): Promise<DomainOperationResult<User[]>> {
     // Check permission
     if (!(await this.canPerformOperation(RoleOperations.VIEW_ROLE_USERS))) {
       return this.createErrorResult(
@@ -448,10 +362,10 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
         'You do not have permission to view users by role'
       );
     }
-    
+
     try {
-      const users = await this.apiBroker.get<any[]>(`/roles/${roleId}/users`, { id: roleId });
-      return this.createSuccessResult(users);
+      const response = await this.apiBroker.getRoleUsers(roleId);
+      return this.createSuccessResult(response.data || []);
     } catch (error: any) {
       return this.createErrorResult(
         'API_ERROR',
@@ -460,83 +374,47 @@ export class RoleDomainServiceImpl extends BaseDomainServiceImpl implements Role
       );
     }
   }
-  
+
   /**
    * Validates role data based on business rules
    */
   async validateRoleData(roleData: Partial<Role>, roleId?: number): Promise<{isValid: boolean, errors: Record<string, string[]>}> {
     const errors: Record<string, string[]> = {};
-    
+
     // Validate role name
     if (roleData.name !== undefined) {
       if (!roleData.name) {
         errors.name = ['Role name is required'];
-      } else if (roleData.name.length < 3) {
-        errors.name = ['Role name must be at least 3 characters long'];
-      } else if (this.SYSTEM_ROLES.includes(roleData.name) && !roleId) {
-        errors.name = ['This name is reserved for system roles'];
+      } else if (!this.ROLE_NAME_PATTERN.test(roleData.name)) {
+        errors.name = ['Use 3-20 lowercase letters, digits, "-" or "_", starting with a letter'];
       } else if (!(await this.isRoleNameAvailable(roleData.name, roleId))) {
         errors.name = ['This role name is already taken'];
       }
     }
-    
+
+    // Custom roles must rank below admin (level 100)
+    if (roleData.level !== undefined && (roleData.level < 0 || roleData.level > 99)) {
+      errors.level = ['Level must be between 0 and 99'];
+    }
+
     return {
       isValid: Object.keys(errors).length === 0,
       errors
     };
   }
-  
+
   /**
    * Checks if a role name is available (not used by another role)
-   */  async isRoleNameAvailable(name: string, excludeRoleId?: number): Promise<boolean> {
+   */
+  async isRoleNameAvailable(name: string, excludeRoleId?: number): Promise<boolean> {
     try {
-      // This is a simplified example - in a real implementation, you would
-      // call a specific API endpoint to check role name availability
-      const roles = await this.apiBroker.get<Role[]>(API_ENDPOINTS.ROLES.LIST, {}, { name });
-      
-      // If the name belongs to the role being updated, it's available
-      if (excludeRoleId && roles.length === 1) {
-        return roles[0].role_id === excludeRoleId;
-      }
-      
-      return roles.length === 0;
+      const response = await this.apiBroker.getRoles({ name });
+      const roles: Role[] = response.data || [];
+
+      return roles.every(role => role.id === excludeRoleId);
     } catch (error) {
       // If there's an error, assume the name is not available
       return false;
     }
   }
-  
-  /**
-   * Creates a default set of permissions for a new role
-   */
-  async createDefaultPermissions(roleId: number): Promise<DomainOperationResult<boolean>> {
-    try {
-      // Get a list of basic permissions that every role should have
-      const allPermissions = await this.getAllPermissions();
-      if (!allPermissions.success || !allPermissions.data) {
-        return this.createErrorResult('API_ERROR', 'Failed to get permissions list');
-      }
-      
-      // Filter for basic permissions (this is just an example - adjust according to your system)
-      const basicPermissionNames = ['user:view', 'role:view'];
-      const basicPermissions = allPermissions.data
-        .filter(p => basicPermissionNames.includes(p.name))
-        .map(p => p.permission_id);
-      
-      // Assign these permissions to the role
-      if (basicPermissions.length > 0) {
-        await this.assignPermissions(roleId, basicPermissions);
-      }
-      
-      return this.createSuccessResult(true);
-    } catch (error: any) {
-      // Don't fail the role creation if default permissions fail
-      console.error('Failed to create default permissions for role', roleId, error);
-      return this.createErrorResult(
-        'API_ERROR',
-        error.message || 'Failed to assign default permissions',
-        error
-      );
-    }
-  }
 }
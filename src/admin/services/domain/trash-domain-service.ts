@@ -0,0 +1,163 @@
+import { ApiBrokerInterface, ApiPagination, QueryParams } from '../../services/api-broker';
+import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
+import { TrashEntry, TrashListResult, TrashResource } from '../../controllers/TrashController';
+
+/**
+ * Available operations in TrashDomainService
+ */
+export enum TrashOperations {
+  VIEW_TRASH = 'VIEW_TRASH',
+  RESTORE_RECORD = 'RESTORE_RECORD',
+  PURGE_RECORD = 'PURGE_RECORD'
+}
+
+/**
+ * Resources with a trash, in the order they are shown
+ */
+export const TRASH_RESOURCES: TrashResource[] = ['users', 'news', 'products', 'projects'];
+
+/**
+ * Trash permissions granted to each role
+ * Mirrors the backend /trash/:resource routes, which require the <resource>.delete permission
+ */
+export const TRASH_ROLE_PERMISSIONS: Record<string, string[]> = {
+  admin: ['users:delete', 'news:delete', 'products:delete', 'projects:delete'],
+  editor: ['news:delete', 'products:delete', 'projects:delete']
+};
+
+/**
+ * Interface for TrashDomainService
+ * Contains all business operations related to soft-deleted records
+ */
+export interface TrashDomainService {
+  /**
+   * Sets the current user's permissions
+   */
+  setPermissions(permissions: string[]): void;
+
+  /**
+   * Gets the resources whose trash the current user can manage
+   */
+  getResources(): TrashResource[];
+
+  /**
+   * Gets the records of a resource in the trash, most recently deleted first
+   */
+  getTrash(resource: TrashResource, params?: QueryParams): Promise<DomainOperationResult<TrashListResult>>;
+
+  /**
+   * Restores a record from the trash
+   */
+  restore(resource: TrashResource, id: number): Promise<DomainOperationResult<TrashEntry>>;
+
+  /**
+   * Permanently deletes a record from the trash
+   */
+  purge(resource: TrashResource, id: number): Promise<DomainOperationResult<boolean>>;
+}
+
+/**
+ * Implementation of TrashDomainService
+ * Contains business logic for the trash of users, news, products and projects
+ */
+export class TrashDomainServiceImpl extends BaseDomainServiceImpl implements TrashDomainService {
+  // Constructor with ApiBroker dependency
+  constructor(private apiBroker: ApiBrokerInterface) {
+    super();
+  }
+
+  /**
+   * Every trash operation needs the delete permission of the resource
+   */
+  async canPerformOperation(operationName: string, resource?: TrashResource): Promise<boolean> {
+    return !!resource && this.permissions.includes(`${resource}:delete`);
+  }
+
+  /**
+   * Gets the resources whose trash the current user can manage
+   */
+  getResources(): TrashResource[] {
+    return TRASH_RESOURCES.filter(resource => this.permissions.includes(`${resource}:delete`));
+  }
+
+  /**
+   * Gets the records of a resource in the trash, most recently deleted first
+   */
+  async getTrash(resource: TrashResource, params: QueryParams = {}): Promise<DomainOperationResult<TrashListResult>> {
+    if (!(await this.canPerformOperation(TrashOperations.VIEW_TRASH, resource))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view this trash'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.getTrash(resource, params);
+      const pagination: Partial<ApiPagination> = response.pagination || {};
+
+      return this.createSuccessResult({
+        data: response.data || [],
+        pagination: {
+          currentPage: pagination.page || 1,
+          totalPages: pagination.totalPages || 1,
+          totalItems: pagination.total || 0,
+          pageSize: pagination.pageSize || Number(params.pageSize) || 20
+        }
+      });
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to fetch the trash',
+        error
+      );
+    }
+  }
+
+  /**
+   * Restores a record from the trash
+   */
+  async restore(resource: TrashResource, id: number): Promise<DomainOperationResult<TrashEntry>> {
+    if (!(await this.canPerformOperation(TrashOperations.RESTORE_RECORD, resource))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to restore this record'
+      );
+    }
+
+    try {
+      const response = await this.apiBroker.restoreFromTrash(resource, id);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to restore the record',
+        error
+      );
+    }
+  }
+
+  /**
+   * Permanently deletes a record from the trash
+   */
+  async purge(resource: TrashResource, id: number): Promise<DomainOperationResult<boolean>> {
+    if (!(await this.canPerformOperation(TrashOperations.PURGE_RECORD, resource))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to permanently delete this record'
+      );
+    }
+
+    try {
+      await this.apiBroker.purgeFromTrash(resource, id);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to permanently delete the record',
+        error
+      );
+    }
+  }
+}
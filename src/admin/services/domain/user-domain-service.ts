@@ -1,6 +1,18 @@
-import { ApiBrokerInterface } from '../../services/api-broker';
+import { ApiBrokerInterface, ConflictError, QueryParams, ValidationError } from '../../services/api-broker';
 import { BaseDomainServiceImpl, DomainOperationResult } from './base-domain-service';
-import { User, UserRole } from '../../controllers/UserController';
+import {
+  User,
+  UserRole,
+  UserLockStatus,
+  TwoFactorStatus,
+  TwoFactorEnrollment,
+  UserSession,
+  AuthActivity,
+  BulkUserAction,
+  BulkUserActionResult,
+  UserExportFormat,
+  UserImportResult
+} from '../../controllers/UserController';
 
 /**
  * Available operations in UserDomainService
@@ -11,6 +23,8 @@ export enum UserOperations {
   DELETE_USER = 'DELETE_USER',
   CHANGE_USER_ROLE = 'CHANGE_USER_ROLE',
   RESET_PASSWORD = 'RESET_PASSWORD',
+  UNLOCK_USER = 'UNLOCK_USER',
+  MANAGE_SESSIONS = 'MANAGE_SESSIONS',
   VIEW_USER_DETAILS = 'VIEW_USER_DETAILS',
   VIEW_USER_LIST = 'VIEW_USER_LIST'
 }
@@ -37,8 +51,9 @@ export interface UserDomainService {
   
   /**
    * Updates an existing user with validation and security checks
+   * With the row version the user was loaded at, the save fails if someone else saved it since
    */
-  updateUser(userId: number, userData: Partial<User>): Promise<DomainOperationResult<User>>;
+  updateUser(userId: number, userData: Partial<User>, version?: number): Promise<DomainOperationResult<User>>;
   
   /**
    * Deletes a user with validation and security checks
@@ -48,7 +63,46 @@ export interface UserDomainService {
   /**
    * Toggles a user's active status
    */
-  toggleUserStatus(userId: number, isActive: boolean): Promise<DomainOperationResult<boolean>>;
+  toggleUserStatus(userId: number, isActive: boolean, version?: number): Promise<DomainOperationResult<boolean>>;
+  
+  /**
+   * Unlocks an account locked after too many failed logins
+   */
+  unlockUser(userId: number): Promise<DomainOperationResult<UserLockStatus>>;
+  
+  /**
+   * Applies one action to several users in a single request, with a result per user
+   */
+  bulkUserAction(
+    action: BulkUserAction,
+    userIds: number[],
+    options?: { role?: string }
+  ): Promise<DomainOperationResult<BulkUserActionResult>>;
+  
+  /**
+   * Exports the users matching the list filters as CSV or XLSX
+   */
+  exportUsers(format: UserExportFormat, params?: QueryParams): Promise<DomainOperationResult<Blob>>;
+  
+  /**
+   * Validates (dry run) or imports the users of a CSV or XLSX file
+   */
+  importUsers(file: File, dryRun: boolean): Promise<DomainOperationResult<UserImportResult>>;
+  
+  /**
+   * Gets the active sign-in sessions (devices) of a user
+   */
+  getUserSessions(userId: number): Promise<DomainOperationResult<UserSession[]>>;
+  
+  /**
+   * Signs a user out of one device
+   */
+  revokeUserSession(userId: number, sessionId: string): Promise<DomainOperationResult<boolean>>;
+  
+  /**
+   * Gets the recent authentication activity of a user
+   */
+  getUserAuthHistory(userId: number, limit?: number): Promise<DomainOperationResult<AuthActivity[]>>;
   
   /**
    * Get available user roles
@@ -108,6 +162,31 @@ export interface UserDomainService {
    * Gets a list of recent user activities
    */
   getUserActivities(userId: number): Promise<DomainOperationResult<any[]>>;
+  
+  /**
+   * Gets the two-factor status of the signed-in user
+   */
+  getTwoFactorStatus(): Promise<DomainOperationResult<TwoFactorStatus>>;
+  
+  /**
+   * Starts two-factor enrollment for the signed-in user
+   */
+  setupTwoFactor(): Promise<DomainOperationResult<TwoFactorEnrollment>>;
+  
+  /**
+   * Confirms the first code and returns the one-time recovery codes
+   */
+  enableTwoFactor(code: string): Promise<DomainOperationResult<{ recoveryCodes: string[] }>>;
+  
+  /**
+   * Disables two-factor authentication of the signed-in user
+   */
+  disableTwoFactor(password: string, code: string): Promise<DomainOperationResult<boolean>>;
+  
+  /**
+   * Replaces the recovery codes of the signed-in user
+   */
+  regenerateRecoveryCodes(code: string): Promise<DomainOperationResult<{ recoveryCodes: string[] }>>;
 }
 
 /**
@@ -115,9 +194,11 @@ export interface UserDomainService {
  * Contains business logic for user management
  */
 export class UserDomainServiceImpl extends BaseDomainServiceImpl implements UserDomainService {
-  // Password validation settings
+  // Password validation settings, same as the server's default password policy
+  // (the server also checks common passwords and password history)
   private readonly PASSWORD_MIN_LENGTH = 8;
   private readonly PASSWORD_REQUIRES_UPPERCASE = true;
+  private readonly PASSWORD_REQUIRES_LOWERCASE = true;
   private readonly PASSWORD_REQUIRES_NUMBER = true;
   private readonly PASSWORD_REQUIRES_SPECIAL = true;
   
@@ -173,9 +254,9 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
   }
   
   /**
-   * Toggles a user's active status
+   * Toggles a user's active status; version is the row_version the caller displayed
    */
-  async toggleUserStatus(userId: number, isActive: boolean): Promise<DomainOperationResult<boolean>> {
+  async toggleUserStatus(userId: number, isActive: boolean, version?: number): Promise<DomainOperationResult<boolean>> {
     if (!(await this.canPerformOperation(UserOperations.UPDATE_USER))) {
       return this.createErrorResult(
         'PERMISSION_DENIED',
@@ -184,13 +265,13 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
     }
     
     try {
-      // Check if user exists
-      await this.apiBroker.getUserById(userId);
-      
-      // Toggle user status
-      await this.apiBroker.toggleUserStatus(userId, isActive);
+      await this.apiBroker.toggleUserStatus(userId, isActive, version);
+      this.apiBroker.clearCache();
       return this.createSuccessResult(true);
     } catch (error: any) {
+      if (error instanceof ConflictError) {
+        this.apiBroker.clearCache();
+      }
       return this.createErrorResult(
         'API_ERROR',
         error.message || 'Failed to update user status',
@@ -199,6 +280,198 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
     }
   }
   
+  /**
+   * Unlocks an account locked after too many failed logins
+   */
+  async unlockUser(userId: number): Promise<DomainOperationResult<UserLockStatus>> {
+    if (!(await this.canPerformOperation(UserOperations.UNLOCK_USER))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to unlock users'
+      );
+    }
+    
+    try {
+      const response = await this.apiBroker.unlockUser(userId);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to unlock user',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Applies one action to several users in a single request, with a result per user
+   */
+  async bulkUserAction(
+    action: BulkUserAction,
+    userIds: number[],
+    options: { role?: string } = {}
+  ): Promise<DomainOperationResult<BulkUserActionResult>> {
+    const requiredOperation: Record<BulkUserAction, UserOperations> = {
+      activate: UserOperations.UPDATE_USER,
+      deactivate: UserOperations.UPDATE_USER,
+      setRole: UserOperations.CHANGE_USER_ROLE,
+      delete: UserOperations.DELETE_USER,
+      logout: UserOperations.MANAGE_SESSIONS
+    };
+    
+    if (!(await this.canPerformOperation(requiredOperation[action]))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to apply this action'
+      );
+    }
+    
+    if (userIds.length === 0) {
+      return this.createErrorResult('VALIDATION_ERROR', 'Select at least one user');
+    }
+    
+    if (action === 'setRole' && !options.role) {
+      return this.createErrorResult('VALIDATION_ERROR', 'Select a role');
+    }
+    
+    try {
+      const response = await this.apiBroker.bulkUserAction(action, userIds, options);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to apply the bulk action',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Exports the users matching the list filters as CSV or XLSX
+   */
+  async exportUsers(format: UserExportFormat, params: QueryParams = {}): Promise<DomainOperationResult<Blob>> {
+    if (!(await this.canPerformOperation(UserOperations.VIEW_USER_LIST))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to export users'
+      );
+    }
+    
+    try {
+      const content = await this.apiBroker.exportUsers(format, params);
+      return this.createSuccessResult(content);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to export users',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Validates (dry run) or imports the users of a CSV or XLSX file
+   */
+  async importUsers(file: File, dryRun: boolean): Promise<DomainOperationResult<UserImportResult>> {
+    if (!(await this.canPerformOperation(UserOperations.CREATE_USER))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to import users'
+      );
+    }
+    
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!['.csv', '.xlsx'].includes(extension)) {
+      return this.createErrorResult('VALIDATION_ERROR', 'Choose a CSV or XLSX file');
+    }
+    
+    try {
+      const response = await this.apiBroker.importUsers(file, dryRun);
+      if (!dryRun) {
+        this.apiBroker.clearCache();
+      }
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to import users',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Gets the active sign-in sessions (devices) of a user
+   */
+  async getUserSessions(userId: number): Promise<DomainOperationResult<UserSession[]>> {
+    if (!(await this.canPerformOperation(UserOperations.MANAGE_SESSIONS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view user sessions'
+      );
+    }
+    
+    try {
+      const response = await this.apiBroker.getUserSessions(userId);
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to load sessions',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Signs a user out of one device
+   */
+  async revokeUserSession(userId: number, sessionId: string): Promise<DomainOperationResult<boolean>> {
+    if (!(await this.canPerformOperation(UserOperations.MANAGE_SESSIONS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to revoke user sessions'
+      );
+    }
+    
+    try {
+      await this.apiBroker.revokeUserSession(userId, sessionId);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to revoke session',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Gets the recent authentication activity of a user
+   */
+  async getUserAuthHistory(userId: number, limit?: number): Promise<DomainOperationResult<AuthActivity[]>> {
+    if (!(await this.canPerformOperation(UserOperations.MANAGE_SESSIONS))) {
+      return this.createErrorResult(
+        'PERMISSION_DENIED',
+        'You do not have permission to view sign-in history'
+      );
+    }
+    
+    try {
+      const response = await this.apiBroker.getUserAuthHistory(userId, limit);
+      return this.createSuccessResult(response.data || []);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to load sign-in history',
+        error
+      );
+    }
+  }
+  
   /**
    * Get available user roles
    */
@@ -286,6 +559,9 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
       const result = await this.apiBroker.createUser(userData);
       return this.createSuccessResult(result);
     } catch (error: any) {
+      if (error instanceof ValidationError) {
+        return this.createValidationErrorResult(error.errors, error.message);
+      }
       return this.createErrorResult(
         'API_ERROR',
         error.message || 'Failed to create user',
@@ -297,7 +573,7 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
   /**
    * Updates an existing user with validation and security checks
    */
-  async updateUser(userId: number, userData: Partial<User>): Promise<DomainOperationResult<User>> {
+  async updateUser(userId: number, userData: Partial<User>, version?: number): Promise<DomainOperationResult<User>> {
     // Check permission
     if (!(await this.canPerformOperation(UserOperations.UPDATE_USER))) {
       return this.createErrorResult(
@@ -313,9 +589,17 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
     }
     
     try {
-      const result = await this.apiBroker.updateUser(userId, userData);
+      const result = await this.apiBroker.updateUser(userId, userData, version);
+      this.apiBroker.clearCache();
       return this.createSuccessResult(result);
     } catch (error: any) {
+      if (error instanceof ValidationError) {
+        return this.createValidationErrorResult(error.errors, error.message);
+      }
+      if (error instanceof ConflictError) {
+        this.apiBroker.clearCache();
+        return this.createConflictResult(error);
+      }
       return this.createErrorResult(
         'API_ERROR',
         error.message || 'Failed to update user',
@@ -380,7 +664,7 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
     try {
       const roles = await this.apiBroker.getUserRoles();
       const isValidRole = roles.some((role: UserRole) => 
-        role.role_id === roleId || role.name === roleId
+        role.id === roleId || role.name === roleId
       );
       
       if (!isValidRole) {
@@ -396,7 +680,7 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
       const updatedUser = await this.apiBroker.updateUser(userId, { 
         ...userData, 
         role: String(roleId) 
-      });
+      }, userData.row_version);
       
       return this.createSuccessResult(updatedUser);
     } catch (error: any) {
@@ -497,13 +781,14 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
     }
     
     try {
-      await this.apiBroker.put(`/users/${userId}/password`, { id: userId }, {
-        current_password: currentPassword,
-        new_password: newPassword
-      });
+      await this.apiBroker.changeUserPassword(userId, currentPassword, newPassword);
       
       return this.createSuccessResult(true);
     } catch (error: any) {
+      // Mật khẩu bị chính sách trên server từ chối (mật khẩu phổ biến, đã dùng gần đây...)
+      if (error instanceof ValidationError) {
+        return this.createValidationErrorResult(error.errors, error.message);
+      }
       if (error.status === 401) {
         return this.createErrorResult(
           'INVALID_CURRENT_PASSWORD',
@@ -565,6 +850,12 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
       
       return this.createSuccessResult(true);
     } catch (error: any) {
+      // Server trả lỗi cho trường password, form đặt lại mật khẩu dùng trường newPassword
+      if (error instanceof ValidationError) {
+        return this.createValidationErrorResult({
+          newPassword: Object.values(error.errors).flat()
+        }, error.message);
+      }
       if (error.status === 400) {
         return this.createErrorResult(
           'INVALID_TOKEN',
@@ -593,6 +884,10 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
       errors.push('Password must contain at least one uppercase letter');
     }
     
+    if (this.PASSWORD_REQUIRES_LOWERCASE && !/[a-z]/.test(password)) {
+      errors.push('Password must contain at least one lowercase letter');
+    }
+    
     if (this.PASSWORD_REQUIRES_NUMBER && !/\d/.test(password)) {
       errors.push('Password must contain at least one number');
     }
@@ -628,4 +923,92 @@ export class UserDomainServiceImpl extends BaseDomainServiceImpl implements User
       );
     }
   }
+  
+  /**
+   * Gets the two-factor status of the signed-in user
+   */
+  async getTwoFactorStatus(): Promise<DomainOperationResult<TwoFactorStatus>> {
+    try {
+      const response = await this.apiBroker.getTwoFactorStatus();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to load two-factor status',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Starts two-factor enrollment for the signed-in user
+   */
+  async setupTwoFactor(): Promise<DomainOperationResult<TwoFactorEnrollment>> {
+    try {
+      const response = await this.apiBroker.setupTwoFactor();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to start two-factor setup',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Confirms the first code and returns the one-time recovery codes
+   */
+  async enableTwoFactor(code: string): Promise<DomainOperationResult<{ recoveryCodes: string[] }>> {
+    if (!/^\d{6}$/.test(code)) {
+      const message = 'Enter the 6-digit code from your authenticator app';
+      return this.createValidationErrorResult({ code: [message] }, message);
+    }
+    
+    try {
+      const response = await this.apiBroker.enableTwoFactor(code);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to enable two-factor authentication',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Disables two-factor authentication of the signed-in user
+   */
+  async disableTwoFactor(password: string, code: string): Promise<DomainOperationResult<boolean>> {
+    try {
+      await this.apiBroker.disableTwoFactor(password, code);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(true);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to disable two-factor authentication',
+        error
+      );
+    }
+  }
+  
+  /**
+   * Replaces the recovery codes of the signed-in user
+   */
+  async regenerateRecoveryCodes(code: string): Promise<DomainOperationResult<{ recoveryCodes: string[] }>> {
+    try {
+      const response = await this.apiBroker.regenerateRecoveryCodes(code);
+      this.apiBroker.clearCache();
+      return this.createSuccessResult(response.data);
+    } catch (error) {
+      return this.createErrorResult(
+        'API_ERROR',
+        error.message || 'Failed to generate recovery codes',
+        error
+      );
+    }
+  }
 }
@@ -1,20 +1,50 @@
 import { useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { Button } from "./ui/button";
 import { Input } from "./ui/input";
 import { Textarea } from "./ui/textarea";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { ContactSubmitError, useSubmitContact } from "@/hooks/use-contact";
+
+// Chủ đề liên hệ, giá trị được lưu vào cột service_interest
+const SUBJECTS: Record<string, string> = {
+  general: "Thông tin chung",
+  support: "Hỗ trợ kỹ thuật",
+  quote: "Yêu cầu báo giá",
+  partnership: "Hợp tác kinh doanh",
+  other: "Khác",
+};
+
+// Thông báo lỗi hiển thị dưới từng trường khi API trả về lỗi validation
+const FIELD_ERRORS: Record<string, string> = {
+  name: "Vui lòng nhập họ và tên (tối đa 100 ký tự)",
+  email: "Email không hợp lệ",
+  phone: "Số điện thoại không hợp lệ",
+  company: "Tên công ty tối đa 150 ký tự",
+  subject: "Vui lòng chọn chủ đề",
+  message: "Nội dung phải từ 10 đến 5000 ký tự",
+};
 
 const ContactForm = () => {
-  const [formData, setFormData] = useState({
+  // Trang sản phẩm dẫn tới form liên hệ kèm ?product=<slug>
+  const [searchParams] = useSearchParams();
+  const product = searchParams.get("product");
+
+  const initialFormData = {
     name: "",
     email: "",
     phone: "",
-    subject: "general",
+    company: "",
+    subject: product ? "quote" : "general",
     message: "",
-  });
+    website: "",
+  };
 
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitStatus, setSubmitStatus] = useState<"idle" | "success" | "error">("idle");
+  const [formData, setFormData] = useState(initialFormData);
+  const [submitStatus, setSubmitStatus] = useState<"idle" | "success" | "error" | "rate-limited">("idle");
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const submitContact = useSubmitContact();
+  const isSubmitting = submitContact.isPending;
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
@@ -27,29 +57,40 @@ const ContactForm = () => {
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    setIsSubmitting(true);
     setSubmitStatus("idle");
+    setFieldErrors({});
 
     try {
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      console.log("Form submitted:", formData);
-      setSubmitStatus("success");
-      setFormData({
-        name: "",
-        email: "",
-        phone: "",
-        subject: "general",
-        message: "",
+      await submitContact.mutateAsync({
+        name: formData.name,
+        email: formData.email,
+        phone: formData.phone,
+        company: formData.company,
+        subject: product ? `${SUBJECTS[formData.subject]}: ${product}` : SUBJECTS[formData.subject],
+        message: formData.message,
+        service_interest: formData.subject,
+        website: formData.website,
       });
+      setSubmitStatus("success");
+      setFormData(initialFormData);
     } catch (error) {
-      setSubmitStatus("error");
+      if (error instanceof ContactSubmitError && error.status === 429) {
+        setSubmitStatus("rate-limited");
+      } else if (error instanceof ContactSubmitError && Object.keys(error.errors).length > 0) {
+        setFieldErrors(Object.fromEntries(
+          Object.keys(error.errors).map((field) => [field, FIELD_ERRORS[field] || error.errors[field]])
+        ));
+      } else {
+        setSubmitStatus("error");
+      }
       console.error("Error submitting form:", error);
-    } finally {
-      setIsSubmitting(false);
     }
   };
 
+  const renderFieldError = (field: string) => (
+    fieldErrors[field] && <p className="text-sm text-red-600 mt-1">{fieldErrors[field]}</p>
+  );
+
   return (
     <section className="bg-gray-100 py-16">
       <div className="container-custom">
@@ -73,7 +114,27 @@ const ContactForm = () => {
             </div>
           )}
 
+          {submitStatus === "rate-limited" && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md p-4 mb-6">
+              Bạn đã gửi quá nhiều liên hệ trong thời gian ngắn. Vui lòng thử lại sau ít phút!
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Honeypot chống spam: ẩn với người dùng, bot tự động thường điền vào */}
+            <div className="absolute -left-[9999px] h-0 w-0 overflow-hidden" aria-hidden="true">
+              <label htmlFor="website">Website</label>
+              <input
+                id="website"
+                name="website"
+                type="text"
+                tabIndex={-1}
+                autoComplete="off"
+                value={formData.website}
+                onChange={handleChange}
+              />
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
@@ -87,6 +148,7 @@ const ContactForm = () => {
                   required
                   placeholder="Nhập họ và tên của bạn"
                 />
+                {renderFieldError("name")}
               </div>
               <div>
                 <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
@@ -101,6 +163,7 @@ const ContactForm = () => {
                   required
                   placeholder="example@domain.com"
                 />
+                {renderFieldError("email")}
               </div>
             </div>
 
@@ -116,26 +179,43 @@ const ContactForm = () => {
                   onChange={handleChange}
                   placeholder="Nhập số điện thoại"
                 />
+                {renderFieldError("phone")}
               </div>
               <div>
-                <label htmlFor="subject" className="block text-sm font-medium text-gray-700 mb-1">
-                  Chủ đề
+                <label htmlFor="company" className="block text-sm font-medium text-gray-700 mb-1">
+                  Công ty
                 </label>
-                <Select value={formData.subject} onValueChange={handleSelectChange}>
-                  <SelectTrigger>
-                    <SelectValue placeholder="Chọn chủ đề" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="general">Thông tin chung</SelectItem>
-                    <SelectItem value="support">Hỗ trợ kỹ thuật</SelectItem>
-                    <SelectItem value="quote">Yêu cầu báo giá</SelectItem>
-                    <SelectItem value="partnership">Hợp tác kinh doanh</SelectItem>
-                    <SelectItem value="other">Khác</SelectItem>
-                  </SelectContent>
-                </Select>
+                <Input
+                  id="company"
+                  name="company"
+                  value={formData.company}
+                  onChange={handleChange}
+                  placeholder="Tên công ty (nếu có)"
+                />
+                {renderFieldError("company")}
               </div>
             </div>
 
+            <div>
+              <label htmlFor="subject" className="block text-sm font-medium text-gray-700 mb-1">
+                Chủ đề
+              </label>
+              <Select value={formData.subject} onValueChange={handleSelectChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Chọn chủ đề" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(SUBJECTS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {product && (
+                <p className="text-sm text-gray-500 mt-1">Sản phẩm quan tâm: {product}</p>
+              )}
+              {renderFieldError("subject")}
+            </div>
+
             <div>
               <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-1">
                 Nội dung *
@@ -150,6 +230,7 @@ const ContactForm = () => {
                 placeholder="Nhập nội dung liên hệ"
                 className="resize-none"
               />
+              {renderFieldError("message")}
             </div>
 
             <div className="text-center">
@@ -0,0 +1,252 @@
+import { useEffect, useState } from "react";
+import { ArrowRight, CheckCircle, Loader2 } from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import AppLink from "@/components/ui/app-link";
+import { useProduct, useProducts } from "@/hooks/use-products";
+
+interface ProductCategoryPageProps {
+  // Slug của danh mục trong bảng categories
+  categorySlug: string;
+  // Nhãn hiển thị trên breadcrumb
+  breadcrumb: string;
+  title: string;
+  description?: string;
+}
+
+/**
+ * Trang chi tiết sản phẩm theo danh mục, dữ liệu lấy từ /api/products
+ * Sản phẩm đang xem được chọn qua tham số ?product=<slug>, mặc định là sản phẩm đầu tiên
+ */
+const ProductCategoryPage = ({ categorySlug, breadcrumb, title, description }: ProductCategoryPageProps) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { data: productList, isLoading: isListLoading, isError } = useProducts({ category: categorySlug });
+  const products = productList?.data || [];
+
+  const selectedSlug = searchParams.get("product") || products[0]?.slug;
+  const { data: product, isLoading: isProductLoading } = useProduct(selectedSlug);
+  const otherProducts = products.filter(item => item.slug !== selectedSlug);
+
+  const gallery = product
+    ? (product.images && product.images.length > 0
+      ? product.images
+      : product.image ? [{ image_path: product.image, alt_text: product.name }] : [])
+    : [];
+  const [activeImage, setActiveImage] = useState<string | undefined>(undefined);
+
+  // Hiển thị ảnh đầu tiên khi đổi sản phẩm
+  useEffect(() => {
+    setActiveImage(undefined);
+  }, [selectedSlug]);
+
+  const mainImage = activeImage || gallery[0]?.image_path;
+  const specifications = Object.entries(product?.specifications || {});
+
+  const selectProduct = (slug: string) => {
+    setSearchParams({ product: slug });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  return (
+    <>
+      {/* Banner */}
+      <div className="bg-gradient-to-b from-primary to-primary/80 text-white py-12 md:py-16">
+        <div className="container mx-auto px-4">
+          <div className="flex items-center text-sm mb-4">
+            <Link to="/" className="hover:underline">Trang chủ</Link>
+            <ArrowRight size={14} className="mx-2" />
+            <Link to="/products" className="hover:underline">Sản phẩm</Link>
+            <ArrowRight size={14} className="mx-2" />
+            <span>{breadcrumb}</span>
+          </div>
+          <h1 className="text-3xl md:text-4xl lg:text-5xl font-bold">{title}</h1>
+          {description && (
+            <p className="mt-4 text-lg max-w-3xl">{description}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Nội dung chính */}
+      <div className="container mx-auto py-12 px-4">
+        {isListLoading || (isProductLoading && !product) ? (
+          <div className="flex justify-center py-24">
+            <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          </div>
+        ) : isError ? (
+          <p className="text-center text-muted-foreground py-24">
+            Không thể tải danh sách sản phẩm. Vui lòng thử lại sau.
+          </p>
+        ) : !product ? (
+          <div className="text-center py-24">
+            <p className="text-muted-foreground mb-6">Chưa có sản phẩm nào trong danh mục này.</p>
+            <Button asChild>
+              <Link to="/products">Xem tất cả sản phẩm</Link>
+            </Button>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-3 gap-8">
+            <div className="md:col-span-2">
+              <h2 className="text-2xl md:text-3xl font-bold text-primary mb-6">{product.name}</h2>
+              {mainImage && (
+                <div className="bg-gray-100 p-4 rounded-lg mb-8">
+                  <img
+                    src={mainImage}
+                    alt={product.name}
+                    className="w-full h-auto rounded-lg mb-4"
+                  />
+                  {gallery.length > 1 && (
+                    <div className="grid grid-cols-4 gap-2">
+                      {gallery.map((image, index) => (
+                        <img
+                          key={`${image.image_path}-${index}`}
+                          src={image.image_path}
+                          alt={image.alt_text || `${product.name} - ${index + 1}`}
+                          onClick={() => setActiveImage(image.image_path)}
+                          className={`w-full h-24 object-cover rounded cursor-pointer ${image.image_path === mainImage ? "ring-2 ring-primary" : ""}`}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <Tabs defaultValue="overview" className="mb-8">
+                <TabsList className="grid w-full grid-cols-2">
+                  <TabsTrigger value="overview">Tổng quan</TabsTrigger>
+                  <TabsTrigger value="specs">Thông số kỹ thuật</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="overview" className="mt-6">
+                  <div className="space-y-4">
+                    {product.description && (
+                      <p className="whitespace-pre-line">{product.description}</p>
+                    )}
+
+                    {product.features.length > 0 && (
+                      <div className="mt-8">
+                        <h3 className="text-xl font-semibold mb-4">Tính năng nổi bật</h3>
+                        <ul className="grid gap-3">
+                          {product.features.map((feature, index) => (
+                            <li key={index} className="flex items-start">
+                              <CheckCircle size={20} className="text-primary mr-3 mt-1 flex-shrink-0" />
+                              <span>{feature}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                </TabsContent>
+
+                <TabsContent value="specs" className="mt-6">
+                  {specifications.length === 0 ? (
+                    <p className="text-muted-foreground">Thông số kỹ thuật đang được cập nhật.</p>
+                  ) : (
+                    <div className="overflow-hidden rounded border border-gray-200">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Thông số</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Giá trị</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {specifications.map(([name, value], index) => (
+                            <tr key={name} className={index % 2 === 1 ? "bg-gray-50" : ""}>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{name}</td>
+                              <td className="px-6 py-4 text-sm">{value}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </TabsContent>
+              </Tabs>
+            </div>
+
+            <div>
+              {/* Form yêu cầu báo giá */}
+              <Card className="mb-8 sticky top-20">
+                <CardContent className="p-6">
+                  <h3 className="text-xl font-semibold mb-4">Yêu cầu báo giá</h3>
+                  <p className="text-muted-foreground mb-6">Liên hệ với chuyên viên tư vấn của chúng tôi để nhận báo giá chi tiết</p>
+
+                  <div className="mt-6 space-y-6">
+                    <div className="bg-muted p-4 rounded-lg">
+                      <h4 className="font-medium mb-2">{product.name}</h4>
+                      <p className="text-xl font-semibold text-primary">Liên hệ để nhận giá</p>
+                    </div>
+
+                    <Button className="w-full" asChild>
+                      <AppLink routeKey="CONTACT" query={{ product: product.slug }}>
+                        Yêu cầu báo giá ngay
+                      </AppLink>
+                    </Button>
+
+                    <Button variant="outline" className="w-full" asChild>
+                      <a href="tel:+84987654321">
+                        Gọi ngay: 0987 654 321
+                      </a>
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+
+              {/* Sản phẩm khác trong danh mục */}
+              {otherProducts.length > 0 && (
+                <div>
+                  <h3 className="text-xl font-semibold mb-4">Sản phẩm khác</h3>
+                  <div className="space-y-4">
+                    {otherProducts.map(item => (
+                      <div key={item.id} className="border rounded-lg overflow-hidden flex">
+                        <div className="w-1/3 bg-gray-200">
+                          {item.image && (
+                            <img
+                              src={item.image}
+                              alt={item.name}
+                              className="w-full h-full object-cover"
+                            />
+                          )}
+                        </div>
+                        <div className="p-4 w-2/3">
+                          <h4 className="font-medium mb-1">{item.name}</h4>
+                          <p className="text-sm text-muted-foreground mb-2">{item.category_name}</p>
+                          <button
+                            type="button"
+                            onClick={() => selectProduct(item.slug)}
+                            className="text-primary hover:underline text-sm"
+                          >
+                            Xem chi tiết
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Dự án đã thực hiện */}
+        <section className="mt-16 bg-gradient-to-r from-primary/10 to-transparent p-8 rounded-lg">
+          <h2 className="text-2xl font-bold mb-4">Dự án đã thực hiện</h2>
+          <p className="mb-6 text-muted-foreground">
+            Tham khảo các công trình VRC đã thiết kế, cung cấp và lắp đặt trên khắp cả nước.
+          </p>
+          <Button asChild>
+            <AppLink routeKey="PROJECTS">
+              Xem dự án
+              <ArrowRight size={16} className="ml-1" />
+            </AppLink>
+          </Button>
+        </section>
+      </div>
+    </>
+  );
+};
+
+export default ProductCategoryPage;
@@ -0,0 +1,56 @@
+import { useMutation } from '@tanstack/react-query';
+import apiUrlService from '@/admin/services/api-url.service';
+import { API_ENDPOINTS } from '@/admin/services/api-endpoints';
+
+export interface ContactSubmission {
+  name: string;
+  email: string;
+  phone?: string;
+  company?: string;
+  subject: string;
+  message: string;
+  service_interest?: string;
+  // Trường honeypot: người dùng thật không nhìn thấy nên luôn để trống
+  website?: string;
+}
+
+/**
+ * Lỗi khi gửi form liên hệ, kèm mã HTTP và lỗi theo từng trường (nếu có)
+ */
+export class ContactSubmitError extends Error {
+  status: number;
+  errors: Record<string, string>;
+
+  constructor(message: string, status: number, errors: Record<string, string> = {}) {
+    super(message);
+    this.name = 'ContactSubmitError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Gửi form liên hệ tới API công khai POST /api/contact
+ */
+export function useSubmitContact() {
+  return useMutation({
+    mutationFn: async (submission: ContactSubmission) => {
+      const response = await fetch(apiUrlService.getUrl(API_ENDPOINTS.CONTACT.SUBMIT), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(submission)
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok || body.success === false) {
+        throw new ContactSubmitError(
+          body.message || `Request failed with status ${response.status}`,
+          response.status,
+          body.errors
+        );
+      }
+
+      return body;
+    }
+  });
+}
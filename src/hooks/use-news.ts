@@ -0,0 +1,74 @@
+import { useQuery } from '@tanstack/react-query';
+import { API_ENDPOINTS } from '@/admin/services/api-endpoints';
+import { fetchPublic, type PublicListResponse } from '@/lib/public-api';
+import type { News, NewsCategory, NewsTag } from '@/admin/controllers/NewsController';
+
+export type { News, NewsCategory, NewsTag };
+
+/**
+ * Danh sách bài viết đã xuất bản, mới nhất trước; có thể lọc theo danh mục, tag hoặc từ khóa
+ */
+export function useNewsList(options: {
+  category?: string;
+  tag?: string;
+  search?: string;
+  featured?: boolean;
+  page?: number;
+  pageSize?: number;
+} = {}) {
+  const queryParams: Record<string, string | number | boolean> = {
+    page: options.page || 1,
+    pageSize: options.pageSize || 10,
+    sortBy: 'publish_date',
+    sortDir: 'desc',
+    ...(options.category && { category: options.category }),
+    ...(options.tag && { tag: options.tag }),
+    ...(options.search && { search: options.search }),
+    ...(options.featured !== undefined && { featured: options.featured })
+  };
+
+  return useQuery({
+    queryKey: ['news', queryParams],
+    queryFn: () => fetchPublic<PublicListResponse<News>>(API_ENDPOINTS.NEWS.LIST, {}, queryParams)
+  });
+}
+
+/**
+ * Chi tiết một bài viết đã xuất bản theo slug, kèm nội dung và tag
+ */
+export function useNewsArticle(slug?: string) {
+  return useQuery({
+    queryKey: ['news-article', slug],
+    queryFn: async () => {
+      const body = await fetchPublic<{ data: News }>(API_ENDPOINTS.NEWS.BY_SLUG, { slug: slug as string });
+      return body.data;
+    },
+    enabled: !!slug
+  });
+}
+
+/**
+ * Danh mục có bài viết đã xuất bản, kèm số lượng bài viết
+ */
+export function useNewsCategories() {
+  return useQuery({
+    queryKey: ['news-categories'],
+    queryFn: async () => {
+      const body = await fetchPublic<{ data: NewsCategory[] }>(API_ENDPOINTS.NEWS.CATEGORIES);
+      return body.data;
+    }
+  });
+}
+
+/**
+ * Tất cả tag của tin tức
+ */
+export function useNewsTags() {
+  return useQuery({
+    queryKey: ['news-tags'],
+    queryFn: async () => {
+      const body = await fetchPublic<{ data: NewsTag[] }>(API_ENDPOINTS.NEWS.TAGS);
+      return body.data;
+    }
+  });
+}
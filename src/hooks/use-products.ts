@@ -0,0 +1,51 @@
+import { useQuery } from '@tanstack/react-query';
+import { API_ENDPOINTS } from '@/admin/services/api-endpoints';
+import { fetchPublic, type PublicListResponse } from '@/lib/public-api';
+import type { Product, ProductCategory } from '@/admin/controllers/ProductController';
+
+export type { Product, ProductCategory };
+
+/**
+ * Danh sách sản phẩm đang kinh doanh, có thể lọc theo slug danh mục
+ */
+export function useProducts(options: { category?: string; search?: string; pageSize?: number } = {}) {
+  const queryParams: Record<string, string | number> = {
+    pageSize: options.pageSize || 50,
+    sortBy: 'name',
+    sortDir: 'asc',
+    ...(options.category && { category: options.category }),
+    ...(options.search && { search: options.search })
+  };
+
+  return useQuery({
+    queryKey: ['products', queryParams],
+    queryFn: () => fetchPublic<PublicListResponse<Product>>(API_ENDPOINTS.PRODUCTS.LIST, {}, queryParams)
+  });
+}
+
+/**
+ * Danh mục có sản phẩm đang kinh doanh, kèm số lượng sản phẩm
+ */
+export function useProductCategories() {
+  return useQuery({
+    queryKey: ['product-categories'],
+    queryFn: async () => {
+      const body = await fetchPublic<{ data: ProductCategory[] }>(API_ENDPOINTS.PRODUCTS.CATEGORIES);
+      return body.data;
+    }
+  });
+}
+
+/**
+ * Chi tiết một sản phẩm theo slug, kèm thư viện ảnh
+ */
+export function useProduct(slug?: string) {
+  return useQuery({
+    queryKey: ['product', slug],
+    queryFn: async () => {
+      const body = await fetchPublic<{ data: Product }>(API_ENDPOINTS.PRODUCTS.BY_SLUG, { slug: slug as string });
+      return body.data;
+    },
+    enabled: !!slug
+  });
+}
@@ -0,0 +1,33 @@
+import apiUrlService from '@/admin/services/api-url.service';
+
+/**
+ * Response của các API danh sách công khai có phân trang
+ */
+export interface PublicListResponse<T> {
+  data: T[];
+  pagination: {
+    page: number;
+    pageSize: number;
+    total: number;
+    totalPages: number;
+    hasMore: boolean;
+  };
+}
+
+/**
+ * Gọi API công khai (không cần đăng nhập) và trả về phần data của response
+ */
+export async function fetchPublic<T>(
+  endpoint: string,
+  params: Record<string, string | number> = {},
+  queryParams: Record<string, string | number | boolean> = {}
+): Promise<T> {
+  const response = await fetch(apiUrlService.getUrl(endpoint, params, queryParams));
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || body.success === false) {
+    throw new Error(body.message || `Request failed with status ${response.status}`);
+  }
+
+  return body as T;
+}
@@ -56,6 +56,7 @@ export const ROUTES = {
   PRODUCTS_INDUSTRIAL: { path: '/products/industrial', label: 'Sản phẩm công nghiệp' },
   PRODUCTS_COLD_STORAGE: { path: '/products/cold-storage', label: 'Kho lạnh' },
   PRODUCTS_AUXILIARY: { path: '/products/auxiliary', label: 'Thiết bị phụ trợ' },
+  PRODUCTS_CATEGORY: { path: '/products/:category', label: 'Danh mục sản phẩm' },
   PROJECTS: { path: '/projects', label: 'Dự án' },
   PROJECTS_COMMERCIAL: { path: '/projects/commercial', label: 'Dự án thương mại' },
   PROJECTS_INDUSTRIAL: { path: '/projects/industrial', label: 'Dự án công nghiệp' },
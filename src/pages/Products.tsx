@@ -1,191 +1,22 @@
 import { useState } from "react";
+import { Loader2 } from "lucide-react";
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Button } from "@/components/ui/button";
 import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
-import { Badge } from "@/components/ui/badge";
 import AppLink from "@/components/ui/app-link";
-
-interface Product {
-  id: number;
-  name: string;
-  description: string;
-  category: string;
-  imageUrl: string;
-  features: string[];
-  specifications?: Record<string, string>;
-  price?: string;
-  isNew?: boolean;
-  isBestseller?: boolean;
-}
-
-// Danh sách sản phẩm trong lĩnh vực kỹ thuật lạnh
-const productsData: Product[] = [
-  {
-    id: 1,
-    name: "Điều hòa công nghiệp VRC-5000",
-    description: "Hệ thống điều hòa công nghiệp công suất lớn, phù hợp cho nhà xưởng, nhà máy sản xuất",
-    category: "industrial",
-    imageUrl: "/assets/images/projects-overview.jpg",
-    features: ["Công suất làm lạnh: 50.000 BTU", "Tiết kiệm điện năng 40%", "Vận hành êm ái", "Điều khiển thông minh từ xa"],
-    specifications: {
-      "Công suất làm lạnh": "50.000 BTU/h",
-      "Công suất điện tiêu thụ": "4.8kW",
-      "Nguồn điện": "380V-415V/3Ph/50Hz",
-      "Độ ồn": "55dB(A)",
-      "Kích thước (DxRxC)": "1800x900x1950mm",
-      "Khối lượng": "320kg",
-      "Gas làm lạnh": "R410A",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "Liên hệ",
-    isNew: true
-  },
-  {
-    id: 2,
-    name: "Kho lạnh bảo quản VRC-KL500",
-    description: "Kho lạnh công nghiệp lắp đặt nhanh chóng, bảo quản thực phẩm, dược phẩm với nhiệt độ ổn định",
-    category: "cold-storage",
-    imageUrl: "/assets/images/service-overview.jpg",
-    features: ["Diện tích: 50-500m²", "Nhiệt độ: -30°C đến +20°C", "Panel cách nhiệt PU 100mm", "Hệ thống điều khiển tự động"],
-    specifications: {
-      "Diện tích": "50-500m²",
-      "Nhiệt độ làm việc": "-30°C đến +20°C",
-      "Panel cách nhiệt": "PU 100mm",
-      "Độ dày": "100mm",
-      "Khối lượng panel": "12kg/m²",
-      "Cửa kho lạnh": "Cửa trượt/cửa mở",
-      "Hệ thống điều khiển": "Tự động, giám sát từ xa",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "Liên hệ",
-    isBestseller: true
-  },
-  {
-    id: 3,
-    name: "Máy làm lạnh nước công nghiệp VRC-Chiller",
-    description: "Hệ thống làm lạnh nước trung tâm cho nhà máy sản xuất, cao ốc văn phòng",
-    category: "chiller",
-    imageUrl: "/lovable-uploads/0bd3c048-8e37-4775-a6bc-0b54ec07edbe.png",
-    features: ["Công suất: 30-1000RT", "Hiệu suất năng lượng cao", "Vận hành ổn định", "Hệ thống khởi động mềm"],
-    specifications: {
-      "Công suất làm lạnh": "30-1000RT",
-      "Công suất tiêu thụ": "0.65kW/RT",
-      "Gas làm lạnh": "R134a/R407C/R410A",
-      "Nhiệt độ nước đầu ra": "5°C ~ 15°C",
-      "Điện áp vận hành": "380V-415V/3Ph/50Hz",
-      "Kiểu máy nén": "Scroll/Screw",
-      "Hệ thống điều khiển": "Màn hình cảm ứng, kết nối BMS",
-      "Xuất xứ": "Liên doanh Việt-Đức"
-    },
-    price: "Liên hệ"
-  },
-  {
-    id: 4,
-    name: "Điều hòa dân dụng VRC Smart Inverter",
-    description: "Điều hòa tiết kiệm năng lượng, thông minh cho gia đình và văn phòng nhỏ",
-    category: "residential",
-    imageUrl: "/assets/images/projects-overview.jpg",
-    features: ["Công nghệ Inverter", "Lọc không khí kháng khuẩn", "Kết nối WiFi", "Tiết kiệm điện đến 60%"],
-    specifications: {
-      "Công suất làm lạnh": "9.000 - 24.000 BTU",
-      "Chế độ": "Làm lạnh/Sưởi ấm",
-      "Công nghệ": "DC Inverter",
-      "Gas làm lạnh": "R32 thân thiện môi trường",
-      "Hiệu suất năng lượng": "CSPF 5.8",
-      "Độ ồn dàn lạnh": "18-36dB",
-      "Kết nối": "WiFi, điều khiển qua smartphone",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "8.500.000 - 15.900.000 VNĐ",
-    isNew: true,
-    isBestseller: true
-  },
-  {
-    id: 5,
-    name: "Tháp giải nhiệt VRC-CT250",
-    description: "Tháp giải nhiệt công nghiệp cho nhà máy sản xuất và hệ thống điều hòa trung tâm",
-    category: "auxiliary",
-    imageUrl: "/assets/images/service-overview.jpg",
-    features: ["Công suất: 50-1000RT", "Thiết kế chống ăn mòn", "Quạt tiết kiệm điện", "Dễ dàng bảo trì"],
-    specifications: {
-      "Công suất giải nhiệt": "50-1000RT",
-      "Vật liệu thân": "FRP chống ăn mòn",
-      "Vật liệu tấm tản nhiệt": "PVC chống UV",
-      "Năng lượng tiêu thụ": "0.03-0.05kW/RT",
-      "Độ ồn": "65-75dB",
-      "Trọng lượng hoạt động": "2000-25000kg",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "Liên hệ"
-  },
-  {
-    id: 6,
-    name: "Hệ thống thông gió VRC-Ventilation",
-    description: "Hệ thống thông gió và lọc không khí công nghiệp cho nhà xưởng, tòa nhà",
-    category: "auxiliary",
-    imageUrl: "/assets/images/projects-overview.jpg",
-    features: ["Lưu lượng: 1.000-100.000 m³/h", "Tiết kiệm năng lượng", "Điều khiển tự động", "Lọc không khí hiệu quả"],
-    specifications: {
-      "Lưu lượng gió": "1.000-100.000 m³/h",
-      "Áp suất tĩnh": "100-2000 Pa",
-      "Công suất tiêu thụ": "0.75-75kW",
-      "Vật liệu quạt": "Thép mạ kẽm/thép không gỉ",
-      "Loại quạt": "Ly tâm/Hướng trục",
-      "Lọc không khí": "G4, F7, HEPA (tùy chọn)",
-      "Điều khiển": "Biến tần, cảm biến CO2, nhiệt độ",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "Liên hệ"
-  },
-  {
-    id: 7,
-    name: "Hệ thống VRV/VRF VRC-Multi",
-    description: "Hệ thống điều hòa đa cục, phù hợp cho các tòa nhà văn phòng, khách sạn, trung tâm thương mại",
-    category: "commercial",
-    imageUrl: "/lovable-uploads/0bd3c048-8e37-4775-a6bc-0b54ec07edbe.png",
-    features: ["Điều khiển độc lập từng phòng", "Tiết kiệm năng lượng", "Vận hành êm ái", "Lắp đặt linh hoạt"],
-    specifications: {
-      "Công suất làm lạnh": "8HP - 60HP",
-      "Số dàn lạnh tối đa": "64 dàn",
-      "Gas làm lạnh": "R410A",
-      "Chiều dài đường ống tối đa": "165m",
-      "Chênh lệch độ cao tối đa": "90m",
-      "IPLV": "6.8",
-      "Kết nối BMS": "LonWorks, BACnet, Modbus",
-      "Xuất xứ": "Liên doanh Việt-Nhật"
-    },
-    price: "Liên hệ",
-    isNew: true
-  },
-  {
-    id: 8,
-    name: "Hệ thống lọc bụi công nghiệp VRC-DustFilter",
-    description: "Hệ thống lọc bụi và khí thải công nghiệp cho nhà máy sản xuất",
-    category: "auxiliary",
-    imageUrl: "/assets/images/service-overview.jpg",
-    features: ["Hiệu suất lọc > 99%", "Tự động làm sạch", "Tuổi thọ cao", "Giám sát từ xa"],
-    specifications: {
-      "Lưu lượng xử lý": "1.000-100.000 m³/h",
-      "Hiệu suất lọc": ">99%",
-      "Kích thước hạt lọc": "0.3-100 μm",
-      "Áp suất tĩnh": "1500-3000 Pa",
-      "Công suất tiêu thụ": "1.5-90kW",
-      "Phương pháp làm sạch": "Khí nén/Cơ học",
-      "Vật liệu lọc": "Polyester/PTFE",
-      "Xuất xứ": "Việt Nam"
-    },
-    price: "Liên hệ"
-  }
-];
+import { Product, useProductCategories, useProducts } from "@/hooks/use-products";
 
 const Products = () => {
   const [activeCategory, setActiveCategory] = useState<string>("all");
   const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
-  
-  const filteredProducts = activeCategory === "all" 
-    ? productsData 
-    : productsData.filter(product => product.category === activeCategory);
+
+  // Danh sách sản phẩm và danh mục được quản lý trong trang admin
+  const { data: categories = [] } = useProductCategories();
+  const { data: productList, isLoading, isError } = useProducts({
+    category: activeCategory === "all" ? undefined : activeCategory
+  });
+  const filteredProducts = productList?.data || [];
 
   return (
     <main className="flex-grow">
@@ -201,63 +32,82 @@ const Products = () => {
 
       {/* Nội dung chính */}
       <div className="container mx-auto py-12 px-4">
-        <Tabs defaultValue="all" className="mb-10">
-          <TabsList className="grid w-full grid-cols-2 md:grid-cols-6 mb-8">
-            <TabsTrigger value="all" onClick={() => setActiveCategory("all")}>Tất cả</TabsTrigger>
-            <TabsTrigger value="industrial" onClick={() => setActiveCategory("industrial")}>Công nghiệp</TabsTrigger>
-            <TabsTrigger value="commercial" onClick={() => setActiveCategory("commercial")}>Thương mại</TabsTrigger>
-            <TabsTrigger value="residential" onClick={() => setActiveCategory("residential")}>Dân dụng</TabsTrigger>
-            <TabsTrigger value="cold-storage" onClick={() => setActiveCategory("cold-storage")}>Kho lạnh</TabsTrigger>
-            <TabsTrigger value="auxiliary" onClick={() => setActiveCategory("auxiliary")}>Phụ trợ</TabsTrigger>
+        <Tabs value={activeCategory} onValueChange={setActiveCategory} className="mb-10">
+          <TabsList className="flex flex-wrap h-auto w-full mb-8">
+            <TabsTrigger value="all">Tất cả</TabsTrigger>
+            {categories.map(category => (
+              <TabsTrigger key={category.id} value={category.slug}>
+                {category.name}
+              </TabsTrigger>
+            ))}
           </TabsList>
           
           <TabsContent value={activeCategory} className="mt-6">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filteredProducts.map((product) => (
-                <Card key={product.id} className="overflow-hidden transition-all hover:shadow-lg">
-                  <div className="h-60 w-full bg-gray-100 flex items-center justify-center relative overflow-hidden">
-                    <img src={product.imageUrl} alt={product.name} className="w-full h-full object-cover transition-transform hover:scale-105" />
-                    {product.isNew && (
-                      <Badge className="absolute top-3 right-3 bg-green-600">Mới</Badge>
-                    )}
-                    {product.isBestseller && (
-                      <Badge className="absolute top-3 left-3 bg-amber-600">Bán chạy</Badge>
-                    )}
-                  </div>
-                  <CardHeader>
-                    <div className="flex justify-between items-start">
-                      <CardTitle className="text-xl">{product.name}</CardTitle>
-                      {product.price && (
-                        <div className="text-primary font-semibold">{product.price}</div>
+            {isLoading ? (
+              <div className="flex justify-center py-16">
+                <Loader2 className="h-8 w-8 animate-spin text-primary" />
+              </div>
+            ) : isError ? (
+              <p className="text-center text-muted-foreground py-16">
+                Không thể tải danh sách sản phẩm. Vui lòng thử lại sau.
+              </p>
+            ) : filteredProducts.length === 0 ? (
+              <p className="text-center text-muted-foreground py-16">
+                Chưa có sản phẩm nào trong danh mục này.
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {filteredProducts.map((product) => (
+                  <Card key={product.id} className="overflow-hidden transition-all hover:shadow-lg">
+                    <div className="h-60 w-full bg-gray-100 flex items-center justify-center relative overflow-hidden">
+                      {product.image && (
+                        <img src={product.image} alt={product.name} className="w-full h-full object-cover transition-transform hover:scale-105" />
                       )}
                     </div>
-                    <CardDescription>{product.description}</CardDescription>
-                  </CardHeader>
-                  <CardContent>
-                    <h4 className="font-medium mb-2">Tính năng nổi bật:</h4>
-                    <ul className="list-disc pl-5 space-y-1 text-sm">
-                      {product.features.map((feature, index) => (
-                        <li key={index}>{feature}</li>
-                      ))}
-                    </ul>
-                  </CardContent>
-                  <CardFooter className="flex justify-between">
-                    <Button variant="outline" onClick={() => setSelectedProduct(product)}>
-                      Thông số kỹ thuật
-                    </Button>                    <Button>
-                      <AppLink routeKey="CONTACT" query={{ product: product.id.toString() }}>
-                        Yêu cầu báo giá
-                      </AppLink>
-                    </Button>
-                  </CardFooter>
-                </Card>
-              ))}
-            </div>
+                    <CardHeader>
+                      <CardTitle className="text-xl">
+                        <AppLink
+                          routeKey="PRODUCTS_CATEGORY"
+                          params={{ category: product.category_slug || "" }}
+                          query={{ product: product.slug }}
+                          className="hover:text-primary"
+                        >
+                          {product.name}
+                        </AppLink>
+                      </CardTitle>
+                      <CardDescription>{product.description}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      {product.features.length > 0 && (
+                        <>
+                          <h4 className="font-medium mb-2">Tính năng nổi bật:</h4>
+                          <ul className="list-disc pl-5 space-y-1 text-sm">
+                            {product.features.map((feature, index) => (
+                              <li key={index}>{feature}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </CardContent>
+                    <CardFooter className="flex justify-between">
+                      <Button variant="outline" onClick={() => setSelectedProduct(product)}>
+                        Thông số kỹ thuật
+                      </Button>
+                      <Button asChild>
+                        <AppLink routeKey="CONTACT" query={{ product: product.slug }}>
+                          Yêu cầu báo giá
+                        </AppLink>
+                      </Button>
+                    </CardFooter>
+                  </Card>
+                ))}
+              </div>
+            )}
           </TabsContent>
         </Tabs>
 
         {/* Thông số kỹ thuật */}
-        {selectedProduct && selectedProduct.specifications && (
+        {selectedProduct && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
             <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-auto">
               <div className="p-6">
@@ -268,18 +118,22 @@ const Products = () => {
                   </Button>
                 </div>
                 <h4 className="font-medium mb-4 text-lg">Thông số kỹ thuật</h4>
-                <div className="overflow-hidden rounded border border-gray-200">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <tbody className="divide-y divide-gray-200">
-                      {Object.entries(selectedProduct.specifications).map(([key, value], index) => (
-                        <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
-                          <td className="px-6 py-3 text-sm font-medium">{key}</td>
-                          <td className="px-6 py-3 text-sm">{value}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+                {Object.keys(selectedProduct.specifications).length === 0 ? (
+                  <p className="text-muted-foreground">Thông số kỹ thuật đang được cập nhật.</p>
+                ) : (
+                  <div className="overflow-hidden rounded border border-gray-200">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <tbody className="divide-y divide-gray-200">
+                        {Object.entries(selectedProduct.specifications).map(([key, value], index) => (
+                          <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                            <td className="px-6 py-3 text-sm font-medium">{key}</td>
+                            <td className="px-6 py-3 text-sm">{value}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
                 <div className="flex justify-end mt-6">
                   <Button onClick={() => setSelectedProduct(null)}>
                     Đóng
@@ -0,0 +1,23 @@
+import { useParams } from "react-router-dom";
+import ProductCategoryPage from "@/components/products/ProductCategoryPage";
+import { useProductCategories } from "@/hooks/use-products";
+
+/**
+ * Trang danh mục sản phẩm dùng chung cho các danh mục chưa có trang riêng
+ */
+const CategoryProducts = () => {
+  const { category = "" } = useParams();
+  const { data: categories } = useProductCategories();
+  const current = categories?.find(item => item.slug === category);
+
+  return (
+    <ProductCategoryPage
+      categorySlug={category}
+      breadcrumb={current?.name || "Danh mục"}
+      title={current?.name || "Sản phẩm"}
+      description={current?.description || undefined}
+    />
+  );
+};
+
+export default CategoryProducts;
@@ -21,6 +21,12 @@ export default defineConfig(({ mode }) => ({
         changeOrigin: true,
         secure: false,
         rewrite: (path) => path
+      },
+      // File upload từ /api/files/upload được phục vụ tĩnh bởi API server
+      '/uploads': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+        secure: false
       }
     }
   },